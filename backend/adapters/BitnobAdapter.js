@@ -0,0 +1,515 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const CardIssuerAdapter = require('./CardIssuerAdapter');
+
+/**
+ * Bitnob card issuer adapter implementation
+ * Integrates with Bitnob's virtual card API. Bitnob amounts are integer cents.
+ *
+ * Bitnob has no per-card spending limits, real-time authorization or
+ * chargebacks. It only reports debits once they have happened, so spending
+ * limits and card controls are not enforced on Bitnob cards, and disputes
+ * have to be raised with Bitnob support.
+ */
+class BitnobAdapter extends CardIssuerAdapter {
+  constructor(config) {
+    super(config);
+
+    this.webhookSecret = config.webhookSecret;
+
+    // Set up axios instance with authentication
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      timeout: 30000,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      }
+    });
+
+    // Add request/response interceptors for logging
+    this.setupInterceptors();
+  }
+
+  setupInterceptors() {
+    this.client.interceptors.request.use(
+      (config) => {
+        this.log('API Request', {
+          method: config.method.toUpperCase(),
+          url: config.url,
+          data: config.data ? 'Present' : 'None'
+        });
+        return config;
+      },
+      (error) => {
+        this.log('Request Error', { error: error.message }, 'error');
+        return Promise.reject(error);
+      }
+    );
+
+    this.client.interceptors.response.use(
+      (response) => {
+        this.log('API Response', {
+          status: response.status,
+          url: response.config.url
+        });
+        return response;
+      },
+      (error) => {
+        this.log('Response Error', {
+          status: error.response?.status,
+          url: error.config?.url,
+          error: error.message
+        }, 'error');
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  /**
+   * Create a new virtual card using Bitnob API
+   */
+  async createCard(userProfile, cardConfig) {
+    try {
+      this.log('Creating card', { userId: userProfile.userId, cardType: cardConfig.cardType });
+
+      // Cards are issued to a registered card user, identified by email
+      await this.ensureCardUserExists(userProfile);
+
+      const cardData = {
+        customerEmail: userProfile.email,
+        cardBrand: cardConfig.cardType === 'mastercard' ? 'mastercard' : 'visa',
+        cardType: 'virtual',
+        reference: `freeway_${userProfile.userId}_${Date.now()}`,
+        amount: cardConfig.initialAmount || 0 // Cents; funding goes through loadFunds
+      };
+
+      const response = await this.retryWithBackoff(async () => {
+        return await this.client.post('/virtualcards/create', cardData);
+      });
+
+      const created = response.data.data;
+
+      // The card number and CVV are only returned when the card is fetched
+      const card = await this.fetchCard(created.id);
+
+      this.log('Card created successfully', { cardId: created.id });
+
+      return {
+        externalCardId: created.id,
+        cardNumber: card.cardNumber,
+        ...this.parseExpiry(card.expiry),
+        cvv: card.cvv2,
+        status: this.mapBitnobStatus(card.status),
+        issuerData: {
+          reference: created.reference || cardData.reference,
+          customerEmail: cardData.customerEmail,
+          created: created.createdAt || card.createdAt
+        }
+      };
+
+    } catch (error) {
+      throw this.handleApiError(error, 'Card Creation');
+    }
+  }
+
+  /**
+   * Freeze, unfreeze or terminate a card in Bitnob
+   */
+  async updateCardStatus(cardId, status, reason = '') {
+    try {
+      this.log('Updating card status', { cardId, status, reason });
+
+      const action = this.mapToBitnobAction(status);
+      if (!action) {
+        throw new Error(`Bitnob cards cannot be moved to status ${status}`);
+      }
+
+      const response = await this.retryWithBackoff(async () => {
+        return await this.client.patch(`/virtualcards/${action}`, { cardId });
+      });
+
+      const card = response.data.data || {};
+      this.log('Card status updated', { cardId, newStatus: card.status || status });
+
+      return {
+        success: true,
+        status: this.mapBitnobStatus(card.status || this.mapToBitnobStatus(status)),
+        timestamp: card.updatedAt || new Date().toISOString()
+      };
+
+    } catch (error) {
+      throw this.handleApiError(error, 'Card Status Update');
+    }
+  }
+
+  /**
+   * Bitnob has no per-card spending limits; the limits are only recorded
+   */
+  async setSpendingLimits(cardId, limits) {
+    this.log('Spending limits not supported by Bitnob', { cardId, limits }, 'warn');
+
+    return {
+      success: true,
+      enforcedByIssuer: false,
+      limits: limits
+    };
+  }
+
+  /**
+   * Get card details from Bitnob
+   */
+  async getCardDetails(cardId) {
+    try {
+      this.log('Getting card details', { cardId });
+
+      const card = await this.fetchCard(cardId);
+
+      return {
+        cardId: card.id,
+        status: this.mapBitnobStatus(card.status),
+        // Unknown rather than zero, so reconciliation does not report a mismatch
+        balance: typeof card.balance === 'number' ? card.balance / 100 : null,
+        cardNumber: card.cardNumber,
+        ...this.parseExpiry(card.expiry),
+        customerEmail: card.customerEmail,
+        created: card.createdAt,
+        lastModified: card.updatedAt
+      };
+
+    } catch (error) {
+      throw this.handleApiError(error, 'Get Card Details');
+    }
+  }
+
+  /**
+   * Get transaction history for a card
+   */
+  async getTransactionHistory(cardId, filters = {}) {
+    try {
+      this.log('Getting transaction history', { cardId, filters });
+
+      const params = {
+        limit: filters.limit || 50,
+        offset: filters.offset || 0
+      };
+
+      if (filters.startDate) {
+        params.startDate = filters.startDate;
+      }
+      if (filters.endDate) {
+        params.endDate = filters.endDate;
+      }
+
+      const response = await this.retryWithBackoff(async () => {
+        return await this.client.get(`/virtualcards/cards/${cardId}/transactions`, { params });
+      });
+
+      const transactions = (response.data.data?.transactions || response.data.data || []).map(tx => ({
+        transactionId: tx.reference || tx.id,
+        amount: tx.amount / 100, // Convert from cents
+        currency: (tx.currency || 'USD').toUpperCase(),
+        merchantName: tx.merchant?.name || tx.description || 'Unknown Merchant',
+        merchantCategory: tx.merchant?.category || 'Unknown',
+        merchantMcc: tx.merchant?.mcc,
+        status: this.mapBitnobTransactionStatus(tx.status),
+        type: tx.type,
+        timestamp: tx.createdAt,
+        authorizationCode: tx.authorizationCode
+      }));
+
+      return transactions;
+
+    } catch (error) {
+      throw this.handleApiError(error, 'Get Transaction History');
+    }
+  }
+
+  /**
+   * Top up a card from the Bitnob USD balance
+   */
+  async loadFunds(cardId, amount, source) {
+    try {
+      this.log('Loading funds', { cardId, amount, source: source.type });
+
+      const topupData = {
+        cardId,
+        amount: amount, // Amount in cents
+        reference: source.reference || `freeway_topup_${cardId}_${Date.now()}`
+      };
+
+      const response = await this.retryWithBackoff(async () => {
+        return await this.client.post('/virtualcards/topup', topupData);
+      });
+
+      const topup = response.data.data || {};
+      this.log('Funds loaded successfully', { cardId, amount, reference: topupData.reference });
+
+      return {
+        success: true,
+        amount: amount / 100, // Convert back to dollars
+        reference: topup.reference || topupData.reference,
+        timestamp: topup.createdAt || new Date().toISOString()
+      };
+
+    } catch (error) {
+      throw this.handleApiError(error, 'Load Funds');
+    }
+  }
+
+  /**
+   * Withdraw funds from a card back to the Bitnob USD balance
+   */
+  async unloadFunds(cardId, amount, destination = {}) {
+    try {
+      this.log('Unloading funds', { cardId, amount, destination: destination.type });
+
+      const withdrawalData = {
+        cardId,
+        amount: amount, // Amount in cents
+        reference: destination.reference || `freeway_withdraw_${cardId}_${Date.now()}`
+      };
+
+      const response = await this.retryWithBackoff(async () => {
+        return await this.client.post('/virtualcards/withdraw', withdrawalData);
+      });
+
+      const withdrawal = response.data.data || {};
+      this.log('Funds unloaded successfully', { cardId, amount, reference: withdrawalData.reference });
+
+      return {
+        success: true,
+        amount: amount / 100,
+        reference: withdrawal.reference || withdrawalData.reference,
+        timestamp: withdrawal.createdAt || new Date().toISOString()
+      };
+
+    } catch (error) {
+      throw this.handleApiError(error, 'Unload Funds');
+    }
+  }
+
+  async createDispute(transactionId, dispute) {
+    throw new Error('Create Dispute failed: disputes are not supported by Bitnob');
+  }
+
+  async getDispute(disputeId) {
+    throw new Error('Get Dispute failed: disputes are not supported by Bitnob');
+  }
+
+  async withdrawDispute(disputeId, reason = '') {
+    throw new Error('Withdraw Dispute failed: disputes are not supported by Bitnob');
+  }
+
+  parseAuthorizationRequest(payload) {
+    throw new Error('Real-time authorization is not supported by Bitnob');
+  }
+
+  formatAuthorizationResponse(request, decision) {
+    throw new Error('Real-time authorization is not supported by Bitnob');
+  }
+
+  /**
+   * Validate Bitnob webhook signature (HMAC-SHA512 of the body)
+   */
+  validateWebhookSignature(payload, signature, secret) {
+    try {
+      const expectedSignature = crypto
+        .createHmac('sha512', secret)
+        .update(payload)
+        .digest('hex');
+
+      return crypto.timingSafeEqual(
+        Buffer.from(signature, 'hex'),
+        Buffer.from(expectedSignature, 'hex')
+      );
+    } catch (error) {
+      this.log('Webhook signature validation failed', { error: error.message }, 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Process Bitnob webhook event
+   * Bitnob event names are mapped onto the event types the webhook processor
+   * handles: card debits clear straight away, declines never hold funds, and
+   * credits reverse the debit they name or are otherwise booked as refunds.
+   */
+  async processWebhookEvent(event) {
+    try {
+      this.log('Processing webhook event', { event: event.event, reference: event.data?.reference });
+
+      const data = event.data || {};
+      const result = {
+        processed: true,
+        type: event.event,
+        timestamp: new Date().toISOString()
+      };
+
+      switch (event.event) {
+        case 'virtualcard.transaction.debit':
+          result.type = 'transaction.clearing';
+          result.transaction = this.processTransactionEvent(data, 'clearing', 'settled');
+          break;
+
+        case 'virtualcard.transaction.declined':
+          result.type = 'transaction.authorization';
+          result.transaction = this.processTransactionEvent(data, 'authorization', 'declined');
+          break;
+
+        case 'virtualcard.transaction.credit':
+          if (!data.originalReference) {
+            // Not tied to an earlier debit, e.g. a merchant refund: a plain card credit
+            result.type = 'transaction.refund';
+            result.transaction = this.processTransactionEvent(data, 'refund', 'settled');
+            break;
+          }
+          // falls through
+        case 'virtualcard.transaction.reversed':
+          result.type = 'transaction.reversal';
+          result.transaction = {
+            ...this.processTransactionEvent(data, 'reversal', 'reversed'),
+            originalTransactionId: data.originalReference || data.reference,
+            reason: data.description
+          };
+          break;
+
+        case 'virtualcard.frozen':
+        case 'virtualcard.unfrozen':
+        case 'virtualcard.terminated':
+        case 'virtualcard.transaction.declined.terminated':
+          result.type = 'card.transition';
+          result.cardStatus = this.processCardStatusEvent(event.event, data);
+          break;
+
+        default:
+          this.log('Unknown webhook event type', { event: event.event }, 'warn');
+          result.processed = false;
+      }
+
+      return result;
+
+    } catch (error) {
+      throw this.handleApiError(error, 'Process Webhook Event');
+    }
+  }
+
+  // Helper methods
+
+  async ensureCardUserExists(userProfile) {
+    try {
+      const address = userProfile.address || {};
+      const cardUserData = {
+        customerEmail: userProfile.email,
+        firstName: userProfile.firstName || 'User',
+        lastName: userProfile.lastName || 'Name',
+        phoneNumber: userProfile.phone,
+        line1: address.street || address.line1,
+        city: address.city,
+        state: address.state,
+        zipCode: address.postalCode || address.zipCode,
+        country: address.country
+      };
+
+      await this.client.post('/virtualcards/registercarduser', cardUserData);
+    } catch (error) {
+      // Registering an email twice is rejected; the existing card user is used
+      if (error.response?.status === 409 || /already/i.test(error.response?.data?.message || '')) {
+        return;
+      }
+      throw this.handleApiError(error, 'Ensure Card User Exists');
+    }
+  }
+
+  async fetchCard(cardId) {
+    const response = await this.retryWithBackoff(async () => {
+      return await this.client.get(`/virtualcards/cards/${cardId}`);
+    });
+    return response.data.data;
+  }
+
+  /**
+   * Expiry month and two-digit year from Bitnob's MM/YY or MM/YYYY
+   */
+  parseExpiry(expiry) {
+    const [month = '', year = ''] = String(expiry || '').split('/');
+    return {
+      expiryMonth: month.trim().padStart(2, '0'),
+      expiryYear: year.trim().slice(-2)
+    };
+  }
+
+  mapBitnobStatus(bitnobStatus) {
+    const statusMap = {
+      'active': 'active',
+      'frozen': 'frozen',
+      'terminated': 'closed',
+      'pending': 'pending'
+    };
+    return statusMap[String(bitnobStatus).toLowerCase()] || 'unknown';
+  }
+
+  mapToBitnobStatus(status) {
+    const statusMap = {
+      'active': 'active',
+      'frozen': 'frozen',
+      'suspended': 'frozen',
+      'cancelled': 'terminated',
+      'closed': 'terminated'
+    };
+    return statusMap[status];
+  }
+
+  mapToBitnobAction(status) {
+    const actionMap = {
+      'active': 'unfreeze',
+      'frozen': 'freeze',
+      'terminated': 'terminate'
+    };
+    return actionMap[this.mapToBitnobStatus(status)];
+  }
+
+  mapBitnobTransactionStatus(status) {
+    const statusMap = {
+      success: 'settled',
+      successful: 'settled',
+      pending: 'approved',
+      failed: 'declined',
+      declined: 'declined',
+      reversed: 'reversed'
+    };
+    return statusMap[String(status).toLowerCase()] || 'pending';
+  }
+
+  processTransactionEvent(data, type, status) {
+    return {
+      transactionId: data.reference || data.id,
+      cardId: data.cardId,
+      type,
+      amount: data.amount / 100,
+      currency: (data.currency || 'USD').toUpperCase(),
+      merchantName: data.merchant?.name || data.description,
+      merchantCategory: data.merchant?.category,
+      merchantMcc: data.merchant?.mcc,
+      merchantCountry: data.merchant?.country,
+      status,
+      timestamp: data.createdAt
+    };
+  }
+
+  processCardStatusEvent(eventName, data) {
+    const newStatus = {
+      'virtualcard.frozen': 'frozen',
+      'virtualcard.unfrozen': 'active'
+    }[eventName] || 'closed';
+
+    return {
+      cardId: data.cardId || data.id,
+      newStatus,
+      timestamp: data.createdAt || data.updatedAt
+    };
+  }
+}
+
+module.exports = BitnobAdapter;
@@ -45,6 +45,18 @@ class CardIssuerAdapter {
     throw new Error('setSpendingLimits method must be implemented by subclass');
   }
 
+  /**
+   * Push a card's usage controls to the issuer. Usage controls are always
+   * enforced locally too, so issuers without card controls keep this default.
+   * @param {string} cardId - External card identifier
+   * @param {Object} controls - allowedDays, allowedHours, timeZone, allowedCountries,
+   *   homeCountry, allowInternational, allowOnline, allowCardPresent
+   * @returns {Promise<Object>} { success, enforced } with the controls the issuer enforces
+   */
+  async setUsageControls(cardId, controls) {
+    return { success: true, enforced: [] };
+  }
+
   /**
    * Get card details and current status
    * @param {string} cardId - External card identifier
@@ -75,6 +87,68 @@ class CardIssuerAdapter {
     throw new Error('loadFunds method must be implemented by subclass');
   }
 
+  /**
+   * Unload funds from a card back to the program
+   * @param {string} cardId - External card identifier
+   * @param {number} amount - Amount to unload (in cents)
+   * @param {Object} destination - Where the funds are returned (e.g. { type: 'wallet' })
+   * @returns {Promise<Object>} Unload response
+   */
+  async unloadFunds(cardId, amount, destination) {
+    throw new Error('unloadFunds method must be implemented by subclass');
+  }
+
+  /**
+   * File a dispute (chargeback) for a card transaction with the issuer
+   * @param {string} transactionId - External transaction identifier
+   * @param {Object} dispute - amount (in cents), currency, reasonCode, description,
+   *   evidence ([{ type, url, description, document }], document being an uploaded
+   *   file as { filename, contentType, content (Buffer) }), metadata
+   * @returns {Promise<Object>} { disputeId, status } with status submitted, won or lost
+   */
+  async createDispute(transactionId, dispute) {
+    throw new Error('createDispute method must be implemented by subclass');
+  }
+
+  /**
+   * Get the issuer's view of a dispute
+   * @param {string} disputeId - External dispute identifier
+   * @returns {Promise<Object>} { disputeId, status, amount }
+   */
+  async getDispute(disputeId) {
+    throw new Error('getDispute method must be implemented by subclass');
+  }
+
+  /**
+   * Withdraw a filed dispute
+   * @param {string} disputeId - External dispute identifier
+   * @param {string} reason - Reason for withdrawing
+   * @returns {Promise<Object>} { disputeId, status }
+   */
+  async withdrawDispute(disputeId, reason = '') {
+    throw new Error('withdrawDispute method must be implemented by subclass');
+  }
+
+  /**
+   * Read a real-time authorization request (JIT funding) sent by the issuer
+   * @param {Object} payload - Request body
+   * @returns {Object} issuerAuthorizationId, issuerCardId, amount (major units),
+   *   currency, merchant { name, category, mcc, city, country }, partialApprovalAllowed
+   */
+  parseAuthorizationRequest(payload) {
+    throw new Error('parseAuthorizationRequest method must be implemented by subclass');
+  }
+
+  /**
+   * Build the response the issuer expects for a real-time authorization decision
+   * @param {Object} request - Parsed request
+   * @param {Object} decision - approved, amount (approved, major units), code, reason
+   * @returns {Object} { status, headers, body }
+   */
+  formatAuthorizationResponse(request, decision) {
+    throw new Error('formatAuthorizationResponse method must be implemented by subclass');
+  }
+
   /**
    * Validate webhook signature for security
    * @param {string} payload - Webhook payload
@@ -0,0 +1,63 @@
+/**
+ * Abstract base class for key management backends
+ * Wraps and unwraps the data keys that encrypt card data. Master keys never
+ * leave the backend; the app only ever holds wrapped data keys, plus the
+ * unwrapped ones it is currently using. Every wrap and unwrap is audited.
+ */
+class KmsProvider {
+  constructor(config = {}) {
+    if (this.constructor === KmsProvider) {
+      throw new Error('KmsProvider is an abstract class and cannot be instantiated directly');
+    }
+
+    this.config = config;
+    this.name = config.name;
+  }
+
+  /**
+   * ID of the master key new data keys are wrapped under
+   * @returns {Promise<string>} Master key ID
+   */
+  async getCurrentKeyId() {
+    throw new Error('getCurrentKeyId method must be implemented by subclass');
+  }
+
+  /**
+   * Wrap a data key under the current master key
+   * @param {Buffer} dataKey - Plaintext data key
+   * @param {Object} context - Encryption context bound to the wrapped key (e.g. { dataKeyOwner })
+   * @returns {Promise<Object>} { masterKeyId, wrappedKey } with wrappedKey base64 encoded
+   */
+  async wrapKey(dataKey, context = {}) {
+    throw new Error('wrapKey method must be implemented by subclass');
+  }
+
+  /**
+   * Unwrap a data key. Fails unless the context matches the one it was wrapped with.
+   * @param {Object} wrapped - { masterKeyId, wrappedKey }
+   * @param {Object} context - Encryption context given to wrapKey
+   * @returns {Promise<Buffer>} Plaintext data key
+   */
+  async unwrapKey(wrapped, context = {}) {
+    throw new Error('unwrapKey method must be implemented by subclass');
+  }
+
+  /**
+   * Log key operations for audit and debugging
+   * @param {string} operation - Operation name
+   * @param {Object} data - Operation data (never key material)
+   * @param {string} level - Log level (info, warn, error)
+   */
+  log(operation, data, level = 'info') {
+    const logEntry = {
+      timestamp: new Date().toISOString(),
+      provider: this.constructor.name,
+      operation,
+      ...data
+    };
+
+    console[level](`[${this.constructor.name}] ${operation}:`, logEntry);
+  }
+}
+
+module.exports = KmsProvider;
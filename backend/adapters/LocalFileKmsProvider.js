@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const KmsProvider = require('./KmsProvider');
+
+/**
+ * Local file-based KMS for development, tests and single-host deployments
+ * Master keys live in a JSON file readable only by its owner
+ * ({ "currentKeyId": "mk1", "keys": { "mk1": "<64 hex>" } }), kept apart
+ * from the database and the app's environment. Data keys are wrapped with
+ * AES-256-GCM, bound to their encryption context, and every wrap and unwrap
+ * is appended to an audit file before the result is returned.
+ */
+class LocalFileKmsProvider extends KmsProvider {
+  constructor(config = {}) {
+    super({ name: 'local', ...config });
+
+    this.keyFile = config.keyFile;
+    this.auditFile = config.auditFile;
+    // Outside production a missing key file is created with a fresh master key
+    this.createIfMissing = config.createIfMissing ?? false;
+
+    // Loaded on first use
+    this.masterKeys = null;
+  }
+
+  async getCurrentKeyId() {
+    return this.loadMasterKeys().currentKeyId;
+  }
+
+  async wrapKey(dataKey, context = {}) {
+    const { currentKeyId, keys } = this.loadMasterKeys();
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', keys.get(currentKeyId), iv);
+    cipher.setAAD(this.contextAad(context));
+    const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    const wrappedKey = Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+
+    await this.audit('wrap', currentKeyId, context, 'success');
+
+    return { masterKeyId: currentKeyId, wrappedKey };
+  }
+
+  async unwrapKey({ masterKeyId, wrappedKey }, context = {}) {
+    const { keys } = this.loadMasterKeys();
+
+    let dataKey;
+    try {
+      if (!keys.has(masterKeyId)) {
+        throw new Error(`Master key ${masterKeyId} is not in the key file`);
+      }
+
+      const combined = Buffer.from(wrappedKey, 'base64');
+      const decipher = crypto.createDecipheriv('aes-256-gcm', keys.get(masterKeyId), combined.subarray(0, 12));
+      decipher.setAAD(this.contextAad(context));
+      decipher.setAuthTag(combined.subarray(12, 28));
+      dataKey = Buffer.concat([decipher.update(combined.subarray(28)), decipher.final()]);
+    } catch (error) {
+      await this.audit('unwrap', masterKeyId, context, 'error', error.message);
+      throw new Error(`Unwrap failed: ${error.message}`);
+    }
+
+    await this.audit('unwrap', masterKeyId, context, 'success');
+
+    return dataKey;
+  }
+
+  /**
+   * Read and check the master key file
+   * @returns {Object} currentKeyId, keys (Map of key ID to Buffer)
+   */
+  loadMasterKeys() {
+    if (this.masterKeys) {
+      return this.masterKeys;
+    }
+
+    if (!fs.existsSync(this.keyFile)) {
+      if (!this.createIfMissing) {
+        throw new Error(`KMS master key file ${this.keyFile} not found`);
+      }
+      this.createKeyFile();
+    }
+
+    // POSIX permissions only; Windows reports every file as 0666
+    if (process.platform !== 'win32' && (fs.statSync(this.keyFile).mode & 0o077) !== 0) {
+      throw new Error(`KMS master key file ${this.keyFile} must only be accessible by its owner (chmod 600)`);
+    }
+
+    const contents = JSON.parse(fs.readFileSync(this.keyFile, 'utf8'));
+    const keys = new Map();
+    for (const [keyId, keyHex] of Object.entries(contents.keys || {})) {
+      if (!/^[0-9a-fA-F]{64}$/.test(keyHex)) {
+        throw new Error(`KMS master key ${keyId} must be 64 hex characters (256 bits)`);
+      }
+      keys.set(keyId, Buffer.from(keyHex, 'hex'));
+    }
+    if (!keys.has(contents.currentKeyId)) {
+      throw new Error(`KMS current master key ${contents.currentKeyId} is not in the key file`);
+    }
+
+    this.masterKeys = { currentKeyId: contents.currentKeyId, keys };
+    return this.masterKeys;
+  }
+
+  /**
+   * Create the key file with a single fresh master key, readable only by its owner
+   */
+  createKeyFile() {
+    fs.mkdirSync(path.dirname(this.keyFile), { recursive: true, mode: 0o700 });
+
+    const contents = { currentKeyId: 'mk1', keys: { mk1: crypto.randomBytes(32).toString('hex') } };
+    try {
+      fs.writeFileSync(this.keyFile, JSON.stringify(contents, null, 2) + '\n', { mode: 0o600, flag: 'wx' });
+      this.log('createKeyFile', { keyFile: this.keyFile, masterKeyId: 'mk1' }, 'warn');
+    } catch (error) {
+      // Another process created it first
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Encryption context as additional authenticated data, independent of key order
+   * @param {Object} context - Encryption context
+   * @returns {Buffer} AAD
+   */
+  contextAad(context) {
+    const entries = Object.keys(context).sort().map(key => [key, String(context[key])]);
+    return Buffer.from(JSON.stringify(entries), 'utf8');
+  }
+
+  /**
+   * Append a wrap or unwrap to the audit file. An operation that cannot be
+   * audited fails.
+   * @param {string} operation - wrap | unwrap
+   * @param {string} masterKeyId - Master key ID
+   * @param {Object} context - Encryption context
+   * @param {string} status - success | error
+   * @param {string} error - Error message if any
+   */
+  async audit(operation, masterKeyId, context, status, error = null) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      operation,
+      masterKeyId,
+      context,
+      status
+    };
+    if (error) {
+      entry.error = error;
+    }
+
+    await fs.promises.mkdir(path.dirname(this.auditFile), { recursive: true, mode: 0o700 });
+    await fs.promises.appendFile(this.auditFile, JSON.stringify(entry) + '\n', { mode: 0o600 });
+
+    if (status !== 'success') {
+      this.log(operation, { masterKeyId, context, status, error }, 'warn');
+    }
+  }
+}
+
+module.exports = LocalFileKmsProvider;
@@ -281,7 +281,8 @@ class MarqetaAdapter extends CardIssuerAdapter {
         amount: tx.amount / 100, // Convert from cents
         currency: tx.currency_code,
         merchantName: tx.merchant?.name || 'Unknown Merchant',
-        merchantCategory: tx.merchant?.mcc || 'Unknown',
+        merchantCategory: tx.card_acceptor?.merchant_category || 'Unknown',
+        merchantMcc: tx.card_acceptor?.mcc || tx.merchant?.mcc,
         status: tx.state,
         type: tx.type,
         timestamp: tx.created_time,
@@ -337,6 +338,202 @@ class MarqetaAdapter extends CardIssuerAdapter {
     }
   }
 
+  /**
+   * Unload funds from the cardholder's GPA back to the program
+   */
+  async unloadFunds(cardId, amount, destination = {}) {
+    try {
+      this.log('Unloading funds', { cardId, amount, destination: destination.type });
+
+      const cardDetails = await this.getCardDetails(cardId);
+
+      // Program transfers debit the user's GPA into the program funding account
+      const transferData = {
+        user_token: cardDetails.userToken,
+        amount: amount / 100, // Program transfers take decimal amounts
+        currency_code: destination.currency || 'USD',
+        type_token: this.config.programTransferTypeToken || 'freeway_card_unload',
+        tags: 'freeway_cards_defund'
+      };
+
+      const response = await this.retryWithBackoff(async () => {
+        return await this.client.post('/programtransfers', transferData);
+      });
+
+      this.log('Funds unloaded successfully', {
+        cardId,
+        amount,
+        transferToken: response.data.token
+      });
+
+      return {
+        success: true,
+        amount: amount / 100,
+        reference: response.data.token,
+        timestamp: response.data.created_time
+      };
+
+    } catch (error) {
+      throw this.handleApiError(error, 'Unload Funds');
+    }
+  }
+
+  /**
+   * File a chargeback for a transaction
+   * Provisional credit is handled in our ledger, so Marqeta does not credit the user.
+   */
+  async createDispute(transactionId, dispute) {
+    try {
+      this.log('Creating chargeback', { transactionId, amount: dispute.amount, reasonCode: dispute.reasonCode });
+
+      // Chargebacks take no attachments; uploaded documents are named and
+      // stay with the platform for the issuer to request
+      const evidence = (dispute.evidence || [])
+        .map(item => `${item.type}: ${item.url || item.document?.filename || ''} ${item.description || ''}`.trim());
+      const chargebackData = {
+        transaction_token: transactionId,
+        amount: dispute.amount / 100, // Chargebacks take decimal amounts
+        reason_description: dispute.reasonCode,
+        memo: [dispute.description, ...evidence].join('\n').slice(0, 2000),
+        channel: 'ISSUER',
+        regulation_type: 'REG_E',
+        credit_user: false
+      };
+
+      const response = await this.retryWithBackoff(async () => {
+        return await this.client.post('/chargebacks', chargebackData);
+      });
+
+      this.log('Chargeback created', { transactionId, chargebackToken: response.data.token });
+
+      return {
+        disputeId: response.data.token,
+        status: this.mapMarqetaChargebackState(response.data.state)
+      };
+
+    } catch (error) {
+      throw this.handleApiError(error, 'Create Dispute');
+    }
+  }
+
+  /**
+   * Get a chargeback
+   */
+  async getDispute(disputeId) {
+    try {
+      const response = await this.retryWithBackoff(async () => {
+        return await this.client.get(`/chargebacks/${disputeId}`);
+      });
+
+      return {
+        disputeId: response.data.token,
+        status: this.mapMarqetaChargebackState(response.data.state),
+        amount: response.data.amount
+      };
+
+    } catch (error) {
+      throw this.handleApiError(error, 'Get Dispute');
+    }
+  }
+
+  /**
+   * Withdraw a chargeback
+   */
+  async withdrawDispute(disputeId, reason = '') {
+    try {
+      this.log('Withdrawing chargeback', { disputeId });
+
+      const response = await this.retryWithBackoff(async () => {
+        return await this.client.post('/chargebacks/transitions', {
+          chargeback_token: disputeId,
+          state: 'WITHDRAWN',
+          reason: reason || 'Withdrawn by cardholder',
+          channel: 'ISSUER'
+        });
+      });
+
+      return {
+        disputeId,
+        status: this.mapMarqetaChargebackState(response.data.state || 'WITHDRAWN')
+      };
+
+    } catch (error) {
+      throw this.handleApiError(error, 'Withdraw Dispute');
+    }
+  }
+
+  /**
+   * Read a gateway JIT funding request
+   * Gateway JIT amounts are decimal major units.
+   */
+  parseAuthorizationRequest(payload) {
+    const jitFunding = payload.gpa_order?.jit_funding || {};
+    const acceptor = payload.card_acceptor || {};
+    return {
+      issuerAuthorizationId: payload.token,
+      issuerCardId: payload.card_token,
+      amount: Number(payload.amount),
+      currency: payload.currency_code,
+      merchant: {
+        name: acceptor.name,
+        category: acceptor.merchant_category,
+        mcc: acceptor.mcc,
+        networkId: acceptor.mid,
+        city: acceptor.city,
+        country: acceptor.country_code,
+        cardPresent: payload.pos?.card_presence
+      },
+      partialApprovalAllowed: Boolean(payload.is_partial_approval_capable),
+      jitFunding: {
+        token: jitFunding.token,
+        userToken: jitFunding.user_token || payload.user_token
+      }
+    };
+  }
+
+  mapDeclineReason(code) {
+    const reasonMap = {
+      card_not_found: 'INVALID_CARD',
+      card_inactive: 'CARD_NOT_ACTIVE',
+      currency_mismatch: 'TRANSACTION_NOT_PERMITTED',
+      merchant_category_blocked: 'INVALID_MERCHANT',
+      merchant_locked: 'INVALID_MERCHANT',
+      outside_allowed_time: 'TRANSACTION_NOT_PERMITTED',
+      country_blocked: 'TRANSACTION_NOT_PERMITTED',
+      international_blocked: 'TRANSACTION_NOT_PERMITTED',
+      card_present_blocked: 'TRANSACTION_NOT_PERMITTED',
+      online_blocked: 'TRANSACTION_NOT_PERMITTED',
+      single_use_consumed: 'CARD_NOT_ACTIVE',
+      per_transaction_limit: 'AMOUNT_LIMIT_EXCEEDED',
+      daily_limit: 'AMOUNT_LIMIT_EXCEEDED',
+      monthly_limit: 'AMOUNT_LIMIT_EXCEEDED',
+      insufficient_funds: 'INSUFFICIENT_FUNDS',
+      suspected_fraud: 'SUSPECTED_FRAUD'
+    };
+    return reasonMap[code] || 'TRANSACTION_NOT_PERMITTED';
+  }
+
+  /**
+   * Answer a gateway JIT funding request: 200 funds the authorization,
+   * 402 with a decline reason declines it
+   */
+  formatAuthorizationResponse(request, decision) {
+    const jitFunding = {
+      token: request.jitFunding?.token,
+      method: 'pgfs.authorization',
+      user_token: request.jitFunding?.userToken,
+      amount: decision.approved ? decision.amount : request.amount
+    };
+    if (!decision.approved) {
+      jitFunding.decline_reason = this.mapDeclineReason(decision.code);
+    }
+    return {
+      status: decision.approved ? 200 : 402,
+      headers: {},
+      body: { jit_funding: jitFunding }
+    };
+  }
+
   /**
    * Validate Marqeta webhook signature
    */
@@ -372,6 +569,7 @@ class MarqetaAdapter extends CardIssuerAdapter {
 
       switch (event.type) {
         case 'transaction.authorization':
+        case 'transaction.authorization.incremental':
         case 'transaction.clearing':
           result.transaction = this.processTransactionEvent(event);
           break;
@@ -380,6 +578,10 @@ class MarqetaAdapter extends CardIssuerAdapter {
           result.cardStatus = this.processCardStatusEvent(event);
           break;
         
+        case 'chargeback.transition':
+          result.dispute = this.processChargebackEvent(event);
+          break;
+        
         default:
           this.log('Unknown webhook event type', { type: event.type }, 'warn');
           result.processed = false;
@@ -438,8 +640,9 @@ class MarqetaAdapter extends CardIssuerAdapter {
       const response = await this.client.get(`/balances/${cardId}`);
       return response.data.available_balance / 100; // Convert from cents
     } catch (error) {
+      // Unknown rather than zero, so reconciliation does not report a mismatch
       this.log('Failed to get card balance', { cardId, error: error.message }, 'warn');
-      return 0;
+      return null;
     }
   }
 
@@ -458,6 +661,7 @@ class MarqetaAdapter extends CardIssuerAdapter {
       'active': 'ACTIVE',
       'frozen': 'SUSPENDED',
       'cancelled': 'TERMINATED',
+      'closed': 'TERMINATED',
       'pending': 'UNACTIVATED'
     };
     return statusMap[status] || 'ACTIVE';
@@ -465,17 +669,59 @@ class MarqetaAdapter extends CardIssuerAdapter {
 
   getReasonCode(status, reason) {
     if (status === 'frozen') return '01'; // Fraud
-    if (status === 'cancelled') return '02'; // User request
+    if (status === 'cancelled' || status === 'closed') return '02'; // User request
     return '00'; // Normal operation
   }
 
+  mapMarqetaTransactionState(state) {
+    const stateMap = {
+      PENDING: 'approved',
+      COMPLETION: 'settled',
+      CLEARED: 'settled',
+      DECLINED: 'declined',
+      ERROR: 'declined',
+      REVERSED: 'reversed'
+    };
+    return stateMap[state] || 'pending';
+  }
+
   processTransactionEvent(event) {
     return {
       transactionId: event.token,
       cardId: event.card_token,
+      type: event.type === 'transaction.clearing' ? 'clearing' : 'authorization',
       amount: event.amount / 100,
-      merchantName: event.merchant?.name,
-      status: event.state,
+      // Set when the amount approved is less than the amount requested
+      requestedAmount: event.request_amount !== undefined ? event.request_amount / 100 : undefined,
+      currency: event.currency_code,
+      merchantName: event.merchant?.name || event.card_acceptor?.name,
+      merchantCategory: event.card_acceptor?.merchant_category,
+      merchantMcc: event.card_acceptor?.mcc,
+      merchantNetworkId: event.card_acceptor?.mid,
+      merchantCountry: event.card_acceptor?.country_code,
+      cardPresent: event.pos?.card_presence,
+      status: this.mapMarqetaTransactionState(event.state),
+      // Authorization this clearing or incremental authorization belongs to
+      relatedTransactionId: event.preceding_related_transaction_token,
+      timestamp: event.created_time
+    };
+  }
+
+  mapMarqetaChargebackState(state) {
+    const stateMap = {
+      CASE_WON: 'won',
+      CASE_LOST: 'lost',
+      NETWORK_REJECTED: 'lost',
+      WITHDRAWN: 'withdrawn'
+    };
+    // INITIATED, REPRESENTMENT, PREARBITRATION and ARBITRATION are still in progress
+    return stateMap[state] || 'submitted';
+  }
+
+  processChargebackEvent(event) {
+    return {
+      disputeId: event.chargeback_token,
+      status: this.mapMarqetaChargebackState(event.state),
       timestamp: event.created_time
     };
   }
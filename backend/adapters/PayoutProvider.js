@@ -0,0 +1,79 @@
+/**
+ * Abstract base class for payout providers
+ * Sends withdrawals from the platform to bank accounts and crypto addresses.
+ * Payouts complete asynchronously: a provider accepts a payout, then reports
+ * its outcome through the update listener registered with onPayoutUpdate().
+ */
+class PayoutProvider {
+  constructor(config = {}) {
+    if (this.constructor === PayoutProvider) {
+      throw new Error('PayoutProvider is an abstract class and cannot be instantiated directly');
+    }
+
+    this.config = config;
+    this.name = config.name;
+    this.environment = config.environment || 'sandbox';
+    this.updateListener = null;
+  }
+
+  /**
+   * Submit a payout
+   * @param {Object} payout - withdrawalId, amountMinor, currency, destination
+   *   ({ type, bankAccount | cryptoAddress } with the full account number)
+   * @returns {Promise<Object>} { reference, status: 'processing' }
+   */
+  async createPayout(payout) {
+    throw new Error('createPayout method must be implemented by subclass');
+  }
+
+  /**
+   * Get the current status of a payout
+   * @param {string} reference - Provider payout reference
+   * @returns {Promise<Object>} { reference, status, failureReason }
+   */
+  async getPayoutStatus(reference) {
+    throw new Error('getPayoutStatus method must be implemented by subclass');
+  }
+
+  /**
+   * Register the listener that receives payout outcomes
+   * @param {Function} listener - async ({ reference, withdrawalId, status, failureReason }) => void
+   */
+  onPayoutUpdate(listener) {
+    this.updateListener = listener;
+  }
+
+  /**
+   * Report a payout outcome to the registered listener
+   * Updates carry the withdrawalId the payout was submitted with, so they can
+   * be matched before the platform has stored the provider reference.
+   * @param {Object} update - reference, withdrawalId, status ('completed' | 'failed'), failureReason
+   */
+  async emitPayoutUpdate(update) {
+    if (!this.updateListener) {
+      this.log('emitPayoutUpdate', { reference: update.reference, message: 'No update listener registered' }, 'warn');
+      return;
+    }
+    await this.updateListener({ provider: this.name, ...update });
+  }
+
+  /**
+   * Log payout operations for audit and debugging
+   * @param {string} operation - Operation name
+   * @param {Object} data - Operation data
+   * @param {string} level - Log level (info, warn, error)
+   */
+  log(operation, data, level = 'info') {
+    const logEntry = {
+      timestamp: new Date().toISOString(),
+      provider: this.constructor.name,
+      operation,
+      environment: this.environment,
+      ...data
+    };
+
+    console[level](`[${this.constructor.name}] ${operation}:`, logEntry);
+  }
+}
+
+module.exports = PayoutProvider;
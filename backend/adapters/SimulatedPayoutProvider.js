@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const PayoutProvider = require('./PayoutProvider');
+
+/**
+ * Local payout simulator for development and testing
+ * Accepts every payout and settles it after a delay. Payouts fail when the
+ * bank account number ends in 0000, the crypto address ends in "fail", or
+ * at random with the configured failure rate.
+ */
+class SimulatedPayoutProvider extends PayoutProvider {
+  constructor(config = {}) {
+    super({ name: 'simulator', environment: 'development', ...config });
+
+    this.settlementDelayMs = config.settlementDelayMs ?? 5000;
+    this.failureRate = config.failureRate ?? 0;
+    this.payouts = new Map();
+  }
+
+  async createPayout(payout) {
+    const reference = `sim_po_${crypto.randomBytes(8).toString('hex')}`;
+    const outcome = this.decideOutcome(payout);
+
+    this.payouts.set(reference, { reference, withdrawalId: payout.withdrawalId, status: 'processing' });
+    this.log('createPayout', { reference, withdrawalId: payout.withdrawalId });
+
+    const timer = setTimeout(() => {
+      this.settle(reference, outcome).catch(error => {
+        this.log('settle', { reference, error: error.message }, 'error');
+      });
+    }, this.settlementDelayMs);
+    // Pending payouts must not keep the process alive
+    timer.unref?.();
+
+    return { reference, status: 'processing' };
+  }
+
+  async getPayoutStatus(reference) {
+    const payout = this.payouts.get(reference);
+    if (!payout) {
+      throw new Error(`Unknown payout: ${reference}`);
+    }
+    return { ...payout };
+  }
+
+  /**
+   * Decide up front whether a payout will complete
+   * @param {Object} payout - Payout request
+   * @returns {Object} status and failureReason
+   */
+  decideOutcome(payout) {
+    const { destination } = payout;
+
+    if (destination.type === 'bank_account' && String(destination.bankAccount.accountNumber).endsWith('0000')) {
+      return { status: 'failed', failureReason: 'Account closed' };
+    }
+    if (destination.type === 'crypto_address' && destination.cryptoAddress.address.endsWith('fail')) {
+      return { status: 'failed', failureReason: 'Invalid address' };
+    }
+    if (Math.random() < this.failureRate) {
+      return { status: 'failed', failureReason: 'Simulated provider failure' };
+    }
+    return { status: 'completed' };
+  }
+
+  async settle(reference, outcome) {
+    const payout = { ...this.payouts.get(reference), ...outcome };
+    this.payouts.set(reference, payout);
+    await this.emitPayoutUpdate(payout);
+  }
+}
+
+module.exports = SimulatedPayoutProvider;
@@ -183,6 +183,41 @@ class StripeIssuingAdapter extends CardIssuerAdapter {
     }
   }
 
+  /**
+   * Push merchant country controls to Stripe Issuing. Stripe has no time
+   * window or channel controls; those stay local.
+   */
+  async setUsageControls(cardId, controls) {
+    try {
+      this.log('Setting usage controls', { cardId });
+
+      let countries = controls.allowedCountries || [];
+      if (!controls.allowInternational) {
+        countries = countries.length > 0 ? countries.filter(country => country === controls.homeCountry) : [controls.homeCountry];
+      }
+
+      const card = await this.retryWithBackoff(async () => {
+        return await this.stripe.issuing.cards.update(cardId, {
+          spending_controls: {
+            // An empty string clears the list
+            allowed_merchant_countries: countries.length > 0 ? countries : ''
+          }
+        });
+      });
+
+      this.log('Usage controls set', { cardId, countries });
+
+      return {
+        success: true,
+        enforced: countries.length > 0 ? ['countries'] : [],
+        cardId: card.id
+      };
+
+    } catch (error) {
+      throw this.handleApiError(error, 'Set Usage Controls');
+    }
+  }
+
   /**
    * Get card details from Stripe Issuing
    */
@@ -244,6 +279,7 @@ class StripeIssuingAdapter extends CardIssuerAdapter {
         currency: tx.currency.toUpperCase(),
         merchantName: tx.merchant_data?.name || 'Unknown Merchant',
         merchantCategory: tx.merchant_data?.category || 'Unknown',
+        merchantMcc: tx.merchant_data?.category_code,
         status: tx.status,
         type: tx.type,
         timestamp: new Date(tx.created * 1000).toISOString(),
@@ -292,6 +328,105 @@ class StripeIssuingAdapter extends CardIssuerAdapter {
     }
   }
 
+  /**
+   * Unload funds from a card
+   * Stripe Issuing spends from the account-level Issuing balance, so there
+   * is nothing to move at the issuer; the card balance lives in our ledger.
+   */
+  async unloadFunds(cardId, amount, destination = {}) {
+    try {
+      this.log('Unloading funds', { cardId, amount, destination: destination.type });
+
+      return {
+        success: true,
+        amount: amount / 100,
+        timestamp: new Date().toISOString(),
+        reference: `unload_${Date.now()}`
+      };
+
+    } catch (error) {
+      throw this.handleApiError(error, 'Unload Funds');
+    }
+  }
+
+  /**
+   * File and submit an Issuing dispute for a transaction
+   */
+  async createDispute(transactionId, dispute) {
+    try {
+      this.log('Creating dispute', { transactionId, amount: dispute.amount, reasonCode: dispute.reasonCode });
+
+      const reason = this.mapToStripeDisputeReason(dispute.reasonCode);
+      const evidence = (dispute.evidence || [])
+        .map(item => `${item.type}: ${item.url || item.document?.filename || ''} ${item.description || ''}`.trim());
+
+      // Stripe takes one supporting file per dispute; the first uploaded document goes
+      const document = (dispute.evidence || []).find(item => item.document)?.document;
+      const file = document && await this.retryWithBackoff(async () => {
+        return await this.stripe.files.create({
+          purpose: 'dispute_evidence',
+          file: { data: document.content, name: document.filename, type: document.contentType }
+        });
+      });
+
+      const created = await this.retryWithBackoff(async () => {
+        return await this.stripe.issuing.disputes.create({
+          transaction: transactionId,
+          amount: dispute.amount,
+          evidence: {
+            reason,
+            [reason]: {
+              explanation: [dispute.description, ...evidence].join('\n').slice(0, 3000),
+              ...(file ? { additional_documentation: file.id } : {})
+            }
+          },
+          metadata: dispute.metadata || {}
+        });
+      });
+
+      const submitted = await this.retryWithBackoff(async () => {
+        return await this.stripe.issuing.disputes.submit(created.id);
+      });
+
+      this.log('Dispute submitted', { transactionId, disputeId: submitted.id });
+
+      return {
+        disputeId: submitted.id,
+        status: this.mapStripeDisputeStatus(submitted.status)
+      };
+
+    } catch (error) {
+      throw this.handleApiError(error, 'Create Dispute');
+    }
+  }
+
+  /**
+   * Get an Issuing dispute
+   */
+  async getDispute(disputeId) {
+    try {
+      const dispute = await this.retryWithBackoff(async () => {
+        return await this.stripe.issuing.disputes.retrieve(disputeId);
+      });
+
+      return {
+        disputeId: dispute.id,
+        status: this.mapStripeDisputeStatus(dispute.status),
+        amount: dispute.amount / 100
+      };
+
+    } catch (error) {
+      throw this.handleApiError(error, 'Get Dispute');
+    }
+  }
+
+  /**
+   * Stripe has no withdrawal for submitted Issuing disputes
+   */
+  async withdrawDispute(disputeId, reason = '') {
+    throw new Error('Submitted Stripe Issuing disputes cannot be withdrawn');
+  }
+
   /**
    * Validate Stripe webhook signature
    */
@@ -346,6 +481,11 @@ class StripeIssuingAdapter extends CardIssuerAdapter {
           result.card = this.processCardEvent(event);
           break;
         
+        case 'issuing_dispute.updated':
+        case 'issuing_dispute.closed':
+          result.dispute = this.processDisputeEvent(event);
+          break;
+        
         default:
           this.log('Unknown webhook event type', { type: event.type }, 'warn');
           result.processed = false;
@@ -418,6 +558,7 @@ class StripeIssuingAdapter extends CardIssuerAdapter {
       'active': 'active',
       'frozen': 'inactive',
       'cancelled': 'canceled',
+      'closed': 'canceled',
       'pending': 'pending'
     };
     return statusMap[status] || 'active';
@@ -444,14 +585,83 @@ class StripeIssuingAdapter extends CardIssuerAdapter {
     return limits;
   }
 
+  /**
+   * Read an issuing_authorization.request event
+   */
+  parseAuthorizationRequest(event) {
+    const auth = event.data.object;
+    const pending = auth.pending_request || {};
+    const merchant = auth.merchant_data || {};
+    return {
+      issuerAuthorizationId: auth.id,
+      issuerCardId: auth.card?.id || auth.card,
+      amount: (pending.amount ?? auth.amount) / 100,
+      currency: (pending.currency || auth.currency || '').toUpperCase(),
+      merchant: {
+        name: merchant.name,
+        category: merchant.category,
+        mcc: merchant.category_code,
+        networkId: merchant.network_id,
+        city: merchant.city,
+        country: merchant.country,
+        cardPresent: this.isCardPresent(auth.authorization_method)
+      },
+      partialApprovalAllowed: Boolean(pending.is_amount_controllable),
+      apiVersion: event.api_version
+    };
+  }
+
+  /**
+   * Answer an issuing_authorization.request synchronously; partial
+   * approvals return the approved amount in cents
+   */
+  formatAuthorizationResponse(request, decision) {
+    const body = {
+      approved: decision.approved,
+      metadata: { decision: decision.code }
+    };
+    if (decision.approved && decision.amount !== request.amount) {
+      body.amount = Math.round(decision.amount * 100);
+    }
+    return {
+      status: 200,
+      headers: request.apiVersion ? { 'Stripe-Version': request.apiVersion } : {},
+      body
+    };
+  }
+
+  /**
+   * Whether an authorization method means the card was present; keyed-in
+   * entries are treated as card-not-present
+   */
+  isCardPresent(authorizationMethod) {
+    if (!authorizationMethod) {
+      return undefined;
+    }
+    return ['chip', 'contactless', 'swipe'].includes(authorizationMethod);
+  }
+
   processAuthorizationEvent(event) {
     const auth = event.data.object;
+    let status = auth.approved ? 'approved' : 'declined';
+    if (auth.status === 'reversed') {
+      status = 'reversed';
+    }
     return {
+      transactionId: auth.id,
       authorizationId: auth.id,
       cardId: auth.card,
+      type: 'authorization',
+      // Incremental authorizations and partial reversals change the amount of the same authorization
       amount: auth.amount / 100,
+      currency: auth.currency?.toUpperCase(),
       merchantName: auth.merchant_data?.name,
-      status: auth.approved ? 'approved' : 'declined',
+      merchantCategory: auth.merchant_data?.category,
+      merchantMcc: auth.merchant_data?.category_code,
+      merchantNetworkId: auth.merchant_data?.network_id,
+      merchantCountry: auth.merchant_data?.country,
+      cardPresent: this.isCardPresent(auth.authorization_method),
+      status,
       timestamp: new Date(auth.created * 1000).toISOString()
     };
   }
@@ -461,13 +671,53 @@ class StripeIssuingAdapter extends CardIssuerAdapter {
     return {
       transactionId: tx.id,
       cardId: tx.card,
-      amount: tx.amount / 100,
+      type: tx.type === 'refund' ? 'refund' : 'clearing',
+      // Stripe reports captures as negative amounts
+      amount: Math.abs(tx.amount) / 100,
+      currency: tx.currency?.toUpperCase(),
       merchantName: tx.merchant_data?.name,
-      status: tx.status,
+      merchantCategory: tx.merchant_data?.category,
+      merchantMcc: tx.merchant_data?.category_code,
+      merchantNetworkId: tx.merchant_data?.network_id,
+      status: 'settled',
+      // Authorization this capture settles
+      relatedTransactionId: tx.authorization,
       timestamp: new Date(tx.created * 1000).toISOString()
     };
   }
 
+  mapToStripeDisputeReason(reasonCode) {
+    const reasonMap = {
+      fraud: 'fraudulent',
+      unrecognized: 'fraudulent',
+      duplicate: 'duplicate',
+      not_received: 'not_received',
+      not_as_described: 'merchandise_not_as_described',
+      canceled_subscription: 'canceled'
+    };
+    return reasonMap[reasonCode] || 'other';
+  }
+
+  mapStripeDisputeStatus(stripeStatus) {
+    const statusMap = {
+      unsubmitted: 'opened',
+      submitted: 'submitted',
+      won: 'won',
+      lost: 'lost',
+      expired: 'lost'
+    };
+    return statusMap[stripeStatus] || 'submitted';
+  }
+
+  processDisputeEvent(event) {
+    const dispute = event.data.object;
+    return {
+      disputeId: dispute.id,
+      status: this.mapStripeDisputeStatus(dispute.status),
+      timestamp: new Date(dispute.created * 1000).toISOString()
+    };
+  }
+
   processCardEvent(event) {
     const card = event.data.object;
     return {
@@ -1,5 +1,6 @@
 const MarqetaAdapter = require('../adapters/MarqetaAdapter');
 const StripeIssuingAdapter = require('../adapters/StripeIssuingAdapter');
+const BitnobAdapter = require('../adapters/BitnobAdapter');
 
 /**
  * Card Issuer Configuration and Factory
@@ -28,6 +29,16 @@ class CardIssuerConfig {
           environment: process.env.NODE_ENV === 'production' ? 'production' : 'test'
         }
       },
+      bitnob: {
+        name: 'Bitnob',
+        adapter: BitnobAdapter,
+        config: {
+          baseUrl: process.env.BITNOB_BASE_URL || 'https://sandboxapi.bitnob.co/api/v1',
+          apiKey: process.env.BITNOB_SECRET_KEY,
+          webhookSecret: process.env.BITNOB_WEBHOOK_SECRET,
+          environment: process.env.NODE_ENV === 'production' ? 'production' : 'sandbox'
+        }
+      },
       mock: {
         name: 'Mock Provider',
         adapter: null, // Will use existing mock service
@@ -50,7 +61,7 @@ class CardIssuerConfig {
 
   /**
    * Get card issuer adapter instance
-   * @param {string} provider - Provider name (marqeta, stripe, mock)
+   * @param {string} provider - Provider name (marqeta, stripe, bitnob, mock)
    * @returns {CardIssuerAdapter} Configured adapter instance
    */
   getAdapter(provider = null) {
@@ -82,7 +93,8 @@ class CardIssuerConfig {
   validateProviderConfig(provider, config) {
     const requiredFields = {
       marqeta: ['applicationToken', 'adminAccessToken'],
-      stripe: ['apiKey']
+      stripe: ['apiKey'],
+      bitnob: ['apiKey']
     };
 
     const required = requiredFields[provider] || [];
@@ -158,7 +170,8 @@ class CardIssuerConfig {
       secret: providerConfig.config.webhookSecret,
       endpoints: {
         marqeta: '/api/webhooks/marqeta',
-        stripe: '/api/webhooks/stripe-issuing'
+        stripe: '/api/webhooks/stripe-issuing',
+        bitnob: '/api/webhooks/bitnob'
       }[providerName]
     };
   }
@@ -209,6 +222,16 @@ class CardIssuerConfig {
           brand: 'mastercard',
           features: ['virtual', 'instant_issue']
         }
+      },
+      bitnob: {
+        visa: {
+          cardBrand: 'visa',
+          features: ['virtual']
+        },
+        mastercard: {
+          cardBrand: 'mastercard',
+          features: ['virtual']
+        }
       }
     };
 
@@ -0,0 +1,67 @@
+const path = require('path');
+const LocalFileKmsProvider = require('../adapters/LocalFileKmsProvider');
+
+/**
+ * Key Management Configuration and Factory
+ * Register cloud KMS backends here alongside the local file-based one.
+ * Envelope encryption of card data is on when KMS_PROVIDER is set.
+ */
+class KmsConfig {
+  constructor() {
+    const kmsDir = path.join(__dirname, '..', '.kms');
+
+    this.providers = {
+      local: {
+        name: 'Local File KMS',
+        adapter: LocalFileKmsProvider,
+        config: {
+          keyFile: process.env.KMS_LOCAL_KEY_FILE || path.join(kmsDir, 'master-keys.json'),
+          auditFile: process.env.KMS_LOCAL_AUDIT_FILE || path.join(kmsDir, 'audit.log'),
+          createIfMissing: process.env.NODE_ENV !== 'production'
+        }
+      }
+    };
+
+    this.defaultProvider = process.env.KMS_PROVIDER || null;
+    this.instances = new Map();
+  }
+
+  /**
+   * Whether card data is envelope encrypted
+   * @returns {boolean} Whether a KMS provider is configured
+   */
+  isEnabled() {
+    return Boolean(this.defaultProvider);
+  }
+
+  /**
+   * Get the KMS provider instance, creating it once per provider
+   * @param {string} provider - Provider name
+   * @returns {KmsProvider} Configured provider
+   */
+  getProvider(provider = null) {
+    const providerName = provider || this.defaultProvider;
+    const providerConfig = this.providers[providerName];
+
+    if (!providerConfig) {
+      throw new Error(`Unknown KMS provider: ${providerName}`);
+    }
+
+    if (!this.instances.has(providerName)) {
+      const AdapterClass = providerConfig.adapter;
+      this.instances.set(providerName, new AdapterClass({ name: providerName, ...providerConfig.config }));
+    }
+
+    return this.instances.get(providerName);
+  }
+
+  /**
+   * Get available KMS providers
+   * @returns {Array} Provider names
+   */
+  getAvailableProviders() {
+    return Object.keys(this.providers);
+  }
+}
+
+module.exports = new KmsConfig();
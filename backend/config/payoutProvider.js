@@ -0,0 +1,54 @@
+const SimulatedPayoutProvider = require('../adapters/SimulatedPayoutProvider');
+
+/**
+ * Payout Provider Configuration and Factory
+ * Register real payout providers here alongside the local simulator
+ */
+class PayoutProviderConfig {
+  constructor() {
+    this.providers = {
+      simulator: {
+        name: 'Payout Simulator',
+        adapter: SimulatedPayoutProvider,
+        config: {
+          settlementDelayMs: parseInt(process.env.PAYOUT_SIMULATOR_DELAY_MS || '5000', 10),
+          failureRate: parseFloat(process.env.PAYOUT_SIMULATOR_FAILURE_RATE || '0')
+        }
+      }
+    };
+
+    this.defaultProvider = process.env.PAYOUT_PROVIDER || 'simulator';
+    this.instances = new Map();
+  }
+
+  /**
+   * Get the payout provider instance, creating it once per provider
+   * @param {string} provider - Provider name
+   * @returns {PayoutProvider} Configured provider
+   */
+  getProvider(provider = null) {
+    const providerName = provider || this.defaultProvider;
+    const providerConfig = this.providers[providerName];
+
+    if (!providerConfig) {
+      throw new Error(`Unknown payout provider: ${providerName}`);
+    }
+
+    if (!this.instances.has(providerName)) {
+      const AdapterClass = providerConfig.adapter;
+      this.instances.set(providerName, new AdapterClass({ name: providerName, ...providerConfig.config }));
+    }
+
+    return this.instances.get(providerName);
+  }
+
+  /**
+   * Get available payout providers
+   * @returns {Array} Provider names
+   */
+  getAvailableProviders() {
+    return Object.keys(this.providers);
+  }
+}
+
+module.exports = new PayoutProviderConfig();
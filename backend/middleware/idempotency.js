@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { logger } = require('../utils/logger');
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000; // Keys are honoured for 24 hours
+const PROCESSING_LEASE_MS = 2 * 60 * 1000; // A key still processing after this was abandoned
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so field order does not change the fingerprint
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const fingerprint = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+const conflict = (res, message, code) => {
+  return res.status(409).json({ success: false, message, code });
+};
+
+/**
+ * Idempotency middleware for money-moving endpoints
+ * Must run after auth. Requests without an Idempotency-Key header are
+ * processed normally. The first request with a key is executed and its
+ * response stored; retries with the same key and body get the stored
+ * response back, while reusing the key with a different body is rejected.
+ * A key whose request ends without a stored response is released, and one
+ * left processing past its lease (the process died mid-request) is taken
+ * over by the next retry.
+ */
+const idempotency = async (req, res, next, takeover = false) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const userId = req.user.id;
+  const requestHash = fingerprint(req);
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      userId,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+      expiresAt: new Date(Date.now() + KEY_TTL_MS)
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return next(error);
+    }
+
+    let existing;
+    try {
+      existing = await IdempotencyKey.findOne({ userId, key });
+    } catch (lookupError) {
+      return next(lookupError);
+    }
+    if (!existing) {
+      // Expired between the insert and the lookup; let the client retry
+      return conflict(res, 'Idempotency-Key is being processed, retry the request', 'IDEMPOTENCY_KEY_IN_PROGRESS');
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return conflict(res, 'Idempotency-Key has already been used with a different request', 'IDEMPOTENCY_KEY_REUSED');
+    }
+
+    if (existing.status !== 'completed') {
+      const abandoned = existing.createdAt && existing.createdAt.getTime() <= Date.now() - PROCESSING_LEASE_MS;
+      if (!abandoned || takeover) {
+        return conflict(res, 'A request with this Idempotency-Key is still being processed', 'IDEMPOTENCY_KEY_IN_PROGRESS');
+      }
+
+      try {
+        await IdempotencyKey.deleteOne({ _id: existing._id, status: 'processing' });
+      } catch (deleteError) {
+        return next(deleteError);
+      }
+      return idempotency(req, res, next, true);
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Store the response before sending it, so a retry never re-executes
+  let stored = false;
+  const originalJson = res.json;
+  res.json = function(body) {
+    res.json = originalJson;
+    stored = true;
+
+    // Server errors are not stored: the request may be retried with the same key
+    const persist = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        {
+          $set: {
+            status: 'completed',
+            responseStatus: res.statusCode,
+            responseBody: JSON.parse(JSON.stringify(body)),
+            completedAt: new Date()
+          }
+        }
+      );
+
+    persist
+      .catch(error => {
+        logger.error('Failed to store idempotent response', { key, userId, error: error.message });
+      })
+      .finally(() => originalJson.call(res, body));
+
+    return res;
+  };
+
+  // Responses sent another way (res.send, the error handler) are not
+  // stored: release the key so the request can be retried
+  res.on('finish', () => {
+    if (stored) {
+      return;
+    }
+    IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' }).catch(error => {
+      logger.error('Failed to release idempotency key', { key, userId, error: error.message });
+    });
+  });
+
+  next();
+};
+
+module.exports = idempotency;
@@ -39,9 +39,25 @@ const paymentLimiter = rateLimit({
   },
 });
 
+// Card details reveals, per user: each reveal needs a reveal token, so this
+// limits reveals and password attempts alike. Runs after auth.
+const cardRevealLimiter = rateLimit({
+  windowMs: parseInt(process.env.CARD_REVEAL_RATE_WINDOW_MS || '3600000', 10), // 1 hour
+  max: parseInt(process.env.CARD_REVEAL_RATE_LIMIT || '5', 10), // limit each user to 5 reveal tokens per windowMs
+  keyGenerator: (req) => String(req.user.id),
+  message: {
+    success: false,
+    message: 'Card reveal limit exceeded, please try again later.',
+    code: 'REVEAL_RATE_LIMITED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 module.exports = {
   apiLimiter,
   authLimiter,
   cardLimiter,
-  paymentLimiter
+  paymentLimiter,
+  cardRevealLimiter
 };
\ No newline at end of file
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const moneyFields = require('./plugins/moneyFields');
+
+/**
+ * Authorization Hold
+ * Funds reserved on a card by an approved authorization until the
+ * merchant clears it. Held amounts reduce the card's available balance but
+ * not its ledger balance; the ledger only moves when a clearing posts.
+ * Incremental authorizations add to the hold, partial reversals release
+ * part of it, and a hold nobody clears is released once it expires.
+ *
+ * active -> cleared | released | expired
+ *
+ * Amounts are in minor units of `currency`.
+ */
+const incrementSchema = new mongoose.Schema({
+  issuerTransactionId: String,
+  amountMinor: Number,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const clearingSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  amountMinor: Number,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const authorizationHoldSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualCard',
+    required: true
+  },
+  // The authorization transaction, which clearings point at through relatedTransactionId
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  issuerAuthorizationId: String,
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+
+  // Amount the merchant asked for; more than authorizedMinor on a partial approval
+  requestedMinor: Number,
+  // Total approved, including incremental authorizations
+  authorizedMinor: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Still held
+  amountMinor: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  clearedMinor: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'cleared', 'released', 'expired'],
+    default: 'active'
+  },
+  increments: [incrementSchema],
+  clearings: [clearingSchema],
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  releasedAt: Date,
+  releaseReason: String
+}, {
+  timestamps: true
+});
+
+authorizationHoldSchema.plugin(moneyFields, {
+  fields: {
+    amount: 'amountMinor',
+    requestedAmount: 'requestedMinor',
+    authorizedAmount: 'authorizedMinor',
+    clearedAmount: 'clearedMinor'
+  }
+});
+
+// Indexes
+authorizationHoldSchema.index({ transactionId: 1 }, { unique: true });
+authorizationHoldSchema.index({ cardId: 1, status: 1 });
+authorizationHoldSchema.index({ status: 1, expiresAt: 1 });
+
+authorizationHoldSchema.virtual('isPartial').get(function() {
+  return Boolean(this.requestedMinor) && this.requestedMinor > this.authorizedMinor;
+});
+
+module.exports = mongoose.model('AuthorizationHold', authorizationHoldSchema);
@@ -1,17 +1,21 @@
 const mongoose = require('mongoose');
 
+// Bitnob-era cards. Migration 004-legacy-bitnob-cards copies them into
+// VirtualCard documents with the same _id, and 005 then removes the
+// plaintext card number and CVV from here.
 const cardSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   bitnobCardId: { type: String, required: true },
   cardType: { type: String, enum: ['visa', 'mastercard'], required: true },
   subscriptionType: { type: String, enum: ['instant', 'subscription'], required: true },
-  cardNumber: { type: String, required: true },
+  cardNumber: { type: String },
   expiryDate: { type: String, required: true },
-  cvv: { type: String, required: true },
+  cvv: { type: String },
   balance: { type: Number, default: 0 },
   status: { type: String, enum: ['active', 'frozen', 'expired'], default: 'active' },
   spendingLimit: { type: Number, default: 1000 },
-  expiresAt: { type: Date }
+  expiresAt: { type: Date },
+  migratedAt: { type: Date }
 }, { timestamps: true });
 
 // Indexes
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Card reveal token
+ * Issued after the card owner re-authenticates and exchanged once for the
+ * card's number and CVV. Only the SHA-256 of the token is stored.
+ */
+const cardRevealTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualCard',
+    required: true
+  },
+
+  // How the owner re-authenticated
+  method: {
+    type: String,
+    enum: ['password'],
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when the token is exchanged for the card details
+  usedAt: Date,
+  ip: String
+}, {
+  timestamps: true
+});
+
+// Kept for a day after issue for the audit trail, long after they expire
+cardRevealTokenSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('CardRevealToken', cardRevealTokenSchema);
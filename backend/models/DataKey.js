@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Data Key
+ * A per-user key that encrypts that user's card numbers, CVVs and payout
+ * account numbers. Only the copy wrapped by the KMS is stored, so reading a
+ * user's card data takes a KMS unwrap on top of database access.
+ */
+const dataKeySchema = new mongoose.Schema({
+  // Null for the platform's own key, used for data without an owner
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // KMS provider and master key the data key is wrapped under
+  provider: {
+    type: String,
+    required: true
+  },
+  masterKeyId: {
+    type: String,
+    required: true
+  },
+  wrappedKey: {
+    type: String,
+    required: true
+  },
+
+  // Retired keys still decrypt; new data uses the active key
+  status: {
+    type: String,
+    enum: ['active', 'retired'],
+    default: 'active'
+  },
+  rewrappedAt: Date
+}, {
+  timestamps: true
+});
+
+// One active key per owner
+dataKeySchema.index({ ownerId: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+dataKeySchema.index({ masterKeyId: 1 });
+
+module.exports = mongoose.model('DataKey', dataKeySchema);
@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const moneyFields = require('./plugins/moneyFields');
+
+/**
+ * Dispute
+ * A cardholder's dispute of a card charge, filed with the card issuer as a
+ * chargeback. The disputed transaction is marked `disputed` while the case
+ * is open. A provisional credit can be advanced while the issuer decides;
+ * it is kept when the dispute is won and taken back when it is lost or
+ * withdrawn.
+ *
+ * opened -> submitted -> won | lost
+ * opened | submitted -> withdrawn
+ */
+const REASON_CODES = [
+  'fraud', 'unrecognized', 'duplicate', 'not_received', 'not_as_described',
+  'canceled_subscription', 'incorrect_amount', 'credit_not_processed', 'other'
+];
+
+const EVIDENCE_TYPES = ['receipt', 'correspondence', 'proof_of_return', 'cancellation', 'statement', 'other'];
+
+const TRANSITIONS = {
+  opened: ['submitted', 'withdrawn'],
+  submitted: ['won', 'lost', 'withdrawn'],
+  won: [],
+  lost: [],
+  withdrawn: []
+};
+
+const evidenceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: EVIDENCE_TYPES,
+    required: true
+  },
+  // Document uploaded to the platform, or a link to one held elsewhere
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DisputeDocument'
+  },
+  url: String,
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  addedBy: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const historySchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  actor: {
+    type: String,
+    enum: ['user', 'admin', 'issuer'],
+    required: true
+  },
+  actorId: mongoose.Schema.Types.ObjectId,
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const disputeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  cardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualCard'
+  },
+
+  // Disputed amount, at most the transaction amount, in minor units of `currency`
+  amountMinor: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+
+  reasonCode: {
+    type: String,
+    enum: REASON_CODES,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  evidence: [evidenceSchema],
+
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'opened'
+  },
+  history: [historySchema],
+
+  // Issuer case
+  provider: String,
+  providerDisputeId: String,
+  providerStatus: String,
+  submittedAt: Date,
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submissionError: String,
+
+  // Provisional credit
+  provisionalCreditRequested: {
+    type: Boolean,
+    default: false
+  },
+  provisionalCredit: {
+    status: {
+      type: String,
+      enum: ['none', 'granted', 'kept', 'reversed', 'reversal_failed'],
+      default: 'none'
+    },
+    grantedAt: Date,
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    entryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JournalEntry'
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    reversalEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JournalEntry'
+    }
+  },
+
+  // Outcome
+  resolvedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolutionNote: String,
+  // Final credit posted for a won dispute without a provisional credit
+  creditEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  creditTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }
+}, {
+  timestamps: true
+});
+
+disputeSchema.plugin(moneyFields, {
+  fields: { amount: 'amountMinor' }
+});
+
+// Indexes
+disputeSchema.index({ userId: 1, createdAt: -1 });
+disputeSchema.index({ transactionId: 1 });
+disputeSchema.index({ status: 1, createdAt: 1 });
+disputeSchema.index({ provider: 1, providerDisputeId: 1 }, { unique: true, sparse: true });
+
+disputeSchema.statics.REASON_CODES = REASON_CODES;
+disputeSchema.statics.EVIDENCE_TYPES = EVIDENCE_TYPES;
+disputeSchema.statics.TRANSITIONS = TRANSITIONS;
+
+// Statuses a dispute can still move on from
+disputeSchema.statics.OPEN_STATUSES = ['opened', 'submitted'];
+
+disputeSchema.statics.canTransition = function(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+};
+
+// Cardholder view: no admin identities or issuer error details
+disputeSchema.methods.toSafeObject = function() {
+  const obj = this.toObject();
+  delete obj.submissionError;
+  delete obj.submittedBy;
+  delete obj.resolvedBy;
+  if (obj.provisionalCredit) {
+    delete obj.provisionalCredit.grantedBy;
+  }
+  obj.history = this.history.map(item => ({ from: item.from, to: item.to, actor: item.actor, note: item.note, at: item.at }));
+  return obj;
+};
+
+module.exports = mongoose.model('Dispute', disputeSchema);
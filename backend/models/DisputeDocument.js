@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const secureCardStorage = require('../utils/secureCardStorage');
+
+/**
+ * Dispute document
+ * A file a cardholder uploads as dispute evidence: a receipt, a return
+ * label, correspondence with the merchant. The platform holds the file
+ * itself, encrypted under the owner's data key, so it can be filed with the
+ * issuer without depending on a link elsewhere. Evidence items refer to it
+ * by documentId.
+ */
+const CONTENT_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+
+// Largest file accepted, in bytes
+const MAX_SIZE = 4 * 1024 * 1024;
+
+const disputeDocumentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  filename: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    required: true
+  },
+  contentType: {
+    type: String,
+    enum: CONTENT_TYPES,
+    required: true
+  },
+  size: {
+    type: Number,
+    max: MAX_SIZE,
+    required: true
+  },
+  sha256: {
+    type: String,
+    required: true
+  },
+
+  // Base64 of the file, encrypted
+  encryptedContent: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+disputeDocumentSchema.index({ userId: 1, createdAt: -1 });
+
+disputeDocumentSchema.statics.CONTENT_TYPES = CONTENT_TYPES;
+disputeDocumentSchema.statics.MAX_SIZE = MAX_SIZE;
+
+// Instance methods
+disputeDocumentSchema.methods.setContent = async function(data) {
+  this.encryptedContent = await secureCardStorage.encryptCardData(data.toString('base64'), this.userId, this._id);
+  this.size = data.length;
+  this.sha256 = crypto.createHash('sha256').update(data).digest('hex');
+};
+
+disputeDocumentSchema.methods.getContent = async function() {
+  const content = await secureCardStorage.decryptCardData(this.encryptedContent, this.userId, this._id);
+  return Buffer.from(content, 'base64');
+};
+
+disputeDocumentSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    filename: this.filename,
+    contentType: this.contentType,
+    size: this.size,
+    sha256: this.sha256,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('DisputeDocument', disputeDocumentSchema);
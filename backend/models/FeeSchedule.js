@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+/**
+ * Fee Schedule
+ * An admin-editable fee rule for one money operation. A schedule can be
+ * narrowed to a funding method or payout destination type, a KYC level, a
+ * user plan and a currency; the most specific active schedule matching a
+ * request wins. Operations without a matching schedule use the built-in
+ * defaults in feeService.
+ *
+ * Amounts are in major units of the schedule currency, or of the currency
+ * of the operation when the schedule has none.
+ */
+const OPERATIONS = [
+  'card_creation',
+  'wallet_funding', // Fee deducted from the deposit
+  'gift_card_purchase',
+  'fx_conversion', // Charged in the currency sold, on top of the spread
+  'withdrawal'
+];
+
+const FEE_TYPES = [
+  'flat', // flatAmount
+  'percentage', // percent of the amount, plus flatAmount
+  'tiered' // percent and flatAmount of the first tier the amount fits in
+];
+
+const tierSchema = new mongoose.Schema({
+  // Upper bound of the tier, inclusive; the last tier may leave it unset
+  upTo: {
+    type: Number,
+    min: 0
+  },
+  flatAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  percent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+const feeScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  operation: {
+    type: String,
+    enum: OPERATIONS,
+    required: true
+  },
+
+  // Matching criteria; unset matches every request
+  method: String,
+  kycLevel: {
+    type: String,
+    enum: ['basic', 'enhanced', 'premium']
+  },
+  plan: String,
+  currency: {
+    type: String,
+    uppercase: true
+  },
+
+  type: {
+    type: String,
+    enum: FEE_TYPES,
+    required: true
+  },
+  flatAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  percent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  tiers: [tierSchema],
+  minFee: {
+    type: Number,
+    min: 0
+  },
+  maxFee: {
+    type: Number,
+    min: 0
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+feeScheduleSchema.index({ operation: 1, active: 1 });
+
+feeScheduleSchema.pre('validate', function(next) {
+  if (this.type === 'tiered' && (!this.tiers || this.tiers.length === 0)) {
+    this.invalidate('tiers', 'Tiered fee schedules need at least one tier');
+  }
+  if (this.minFee !== undefined && this.maxFee !== undefined && this.minFee > this.maxFee) {
+    this.invalidate('minFee', 'minFee cannot exceed maxFee');
+  }
+  next();
+});
+
+// Number of matching criteria set, used to pick the most specific schedule
+feeScheduleSchema.methods.specificity = function() {
+  return ['method', 'kycLevel', 'plan', 'currency'].filter(field => Boolean(this[field])).length;
+};
+
+feeScheduleSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    operation: this.operation,
+    method: this.method || null,
+    kycLevel: this.kycLevel || null,
+    plan: this.plan || null,
+    currency: this.currency || null,
+    type: this.type,
+    flatAmount: this.flatAmount,
+    percent: this.percent,
+    tiers: (this.tiers || []).map(tier => ({
+      upTo: tier.upTo ?? null,
+      flatAmount: tier.flatAmount,
+      percent: tier.percent
+    })),
+    minFee: this.minFee ?? null,
+    maxFee: this.maxFee ?? null,
+    active: this.active,
+    updatedAt: this.updatedAt
+  };
+};
+
+feeScheduleSchema.statics.OPERATIONS = OPERATIONS;
+feeScheduleSchema.statics.FEE_TYPES = FEE_TYPES;
+
+module.exports = mongoose.model('FeeSchedule', feeScheduleSchema);
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Money = require('../utils/money');
+
+/**
+ * FX quote
+ * A priced conversion offered to a user. Quotes are short lived; locking a
+ * quote extends its validity once so the user can confirm, and executing
+ * it posts the conversion to the ledger.
+ */
+const fxQuoteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  fromCurrency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  toCurrency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+
+  // Amounts in minor units of their own currency
+  sellAmountMinor: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  buyAmountMinor: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Spread kept by the platform, in minor units of toCurrency
+  spreadMinor: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Conversion fee charged on top of the amount sold, in minor units of fromCurrency
+  feeMinor: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  feeScheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeSchedule'
+  },
+
+  midRate: {
+    type: Number,
+    required: true
+  },
+  // Customer rate after the spread
+  rate: {
+    type: Number,
+    required: true
+  },
+  spreadBps: {
+    type: Number,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['quoted', 'locked', 'executed', 'expired'],
+    default: 'quoted'
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lockedAt: Date,
+  executedAt: Date,
+
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }
+}, {
+  timestamps: true
+});
+
+fxQuoteSchema.index({ userId: 1, createdAt: -1 });
+fxQuoteSchema.index({ status: 1, expiresAt: 1 });
+
+// Instance methods
+fxQuoteSchema.methods.isExpired = function(now = new Date()) {
+  return this.expiresAt <= now;
+};
+
+fxQuoteSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    from: this.fromCurrency,
+    to: this.toCurrency,
+    sellAmount: Money.toMajor(this.sellAmountMinor, this.fromCurrency),
+    buyAmount: Money.toMajor(this.buyAmountMinor, this.toCurrency),
+    fee: Money.toMajor(this.feeMinor || 0, this.fromCurrency),
+    totalDebited: Money.toMajor(this.sellAmountMinor + (this.feeMinor || 0), this.fromCurrency),
+    rate: this.rate,
+    midRate: this.midRate,
+    spreadBps: this.spreadBps,
+    status: this.status,
+    expiresAt: this.expiresAt
+  };
+};
+
+module.exports = mongoose.model('FxQuote', fxQuoteSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * FX rate
+ * Mid-market rate for a currency pair, loaded by an admin or from the
+ * configured rates file. `rate` is units of quote currency per unit of
+ * base currency.
+ */
+const fxRateSchema = new mongoose.Schema({
+  base: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  quote: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Overrides the default spread for this pair (basis points)
+  spreadBps: {
+    type: Number,
+    min: 0,
+    max: 10000
+  },
+
+  source: {
+    type: String,
+    enum: ['admin', 'file'],
+    default: 'admin'
+  },
+  loadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+fxRateSchema.index({ base: 1, quote: 1 }, { unique: true });
+
+fxRateSchema.path('rate').validate({
+  validator: value => value > 0,
+  message: 'FX rate must be greater than zero'
+});
+
+module.exports = mongoose.model('FxRate', fxRateSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const moneyFields = require('./plugins/moneyFields');
 
 const giftCardSchema = new mongoose.Schema({
   code: {
@@ -6,15 +7,22 @@ const giftCardSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
-  amount: {
+  // Face value and remaining balance in integer minor units of `currency`
+  // (exposed as `amount` and `balance`)
+  amountMinor: {
     type: Number,
     required: true,
-    min: 5
+    min: 500
   },
-  balance: {
+  balanceMinor: {
     type: Number,
     required: true
   },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
   design: {
     type: String,
     enum: ['general', 'birthday', 'holiday', 'business'],
@@ -44,4 +52,8 @@ const giftCardSchema = new mongoose.Schema({
   timestamps: true
 });
 
+giftCardSchema.plugin(moneyFields, {
+  fields: { amount: 'amountMinor', balance: 'balanceMinor' }
+});
+
 module.exports = mongoose.model('GiftCard', giftCardSchema);
\ No newline at end of file
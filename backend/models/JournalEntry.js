@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerAccount',
+    required: true
+  },
+  accountCode: {
+    type: String,
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  // Currency of the line when it differs from the entry (FX conversions)
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  // Amount in minor units (cents), always positive
+  amount: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Journal line amount must be an integer number of minor units'
+    }
+  }
+}, { _id: false });
+
+/**
+ * Journal entry
+ * Immutable, balanced set of debit and credit lines. Corrections are made
+ * by posting a reversing entry, never by editing an existing one.
+ */
+const journalEntrySchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+
+  lines: {
+    type: [journalLineSchema],
+    validate: {
+      validator: lines => Array.isArray(lines) && lines.length >= 2,
+      message: 'Journal entry requires at least two lines'
+    }
+  },
+
+  // Business event that produced the entry
+  eventType: {
+    type: String,
+    enum: [
+      'wallet_deposit', 'card_funding', 'card_defund', 'card_spend', 'card_refund',
+      'gift_card_purchase', 'gift_card_redemption', 'fx_conversion',
+      'withdrawal_hold', 'withdrawal_payout', 'fee', 'adjustment', 'reversal',
+      'dispute_credit', 'dispute_recovery', 'opening_balance'
+    ],
+    required: true
+  },
+
+  transactionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualCard'
+  },
+
+  // Set on reversing entries
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+
+  postedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+journalEntrySchema.index({ 'lines.account': 1, postedAt: -1 });
+journalEntrySchema.index({ 'lines.accountCode': 1 });
+journalEntrySchema.index({ userId: 1, postedAt: -1 });
+journalEntrySchema.index({ cardId: 1, postedAt: -1 });
+journalEntrySchema.index({ transactionIds: 1 });
+journalEntrySchema.index({ reversalOf: 1 }, { unique: true, sparse: true });
+
+// Virtual fields
+journalEntrySchema.virtual('totalDebits').get(function() {
+  return this.lines
+    .filter(line => line.direction === 'debit')
+    .reduce((sum, line) => sum + line.amount, 0);
+});
+
+journalEntrySchema.virtual('totalCredits').get(function() {
+  return this.lines
+    .filter(line => line.direction === 'credit')
+    .reduce((sum, line) => sum + line.amount, 0);
+});
+
+// Debits minus credits per currency; every currency must net to zero
+journalEntrySchema.virtual('netByCurrency').get(function() {
+  return this.lines.reduce((net, line) => {
+    const currency = line.currency || this.currency;
+    const signed = line.direction === 'debit' ? line.amount : -line.amount;
+    net[currency] = (net[currency] || 0) + signed;
+    return net;
+  }, {});
+});
+
+journalEntrySchema.virtual('isBalanced').get(function() {
+  return Object.values(this.netByCurrency).every(net => net === 0);
+});
+
+// Static methods
+journalEntrySchema.statics.findByAccountCode = function(accountCode, options = {}) {
+  return this.find({ 'lines.accountCode': accountCode })
+    .sort({ postedAt: -1 })
+    .limit(options.limit || 50)
+    .skip(options.offset || 0);
+};
+
+journalEntrySchema.statics.findByTransactionId = function(transactionId) {
+  return this.find({ transactionIds: transactionId }).sort({ postedAt: 1 });
+};
+
+// Pre-validate middleware: entries must balance
+journalEntrySchema.pre('validate', function(next) {
+  if (this.lines && this.lines.length >= 2 && !this.isBalanced) {
+    const unbalanced = Object.entries(this.netByCurrency)
+      .filter(([, net]) => net !== 0)
+      .map(([currency, net]) => `${currency} ${net}`);
+    this.invalidate('lines', `Journal entry is not balanced (debits minus credits: ${unbalanced.join(', ')})`);
+  }
+  next();
+});
+
+// Pre-save middleware: entries are append-only. The only field that may
+// be set after posting is reversedBy, which links to the reversing entry.
+journalEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Journal entries are immutable'));
+  }
+  next();
+});
+
+const rejectMutation = function(next) {
+  const update = this.getUpdate ? this.getUpdate() : null;
+  const fields = update ? Object.keys(update.$set || {}) : [];
+  // Timestamps plugin may add updatedAt alongside reversedBy
+  const onlyLinksReversal = update &&
+    Object.keys(update).every(key => key === '$set') &&
+    fields.includes('reversedBy') &&
+    fields.every(field => ['reversedBy', 'updatedAt'].includes(field));
+
+  if (onlyLinksReversal) {
+    return next();
+  }
+  next(new Error('Journal entries are immutable'));
+};
+
+journalEntrySchema.pre('updateOne', rejectMutation);
+journalEntrySchema.pre('updateMany', rejectMutation);
+journalEntrySchema.pre('findOneAndUpdate', rejectMutation);
+journalEntrySchema.pre('replaceOne', rejectMutation);
+journalEntrySchema.pre('deleteOne', rejectMutation);
+journalEntrySchema.pre('deleteMany', rejectMutation);
+journalEntrySchema.pre('findOneAndDelete', rejectMutation);
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * Ledger account
+ * One account per wallet, card, fee pool, issuer settlement pool, FX position and
+ * external funding source. The balance here is a running projection of
+ * the journal entries posted against the account.
+ */
+const ledgerAccountSchema = new mongoose.Schema({
+  // Stable, human readable identifier, e.g. "wallet:<userId>:USD"
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  type: {
+    type: String,
+    enum: ['wallet', 'card', 'gift_card', 'fee', 'issuer_settlement', 'funding_source', 'fx_position', 'payout_hold', 'dispute_receivable', 'opening_balance'],
+    required: true
+  },
+
+  // Side of the entry that increases the account balance
+  normalBalance: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+
+  // Owning document (User for wallets, VirtualCard for cards)
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
+
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+
+  // Balance in minor units (cents), maintained on every posting
+  balance: {
+    type: Number,
+    default: 0
+  },
+
+  lastEntryAt: Date,
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerAccountSchema.index({ type: 1, ownerId: 1 });
+
+// Static methods
+ledgerAccountSchema.statics.findByCode = function(code) {
+  return this.findOne({ code });
+};
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
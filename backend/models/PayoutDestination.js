@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const secureCardStorage = require('../utils/secureCardStorage');
+
+/**
+ * Payout destination
+ * A bank account or crypto address a user has saved for withdrawals.
+ * Bank account numbers are stored encrypted; only the last four digits
+ * are ever returned to clients.
+ */
+const payoutDestinationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ['bank_account', 'crypto_address'],
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+
+  bankAccount: {
+    accountHolderName: String,
+    bankName: String,
+    routingNumber: String,
+    country: {
+      type: String,
+      uppercase: true
+    },
+    encryptedAccountNumber: String,
+    last4: String
+  },
+
+  cryptoAddress: {
+    network: {
+      type: String,
+      enum: ['bitcoin', 'ethereum', 'tron', 'polygon']
+    },
+    asset: {
+      type: String,
+      uppercase: true
+    },
+    address: String
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'removed'],
+    default: 'active'
+  },
+  removedAt: Date
+}, {
+  timestamps: true
+});
+
+payoutDestinationSchema.index({ userId: 1, status: 1 });
+
+// Each destination type carries its own details
+payoutDestinationSchema.pre('validate', function(next) {
+  if (this.type === 'bank_account' && !this.bankAccount?.encryptedAccountNumber) {
+    this.invalidate('bankAccount', 'Bank account number is required');
+  }
+  if (this.type === 'crypto_address' && (!this.cryptoAddress?.network || !this.cryptoAddress?.address)) {
+    this.invalidate('cryptoAddress', 'Crypto network and address are required');
+  }
+  next();
+});
+
+// Instance methods
+payoutDestinationSchema.methods.setAccountNumber = async function(accountNumber) {
+  const digits = String(accountNumber).replace(/\s+/g, '');
+  this.bankAccount = this.bankAccount || {};
+  this.bankAccount.encryptedAccountNumber = await secureCardStorage.encryptCardData(digits, this.userId, this._id);
+  this.bankAccount.last4 = digits.slice(-4);
+};
+
+payoutDestinationSchema.methods.getAccountNumber = async function() {
+  if (!this.bankAccount?.encryptedAccountNumber) {
+    return null;
+  }
+  return secureCardStorage.decryptCardData(this.bankAccount.encryptedAccountNumber, this.userId, this._id);
+};
+
+payoutDestinationSchema.methods.getDisplayName = function() {
+  if (this.type === 'bank_account') {
+    return `${this.label || this.bankAccount.bankName || 'Bank account'} ****${this.bankAccount.last4}`;
+  }
+  const address = this.cryptoAddress.address;
+  return `${this.label || this.cryptoAddress.network} ${address.slice(0, 6)}...${address.slice(-4)}`;
+};
+
+payoutDestinationSchema.methods.toSafeObject = function() {
+  const obj = {
+    id: this._id,
+    type: this.type,
+    label: this.label,
+    displayName: this.getDisplayName(),
+    currency: this.currency,
+    status: this.status,
+    createdAt: this.createdAt
+  };
+
+  if (this.type === 'bank_account') {
+    obj.bankAccount = {
+      accountHolderName: this.bankAccount.accountHolderName,
+      bankName: this.bankAccount.bankName,
+      country: this.bankAccount.country,
+      last4: this.bankAccount.last4
+    };
+  } else {
+    obj.cryptoAddress = {
+      network: this.cryptoAddress.network,
+      asset: this.cryptoAddress.asset,
+      address: this.cryptoAddress.address
+    };
+  }
+
+  return obj;
+};
+
+module.exports = mongoose.model('PayoutDestination', payoutDestinationSchema);
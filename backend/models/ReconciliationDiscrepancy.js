@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+/**
+ * Reconciliation Discrepancy
+ * A difference between our card records and what the issuer reports.
+ * An open discrepancy is detected once and updated on later runs while it
+ * persists (`fingerprint` identifies it across runs); balance and status
+ * discrepancies that are no longer detected are cleared automatically.
+ *
+ * open -> resolved | ignored
+ */
+const DISCREPANCY_TYPES = [
+  'balance_mismatch', // Card balance differs from the issuer balance
+  'status_mismatch', // Card status differs from the issuer status
+  'missing_locally', // Issuer transaction with no local record
+  'missing_at_issuer', // Local issuer transaction the issuer does not report
+  'amount_mismatch' // Same transaction, different amounts
+];
+
+const RESOLUTION_ACTIONS = [
+  'adjust_balance', // Post a ledger adjustment to the issuer balance
+  'sync_status', // Apply the issuer status to the card
+  'import_transaction', // Record the issuer transaction locally
+  'mark_resolved', // Explained or fixed elsewhere
+  'ignore',
+  'auto_cleared' // No longer detected by a later run
+];
+
+const reconciliationDiscrepancySchema = new mongoose.Schema({
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: DISCREPANCY_TYPES,
+    required: true
+  },
+
+  provider: {
+    type: String,
+    required: true
+  },
+  cardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualCard',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  issuerCardId: String,
+
+  // Transaction discrepancies
+  issuerTransactionId: String,
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+
+  // What we recorded and what the issuer reported; amounts in minor units
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  localValue: mongoose.Schema.Types.Mixed,
+  issuerValue: mongoose.Schema.Types.Mixed,
+  differenceMinor: Number,
+
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'ignored'],
+    default: 'open'
+  },
+  firstRunId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReconciliationRun'
+  },
+  lastRunId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReconciliationRun'
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastDetectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+
+  resolution: {
+    action: {
+      type: String,
+      enum: RESOLUTION_ACTIONS
+    },
+    note: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date,
+    journalEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JournalEntry'
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+reconciliationDiscrepancySchema.index(
+  { fingerprint: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+reconciliationDiscrepancySchema.index({ status: 1, type: 1, detectedAt: -1 });
+reconciliationDiscrepancySchema.index({ cardId: 1, status: 1 });
+
+reconciliationDiscrepancySchema.statics.TYPES = DISCREPANCY_TYPES;
+reconciliationDiscrepancySchema.statics.RESOLUTION_ACTIONS = RESOLUTION_ACTIONS;
+
+module.exports = mongoose.model('ReconciliationDiscrepancy', reconciliationDiscrepancySchema);
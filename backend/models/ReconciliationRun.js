@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * Reconciliation Run
+ * One pass of the issuer reconciliation job over the cards of each
+ * provider, kept as an audit trail of when cards were last compared.
+ */
+const reconciliationRunSchema = new mongoose.Schema({
+  providers: [String],
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+
+  // Transactions are compared from this date onwards
+  windowStart: Date,
+
+  cardsChecked: {
+    type: Number,
+    default: 0
+  },
+  cardErrors: {
+    type: Number,
+    default: 0
+  },
+  discrepanciesFound: {
+    type: Number,
+    default: 0
+  },
+  discrepanciesCleared: {
+    type: Number,
+    default: 0
+  },
+  error: String
+}, {
+  timestamps: true
+});
+
+reconciliationRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('ReconciliationRun', reconciliationRunSchema);
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const Money = require('../utils/money');
+
+/**
+ * Statement
+ * A monthly statement for one wallet currency or one card, built from the
+ * ledger account behind it: opening and closing balances, every posting in
+ * the period with the fees it included, and items still pending at the
+ * end of the period. Statements are stored once generated; the PDF and CSV
+ * downloads are rendered from the stored document.
+ *
+ * Amounts are in minor units of `currency`; the period is a calendar month
+ * in UTC, `periodEnd` exclusive.
+ */
+const statementLineSchema = new mongoose.Schema({
+  postedAt: Date,
+  entryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  type: String,
+  description: String,
+  reference: String,
+  // Signed change to the balance; fees included in it are listed in feeMinor
+  amountMinor: Number,
+  feeMinor: {
+    type: Number,
+    default: 0
+  },
+  balanceAfterMinor: Number
+}, { _id: false });
+
+const pendingItemSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  createdAt: Date,
+  type: String,
+  description: String,
+  amountMinor: Number
+}, { _id: false });
+
+const statementSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['wallet', 'card'],
+    required: true
+  },
+  cardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualCard'
+  },
+  // Card name and last four digits when the statement was generated
+  cardLabel: String,
+  accountCode: {
+    type: String,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+
+  // "YYYY-MM"
+  period: {
+    type: String,
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+
+  openingBalanceMinor: {
+    type: Number,
+    required: true
+  },
+  closingBalanceMinor: {
+    type: Number,
+    required: true
+  },
+  creditsMinor: {
+    type: Number,
+    default: 0
+  },
+  debitsMinor: {
+    type: Number,
+    default: 0
+  },
+  feesMinor: {
+    type: Number,
+    default: 0
+  },
+  pendingMinor: {
+    type: Number,
+    default: 0
+  },
+
+  lines: [statementLineSchema],
+  pending: [pendingItemSchema],
+
+  trigger: {
+    type: String,
+    enum: ['schedule', 'on_demand'],
+    default: 'schedule'
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+statementSchema.index({ accountCode: 1, period: 1 }, { unique: true });
+statementSchema.index({ userId: 1, periodStart: -1 });
+
+// Summary without the lines, for listings
+statementSchema.methods.toSummary = function() {
+  const toMajor = (minor) => Money.toMajor(minor, this.currency);
+  return {
+    id: this._id,
+    scope: this.scope,
+    cardId: this.cardId || null,
+    cardLabel: this.cardLabel || null,
+    currency: this.currency,
+    period: this.period,
+    periodStart: this.periodStart,
+    periodEnd: this.periodEnd,
+    openingBalance: toMajor(this.openingBalanceMinor),
+    closingBalance: toMajor(this.closingBalanceMinor),
+    credits: toMajor(this.creditsMinor),
+    debits: toMajor(this.debitsMinor),
+    fees: toMajor(this.feesMinor),
+    pending: toMajor(this.pendingMinor),
+    transactionCount: this.lines.length,
+    generatedAt: this.generatedAt
+  };
+};
+
+// Full statement with its lines and pending items
+statementSchema.methods.toDetails = function() {
+  const toMajor = (minor) => Money.toMajor(minor, this.currency);
+  return {
+    ...this.toSummary(),
+    lines: this.lines.map(line => ({
+      postedAt: line.postedAt,
+      reference: line.reference,
+      type: line.type,
+      description: line.description,
+      amount: toMajor(line.amountMinor),
+      fee: toMajor(line.feeMinor),
+      balanceAfter: toMajor(line.balanceAfterMinor)
+    })),
+    pendingItems: this.pending.map(item => ({
+      transactionId: item.transactionId,
+      createdAt: item.createdAt,
+      type: item.type,
+      description: item.description,
+      amount: toMajor(item.amountMinor)
+    }))
+  };
+};
+
+module.exports = mongoose.model('Statement', statementSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Money = require('../utils/money');
+const moneyFields = require('./plugins/moneyFields');
 
 const transactionSchema = new mongoose.Schema({
   userId: {
@@ -16,15 +18,15 @@ const transactionSchema = new mongoose.Schema({
   type: {
     type: String,
     enum: [
-      'add_funds', 'card_funding', 'bank_transfer', 'crypto_deposit', 
-      'card_purchase', 'withdrawal', 'authorization', 'purchase', 
-      'reversal', 'chargeback', 'refund', 'unknown'
+      'add_funds', 'card_funding', 'card_defund', 'bank_transfer', 'crypto_deposit', 
+      'card_purchase', 'withdrawal', 'authorization', 'purchase', 'currency_conversion',
+      'reversal', 'chargeback', 'refund', 'adjustment', 'fee', 'unknown'
     ],
     required: true
   },
   
-  // Financial data
-  amount: {
+  // Financial data, in integer minor units of `currency` (exposed as `amount`)
+  amountMinor: {
     type: Number,
     required: true,
     min: 0
@@ -83,7 +85,19 @@ const transactionSchema = new mongoose.Schema({
     mcc: {
       type: String,
       maxlength: 10
-    }
+    },
+    // Merchant ID assigned by the card network (Stripe network_id, Marqeta card acceptor MID)
+    networkId: {
+      type: String,
+      maxlength: 50
+    },
+    // ISO 3166-1 alpha-2
+    country: {
+      type: String,
+      maxlength: 2
+    },
+    // Whether the card was physically present; unset when the network does not say
+    cardPresent: Boolean
   },
   
   // Authorization details
@@ -98,6 +112,12 @@ const transactionSchema = new mongoose.Schema({
     ref: 'Transaction'
   },
   
+  // Ledger posting that moved the money for this transaction
+  ledgerEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  
   // Legacy fields (for backward compatibility)
   paymentMethod: String,
   transactionId: String,
@@ -112,17 +132,30 @@ const transactionSchema = new mongoose.Schema({
   ipAddress: String,
   userAgent: String,
   
-  // Balance tracking
-  balanceBefore: Number,
-  balanceAfter: Number
+  // Balance tracking, in minor units (exposed as `balanceBefore`/`balanceAfter`)
+  balanceBeforeMinor: Number,
+  balanceAfterMinor: Number
 }, {
   timestamps: true
 });
 
+transactionSchema.plugin(moneyFields, {
+  fields: {
+    amount: 'amountMinor',
+    balanceBefore: 'balanceBeforeMinor',
+    balanceAfter: 'balanceAfterMinor'
+  }
+});
+
 // Indexes for performance
 transactionSchema.index({ userId: 1, createdAt: -1 });
 transactionSchema.index({ cardId: 1, createdAt: -1 });
 transactionSchema.index({ issuerTransactionId: 1 }, { unique: true, sparse: true });
+// A Stripe payment funds the wallet at most once
+transactionSchema.index(
+  { transactionId: 1 },
+  { unique: true, partialFilterExpression: { type: 'add_funds', status: 'completed', transactionId: { $type: 'string' } } }
+);
 transactionSchema.index({ type: 1, status: 1 });
 transactionSchema.index({ createdAt: -1 });
 
@@ -137,7 +170,7 @@ transactionSchema.virtual('isReversal').get(function() {
 
 transactionSchema.virtual('displayAmount').get(function() {
   const sign = this.isReversal ? '+' : '-';
-  return `${sign}${this.currency} ${this.amount.toFixed(2)}`;
+  return `${sign}${Money.format(this.amountMinor, this.currency)}`;
 });
 
 // Instance methods
@@ -172,7 +205,8 @@ transactionSchema.methods.toSafeObject = function() {
 };
 
 // Static methods
-transactionSchema.statics.findByUserId = function(userId, options = {}) {
+// Filter for a user's transactions: cardId, type, status, currency, dateRange ({ start, end }, either may be omitted)
+transactionSchema.statics.buildUserQuery = function(userId, options = {}) {
   const query = { userId };
   
   if (options.cardId) {
@@ -187,14 +221,25 @@ transactionSchema.statics.findByUserId = function(userId, options = {}) {
     query.status = options.status;
   }
   
-  if (options.dateRange) {
-    query.createdAt = {
-      $gte: new Date(options.dateRange.start),
-      $lte: new Date(options.dateRange.end)
-    };
+  if (options.currency) {
+    query.currency = options.currency;
+  }
+  
+  if (options.dateRange && (options.dateRange.start || options.dateRange.end)) {
+    query.createdAt = {};
+    if (options.dateRange.start) {
+      query.createdAt.$gte = new Date(options.dateRange.start);
+    }
+    if (options.dateRange.end) {
+      query.createdAt.$lte = new Date(options.dateRange.end);
+    }
   }
   
-  return this.find(query)
+  return query;
+};
+
+transactionSchema.statics.findByUserId = function(userId, options = {}) {
+  return this.find(this.buildUserQuery(userId, options))
     .sort({ createdAt: -1 })
     .limit(options.limit || 50)
     .skip(options.offset || 0);
@@ -204,6 +249,18 @@ transactionSchema.statics.findByIssuerTransactionId = function(issuerTransaction
   return this.findOne({ issuerTransactionId });
 };
 
+// Card spend: purchases, and authorizations not yet matched to a clearing.
+// A matched authorization is counted through its clearing, so spend is not
+// counted twice and reflects the cleared amount.
+transactionSchema.statics.spendMatch = function() {
+  return {
+    $or: [
+      { type: { $in: ['purchase', 'card_purchase'] } },
+      { type: 'authorization', 'metadata.clearingTransactionId': { $exists: false } }
+    ]
+  };
+};
+
 transactionSchema.statics.getCardTransactionSummary = function(cardId, days = 30) {
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - days);
@@ -213,19 +270,24 @@ transactionSchema.statics.getCardTransactionSummary = function(cardId, days = 30
       $match: {
         cardId: cardId,
         createdAt: { $gte: startDate },
-        type: { $in: ['authorization', 'purchase', 'card_purchase'] }
+        ...this.spendMatch()
       }
     },
     {
       $group: {
         _id: null,
-        totalAmount: { $sum: '$amount' },
+        totalAmount: { $sum: '$amountMinor' },
         transactionCount: { $sum: 1 },
-        avgAmount: { $avg: '$amount' },
-        maxAmount: { $max: '$amount' }
+        avgAmount: { $avg: '$amountMinor' },
+        maxAmount: { $max: '$amountMinor' }
       }
     }
-  ]);
+  ]).then(results => results.map(result => ({
+    ...result,
+    totalAmount: Money.toMajor(result.totalAmount),
+    avgAmount: Money.toMajor(Math.round(result.avgAmount)),
+    maxAmount: Money.toMajor(result.maxAmount)
+  })));
 };
 
 transactionSchema.statics.getDailySpending = function(cardId, date = new Date()) {
@@ -240,18 +302,21 @@ transactionSchema.statics.getDailySpending = function(cardId, date = new Date())
       $match: {
         cardId: cardId,
         createdAt: { $gte: startOfDay, $lte: endOfDay },
-        type: { $in: ['authorization', 'purchase', 'card_purchase'] },
+        ...this.spendMatch(),
         status: { $in: ['completed', 'pending'] }
       }
     },
     {
       $group: {
         _id: null,
-        totalSpent: { $sum: '$amount' },
+        totalSpent: { $sum: '$amountMinor' },
         transactionCount: { $sum: 1 }
       }
     }
-  ]);
+  ]).then(results => results.map(result => ({
+    ...result,
+    totalSpent: Money.toMajor(result.totalSpent)
+  })));
 };
 
 // Pre-save middleware
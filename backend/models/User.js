@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Money = require('../utils/money');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -18,9 +19,24 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
-  walletBalance: {
-    type: Number,
-    default: 0
+  // Wallet sub-balances in integer minor units, keyed by currency code.
+  // The walletCurrency entry is exposed as `walletBalance`.
+  walletBalances: {
+    type: Map,
+    of: {
+      type: Number,
+      validate: {
+        validator: Money.isMinor,
+        message: 'Wallet balances must be integer numbers of minor units'
+      }
+    },
+    default: {}
+  },
+  // Primary wallet currency
+  walletCurrency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
   },
   isVerified: {
     type: Boolean,
@@ -30,11 +46,52 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: ['not_started', 'pending', 'approved', 'rejected'],
     default: 'not_started'
+  },
+  // Pricing plan, matched against fee schedules
+  plan: {
+    type: String,
+    default: 'standard',
+    trim: true
   }
 }, {
   timestamps: true
 });
 
+/**
+ * Wallet sub-balance in minor units for a currency
+ * @param {string} currency - Currency code, defaults to the primary wallet currency
+ * @returns {number} Balance in minor units
+ */
+userSchema.methods.getWalletBalanceMinor = function(currency = this.walletCurrency) {
+  return (this.walletBalances && this.walletBalances.get(currency.toUpperCase())) || 0;
+};
+
+// Primary currency balance in major units
+userSchema.virtual('walletBalance')
+  .get(function() {
+    return Money.toMajor(this.getWalletBalanceMinor(), this.walletCurrency);
+  })
+  .set(function(value) {
+    this.walletBalances.set(this.walletCurrency, Money.toMinor(value, this.walletCurrency));
+  });
+
+// Serialize wallet balances in major units
+const serializeWallet = (doc, ret) => {
+  if (!doc.walletBalances) {
+    return ret;
+  }
+  const balances = {};
+  for (const [currency, minor] of doc.walletBalances) {
+    balances[currency] = Money.toMajor(minor, currency);
+  }
+  ret.walletBalances = balances;
+  ret.walletBalance = balances[doc.walletCurrency] || 0;
+  return ret;
+};
+
+userSchema.set('toJSON', { transform: serializeWallet });
+userSchema.set('toObject', { transform: serializeWallet });
+
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 12);
@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const secureCardStorage = require('../utils/secureCardStorage');
+const moneyFields = require('./plugins/moneyFields');
+const Money = require('../utils/money');
+
+// standard: reusable; single_use: closes after its first settled transaction;
+// merchant_locked: only accepts the first merchant that charges it
+const USAGE_TYPES = ['standard', 'single_use', 'merchant_locked'];
 
 const virtualCardSchema = new mongoose.Schema({
   userId: {
@@ -11,7 +17,7 @@ const virtualCardSchema = new mongoose.Schema({
   // Card Issuer Integration Fields
   issuerProvider: {
     type: String,
-    enum: ['marqeta', 'stripe', 'mock'],
+    enum: ['marqeta', 'stripe', 'bitnob', 'mock'],
     required: true,
     default: 'mock'
   },
@@ -25,14 +31,21 @@ const virtualCardSchema = new mongoose.Schema({
     required: false // Some providers may not use tokens
   },
   
-  // Encrypted Card Data (PCI DSS Compliant)
+  // Card data lives in the vault; the card only holds its token
+  vaultToken: {
+    type: String,
+    index: true,
+    select: false
+  },
+
+  // Encrypted card data from before the vault, read until migrated
   encryptedCardNumber: {
     type: String,
-    required: true
+    select: false
   },
   encryptedCvv: {
     type: String,
-    required: true
+    select: false
   },
   
   // Non-sensitive card data
@@ -67,8 +80,20 @@ const virtualCardSchema = new mongoose.Schema({
     maxlength: 50
   },
   
-  // Financial Data
-  balance: {
+  // Financial Data, in integer minor units of `currency` (exposed as `balance`)
+  balanceMinor: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  // Reserved by open authorization holds; the ledger balance less this is
+  // what the card can still spend (exposed as `heldBalance`)
+  heldMinor: {
     type: Number,
     default: 0,
     min: 0
@@ -96,6 +121,55 @@ const virtualCardSchema = new mongoose.Schema({
     }
   },
   
+  // Reissue the card automatically before it expires
+  autoRenew: {
+    type: Boolean,
+    default: false
+  },
+  // Days-before-expiry notices already sent, and when the renewal job
+  // next needs to look at the card (see cardRenewalService)
+  expiryNoticesSent: [Number],
+  nextExpiryCheckAt: Date,
+  // Card issued to replace this one
+  replacedByCardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualCard'
+  },
+
+  // Auto-reload from the wallet, in minor units of `currency`
+  autoReload: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    thresholdMinor: {
+      type: Number,
+      min: 0,
+      validate: {
+        validator: value => value === undefined || Number.isInteger(value),
+        message: 'Auto-reload threshold must be an integer number of minor units'
+      }
+    },
+    amountMinor: {
+      type: Number,
+      min: 1,
+      validate: {
+        validator: value => value === undefined || Number.isInteger(value),
+        message: 'Auto-reload amount must be an integer number of minor units'
+      }
+    },
+    maxPerDay: {
+      type: Number,
+      min: 1,
+      max: 24,
+      default: 3
+    },
+    lastReloadAt: Date,
+    lastFailureAt: Date,
+    lastFailureReason: String,
+    lastNotifiedAt: Date
+  },
+  
   // Enhanced Status Tracking
   status: {
     type: String,
@@ -106,6 +180,7 @@ const virtualCardSchema = new mongoose.Schema({
     type: String,
     maxlength: 200
   },
+  closedAt: Date,
   
   // Card Properties
   isVirtual: {
@@ -116,7 +191,64 @@ const virtualCardSchema = new mongoose.Schema({
     type: String,
     enum: ['online', 'retail', 'gas', 'grocery', 'entertainment', 'travel', 'all']
   }],
-  
+  usageType: {
+    type: String,
+    enum: USAGE_TYPES,
+    default: 'standard'
+  },
+  // Set by the first approved authorization on a single-use card
+  usedAt: Date,
+  // Set by the first approved authorization on a merchant-locked card
+  lockedMerchant: {
+    name: String,
+    networkId: String,
+    mcc: String,
+    lockedAt: Date
+  },
+  // When and where the card can be used (see cardControlsService). Days are
+  // 0 (Sunday) to 6 and hours are HH:MM, both in `timeZone`; an empty list
+  // allows every day or country.
+  usageControls: {
+    allowedDays: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    allowedHours: {
+      start: String,
+      end: String
+    },
+    timeZone: {
+      type: String,
+      default: 'UTC'
+    },
+    allowedCountries: [{
+      type: String,
+      uppercase: true,
+      match: /^[A-Z]{2}$/
+    }],
+    homeCountry: {
+      type: String,
+      uppercase: true,
+      match: /^[A-Z]{2}$/
+    },
+    allowInternational: {
+      type: Boolean,
+      default: true
+    },
+    allowOnline: {
+      type: Boolean,
+      default: true
+    },
+    allowCardPresent: {
+      type: Boolean,
+      default: true
+    },
+    // Controls the issuer enforces as well
+    issuerEnforced: [String],
+    updatedAt: Date
+  },
+
   // Compliance and Security
   kycVerified: {
     type: Boolean,
@@ -142,11 +274,13 @@ const virtualCardSchema = new mongoose.Schema({
   // Legacy fields for backward compatibility
   cardNumber: {
     type: String,
-    required: false // Will be deprecated in favor of encryptedCardNumber
+    required: false, // Will be deprecated in favor of vaultToken
+    select: false
   },
   cvv: {
     type: String,
-    required: false // Will be deprecated in favor of encryptedCvv
+    required: false, // Will be deprecated in favor of vaultToken
+    select: false
   },
   spendingLimit: {
     type: Number,
@@ -160,8 +294,13 @@ const virtualCardSchema = new mongoose.Schema({
   timestamps: true
 });
 
+virtualCardSchema.plugin(moneyFields, {
+  fields: { balance: 'balanceMinor', heldBalance: 'heldMinor' }
+});
+
 // Indexes for performance
 virtualCardSchema.index({ userId: 1, status: 1 });
+virtualCardSchema.index({ 'autoReload.enabled': 1, status: 1 });
 virtualCardSchema.index({ issuerProvider: 1, issuerCardId: 1 });
 virtualCardSchema.index({ last4Digits: 1 });
 virtualCardSchema.index({ createdAt: -1 });
@@ -171,47 +310,66 @@ virtualCardSchema.virtual('maskedCardNumber').get(function() {
   return secureCardStorage.maskCardNumber(this.last4Digits);
 });
 
+// Ledger balance less open authorization holds, in minor units
+virtualCardSchema.virtual('availableBalanceMinor').get(function() {
+  return Math.max(0, (this.balanceMinor || 0) - (this.heldMinor || 0));
+});
+
+virtualCardSchema.virtual('availableBalance').get(function() {
+  return Money.toMajor(this.availableBalanceMinor, this.currency);
+});
+
+// Cards are valid through the last day of their expiry month
+virtualCardSchema.virtual('expiresAt').get(function() {
+  return new Date(Date.UTC(2000 + parseInt(this.expiryYear), parseInt(this.expiryMonth)));
+});
+
 virtualCardSchema.virtual('isExpired').get(function() {
-  const now = new Date();
-  const expiry = new Date(2000 + parseInt(this.expiryYear), parseInt(this.expiryMonth) - 1);
-  return now > expiry;
+  return new Date() >= this.expiresAt;
 });
 
 virtualCardSchema.virtual('daysUntilExpiry').get(function() {
-  const now = new Date();
-  const expiry = new Date(2000 + parseInt(this.expiryYear), parseInt(this.expiryMonth) - 1);
-  const diffTime = expiry - now;
+  const diffTime = this.expiresAt - new Date();
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
 // Instance methods
-virtualCardSchema.methods.getDecryptedCardNumber = function() {
+// Legacy reads for cards stored before the vault. The fields are not selected
+// by default, so load the card with
+// .select('+encryptedCardNumber +encryptedCvv +cardNumber +cvv') first.
+virtualCardSchema.methods.getDecryptedCardNumber = async function() {
   if (!this.encryptedCardNumber) {
     return this.cardNumber; // Fallback to legacy field
   }
   return secureCardStorage.decryptCardData(this.encryptedCardNumber, this.userId, this._id);
 };
 
-virtualCardSchema.methods.getDecryptedCvv = function() {
+virtualCardSchema.methods.getDecryptedCvv = async function() {
   if (!this.encryptedCvv) {
     return this.cvv; // Fallback to legacy field
   }
   return secureCardStorage.decryptCardData(this.encryptedCvv, this.userId, this._id);
 };
 
-virtualCardSchema.methods.setCardNumber = function(cardNumber) {
-  this.encryptedCardNumber = secureCardStorage.encryptCardData(cardNumber, this.userId, this._id);
-  this.last4Digits = secureCardStorage.getLast4Digits(cardNumber);
-  this.cardBrand = secureCardStorage.detectCardBrand(cardNumber);
-  
-  // Clear legacy field
-  this.cardNumber = undefined;
-};
+// Tokenize the card number and CVV in the vault and keep only the token and
+// display fields on the card
+virtualCardSchema.methods.storeCardDetails = async function(cardNumber, cvv) {
+  const cardVault = require('../vault/cardVault');
+  const { token, last4, brand } = await cardVault.tokenize({
+    ownerId: this.userId,
+    cardId: this._id,
+    pan: cardNumber,
+    cvv
+  });
 
-virtualCardSchema.methods.setCvv = function(cvv) {
-  this.encryptedCvv = secureCardStorage.encryptCardData(cvv, this.userId, this._id);
-  
-  // Clear legacy field
+  this.vaultToken = token;
+  this.last4Digits = last4;
+  this.cardBrand = brand;
+
+  // Clear pre-vault fields
+  this.encryptedCardNumber = undefined;
+  this.encryptedCvv = undefined;
+  this.cardNumber = undefined;
   this.cvv = undefined;
 };
 
@@ -244,6 +402,7 @@ virtualCardSchema.methods.toSafeObject = function() {
   const obj = this.toObject();
   
   // Remove sensitive fields
+  delete obj.vaultToken;
   delete obj.encryptedCardNumber;
   delete obj.encryptedCvv;
   delete obj.cardNumber; // Legacy field
@@ -251,6 +410,8 @@ virtualCardSchema.methods.toSafeObject = function() {
   
   // Add safe display fields
   obj.maskedCardNumber = this.maskedCardNumber;
+  obj.ledgerBalance = this.balance;
+  obj.availableBalance = this.availableBalance;
   obj.isExpired = this.isExpired;
   obj.daysUntilExpiry = this.daysUntilExpiry;
   
@@ -281,7 +442,8 @@ virtualCardSchema.statics.findExpiringSoon = function(days = 30) {
       $lte: [
         { $dateFromParts: { 
           year: { $add: [2000, { $toInt: '$expiryYear' }] },
-          month: { $toInt: '$expiryMonth' }
+          // First day of the month after the expiry month
+          month: { $add: [{ $toInt: '$expiryMonth' }, 1] }
         }},
         futureDate
       ]
@@ -317,4 +479,6 @@ virtualCardSchema.post('save', function(doc) {
   secureCardStorage.logCardAccess(doc.userId, doc._id, 'save', 'success');
 });
 
+virtualCardSchema.statics.USAGE_TYPES = USAGE_TYPES;
+
 module.exports = mongoose.model('VirtualCard', virtualCardSchema);
\ No newline at end of file
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const moneyFields = require('./plugins/moneyFields');
+
+/**
+ * Withdrawal
+ * A request to pay wallet funds out to a saved payout destination.
+ * Requesting a withdrawal holds the amount plus fee on the ledger; the hold
+ * is paid out when the provider completes the payout, or released back to
+ * the wallet when the withdrawal is rejected, cancelled or fails.
+ *
+ * pending_review -> processing -> completed | failed
+ * pending_review -> rejected | cancelled
+ */
+const withdrawalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  destinationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutDestination',
+    required: true
+  },
+
+  // Amount paid out and fee charged on top, in minor units of `currency`
+  amountMinor: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  feeMinor: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending_review', 'processing', 'completed', 'failed', 'rejected', 'cancelled'],
+    default: 'pending_review'
+  },
+
+  // Payout provider
+  provider: String,
+  providerReference: String,
+  failureReason: String,
+
+  // Admin review
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String,
+
+  // Ledger and transaction links
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // Fee transaction, settled together with transactionId
+  feeTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  holdEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  payoutEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  releaseEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+withdrawalSchema.plugin(moneyFields, {
+  fields: { amount: 'amountMinor', fee: 'feeMinor' }
+});
+
+// Indexes
+withdrawalSchema.index({ userId: 1, createdAt: -1 });
+withdrawalSchema.index({ status: 1, createdAt: 1 });
+withdrawalSchema.index({ provider: 1, providerReference: 1 }, { unique: true, sparse: true });
+
+// Statuses that still count against withdrawal limits
+withdrawalSchema.statics.ACTIVE_STATUSES = ['pending_review', 'processing', 'completed'];
+
+module.exports = mongoose.model('Withdrawal', withdrawalSchema);
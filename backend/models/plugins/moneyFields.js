@@ -0,0 +1,68 @@
+const Money = require('../../utils/money');
+
+/**
+ * Money fields plugin
+ * Amounts are persisted as integer minor units (e.g. `amountMinor`) next to
+ * a currency code. For each stored field this adds a major-unit virtual
+ * under the legacy name (e.g. `amount`) that reads and writes the minor
+ * field, and serializes documents with the legacy name so the API shape
+ * stays the same.
+ *
+ * Major-unit setters use the document's current currency, so set the
+ * currency before assigning major-unit amounts on non-USD documents.
+ *
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - fields: { virtualName: minorPath }, currencyField
+ */
+module.exports = function moneyFields(schema, options = {}) {
+  const { fields = {}, currencyField = 'currency' } = options;
+
+  const currencyOf = (source) => {
+    const currency = typeof source.get === 'function' ? source.get(currencyField) : source[currencyField];
+    return currency || Money.DEFAULT_CURRENCY;
+  };
+
+  for (const [name, minorPath] of Object.entries(fields)) {
+    schema.path(minorPath).validate({
+      validator: value => value === null || value === undefined || Money.isMinor(value),
+      message: `${minorPath} must be an integer number of minor units`
+    });
+
+    schema.virtual(name)
+      .get(function() {
+        const minor = this.get(minorPath);
+        return minor === null || minor === undefined ? minor : Money.toMajor(minor, currencyOf(this));
+      })
+      .set(function(value) {
+        this.set(minorPath, value === null || value === undefined
+          ? value
+          : Money.toMinor(value, currencyOf(this)));
+      });
+  }
+
+  // Replace minor-unit fields with their major-unit values when serializing
+  const serializeMoney = (doc, ret) => {
+    for (const [name, minorPath] of Object.entries(fields)) {
+      if (ret[minorPath] !== undefined) {
+        ret[name] = ret[minorPath] === null ? null : Money.toMajor(ret[minorPath], currencyOf(ret));
+        delete ret[minorPath];
+      }
+    }
+    return ret;
+  };
+
+  for (const option of ['toJSON', 'toObject']) {
+    const existing = schema.get(option) || {};
+    const previousTransform = existing.transform;
+
+    schema.set(option, {
+      ...existing,
+      transform(doc, ret, transformOptions) {
+        const result = typeof previousTransform === 'function'
+          ? previousTransform(doc, ret, transformOptions) || ret
+          : ret;
+        return serializeMoney(doc, result);
+      }
+    });
+  }
+};
@@ -11,6 +11,15 @@ const fraudDetectionService = require('../services/fraudDetectionService');
 const kycValidationService = require('../services/kycValidationService');
 const monitoringService = require('../services/monitoringService');
 const featureFlagService = require('../services/featureFlagService');
+const ledgerService = require('../services/ledgerService');
+const fxService = require('../services/fxService');
+const withdrawalService = require('../services/withdrawalService');
+const reconciliationService = require('../services/reconciliationService');
+const feeService = require('../services/feeService');
+const disputeService = require('../services/disputeService');
+const keyRotationService = require('../services/keyRotationService');
+const JournalEntry = require('../models/JournalEntry');
+const Money = require('../utils/money');
 
 const router = express.Router();
 
@@ -48,6 +57,7 @@ router.get('/stats', [auth, adminAuth], async (req, res) => {
         byProvider: {
           marqeta: await VirtualCard.countDocuments({ issuerProvider: 'marqeta' }),
           stripe: await VirtualCard.countDocuments({ issuerProvider: 'stripe' }),
+          bitnob: await VirtualCard.countDocuments({ issuerProvider: 'bitnob' }),
           mock: await VirtualCard.countDocuments({ issuerProvider: 'mock' })
         },
         createdToday: await VirtualCard.countDocuments({ createdAt: { $gte: today } }),
@@ -56,17 +66,17 @@ router.get('/stats', [auth, adminAuth], async (req, res) => {
       transactions: {
         total: await Transaction.countDocuments(),
         volume: await Transaction.aggregate([
-          { $group: { _id: null, total: { $sum: '$amount' } } }
+          { $group: { _id: null, total: { $sum: '$amountMinor' } } }
         ]),
         today: await Transaction.countDocuments({ createdAt: { $gte: today } }),
         thisMonth: await Transaction.countDocuments({ createdAt: { $gte: thisMonth } }),
         volumeToday: await Transaction.aggregate([
           { $match: { createdAt: { $gte: today } } },
-          { $group: { _id: null, total: { $sum: '$amount' } } }
+          { $group: { _id: null, total: { $sum: '$amountMinor' } } }
         ]),
         volumeThisMonth: await Transaction.aggregate([
           { $match: { createdAt: { $gte: thisMonth } } },
-          { $group: { _id: null, total: { $sum: '$amount' } } }
+          { $group: { _id: null, total: { $sum: '$amountMinor' } } }
         ]),
         byStatus: {
           completed: await Transaction.countDocuments({ status: 'completed' }),
@@ -95,13 +105,13 @@ router.get('/stats', [auth, adminAuth], async (req, res) => {
       }
     };
 
-    // Format volume data
+    // Format volume data (summed in minor units)
     stats.transactions.volume = stats.transactions.volume.length > 0 ? 
-      stats.transactions.volume[0].total : 0;
+      Money.toMajor(stats.transactions.volume[0].total) : 0;
     stats.transactions.volumeToday = stats.transactions.volumeToday.length > 0 ? 
-      stats.transactions.volumeToday[0].total : 0;
+      Money.toMajor(stats.transactions.volumeToday[0].total) : 0;
     stats.transactions.volumeThisMonth = stats.transactions.volumeThisMonth.length > 0 ? 
-      stats.transactions.volumeThisMonth[0].total : 0;
+      Money.toMajor(stats.transactions.volumeThisMonth[0].total) : 0;
 
     res.json({
       success: true,
@@ -891,4 +901,593 @@ router.post('/feature-flags/import/config', [auth, adminAuth], async (req, res)
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Ledger integrity report
+router.get('/ledger/integrity', [auth, adminAuth], async (req, res) => {
+  try {
+    const report = await ledgerService.checkIntegrity();
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to check ledger integrity',
+      error: error.message 
+    });
+  }
+});
+
+// Compare a user's wallet balance with the ledger
+router.get('/ledger/users/:userId/wallet', [auth, adminAuth], async (req, res) => {
+  try {
+    const result = await ledgerService.verifyWalletBalance(req.params.userId, req.query.currency);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    const status = error.message === 'User not found' ? 404 : 500;
+    res.status(status).json({ 
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Compare a card balance with the ledger
+router.get('/ledger/cards/:cardId', [auth, adminAuth], async (req, res) => {
+  try {
+    const result = await ledgerService.verifyCardBalance(req.params.cardId);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    const status = error.message === 'Card not found' ? 404 : 500;
+    res.status(status).json({ 
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// List journal entries posted against a ledger account
+router.get('/ledger/accounts/:code/entries', [auth, adminAuth], async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const entries = await JournalEntry.findByAccountCode(req.params.code, {
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      entries
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to get journal entries',
+      error: error.message 
+    });
+  }
+});
+
+// List loaded FX rates
+router.get('/fx/rates', [auth, adminAuth], async (req, res) => {
+  try {
+    const rates = await fxService.listRates();
+
+    res.json({
+      success: true,
+      defaultSpreadBps: fxService.defaultSpreadBps,
+      rates
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to get FX rates',
+      error: error.message 
+    });
+  }
+});
+
+// Insert or replace FX rates
+router.put('/fx/rates', [auth, adminAuth], async (req, res) => {
+  try {
+    const { rates } = req.body;
+
+    if (!Array.isArray(rates) || rates.length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Rates array is required' 
+      });
+    }
+
+    const count = await fxService.upsertRates(rates, { loadedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: `${count} FX rate(s) updated`
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update FX rates',
+      error: error.message 
+    });
+  }
+});
+
+// Reload FX rates from the configured rates file
+router.post('/fx/rates/load', [auth, adminAuth], async (req, res) => {
+  try {
+    const count = await fxService.loadRatesFromFile({ loadedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: `${count} FX rate(s) loaded from file`
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to load FX rates',
+      error: error.message 
+    });
+  }
+});
+
+// List withdrawals awaiting review (or any status via ?status=)
+router.get('/withdrawals', [auth, adminAuth], async (req, res) => {
+  try {
+    const { status = 'pending_review', limit = 50, offset = 0 } = req.query;
+    const withdrawals = await withdrawalService.listForReview({
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      withdrawals
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to get withdrawals',
+      error: error.message 
+    });
+  }
+});
+
+// Approve a withdrawal and send it to the payout provider
+router.post('/withdrawals/:withdrawalId/approve', [auth, adminAuth], async (req, res) => {
+  try {
+    const withdrawal = await withdrawalService.approveWithdrawal(req.params.withdrawalId, req.user.id);
+
+    res.json({
+      success: true,
+      message: withdrawal.status === 'failed' ? 'Payout submission failed, funds released' : 'Withdrawal approved',
+      withdrawal
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to approve withdrawal',
+      error: error.message 
+    });
+  }
+});
+
+// Reject a withdrawal and release the held funds
+router.post('/withdrawals/:withdrawalId/reject', [auth, adminAuth], async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Rejection reason is required' 
+      });
+    }
+
+    const withdrawal = await withdrawalService.rejectWithdrawal(req.params.withdrawalId, req.user.id, reason);
+
+    res.json({
+      success: true,
+      message: 'Withdrawal rejected',
+      withdrawal
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to reject withdrawal',
+      error: error.message 
+    });
+  }
+});
+
+// List issuer reconciliation discrepancies (open by default) with a summary
+router.get('/reconciliation', [auth, adminAuth], async (req, res) => {
+  try {
+    const { status = 'open', type, provider, cardId, limit = 50, offset = 0 } = req.query;
+    const [{ discrepancies, total }, summary] = await Promise.all([
+      reconciliationService.listDiscrepancies({
+        status,
+        type,
+        provider,
+        cardId,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }),
+      reconciliationService.getSummary()
+    ]);
+
+    res.json({
+      success: true,
+      summary,
+      discrepancies,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to get reconciliation report',
+      error: error.message 
+    });
+  }
+});
+
+// List recent reconciliation runs
+router.get('/reconciliation/runs', [auth, adminAuth], async (req, res) => {
+  try {
+    const runs = await reconciliationService.listRuns(parseInt(req.query.limit || 20));
+
+    res.json({
+      success: true,
+      runs
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to get reconciliation runs',
+      error: error.message 
+    });
+  }
+});
+
+// Start a reconciliation run now; it completes in the background
+router.post('/reconciliation/run', [auth, adminAuth], async (req, res) => {
+  try {
+    const run = await reconciliationService.startRun({ trigger: 'manual', triggeredBy: req.user.id });
+    reconciliationService.executeRun(run).catch(error => console.error('Reconciliation run failed:', error));
+
+    res.status(202).json({
+      success: true,
+      message: 'Reconciliation started',
+      run
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to start reconciliation',
+      error: error.message 
+    });
+  }
+});
+
+// Encryption keyring and how much data is still under an old key
+router.get('/encryption/status', [auth, adminAuth], async (req, res) => {
+  try {
+    const status = await keyRotationService.getStatus();
+
+    res.json({
+      success: true,
+      ...status
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to get encryption status',
+      error: error.message 
+    });
+  }
+});
+
+// List recent key rotation runs
+router.get('/encryption/rotation/runs', [auth, adminAuth], async (req, res) => {
+  try {
+    const runs = await keyRotationService.listRuns(parseInt(req.query.limit || 20));
+
+    res.json({
+      success: true,
+      runs
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to get key rotation runs',
+      error: error.message 
+    });
+  }
+});
+
+// Re-encrypt stored data under the current key, resuming an unfinished run
+// unless restart is set; it completes in the background
+router.post('/encryption/rotation/run', [auth, adminAuth], async (req, res) => {
+  try {
+    const run = await keyRotationService.startRun({
+      trigger: 'manual',
+      triggeredBy: req.user.id,
+      restart: req.body.restart === true
+    });
+    keyRotationService.executeRun(run).catch(error => console.error('Key rotation run failed:', error));
+
+    res.status(202).json({
+      success: true,
+      message: run.resumedAt ? 'Key rotation resumed' : 'Key rotation started',
+      run
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to start key rotation',
+      error: error.message 
+    });
+  }
+});
+
+// Resolve a discrepancy: adjust_balance, sync_status, import_transaction,
+// mark_resolved or ignore (the last two need a note)
+router.post('/reconciliation/:discrepancyId/resolve', [auth, adminAuth], async (req, res) => {
+  try {
+    const { action, note } = req.body;
+
+    if (!action) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Resolution action is required' 
+      });
+    }
+
+    const discrepancy = await reconciliationService.resolveDiscrepancy(
+      req.params.discrepancyId,
+      req.user.id,
+      { action, note }
+    );
+
+    res.json({
+      success: true,
+      message: 'Discrepancy resolved',
+      discrepancy
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to resolve discrepancy',
+      error: error.message 
+    });
+  }
+});
+
+// Dispute queue (opened by default, oldest first)
+router.get('/disputes', [auth, adminAuth], async (req, res) => {
+  try {
+    const { status = 'opened', limit = 50, offset = 0 } = req.query;
+    const disputes = await disputeService.listForReview({
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      disputes
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to get disputes',
+      error: error.message 
+    });
+  }
+});
+
+// Download a document attached to a dispute as evidence
+router.get('/disputes/:disputeId/documents/:documentId', [auth, adminAuth], async (req, res) => {
+  try {
+    const document = await disputeService.getEvidenceDocument(req.params.disputeId, req.params.documentId);
+    const content = await document.getContent();
+
+    res.set('Content-Type', document.contentType);
+    res.set('Content-Disposition', `attachment; filename="${document.filename.replace(/[^\w.\- ]/g, '_')}"`);
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.send(content);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to get document',
+      error: error.message
+    });
+  }
+});
+
+// File a dispute with the card issuer
+router.post('/disputes/:disputeId/submit', [auth, adminAuth], async (req, res) => {
+  try {
+    const dispute = await disputeService.submitDispute(req.params.disputeId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Dispute submitted to issuer',
+      dispute
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to submit dispute',
+      error: error.message 
+    });
+  }
+});
+
+// Credit the disputed amount while the issuer decides
+router.post('/disputes/:disputeId/provisional-credit', [auth, adminAuth], async (req, res) => {
+  try {
+    const dispute = await disputeService.grantProvisionalCredit(req.params.disputeId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Provisional credit granted',
+      dispute
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to grant provisional credit',
+      error: error.message 
+    });
+  }
+});
+
+// Record the issuer's decision: outcome won or lost
+router.post('/disputes/:disputeId/resolve', [auth, adminAuth], async (req, res) => {
+  try {
+    const { outcome, note } = req.body;
+
+    if (!outcome) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Dispute outcome is required' 
+      });
+    }
+
+    const dispute = await disputeService.resolveDispute(req.params.disputeId, outcome, req.user.id, note);
+
+    res.json({
+      success: true,
+      message: `Dispute ${dispute.status}`,
+      dispute
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to resolve dispute',
+      error: error.message 
+    });
+  }
+});
+
+// Withdraw a dispute on the cardholder's behalf
+router.post('/disputes/:disputeId/withdraw', [auth, adminAuth], async (req, res) => {
+  try {
+    const dispute = await disputeService.withdrawDispute(req.params.disputeId, {
+      adminId: req.user.id,
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      message: 'Dispute withdrawn',
+      dispute
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ 
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to withdraw dispute',
+      error: error.message 
+    });
+  }
+});
+
+// Fee schedule fields admins can set
+const FEE_SCHEDULE_FIELDS = [
+  'name', 'operation', 'method', 'kycLevel', 'plan', 'currency',
+  'type', 'flatAmount', 'percent', 'tiers', 'minFee', 'maxFee', 'active'
+];
+
+const pickFeeScheduleFields = (data) => Object.fromEntries(
+  FEE_SCHEDULE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+const sendFeeScheduleError = (res, error, fallbackMessage) => {
+  const statusCode = error.statusCode || (error.name === 'ValidationError' ? 400 : 500);
+  res.status(statusCode).json({ 
+    success: false,
+    message: statusCode === 500 ? fallbackMessage : error.message,
+    error: error.message 
+  });
+};
+
+// List fee schedules, optionally for one operation or active state
+router.get('/fees', [auth, adminAuth], async (req, res) => {
+  try {
+    const schedules = await feeService.listSchedules({
+      operation: req.query.operation,
+      active: req.query.active === undefined ? undefined : req.query.active === 'true'
+    });
+
+    res.json({
+      success: true,
+      schedules: schedules.map(schedule => schedule.toSafeObject()),
+      defaults: feeService.defaults
+    });
+  } catch (error) {
+    sendFeeScheduleError(res, error, 'Failed to get fee schedules');
+  }
+});
+
+// Create a fee schedule
+router.post('/fees', [auth, adminAuth], async (req, res) => {
+  try {
+    const schedule = await feeService.createSchedule(pickFeeScheduleFields(req.body), req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Fee schedule created',
+      schedule: schedule.toSafeObject()
+    });
+  } catch (error) {
+    sendFeeScheduleError(res, error, 'Failed to create fee schedule');
+  }
+});
+
+// Update a fee schedule
+router.put('/fees/:scheduleId', [auth, adminAuth], async (req, res) => {
+  try {
+    const schedule = await feeService.updateSchedule(
+      req.params.scheduleId,
+      pickFeeScheduleFields(req.body),
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: 'Fee schedule updated',
+      schedule: schedule.toSafeObject()
+    });
+  } catch (error) {
+    sendFeeScheduleError(res, error, 'Failed to update fee schedule');
+  }
+});
+
+// Deactivate a fee schedule; past fee transactions keep referring to it
+router.delete('/fees/:scheduleId', [auth, adminAuth], async (req, res) => {
+  try {
+    const schedule = await feeService.deactivateSchedule(req.params.scheduleId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Fee schedule deactivated',
+      schedule: schedule.toSafeObject()
+    });
+  } catch (error) {
+    sendFeeScheduleError(res, error, 'Failed to deactivate fee schedule');
+  }
+});
+
+module.exports = router;
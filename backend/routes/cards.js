@@ -1,17 +1,30 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const { cardRevealLimiter } = require('../middleware/rateLimiter');
 const VirtualCard = require('../models/VirtualCard');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
 const KYC = require('../models/KYC');
 const cardIssuer = require('../services/cardIssuer'); // Legacy mock service
 const productionCardService = require('../services/productionCardService');
+const ledgerService = require('../services/ledgerService');
+const fxService = require('../services/fxService');
+const autoReloadService = require('../services/autoReloadService');
+const cardRenewalService = require('../services/cardRenewalService');
+const cardControlsService = require('../services/cardControlsService');
+const cardRevealService = require('../services/cardRevealService');
+const authorizationHoldService = require('../services/authorizationHoldService');
+const feeService = require('../services/feeService');
+const { withTransaction } = require('../utils/mongoTransaction');
+const Money = require('../utils/money');
 const cardIssuerConfig = require('../config/cardIssuer');
 
 const router = express.Router();
 
-// Create virtual card
+// Create virtual card; the card creation fee is charged to the wallet first
+// and refunded if the card cannot be issued
 router.post('/create', [
   auth,
   body('cardName').trim().isLength({ min: 1, max: 50 }),
@@ -20,9 +33,12 @@ router.post('/create', [
   body('spendingLimits.monthly').optional().isNumeric().isFloat({ min: 1, max: 50000 }),
   body('spendingLimits.perTransaction').optional().isNumeric().isFloat({ min: 1, max: 5000 }),
   body('merchantCategories').optional().isArray(),
+  body('usageType').optional().isIn(VirtualCard.USAGE_TYPES),
+  body('autoRenew').optional().isBoolean().toBoolean(),
   // Legacy support
   body('spendingLimit').optional().isNumeric()
 ], async (req, res) => {
+  let feeCharge = null;
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -38,6 +54,8 @@ router.post('/create', [
       cardType, 
       spendingLimits,
       merchantCategories = ['all'],
+      usageType = 'standard',
+      autoRenew = false,
       // Legacy support
       spendingLimit 
     } = req.body;
@@ -51,9 +69,17 @@ router.post('/create', [
         monthly: (spendingLimit || 1000) * 5,
         perTransaction: spendingLimit || 500
       },
-      merchantCategories
+      merchantCategories,
+      usageType,
+      autoRenew
     };
 
+    const feeQuote = await feeService.quote({ userId: req.user.id, operation: 'card_creation' });
+    const chargeCreationFee = () => feeService.chargeFee(feeQuote, {
+      userId: req.user.id,
+      description: `Card creation fee for ${cardName}`
+    });
+
     // Check if we should use production card service or legacy mock
     const useRealCards = cardIssuerConfig.featureFlags.useRealCards;
     
@@ -61,12 +87,14 @@ router.post('/create', [
     
     if (useRealCards) {
       // Use production card service with real card issuer integration
+      feeCharge = await chargeCreationFee();
       cardResult = await productionCardService.createVirtualCard(req.user.id, cardData);
       
       res.status(201).json({
         success: true,
         message: 'Virtual card created successfully',
         card: cardResult,
+        fee: Money.toMajor(feeQuote.feeMinor),
         provider: cardIssuerConfig.defaultProvider
       });
       
@@ -83,6 +111,8 @@ router.post('/create', [
         });
       }
 
+      feeCharge = await chargeCreationFee();
+
       // Create card via legacy issuer service
       const cardDetails = await cardIssuer.createVirtualCard(req.user.id, {
         cardName,
@@ -92,19 +122,20 @@ router.post('/create', [
 
       const virtualCard = new VirtualCard({
         userId: req.user.id,
-        cardNumber: cardDetails.cardNumber,
         expiryMonth: cardDetails.expiryMonth,
         expiryYear: cardDetails.expiryYear,
-        cvv: cardDetails.cvv,
         cardType,
         cardName,
         spendingLimit: cardData.spendingLimits.daily,
         spendingLimits: cardData.spendingLimits,
         merchantCategories,
+        usageType,
+        autoRenew,
         externalCardId: cardDetails.externalCardId,
         issuerProvider: 'mock'
       });
 
+      await virtualCard.storeCardDetails(cardDetails.cardNumber, cardDetails.cvv);
       await virtualCard.save();
 
       res.status(201).json({
@@ -114,20 +145,34 @@ router.post('/create', [
           id: virtualCard._id,
           cardName: virtualCard.cardName,
           cardType: virtualCard.cardType,
-          lastFour: cardDetails.cardNumber.slice(-4),
-          last4Digits: cardDetails.cardNumber.slice(-4),
+          lastFour: virtualCard.last4Digits,
+          last4Digits: virtualCard.last4Digits,
           balance: virtualCard.balance,
           spendingLimit: virtualCard.spendingLimit,
           spendingLimits: virtualCard.spendingLimits,
+          usageType: virtualCard.usageType,
           status: virtualCard.status,
-          maskedCardNumber: maskCardNumber(cardDetails.cardNumber),
+          maskedCardNumber: virtualCard.maskedCardNumber,
           createdAt: virtualCard.createdAt
         },
+        fee: Money.toMajor(feeQuote.feeMinor),
         provider: 'mock'
       });
     }
 
   } catch (error) {
+    if (feeCharge) {
+      await feeService.refundFee(feeCharge, 'Card creation failed').catch((refundError) => {
+        console.error('Card creation fee refund failed:', refundError);
+      });
+    }
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient wallet balance for the card creation fee',
+        code: error.code
+      });
+    }
     console.error('Card creation error:', error);
     res.status(500).json({ 
       success: false,
@@ -141,7 +186,7 @@ router.post('/create', [
 router.get('/', auth, async (req, res) => {
   try {
     const cards = await VirtualCard.find({ userId: req.user.id })
-      .select('-cardNumber -cvv -externalCardId')
+      .select('-externalCardId')
       .sort({ createdAt: -1 });
 
     res.json({ cards });
@@ -165,13 +210,13 @@ router.get('/:cardId', auth, async (req, res) => {
     res.json({
       card: {
         id: card._id,
-        cardNumber: maskCardNumber(card.cardNumber),
+        cardNumber: card.maskedCardNumber,
         expiryMonth: card.expiryMonth,
         expiryYear: card.expiryYear,
-        cvv: card.cvv,
         cardName: card.cardName,
         cardType: card.cardType,
         balance: card.balance,
+        availableBalance: card.availableBalance,
         spendingLimit: card.spendingLimit,
         status: card.status
       }
@@ -181,46 +226,473 @@ router.get('/:cardId', auth, async (req, res) => {
   }
 });
 
+// Re-authenticate to get a one-time token for revealing the card details
+router.post('/:cardId/reveal-token', [
+  auth,
+  cardRevealLimiter,
+  param('cardId').isMongoId(),
+  body('password').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, expiresAt } = await cardRevealService.issueToken(
+      req.user.id,
+      req.params.cardId,
+      { password: req.body.password },
+      { ip: req.ip }
+    );
+
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, token, expiresAt });
+  } catch (error) {
+    handleCardError(res, error, 'Failed to issue reveal token');
+  }
+});
+
+// Reveal the full card number and CVV, once per reveal token
+router.post('/:cardId/reveal', [
+  auth,
+  param('cardId').isMongoId(),
+  body('token').isString().isLength({ min: 64, max: 64 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const details = await cardRevealService.reveal(req.user.id, req.params.cardId, req.body.token);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, cardDetails: details });
+  } catch (error) {
+    handleCardError(res, error, 'Failed to reveal card details');
+  }
+});
+
 // Fund card
 router.post('/:cardId/fund', [
   auth,
-  body('amount').isNumeric().isFloat({ min: 1, max: 5000 })
+  idempotency,
+  body('amount').isNumeric().isFloat({ min: 1, max: 5000 }),
+  body('sourceCurrency').optional().isString().isLength({ min: 3, max: 3 }).toUpperCase()
 ], async (req, res) => {
   try {
-    const { amount } = req.body;
-    const user = await User.findById(req.user.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Ownership check, wallet debit, card credit and transaction record
+    // commit together or not at all
+    const result = await withTransaction(async (session) => {
+      const card = await VirtualCard.findOne({
+        _id: req.params.cardId,
+        userId: req.user.id
+      }).session(session);
+
+      if (!card) {
+        return null;
+      }
+      if (card.status === 'closed') {
+        const error = new Error('Cannot fund a closed card');
+        error.statusCode = 400;
+        error.code = 'CARD_CLOSED';
+        throw error;
+      }
+
+      // The amount is what lands on the card, in the card's currency
+      const cardCurrency = card.currency;
+      const sourceCurrency = req.body.sourceCurrency || cardCurrency;
+      const amountMinor = Money.toMinor(req.body.amount, cardCurrency);
+
+      const transaction = new Transaction({
+        userId: req.user.id,
+        type: 'card_funding',
+        amountMinor,
+        currency: cardCurrency,
+        description: `Funded ${card.cardName}`,
+        cardId: card._id,
+        status: 'completed',
+        balanceBeforeMinor: card.balanceMinor,
+        balanceAfterMinor: card.balanceMinor + amountMinor
+      });
+
+      let conversion = null;
+      if (sourceCurrency === cardCurrency) {
+        // Debits the wallet only if walletBalance >= amount
+        await ledgerService.recordCardFunding({
+          userId: req.user.id,
+          cardId: card._id,
+          amountMinor,
+          currency: cardCurrency,
+          transaction
+        }, { session });
+      } else {
+        // Funding from another currency balance converts at the live rate
+        conversion = await fxService.price({
+          from: sourceCurrency,
+          to: cardCurrency,
+          buyAmountMinor: amountMinor
+        });
+        conversion.fee = await feeService.quote({
+          userId: req.user.id,
+          operation: 'fx_conversion',
+          amountMinor: conversion.sellAmountMinor,
+          currency: sourceCurrency
+        });
+        transaction.metadata = {
+          sourceCurrency,
+          sourceAmount: Money.toMajor(conversion.sellAmountMinor, sourceCurrency),
+          rate: conversion.rate
+        };
+
+        await ledgerService.recordCurrencyConversion({
+          userId: req.user.id,
+          cardId: card._id,
+          fromCurrency: sourceCurrency,
+          toCurrency: cardCurrency,
+          sellAmountMinor: conversion.sellAmountMinor,
+          buyAmountMinor: conversion.buyAmountMinor,
+          spreadMinor: conversion.spreadMinor,
+          feeMinor: conversion.fee.feeMinor,
+          rate: conversion.rate,
+          transaction,
+          feeTransaction: feeService.buildFeeTransaction(conversion.fee, {
+            userId: req.user.id,
+            description: `Conversion fee for funding ${card.cardName}`,
+            relatedTransaction: transaction,
+            cardId: card._id
+          })
+        }, { session });
+      }
+
+      return {
+        card: await VirtualCard.findById(card._id).session(session),
+        user: await User.findById(req.user.id).session(session),
+        sourceCurrency,
+        conversion
+      };
+    });
+
+    if (!result) {
+      return res.status(404).json({ message: 'Card not found' });
+    }
+
+    const { card, user, sourceCurrency, conversion } = result;
+    const response = {
+      success: true,
+      newCardBalance: card.balance,
+      newWalletBalance: Money.toMajor(user.getWalletBalanceMinor(sourceCurrency), sourceCurrency),
+      walletCurrency: sourceCurrency
+    };
+    if (conversion) {
+      response.conversion = {
+        from: conversion.fromCurrency,
+        to: conversion.toCurrency,
+        debited: Money.toMajor(conversion.sellAmountMinor + conversion.fee.feeMinor, conversion.fromCurrency),
+        fee: Money.toMajor(conversion.fee.feeMinor, conversion.fromCurrency),
+        rate: conversion.rate
+      };
+    }
 
-    if (user.walletBalance < amount) {
+    res.json(response);
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_FUNDS') {
       return res.status(400).json({ message: 'Insufficient wallet balance' });
     }
+    if (error.statusCode === 400) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    res.status(500).json({ message: 'Card funding failed' });
+  }
+});
+
+// Map card lifecycle errors to responses
+const handleCardError = (res, error, fallbackMessage) => {
+  if (error.code === 'INSUFFICIENT_FUNDS') {
+    return res.status(400).json({ success: false, message: 'Insufficient card balance' });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message, code: error.code });
+  }
+  console.error(fallbackMessage, error);
+  res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+// Return funds from a card to the wallet
+router.post('/:cardId/defund', [
+  auth,
+  idempotency,
+  param('cardId').isMongoId(),
+  body('amount').isFloat({ gt: 0, max: 100000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const card = await VirtualCard.findOne({ _id: req.params.cardId, userId: req.user.id });
+    if (!card) {
+      return res.status(404).json({ success: false, message: 'Card not found' });
+    }
 
-    const card = await VirtualCard.findOneAndUpdate(
-      { _id: req.params.cardId, userId: req.user.id },
-      { $inc: { balance: amount } },
-      { new: true }
+    const { card: updatedCard, transaction } = await productionCardService.defundCard(
+      req.user.id,
+      card._id,
+      Money.toMinor(req.body.amount, card.currency)
     );
+    const user = await User.findById(req.user.id);
 
-    await User.findByIdAndUpdate(req.user.id, {
-      $inc: { walletBalance: -amount }
+    res.json({
+      success: true,
+      transactionId: transaction._id,
+      newCardBalance: updatedCard.balance,
+      newWalletBalance: Money.toMajor(user.getWalletBalanceMinor(card.currency), card.currency),
+      currency: card.currency
     });
+  } catch (error) {
+    handleCardError(res, error, 'Card defund failed');
+  }
+});
 
-    // Create transaction
-    const transaction = new Transaction({
-      userId: req.user.id,
-      type: 'card_funding',
-      amount,
-      description: `Funded ${card.cardName}`,
-      cardId: card._id
+// Close a card and sweep its balance to the wallet
+router.delete('/:cardId', [
+  auth,
+  idempotency,
+  param('cardId').isMongoId(),
+  body('reason').optional().trim().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { card, sweptMinor, transaction } = await productionCardService.closeCard(
+      req.user.id,
+      req.params.cardId,
+      req.body.reason || 'Closed by user'
+    );
+    const user = await User.findById(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Card closed successfully',
+      card: {
+        id: card._id,
+        status: card.status,
+        closedAt: card.closedAt
+      },
+      sweptAmount: Money.toMajor(sweptMinor, card.currency),
+      transactionId: transaction ? transaction._id : null,
+      newWalletBalance: Money.toMajor(user.getWalletBalanceMinor(card.currency), card.currency),
+      currency: card.currency
     });
-    await transaction.save();
+  } catch (error) {
+    handleCardError(res, error, 'Card closure failed');
+  }
+});
+
+// List a card's authorization holds, newest first
+router.get('/:cardId/holds', [
+  auth,
+  param('cardId').isMongoId(),
+  query('status').optional().isIn(['active', 'cleared', 'released', 'expired']),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const card = await VirtualCard.findOne({ _id: req.params.cardId, userId: req.user.id });
+    if (!card) {
+      return res.status(404).json({ success: false, message: 'Card not found' });
+    }
+
+    const { status = 'active', limit, offset } = req.query;
+    const holds = await authorizationHoldService.listHolds(card._id, { status, limit, offset });
 
     res.json({
       success: true,
-      newCardBalance: card.balance,
-      newWalletBalance: user.walletBalance - amount
+      ledgerBalance: card.balance,
+      heldBalance: card.heldBalance,
+      availableBalance: card.availableBalance,
+      currency: card.currency,
+      holds
     });
   } catch (error) {
-    res.status(500).json({ message: 'Card funding failed' });
+    handleCardError(res, error, 'Failed to list authorization holds');
+  }
+});
+
+// Get a card's auto-reload rule
+router.get('/:cardId/auto-reload', [
+  auth,
+  param('cardId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const card = await VirtualCard.findOne({ _id: req.params.cardId, userId: req.user.id });
+    if (!card) {
+      return res.status(404).json({ success: false, message: 'Card not found' });
+    }
+
+    res.json({ success: true, autoReload: autoReloadService.describeRule(card) });
+  } catch (error) {
+    handleCardError(res, error, 'Failed to get auto-reload rule');
+  }
+});
+
+// Create or replace a card's auto-reload rule
+router.put('/:cardId/auto-reload', [
+  auth,
+  param('cardId').isMongoId(),
+  body('threshold').isFloat({ min: 0, max: 10000 }),
+  body('amount').isFloat({ min: 1, max: 5000 }),
+  body('maxPerDay').optional().isInt({ min: 1, max: 24 }).toInt(),
+  body('enabled').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { threshold, amount, maxPerDay, enabled } = req.body;
+    const card = await autoReloadService.setRule(req.user.id, req.params.cardId, {
+      threshold: Number(threshold),
+      amount: Number(amount),
+      maxPerDay,
+      enabled
+    });
+
+    res.json({
+      success: true,
+      autoReload: autoReloadService.describeRule(card),
+      balance: card.balance
+    });
+  } catch (error) {
+    handleCardError(res, error, 'Failed to save auto-reload rule');
+  }
+});
+
+// Turn off a card's auto-reload rule
+router.delete('/:cardId/auto-reload', [
+  auth,
+  param('cardId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const card = await autoReloadService.disableRule(req.user.id, req.params.cardId);
+
+    res.json({ success: true, autoReload: autoReloadService.describeRule(card) });
+  } catch (error) {
+    handleCardError(res, error, 'Failed to disable auto-reload');
+  }
+});
+
+// Get a card's usage controls
+router.get('/:cardId/usage-controls', [
+  auth,
+  param('cardId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const card = await VirtualCard.findOne({ _id: req.params.cardId, userId: req.user.id });
+    if (!card) {
+      return res.status(404).json({ success: false, message: 'Card not found' });
+    }
+
+    res.json({ success: true, usageControls: cardControlsService.describeControls(card) });
+  } catch (error) {
+    handleCardError(res, error, 'Failed to get usage controls');
+  }
+});
+
+// Replace a card's usage controls
+router.put('/:cardId/usage-controls', [
+  auth,
+  param('cardId').isMongoId(),
+  body('allowedDays').optional().isArray({ max: 7 }),
+  body('allowedDays.*').isInt({ min: 0, max: 6 }).toInt(),
+  body('allowedHours').optional({ nullable: true }).isObject(),
+  body('allowedHours.start').if(body('allowedHours').exists({ checkNull: true })).matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+  body('allowedHours.end').if(body('allowedHours').exists({ checkNull: true })).matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+  body('timeZone').optional().isString().isLength({ max: 64 }),
+  body('allowedCountries').optional().isArray({ max: 250 }),
+  body('allowedCountries.*').isISO31661Alpha2(),
+  body('homeCountry').optional().isISO31661Alpha2(),
+  body('allowInternational').optional().isBoolean().toBoolean(),
+  body('allowOnline').optional().isBoolean().toBoolean(),
+  body('allowCardPresent').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const card = await cardControlsService.setControls(req.user.id, req.params.cardId, {
+      allowedDays: req.body.allowedDays,
+      allowedHours: req.body.allowedHours,
+      timeZone: req.body.timeZone,
+      allowedCountries: req.body.allowedCountries,
+      homeCountry: req.body.homeCountry,
+      allowInternational: req.body.allowInternational,
+      allowOnline: req.body.allowOnline,
+      allowCardPresent: req.body.allowCardPresent
+    });
+
+    res.json({ success: true, usageControls: cardControlsService.describeControls(card) });
+  } catch (error) {
+    handleCardError(res, error, 'Failed to save usage controls');
+  }
+});
+
+// Turn automatic reissue before expiry on or off
+router.put('/:cardId/auto-renew', [
+  auth,
+  param('cardId').isMongoId(),
+  body('enabled').isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const card = await cardRenewalService.setAutoRenew(req.user.id, req.params.cardId, req.body.enabled);
+
+    res.json({
+      success: true,
+      autoRenew: card.autoRenew,
+      expiryMonth: card.expiryMonth,
+      expiryYear: card.expiryYear,
+      daysUntilExpiry: card.daysUntilExpiry
+    });
+  } catch (error) {
+    handleCardError(res, error, 'Failed to update auto-renew');
   }
 });
 
@@ -247,6 +719,15 @@ router.patch('/:cardId/status', [
       });
     }
 
+    // Closed cards have been swept and cannot be frozen or reactivated
+    if (card.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the status of a closed card',
+        code: 'CARD_CLOSED'
+      });
+    }
+
     const useRealCards = cardIssuerConfig.featureFlags.useRealCards;
     let result;
 
@@ -560,86 +1041,26 @@ router.post('/:cardId/replace', [
       });
     }
 
-    const { cardId } = req.params;
-    const { reason } = req.body;
-
-    // Verify card ownership
-    const oldCard = await VirtualCard.findOne({
-      _id: cardId,
-      userId: req.user.id
-    });
-
-    if (!oldCard) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Card not found' 
-      });
-    }
-
-    // Close the old card
-    oldCard.status = 'closed';
-    oldCard.statusReason = `Replaced: ${reason}`;
-    await oldCard.save();
-
-    // Create new card with same settings
-    const newCardData = {
-      cardName: `${oldCard.cardName} (Replacement)`,
-      cardType: oldCard.cardType,
-      spendingLimits: oldCard.spendingLimits,
-      merchantCategories: oldCard.merchantCategories
-    };
-
-    const useRealCards = cardIssuerConfig.featureFlags.useRealCards;
-    let newCard;
-
-    if (useRealCards) {
-      newCard = await productionCardService.createVirtualCard(req.user.id, newCardData);
-    } else {
-      // Use legacy mock service
-      const cardDetails = await cardIssuer.createVirtualCard(req.user.id, {
-        cardName: newCardData.cardName,
-        cardType: newCardData.cardType,
-        spendingLimit: newCardData.spendingLimits.daily
-      });
-
-      const virtualCard = new VirtualCard({
-        userId: req.user.id,
-        cardNumber: cardDetails.cardNumber,
-        expiryMonth: cardDetails.expiryMonth,
-        expiryYear: cardDetails.expiryYear,
-        cvv: cardDetails.cvv,
-        cardType: newCardData.cardType,
-        cardName: newCardData.cardName,
-        spendingLimits: newCardData.spendingLimits,
-        merchantCategories: newCardData.merchantCategories,
-        externalCardId: cardDetails.externalCardId,
-        issuerProvider: 'mock'
-      });
-
-      await virtualCard.save();
-
-      newCard = {
-        cardId: virtualCard._id,
-        cardName: virtualCard.cardName,
-        cardType: virtualCard.cardType,
-        last4Digits: cardDetails.cardNumber.slice(-4),
-        status: virtualCard.status,
-        createdAt: virtualCard.createdAt
-      };
-    }
+    // Closes the old card, sweeping its balance to the wallet, and issues
+    // a new one with the same settings
+    const replacement = await productionCardService.replaceCard(req.user.id, req.params.cardId, req.body.reason);
 
     res.json({
       success: true,
       message: 'Card replaced successfully',
       oldCard: {
-        id: oldCard._id,
-        status: oldCard.status,
-        closedAt: new Date()
+        id: replacement.oldCard._id,
+        status: replacement.oldCard.status,
+        closedAt: replacement.oldCard.closedAt,
+        sweptAmount: Money.toMajor(replacement.sweptMinor, replacement.oldCard.currency)
       },
-      newCard: newCard
+      newCard: replacement.newCard
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, code: error.code });
+    }
     console.error('Card replacement error:', error);
     res.status(500).json({ 
       success: false,
@@ -801,8 +1222,4 @@ function generateCVV() {
   return Math.floor(Math.random() * 900 + 100).toString();
 }
 
-function maskCardNumber(cardNumber) {
-  return '**** **** **** ' + cardNumber.slice(-4);
-}
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,78 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const feeService = require('../services/feeService');
+const FeeSchedule = require('../models/FeeSchedule');
+const Money = require('../utils/money');
+
+const router = express.Router();
+
+// Map fee errors to responses
+const handleFeeError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message, code: error.code });
+  }
+  res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+// Quote the fee for an operation before confirming it
+router.post('/quote', [
+  auth,
+  body('operation').isIn(FeeSchedule.OPERATIONS),
+  body('amount').optional().isFloat({ min: 0, max: 1000000 }),
+  body('currency').optional().isString().isLength({ min: 3, max: 3 }).toUpperCase(),
+  body('method').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { operation, method } = req.body;
+    const currency = req.body.currency || Money.DEFAULT_CURRENCY;
+    if (!Money.isSupportedCurrency(currency)) {
+      return res.status(400).json({ success: false, message: `Unsupported currency: ${currency}` });
+    }
+
+    const quote = await feeService.quote({
+      userId: req.user.id,
+      operation,
+      method: method || null,
+      amountMinor: Money.toMinor(req.body.amount || 0, currency),
+      currency
+    });
+
+    res.json({ success: true, quote: feeService.describeQuote(quote) });
+  } catch (error) {
+    handleFeeError(res, error, 'Failed to quote fee');
+  }
+});
+
+// Get the fee schedule that applies to the user for an operation
+router.get('/schedule', [
+  auth,
+  query('operation').isIn(FeeSchedule.OPERATIONS),
+  query('currency').optional().isString().isLength({ min: 3, max: 3 }).toUpperCase(),
+  query('method').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schedule = await feeService.getSchedule({
+      userId: req.user.id,
+      operation: req.query.operation,
+      method: req.query.method || null,
+      currency: req.query.currency || Money.DEFAULT_CURRENCY
+    });
+
+    res.json({ success: true, schedule: feeService.describeSchedule(schedule) });
+  } catch (error) {
+    handleFeeError(res, error, 'Failed to get fee schedule');
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,19 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const ledgerService = require('../services/ledgerService');
+const feeService = require('../services/feeService');
+const Money = require('../utils/money');
 
 const router = express.Router();
 
 // Bank transfer funding (instant)
 router.post('/bank-transfer', [
   auth,
+  idempotency,
   body('amount').isNumeric().isFloat({ min: 10, max: 10000 }),
   body('bankAccount').isObject()
 ], async (req, res) => {
@@ -18,16 +23,11 @@ router.post('/bank-transfer', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { amount, bankAccount } = req.body;
+    const { bankAccount } = req.body;
+    const amount = parseFloat(req.body.amount);
 
     // In production: integrate with banking API (Plaid, Yodlee, etc.)
     // For now, simulate instant transfer
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      { $inc: { walletBalance: amount } },
-      { new: true }
-    );
-
     const transaction = new Transaction({
       userId: req.user.id,
       type: 'bank_transfer',
@@ -36,14 +36,40 @@ router.post('/bank-transfer', [
       status: 'completed',
       paymentMethod: 'bank_transfer'
     });
-    await transaction.save();
+
+    // The funding fee is deducted from the amount credited
+    const feeQuote = await feeService.quote({
+      userId: req.user.id,
+      operation: 'wallet_funding',
+      method: 'bank_transfer',
+      amountMinor: transaction.amountMinor
+    });
+
+    await ledgerService.recordWalletDeposit({
+      userId: req.user.id,
+      amountMinor: transaction.amountMinor,
+      feeMinor: feeQuote.feeMinor,
+      source: 'bank_transfer',
+      transaction,
+      feeTransaction: feeService.buildFeeTransaction(feeQuote, {
+        userId: req.user.id,
+        description: 'Bank transfer funding fee',
+        relatedTransaction: transaction
+      })
+    });
+
+    const user = await User.findById(req.user.id);
 
     res.json({
       success: true,
+      fee: Money.toMajor(feeQuote.feeMinor),
       newBalance: user.walletBalance,
       transactionId: transaction._id
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
     res.status(500).json({ message: 'Bank transfer failed' });
   }
 });
@@ -51,6 +77,7 @@ router.post('/bank-transfer', [
 // Crypto funding
 router.post('/crypto', [
   auth,
+  idempotency,
   body('amount').isNumeric().isFloat({ min: 10, max: 50000 }),
   body('cryptocurrency').isIn(['bitcoin', 'ethereum', 'usdc', 'usdt']),
   body('txHash').notEmpty()
@@ -61,16 +88,11 @@ router.post('/crypto', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { amount, cryptocurrency, txHash } = req.body;
+    const { cryptocurrency, txHash } = req.body;
+    const amount = parseFloat(req.body.amount);
 
     // In production: verify crypto transaction on blockchain
     // For now, simulate verification
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      { $inc: { walletBalance: amount } },
-      { new: true }
-    );
-
     const transaction = new Transaction({
       userId: req.user.id,
       type: 'crypto_deposit',
@@ -80,26 +102,51 @@ router.post('/crypto', [
       paymentMethod: cryptocurrency,
       transactionId: txHash
     });
-    await transaction.save();
+
+    // The funding fee is deducted from the amount credited
+    const feeQuote = await feeService.quote({
+      userId: req.user.id,
+      operation: 'wallet_funding',
+      method: 'crypto',
+      amountMinor: transaction.amountMinor
+    });
+
+    await ledgerService.recordWalletDeposit({
+      userId: req.user.id,
+      amountMinor: transaction.amountMinor,
+      feeMinor: feeQuote.feeMinor,
+      source: `crypto_${cryptocurrency}`,
+      transaction,
+      feeTransaction: feeService.buildFeeTransaction(feeQuote, {
+        userId: req.user.id,
+        description: `${cryptocurrency.toUpperCase()} deposit fee`,
+        relatedTransaction: transaction
+      })
+    });
+
+    const user = await User.findById(req.user.id);
 
     res.json({
       success: true,
+      fee: Money.toMajor(feeQuote.feeMinor),
       newBalance: user.walletBalance,
       transactionId: transaction._id
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
     res.status(500).json({ message: 'Crypto funding failed' });
   }
 });
 
-// Get funding methods
+// Get funding methods, with the fee schedule that applies to the user
 router.get('/methods', auth, async (req, res) => {
   try {
     const methods = [
       {
         type: 'bank_transfer',
         name: 'Instant Bank Transfer',
-        fee: 0,
         minAmount: 10,
         maxAmount: 10000,
         processingTime: 'Instant'
@@ -107,7 +154,6 @@ router.get('/methods', auth, async (req, res) => {
       {
         type: 'crypto',
         name: 'Cryptocurrency',
-        fee: 0,
         minAmount: 10,
         maxAmount: 50000,
         processingTime: '1-3 confirmations',
@@ -115,6 +161,15 @@ router.get('/methods', auth, async (req, res) => {
       }
     ];
 
+    // Exact fees for an amount come from POST /api/fees/quote
+    for (const method of methods) {
+      method.fee = feeService.describeSchedule(await feeService.getSchedule({
+        userId: req.user.id,
+        operation: 'wallet_funding',
+        method: method.type
+      }));
+    }
+
     res.json({ methods });
   } catch (error) {
     res.status(500).json({ message: 'Failed to fetch funding methods' });
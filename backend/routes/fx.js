@@ -0,0 +1,121 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const fxService = require('../services/fxService');
+const User = require('../models/User');
+const Money = require('../utils/money');
+
+const router = express.Router();
+
+// Map FX and ledger errors to responses
+const handleFxError = (res, error, fallbackMessage) => {
+  if (error.code === 'INSUFFICIENT_FUNDS') {
+    return res.status(400).json({ success: false, message: 'Insufficient wallet balance' });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message, code: error.code });
+  }
+  res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+// Get indicative customer rates from a currency
+router.get('/rates', auth, async (req, res) => {
+  try {
+    const from = String(req.query.from || Money.DEFAULT_CURRENCY).toUpperCase();
+    const rates = [];
+
+    for (const to of Object.keys(Money.CURRENCY_EXPONENTS)) {
+      if (to === from) {
+        continue;
+      }
+      try {
+        const { rate, spreadBps } = await fxService.getRate(from, to);
+        rates.push({ from, to, rate: rate * (1 - spreadBps / 10000), midRate: rate, spreadBps });
+      } catch (error) {
+        // Pair not priced
+      }
+    }
+
+    res.json({ success: true, rates });
+  } catch (error) {
+    handleFxError(res, error, 'Failed to get FX rates');
+  }
+});
+
+// Quote a conversion between wallet currencies
+router.post('/quotes', [
+  auth,
+  body('from').isString().isLength({ min: 3, max: 3 }).toUpperCase(),
+  body('to').isString().isLength({ min: 3, max: 3 }).toUpperCase(),
+  body('amount').isFloat({ gt: 0, max: 100000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { from, to, amount } = req.body;
+    if (!Money.isSupportedCurrency(from)) {
+      return res.status(400).json({ success: false, message: `Unsupported currency: ${from}` });
+    }
+
+    const quote = await fxService.createQuote(req.user.id, {
+      from,
+      to,
+      amountMinor: Money.toMinor(amount, from)
+    });
+
+    res.status(201).json({ success: true, quote: quote.toSafeObject() });
+  } catch (error) {
+    handleFxError(res, error, 'Failed to create quote');
+  }
+});
+
+// Lock a quote while the user confirms
+router.post('/quotes/:quoteId/lock', [
+  auth,
+  param('quoteId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const quote = await fxService.lockQuote(req.user.id, req.params.quoteId);
+
+    res.json({ success: true, quote: quote.toSafeObject() });
+  } catch (error) {
+    handleFxError(res, error, 'Failed to lock quote');
+  }
+});
+
+// Execute a quote
+router.post('/quotes/:quoteId/execute', [
+  auth,
+  idempotency,
+  param('quoteId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { quote, transaction } = await fxService.executeQuote(req.user.id, req.params.quoteId);
+    const user = await User.findById(req.user.id);
+
+    res.json({
+      success: true,
+      quote: quote.toSafeObject(),
+      transactionId: transaction._id,
+      balances: user.toJSON().walletBalances
+    });
+  } catch (error) {
+    handleFxError(res, error, 'Currency conversion failed');
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,11 @@ const GiftCard = require('../models/GiftCard');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const ledgerService = require('../services/ledgerService');
+const feeService = require('../services/feeService');
+const { withTransaction } = require('../utils/mongoTransaction');
+const Money = require('../utils/money');
 
 const router = express.Router();
 
@@ -19,7 +24,7 @@ const generateCode = () => {
 };
 
 // Purchase gift card
-router.post('/purchase', auth, [
+router.post('/purchase', auth, idempotency, [
   body('amount').isFloat({ min: 5, max: 1000 }),
   body('recipientName').trim().isLength({ min: 1 }),
   body('design').isIn(['general', 'birthday', 'holiday', 'business'])
@@ -30,42 +35,63 @@ router.post('/purchase', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { amount, recipientName, recipientEmail, message, design } = req.body;
-    const fee = amount * 0.02; // 2% processing fee
-    const total = amount + fee;
-
-    const user = await User.findById(req.userId);
-    if (user.walletBalance < total) {
-      return res.status(400).json({ message: 'Insufficient wallet balance' });
-    }
-
-    const giftCard = new GiftCard({
-      code: generateCode(),
-      amount,
-      balance: amount,
-      design: design || 'general',
-      recipientName,
-      recipientEmail,
-      message,
-      purchasedBy: req.userId
+    const { recipientName, recipientEmail, message, design } = req.body;
+    const amountMinor = Money.toMinor(req.body.amount);
+    const feeQuote = await feeService.quote({
+      userId: req.user.id,
+      operation: 'gift_card_purchase',
+      amountMinor,
+      currency: Money.DEFAULT_CURRENCY
     });
-
-    await giftCard.save();
-
-    // Deduct from wallet
-    user.walletBalance -= total;
-    await user.save();
-
-    // Create transaction record
-    const transaction = new Transaction({
-      userId: req.userId,
-      type: 'purchase',
-      amount: -total,
-      description: `Gift card purchase for ${recipientName}`,
-      giftCardId: giftCard._id,
-      transactionId: `gc_${Date.now()}`
+    const { feeMinor } = feeQuote;
+    const fee = Money.toMajor(feeMinor);
+    const total = Money.toMajor(feeQuote.totalMinor);
+
+    // Gift card, transaction record and wallet debit commit together
+    const { giftCard, user } = await withTransaction(async (session) => {
+      const giftCard = new GiftCard({
+        code: generateCode(),
+        amountMinor,
+        balanceMinor: amountMinor,
+        design: design || 'general',
+        recipientName,
+        recipientEmail,
+        message,
+        purchasedBy: req.user.id
+      });
+
+      await giftCard.save({ session });
+
+      // Create transaction record
+      const transaction = new Transaction({
+        userId: req.user.id,
+        type: 'purchase',
+        amountMinor,
+        description: `Gift card purchase for ${recipientName}`,
+        status: 'completed',
+        transactionId: `gc_${Date.now()}`,
+        metadata: { giftCardId: giftCard._id, fee }
+      });
+      const feeTransaction = feeService.buildFeeTransaction(feeQuote, {
+        userId: req.user.id,
+        description: `Gift card purchase fee for ${recipientName}`,
+        relatedTransaction: transaction
+      });
+
+      // Debits the wallet only if walletBalance >= total
+      await ledgerService.recordGiftCardPurchase({
+        userId: req.user.id,
+        amountMinor,
+        feeMinor,
+        transaction,
+        feeTransaction
+      }, { session });
+
+      return {
+        giftCard,
+        user: await User.findById(req.user.id).session(session)
+      };
     });
-    await transaction.save();
 
     res.status(201).json({
       giftCard: {
@@ -82,6 +108,9 @@ router.post('/purchase', auth, [
       }
     });
   } catch (error) {
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({ message: 'Insufficient wallet balance' });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -89,7 +118,7 @@ router.post('/purchase', auth, [
 // Get user's gift cards
 router.get('/my-cards', auth, async (req, res) => {
   try {
-    const giftCards = await GiftCard.find({ purchasedBy: req.userId })
+    const giftCards = await GiftCard.find({ purchasedBy: req.user.id })
       .sort({ createdAt: -1 });
 
     res.json(giftCards);
@@ -109,26 +138,32 @@ router.post('/redeem', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { code, amount } = req.body;
+    const { code } = req.body;
+    const amountMinor = Money.toMinor(req.body.amount);
 
     const giftCard = await GiftCard.findOne({ code, status: 'active' });
     if (!giftCard) {
       return res.status(404).json({ message: 'Invalid or expired gift card' });
     }
 
-    if (giftCard.balance < amount) {
+    if (giftCard.balanceMinor < amountMinor) {
       return res.status(400).json({ message: 'Insufficient gift card balance' });
     }
 
-    giftCard.balance -= amount;
-    if (giftCard.balance === 0) {
+    giftCard.balanceMinor -= amountMinor;
+    if (giftCard.balanceMinor === 0) {
       giftCard.status = 'redeemed';
     }
     await giftCard.save();
 
+    await ledgerService.recordGiftCardRedemption({
+      amountMinor,
+      giftCardId: giftCard._id
+    });
+
     res.json({
       success: true,
-      redeemedAmount: amount,
+      redeemedAmount: Money.toMajor(amountMinor),
       remainingBalance: giftCard.balance
     });
   } catch (error) {
@@ -0,0 +1,58 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const merchantCategoryService = require('../services/merchantCategoryService');
+
+const router = express.Router();
+
+// List the categories cards can be restricted to, with their MCC ranges
+router.get('/', auth, (req, res) => {
+  try {
+    res.json({ success: true, categories: merchantCategoryService.listCategories() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to list merchant categories' });
+  }
+});
+
+// Search MCCs by code prefix or description
+router.get('/search', [
+  auth,
+  query('q').isString().trim().isLength({ min: 2, max: 100 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const results = merchantCategoryService.search(req.query.q, req.query.limit || 20);
+    res.json({ success: true, results });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to search merchant category codes' });
+  }
+});
+
+// Look up one MCC
+router.get('/:mcc', [
+  auth,
+  param('mcc').matches(/^\d{1,4}$/)
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = merchantCategoryService.lookup(req.params.mcc);
+    if (!result.description) {
+      return res.status(404).json({ success: false, message: `Unknown MCC ${result.mcc}`, code: 'MCC_NOT_FOUND' });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to look up merchant category code' });
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,14 @@ const express = require('express');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { body, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const GiftCard = require('../models/GiftCard');
+const ledgerService = require('../services/ledgerService');
+const feeService = require('../services/feeService');
+const Money = require('../utils/money');
+const { withTransaction } = require('../utils/mongoTransaction');
 
 const router = express.Router();
 
@@ -136,9 +141,17 @@ router.post('/add-funds', [
   }
 });
 
+const alreadyConfirmedError = () => {
+  const error = new Error('This payment has already been added to the wallet');
+  error.statusCode = 409;
+  error.code = 'PAYMENT_ALREADY_CONFIRMED';
+  return error;
+};
+
 // Confirm wallet funding
 router.post('/confirm-wallet-funding', [
   auth,
+  idempotency,
   body('paymentIntentId').notEmpty()
 ], async (req, res) => {
   try {
@@ -150,32 +163,74 @@ router.post('/confirm-wallet-funding', [
       return res.status(400).json({ message: 'Payment not completed' });
     }
 
-    const amount = paymentIntent.amount / 100;
-
-    // Update user wallet balance
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      { $inc: { walletBalance: amount } },
-      { new: true }
-    );
+    // Stripe amounts are already in minor units of the payment currency
+    const currency = paymentIntent.currency.toUpperCase();
 
-    // Create transaction record
-    const transaction = new Transaction({
+    // The funding fee is deducted from the amount credited
+    const feeQuote = await feeService.quote({
       userId: req.user.id,
-      type: 'add_funds',
-      amount,
-      description: 'Wallet funding via Stripe',
-      paymentMethod: 'stripe',
-      transactionId: paymentIntentId
+      operation: 'wallet_funding',
+      method: 'card',
+      amountMinor: paymentIntent.amount,
+      currency
     });
 
-    await transaction.save();
+    // A payment is credited once: the check and the credit commit together,
+    // and the unique index on completed Stripe fundings stops a concurrent one
+    await withTransaction(async (session) => {
+      const credited = await Transaction.findOne({
+        type: 'add_funds',
+        status: 'completed',
+        transactionId: paymentIntentId
+      }).session(session);
+      if (credited) {
+        throw alreadyConfirmedError();
+      }
+
+      // Create transaction record; the ledger posting credits the wallet
+      // sub-balance in the currency that was paid
+      const transaction = new Transaction({
+        userId: req.user.id,
+        type: 'add_funds',
+        amountMinor: paymentIntent.amount,
+        currency,
+        description: 'Wallet funding via Stripe',
+        status: 'completed',
+        paymentMethod: 'stripe',
+        transactionId: paymentIntentId
+      });
+
+      try {
+        await ledgerService.recordWalletDeposit({
+          userId: req.user.id,
+          amountMinor: transaction.amountMinor,
+          feeMinor: feeQuote.feeMinor,
+          currency: transaction.currency,
+          source: 'stripe',
+          transaction,
+          feeTransaction: feeService.buildFeeTransaction(feeQuote, {
+            userId: req.user.id,
+            description: 'Card funding fee',
+            relatedTransaction: transaction
+          })
+        }, { session });
+      } catch (error) {
+        throw error.code === 11000 ? alreadyConfirmedError() : error;
+      }
+    });
+
+    const user = await User.findById(req.user.id);
 
     res.json({
       success: true,
-      newBalance: user.walletBalance
+      currency,
+      fee: Money.toMajor(feeQuote.feeMinor, currency),
+      newBalance: Money.toMajor(user.getWalletBalanceMinor(currency), currency)
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
     res.status(500).json({ message: 'Wallet funding confirmation failed' });
   }
 });
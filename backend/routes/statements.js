@@ -0,0 +1,111 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const statementService = require('../services/statementService');
+const Money = require('../utils/money');
+
+const router = express.Router();
+
+// Map statement errors to responses
+const handleStatementError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message, code: error.code });
+  }
+  res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+// List the user's statements, newest first
+router.get('/', [
+  auth,
+  query('scope').optional().isIn(['wallet', 'card']),
+  query('cardId').optional().isMongoId(),
+  query('currency').optional().isString().isLength({ min: 3, max: 3 }).toUpperCase(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { scope, cardId, currency, limit, offset } = req.query;
+    const statements = await statementService.listStatements(req.user.id, { scope, cardId, currency, limit, offset });
+
+    res.json({ success: true, statements: statements.map(statement => statement.toSummary()) });
+  } catch (error) {
+    handleStatementError(res, error, 'Failed to list statements');
+  }
+});
+
+// Generate a statement for a closed month that has none yet
+router.post('/', [
+  auth,
+  body('scope').isIn(['wallet', 'card']),
+  body('period').matches(/^\d{4}-(0[1-9]|1[0-2])$/),
+  body('cardId').if(body('scope').equals('card')).isMongoId(),
+  body('currency').optional().isString().isLength({ min: 3, max: 3 }).toUpperCase()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { scope, cardId, period } = req.body;
+    const currency = req.body.currency || Money.DEFAULT_CURRENCY;
+    if (!Money.isSupportedCurrency(currency)) {
+      return res.status(400).json({ success: false, message: `Unsupported currency: ${currency}` });
+    }
+
+    const statement = await statementService.generateOnDemand(req.user.id, { scope, cardId, currency, period });
+
+    res.status(201).json({ success: true, statement: statement.toSummary() });
+  } catch (error) {
+    handleStatementError(res, error, 'Failed to generate statement');
+  }
+});
+
+// Get a statement with its transactions
+router.get('/:statementId', [
+  auth,
+  param('statementId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const statement = await statementService.getStatement(req.user.id, req.params.statementId);
+
+    res.json({ success: true, statement: statement.toDetails() });
+  } catch (error) {
+    handleStatementError(res, error, 'Failed to get statement');
+  }
+});
+
+// Download a statement as PDF or CSV
+router.get('/:statementId/download', [
+  auth,
+  param('statementId').isMongoId(),
+  query('format').optional().isIn(['pdf', 'csv'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const statement = await statementService.getStatement(req.user.id, req.params.statementId);
+    const file = await statementService.render(statement, req.query.format || 'pdf');
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.body);
+  } catch (error) {
+    handleStatementError(res, error, 'Failed to download statement');
+  }
+});
+
+module.exports = router;
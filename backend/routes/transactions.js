@@ -1,62 +1,225 @@
 const express = require('express');
-const { auth } = require('../middleware/auth');
-const { authorizeCardOwner } = require('../middleware/authorization');
-const Card = require('../models/Card');
-const { getBitnobCardTransactions } = require('../utils/bitnob');
+const { body, param, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const Transaction = require('../models/Transaction');
+const Dispute = require('../models/Dispute');
+const DisputeDocument = require('../models/DisputeDocument');
+const transactionExportService = require('../services/transactionExportService');
+const disputeService = require('../services/disputeService');
+const Money = require('../utils/money');
 
 const router = express.Router();
 
-// Get user transactions
-router.get('/', auth, async (req, res) => {
+// Export transactions as CSV, OFX or QIF, streamed
+router.get('/export', [
+  auth,
+  query('format').optional().isIn(Object.keys(transactionExportService.formats)),
+  query('cardId').optional().isMongoId(),
+  query('type').optional().isIn(Transaction.schema.path('type').enumValues),
+  query('status').optional().isIn(Transaction.schema.path('status').enumValues),
+  query('currency').optional().isString().isLength({ min: 3, max: 3 }).toUpperCase(),
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601()
+], async (req, res) => {
   try {
-    const cards = await Card.find({ userId: req.user.id });
-    let allTransactions = [];
-
-    for (const card of cards) {
-      try {
-        const cardTransactions = await getBitnobCardTransactions(card.bitnobCardId);
-        const formattedTransactions = cardTransactions.map(tx => ({
-          id: tx.id,
-          description: tx.description || `${card.cardType} Transaction`,
-          amount: tx.amount,
-          date: tx.createdAt,
-          cardId: card._id,
-          status: tx.status
-        }));
-        allTransactions = [...allTransactions, ...formattedTransactions];
-      } catch (error) {
-        console.error(`Error fetching transactions for card ${card._id}:`, error.message);
-      }
-    }
-
-    // Sort by date (newest first)
-    allTransactions.sort((a, b) => new Date(b.date) - new Date(a.date));
-
-    res.json({ success: true, transactions: allTransactions });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (req.query.currency && !Money.isSupportedCurrency(req.query.currency)) {
+      return res.status(400).json({ success: false, message: `Unsupported currency: ${req.query.currency}` });
+    }
+
+    const job = await transactionExportService.prepareExport(req.user.id, req.query);
+
+    res.set('Content-Type', job.contentType);
+    res.set('Content-Disposition', `attachment; filename="${job.filename}"`);
+    await transactionExportService.writeExport(job, res);
+    res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      // Part of the file is already out; cut it short rather than end it cleanly
+      console.error('Transaction export failed:', error.message);
+      return res.destroy(error);
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, code: error.code });
+    }
+    res.status(500).json({ success: false, message: 'Failed to export transactions' });
+  }
+});
+
+// Map dispute errors to responses
+const handleDisputeError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message, code: error.code });
+  }
+  res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+const evidenceValidators = [
+  body('evidence').optional().isArray({ max: 10 }),
+  body('evidence.*.type').isIn(Dispute.EVIDENCE_TYPES),
+  body('evidence.*.documentId').optional().isMongoId(),
+  body('evidence.*.url').optional().isURL(),
+  body('evidence.*.description').optional().isString().isLength({ max: 1000 })
+];
+
+// Only the fields a cardholder supplies for an evidence item
+const pickEvidence = (items = []) => items.map(({ type, documentId, url, description }) => ({ type, documentId, url, description }));
+
+// Evidence documents are the request body, sent with their own content type
+const parseDocument = express.raw({ type: DisputeDocument.CONTENT_TYPES, limit: DisputeDocument.MAX_SIZE });
+
+const documentBody = (req, res, next) => parseDocument(req, res, (error) => {
+  if (!error) {
+    return next();
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, message: `Documents can be at most ${DisputeDocument.MAX_SIZE} bytes`, code: 'DOCUMENT_TOO_LARGE' });
+  }
+  res.status(400).json({ success: false, message: 'Could not read the document', code: 'INVALID_DOCUMENT' });
+});
+
+// Upload a document to use as dispute evidence
+router.post('/disputes/documents', [
+  auth,
+  query('filename').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  documentBody
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await disputeService.uploadDocument(req.user.id, {
+      filename: req.query.filename,
+      contentType: req.get('Content-Type'),
+      data: Buffer.isBuffer(req.body) ? req.body : null
+    });
+
+    res.status(201).json({ success: true, document: document.toSafeObject() });
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    handleDisputeError(res, error, 'Failed to upload document');
   }
 });
 
-// Get transactions for specific card
-router.get('/card/:cardId', auth, authorizeCardOwner, async (req, res) => {
+// Dispute a card charge
+router.post('/:transactionId/dispute', [
+  auth,
+  param('transactionId').isMongoId(),
+  body('reasonCode').isIn(Dispute.REASON_CODES),
+  body('description').isString().trim().isLength({ min: 10, max: 2000 }),
+  body('amount').optional().isFloat({ gt: 0 }),
+  body('provisionalCredit').optional().isBoolean().toBoolean(),
+  ...evidenceValidators
+], async (req, res) => {
   try {
-    const card = req.card; // Already validated and attached by authorizeCardOwner
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reasonCode, description, amount, provisionalCredit } = req.body;
+    const dispute = await disputeService.openDispute(req.user.id, req.params.transactionId, {
+      reasonCode,
+      description,
+      amount,
+      provisionalCredit,
+      evidence: pickEvidence(req.body.evidence)
+    });
 
-    const transactions = await getBitnobCardTransactions(card.bitnobCardId);
+    res.status(201).json({ success: true, dispute: dispute.toSafeObject() });
+  } catch (error) {
+    handleDisputeError(res, error, 'Failed to open dispute');
+  }
+});
+
+// List the user's disputes
+router.get('/disputes', [
+  auth,
+  query('status').optional().isIn(Object.keys(Dispute.TRANSITIONS)),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, limit, offset } = req.query;
+    const disputes = await disputeService.listDisputes(req.user.id, { status, limit, offset });
+
+    res.json({ success: true, disputes: disputes.map(dispute => dispute.toSafeObject()) });
+  } catch (error) {
+    handleDisputeError(res, error, 'Failed to list disputes');
+  }
+});
+
+// Get a dispute
+router.get('/disputes/:disputeId', [
+  auth,
+  param('disputeId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dispute = await disputeService.getDispute(req.user.id, req.params.disputeId);
+
+    res.json({ success: true, dispute: dispute.toSafeObject() });
+  } catch (error) {
+    handleDisputeError(res, error, 'Failed to get dispute');
+  }
+});
+
+// Add evidence to a dispute before it is filed
+router.post('/disputes/:disputeId/evidence', [
+  auth,
+  param('disputeId').isMongoId(),
+  body('evidence').isArray({ min: 1, max: 10 }),
+  ...evidenceValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dispute = await disputeService.addEvidence(req.params.disputeId, pickEvidence(req.body.evidence), {
+      userId: req.user.id
+    });
+
+    res.json({ success: true, dispute: dispute.toSafeObject() });
+  } catch (error) {
+    handleDisputeError(res, error, 'Failed to add evidence');
+  }
+});
+
+// Withdraw a dispute
+router.post('/disputes/:disputeId/withdraw', [
+  auth,
+  param('disputeId').isMongoId(),
+  body('note').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    const formattedTransactions = transactions.map(tx => ({
-      id: tx.id,
-      description: tx.description || 'Card Transaction',
-      amount: tx.amount,
-      date: tx.createdAt,
-      status: tx.status,
-      merchant: tx.merchant
-    }));
+    const dispute = await disputeService.withdrawDispute(req.params.disputeId, {
+      userId: req.user.id,
+      note: req.body.note
+    });
 
-    res.json({ success: true, transactions: formattedTransactions });
+    res.json({ success: true, dispute: dispute.toSafeObject() });
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    handleDisputeError(res, error, 'Failed to withdraw dispute');
   }
 });
 
@@ -1,21 +1,34 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const ledgerService = require('../services/ledgerService');
+const withdrawalService = require('../services/withdrawalService');
+const feeService = require('../services/feeService');
+const Money = require('../utils/money');
 
 const router = express.Router();
 
 // Get wallet balance
 router.get('/balance', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.userId);
-    res.json({ balance: user.walletBalance });
+    const user = await User.findById(req.user.id);
+    const { walletBalances } = user.toJSON();
+    res.json({
+      balance: user.walletBalance,
+      currency: user.walletCurrency,
+      balances: walletBalances
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Fee schedule method for each payment method accepted here
+const fundingMethods = { card: 'card', crypto: 'crypto', bank: 'bank_transfer' };
+
 // Add funds to wallet
 router.post('/add-funds', auth, [
   body('amount').isFloat({ min: 5, max: 10000 }),
@@ -27,33 +40,56 @@ router.post('/add-funds', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { amount, paymentMethod } = req.body;
+    const { paymentMethod } = req.body;
+    const amount = parseFloat(req.body.amount);
     const transactionId = `tx_${Date.now()}`;
 
-    // Update user balance
-    const user = await User.findById(req.userId);
-    user.walletBalance += amount;
-    await user.save();
-
     // Create transaction record
     const transaction = new Transaction({
-      userId: req.userId,
+      userId: req.user.id,
       type: 'add_funds',
       amount,
       description: `Added funds via ${paymentMethod}`,
+      status: 'completed',
       paymentMethod,
       transactionId
     });
-    await transaction.save();
+
+    // Credit the wallet through the ledger, less the funding fee
+    const feeQuote = await feeService.quote({
+      userId: req.user.id,
+      operation: 'wallet_funding',
+      method: fundingMethods[paymentMethod],
+      amountMinor: transaction.amountMinor
+    });
+
+    await ledgerService.recordWalletDeposit({
+      userId: req.user.id,
+      amountMinor: transaction.amountMinor,
+      feeMinor: feeQuote.feeMinor,
+      source: paymentMethod,
+      transaction,
+      feeTransaction: feeService.buildFeeTransaction(feeQuote, {
+        userId: req.user.id,
+        description: `Funding fee (${paymentMethod})`,
+        relatedTransaction: transaction
+      })
+    });
+
+    const user = await User.findById(req.user.id);
 
     res.json({
       success: true,
       amount,
+      fee: Money.toMajor(feeQuote.feeMinor),
       newBalance: user.walletBalance,
       paymentMethod,
       transactionId
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -61,7 +97,7 @@ router.post('/add-funds', auth, [
 // Get transaction history
 router.get('/transactions', auth, async (req, res) => {
   try {
-    const transactions = await Transaction.find({ userId: req.userId })
+    const transactions = await Transaction.find({ userId: req.user.id })
       .sort({ createdAt: -1 })
       .limit(50);
 
@@ -71,4 +107,195 @@ router.get('/transactions', auth, async (req, res) => {
   }
 });
 
+// Map withdrawal and ledger errors to responses
+const handleWithdrawalError = (res, error, fallbackMessage) => {
+  if (error.code === 'INSUFFICIENT_FUNDS') {
+    return res.status(400).json({ success: false, message: 'Insufficient wallet balance' });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      requirements: error.requirements
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+const toWithdrawalResponse = (withdrawal) => ({
+  id: withdrawal._id,
+  destinationId: withdrawal.destinationId,
+  amount: withdrawal.amount,
+  fee: withdrawal.fee,
+  totalDeducted: Money.toMajor(withdrawal.amountMinor + withdrawal.feeMinor, withdrawal.currency),
+  currency: withdrawal.currency,
+  status: withdrawal.status,
+  failureReason: withdrawal.failureReason,
+  rejectionReason: withdrawal.rejectionReason,
+  createdAt: withdrawal.createdAt,
+  completedAt: withdrawal.completedAt
+});
+
+// List saved payout destinations
+router.get('/payout-destinations', auth, async (req, res) => {
+  try {
+    const destinations = await withdrawalService.listDestinations(req.user.id);
+
+    res.json({
+      success: true,
+      destinations: destinations.map(destination => destination.toSafeObject())
+    });
+  } catch (error) {
+    handleWithdrawalError(res, error, 'Failed to get payout destinations');
+  }
+});
+
+// Save a bank account or crypto address
+router.post('/payout-destinations', auth, [
+  body('type').isIn(['bank_account', 'crypto_address']),
+  body('label').optional().trim().isLength({ max: 100 }),
+  body('currency').optional().isString().isLength({ min: 3, max: 3 }).toUpperCase(),
+  body('bankAccount.accountNumber').if(body('type').equals('bank_account'))
+    .matches(/^[0-9 ]{4,34}$/),
+  body('bankAccount.accountHolderName').if(body('type').equals('bank_account'))
+    .trim().notEmpty(),
+  body('bankAccount.routingNumber').optional().trim().isLength({ max: 34 }),
+  body('cryptoAddress.network').if(body('type').equals('crypto_address'))
+    .isIn(['bitcoin', 'ethereum', 'tron', 'polygon']),
+  body('cryptoAddress.address').if(body('type').equals('crypto_address'))
+    .trim().isLength({ min: 20, max: 128 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.body.currency && !Money.isSupportedCurrency(req.body.currency)) {
+      return res.status(400).json({ success: false, message: `Unsupported currency: ${req.body.currency}` });
+    }
+
+    const destination = await withdrawalService.addDestination(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      destination: destination.toSafeObject()
+    });
+  } catch (error) {
+    handleWithdrawalError(res, error, 'Failed to save payout destination');
+  }
+});
+
+// Remove a payout destination
+router.delete('/payout-destinations/:destinationId', [
+  auth,
+  param('destinationId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await withdrawalService.removeDestination(req.user.id, req.params.destinationId);
+
+    res.json({ success: true, message: 'Payout destination removed' });
+  } catch (error) {
+    handleWithdrawalError(res, error, 'Failed to remove payout destination');
+  }
+});
+
+// Request a withdrawal; the amount plus fee is held until it is paid out
+router.post('/withdraw', [
+  auth,
+  idempotency,
+  body('destinationId').isMongoId(),
+  body('amount').isFloat({ gt: 0, max: 100000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const withdrawal = await withdrawalService.requestWithdrawal(req.user.id, {
+      destinationId: req.body.destinationId,
+      amount: parseFloat(req.body.amount)
+    });
+
+    res.status(201).json({
+      success: true,
+      withdrawal: toWithdrawalResponse(withdrawal)
+    });
+  } catch (error) {
+    handleWithdrawalError(res, error, 'Withdrawal request failed');
+  }
+});
+
+// List withdrawals
+router.get('/withdrawals', auth, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const withdrawals = await withdrawalService.listWithdrawals(req.user.id, {
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      withdrawals: withdrawals.map(toWithdrawalResponse)
+    });
+  } catch (error) {
+    handleWithdrawalError(res, error, 'Failed to get withdrawals');
+  }
+});
+
+// Get a withdrawal
+router.get('/withdrawals/:withdrawalId', [
+  auth,
+  param('withdrawalId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const withdrawal = await withdrawalService.getWithdrawal(req.user.id, req.params.withdrawalId);
+
+    res.json({
+      success: true,
+      withdrawal: toWithdrawalResponse(withdrawal)
+    });
+  } catch (error) {
+    handleWithdrawalError(res, error, 'Failed to get withdrawal');
+  }
+});
+
+// Cancel a withdrawal that is still awaiting review
+router.post('/withdrawals/:withdrawalId/cancel', [
+  auth,
+  param('withdrawalId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const withdrawal = await withdrawalService.cancelWithdrawal(req.user.id, req.params.withdrawalId);
+
+    res.json({
+      success: true,
+      withdrawal: toWithdrawalResponse(withdrawal)
+    });
+  } catch (error) {
+    handleWithdrawalError(res, error, 'Failed to cancel withdrawal');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,10 +3,38 @@ const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const webhookProcessor = require('../services/webhookProcessor');
+const authorizationDecisionService = require('../services/authorizationDecisionService');
 const cardIssuerConfig = require('../config/cardIssuer');
 
 const router = express.Router();
 
+// Answer a real-time authorization request in the shape the issuer expects.
+// The decision service declines on timeout or failure, so the issuer always
+// gets an answer; anything else that goes wrong is a 500, which issuers also
+// treat as a decline.
+const respondToAuthorizationRequest = async (provider, payload, res) => {
+  try {
+    const adapter = cardIssuerConfig.getAdapter(provider);
+
+    let request;
+    try {
+      request = adapter.parseAuthorizationRequest(payload);
+    } catch (error) {
+      console.error(`Unreadable ${provider} authorization request:`, error.message);
+      return res.status(400).json({ error: 'Unreadable authorization request' });
+    }
+
+    const decision = await authorizationDecisionService.decide({ ...request, provider });
+    const response = adapter.formatAuthorizationResponse(request, decision);
+
+    res.set(response.headers || {});
+    res.status(response.status).json(response.body);
+  } catch (error) {
+    console.error(`${provider} authorization request failed:`, error.message);
+    res.status(500).json({ error: 'Authorization decision failed' });
+  }
+};
+
 // Stripe webhook endpoint
 router.post('/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
   const sig = req.headers['stripe-signature'];
@@ -100,6 +128,30 @@ router.post('/marqeta', express.raw({ type: 'application/json' }), async (req, r
   }
 });
 
+// Marqeta gateway JIT funding: approve or decline an authorization in real time
+router.post('/marqeta/jit', express.raw({ type: 'application/json' }), async (req, res) => {
+  const signature = req.headers['x-marqeta-signature'] || req.headers['signature'];
+
+  // Always verified against the raw body, whether or not event webhooks are enabled
+  const { configured, verified } = webhookProcessor.verifyRequestSignature('marqeta', req.body.toString(), signature);
+  if (!configured) {
+    console.error('Marqeta JIT funding request refused: MARQETA_WEBHOOK_SECRET is not set');
+    return res.status(503).json({ error: 'Authorization requests are not configured' });
+  }
+  if (!verified) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(req.body.toString());
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid JSON' });
+  }
+
+  await respondToAuthorizationRequest('marqeta', payload, res);
+});
+
 // Stripe Issuing webhook endpoint
 router.post('/stripe-issuing', express.raw({ type: 'application/json' }), async (req, res) => {
   try {
@@ -118,6 +170,11 @@ router.post('/stripe-issuing', express.raw({ type: 'application/json' }), async
       return res.status(400).json({ error: `Webhook signature verification failed: ${err.message}` });
     }
 
+    // Real-time authorization: Stripe waits for the decision in the response
+    if (event.type === 'issuing_authorization.request') {
+      return await respondToAuthorizationRequest('stripe', event, res);
+    }
+
     console.log('Stripe Issuing webhook received:', {
       type: event.type,
       id: event.id,
@@ -141,7 +198,9 @@ router.post('/stripe-issuing', express.raw({ type: 'application/json' }), async
       'issuing_transaction.created',
       'issuing_transaction.updated',
       'issuing_card.created',
-      'issuing_card.updated'
+      'issuing_card.updated',
+      'issuing_dispute.updated',
+      'issuing_dispute.closed'
     ];
 
     if (!issuingEvents.includes(event.type)) {
@@ -154,7 +213,7 @@ router.post('/stripe-issuing', express.raw({ type: 'application/json' }), async
     }
 
     // Process the webhook event
-    const result = await webhookProcessor.processWebhookEvent('stripe', event, signature);
+    const result = await webhookProcessor.processWebhookEvent('stripe', event, signature, req.body);
 
     res.status(200).json({
       received: true,
@@ -173,6 +232,60 @@ router.post('/stripe-issuing', express.raw({ type: 'application/json' }), async
   }
 });
 
+// Bitnob virtual card webhook endpoint
+router.post('/bitnob', express.raw({ type: 'application/json' }), async (req, res) => {
+  const signature = req.headers['x-bitnob-signature'];
+
+  // Bitnob events credit and debit cards, so they are always verified
+  // against the raw body, and refused outright without a secret
+  const { configured, verified } = webhookProcessor.verifyRequestSignature('bitnob', req.body, signature);
+  if (!configured) {
+    console.error('Bitnob webhook refused: BITNOB_WEBHOOK_SECRET is not set');
+    return res.status(503).json({ error: 'Bitnob webhooks are not configured' });
+  }
+  if (!verified) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    const event = JSON.parse(req.body.toString());
+
+    console.log('Bitnob webhook received:', {
+      event: event.event,
+      reference: event.data?.reference,
+      timestamp: new Date().toISOString()
+    });
+
+    // Check if webhooks are enabled
+    if (!cardIssuerConfig.featureFlags.enableWebhooks) {
+      console.log('Webhooks disabled, ignoring Bitnob event');
+      return res.status(200).json({ 
+        received: true, 
+        processed: false,
+        reason: 'Webhooks disabled' 
+      });
+    }
+
+    // Process the webhook event
+    const result = await webhookProcessor.processWebhookEvent('bitnob', event, signature, req.body);
+
+    res.status(200).json({
+      received: true,
+      processed: result.success,
+      eventType: event.event,
+      processingTime: result.processingTime
+    });
+
+  } catch (error) {
+    console.error('Bitnob webhook processing failed:', error);
+    res.status(500).json({ 
+      received: true, 
+      processed: false,
+      error: error.message 
+    });
+  }
+});
+
 // Webhook health check endpoint
 router.get('/health', async (req, res) => {
   try {
@@ -205,6 +318,7 @@ router.get('/stats', async (req, res) => {
     res.json({
       success: true,
       stats: stats,
+      authorizationDecisions: authorizationDecisionService.getStats(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+
+/**
+ * Migration runner
+ * Applies the migrations in scripts/migrations in version order and records
+ * each applied one in the `migrations` collection, so every migration runs
+ * once per database. Migrations export `up(db, { dryRun })` and, when they
+ * can be undone, `down(db, { dryRun })`. Dry runs report what would change
+ * and record nothing.
+ *
+ * Usage:
+ *   node scripts/migrate.js [status|up|down] [--to <version>] [--dry-run]
+ *
+ * `up` applies pending migrations (up to --to); `down` rolls back the last
+ * applied migration, or every migration after --to.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const RECORDS_COLLECTION = 'migrations';
+
+// 003-legacy-card-data.js -> version 3
+const MIGRATION_FILE = /^(\d{3})-[\w-]+\.js$/;
+
+/**
+ * Load the migrations in a directory, in version order
+ * @param {string} dir - Migrations directory
+ * @returns {Array<Object>} id, version, up, down
+ */
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => MIGRATION_FILE.test(file))
+    .sort()
+    .map(file => {
+      const { up, down } = require(path.join(dir, file));
+      return { id: path.basename(file, '.js'), version: parseInt(MIGRATION_FILE.exec(file)[1], 10), up, down };
+    });
+
+  migrations.forEach((migration, index) => {
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Migration ${migration.id} does not export up()`);
+    }
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Migrations ${migrations[index - 1].id} and ${migration.id} share version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+};
+
+/**
+ * Applied migration records, oldest first
+ * @param {Object} db - Native MongoDB database handle
+ * @returns {Promise<Array>} Records
+ */
+const getApplied = async (db) => db.collection(RECORDS_COLLECTION).find().sort({ version: 1 }).toArray();
+
+/**
+ * Every known migration with when it was applied
+ * @param {Object} db - Native MongoDB database handle
+ * @param {Object} options - migrations (defaults to scripts/migrations)
+ * @returns {Promise<Array>} id, version, reversible, appliedAt (null if pending)
+ */
+const getStatus = async (db, { migrations = loadMigrations() } = {}) => {
+  const applied = new Map((await getApplied(db)).map(record => [record._id, record]));
+
+  return migrations.map(migration => ({
+    id: migration.id,
+    version: migration.version,
+    reversible: typeof migration.down === 'function',
+    appliedAt: applied.get(migration.id)?.appliedAt || null
+  }));
+};
+
+/**
+ * Apply pending migrations in order, stopping at the first failure
+ * @param {Object} db - Native MongoDB database handle
+ * @param {Object} options - to (last version to apply), dryRun, migrations, onMigration
+ * @returns {Promise<Array>} id and results of each migration run
+ */
+const up = async (db, { to = Infinity, dryRun = false, migrations = loadMigrations(), onMigration } = {}) => {
+  const applied = new Set((await getApplied(db)).map(record => record._id));
+  const pending = migrations.filter(migration => !applied.has(migration.id) && migration.version <= to);
+
+  const ran = [];
+  for (const migration of pending) {
+    const startedAt = Date.now();
+    const results = await runStep(migration, 'up', db, dryRun);
+
+    if (!dryRun) {
+      await db.collection(RECORDS_COLLECTION).insertOne({
+        _id: migration.id,
+        version: migration.version,
+        appliedAt: new Date(),
+        durationMs: Date.now() - startedAt,
+        results
+      });
+    }
+
+    ran.push({ id: migration.id, results });
+    if (onMigration) {
+      onMigration(migration, results);
+    }
+  }
+
+  return ran;
+};
+
+/**
+ * Roll back applied migrations, newest first. Nothing runs unless every
+ * migration to roll back has a down step.
+ * @param {Object} db - Native MongoDB database handle
+ * @param {Object} options - to (roll back every version after this; default: the last one only), dryRun, migrations, onMigration
+ * @returns {Promise<Array>} id and results of each migration run
+ */
+const down = async (db, { to, dryRun = false, migrations = loadMigrations(), onMigration } = {}) => {
+  const byId = new Map(migrations.map(migration => [migration.id, migration]));
+  const applied = (await getApplied(db)).reverse();
+  const targets = to === undefined ? applied.slice(0, 1) : applied.filter(record => record.version > to);
+
+  const steps = targets.map(record => {
+    const migration = byId.get(record._id);
+    if (!migration) {
+      throw new Error(`Applied migration ${record._id} is missing from ${MIGRATIONS_DIR}`);
+    }
+    if (typeof migration.down !== 'function') {
+      throw new Error(`Migration ${migration.id} cannot be rolled back`);
+    }
+    return migration;
+  });
+
+  const ran = [];
+  for (const migration of steps) {
+    const results = await runStep(migration, 'down', db, dryRun);
+
+    if (!dryRun) {
+      await db.collection(RECORDS_COLLECTION).deleteOne({ _id: migration.id });
+    }
+
+    ran.push({ id: migration.id, results });
+    if (onMigration) {
+      onMigration(migration, results);
+    }
+  }
+
+  return ran;
+};
+
+const runStep = async (migration, direction, db, dryRun) => {
+  try {
+    return await migration[direction](db, { dryRun });
+  } catch (error) {
+    error.message = `Migration ${migration.id} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+};
+
+const printResults = (migration, results) => {
+  console.log(`  ${migration.id}: ${JSON.stringify(results)}`);
+};
+
+// Run the runner if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args.find(arg => !arg.startsWith('--') && !/^\d+$/.test(arg)) || 'status';
+  const dryRun = args.includes('--dry-run');
+  const toIndex = args.indexOf('--to');
+  const to = toIndex >= 0 ? parseInt(args[toIndex + 1], 10) : undefined;
+
+  (async () => {
+    if (!['status', 'up', 'down'].includes(command) || Number.isNaN(to)) {
+      throw new Error('Usage: node scripts/migrate.js [status|up|down] [--to <version>] [--dry-run]');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    const db = mongoose.connection.db;
+
+    if (command === 'status') {
+      (await getStatus(db)).forEach(migration => {
+        const state = migration.appliedAt ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+        console.log(`  ${migration.id}: ${state}${migration.reversible ? '' : ' (irreversible)'}`);
+      });
+    } else {
+      console.log(`Migrating ${command}${to !== undefined ? ` to version ${to}` : ''}${dryRun ? ' (dry run, nothing is recorded)' : ''}`);
+      const ran = command === 'up'
+        ? await up(db, { to, dryRun, onMigration: printResults })
+        : await down(db, { to, dryRun, onMigration: printResults });
+      if (ran.length === 0) {
+        console.log('  nothing to do');
+      }
+    }
+
+    await mongoose.disconnect();
+  })().catch(async (error) => {
+    console.error('Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
+}
+
+module.exports = { loadMigrations, getStatus, up, down };
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Migration: store money as integer minor units
+ * Moves float major-unit amounts (e.g. `amount: 12.34`) to integer
+ * minor-unit fields (`amountMinor: 1234`) on transactions, virtual cards,
+ * users and gift cards, and backfills currency codes.
+ *
+ * Usage:
+ *   node scripts/migrations/001-money-minor-units.js [--down] [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Money = require('../../utils/money');
+
+const BATCH_SIZE = 500;
+
+// collection -> { legacyField: minorField }, plus where the currency lives
+const COLLECTIONS = {
+  transactions: {
+    fields: { amount: 'amountMinor', balanceBefore: 'balanceBeforeMinor', balanceAfter: 'balanceAfterMinor' },
+    currencyField: 'currency'
+  },
+  virtualcards: {
+    fields: { balance: 'balanceMinor' },
+    currencyField: 'currency'
+  },
+  users: {
+    fields: { walletBalance: 'walletBalanceMinor' },
+    currencyField: 'walletCurrency'
+  },
+  giftcards: {
+    fields: { amount: 'amountMinor', balance: 'balanceMinor' },
+    currencyField: 'currency'
+  }
+};
+
+/**
+ * Convert documents in one collection
+ * @param {Object} db - Native MongoDB database handle
+ * @param {string} name - Collection name
+ * @param {Object} config - Field mapping and currency field
+ * @param {Object} options - direction ('up' | 'down'), dryRun
+ * @returns {Promise<number>} Number of documents converted
+ */
+const migrateCollection = async (db, name, config, options) => {
+  const { direction, dryRun } = options;
+  const { fields, currencyField } = config;
+  const collection = db.collection(name);
+
+  // Documents that still carry a field in the source representation
+  const sourceFields = direction === 'up' ? Object.keys(fields) : Object.values(fields);
+  const cursor = collection.find({ $or: sourceFields.map(field => ({ [field]: { $exists: true } })) });
+
+  let converted = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length > 0 && !dryRun) {
+      await collection.bulkWrite(batch, { ordered: false });
+    }
+    batch = [];
+  };
+
+  for await (const doc of cursor) {
+    const currency = doc[currencyField] || Money.DEFAULT_CURRENCY;
+    const $set = {};
+    const $unset = {};
+
+    for (const [legacyField, minorField] of Object.entries(fields)) {
+      if (direction === 'up' && doc[legacyField] !== undefined) {
+        $set[minorField] = doc[legacyField] === null ? null : Money.toMinor(doc[legacyField], currency);
+        $unset[legacyField] = '';
+      } else if (direction === 'down' && doc[minorField] !== undefined) {
+        $set[legacyField] = doc[minorField] === null ? null : Money.toMajor(doc[minorField], currency);
+        $unset[minorField] = '';
+      }
+    }
+
+    if (direction === 'up' && !doc[currencyField]) {
+      $set[currencyField] = Money.DEFAULT_CURRENCY;
+    }
+
+    batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set, $unset } } });
+    converted++;
+
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return converted;
+};
+
+/**
+ * Run the migration against a connected database
+ * @param {Object} db - Native MongoDB database handle
+ * @param {Object} options - direction ('up' | 'down'), dryRun
+ * @returns {Promise<Object>} Converted document counts per collection
+ */
+const run = async (db, options = {}) => {
+  const { direction = 'up', dryRun = false } = options;
+  const results = {};
+
+  for (const [name, config] of Object.entries(COLLECTIONS)) {
+    results[name] = await migrateCollection(db, name, config, { direction, dryRun });
+  }
+
+  return results;
+};
+
+const up = (db, options = {}) => run(db, { ...options, direction: 'up' });
+const down = (db, options = {}) => run(db, { ...options, direction: 'down' });
+
+// Run the migration if called directly
+if (require.main === module) {
+  const direction = process.argv.includes('--down') ? 'down' : 'up';
+  const dryRun = process.argv.includes('--dry-run');
+
+  (async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const results = await run(mongoose.connection.db, { direction, dryRun });
+
+    console.log(`Money minor units migration (${direction}${dryRun ? ', dry run' : ''})`);
+    for (const [name, count] of Object.entries(results)) {
+      console.log(`  ${name}: ${count} document(s) ${dryRun ? 'would be ' : ''}converted`);
+    }
+
+    await mongoose.disconnect();
+  })().catch(async (error) => {
+    console.error('Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
+}
+
+module.exports = { up, down, run, COLLECTIONS };
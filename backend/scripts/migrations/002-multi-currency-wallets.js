@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Migration: multi-currency wallets
+ * Moves the single wallet balance (`walletBalanceMinor`) into the per-currency
+ * `walletBalances` map under the user's wallet currency. Run after
+ * 001-money-minor-units.
+ *
+ * Down only succeeds for users whose wallet holds a single currency; users
+ * with balances in other currencies are left untouched and reported.
+ *
+ * Usage:
+ *   node scripts/migrations/002-multi-currency-wallets.js [--down] [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Money = require('../../utils/money');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Run the migration against a connected database
+ * @param {Object} db - Native MongoDB database handle
+ * @param {Object} options - direction ('up' | 'down'), dryRun
+ * @returns {Promise<Object>} converted and skipped user counts
+ */
+const run = async (db, options = {}) => {
+  const { direction = 'up', dryRun = false } = options;
+  const collection = db.collection('users');
+
+  const cursor = collection.find(direction === 'up'
+    ? { walletBalanceMinor: { $exists: true } }
+    : { walletBalances: { $exists: true } });
+
+  let converted = 0;
+  const skipped = [];
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length > 0 && !dryRun) {
+      await collection.bulkWrite(batch, { ordered: false });
+    }
+    batch = [];
+  };
+
+  for await (const user of cursor) {
+    const currency = user.walletCurrency || Money.DEFAULT_CURRENCY;
+    let update;
+
+    if (direction === 'up') {
+      update = {
+        $set: { [`walletBalances.${currency}`]: user.walletBalanceMinor || 0, walletCurrency: currency },
+        $unset: { walletBalanceMinor: '' }
+      };
+    } else {
+      const others = Object.entries(user.walletBalances || {})
+        .filter(([code, minor]) => code !== currency && minor !== 0);
+      if (others.length > 0) {
+        skipped.push(user._id);
+        continue;
+      }
+      update = {
+        $set: { walletBalanceMinor: (user.walletBalances || {})[currency] || 0 },
+        $unset: { walletBalances: '' }
+      };
+    }
+
+    batch.push({ updateOne: { filter: { _id: user._id }, update } });
+    converted++;
+
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return { users: converted, skipped: skipped.length, skippedIds: skipped };
+};
+
+const up = (db, options = {}) => run(db, { ...options, direction: 'up' });
+const down = (db, options = {}) => run(db, { ...options, direction: 'down' });
+
+// Run the migration if called directly
+if (require.main === module) {
+  const direction = process.argv.includes('--down') ? 'down' : 'up';
+  const dryRun = process.argv.includes('--dry-run');
+
+  (async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const results = await run(mongoose.connection.db, { direction, dryRun });
+
+    console.log(`Multi-currency wallets migration (${direction}${dryRun ? ', dry run' : ''})`);
+    console.log(`  users: ${results.users} document(s) ${dryRun ? 'would be ' : ''}converted`);
+    if (results.skipped > 0) {
+      console.log(`  skipped ${results.skipped} user(s) holding more than one currency:`);
+      results.skippedIds.forEach(id => console.log(`    ${id}`));
+    }
+
+    await mongoose.disconnect();
+  })().catch(async (error) => {
+    console.error('Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
+}
+
+module.exports = { up, down, run };
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Migration: move card data on virtual cards into the card vault
+ * Tokenizes the card number and CVV of virtual cards that still hold them,
+ * whether in the legacy plaintext fields (`cardNumber`, `cvv`) or encrypted
+ * on the card (`encryptedCardNumber`, `encryptedCvv`), and removes those
+ * fields. Also fills `spendingLimits.daily` and `issuerCardId` from the
+ * legacy `spendingLimit` and `externalCardId` where they are missing.
+ *
+ * There is no down: the card data is not written back to the cards.
+ *
+ * Usage:
+ *   node scripts/migrations/003-legacy-card-data.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const MIGRATION_ID = '003-legacy-card-data';
+const BATCH_SIZE = 500;
+const CARD_DATA_FIELDS = ['cardNumber', 'cvv', 'encryptedCardNumber', 'encryptedCvv'];
+
+// Required lazily so the runner can list migrations without the vault loaded
+const getCardVault = () => require('../../vault/cardVault');
+const getSecureCardStorage = () => require('../../utils/secureCardStorage');
+
+/**
+ * Read a card's number and CVV from whichever fields hold them
+ * @param {Object} card - Raw virtual card document
+ * @returns {Promise<Object>} pan, cvv
+ */
+const readCardData = async (card) => {
+  const secureCardStorage = getSecureCardStorage();
+  const decrypt = value => secureCardStorage.decryptCardData(value, card.userId, card._id);
+
+  return {
+    pan: card.cardNumber || (card.encryptedCardNumber ? await decrypt(card.encryptedCardNumber) : undefined),
+    cvv: card.cvv || (card.encryptedCvv ? await decrypt(card.encryptedCvv) : undefined)
+  };
+};
+
+/**
+ * Tokenize card data still on virtual cards and remove it from them
+ * @param {Object} collection - virtualcards collection
+ * @param {boolean} dryRun - Read and decrypt only
+ * @returns {Promise<Object>} tokenized, cleared, skipped and failed counts
+ */
+const moveCardData = async (collection, dryRun) => {
+  const cardVault = getCardVault();
+  const cursor = collection.find({ $or: CARD_DATA_FIELDS.map(field => ({ [field]: { $exists: true } })) });
+  const $unset = Object.fromEntries(CARD_DATA_FIELDS.map(field => [field, '']));
+
+  const results = { tokenized: 0, cleared: 0, skipped: 0, failed: 0, failedIds: [] };
+
+  for await (const card of cursor) {
+    // Compare-and-set on what was read, so a concurrent change is never lost
+    const filter = { _id: card._id };
+    CARD_DATA_FIELDS.forEach(field => { filter[field] = card[field] === undefined ? { $exists: false } : card[field]; });
+
+    // Already in the vault; only the leftover fields go
+    if (card.vaultToken) {
+      if (!dryRun) {
+        await collection.updateOne({ ...filter, vaultToken: card.vaultToken }, { $unset });
+      }
+      results.cleared++;
+      continue;
+    }
+
+    let cardData;
+    try {
+      cardData = await readCardData(card);
+      if (!cardData.pan) {
+        throw new Error('No card number to tokenize');
+      }
+    } catch (error) {
+      results.failed++;
+      results.failedIds.push(card._id);
+      continue;
+    }
+
+    if (dryRun) {
+      results.tokenized++;
+      continue;
+    }
+
+    let tokenized;
+    try {
+      tokenized = await cardVault.tokenize(
+        { ownerId: card.userId, cardId: card._id, pan: cardData.pan, cvv: cardData.cvv },
+        { actor: MIGRATION_ID }
+      );
+    } catch (error) {
+      results.failed++;
+      results.failedIds.push(card._id);
+      continue;
+    }
+
+    const result = await collection.updateOne(
+      { ...filter, vaultToken: { $exists: false } },
+      { $set: { vaultToken: tokenized.token, last4Digits: tokenized.last4, cardBrand: tokenized.brand }, $unset }
+    );
+    if (result.modifiedCount > 0) {
+      results.tokenized++;
+    } else {
+      await cardVault.deleteToken(tokenized.token, { actor: MIGRATION_ID, reason: 'Card changed during migration' });
+      results.skipped++;
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Fill the current fields from their legacy counterparts where missing
+ * @param {Object} collection - virtualcards collection
+ * @param {boolean} dryRun - Count only
+ * @returns {Promise<number>} Cards updated
+ */
+const backfillLegacyFields = async (collection, dryRun) => {
+  const cursor = collection.find({
+    $or: [
+      { 'spendingLimits.daily': { $exists: false }, spendingLimit: { $type: 'number' } },
+      { issuerCardId: { $exists: false }, externalCardId: { $type: 'string' } }
+    ]
+  });
+
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length > 0 && !dryRun) {
+      await collection.bulkWrite(batch, { ordered: false });
+    }
+    batch = [];
+  };
+
+  for await (const card of cursor) {
+    const $set = {};
+    if (card.spendingLimits?.daily === undefined && typeof card.spendingLimit === 'number') {
+      $set['spendingLimits.daily'] = card.spendingLimit;
+    }
+    if (card.issuerCardId === undefined && typeof card.externalCardId === 'string') {
+      $set.issuerCardId = card.externalCardId;
+    }
+
+    batch.push({ updateOne: { filter: { _id: card._id }, update: { $set } } });
+    updated++;
+
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return updated;
+};
+
+/**
+ * Run the migration against a connected database
+ * @param {Object} db - Native MongoDB database handle
+ * @param {Object} options - dryRun
+ * @returns {Promise<Object>} Card data moved and legacy fields backfilled
+ */
+const up = async (db, options = {}) => {
+  const { dryRun = false } = options;
+  const collection = db.collection('virtualcards');
+
+  return {
+    ...(await moveCardData(collection, dryRun)),
+    backfilled: await backfillLegacyFields(collection, dryRun)
+  };
+};
+
+// Run the migration if called directly
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  (async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const results = await up(mongoose.connection.db, { dryRun });
+
+    console.log(`Legacy card data migration (up${dryRun ? ', dry run' : ''})`);
+    console.log(`  ${results.tokenized} card(s) ${dryRun ? 'would be ' : ''}moved into the vault, ${results.cleared} cleared, ${results.skipped} skipped`);
+    console.log(`  ${results.backfilled} card(s) ${dryRun ? 'would be ' : ''}backfilled from legacy fields`);
+    if (results.failed > 0) {
+      console.log(`  ${results.failed} card(s) could not be read or tokenized:`);
+      results.failedIds.forEach(id => console.log(`    ${id}`));
+    }
+
+    await mongoose.disconnect();
+  })().catch(async (error) => {
+    console.error('Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
+}
+
+module.exports = { up };
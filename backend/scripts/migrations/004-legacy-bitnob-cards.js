@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+/**
+ * Migration: Bitnob-era cards to virtual cards
+ * Copies each card in the legacy `cards` collection (models/Card.js) into a
+ * virtual card with the same _id, so existing references keep working. The
+ * card number and CVV go into the card vault, and the balance is booked onto
+ * the card's ledger account from the `bitnob` funding source. Copied cards
+ * are marked `migratedAt`; their plaintext stays until 005 removes it.
+ *
+ * Down deletes the copies that have had no activity since, reversing their
+ * opening balance and deleting their vault tokens.
+ *
+ * Usage:
+ *   node scripts/migrations/004-legacy-bitnob-cards.js [--down] [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Money = require('../../utils/money');
+
+const MIGRATION_ID = '004-legacy-bitnob-cards';
+const CURRENCY = 'USD';
+
+// Legacy status -> virtual card status
+const STATUSES = { active: 'active', frozen: 'frozen', expired: 'closed' };
+
+// Required lazily so the runner can list migrations without the models loaded
+const getVirtualCard = () => require('../../models/VirtualCard');
+const getJournalEntry = () => require('../../models/JournalEntry');
+const getLedgerService = () => require('../../services/ledgerService');
+const getCardVault = () => require('../../vault/cardVault');
+
+/**
+ * Expiry month and two-digit year from `expiryDate` (MM/YY or MM/YYYY),
+ * falling back to `expiresAt`
+ * @param {Object} card - Legacy card
+ * @returns {Object|null} expiryMonth, expiryYear
+ */
+const parseExpiry = (card) => {
+  const match = /^(\d{1,2})\s*\/\s*(\d{2}|\d{4})$/.exec(String(card.expiryDate || '').trim());
+  if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12) {
+    return { expiryMonth: match[1].padStart(2, '0'), expiryYear: match[2].slice(-2) };
+  }
+  if (card.expiresAt) {
+    const expiresAt = new Date(card.expiresAt);
+    return {
+      expiryMonth: String(expiresAt.getUTCMonth() + 1).padStart(2, '0'),
+      expiryYear: String(expiresAt.getUTCFullYear()).slice(-2)
+    };
+  }
+  return null;
+};
+
+/**
+ * Copy legacy cards into virtual cards
+ * @param {Object} db - Native MongoDB database handle
+ * @param {boolean} dryRun - Check only
+ * @returns {Promise<Object>} migrated and skipped counts
+ */
+const migrateUp = async (db, dryRun) => {
+  const VirtualCard = getVirtualCard();
+  const ledgerService = getLedgerService();
+  const cards = db.collection('cards');
+  const virtualCards = db.collection('virtualcards');
+
+  const results = { migrated: 0, skipped: 0, skippedIds: [] };
+  const skip = (card) => {
+    results.skipped++;
+    results.skippedIds.push(card._id);
+  };
+
+  for await (const legacy of cards.find({ migratedAt: { $exists: false } })) {
+    const expiry = parseExpiry(legacy);
+    if (!expiry || !legacy.cardNumber) {
+      skip(legacy);
+      continue;
+    }
+
+    // Copied before the run that created it was interrupted
+    if (await virtualCards.findOne({ _id: legacy._id }, { projection: { _id: 1 } })) {
+      if (!dryRun) {
+        await cards.updateOne({ _id: legacy._id }, { $set: { migratedAt: new Date() } });
+      }
+      results.migrated++;
+      continue;
+    }
+
+    const status = STATUSES[legacy.status] || 'active';
+    const card = new VirtualCard({
+      _id: legacy._id,
+      userId: legacy.userId,
+      issuerProvider: 'bitnob',
+      issuerCardId: legacy.bitnobCardId,
+      cardType: legacy.cardType,
+      cardName: `Card ${String(legacy.cardNumber).slice(-4)}`,
+      ...expiry,
+      currency: CURRENCY,
+      spendingLimits: { daily: legacy.spendingLimit ?? 1000 },
+      status,
+      statusReason: legacy.status === 'expired' ? 'Expired' : undefined,
+      closedAt: status === 'closed' ? (legacy.expiresAt || new Date()) : undefined,
+      createdAt: legacy.createdAt
+    });
+
+    if (dryRun) {
+      // Everything but the vault-issued fields must already be valid
+      card.last4Digits = String(legacy.cardNumber).slice(-4);
+      card.cardBrand = legacy.cardType;
+      try {
+        await card.validate();
+        results.migrated++;
+      } catch (error) {
+        skip(legacy);
+      }
+      continue;
+    }
+
+    try {
+      await card.storeCardDetails(legacy.cardNumber, legacy.cvv);
+      await card.save();
+    } catch (error) {
+      if (card.vaultToken) {
+        await getCardVault().deleteToken(card.vaultToken, { actor: MIGRATION_ID, reason: 'Card could not be migrated' });
+      }
+      skip(legacy);
+      continue;
+    }
+
+    const balanceMinor = Money.toMinor(legacy.balance || 0, CURRENCY);
+    if (balanceMinor > 0) {
+      await ledgerService.recordCardLoad({ card, amountMinor: balanceMinor, source: 'bitnob', currency: CURRENCY });
+    }
+
+    await cards.updateOne({ _id: legacy._id }, { $set: { migratedAt: new Date() } });
+    results.migrated++;
+  }
+
+  return results;
+};
+
+/**
+ * Delete the virtual cards copied from legacy cards, unless they have been
+ * used since
+ * @param {Object} db - Native MongoDB database handle
+ * @param {boolean} dryRun - Check only
+ * @returns {Promise<Object>} reverted and skipped counts
+ */
+const migrateDown = async (db, dryRun) => {
+  const VirtualCard = getVirtualCard();
+  const JournalEntry = getJournalEntry();
+  const ledgerService = getLedgerService();
+  const cardVault = getCardVault();
+  const cards = db.collection('cards');
+
+  const results = { reverted: 0, skipped: 0, skippedIds: [] };
+
+  for await (const legacy of cards.find({ migratedAt: { $exists: true } })) {
+    const card = await VirtualCard.findOne({ _id: legacy._id, issuerProvider: 'bitnob' }).select('+vaultToken');
+
+    if (card) {
+      // Only the opening balance may have been booked on the card
+      const entries = await JournalEntry.find({ cardId: card._id });
+      const opening = entries.filter(entry => entry.eventType === 'card_funding' && entry.metadata?.source === 'bitnob');
+      if (entries.length > opening.length || opening.length > 1 || opening.some(entry => entry.reversedBy)) {
+        results.skipped++;
+        results.skippedIds.push(legacy._id);
+        continue;
+      }
+
+      if (!dryRun) {
+        if (opening.length > 0) {
+          await ledgerService.reverseEntry(opening[0]._id, `Rollback of migration ${MIGRATION_ID}`);
+        }
+        if (card.vaultToken) {
+          await cardVault.deleteToken(card.vaultToken, { actor: MIGRATION_ID, reason: 'Migration rolled back' });
+        }
+        await VirtualCard.deleteOne({ _id: card._id });
+      }
+    }
+
+    if (!dryRun) {
+      await cards.updateOne({ _id: legacy._id }, { $unset: { migratedAt: '' } });
+    }
+    results.reverted++;
+  }
+
+  return results;
+};
+
+const up = (db, options = {}) => migrateUp(db, Boolean(options.dryRun));
+const down = (db, options = {}) => migrateDown(db, Boolean(options.dryRun));
+
+// Run the migration if called directly
+if (require.main === module) {
+  const direction = process.argv.includes('--down') ? 'down' : 'up';
+  const dryRun = process.argv.includes('--dry-run');
+
+  (async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const results = await (direction === 'up' ? up : down)(mongoose.connection.db, { dryRun });
+
+    console.log(`Legacy Bitnob cards migration (${direction}${dryRun ? ', dry run' : ''})`);
+    console.log(`  ${direction === 'up' ? results.migrated : results.reverted} card(s) ${dryRun ? 'would be ' : ''}${direction === 'up' ? 'migrated' : 'reverted'}`);
+    if (results.skipped > 0) {
+      console.log(`  skipped ${results.skipped} card(s):`);
+      results.skippedIds.forEach(id => console.log(`    ${id}`));
+    }
+
+    await mongoose.disconnect();
+  })().catch(async (error) => {
+    console.error('Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
+}
+
+module.exports = { up, down, parseExpiry };
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Migration: remove plaintext card data from Bitnob-era cards
+ * Unsets `cardNumber` and `cvv` on legacy cards that 004-legacy-bitnob-cards
+ * copied, once their virtual card holds a vault token. Cards without one are
+ * left alone and reported.
+ *
+ * There is no down: the removed card data only exists in the vault.
+ *
+ * Usage:
+ *   node scripts/migrations/005-wipe-bitnob-card-plaintext.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+/**
+ * Run the migration against a connected database
+ * @param {Object} db - Native MongoDB database handle
+ * @param {Object} options - dryRun
+ * @returns {Promise<Object>} wiped and skipped card counts
+ */
+const up = async (db, options = {}) => {
+  const { dryRun = false } = options;
+  const cards = db.collection('cards');
+  const virtualCards = db.collection('virtualcards');
+
+  const cursor = cards.find({
+    migratedAt: { $exists: true },
+    $or: [{ cardNumber: { $exists: true } }, { cvv: { $exists: true } }]
+  });
+
+  let wiped = 0;
+  const skipped = [];
+
+  for await (const legacy of cursor) {
+    const copy = await virtualCards.findOne(
+      { _id: legacy._id, vaultToken: { $type: 'string' } },
+      { projection: { _id: 1 } }
+    );
+    if (!copy) {
+      skipped.push(legacy._id);
+      continue;
+    }
+
+    if (!dryRun) {
+      await cards.updateOne({ _id: legacy._id }, { $unset: { cardNumber: '', cvv: '' } });
+    }
+    wiped++;
+  }
+
+  return { cards: wiped, skipped: skipped.length, skippedIds: skipped };
+};
+
+// Run the migration if called directly
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  (async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const results = await up(mongoose.connection.db, { dryRun });
+
+    console.log(`Wipe Bitnob card plaintext migration (up${dryRun ? ', dry run' : ''})`);
+    console.log(`  cards: ${results.cards} document(s) ${dryRun ? 'would be ' : ''}wiped`);
+    if (results.skipped > 0) {
+      console.log(`  skipped ${results.skipped} card(s) without a vaulted copy:`);
+      results.skippedIds.forEach(id => console.log(`    ${id}`));
+    }
+
+    await mongoose.disconnect();
+  })().catch(async (error) => {
+    console.error('Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
+}
+
+module.exports = { up };
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Migration: ledger opening balances
+ * Wallet and card balances recorded before the ledger existed have no
+ * journal entries behind them. For each wallet currency (`walletBalances`)
+ * and card (`balanceMinor`) this posts the part of the balance the ledger
+ * account does not yet hold as one opening entry against the
+ * `opening_balances:<CURRENCY>` account. Balances are left as they are, and
+ * balances already fully on the ledger (e.g. cards copied by 004) get no
+ * entry, so the migration can be re-run. Run after 002-multi-currency-wallets,
+ * with no money moving.
+ *
+ * Accounts whose ledger balance is above the recorded balance are not
+ * touched and are reported for reconciliation.
+ *
+ * Down reverses the opening entries, again without changing balances.
+ *
+ * Usage:
+ *   node scripts/migrations/006-ledger-opening-balances.js [--down] [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const MIGRATION_ID = '006-ledger-opening-balances';
+
+// Required lazily so the runner can list migrations without the models loaded
+const getJournalEntry = () => require('../../models/JournalEntry');
+const getLedgerService = () => require('../../services/ledgerService');
+
+/**
+ * Post opening entries for wallet and card balances the ledger is missing
+ * @param {Object} db - Native MongoDB database handle
+ * @param {boolean} dryRun - Check only
+ * @returns {Promise<Object>} wallets and cards opened, and skipped accounts
+ */
+const migrateUp = async (db, dryRun) => {
+  const ledgerService = getLedgerService();
+  const ledgerAccounts = db.collection('ledgeraccounts');
+
+  const results = { wallets: 0, cards: 0, skipped: 0, skippedAccounts: [] };
+
+  const open = async (account, userId, recordedMinor) => {
+    const ledgerAccount = await ledgerAccounts.findOne({ code: account.code }, { projection: { balance: 1 } });
+    const missingMinor = recordedMinor - (ledgerAccount?.balance || 0);
+
+    if (missingMinor < 0) {
+      results.skipped++;
+      results.skippedAccounts.push(account.code);
+      return false;
+    }
+    if (missingMinor === 0) {
+      return false;
+    }
+
+    if (!dryRun) {
+      await ledgerService.recordOpeningBalance({ account, userId, amountMinor: missingMinor, migration: MIGRATION_ID });
+    }
+    return true;
+  };
+
+  const users = db.collection('users').find(
+    { walletBalances: { $exists: true } },
+    { projection: { walletBalances: 1 } }
+  );
+  for await (const user of users) {
+    for (const [currency, balanceMinor] of Object.entries(user.walletBalances || {})) {
+      if (await open(ledgerService.walletAccount(user._id, currency), user._id, balanceMinor || 0)) {
+        results.wallets++;
+      }
+    }
+  }
+
+  const cards = db.collection('virtualcards').find(
+    {},
+    { projection: { userId: 1, currency: 1, balanceMinor: 1 } }
+  );
+  for await (const card of cards) {
+    if (await open(ledgerService.cardAccount(card._id, card.currency || 'USD'), card.userId, card.balanceMinor || 0)) {
+      results.cards++;
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Reverse the opening entries posted by this migration
+ * @param {Object} db - Native MongoDB database handle
+ * @param {boolean} dryRun - Check only
+ * @returns {Promise<Object>} reverted count
+ */
+const migrateDown = async (db, dryRun) => {
+  const JournalEntry = getJournalEntry();
+  const ledgerService = getLedgerService();
+
+  const entries = await JournalEntry.find({
+    eventType: 'opening_balance',
+    'metadata.migration': MIGRATION_ID,
+    reversedBy: { $exists: false }
+  });
+
+  if (!dryRun) {
+    for (const entry of entries) {
+      await ledgerService.reverseEntry(entry._id, `Rollback of migration ${MIGRATION_ID}`, { applyProjections: false });
+    }
+  }
+
+  return { reverted: entries.length };
+};
+
+const up = (db, options = {}) => migrateUp(db, Boolean(options.dryRun));
+const down = (db, options = {}) => migrateDown(db, Boolean(options.dryRun));
+
+// Run the migration if called directly
+if (require.main === module) {
+  const direction = process.argv.includes('--down') ? 'down' : 'up';
+  const dryRun = process.argv.includes('--dry-run');
+
+  (async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const results = await (direction === 'up' ? up : down)(mongoose.connection.db, { dryRun });
+
+    console.log(`Ledger opening balances migration (${direction}${dryRun ? ', dry run' : ''})`);
+    if (direction === 'up') {
+      console.log(`  ${results.wallets} wallet balance(s) and ${results.cards} card balance(s) ${dryRun ? 'would be ' : ''}opened`);
+      if (results.skipped > 0) {
+        console.log(`  skipped ${results.skipped} account(s) with more on the ledger than recorded:`);
+        results.skippedAccounts.forEach(code => console.log(`    ${code}`));
+      }
+    } else {
+      console.log(`  ${results.reverted} opening entr${results.reverted === 1 ? 'y' : 'ies'} ${dryRun ? 'would be ' : ''}reversed`);
+    }
+
+    await mongoose.disconnect();
+  })().catch(async (error) => {
+    console.error('Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
+}
+
+module.exports = { up, down };
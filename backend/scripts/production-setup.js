@@ -59,7 +59,6 @@ class ProductionSetup {
       'NODE_ENV',
       'MONGODB_URI',
       'JWT_SECRET',
-      'CARD_ENCRYPTION_KEY',
       'CARD_ISSUER_PROVIDER'
     ];
 
@@ -77,6 +76,10 @@ class ProductionSetup {
       }
     });
 
+    if (!process.env.KMS_PROVIDER && !process.env.CARD_ENCRYPTION_KEYS && !process.env.CARD_ENCRYPTION_KEY) {
+      this.errors.push('Missing required environment variable: KMS_PROVIDER or CARD_ENCRYPTION_KEYS (or CARD_ENCRYPTION_KEY)');
+    }
+
     // Check production-specific variables
     if (process.env.NODE_ENV === 'production') {
       productionEnvVars.forEach(varName => {
@@ -125,6 +128,19 @@ class ProductionSetup {
       }
     }
 
+    // Validate the encryption keyring (id:key pairs)
+    const keyring = (process.env.CARD_ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    keyring.forEach(entry => {
+      if (!/^[A-Za-z0-9_-]{1,32}:[0-9a-fA-F]{64}$/.test(entry)) {
+        this.errors.push(`CARD_ENCRYPTION_KEYS entry '${entry.split(':')[0]}' must be an id followed by ':' and 64 hex characters`);
+      }
+    });
+    const currentKeyId = process.env.CARD_ENCRYPTION_KEY_ID;
+    if (currentKeyId && !keyring.some(entry => entry.startsWith(`${currentKeyId}:`))
+      && !(currentKeyId === 'legacy' && process.env.CARD_ENCRYPTION_KEY)) {
+      this.errors.push(`CARD_ENCRYPTION_KEY_ID '${currentKeyId}' is not in CARD_ENCRYPTION_KEYS`);
+    }
+
     // Validate admin email
     const adminEmail = process.env.ADMIN_EMAIL;
     if (adminEmail && !this.isValidEmail(adminEmail)) {
@@ -263,9 +279,12 @@ class ProductionSetup {
       secrets.JWT_SECRET = crypto.randomBytes(64).toString('hex');
     }
 
-    // Generate encryption key if missing
-    if (!process.env.CARD_ENCRYPTION_KEY || process.env.CARD_ENCRYPTION_KEY === 'generate_64_hex_characters_for_production_use') {
-      secrets.CARD_ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+    // Generate an encryption key if there is none
+    const placeholderKey = process.env.CARD_ENCRYPTION_KEY === 'generate_64_hex_characters_for_production_use';
+    if (!process.env.KMS_PROVIDER && !process.env.CARD_ENCRYPTION_KEYS && (!process.env.CARD_ENCRYPTION_KEY || placeholderKey)) {
+      const keyId = `k${new Date().getFullYear()}`;
+      secrets.CARD_ENCRYPTION_KEYS = `${keyId}:${crypto.randomBytes(32).toString('hex')}`;
+      secrets.CARD_ENCRYPTION_KEY_ID = keyId;
     }
 
     if (Object.keys(secrets).length > 0) {
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Re-encrypt stored card and payout data under the current encryption key
+ * (CARD_ENCRYPTION_KEY_ID). Resumes the last run for that key if it was
+ * interrupted; --restart starts a new run from the beginning instead.
+ *
+ * Usage:
+ *   node scripts/reencryptCards.js [--restart] [--status]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const keyRotationService = require('../services/keyRotationService');
+
+const printProgress = (run) => {
+  const percent = run.total > 0 ? Math.min(100, Math.round((run.processed / run.total) * 100)) : 100;
+  console.log(`  ${run.target}: ${run.processed}/${run.total} processed (${percent}%), ` +
+    `${run.reEncrypted} re-encrypted, ${run.rewrapped} data key(s) rewrapped, ${run.skipped} skipped, ${run.documentErrors} error(s)`);
+};
+
+if (require.main === module) {
+  const restart = process.argv.includes('--restart');
+  const statusOnly = process.argv.includes('--status');
+
+  (async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    if (statusOnly) {
+      const status = await keyRotationService.getStatus();
+      console.log(`Current key: ${status.currentKeyId} (keyring: ${status.keyIds.join(', ')})`);
+      Object.entries(status.pending).forEach(([collection, count]) => {
+        console.log(`  ${collection}: ${count} document(s) under another key`);
+      });
+    } else {
+      const run = await keyRotationService.startRun({ trigger: 'cli', restart });
+      console.log(`Re-encrypting under key ${run.keyId} (run ${run._id}${run.resumedAt ? ', resumed' : ''})`);
+
+      const finished = await keyRotationService.executeRun(run, { onProgress: printProgress });
+      console.log(`Run ${finished.status}: ${finished.reEncrypted} document(s) re-encrypted`);
+      if (finished.documentErrors > 0) {
+        console.log(`  ${finished.documentErrors} document(s) could not be re-encrypted; see the logs and run again`);
+      }
+      if (finished.status === 'failed') {
+        console.log(`  ${finished.error}; run again to resume`);
+        process.exitCode = 1;
+      }
+    }
+
+    await mongoose.disconnect();
+  })().catch(async (error) => {
+    console.error('Re-encryption failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
+}
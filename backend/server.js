@@ -39,6 +39,11 @@ app.use('/api/users', require('./routes/users'));
 app.use('/api/cards', require('./routes/cards'));
 app.use('/api/funding', require('./routes/funding'));
 app.use('/api/wallet', require('./routes/wallet'));
+app.use('/api/fx', require('./routes/fx'));
+app.use('/api/fees', require('./routes/fees'));
+app.use('/api/merchant-categories', require('./routes/merchantCategories'));
+app.use('/api/statements', require('./routes/statements'));
+app.use('/api/transactions', require('./routes/transactions'));
 app.use('/api/payments', require('./routes/payments'));
 app.use('/api/kyc', require('./routes/kyc'));
 app.use('/api/admin', require('./routes/admin'));
@@ -51,4 +56,11 @@ app.get('/api/health', (req, res) => {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Background jobs
+require('./services/autoReloadService').start();
+require('./services/reconciliationService').start();
+require('./services/statementService').start();
+require('./services/authorizationHoldService').start();
+require('./services/cardRenewalService').start();
\ No newline at end of file
@@ -0,0 +1,242 @@
+const VirtualCard = require('../models/VirtualCard');
+const balanceUpdateService = require('./balanceUpdateService');
+const fraudDetectionService = require('./fraudDetectionService');
+const merchantCategoryService = require('./merchantCategoryService');
+const cardUsageService = require('./cardUsageService');
+const cardControlsService = require('./cardControlsService');
+const Money = require('../utils/money');
+
+/**
+ * Authorization Decision Service
+ * Approves or declines real-time authorization requests (Stripe Issuing
+ * `issuing_authorization.request`, Marqeta gateway JIT funding) while the
+ * issuer waits for an answer. Checks run in order: card, currency,
+ * merchant category, usage type, usage controls, card status, spending
+ * limits and available balance, then fraud analysis. The first failing check declines.
+ *
+ * Decisions must arrive within JIT_DECISION_BUDGET_MS. A decision that is
+ * not ready in time, or that fails, is a decline: the issuer never approves
+ * spend that was not checked. Every decision is logged with its reason and
+ * how long each check took.
+ *
+ * Nothing is held here; the hold is placed when the issuer reports the
+ * approved authorization (see balanceUpdateService).
+ */
+class AuthorizationDecisionService {
+  constructor() {
+    this.logger = require('../utils/logger').logger;
+
+    this.budgetMs = parseInt(process.env.JIT_DECISION_BUDGET_MS || '1500', 10);
+
+    // Spending limit failures (balanceUpdateService.checkSpendingLimits) by decline code
+    this.limitCodes = {
+      card_status: 'card_inactive',
+      per_transaction: 'per_transaction_limit',
+      daily: 'daily_limit',
+      monthly: 'monthly_limit',
+      balance: 'insufficient_funds',
+      system_error: 'system_error'
+    };
+
+    this.stats = {
+      approved: 0,
+      declined: 0,
+      timedOut: 0,
+      totalDurationMs: 0,
+      lastDecisionAt: null
+    };
+  }
+
+  /**
+   * Decide on a real-time authorization request
+   * Never throws: failures and timeouts are declines.
+   * @param {Object} request - provider, issuerAuthorizationId, issuerCardId,
+   *   amount (major units), currency, merchant { name, category, mcc, networkId,
+   *   country, cardPresent },
+   *   partialApprovalAllowed
+   * @returns {Promise<Object>} approved, code, reason, amount (approved),
+   *   requestedAmount, cardId, checks, durationMs
+   */
+  async decide(request) {
+    const startedAt = Date.now();
+    const checks = [];
+    let timer;
+
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        resolve(this.decline('timeout', `No decision within ${this.budgetMs}ms`));
+      }, this.budgetMs);
+    });
+
+    let decision;
+    try {
+      decision = await Promise.race([this.evaluate(request, checks), timeout]);
+    } catch (error) {
+      decision = this.decline('system_error', `Decision failed: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    decision.requestedAmount = request.amount;
+    decision.checks = checks.slice();
+    decision.durationMs = Date.now() - startedAt;
+    this.record(request, decision);
+    return decision;
+  }
+
+  /**
+   * Run the checks in order and stop at the first decline
+   * @param {Object} request - Authorization request
+   * @param {Array} checks - Filled with { name, passed, ms } as checks complete
+   * @returns {Promise<Object>} Decision
+   */
+  async evaluate(request, checks) {
+    const run = async (name, check) => {
+      const started = Date.now();
+      const result = await check();
+      checks.push({ name, passed: !result, ms: Date.now() - started });
+      return result;
+    };
+
+    const card = await VirtualCard.findOne({ issuerCardId: request.issuerCardId });
+    if (!card) {
+      return this.decline('card_not_found', `Unknown card ${request.issuerCardId}`);
+    }
+
+    const currencyDecline = await run('currency', () => (
+      request.currency && request.currency.toUpperCase() !== card.currency
+        ? this.decline('currency_mismatch', `Card is in ${card.currency}, request is in ${request.currency}`, card)
+        : null
+    ));
+    if (currencyDecline) {
+      return currencyDecline;
+    }
+
+    const merchantDecline = await run('merchant_category', () => {
+      const merchantCheck = merchantCategoryService.checkMerchant(card, request.merchant);
+      return merchantCheck.allowed ? null : this.decline(merchantCheck.code, merchantCheck.reason, card);
+    });
+    if (merchantDecline) {
+      return merchantDecline;
+    }
+
+    // Single-use cards already used, merchant-locked cards at another merchant
+    const usageDecline = await run('usage_type', () => {
+      const usageCheck = cardUsageService.checkAuthorization(card, request.merchant);
+      return usageCheck.allowed ? null : this.decline(usageCheck.code, usageCheck.reason, card);
+    });
+    if (usageDecline) {
+      return usageDecline;
+    }
+
+    // Allowed days and hours, countries and channels
+    const controlsDecline = await run('usage_controls', () => {
+      const controlsCheck = cardControlsService.checkAuthorization(card, request.merchant);
+      return controlsCheck.allowed ? null : this.decline(controlsCheck.code, controlsCheck.reason, card);
+    });
+    if (controlsDecline) {
+      return controlsDecline;
+    }
+
+    // Card status, per-transaction, daily and monthly limits, then available balance
+    let amount = request.amount;
+    let partial = false;
+    const limitDecline = await run('spending_limits', async () => {
+      const limitCheck = await balanceUpdateService.checkSpendingLimits(card, request.amount, 'authorization');
+      if (limitCheck.allowed) {
+        return null;
+      }
+      if (limitCheck.limitType === 'balance' && request.partialApprovalAllowed && card.availableBalanceMinor > 0) {
+        amount = card.availableBalance;
+        partial = true;
+        return null;
+      }
+      return this.decline(this.limitCodes[limitCheck.limitType] || 'limit_exceeded', limitCheck.reason, card);
+    });
+    if (limitDecline) {
+      return limitDecline;
+    }
+
+    let fraudScore = null;
+    const fraudDecline = await run('fraud', async () => {
+      const analysis = await fraudDetectionService.analyzeTransaction(card, {
+        transactionId: request.issuerAuthorizationId,
+        amount,
+        merchantName: request.merchant?.name,
+        merchantCategory: request.merchant?.category
+      });
+      fraudScore = analysis.fraudScore;
+      return analysis.shouldBlock
+        ? this.decline('suspected_fraud', `Fraud score ${analysis.fraudScore} (${analysis.indicators.join(', ')})`, card)
+        : null;
+    });
+    if (fraudDecline) {
+      return fraudDecline;
+    }
+
+    return {
+      approved: true,
+      code: partial ? 'partial_approval' : 'approved',
+      reason: partial
+        ? `Approved the available ${Money.format(card.availableBalanceMinor, card.currency)}`
+        : 'All checks passed',
+      amount,
+      cardId: card._id,
+      fraudScore
+    };
+  }
+
+  decline(code, reason, card = null) {
+    return { approved: false, code, reason, amount: 0, cardId: card ? card._id : null };
+  }
+
+  /**
+   * Log a decision with its reason and keep running counts
+   * @param {Object} request - Authorization request
+   * @param {Object} decision - Decision
+   */
+  record(request, decision) {
+    if (decision.approved) {
+      this.stats.approved += 1;
+    } else {
+      this.stats.declined += 1;
+    }
+    if (decision.code === 'timeout') {
+      this.stats.timedOut += 1;
+    }
+    this.stats.totalDurationMs += decision.durationMs;
+    this.stats.lastDecisionAt = new Date();
+
+    const log = decision.approved ? 'info' : 'warn';
+    this.logger[log]('Authorization decision', {
+      provider: request.provider,
+      issuerAuthorizationId: request.issuerAuthorizationId,
+      issuerCardId: request.issuerCardId,
+      cardId: decision.cardId,
+      requestedAmount: request.amount,
+      approvedAmount: decision.amount,
+      currency: request.currency,
+      merchant: request.merchant?.name,
+      mcc: request.merchant?.mcc,
+      approved: decision.approved,
+      code: decision.code,
+      reason: decision.reason,
+      checks: decision.checks,
+      durationMs: decision.durationMs
+    });
+  }
+
+  getStats() {
+    const decisions = this.stats.approved + this.stats.declined;
+    return {
+      approved: this.stats.approved,
+      declined: this.stats.declined,
+      timedOut: this.stats.timedOut,
+      averageDurationMs: decisions > 0 ? Math.round(this.stats.totalDurationMs / decisions) : 0,
+      budgetMs: this.budgetMs,
+      lastDecisionAt: this.stats.lastDecisionAt
+    };
+  }
+}
+
+module.exports = new AuthorizationDecisionService();
@@ -0,0 +1,317 @@
+const AuthorizationHold = require('../models/AuthorizationHold');
+const Transaction = require('../models/Transaction');
+const VirtualCard = require('../models/VirtualCard');
+const Money = require('../utils/money');
+const scheduler = require('../utils/scheduler');
+const productionCardService = require('./productionCardService');
+const { withTransaction } = require('../utils/mongoTransaction');
+
+/**
+ * Authorization Hold Service
+ * The lifecycle of funds reserved by card authorizations: holds are placed
+ * when an authorization is approved, grown by incremental authorizations,
+ * consumed by the clearing matched to them and released by reversals or,
+ * for authorizations that never clear, after AUTH_HOLD_EXPIRY_DAYS.
+ *
+ * Each change to a hold is a conditional update on the amount last read,
+ * made in the same MongoDB transaction as the matching change to
+ * VirtualCard.heldMinor, so the card's available balance always equals its
+ * ledger balance less its active holds. Funds a hold frees on a closed
+ * card are returned to the wallet, since closing the card left them behind.
+ */
+class AuthorizationHoldService {
+  constructor() {
+    this.logger = require('../utils/logger').logger;
+
+    // Days an uncleared authorization keeps its funds held
+    this.expiryDays = parseInt(process.env.AUTH_HOLD_EXPIRY_DAYS || '7', 10);
+    this.intervalMs = parseInt(process.env.AUTH_HOLD_EXPIRY_INTERVAL_MS || '3600000', 10);
+    this.batchSize = parseInt(process.env.AUTH_HOLD_EXPIRY_BATCH_SIZE || '100', 10);
+  }
+
+  /**
+   * Build a hold error with an HTTP status and machine-readable code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  holdError(message, statusCode, code) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  expiryFrom(date = new Date()) {
+    return new Date(date.getTime() + this.expiryDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Save an approved authorization and hold its amount on the card
+   * @param {Object} params - card, transaction (unsaved authorization),
+   *   amountMinor (approved), requestedMinor, issuerAuthorizationId
+   * @returns {Promise<Object>} Hold
+   */
+  async placeHold({ card, transaction, amountMinor, requestedMinor = null, issuerAuthorizationId = null }) {
+    const hold = await withTransaction(async (session) => {
+      await transaction.save({ session });
+
+      const [hold] = await AuthorizationHold.create([{
+        userId: card.userId,
+        cardId: card._id,
+        transactionId: transaction._id,
+        issuerAuthorizationId,
+        currency: transaction.currency,
+        requestedMinor: requestedMinor || amountMinor,
+        authorizedMinor: amountMinor,
+        amountMinor,
+        expiresAt: this.expiryFrom()
+      }], { session });
+
+      await VirtualCard.updateOne({ _id: card._id }, { $inc: { heldMinor: amountMinor } }, { session });
+      return hold;
+    });
+
+    this.logger.info('Authorization hold placed', {
+      cardId: card._id,
+      transactionId: transaction._id,
+      amount: Money.format(amountMinor, transaction.currency),
+      partial: hold.isPartial
+    });
+    return hold;
+  }
+
+  async findActiveHold(transactionId, session = null) {
+    return AuthorizationHold.findOne({ transactionId, status: 'active' }).session(session);
+  }
+
+  /**
+   * Add an incremental authorization to a hold, once per issuer event
+   * The hold's expiry restarts from the increment.
+   * @param {Object} hold - Hold as last read
+   * @param {number} amountMinor - Additional amount approved
+   * @param {string} issuerTransactionId - Issuer ID of the increment
+   * @returns {Promise<Object|null>} Updated hold, or null for a repeated increment
+   */
+  async incrementHold(hold, amountMinor, issuerTransactionId) {
+    if (issuerTransactionId && hold.increments.some(item => item.issuerTransactionId === issuerTransactionId)) {
+      return null;
+    }
+
+    const updated = await withTransaction(async (session) => {
+      const updated = await AuthorizationHold.findOneAndUpdate(
+        { _id: hold._id, status: 'active', amountMinor: hold.amountMinor },
+        {
+          $inc: { amountMinor, authorizedMinor: amountMinor },
+          $push: { increments: { issuerTransactionId, amountMinor } },
+          $set: { expiresAt: this.expiryFrom() }
+        },
+        { new: true, session }
+      );
+      if (!updated) {
+        throw this.holdError('The hold changed while it was being updated', 409, 'HOLD_CHANGED');
+      }
+
+      await Transaction.updateOne({ _id: hold.transactionId }, { $inc: { amountMinor } }, { session });
+      await VirtualCard.updateOne({ _id: hold.cardId }, { $inc: { heldMinor: amountMinor } }, { session });
+      return updated;
+    });
+
+    this.logger.info('Authorization hold incremented', {
+      cardId: hold.cardId,
+      transactionId: hold.transactionId,
+      increment: Money.format(amountMinor, hold.currency),
+      held: Money.format(updated.amountMinor, hold.currency)
+    });
+    return updated;
+  }
+
+  /**
+   * Release all or part of a hold without a clearing
+   * A hold released in full closes with `status` and its authorization is
+   * marked reversed. Without a session, funds released on a closed card are
+   * then returned to the wallet; callers passing a session sweep them once
+   * their transaction commits.
+   * @param {Object} hold - Hold as last read
+   * @param {Object} options - amountMinor (defaults to everything held), reason,
+   *   status (released | expired), session
+   * @returns {Promise<Object>} Updated hold
+   */
+  async releaseHold(hold, { amountMinor = null, reason, status = 'released', session = null } = {}) {
+    const release = Math.min(amountMinor === null ? hold.amountMinor : amountMinor, hold.amountMinor);
+    const remaining = hold.amountMinor - release;
+
+    const apply = async (session) => {
+      const set = remaining === 0
+        ? { amountMinor: 0, status, releasedAt: new Date(), releaseReason: reason }
+        : { amountMinor: remaining };
+      const updated = await AuthorizationHold.findOneAndUpdate(
+        { _id: hold._id, status: 'active', amountMinor: hold.amountMinor },
+        { $set: set },
+        { new: true, session }
+      );
+      if (!updated) {
+        throw this.holdError('The hold changed while it was being updated', 409, 'HOLD_CHANGED');
+      }
+
+      await VirtualCard.updateOne({ _id: hold.cardId }, { $inc: { heldMinor: -release } }, { session });
+      if (remaining === 0 && updated.clearedMinor === 0) {
+        await Transaction.updateOne(
+          { _id: hold.transactionId, status: { $in: ['pending', 'completed'] } },
+          { $set: { status: 'cancelled', processingStatus: 'reversed', 'metadata.holdReleaseReason': reason } },
+          { session }
+        );
+      }
+      return updated;
+    };
+
+    const updated = session ? await apply(session) : await withTransaction(apply);
+
+    this.logger.info('Authorization hold released', {
+      cardId: hold.cardId,
+      transactionId: hold.transactionId,
+      released: Money.format(release, hold.currency),
+      remaining: Money.format(remaining, hold.currency),
+      reason
+    });
+
+    if (!session && release > 0) {
+      await this.sweepClosedCard(hold, release);
+    }
+    return updated;
+  }
+
+  /**
+   * Return funds released on a closed card to the owner's wallet
+   * A failed sweep leaves the funds on the card, where a defund can still
+   * move them; it does not undo the release.
+   * @param {Object} hold - Released hold
+   * @param {number} releasedMinor - Amount released
+   * @returns {Promise<Object|null>} Defund result, or null when nothing was swept
+   */
+  async sweepClosedCard(hold, releasedMinor) {
+    const card = await VirtualCard.findById(hold.cardId);
+    if (!card || card.status !== 'closed') {
+      return null;
+    }
+
+    const sweptMinor = Math.min(releasedMinor, card.balanceMinor - (card.heldMinor || 0));
+    if (sweptMinor <= 0) {
+      return null;
+    }
+
+    try {
+      return await productionCardService.defundCard(card.userId, card._id, sweptMinor, {
+        description: `Closed ${card.cardName}: released hold returned to wallet`
+      });
+    } catch (error) {
+      this.logger.error('Released funds could not be returned from closed card', {
+        cardId: card._id,
+        sweptMinor,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Match a clearing to its authorization
+   * The authorization is marked as cleared by the clearing, so spend is
+   * counted once at the cleared amount, and its hold is consumed: in full
+   * for a final clearing, whatever the cleared amount, or by the cleared
+   * amount when the merchant will clear the rest separately.
+   * Must run in the session that posts the clearing to the ledger.
+   * @param {Object} authorization - Authorization transaction
+   * @param {Object} params - transaction (clearing), amountMinor, final
+   * @param {Object} session - MongoDB session
+   * @returns {Promise<Object|null>} Updated hold, or null if none was active
+   */
+  async settleAuthorization(authorization, { transaction, amountMinor, final = true }, session) {
+    await Transaction.updateOne(
+      { _id: authorization._id },
+      { $set: { processingStatus: 'settled', 'metadata.clearingTransactionId': transaction._id } },
+      { session }
+    );
+
+    const hold = await this.findActiveHold(authorization._id, session);
+    if (!hold) {
+      return null;
+    }
+
+    const release = final ? hold.amountMinor : Math.min(amountMinor, hold.amountMinor);
+    const remaining = hold.amountMinor - release;
+    const updated = await AuthorizationHold.findOneAndUpdate(
+      { _id: hold._id, status: 'active', amountMinor: hold.amountMinor },
+      {
+        $set: remaining === 0 ? { amountMinor: 0, status: 'cleared' } : { amountMinor: remaining },
+        $inc: { clearedMinor: amountMinor },
+        $push: { clearings: { transactionId: transaction._id, amountMinor } }
+      },
+      { new: true, session }
+    );
+    if (!updated) {
+      throw this.holdError('The hold changed while it was being updated', 409, 'HOLD_CHANGED');
+    }
+
+    await VirtualCard.updateOne({ _id: hold.cardId }, { $inc: { heldMinor: -release } }, { session });
+
+    if (amountMinor !== hold.authorizedMinor) {
+      this.logger.info('Clearing differs from its authorization', {
+        cardId: hold.cardId,
+        authorizationId: authorization._id,
+        authorized: Money.format(hold.authorizedMinor, hold.currency),
+        cleared: Money.format(amountMinor, hold.currency)
+      });
+    }
+    return updated;
+  }
+
+  async listHolds(cardId, { status = 'active', limit = 50, offset = 0 } = {}) {
+    const filter = { cardId };
+    if (status) {
+      filter.status = status;
+    }
+    return AuthorizationHold.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(offset);
+  }
+
+  // Scheduling
+
+  /**
+   * Release holds whose authorization never cleared
+   * @returns {Promise<Object>} Counts
+   */
+  async expireHolds() {
+    const holds = await AuthorizationHold.find({ status: 'active', expiresAt: { $lte: new Date() } })
+      .sort({ expiresAt: 1 })
+      .limit(this.batchSize);
+
+    const summary = { expired: 0, failed: 0 };
+    for (const hold of holds) {
+      try {
+        await this.releaseHold(hold, { reason: 'expired', status: 'expired' });
+        summary.expired += 1;
+      } catch (error) {
+        summary.failed += 1;
+        this.logger.error('Authorization hold expiry failed', { holdId: hold._id, error: error.message });
+      }
+    }
+
+    if (holds.length > 0) {
+      this.logger.info('Authorization hold expiry run finished', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Start the scheduled expiry run (AUTH_HOLD_EXPIRY_INTERVAL_MS, 0 disables it)
+   */
+  start() {
+    scheduler.schedule('authorization-hold-expiry', this.intervalMs, () => this.expireHolds());
+  }
+}
+
+module.exports = new AuthorizationHoldService();
@@ -0,0 +1,343 @@
+const VirtualCard = require('../models/VirtualCard');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledgerService');
+const kycValidationService = require('./kycValidationService');
+const emailService = require('./emailService');
+const Money = require('../utils/money');
+const scheduler = require('../utils/scheduler');
+const { withTransaction } = require('../utils/mongoTransaction');
+
+/**
+ * Auto-Reload Service
+ * Per-card rules that top a card up from the wallet when its balance drops
+ * below a threshold, e.g. "below 50.00, move 200.00, at most 3 times a day".
+ * Rules are evaluated after every card balance change and on a schedule.
+ * Reloads draw on the wallet balance in the card currency and count
+ * towards the user's KYC funding limits.
+ */
+class AutoReloadService {
+  constructor() {
+    this.logger = require('../utils/logger').logger;
+
+    this.intervalMs = parseInt(process.env.AUTO_RELOAD_INTERVAL_MS || '300000', 10);
+    this.batchSize = parseInt(process.env.AUTO_RELOAD_BATCH_SIZE || '100', 10);
+  }
+
+  /**
+   * Build an auto-reload error with an HTTP status and machine-readable code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  autoReloadError(message, statusCode, code) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  // Rules
+
+  /**
+   * Create or replace a card's auto-reload rule
+   * @param {string} userId - Card owner
+   * @param {string} cardId - Card ID
+   * @param {Object} rule - threshold, amount (major units of the card currency), maxPerDay, enabled
+   * @returns {Promise<Object>} Updated card
+   */
+  async setRule(userId, cardId, { threshold, amount, maxPerDay = 3, enabled = true }) {
+    const card = await VirtualCard.findOne({ _id: cardId, userId });
+    if (!card) {
+      throw this.autoReloadError('Card not found', 404, 'CARD_NOT_FOUND');
+    }
+    if (card.status === 'closed') {
+      throw this.autoReloadError('Cannot set auto-reload on a closed card', 400, 'CARD_CLOSED');
+    }
+
+    const thresholdMinor = Money.toMinor(threshold, card.currency);
+    const amountMinor = Money.toMinor(amount, card.currency);
+    if (amountMinor <= 0 || thresholdMinor < 0) {
+      throw this.autoReloadError('Invalid auto-reload amounts', 400, 'INVALID_AUTO_RELOAD');
+    }
+
+    card.set('autoReload.enabled', enabled);
+    card.set('autoReload.thresholdMinor', thresholdMinor);
+    card.set('autoReload.amountMinor', amountMinor);
+    card.set('autoReload.maxPerDay', maxPerDay);
+    await card.save();
+
+    this.logger.info('Auto-reload rule saved', { cardId, thresholdMinor, amountMinor, maxPerDay, enabled });
+
+    // The balance may already be below the new threshold
+    if (enabled) {
+      await this.evaluateCard(card._id, { trigger: 'rule_update' }).catch((error) => {
+        this.logger.error('Auto-reload evaluation failed', { cardId, error: error.message });
+      });
+    }
+
+    return VirtualCard.findById(card._id);
+  }
+
+  /**
+   * Turn off a card's auto-reload rule
+   * @param {string} userId - Card owner
+   * @param {string} cardId - Card ID
+   * @returns {Promise<Object>} Updated card
+   */
+  async disableRule(userId, cardId) {
+    const card = await VirtualCard.findOneAndUpdate(
+      { _id: cardId, userId },
+      { $set: { 'autoReload.enabled': false } },
+      { new: true }
+    );
+    if (!card) {
+      throw this.autoReloadError('Card not found', 404, 'CARD_NOT_FOUND');
+    }
+    return card;
+  }
+
+  /**
+   * API representation of a card's rule, in major units
+   * @param {Object} card - Card document
+   * @returns {Object} Rule
+   */
+  describeRule(card) {
+    const rule = card.autoReload || {};
+    return {
+      enabled: Boolean(rule.enabled),
+      threshold: rule.thresholdMinor === undefined ? null : Money.toMajor(rule.thresholdMinor, card.currency),
+      amount: rule.amountMinor === undefined ? null : Money.toMajor(rule.amountMinor, card.currency),
+      maxPerDay: rule.maxPerDay,
+      currency: card.currency,
+      lastReloadAt: rule.lastReloadAt || null,
+      lastFailureAt: rule.lastFailureAt || null,
+      lastFailureReason: rule.lastFailureReason || null
+    };
+  }
+
+  // Evaluation
+
+  startOfDay() {
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    return start;
+  }
+
+  /**
+   * Count today's completed auto-reloads for a card
+   * @param {string} cardId - Card ID
+   * @param {Object} session - Optional Mongo session
+   * @returns {Promise<number>} Reload count
+   */
+  async getReloadCountToday(cardId, session = null) {
+    return Transaction.countDocuments({
+      cardId,
+      type: 'card_funding',
+      status: 'completed',
+      'metadata.autoReload': true,
+      createdAt: { $gte: this.startOfDay() }
+    }).session(session);
+  }
+
+  /**
+   * Sum card funding by a user since a date, in major units
+   * @param {string} userId - User ID
+   * @param {string} currency - Currency
+   * @param {Date} since - Start of the period
+   * @returns {Promise<number>} Total funded
+   */
+  async getFundedTotal(userId, currency, since) {
+    const fundings = await Transaction.find({
+      userId,
+      currency,
+      type: 'card_funding',
+      status: 'completed',
+      createdAt: { $gte: since }
+    }).select('amountMinor');
+
+    const total = fundings.reduce((sum, funding) => sum + funding.amountMinor, 0);
+    return Money.toMajor(total, currency);
+  }
+
+  /**
+   * Evaluate a card's rule and reload it if due
+   * @param {string} cardId - Card ID
+   * @param {Object} options - trigger ('balance_change' | 'schedule' | 'rule_update')
+   * @returns {Promise<Object>} status ('skipped' | 'reloaded' | 'failed'), reason, transaction
+   */
+  async evaluateCard(cardId, { trigger = 'schedule' } = {}) {
+    const card = await VirtualCard.findById(cardId);
+    const skip = this.skipReason(card);
+    if (skip) {
+      return { status: 'skipped', reason: skip };
+    }
+
+    const { amountMinor } = card.autoReload;
+    if (await this.getReloadCountToday(card._id) >= card.autoReload.maxPerDay) {
+      return { status: 'skipped', reason: 'daily_cap_reached' };
+    }
+
+    const startOfDay = this.startOfDay();
+    const startOfMonth = new Date(startOfDay);
+    startOfMonth.setDate(1);
+    const permission = await kycValidationService.checkOperationPermission(card.userId, 'fund_card', {
+      amount: Money.toMajor(amountMinor, card.currency),
+      currency: card.currency,
+      dailyTotal: await this.getFundedTotal(card.userId, card.currency, startOfDay),
+      monthlyTotal: await this.getFundedTotal(card.userId, card.currency, startOfMonth)
+    });
+    if (!permission.allowed) {
+      return this.recordFailure(card, permission.reason || 'Funding not permitted', { notify: false });
+    }
+
+    try {
+      const transaction = await withTransaction(async (session) => {
+        // Re-check inside the transaction; a concurrent reload conflicts on
+        // the card balance and is retried against the reloaded balance
+        const current = await VirtualCard.findById(card._id).session(session);
+        if (this.skipReason(current)) {
+          return null;
+        }
+        if (await this.getReloadCountToday(card._id, session) >= current.autoReload.maxPerDay) {
+          return null;
+        }
+
+        const transaction = new Transaction({
+          userId: current.userId,
+          type: 'card_funding',
+          amountMinor,
+          currency: current.currency,
+          description: `Auto-reload of ${current.cardName}`,
+          cardId: current._id,
+          status: 'completed',
+          balanceBeforeMinor: current.balanceMinor,
+          balanceAfterMinor: current.balanceMinor + amountMinor,
+          metadata: { autoReload: true, trigger }
+        });
+
+        await ledgerService.recordCardFunding({
+          userId: current.userId,
+          cardId: current._id,
+          amountMinor,
+          currency: current.currency,
+          transaction
+        }, { session });
+
+        await VirtualCard.updateOne(
+          { _id: current._id },
+          { $set: { 'autoReload.lastReloadAt': new Date() } },
+          { session }
+        );
+
+        return transaction;
+      });
+
+      if (!transaction) {
+        return { status: 'skipped', reason: 'already_reloaded' };
+      }
+
+      this.logger.info('Card auto-reloaded', { cardId: card._id, amountMinor, trigger });
+      return { status: 'reloaded', transaction };
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_FUNDS') {
+        return this.recordFailure(card, 'Insufficient wallet balance', { notify: true });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Why a card should not be reloaded right now, if at all
+   * @param {Object|null} card - Card document
+   * @returns {string|null} Skip reason
+   */
+  skipReason(card) {
+    if (!card || !card.autoReload?.enabled) {
+      return 'no_rule';
+    }
+    if (card.status !== 'active') {
+      return 'card_not_active';
+    }
+    if (card.balanceMinor >= card.autoReload.thresholdMinor) {
+      return 'above_threshold';
+    }
+    return null;
+  }
+
+  /**
+   * Record a failed reload on the card and notify the owner, at most once a day
+   * @param {Object} card - Card document
+   * @param {string} reason - Failure reason
+   * @param {Object} options - notify
+   * @returns {Promise<Object>} Evaluation result
+   */
+  async recordFailure(card, reason, { notify }) {
+    const now = new Date();
+    const lastNotifiedAt = card.autoReload.lastNotifiedAt;
+    const shouldNotify = notify && !(lastNotifiedAt && lastNotifiedAt >= this.startOfDay());
+
+    const update = { 'autoReload.lastFailureAt': now, 'autoReload.lastFailureReason': reason };
+    if (shouldNotify) {
+      update['autoReload.lastNotifiedAt'] = now;
+    }
+    await VirtualCard.updateOne({ _id: card._id }, { $set: update });
+
+    this.logger.warn('Card auto-reload failed', { cardId: card._id, reason });
+
+    if (shouldNotify) {
+      try {
+        const user = await User.findById(card.userId);
+        await emailService.sendAutoReloadFailedEmail(user, card, {
+          reason,
+          amount: Money.format(card.autoReload.amountMinor, card.currency),
+          cardBalance: Money.format(card.balanceMinor, card.currency)
+        });
+      } catch (error) {
+        this.logger.error('Auto-reload failure notification failed', { cardId: card._id, error: error.message });
+      }
+    }
+
+    return { status: 'failed', reason, notified: shouldNotify };
+  }
+
+  // Scheduling
+
+  /**
+   * Evaluate every active card whose balance is below its threshold
+   * @returns {Promise<Object>} Counts by outcome
+   */
+  async runScheduled() {
+    const cards = await VirtualCard.find({
+      'autoReload.enabled': true,
+      status: 'active',
+      $expr: { $lt: ['$balanceMinor', '$autoReload.thresholdMinor'] }
+    }).select('_id').limit(this.batchSize);
+
+    const summary = { evaluated: cards.length, reloaded: 0, failed: 0, skipped: 0 };
+    for (const card of cards) {
+      try {
+        const result = await this.evaluateCard(card._id, { trigger: 'schedule' });
+        summary[result.status] += 1;
+      } catch (error) {
+        summary.failed += 1;
+        this.logger.error('Auto-reload evaluation failed', { cardId: card._id, error: error.message });
+      }
+    }
+
+    if (summary.evaluated > 0) {
+      this.logger.info('Scheduled auto-reload run finished', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Start the scheduled run (AUTO_RELOAD_INTERVAL_MS, 0 disables it)
+   */
+  start() {
+    scheduler.schedule('auto-reload', this.intervalMs, () => this.runScheduled());
+  }
+}
+
+module.exports = new AutoReloadService();
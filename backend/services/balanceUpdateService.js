@@ -1,14 +1,25 @@
 const VirtualCard = require('../models/VirtualCard');
 const Transaction = require('../models/Transaction');
-const User = require('../models/User');
+const ledgerService = require('./ledgerService');
+const autoReloadService = require('./autoReloadService');
+const authorizationHoldService = require('./authorizationHoldService');
+const merchantCategoryService = require('./merchantCategoryService');
+const cardUsageService = require('./cardUsageService');
+const cardControlsService = require('./cardControlsService');
+const Money = require('../utils/money');
+const { withTransaction } = require('../utils/mongoTransaction');
 
 /**
  * Balance Update Service
- * Handles real-time balance updates and spending limit enforcement
+ * Handles real-time balance updates and spending limit enforcement.
+ * Approved authorizations hold funds on the card (see
+ * authorizationHoldService); the ledger balance only moves when a clearing
+ * is posted, and the clearing is matched to its authorization through
+ * relatedTransactionId.
  */
 class BalanceUpdateService {
   constructor() {
-    this.logger = require('../utils/logger');
+    this.logger = require('../utils/logger').logger;
   }
 
   /**
@@ -36,14 +47,21 @@ class BalanceUpdateService {
       // Check if transaction already exists
       let transaction = await Transaction.findOne({ issuerTransactionId });
       
+      let result;
       if (transaction) {
         // Update existing transaction
-        return await this.updateExistingTransaction(transaction, transactionData);
+        result = await this.updateExistingTransaction(transaction, transactionData);
       } else {
         // Create new transaction
-        return await this.createNewTransaction(card, transactionData);
+        result = await this.createNewTransaction(card, transactionData);
       }
 
+      if (result.balanceUpdated || result.holdChanged) {
+        await this.evaluateAutoReload(card._id);
+      }
+
+      return result;
+
     } catch (error) {
       this.logger.error('Transaction processing failed', {
         issuerTransactionId: transactionData.issuerTransactionId,
@@ -53,6 +71,20 @@ class BalanceUpdateService {
     }
   }
 
+  /**
+   * Top the card up if its balance dropped below its auto-reload threshold.
+   * Failures are logged, not thrown; the transaction itself has already
+   * been processed.
+   * @param {string} cardId - Card ID
+   */
+  async evaluateAutoReload(cardId) {
+    try {
+      await autoReloadService.evaluateCard(cardId, { trigger: 'balance_change' });
+    } catch (error) {
+      this.logger.error('Auto-reload evaluation failed', { cardId, error: error.message });
+    }
+  }
+
   /**
    * Create new transaction record
    * @param {Object} card - Virtual card object
@@ -67,47 +99,42 @@ class BalanceUpdateService {
       status,
       merchantInfo = {},
       authorizationCode,
-      currency = 'USD'
+      currency = 'USD',
+      relatedIssuerTransactionId,
+      requestedAmount,
+      partialApprovalAllowed = false,
+      finalClearing = true
     } = transactionData;
 
-    // Check spending limits before processing
-    const limitCheck = await this.checkSpendingLimits(card, amount, type);
-    if (!limitCheck.allowed) {
-      this.logger.warn('Transaction blocked by spending limits', {
-        cardId: card._id,
-        amount,
-        reason: limitCheck.reason
-      });
-      
-      // Still create transaction record but mark as declined
-      const blockedTransaction = new Transaction({
-        userId: card.userId,
+    // Incremental authorizations extend the hold of the authorization they follow
+    if (type === 'authorization' && relatedIssuerTransactionId) {
+      return this.processIncrementalAuthorization(card, transactionData);
+    }
+
+    // Check card controls, then spending limits, before processing
+    let approvedAmount = Math.abs(amount);
+    const controlCheck = ['authorization', 'purchase'].includes(type)
+      ? this.checkCardControls(card, merchantInfo)
+      : { allowed: true };
+    const limitCheck = controlCheck.allowed
+      ? await this.checkSpendingLimits(card, amount, type)
+      : controlCheck;
+    const partialApproval = !limitCheck.allowed &&
+      limitCheck.limitType === 'balance' &&
+      type === 'authorization' &&
+      partialApprovalAllowed &&
+      card.availableBalanceMinor > 0;
+
+    if (partialApproval) {
+      // The merchant accepts less than it asked for: approve what is available
+      approvedAmount = card.availableBalance;
+      this.logger.info('Authorization partially approved', {
         cardId: card._id,
-        issuerTransactionId,
-        issuerEventType: type,
-        type: this.mapTransactionType(type),
-        amount: Math.abs(amount),
-        currency,
-        description: `DECLINED: ${merchantInfo.name || 'Transaction'} - ${limitCheck.reason}`,
-        status: 'failed',
-        processingStatus: 'declined',
-        merchantInfo,
-        authorizationCode,
-        balanceBefore: card.balance,
-        balanceAfter: card.balance, // No change
-        metadata: {
-          declineReason: limitCheck.reason,
-          limitType: limitCheck.limitType
-        }
+        requested: Math.abs(amount),
+        approved: approvedAmount
       });
-
-      await blockedTransaction.save();
-      return {
-        transaction: blockedTransaction,
-        balanceUpdated: false,
-        declined: true,
-        reason: limitCheck.reason
-      };
+    } else if (!limitCheck.allowed) {
+      return this.recordDeclinedTransaction(card, transactionData, limitCheck);
     }
 
     // Calculate balance changes
@@ -126,7 +153,7 @@ class BalanceUpdateService {
       balanceChange = Math.abs(amount);
     }
 
-    const balanceAfter = Math.max(0, balanceBefore + balanceChange);
+    const balanceAfter = Money.toMajor(card.balanceMinor + Money.toMinor(balanceChange, card.currency), card.currency);
 
     // Create transaction record
     const transaction = new Transaction({
@@ -135,8 +162,8 @@ class BalanceUpdateService {
       issuerTransactionId,
       issuerEventType: type,
       type: this.mapTransactionType(type),
-      amount: Math.abs(amount),
       currency,
+      amount: approvedAmount,
       description: this.generateTransactionDescription(merchantInfo, amount, currency),
       status: this.mapTransactionStatus(status),
       processingStatus: status,
@@ -151,16 +178,70 @@ class BalanceUpdateService {
       }
     });
 
-    await transaction.save();
+    const requested = requestedAmount !== undefined ? Math.abs(requestedAmount) : Math.abs(amount);
+    if (requested > approvedAmount) {
+      transaction.metadata.requestedAmount = requested;
+    }
+
+    // Clearings are matched to the authorization they settle
+    const authorization = balanceChange < 0 && relatedIssuerTransactionId
+      ? await Transaction.findOne({ issuerTransactionId: relatedIssuerTransactionId, cardId: card._id, type: 'authorization' })
+      : null;
+    if (authorization) {
+      transaction.relatedTransactionId = authorization._id;
+      transaction.metadata.authorizedAmount = authorization.amount;
+    }
 
-    // Update card balance if needed
+    // Post balance changes through the ledger; the card balance follows
     let balanceUpdated = false;
-    if (balanceChange !== 0) {
-      card.balance = balanceAfter;
-      card.lastSyncedAt = new Date();
-      await card.save();
+    let holdChanged = false;
+    if (balanceChange < 0) {
+      await withTransaction(async (session) => {
+        await ledgerService.recordCardSpend({ card, amountMinor: transaction.amountMinor, currency, transaction }, { session });
+        if (authorization) {
+          const hold = await authorizationHoldService.settleAuthorization(authorization, {
+            transaction,
+            amountMinor: transaction.amountMinor,
+            final: finalClearing
+          }, session);
+          holdChanged = Boolean(hold);
+        }
+      });
+      balanceUpdated = true;
+    } else if (type === 'authorization' && transaction.status === 'completed') {
+      // Single-use and merchant-locked cards are claimed by their first approved authorization
+      const claim = await cardUsageService.claimAuthorization(card, merchantInfo);
+      if (!claim.allowed) {
+        return this.recordDeclinedTransaction(card, transactionData, {
+          reason: claim.reason,
+          limitType: 'usage_type',
+          declineCode: claim.code
+        });
+      }
+
+      // Approved: hold the amount until it clears
+      transaction.processingStatus = 'approved';
+      try {
+        await authorizationHoldService.placeHold({
+          card,
+          transaction,
+          amountMinor: transaction.amountMinor,
+          requestedMinor: Money.toMinor(requested, currency),
+          issuerAuthorizationId: issuerTransactionId
+        });
+      } catch (error) {
+        await cardUsageService.releaseClaim(card, claim);
+        throw error;
+      }
+      holdChanged = true;
+    } else if (balanceChange > 0) {
+      await ledgerService.recordCardRefund({ card, amountMinor: transaction.amountMinor, currency, transaction });
       balanceUpdated = true;
+    } else {
+      await transaction.save();
+    }
 
+    if (balanceUpdated) {
       this.logger.info('Card balance updated', {
         cardId: card._id,
         balanceBefore,
@@ -170,18 +251,175 @@ class BalanceUpdateService {
       });
     }
 
-    // Update user wallet balance if this affects available funds
-    await this.updateUserWalletBalance(card.userId, balanceChange);
-
     return {
       transaction,
       balanceUpdated,
+      holdChanged,
       balanceBefore,
       balanceAfter,
-      balanceChange
+      balanceChange,
+      partial: partialApproval
     };
   }
 
+  /**
+   * Check merchant category restrictions, the card's usage type and its usage controls
+   * @param {Object} card - Virtual card object
+   * @param {Object} merchantInfo - Merchant information
+   * @returns {Object} allowed, and reason, limitType and declineCode when blocked
+   */
+  checkCardControls(card, merchantInfo) {
+    const merchantCheck = merchantCategoryService.checkMerchant(card, merchantInfo);
+    if (!merchantCheck.allowed) {
+      return { allowed: false, reason: merchantCheck.reason, limitType: 'merchant_category', declineCode: merchantCheck.code };
+    }
+
+    const usageCheck = cardUsageService.checkAuthorization(card, merchantInfo);
+    if (!usageCheck.allowed) {
+      return { allowed: false, reason: usageCheck.reason, limitType: 'usage_type', declineCode: usageCheck.code };
+    }
+
+    const controlsCheck = cardControlsService.checkAuthorization(card, merchantInfo);
+    if (!controlsCheck.allowed) {
+      return { allowed: false, reason: controlsCheck.reason, limitType: 'usage_controls', declineCode: controlsCheck.code };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Record a transaction blocked by card controls or spending limits as declined
+   * @param {Object} card - Virtual card object
+   * @param {Object} transactionData - Transaction data
+   * @param {Object} check - reason, limitType, declineCode
+   * @returns {Promise<Object>} Processing result
+   */
+  async recordDeclinedTransaction(card, transactionData, check) {
+    const {
+      issuerTransactionId,
+      amount,
+      type,
+      merchantInfo = {},
+      authorizationCode,
+      currency = 'USD'
+    } = transactionData;
+
+    this.logger.warn('Transaction blocked by card controls', {
+      cardId: card._id,
+      amount,
+      limitType: check.limitType,
+      reason: check.reason
+    });
+
+    // Still create transaction record but mark as declined
+    const blockedTransaction = new Transaction({
+      userId: card.userId,
+      cardId: card._id,
+      issuerTransactionId,
+      issuerEventType: type,
+      type: this.mapTransactionType(type),
+      amount: Math.abs(amount),
+      currency,
+      description: `DECLINED: ${merchantInfo.name || 'Transaction'} - ${check.reason}`,
+      status: 'failed',
+      processingStatus: 'declined',
+      merchantInfo,
+      authorizationCode,
+      balanceBefore: card.balance,
+      balanceAfter: card.balance, // No change
+      metadata: {
+        declineReason: check.reason,
+        limitType: check.limitType,
+        ...(check.declineCode && { declineCode: check.declineCode })
+      }
+    });
+
+    await blockedTransaction.save();
+    return {
+      transaction: blockedTransaction,
+      balanceUpdated: false,
+      declined: true,
+      reason: check.reason
+    };
+  }
+
+  /**
+   * Add an incremental authorization to the hold of the authorization it
+   * extends. The increment is checked against the spending limits on its
+   * own; the original authorization's amount grows by it.
+   * @param {Object} card - Virtual card object
+   * @param {Object} transactionData - Transaction data
+   * @returns {Promise<Object>} Processing result
+   */
+  async processIncrementalAuthorization(card, transactionData) {
+    const { issuerTransactionId, relatedIssuerTransactionId, amount, status } = transactionData;
+
+    const authorization = await Transaction.findOne({
+      issuerTransactionId: relatedIssuerTransactionId,
+      cardId: card._id,
+      type: 'authorization'
+    });
+    const hold = authorization ? await authorizationHoldService.findActiveHold(authorization._id) : null;
+    if (!hold) {
+      // Nothing left to extend: treat it as an authorization of its own
+      return this.createNewTransaction(card, { ...transactionData, relatedIssuerTransactionId: undefined });
+    }
+
+    if (this.mapTransactionStatus(status) !== 'completed') {
+      return { transaction: authorization, balanceUpdated: false, holdChanged: false };
+    }
+
+    const limitCheck = await this.checkSpendingLimits(card, amount, 'authorization');
+    if (!limitCheck.allowed) {
+      this.logger.warn('Incremental authorization blocked by spending limits', {
+        cardId: card._id,
+        authorizationId: authorization._id,
+        amount,
+        reason: limitCheck.reason
+      });
+      return { transaction: authorization, balanceUpdated: false, holdChanged: false, declined: true, reason: limitCheck.reason };
+    }
+
+    const updated = await authorizationHoldService.incrementHold(
+      hold,
+      Money.toMinor(Math.abs(amount), authorization.currency),
+      issuerTransactionId
+    );
+
+    return { transaction: authorization, balanceUpdated: false, holdChanged: Boolean(updated), incremental: true };
+  }
+
+  /**
+   * Apply an issuer update to an approved authorization: a reversal
+   * releases its hold, a changed amount grows or partially releases it
+   * @param {Object} transaction - Authorization transaction
+   * @param {Object} transactionData - Updated transaction data
+   * @returns {Promise<Object>} Processing result
+   */
+  async updateAuthorization(transaction, transactionData) {
+    const { status, amount } = transactionData;
+    const hold = await authorizationHoldService.findActiveHold(transaction._id);
+    if (!hold) {
+      return { transaction, balanceUpdated: false, holdChanged: false, statusChanged: false };
+    }
+
+    if (['reversed', 'declined'].includes(status)) {
+      await authorizationHoldService.releaseHold(hold, { reason: status });
+      return { transaction, balanceUpdated: false, holdChanged: true, statusChanged: true };
+    }
+
+    const amountMinor = Money.toMinor(Math.abs(amount), transaction.currency);
+    const delta = amountMinor - hold.authorizedMinor;
+    if (delta > 0) {
+      await authorizationHoldService.incrementHold(hold, delta, null);
+    } else if (delta < 0) {
+      await authorizationHoldService.releaseHold(hold, { amountMinor: -delta, reason: 'partial_reversal' });
+      await Transaction.updateOne({ _id: transaction._id }, { $set: { amountMinor } });
+    }
+
+    return { transaction, balanceUpdated: false, holdChanged: delta !== 0, statusChanged: false };
+  }
+
   /**
    * Update existing transaction record
    * @param {Object} transaction - Existing transaction
@@ -190,6 +428,10 @@ class BalanceUpdateService {
    */
   async updateExistingTransaction(transaction, transactionData) {
     const { status, type, amount } = transactionData;
+
+    if (transaction.type === 'authorization' && type === 'authorization') {
+      return this.updateAuthorization(transaction, transactionData);
+    }
     
     const oldStatus = transaction.status;
     const oldProcessingStatus = transaction.processingStatus;
@@ -205,13 +447,28 @@ class BalanceUpdateService {
     if (oldProcessingStatus === 'approved' && status === 'settled' && type === 'clearing') {
       // Now actually deduct the amount from balance
       const card = await VirtualCard.findById(transaction.cardId);
-      if (card) {
+      if (card && !transaction.ledgerEntryId) {
+        const amountMinor = Money.toMinor(Math.abs(amount), transaction.currency);
         balanceChange = -Math.abs(amount);
-        const newBalance = Math.max(0, card.balance + balanceChange);
-        
-        transaction.balanceAfter = newBalance;
-        card.balance = newBalance;
-        await card.save();
+        const newBalance = Money.toMajor(card.balanceMinor - amountMinor, card.currency);
+
+        // The authorization row becomes the purchase, at the cleared amount
+        if (transaction.type === 'authorization') {
+          transaction.metadata = { ...transaction.metadata, authorizedAmount: transaction.amount };
+          transaction.type = this.mapTransactionType(type);
+          transaction.issuerEventType = type;
+          transaction.amountMinor = amountMinor;
+        }
+        transaction.balanceAfterMinor = card.balanceMinor - amountMinor;
+        await withTransaction(async (session) => {
+          await ledgerService.recordCardSpend({
+            card,
+            amountMinor,
+            currency: transaction.currency,
+            transaction
+          }, { session });
+          await authorizationHoldService.settleAuthorization(transaction, { transaction, amountMinor }, session);
+        });
         balanceUpdated = true;
 
         this.logger.info('Balance updated on settlement', {
@@ -247,6 +504,15 @@ class BalanceUpdateService {
         return { allowed: true };
       }
 
+      // Frozen, closed and pending cards cannot authorize new spend
+      if (card.status !== 'active') {
+        return {
+          allowed: false,
+          reason: `Card is ${card.status}`,
+          limitType: 'card_status'
+        };
+      }
+
       const transactionAmount = Math.abs(amount);
 
       // Check per-transaction limit
@@ -278,11 +544,11 @@ class BalanceUpdateService {
         };
       }
 
-      // Check available balance
-      if (transactionAmount > card.balance) {
+      // Check available balance: the ledger balance less open authorization holds
+      if (transactionAmount > card.availableBalance) {
         return {
           allowed: false,
-          reason: `Insufficient balance. Available: ${card.balance}, Required: ${transactionAmount}`,
+          reason: `Insufficient balance. Available: ${card.availableBalance}, Required: ${transactionAmount}`,
           limitType: 'balance'
         };
       }
@@ -330,46 +596,19 @@ class BalanceUpdateService {
         $match: {
           cardId: cardId,
           createdAt: { $gte: startOfMonth },
-          type: { $in: ['authorization', 'purchase', 'card_purchase'] },
+          ...Transaction.spendMatch(),
           status: { $in: ['completed', 'pending'] }
         }
       },
       {
         $group: {
           _id: null,
-          totalSpent: { $sum: '$amount' }
+          totalSpent: { $sum: '$amountMinor' }
         }
       }
     ]);
 
-    return result.length > 0 ? result[0].totalSpent : 0;
-  }
-
-  /**
-   * Update user wallet balance
-   * @param {string} userId - User ID
-   * @param {number} balanceChange - Balance change amount
-   */
-  async updateUserWalletBalance(userId, balanceChange) {
-    try {
-      if (balanceChange !== 0) {
-        await User.findByIdAndUpdate(userId, {
-          $inc: { walletBalance: balanceChange }
-        });
-
-        this.logger.info('User wallet balance updated', {
-          userId,
-          balanceChange
-        });
-      }
-    } catch (error) {
-      this.logger.error('User wallet balance update failed', {
-        userId,
-        balanceChange,
-        error: error.message
-      });
-      // Don't throw error - card balance update is more critical
-    }
+    return result.length > 0 ? Money.toMajor(result[0].totalSpent) : 0;
   }
 
   /**
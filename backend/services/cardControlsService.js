@@ -0,0 +1,229 @@
+const VirtualCard = require('../models/VirtualCard');
+const productionCardService = require('./productionCardService');
+const countryCodes = require('../config/countryCodes.json');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Card Controls Service
+ * Per-card usage controls (`VirtualCard.usageControls`):
+ * - allowedDays and allowedHours: when the card can be used, in the card's
+ *   time zone. A window whose end is before its start runs past midnight.
+ * - allowedCountries and allowInternational: where it can be used. With
+ *   international use off, only merchants in `homeCountry` are accepted.
+ * - allowOnline and allowCardPresent: online-only cards turn card-present
+ *   use off.
+ *
+ * Controls are pushed to issuers whose adapter can enforce them and are
+ * always enforced locally, in real-time decisions and authorization
+ * webhooks. Merchants whose country or channel the network does not report
+ * are not declined on that control.
+ */
+class CardControlsService {
+  constructor() {
+    this.logger = require('../utils/logger').logger;
+  }
+
+  /**
+   * Build a controls error with an HTTP status and machine-readable code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  controlsError(message, statusCode, code) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Normalize a country code to ISO 3166-1 alpha-2
+   * @param {string} country - Alpha-2 or alpha-3 code
+   * @returns {string|null} Alpha-2 code, or null when unknown
+   */
+  normalizeCountry(country) {
+    const value = String(country || '').trim().toUpperCase();
+    if (/^[A-Z]{2}$/.test(value)) {
+      return value;
+    }
+    return countryCodes.alpha3[value] || null;
+  }
+
+  /**
+   * Validate and fill in defaults for a set of controls
+   * @param {Object} controls - Requested controls
+   * @returns {Object} Controls to store
+   */
+  normalizeControls(controls = {}) {
+    const timeZone = controls.timeZone || 'UTC';
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (error) {
+      throw this.controlsError(`Unknown time zone ${timeZone}`, 400, 'INVALID_USAGE_CONTROLS');
+    }
+
+    let allowedHours;
+    if (controls.allowedHours) {
+      const { start, end } = controls.allowedHours;
+      if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '') || start === end) {
+        throw this.controlsError('Allowed hours need a different start and end time (HH:MM)', 400, 'INVALID_USAGE_CONTROLS');
+      }
+      allowedHours = { start, end };
+    }
+
+    const normalized = {
+      allowedDays: [...new Set(controls.allowedDays || [])].sort((a, b) => a - b),
+      allowedHours,
+      timeZone,
+      allowedCountries: [...new Set((controls.allowedCountries || []).map(country => country.toUpperCase()))],
+      homeCountry: controls.homeCountry ? controls.homeCountry.toUpperCase() : undefined,
+      allowInternational: controls.allowInternational !== false,
+      allowOnline: controls.allowOnline !== false,
+      allowCardPresent: controls.allowCardPresent !== false
+    };
+
+    if (!normalized.allowOnline && !normalized.allowCardPresent) {
+      throw this.controlsError('Allow online or card-present transactions', 400, 'INVALID_USAGE_CONTROLS');
+    }
+    if (!normalized.allowInternational && !normalized.homeCountry) {
+      throw this.controlsError('Set homeCountry to turn off international transactions', 400, 'INVALID_USAGE_CONTROLS');
+    }
+    if (!normalized.allowInternational && normalized.allowedCountries.length > 0 &&
+      !normalized.allowedCountries.includes(normalized.homeCountry)) {
+      throw this.controlsError('With international transactions off, allowed countries must include homeCountry', 400, 'INVALID_USAGE_CONTROLS');
+    }
+    return normalized;
+  }
+
+  /**
+   * Replace a card's usage controls
+   * @param {string} userId - Card owner
+   * @param {string} cardId - Card ID
+   * @param {Object} controls - allowedDays, allowedHours { start, end },
+   *   timeZone, allowedCountries, homeCountry, allowInternational,
+   *   allowOnline, allowCardPresent
+   * @returns {Promise<Object>} Updated card
+   */
+  async setControls(userId, cardId, controls) {
+    const card = await VirtualCard.findOne({ _id: cardId, userId });
+    if (!card) {
+      throw this.controlsError('Card not found', 404, 'CARD_NOT_FOUND');
+    }
+    if (card.status === 'closed') {
+      throw this.controlsError('Cannot set usage controls on a closed card', 400, 'CARD_CLOSED');
+    }
+
+    return productionCardService.setUsageControls(card, this.normalizeControls(controls));
+  }
+
+  /**
+   * API representation of a card's controls
+   * @param {Object} card - Card document
+   * @returns {Object} Controls
+   */
+  describeControls(card) {
+    const controls = card.usageControls || {};
+    return {
+      allowedDays: controls.allowedDays ? [...controls.allowedDays] : [],
+      allowedHours: controls.allowedHours?.start ? { start: controls.allowedHours.start, end: controls.allowedHours.end } : null,
+      timeZone: controls.timeZone || 'UTC',
+      allowedCountries: controls.allowedCountries ? [...controls.allowedCountries] : [],
+      homeCountry: controls.homeCountry || null,
+      allowInternational: controls.allowInternational !== false,
+      allowOnline: controls.allowOnline !== false,
+      allowCardPresent: controls.allowCardPresent !== false,
+      issuerEnforced: controls.issuerEnforced ? [...controls.issuerEnforced] : [],
+      updatedAt: controls.updatedAt || null
+    };
+  }
+
+  /**
+   * Day of the week and minutes past midnight in a time zone
+   * @param {Date} at - Instant
+   * @param {string} timeZone - IANA time zone
+   * @returns {Object} day (0 is Sunday), minutes
+   */
+  localTime(at, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(at);
+    const part = type => parts.find(entry => entry.type === type).value;
+    return {
+      day: WEEKDAYS[part('weekday')],
+      minutes: parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10)
+    };
+  }
+
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(value => parseInt(value, 10));
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Check an authorization against the card's usage controls
+   * @param {Object} card - Virtual card
+   * @param {Object} merchant - country, cardPresent
+   * @param {Date} at - When the authorization happens
+   * @returns {Object} allowed, and code and reason when declined
+   */
+  checkAuthorization(card, merchant = {}, at = new Date()) {
+    const controls = card.usageControls;
+    if (!controls) {
+      return { allowed: true };
+    }
+
+    const allowedDays = controls.allowedDays || [];
+    const hours = controls.allowedHours?.start ? controls.allowedHours : null;
+    if (allowedDays.length > 0 || hours) {
+      const timeZone = controls.timeZone || 'UTC';
+      const local = this.localTime(at, timeZone);
+      if (allowedDays.length > 0 && !allowedDays.includes(local.day)) {
+        return { allowed: false, code: 'outside_allowed_time', reason: `Card cannot be used on ${DAY_NAMES[local.day]}` };
+      }
+      if (hours) {
+        const start = this.toMinutes(hours.start);
+        const end = this.toMinutes(hours.end);
+        const inWindow = start < end
+          ? local.minutes >= start && local.minutes < end
+          : local.minutes >= start || local.minutes < end;
+        if (!inWindow) {
+          return {
+            allowed: false,
+            code: 'outside_allowed_time',
+            reason: `Card can only be used between ${hours.start} and ${hours.end} (${timeZone})`
+          };
+        }
+      }
+    }
+
+    const country = this.normalizeCountry(merchant.country);
+    if (country) {
+      const allowedCountries = controls.allowedCountries || [];
+      if (allowedCountries.length > 0 && !allowedCountries.includes(country)) {
+        return { allowed: false, code: 'country_blocked', reason: `Card cannot be used in ${country}` };
+      }
+      if (controls.allowInternational === false && controls.homeCountry && country !== controls.homeCountry) {
+        return { allowed: false, code: 'international_blocked', reason: 'International transactions are turned off' };
+      }
+    }
+
+    if (merchant.cardPresent === true && controls.allowCardPresent === false) {
+      return { allowed: false, code: 'card_present_blocked', reason: 'Card-present transactions are turned off' };
+    }
+    if (merchant.cardPresent === false && controls.allowOnline === false) {
+      return { allowed: false, code: 'online_blocked', reason: 'Online transactions are turned off' };
+    }
+
+    return { allowed: true };
+  }
+}
+
+module.exports = new CardControlsService();
@@ -43,8 +43,8 @@ class CardIssuerService {
         method: 'POST',
         body: {
           channel: 'API',
-          state: status === 'frozen' ? 'SUSPENDED' : 'ACTIVE',
-          reason_code: status === 'frozen' ? '01' : '00'
+          state: { frozen: 'SUSPENDED', closed: 'TERMINATED' }[status] || 'ACTIVE',
+          reason_code: { frozen: '01', closed: '02' }[status] || '00'
         }
       });
 
@@ -79,6 +79,68 @@ class CardIssuerService {
     }
   }
 
+  async unloadFunds(externalCardId, amount) {
+    try {
+      await this.mockApiCall(`/cards/${externalCardId}/unload`, {
+        method: 'POST',
+        body: {
+          amount, // In cents
+          currency_code: 'USD'
+        }
+      });
+
+      return { success: true, amount: amount / 100 };
+    } catch (error) {
+      throw new Error('Fund unloading failed: ' + error.message);
+    }
+  }
+
+  async createDispute(transactionId, dispute) {
+    try {
+      const response = await this.mockApiCall('/chargebacks', {
+        method: 'POST',
+        body: {
+          transaction_token: transactionId,
+          amount: dispute.amount / 100,
+          reason_description: dispute.reasonCode
+        }
+      });
+
+      // Mock disputes stay submitted until an admin records the outcome
+      return { disputeId: 'dispute_' + response.token, status: 'submitted' };
+    } catch (error) {
+      throw new Error('Dispute filing failed: ' + error.message);
+    }
+  }
+
+  async getDispute(disputeId) {
+    return { disputeId, status: 'submitted' };
+  }
+
+  async withdrawDispute(disputeId) {
+    return { disputeId, status: 'withdrawn' };
+  }
+
+  // Real-time authorization requests arrive already normalized in development
+  parseAuthorizationRequest(payload) {
+    return {
+      issuerAuthorizationId: payload.issuerAuthorizationId || 'auth_' + Date.now(),
+      issuerCardId: payload.issuerCardId,
+      amount: Number(payload.amount),
+      currency: payload.currency,
+      merchant: payload.merchant || {},
+      partialApprovalAllowed: Boolean(payload.partialApprovalAllowed)
+    };
+  }
+
+  formatAuthorizationResponse(request, decision) {
+    return {
+      status: 200,
+      headers: {},
+      body: { approved: decision.approved, amount: decision.amount, code: decision.code, reason: decision.reason }
+    };
+  }
+
   // Mock implementations for development
   generateMockCard(cardType) {
     const prefix = cardType === 'visa' ? '4' : '5';
@@ -0,0 +1,245 @@
+const VirtualCard = require('../models/VirtualCard');
+const User = require('../models/User');
+const productionCardService = require('./productionCardService');
+const emailService = require('./emailService');
+const Money = require('../utils/money');
+const scheduler = require('../utils/scheduler');
+
+/**
+ * Card Renewal Service
+ * Scheduled job for cards approaching their expiry date. Owners are
+ * emailed CARD_EXPIRY_NOTICE_DAYS before a card expires (30, 14 and 3 days
+ * by default), each notice once. Active cards whose owner turned on
+ * `autoRenew` are reissued through the replace flow CARD_AUTO_RENEW_DAYS
+ * before they expire: the new card keeps the limits, merchant categories
+ * and usage type, and the old card's balance moves across. Cards that
+ * reach their expiry date without being renewed are closed and their
+ * balance returned to the wallet.
+ */
+class CardRenewalService {
+  constructor() {
+    this.logger = require('../utils/logger').logger;
+
+    this.intervalMs = parseInt(process.env.CARD_RENEWAL_INTERVAL_MS || '3600000', 10);
+    this.batchSize = parseInt(process.env.CARD_RENEWAL_BATCH_SIZE || '100', 10);
+    this.noticeDays = (process.env.CARD_EXPIRY_NOTICE_DAYS || '30,14,3')
+      .split(',')
+      .map(days => parseInt(days, 10))
+      .filter(days => days > 0)
+      .sort((a, b) => b - a);
+    this.renewDays = parseInt(process.env.CARD_AUTO_RENEW_DAYS || '3', 10);
+  }
+
+  /**
+   * Build a renewal error with an HTTP status and machine-readable code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  renewalError(message, statusCode, code) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Turn automatic reissue on or off for a card
+   * @param {string} userId - Card owner
+   * @param {string} cardId - Card ID
+   * @param {boolean} enabled - Reissue before expiry
+   * @returns {Promise<Object>} Updated card
+   */
+  async setAutoRenew(userId, cardId, enabled) {
+    const card = await VirtualCard.findOne({ _id: cardId, userId });
+    if (!card) {
+      throw this.renewalError('Card not found', 404, 'CARD_NOT_FOUND');
+    }
+    if (card.status === 'closed') {
+      throw this.renewalError('Cannot change auto-renew on a closed card', 400, 'CARD_CLOSED');
+    }
+
+    card.autoRenew = enabled;
+    // The renewal date may now come before the next scheduled check
+    card.nextExpiryCheckAt = undefined;
+    await card.save();
+
+    this.logger.info('Card auto-renew updated', { cardId, enabled });
+    return card;
+  }
+
+  /**
+   * Renew, close or send the due expiry notice for one card
+   * @param {Object} card - Card document (active or frozen)
+   * @returns {Promise<Object>} status (renewed, expired, notified, skipped) and details
+   */
+  async processCard(card) {
+    const days = card.daysUntilExpiry;
+
+    // Frozen cards are not reissued: the new card would not be frozen
+    if (card.autoRenew && card.status === 'active' && days <= this.renewDays) {
+      return this.renewCard(card);
+    }
+    if (card.isExpired) {
+      return this.expireCard(card);
+    }
+    return this.sendDueNotice(card, days);
+  }
+
+  /**
+   * Reissue a card before it expires and move its balance to the new card
+   * @param {Object} card - Card document
+   * @returns {Promise<Object>} Processing result
+   */
+  async renewCard(card) {
+    const replacement = await productionCardService.replaceCard(card.userId, card._id, 'Card expiring', {
+      cardName: card.cardName,
+      moveBalance: true
+    });
+
+    this.logger.info('Card renewed before expiry', {
+      cardId: card._id,
+      newCardId: replacement.newCard.cardId,
+      movedMinor: replacement.movedMinor
+    });
+
+    await this.notify(card, 'renewed', (user) => emailService.sendCardRenewedEmail(user, card, {
+      newCard: replacement.newCard,
+      movedAmount: Money.format(replacement.movedMinor, card.currency),
+      walletAmount: Money.format(replacement.sweptMinor - replacement.movedMinor, card.currency)
+    }));
+
+    return { status: 'renewed', newCardId: replacement.newCard.cardId, movedMinor: replacement.movedMinor };
+  }
+
+  /**
+   * Close an expired card; its balance returns to the wallet
+   * @param {Object} card - Card document
+   * @returns {Promise<Object>} Processing result
+   */
+  async expireCard(card) {
+    const closure = await productionCardService.closeCard(card.userId, card._id, 'Card expired');
+
+    this.logger.info('Expired card closed', { cardId: card._id, sweptMinor: closure.sweptMinor });
+
+    await this.notify(card, 'expired', (user) => emailService.sendCardExpiredEmail(user, card, {
+      sweptAmount: Money.format(closure.sweptMinor, card.currency)
+    }));
+
+    return { status: 'expired', sweptMinor: closure.sweptMinor };
+  }
+
+  /**
+   * Send the most urgent expiry notice that is due and not yet sent. Notices
+   * that are due together are recorded together, so a card first seen 10
+   * days out gets the 14-day notice and not the 30-day one as well.
+   * @param {Object} card - Card document
+   * @param {number} days - Days until expiry
+   * @returns {Promise<Object>} Processing result
+   */
+  async sendDueNotice(card, days) {
+    const due = this.noticeDays.filter(noticeDays => days <= noticeDays);
+    const sent = card.expiryNoticesSent || [];
+    if (due.length === 0 || due.every(noticeDays => sent.includes(noticeDays))) {
+      return { status: 'skipped' };
+    }
+    const notice = due[due.length - 1];
+
+    // Claim the notice first so overlapping runs do not email twice
+    const claimed = await VirtualCard.updateOne(
+      { _id: card._id, expiryNoticesSent: { $ne: notice } },
+      { $addToSet: { expiryNoticesSent: { $each: due } } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return { status: 'skipped' };
+    }
+
+    await this.notify(card, 'notice', (user) => emailService.sendCardExpiryEmail(user, card, {
+      daysLeft: days,
+      expiry: `${card.expiryMonth}/${card.expiryYear}`,
+      autoRenew: card.autoRenew && card.status === 'active'
+    }));
+
+    return { status: 'notified', notice };
+  }
+
+  /**
+   * When the next notice, renewal or expiry falls due for a card
+   * @param {Object} card - Card document
+   * @returns {Date} Next check
+   */
+  nextCheckAt(card) {
+    const days = card.daysUntilExpiry;
+    const thresholds = [...this.noticeDays, 0];
+    if (card.autoRenew) {
+      thresholds.push(this.renewDays);
+    }
+    const upcoming = thresholds.filter(threshold => threshold < days);
+    if (upcoming.length === 0) {
+      return new Date();
+    }
+    return new Date(card.expiresAt.getTime() - Math.max(...upcoming) * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Email the card owner; failures are logged, not thrown
+   * @param {Object} card - Card document
+   * @param {string} kind - Notification kind, for the log
+   * @param {Function} send - Sends the email to the user
+   */
+  async notify(card, kind, send) {
+    try {
+      const user = await User.findById(card.userId);
+      if (user) {
+        await send(user);
+      }
+    } catch (error) {
+      this.logger.error('Card expiry notification failed', { cardId: card._id, kind, error: error.message });
+    }
+  }
+
+  // Scheduling
+
+  /**
+   * Process the active and frozen cards within the longest notice window
+   * that are due for a check
+   * @returns {Promise<Object>} Counts by outcome
+   */
+  async runScheduled() {
+    const windowDays = Math.max(this.renewDays, ...this.noticeDays, 0);
+    const cards = await VirtualCard.findExpiringSoon(windowDays)
+      .where({ $or: [{ nextExpiryCheckAt: null }, { nextExpiryCheckAt: { $lte: new Date() } }] })
+      .limit(this.batchSize);
+
+    const summary = { evaluated: cards.length, renewed: 0, expired: 0, notified: 0, skipped: 0, failed: 0 };
+    for (const card of cards) {
+      try {
+        const result = await this.processCard(card);
+        summary[result.status] += 1;
+
+        // Cards still open are left alone until their next notice, renewal or expiry
+        if (result.status === 'notified' || result.status === 'skipped') {
+          await VirtualCard.updateOne({ _id: card._id }, { $set: { nextExpiryCheckAt: this.nextCheckAt(card) } });
+        }
+      } catch (error) {
+        summary.failed += 1;
+        this.logger.error('Card renewal processing failed', { cardId: card._id, error: error.message });
+      }
+    }
+
+    if (summary.evaluated > 0) {
+      this.logger.info('Scheduled card renewal run finished', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Start the scheduled run (CARD_RENEWAL_INTERVAL_MS, 0 disables it)
+   */
+  start() {
+    scheduler.schedule('card-renewal', this.intervalMs, () => this.runScheduled());
+  }
+}
+
+module.exports = new CardRenewalService();
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const VirtualCard = require('../models/VirtualCard');
+const User = require('../models/User');
+const CardRevealToken = require('../models/CardRevealToken');
+const secureCardStorage = require('../utils/secureCardStorage');
+const cardVault = require('../vault/cardVault');
+
+// Where card details are read from: the vault token, or pre-vault fields
+const CARD_DATA_FIELDS = '+vaultToken +encryptedCardNumber +encryptedCvv +cardNumber +cvv';
+
+/**
+ * Card Reveal Service
+ * The only way to read a card's full number and CVV. The owner first
+ * re-authenticates, which yields a one-time reveal token valid for
+ * CARD_REVEAL_TOKEN_TTL_SECONDS; the token is then exchanged for a single
+ * decrypt of the card details. Tokens are bound to the user and card they
+ * were issued for. Every step is recorded with `logCardAccess`, and vault
+ * reads are also written to the vault access log.
+ */
+class CardRevealService {
+  constructor() {
+    this.logger = require('../utils/logger').logger;
+
+    this.tokenTtlSeconds = parseInt(process.env.CARD_REVEAL_TOKEN_TTL_SECONDS || '60', 10);
+  }
+
+  /**
+   * Build a reveal error with an HTTP status and machine-readable code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  revealError(message, statusCode, code) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Find an open card owned by the user
+   * @param {string} userId - Card owner
+   * @param {string} cardId - Card ID
+   * @param {string} fields - Extra fields to select (optional)
+   * @returns {Promise<Object>} Card document
+   */
+  async findCard(userId, cardId, fields) {
+    let query = VirtualCard.findOne({ _id: cardId, userId });
+    if (fields) {
+      query = query.select(fields);
+    }
+    const card = await query;
+    if (!card) {
+      throw this.revealError('Card not found', 404, 'CARD_NOT_FOUND');
+    }
+    if (card.status === 'closed') {
+      throw this.revealError('Card is closed', 400, 'CARD_CLOSED');
+    }
+    return card;
+  }
+
+  /**
+   * Re-authenticate the card owner and issue a one-time reveal token
+   * @param {string} userId - Card owner
+   * @param {string} cardId - Card ID
+   * @param {Object} credentials - password
+   * @param {Object} context - ip
+   * @returns {Promise<Object>} token, expiresAt
+   */
+  async issueToken(userId, cardId, { password }, context = {}) {
+    const card = await this.findCard(userId, cardId);
+
+    const user = await User.findById(userId);
+    if (!user || !password || !(await user.comparePassword(password))) {
+      secureCardStorage.logCardAccess(userId, card._id, 'reveal_reauth', 'error', 'Re-authentication failed');
+      throw this.revealError('Re-authentication failed', 401, 'REAUTH_FAILED');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.tokenTtlSeconds * 1000);
+    await CardRevealToken.create({
+      tokenHash: this.hashToken(token),
+      userId,
+      cardId: card._id,
+      method: 'password',
+      expiresAt,
+      ip: context.ip
+    });
+
+    secureCardStorage.logCardAccess(userId, card._id, 'reveal_reauth', 'success');
+    this.logger.info('Card reveal token issued', { userId, cardId: card._id, expiresAt });
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Exchange a reveal token for the card's number and CVV. The token is
+   * claimed before anything is decrypted, so it works once even when two
+   * requests race with it.
+   * @param {string} userId - Card owner
+   * @param {string} cardId - Card ID
+   * @param {string} token - Reveal token
+   * @returns {Promise<Object>} cardNumber, cvv, expiryMonth, expiryYear
+   */
+  async reveal(userId, cardId, token) {
+    const claimed = await CardRevealToken.findOneAndUpdate(
+      {
+        tokenHash: this.hashToken(token),
+        userId,
+        cardId,
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { usedAt: new Date() } }
+    );
+    if (!claimed) {
+      secureCardStorage.logCardAccess(userId, cardId, 'reveal', 'error', 'Invalid or expired reveal token');
+      throw this.revealError('Reveal token is invalid, expired or already used', 401, 'INVALID_REVEAL_TOKEN');
+    }
+
+    const card = await this.findCard(userId, cardId, CARD_DATA_FIELDS);
+
+    try {
+      const details = {
+        ...(await this.readCardData(userId, card)),
+        expiryMonth: card.expiryMonth,
+        expiryYear: card.expiryYear
+      };
+
+      secureCardStorage.logCardAccess(userId, card._id, 'reveal', 'success');
+      return details;
+    } catch (error) {
+      secureCardStorage.logCardAccess(userId, card._id, 'reveal', 'error', error.message);
+      this.logger.error('Card reveal failed', { userId, cardId: card._id, error: error.message });
+      throw this.revealError('Card details could not be revealed', 500, 'REVEAL_FAILED');
+    }
+  }
+
+  /**
+   * Read a card's number and CVV from the vault, or for cards stored before
+   * the vault, decrypt them from the card itself
+   * @param {string} userId - Card owner
+   * @param {Object} card - Card loaded with CARD_DATA_FIELDS
+   * @returns {Promise<Object>} cardNumber, cvv
+   */
+  async readCardData(userId, card) {
+    if (card.vaultToken) {
+      const { pan, cvv } = await cardVault.detokenize(card.vaultToken, { purpose: 'reveal', actor: userId, ownerId: userId });
+      return { cardNumber: pan, cvv };
+    }
+
+    return {
+      cardNumber: await card.getDecryptedCardNumber(),
+      cvv: await card.getDecryptedCvv()
+    };
+  }
+}
+
+module.exports = new CardRevealService();
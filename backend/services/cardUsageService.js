@@ -0,0 +1,146 @@
+const VirtualCard = require('../models/VirtualCard');
+const productionCardService = require('./productionCardService');
+
+/**
+ * Card Usage Service
+ * Enforces `VirtualCard.usageType` for burner cards:
+ * - single_use: the first approved authorization uses the card up; further
+ *   authorizations are declined and the card closes itself once its first
+ *   transaction settles, returning any remaining balance to the wallet.
+ * - merchant_locked: the first approved authorization locks the card to
+ *   that merchant; authorizations at any other merchant are declined.
+ *
+ * Merchants are matched on their card network ID when both sides have one,
+ * otherwise on their name.
+ */
+class CardUsageService {
+  constructor() {
+    this.logger = require('../utils/logger').logger;
+  }
+
+  /**
+   * Whether a merchant is the one a card is locked to
+   * @param {Object} locked - Card's lockedMerchant
+   * @param {Object} merchant - name, networkId
+   * @returns {boolean} Same merchant
+   */
+  sameMerchant(locked, merchant = {}) {
+    if (locked.networkId && merchant.networkId) {
+      return locked.networkId === String(merchant.networkId);
+    }
+    const normalize = name => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    return Boolean(locked.name) && normalize(locked.name) === normalize(merchant.name);
+  }
+
+  /**
+   * Check an authorization against the card's usage type without claiming the card
+   * @param {Object} card - Virtual card
+   * @param {Object} merchant - name, networkId, mcc
+   * @returns {Object} allowed, and code and reason when declined
+   */
+  checkAuthorization(card, merchant = {}) {
+    if (card.usageType === 'single_use' && card.usedAt) {
+      return { allowed: false, code: 'single_use_consumed', reason: 'Single-use card has already been used' };
+    }
+    if (card.usageType === 'merchant_locked' && card.lockedMerchant?.lockedAt && !this.sameMerchant(card.lockedMerchant, merchant)) {
+      return {
+        allowed: false,
+        code: 'merchant_locked',
+        reason: `Card is locked to ${card.lockedMerchant.name || card.lockedMerchant.networkId}`
+      };
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Claim a single-use or merchant-locked card for an approved authorization.
+   * The claim is a conditional update, so of two authorizations racing for
+   * an unused card only one wins.
+   * @param {Object} card - Virtual card
+   * @param {Object} merchant - name, networkId, mcc
+   * @returns {Promise<Object>} allowed, claimedAt when this authorization
+   *   claimed the card, and code and reason when declined
+   */
+  async claimAuthorization(card, merchant = {}) {
+    const check = this.checkAuthorization(card, merchant);
+    if (!check.allowed) {
+      return check;
+    }
+
+    if (card.usageType === 'single_use') {
+      const usedAt = new Date();
+      const claimed = await VirtualCard.findOneAndUpdate(
+        { _id: card._id, usedAt: null },
+        { $set: { usedAt } },
+        { new: true }
+      );
+      return claimed
+        ? { allowed: true, claimedAt: usedAt }
+        : { allowed: false, code: 'single_use_consumed', reason: 'Single-use card has already been used' };
+    }
+
+    if (card.usageType === 'merchant_locked' && !card.lockedMerchant?.lockedAt) {
+      const lockedMerchant = {
+        name: merchant.name,
+        networkId: merchant.networkId ? String(merchant.networkId) : undefined,
+        mcc: merchant.mcc || undefined,
+        lockedAt: new Date()
+      };
+      const locked = await VirtualCard.findOneAndUpdate(
+        { _id: card._id, 'lockedMerchant.lockedAt': null },
+        { $set: { lockedMerchant } },
+        { new: true }
+      );
+      if (locked) {
+        this.logger.info('Card locked to merchant', { cardId: card._id, merchant: lockedMerchant.name, networkId: lockedMerchant.networkId });
+        return { allowed: true, claimedAt: lockedMerchant.lockedAt };
+      }
+      // Another authorization locked it first
+      return this.checkAuthorization(await VirtualCard.findById(card._id), merchant);
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Undo a claim whose authorization could not be recorded, so the issuer's
+   * retry of the same authorization is not declined as a second use
+   * @param {Object} card - Virtual card
+   * @param {Object} claim - claimAuthorization result
+   */
+  async releaseClaim(card, claim) {
+    if (!claim.claimedAt) {
+      return;
+    }
+    if (card.usageType === 'single_use') {
+      await VirtualCard.updateOne({ _id: card._id, usedAt: claim.claimedAt }, { $unset: { usedAt: 1 } });
+    } else if (card.usageType === 'merchant_locked') {
+      await VirtualCard.updateOne({ _id: card._id, 'lockedMerchant.lockedAt': claim.claimedAt }, { $unset: { lockedMerchant: 1 } });
+    }
+  }
+
+  /**
+   * Close a single-use card once a transaction on it has settled. Failures
+   * are logged, not thrown; the transaction itself has already been processed.
+   * @param {Object} card - Virtual card
+   * @returns {Promise<Object|null>} closeCard result, or null when nothing was closed
+   */
+  async closeIfUsed(card) {
+    if (card.usageType !== 'single_use' || card.status === 'closed') {
+      return null;
+    }
+
+    try {
+      const result = await productionCardService.closeCard(card.userId, card._id, 'Single-use card settled');
+      this.logger.info('Single-use card closed', { cardId: card._id, sweptMinor: result.sweptMinor });
+      return result;
+    } catch (error) {
+      if (error.code !== 'CARD_ALREADY_CLOSED') {
+        this.logger.error('Single-use card closure failed', { cardId: card._id, error: error.message });
+      }
+      return null;
+    }
+  }
+}
+
+module.exports = new CardUsageService();
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const DataKey = require('../models/DataKey');
+const kmsConfig = require('../config/kms');
+
+/**
+ * Data Key Service
+ * Creates, unwraps and rewraps the per-user data keys used for envelope
+ * encryption of card data. Unwrapped keys are cached in memory for
+ * DATA_KEY_CACHE_TTL_MS so hot paths don't call the KMS on every decrypt;
+ * the cache holds at most DATA_KEY_CACHE_SIZE keys.
+ */
+class DataKeyService {
+  constructor() {
+    this.logger = require('../utils/logger').logger;
+
+    this.cacheTtlMs = parseInt(process.env.DATA_KEY_CACHE_TTL_MS || '300000', 10);
+    this.cacheSize = parseInt(process.env.DATA_KEY_CACHE_SIZE || '1000', 10);
+
+    // Data key ID -> { key, expiresAt }, and owner -> { dataKeyId, expiresAt }
+    this.keyCache = new Map();
+    this.activeKeyCache = new Map();
+  }
+
+  /**
+   * Encryption context a data key is wrapped with, so a wrapped key copied
+   * onto another owner does not unwrap
+   * @param {string|null} ownerId - Key owner
+   * @returns {Object} KMS encryption context
+   */
+  keyContext(ownerId) {
+    return { dataKeyOwner: ownerId ? String(ownerId) : 'platform' };
+  }
+
+  /**
+   * Get the owner's active data key, creating it on first use
+   * @param {string|null} ownerId - User ID, or null for the platform key
+   * @returns {Promise<Object>} id, key
+   */
+  async getActiveKey(ownerId = null) {
+    const ownerKey = ownerId ? String(ownerId) : 'platform';
+    const cached = this.activeKeyCache.get(ownerKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return { id: cached.dataKeyId, key: await this.getKey(cached.dataKeyId) };
+    }
+
+    const dataKey = await DataKey.findOne({ ownerId: ownerId || null, status: 'active' })
+      || await this.createKey(ownerId);
+    const id = dataKey._id.toString();
+
+    this.activeKeyCache.set(ownerKey, { dataKeyId: id, expiresAt: Date.now() + this.cacheTtlMs });
+    return { id, key: await this.unwrap(dataKey) };
+  }
+
+  /**
+   * Generate a data key for an owner and store it wrapped by the KMS
+   * @param {string|null} ownerId - Key owner
+   * @returns {Promise<Object>} DataKey document
+   */
+  async createKey(ownerId) {
+    const provider = kmsConfig.getProvider();
+    const key = crypto.randomBytes(32);
+    const { masterKeyId, wrappedKey } = await provider.wrapKey(key, this.keyContext(ownerId));
+
+    try {
+      const dataKey = await DataKey.create({ ownerId: ownerId || null, provider: provider.name, masterKeyId, wrappedKey });
+      this.cacheKey(dataKey._id.toString(), key);
+      this.logger.info('Data key created', { dataKeyId: dataKey._id, ownerId, provider: provider.name, masterKeyId });
+      return dataKey;
+    } catch (error) {
+      // Another request created the owner's key first
+      if (error.code === 11000) {
+        return DataKey.findOne({ ownerId: ownerId || null, status: 'active' });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a data key by ID for decryption
+   * @param {string} dataKeyId - Data key ID
+   * @returns {Promise<Buffer>} Plaintext data key
+   */
+  async getKey(dataKeyId) {
+    const cached = this.keyCache.get(dataKeyId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.key;
+    }
+
+    const dataKey = await DataKey.findById(dataKeyId);
+    if (!dataKey) {
+      throw new Error(`Data key ${dataKeyId} not found`);
+    }
+    return this.unwrap(dataKey);
+  }
+
+  /**
+   * Unwrap a stored data key through the KMS it was wrapped by
+   * @param {Object} dataKey - DataKey document
+   * @returns {Promise<Buffer>} Plaintext data key
+   */
+  async unwrap(dataKey) {
+    const id = dataKey._id.toString();
+    const cached = this.keyCache.get(id);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.key;
+    }
+
+    const key = await kmsConfig.getProvider(dataKey.provider).unwrapKey(
+      { masterKeyId: dataKey.masterKeyId, wrappedKey: dataKey.wrappedKey },
+      this.keyContext(dataKey.ownerId)
+    );
+    this.cacheKey(id, key);
+    return key;
+  }
+
+  cacheKey(dataKeyId, key) {
+    this.keyCache.delete(dataKeyId);
+    if (this.keyCache.size >= this.cacheSize) {
+      // Maps iterate in insertion order, so the first entry is the oldest
+      this.keyCache.delete(this.keyCache.keys().next().value);
+    }
+    this.keyCache.set(dataKeyId, { key, expiresAt: Date.now() + this.cacheTtlMs });
+  }
+
+  clearCache() {
+    this.keyCache.clear();
+    this.activeKeyCache.clear();
+  }
+
+  // Master key rotation
+
+  /**
+   * Query for data keys of the configured provider not wrapped under its current master key
+   * @returns {Promise<Object>} MongoDB filter
+   */
+  async staleKeyFilter() {
+    const provider = kmsConfig.getProvider();
+    return { provider: provider.name, masterKeyId: { $ne: await provider.getCurrentKeyId() } };
+  }
+
+  /**
+   * Count data keys still wrapped under an old master key
+   * @returns {Promise<number>} Count
+   */
+  async countStaleKeys() {
+    return DataKey.countDocuments(await this.staleKeyFilter());
+  }
+
+  /**
+   * Rewrap one data key under the current master key. The data it encrypts
+   * is untouched. Only applies if the key was not rewrapped concurrently.
+   * @param {Object} dataKey - DataKey document
+   * @returns {Promise<boolean>} Whether the key was rewrapped
+   */
+  async rewrapKey(dataKey) {
+    const key = await this.unwrap(dataKey);
+    const { masterKeyId, wrappedKey } = await kmsConfig.getProvider(dataKey.provider)
+      .wrapKey(key, this.keyContext(dataKey.ownerId));
+
+    const result = await DataKey.updateOne(
+      { _id: dataKey._id, wrappedKey: dataKey.wrappedKey },
+      { $set: { masterKeyId, wrappedKey, rewrappedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+}
+
+module.exports = new DataKeyService();
@@ -0,0 +1,649 @@
+const Dispute = require('../models/Dispute');
+const DisputeDocument = require('../models/DisputeDocument');
+const Transaction = require('../models/Transaction');
+const VirtualCard = require('../models/VirtualCard');
+const ledgerService = require('./ledgerService');
+const cardIssuerConfig = require('../config/cardIssuer');
+const Money = require('../utils/money');
+const { withTransaction } = require('../utils/mongoTransaction');
+
+/**
+ * Dispute Service
+ * Cardholder disputes of card charges: opening a case with evidence, admin
+ * review and filing with the card issuer through its CardIssuerAdapter,
+ * provisional credits, and outcomes reported by the issuer or recorded by
+ * an admin. Every status change is a conditional update on the current
+ * status, made in the same MongoDB transaction as any ledger posting it
+ * causes, so each credit is posted and taken back at most once.
+ */
+class DisputeService {
+  constructor() {
+    this.logger = require('../utils/logger').logger;
+
+    // Days after a charge during which it can be disputed
+    this.windowDays = parseInt(process.env.DISPUTE_WINDOW_DAYS || '120', 10);
+    this.maxEvidence = 10;
+
+    // Leading bytes of each document type, so a file is what it claims to be
+    this.documentSignatures = {
+      'application/pdf': Buffer.from('%PDF'),
+      'image/png': Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+      'image/jpeg': Buffer.from([0xff, 0xd8, 0xff])
+    };
+
+    // Charges with a merchant on the other side
+    this.disputableTypes = ['card_purchase', 'purchase'];
+  }
+
+  /**
+   * Build a dispute error with an HTTP status and machine-readable code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  disputeError(message, statusCode, code) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  // Cardholder
+
+  /**
+   * Open a dispute for a completed card charge
+   * @param {string} userId - User ID
+   * @param {string} transactionId - Disputed transaction
+   * @param {Object} data - reasonCode, description, amount (major units,
+   *   defaults to the full charge), evidence, provisionalCredit (requested)
+   * @returns {Promise<Object>} Dispute
+   */
+  async openDispute(userId, transactionId, { reasonCode, description, amount, evidence = [], provisionalCredit = false }) {
+    const transaction = await Transaction.findOne({ _id: transactionId, userId });
+    if (!transaction) {
+      throw this.disputeError('Transaction not found', 404, 'TRANSACTION_NOT_FOUND');
+    }
+    if (!this.disputableTypes.includes(transaction.type)) {
+      throw this.disputeError('Only card purchases can be disputed', 400, 'NOT_DISPUTABLE');
+    }
+
+    const existing = await Dispute.findOne({ transactionId: transaction._id, status: { $ne: 'withdrawn' } });
+    if (existing || transaction.status === 'disputed') {
+      throw this.disputeError('This transaction has already been disputed', 409, 'DISPUTE_EXISTS');
+    }
+    if (transaction.status !== 'completed') {
+      throw this.disputeError('Only completed transactions can be disputed', 400, 'NOT_DISPUTABLE');
+    }
+
+    const deadline = new Date(transaction.createdAt.getTime() + this.windowDays * 24 * 60 * 60 * 1000);
+    if (deadline < new Date()) {
+      throw this.disputeError(`Charges can be disputed for ${this.windowDays} days`, 400, 'DISPUTE_WINDOW_CLOSED');
+    }
+
+    const { currency } = transaction;
+    const amountMinor = amount === undefined || amount === null
+      ? transaction.amountMinor
+      : Money.toMinor(amount, currency);
+    if (amountMinor <= 0 || amountMinor > transaction.amountMinor) {
+      throw this.disputeError('Disputed amount must be between 0 and the charge amount', 400, 'INVALID_AMOUNT');
+    }
+    if (evidence.length > this.maxEvidence) {
+      throw this.disputeError(`At most ${this.maxEvidence} evidence items`, 400, 'TOO_MUCH_EVIDENCE');
+    }
+    await this.checkDocuments(userId, evidence);
+
+    const card = transaction.cardId ? await VirtualCard.findById(transaction.cardId) : null;
+
+    const dispute = await withTransaction(async (session) => {
+      // Claim the charge so it cannot be disputed twice
+      const claimed = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: 'completed' },
+        { $set: { status: 'disputed' } },
+        { new: true, session }
+      );
+      if (!claimed) {
+        throw this.disputeError('This transaction has already been disputed', 409, 'DISPUTE_EXISTS');
+      }
+
+      const dispute = new Dispute({
+        userId,
+        transactionId: transaction._id,
+        cardId: transaction.cardId,
+        amountMinor,
+        currency,
+        reasonCode,
+        description,
+        evidence: evidence.map(item => ({ ...item, addedBy: 'user' })),
+        provider: card?.issuerProvider || 'mock',
+        provisionalCreditRequested: Boolean(provisionalCredit),
+        history: [{ to: 'opened', actor: 'user', actorId: userId }]
+      });
+      await dispute.save({ session });
+
+      await Transaction.updateOne(
+        { _id: transaction._id },
+        { $set: { 'metadata.disputeId': dispute._id } },
+        { session }
+      );
+
+      return dispute;
+    });
+
+    this.logger.info('Dispute opened', {
+      userId,
+      disputeId: dispute._id,
+      transactionId,
+      reasonCode,
+      amount: Money.format(amountMinor, currency)
+    });
+
+    return dispute;
+  }
+
+  async listDisputes(userId, { status, limit = 50, offset = 0 } = {}) {
+    const filter = { userId };
+    if (status) {
+      filter.status = status;
+    }
+    return Dispute.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(offset);
+  }
+
+  async getDispute(userId, disputeId) {
+    const dispute = await Dispute.findOne({ _id: disputeId, userId });
+    if (!dispute) {
+      throw this.disputeError('Dispute not found', 404, 'DISPUTE_NOT_FOUND');
+    }
+    return dispute;
+  }
+
+  /**
+   * Store an evidence document uploaded by a cardholder, to be referenced
+   * from evidence items by its ID
+   * @param {string} userId - User ID
+   * @param {Object} file - filename, contentType, data (Buffer)
+   * @returns {Promise<Object>} DisputeDocument
+   */
+  async uploadDocument(userId, { filename, contentType, data }) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (!DisputeDocument.CONTENT_TYPES.includes(type)) {
+      throw this.disputeError(`Documents must be one of ${DisputeDocument.CONTENT_TYPES.join(', ')}`, 415, 'UNSUPPORTED_DOCUMENT');
+    }
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+      throw this.disputeError('The document is empty', 400, 'EMPTY_DOCUMENT');
+    }
+    if (data.length > DisputeDocument.MAX_SIZE) {
+      throw this.disputeError(`Documents can be at most ${DisputeDocument.MAX_SIZE} bytes`, 413, 'DOCUMENT_TOO_LARGE');
+    }
+    const signature = this.documentSignatures[type];
+    if (!data.subarray(0, signature.length).equals(signature)) {
+      throw this.disputeError(`The document is not a valid ${type} file`, 415, 'UNSUPPORTED_DOCUMENT');
+    }
+
+    const document = new DisputeDocument({ userId, filename: filename || 'evidence', contentType: type });
+    await document.setContent(data);
+    await document.save();
+
+    this.logger.info('Dispute document uploaded', { userId, documentId: document._id, contentType: type, size: data.length });
+
+    return document;
+  }
+
+  /**
+   * Make sure every document referenced by evidence items was uploaded by
+   * the dispute's cardholder
+   * @param {string} userId - Cardholder
+   * @param {Array} evidence - Evidence items
+   */
+  async checkDocuments(userId, evidence) {
+    const documentIds = [...new Set(evidence.filter(item => item.documentId).map(item => String(item.documentId)))];
+    if (documentIds.length === 0) {
+      return;
+    }
+
+    const found = await DisputeDocument.countDocuments({ _id: { $in: documentIds }, userId });
+    if (found !== documentIds.length) {
+      throw this.disputeError('Evidence document not found', 404, 'DOCUMENT_NOT_FOUND');
+    }
+  }
+
+  /**
+   * Get a document attached to a dispute as evidence, for admin review
+   * @param {string} disputeId - Dispute ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object>} DisputeDocument
+   */
+  async getEvidenceDocument(disputeId, documentId) {
+    const dispute = await this.findForAdmin(disputeId);
+    const attached = dispute.evidence.some(item => item.documentId && String(item.documentId) === String(documentId));
+    const document = attached ? await DisputeDocument.findOne({ _id: documentId, userId: dispute.userId }) : null;
+    if (!document) {
+      throw this.disputeError('Evidence document not found', 404, 'DOCUMENT_NOT_FOUND');
+    }
+    return document;
+  }
+
+  /**
+   * Evidence as filed with the issuer, with the contents of uploaded documents
+   * @param {Object} dispute - Dispute
+   * @returns {Promise<Array>} type, url, description, document (filename, contentType, content)
+   */
+  async evidenceForFiling(dispute) {
+    const documentIds = dispute.evidence.filter(item => item.documentId).map(item => item.documentId);
+    const documents = documentIds.length > 0
+      ? await DisputeDocument.find({ _id: { $in: documentIds }, userId: dispute.userId })
+      : [];
+    const byId = new Map(documents.map(document => [String(document._id), document]));
+
+    return Promise.all(dispute.evidence.map(async (item) => {
+      const filed = { type: item.type, url: item.url, description: item.description };
+      const document = item.documentId && byId.get(String(item.documentId));
+      if (document) {
+        filed.document = { filename: document.filename, contentType: document.contentType, content: await document.getContent() };
+      }
+      return filed;
+    }));
+  }
+
+  /**
+   * Attach evidence to a dispute that has not been filed yet
+   * @param {string} disputeId - Dispute ID
+   * @param {Array} evidence - type, documentId or url, description
+   * @param {Object} actor - userId (cardholder, restricts to their disputes) or adminId
+   * @returns {Promise<Object>} Dispute
+   */
+  async addEvidence(disputeId, evidence, { userId = null, adminId = null } = {}) {
+    const filter = userId ? { _id: disputeId, userId } : { _id: disputeId };
+    const dispute = await Dispute.findOne(filter);
+    if (!dispute) {
+      throw this.disputeError('Dispute not found', 404, 'DISPUTE_NOT_FOUND');
+    }
+    if (dispute.status !== 'opened') {
+      throw this.disputeError('Evidence can only be added before the dispute is filed', 409, 'DISPUTE_LOCKED');
+    }
+    if (dispute.evidence.length + evidence.length > this.maxEvidence) {
+      throw this.disputeError(`At most ${this.maxEvidence} evidence items`, 400, 'TOO_MUCH_EVIDENCE');
+    }
+    await this.checkDocuments(dispute.userId, evidence);
+
+    const addedBy = adminId ? 'admin' : 'user';
+    const updated = await Dispute.findOneAndUpdate(
+      { ...filter, status: 'opened' },
+      { $push: { evidence: { $each: evidence.map(item => ({ ...item, addedBy, addedAt: new Date() })) } } },
+      { new: true }
+    );
+    if (!updated) {
+      throw this.disputeError('Evidence can only be added before the dispute is filed', 409, 'DISPUTE_LOCKED');
+    }
+    return updated;
+  }
+
+  // Admin review
+
+  /**
+   * Disputes for admin review, oldest first
+   * @param {Object} filters - status (default opened), limit, offset
+   * @returns {Promise<Array>} Disputes
+   */
+  async listForReview({ status = 'opened', limit = 50, offset = 0 } = {}) {
+    return Dispute.find({ status })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .skip(offset)
+      .populate('userId', 'name email')
+      .populate('transactionId', 'description merchantInfo amountMinor currency createdAt issuerTransactionId');
+  }
+
+  /**
+   * Move a dispute to a new status if the state machine allows it and
+   * nobody else moved it first
+   * @param {Object} dispute - Dispute as last read
+   * @param {string} to - New status
+   * @param {Object} params - actor, actorId, note, set (extra fields), session
+   * @returns {Promise<Object>} Updated dispute
+   */
+  async transition(dispute, to, { actor, actorId, note, set = {}, session = null }) {
+    if (!Dispute.canTransition(dispute.status, to)) {
+      throw this.disputeError(`A ${dispute.status} dispute cannot be ${to}`, 409, 'INVALID_TRANSITION');
+    }
+
+    const updated = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: dispute.status },
+      {
+        $set: { ...set, status: to },
+        $push: { history: { from: dispute.status, to, actor, actorId, note } }
+      },
+      { new: true, session }
+    );
+    if (!updated) {
+      throw this.disputeError('The dispute was updated by someone else, try again', 409, 'DISPUTE_CHANGED');
+    }
+    return updated;
+  }
+
+  async findForAdmin(disputeId) {
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) {
+      throw this.disputeError('Dispute not found', 404, 'DISPUTE_NOT_FOUND');
+    }
+    return dispute;
+  }
+
+  /**
+   * File a dispute with the card issuer
+   * The dispute is claimed as submitted before the issuer is called, and
+   * returned to opened if the issuer refuses it.
+   * @param {string} disputeId - Dispute ID
+   * @param {string} adminId - Reviewing admin
+   * @returns {Promise<Object>} Dispute
+   */
+  async submitDispute(disputeId, adminId) {
+    const dispute = await this.findForAdmin(disputeId);
+    const transaction = await Transaction.findById(dispute.transactionId);
+    if (dispute.provider !== 'mock' && !transaction?.issuerTransactionId) {
+      throw this.disputeError('The charge has no issuer transaction to dispute', 422, 'ISSUER_TRANSACTION_UNKNOWN');
+    }
+
+    const evidence = await this.evidenceForFiling(dispute);
+
+    const submitted = await this.transition(dispute, 'submitted', {
+      actor: 'admin',
+      actorId: adminId,
+      set: { submittedAt: new Date(), submittedBy: adminId, submissionError: null }
+    });
+
+    let result;
+    try {
+      const adapter = cardIssuerConfig.getAdapter(dispute.provider);
+      result = await adapter.createDispute(transaction?.issuerTransactionId || transaction?._id.toString(), {
+        amount: dispute.amountMinor,
+        currency: dispute.currency,
+        reasonCode: dispute.reasonCode,
+        description: dispute.description,
+        evidence,
+        metadata: { disputeId: dispute._id.toString() }
+      });
+    } catch (error) {
+      this.logger.error('Dispute filing failed', { disputeId, provider: dispute.provider, error: error.message });
+      await Dispute.updateOne(
+        { _id: dispute._id, status: 'submitted' },
+        {
+          $set: { status: 'opened', submissionError: error.message },
+          $push: { history: { from: 'submitted', to: 'opened', actor: 'issuer', note: 'Issuer filing failed' } }
+        }
+      );
+      throw this.disputeError(`The issuer did not accept the dispute: ${error.message}`, 502, 'ISSUER_ERROR');
+    }
+
+    submitted.providerDisputeId = result.disputeId;
+    submitted.providerStatus = result.status;
+    await submitted.save();
+
+    this.logger.info('Dispute filed with issuer', {
+      disputeId,
+      provider: dispute.provider,
+      providerDisputeId: result.disputeId
+    });
+
+    if (['won', 'lost'].includes(result.status)) {
+      return this.closeDispute(submitted, result.status, { actor: 'issuer', note: 'Decided by the issuer on filing' });
+    }
+    return submitted;
+  }
+
+  /**
+   * Where a dispute credit goes: the card, unless it is closed or in
+   * another currency, in which case the wallet
+   * @param {Object} dispute - Dispute
+   * @param {Object} session - MongoDB session
+   * @returns {Promise<Object|null>} Card to credit, or null for the wallet
+   */
+  async creditTarget(dispute, session = null) {
+    if (!dispute.cardId) {
+      return null;
+    }
+    const card = await VirtualCard.findById(dispute.cardId).session(session);
+    if (!card || card.status === 'closed' || card.currency !== dispute.currency) {
+      return null;
+    }
+    return card;
+  }
+
+  /**
+   * Post a dispute credit with its chargeback transaction
+   * @param {Object} dispute - Dispute
+   * @param {boolean} provisional - Whether the credit is provisional
+   * @param {Object} session - MongoDB session
+   * @returns {Promise<Object>} entry, transaction
+   */
+  async postCredit(dispute, provisional, session) {
+    const original = await Transaction.findById(dispute.transactionId).session(session);
+    const card = await this.creditTarget(dispute, session);
+
+    const transaction = new Transaction({
+      userId: dispute.userId,
+      cardId: card ? card._id : undefined,
+      type: 'chargeback',
+      amountMinor: dispute.amountMinor,
+      currency: dispute.currency,
+      description: `${provisional ? 'Provisional dispute credit' : 'Dispute credit'}: ${original?.description || 'card charge'}`,
+      status: 'completed',
+      relatedTransactionId: dispute.transactionId,
+      metadata: { disputeId: dispute._id, provisional }
+    });
+
+    const entry = await ledgerService.recordDisputeCredit({
+      userId: dispute.userId,
+      card,
+      amountMinor: dispute.amountMinor,
+      currency: dispute.currency,
+      provider: dispute.provider,
+      provisional,
+      disputeId: dispute._id,
+      transaction
+    }, { session });
+
+    return { entry, transaction };
+  }
+
+  /**
+   * Credit the disputed amount while the issuer decides
+   * @param {string} disputeId - Dispute ID
+   * @param {string} adminId - Admin granting the credit
+   * @returns {Promise<Object>} Dispute
+   */
+  async grantProvisionalCredit(disputeId, adminId) {
+    const dispute = await withTransaction(async (session) => {
+      const dispute = await Dispute.findOneAndUpdate(
+        { _id: disputeId, status: { $in: Dispute.OPEN_STATUSES }, 'provisionalCredit.status': 'none' },
+        { $set: { 'provisionalCredit.status': 'granted', 'provisionalCredit.grantedAt': new Date(), 'provisionalCredit.grantedBy': adminId } },
+        { new: true, session }
+      );
+      if (!dispute) {
+        const current = await Dispute.findById(disputeId).session(session);
+        if (!current) {
+          throw this.disputeError('Dispute not found', 404, 'DISPUTE_NOT_FOUND');
+        }
+        throw this.disputeError('Provisional credit is only available once, on an open dispute', 409, 'PROVISIONAL_CREDIT_UNAVAILABLE');
+      }
+
+      const { entry, transaction } = await this.postCredit(dispute, true, session);
+      dispute.provisionalCredit.entryId = entry._id;
+      dispute.provisionalCredit.transactionId = transaction._id;
+      dispute.history.push({ from: dispute.status, to: dispute.status, actor: 'admin', actorId: adminId, note: 'Provisional credit granted' });
+      await dispute.save({ session });
+      return dispute;
+    });
+
+    this.logger.info('Provisional dispute credit granted', {
+      disputeId,
+      adminId,
+      amount: Money.format(dispute.amountMinor, dispute.currency)
+    });
+    return dispute;
+  }
+
+  /**
+   * Close a dispute as won, lost or withdrawn and settle its money
+   * Won: a provisional credit is kept and the receivable cleared by the
+   * issuer's funds; otherwise the amount is credited now.
+   * Lost or withdrawn: a provisional credit is reversed. If the wallet it
+   * went to no longer covers it, the dispute still closes and the credit is
+   * flagged reversal_failed for follow-up.
+   * @param {Object} dispute - Dispute as last read
+   * @param {string} outcome - won | lost | withdrawn
+   * @param {Object} params - actor, actorId, note, set (extra fields)
+   * @returns {Promise<Object>} Dispute
+   */
+  async closeDispute(dispute, outcome, { actor, actorId, note, set: extra = {} }) {
+    const provisional = dispute.provisionalCredit?.status === 'granted';
+
+    const close = (reverseCredit) => withTransaction(async (session) => {
+      const set = { ...extra, resolvedAt: new Date(), resolutionNote: note };
+      if (actor === 'admin') {
+        set.resolvedBy = actorId;
+      }
+      const closed = await this.transition(dispute, outcome, { actor, actorId, note, set, session });
+
+      await Transaction.updateOne(
+        { _id: dispute.transactionId, status: 'disputed' },
+        { $set: { status: 'completed' } },
+        { session }
+      );
+
+      if (outcome === 'won' && provisional) {
+        await ledgerService.recordDisputeRecovery({
+          amountMinor: dispute.amountMinor,
+          currency: dispute.currency,
+          provider: dispute.provider,
+          disputeId: dispute._id
+        }, { session });
+        closed.provisionalCredit.status = 'kept';
+      } else if (outcome === 'won') {
+        const { entry, transaction } = await this.postCredit(dispute, false, session);
+        closed.creditEntryId = entry._id;
+        closed.creditTransactionId = transaction._id;
+      } else if (provisional && reverseCredit) {
+        // A credit the cardholder has already spent is not clawed back into an overdraft
+        const reversal = await ledgerService.reverseEntry(
+          dispute.provisionalCredit.entryId,
+          `Dispute ${outcome}`,
+          { session, requireFunds: true }
+        );
+        await Transaction.updateOne(
+          { _id: dispute.provisionalCredit.transactionId },
+          { $set: { status: 'cancelled' } },
+          { session }
+        );
+        closed.provisionalCredit.status = 'reversed';
+        closed.provisionalCredit.reversalEntryId = reversal._id;
+      } else if (provisional) {
+        closed.provisionalCredit.status = 'reversal_failed';
+      }
+
+      await closed.save({ session });
+      return closed;
+    });
+
+    let closed;
+    try {
+      closed = await close(true);
+    } catch (error) {
+      if (error.code !== 'INSUFFICIENT_FUNDS' || !provisional || outcome === 'won') {
+        throw error;
+      }
+      this.logger.error('Provisional dispute credit could not be reversed', {
+        disputeId: dispute._id,
+        outcome,
+        error: error.message
+      });
+      closed = await close(false);
+    }
+
+    this.logger.info('Dispute closed', { disputeId: dispute._id, outcome, actor });
+    return closed;
+  }
+
+  /**
+   * Record the issuer's decision on a filed dispute
+   * @param {string} disputeId - Dispute ID
+   * @param {string} outcome - won | lost
+   * @param {string} adminId - Admin recording it
+   * @param {string} note - Resolution note
+   * @returns {Promise<Object>} Dispute
+   */
+  async resolveDispute(disputeId, outcome, adminId, note) {
+    if (!['won', 'lost'].includes(outcome)) {
+      throw this.disputeError('Outcome must be won or lost', 400, 'INVALID_OUTCOME');
+    }
+    const dispute = await this.findForAdmin(disputeId);
+    return this.closeDispute(dispute, outcome, { actor: 'admin', actorId: adminId, note });
+  }
+
+  /**
+   * Withdraw a dispute, withdrawing it with the issuer too once filed
+   * @param {string} disputeId - Dispute ID
+   * @param {Object} actor - userId (cardholder) or adminId, note
+   * @returns {Promise<Object>} Dispute
+   */
+  async withdrawDispute(disputeId, { userId = null, adminId = null, note } = {}) {
+    const dispute = userId
+      ? await this.getDispute(userId, disputeId)
+      : await this.findForAdmin(disputeId);
+    if (!Dispute.canTransition(dispute.status, 'withdrawn')) {
+      throw this.disputeError(`A ${dispute.status} dispute cannot be withdrawn`, 409, 'INVALID_TRANSITION');
+    }
+
+    const set = {};
+    if (dispute.status === 'submitted' && dispute.providerDisputeId) {
+      try {
+        const adapter = cardIssuerConfig.getAdapter(dispute.provider);
+        const result = await adapter.withdrawDispute(dispute.providerDisputeId, note || 'Withdrawn by cardholder');
+        set.providerStatus = result.status;
+      } catch (error) {
+        this.logger.error('Dispute withdrawal failed at issuer', { disputeId, error: error.message });
+        throw this.disputeError(`The issuer did not withdraw the dispute: ${error.message}`, 502, 'ISSUER_ERROR');
+      }
+    }
+
+    return this.closeDispute(dispute, 'withdrawn', {
+      actor: userId ? 'user' : 'admin',
+      actorId: userId || adminId,
+      note,
+      set
+    });
+  }
+
+  // Issuer updates
+
+  /**
+   * Apply a dispute status reported by the issuer (webhook)
+   * @param {Object} update - provider, disputeId (issuer's), status
+   * @returns {Promise<Object|null>} Dispute, or null if unknown or unchanged
+   */
+  async handleIssuerUpdate({ provider, disputeId, status }) {
+    const dispute = await Dispute.findOne({ provider, providerDisputeId: disputeId });
+    if (!dispute) {
+      this.logger.warn('Issuer update for unknown dispute', { provider, disputeId, status });
+      return null;
+    }
+
+    if (dispute.status === 'submitted' && ['won', 'lost', 'withdrawn'].includes(status)) {
+      return this.closeDispute(dispute, status, {
+        actor: 'issuer',
+        note: `Reported by ${provider}`,
+        set: { providerStatus: status }
+      });
+    }
+
+    if (dispute.providerStatus !== status) {
+      await Dispute.updateOne({ _id: dispute._id }, { $set: { providerStatus: status } });
+    }
+    return null;
+  }
+}
+
+module.exports = new DisputeService();
@@ -2,7 +2,7 @@ const nodemailer = require('nodemailer');
 
 class EmailService {
   constructor() {
-    this.transporter = nodemailer.createTransporter({
+    this.transporter = nodemailer.createTransport({
       host: process.env.SMTP_HOST || 'smtp.gmail.com',
       port: process.env.SMTP_PORT || 587,
       secure: false,
@@ -37,7 +37,7 @@ class EmailService {
       html: `
         <h2>Card Created Successfully</h2>
         <p>Your ${card.cardType.toUpperCase()} card "${card.cardName}" is ready.</p>
-        <p>Card ending in: ****${card.cardNumber.slice(-4)}</p>
+        <p>Card ending in: ****${card.last4Digits}</p>
         <p>Spending limit: $${card.spendingLimit}</p>
       `
     };
@@ -61,6 +61,75 @@ class EmailService {
 
     return this.transporter.sendMail(mailOptions);
   }
+
+  async sendAutoReloadFailedEmail(user, card, details) {
+    const mailOptions = {
+      from: process.env.FROM_EMAIL || 'noreply@freeway.cards',
+      to: user.email,
+      subject: 'Card Auto-Reload Failed',
+      html: `
+        <h2>Auto-Reload Failed</h2>
+        <p>We could not reload your card "${card.cardName}" with ${details.amount}.</p>
+        <p>Reason: ${details.reason}</p>
+        <p>Card balance: ${details.cardBalance}</p>
+        <a href="${process.env.FRONTEND_URL}/wallet">Add funds to your wallet</a>
+      `
+    };
+
+    return this.transporter.sendMail(mailOptions);
+  }
+
+  async sendCardExpiryEmail(user, card, details) {
+    const mailOptions = {
+      from: process.env.FROM_EMAIL || 'noreply@freeway.cards',
+      to: user.email,
+      subject: `Your card expires in ${details.daysLeft} days`,
+      html: `
+        <h2>Card Expiring Soon</h2>
+        <p>Your card "${card.cardName}" ending in ${card.last4Digits} expires at the end of ${details.expiry}.</p>
+        <p>${details.autoRenew
+    ? 'We will issue a replacement card before it expires and move its balance across.'
+    : 'Turn on auto-renew to get a replacement card automatically, or its balance will return to your wallet when it expires.'}</p>
+        <a href="${process.env.FRONTEND_URL}/cards">Manage your cards</a>
+      `
+    };
+
+    return this.transporter.sendMail(mailOptions);
+  }
+
+  async sendCardRenewedEmail(user, card, details) {
+    const mailOptions = {
+      from: process.env.FROM_EMAIL || 'noreply@freeway.cards',
+      to: user.email,
+      subject: 'Your Replacement Card Is Ready',
+      html: `
+        <h2>Card Renewed</h2>
+        <p>Your card "${card.cardName}" ending in ${card.last4Digits} was about to expire, so we issued a new card ending in ${details.newCard.last4Digits}.</p>
+        <p>Moved to the new card: ${details.movedAmount}</p>
+        <p>Returned to your wallet: ${details.walletAmount}</p>
+        <p>Update any merchants that store your card details.</p>
+        <a href="${process.env.FRONTEND_URL}/cards">View your new card</a>
+      `
+    };
+
+    return this.transporter.sendMail(mailOptions);
+  }
+
+  async sendCardExpiredEmail(user, card, details) {
+    const mailOptions = {
+      from: process.env.FROM_EMAIL || 'noreply@freeway.cards',
+      to: user.email,
+      subject: 'Your Card Has Expired',
+      html: `
+        <h2>Card Expired</h2>
+        <p>Your card "${card.cardName}" ending in ${card.last4Digits} has expired and was closed.</p>
+        <p>Returned to your wallet: ${details.sweptAmount}</p>
+        <a href="${process.env.FRONTEND_URL}/cards">Create a new card</a>
+      `
+    };
+
+    return this.transporter.sendMail(mailOptions);
+  }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
@@ -0,0 +1,340 @@
+const FeeSchedule = require('../models/FeeSchedule');
+const KYC = require('../models/KYC');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledgerService');
+const Money = require('../utils/money');
+const { withTransaction } = require('../utils/mongoTransaction');
+
+/**
+ * Fee Service
+ * Prices every money flow against the fee schedules admins maintain.
+ * Flows quote the fee before they commit, post it to the ledger as its own
+ * line on the fees account and record it as a separate `fee` transaction
+ * linked to the operation it was charged for.
+ *
+ * Wallet funding fees are deducted from the deposit; every other fee is
+ * charged on top of the amount.
+ */
+class FeeService {
+  constructor() {
+    this.logger = require('../utils/logger').logger;
+
+    // Used when no schedule matches; these are the fees charged before
+    // schedules were configurable
+    this.defaults = {
+      card_creation: { name: 'Default card creation fee', type: 'flat', flatAmount: 0 },
+      wallet_funding: { name: 'Default funding fee', type: 'flat', flatAmount: 0 },
+      gift_card_purchase: { name: 'Default gift card fee', type: 'percentage', percent: 2 },
+      fx_conversion: { name: 'Default conversion fee', type: 'flat', flatAmount: 0 },
+      withdrawal: {
+        name: 'Default withdrawal fee',
+        type: 'percentage',
+        percent: parseFloat(process.env.WITHDRAWAL_FEE_PERCENT || '1'),
+        minFee: parseFloat(process.env.WITHDRAWAL_MIN_FEE || '2.50')
+      }
+    };
+
+    this.deductedOperations = ['wallet_funding'];
+  }
+
+  /**
+   * Build a fee error with an HTTP status and machine-readable code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  feeError(message, statusCode, code) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  // Pricing
+
+  /**
+   * Pricing context for a user: approved KYC level and plan
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} kycLevel, plan
+   */
+  async getUserContext(userId) {
+    const [kyc, user] = await Promise.all([
+      KYC.findOne({ userId }).select('status level'),
+      User.findById(userId).select('plan')
+    ]);
+
+    return {
+      kycLevel: kyc && kyc.status === 'approved' ? kyc.level : null,
+      plan: user?.plan || null
+    };
+  }
+
+  /**
+   * Find the schedule that applies to a request
+   * Unset criteria on a schedule match anything; among matches the schedule
+   * with the most criteria set wins, then the most recently updated.
+   * @param {Object} request - operation, method, kycLevel, plan, currency
+   * @returns {Promise<Object>} Schedule document or built-in default
+   */
+  async resolveSchedule({ operation, method = null, kycLevel = null, plan = null, currency }) {
+    const candidates = await FeeSchedule.find({ operation, active: true });
+    const request = { method, kycLevel, plan, currency: currency.toUpperCase() };
+
+    const matches = candidates
+      .filter(schedule => ['method', 'kycLevel', 'plan', 'currency'].every(
+        field => !schedule[field] || schedule[field] === request[field]
+      ))
+      .sort((a, b) => (b.specificity() - a.specificity()) || (b.updatedAt - a.updatedAt));
+
+    return matches[0] || this.defaults[operation];
+  }
+
+  /**
+   * Schedule that applies to a user for an operation
+   * @param {Object} params - userId, operation, method, currency
+   * @returns {Promise<Object>} Schedule document or built-in default
+   */
+  async getSchedule({ userId, operation, method = null, currency = Money.DEFAULT_CURRENCY }) {
+    const context = userId ? await this.getUserContext(userId) : { kycLevel: null, plan: null };
+    return this.resolveSchedule({ operation, method, currency, ...context });
+  }
+
+  /**
+   * Public description of a schedule's pricing, in major units
+   * @param {Object} schedule - Schedule document or built-in default
+   * @returns {Object} Pricing
+   */
+  describeSchedule(schedule) {
+    return {
+      name: schedule.name,
+      type: schedule.type,
+      flatAmount: schedule.flatAmount || 0,
+      percent: schedule.percent || 0,
+      tiers: (schedule.tiers || []).map(tier => ({
+        upTo: tier.upTo ?? null,
+        flatAmount: tier.flatAmount || 0,
+        percent: tier.percent || 0
+      })),
+      minFee: schedule.minFee ?? null,
+      maxFee: schedule.maxFee ?? null
+    };
+  }
+
+  /**
+   * Fee for an amount under a schedule
+   * Tiers price the whole amount at the rate of the first tier it fits in.
+   * @param {Object} schedule - Fee schedule
+   * @param {number} amountMinor - Amount in minor units
+   * @param {string} currency - Currency of the amount
+   * @returns {number} Fee in minor units
+   */
+  calculate(schedule, amountMinor, currency) {
+    const toMinor = (major) => Money.toMinor(major || 0, currency);
+
+    let rule = schedule;
+    if (schedule.type === 'tiered') {
+      const tiers = [...schedule.tiers].sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+      rule = tiers.find(tier => tier.upTo === undefined || tier.upTo === null || amountMinor <= toMinor(tier.upTo))
+        || tiers[tiers.length - 1];
+    }
+
+    let feeMinor = toMinor(rule.flatAmount);
+    if (schedule.type !== 'flat' && rule.percent) {
+      feeMinor += Money.percentage(amountMinor, rule.percent);
+    }
+
+    if (schedule.minFee !== undefined && schedule.minFee !== null) {
+      feeMinor = Math.max(feeMinor, toMinor(schedule.minFee));
+    }
+    if (schedule.maxFee !== undefined && schedule.maxFee !== null) {
+      feeMinor = Math.min(feeMinor, toMinor(schedule.maxFee));
+    }
+    return feeMinor;
+  }
+
+  /**
+   * Quote the fee for an operation
+   * @param {Object} params - userId, operation, amountMinor, currency, method
+   * @returns {Promise<Object>} Quote in minor units: feeMinor, totalMinor
+   *   (leaves the payer), netMinor (reaches the destination), schedule
+   */
+  async quote({ userId, operation, amountMinor = 0, currency = Money.DEFAULT_CURRENCY, method = null }) {
+    if (!FeeSchedule.OPERATIONS.includes(operation)) {
+      throw this.feeError(`Unknown operation: ${operation}`, 400, 'UNKNOWN_OPERATION');
+    }
+
+    const schedule = await this.getSchedule({ userId, operation, method, currency });
+    const feeMinor = this.calculate(schedule, amountMinor, currency);
+
+    const deducted = this.deductedOperations.includes(operation);
+    if (deducted && amountMinor > 0 && feeMinor >= amountMinor) {
+      throw this.feeError('Fee exceeds the amount', 400, 'FEE_EXCEEDS_AMOUNT');
+    }
+
+    return {
+      operation,
+      method,
+      currency: currency.toUpperCase(),
+      amountMinor,
+      feeMinor,
+      totalMinor: deducted ? amountMinor : amountMinor + feeMinor,
+      netMinor: deducted ? amountMinor - feeMinor : amountMinor,
+      scheduleId: schedule._id || null,
+      scheduleName: schedule.name
+    };
+  }
+
+  /**
+   * API representation of a quote, in major units
+   * @param {Object} quote - Fee quote
+   * @returns {Object} Quote
+   */
+  describeQuote(quote) {
+    const toMajor = (minor) => Money.toMajor(minor, quote.currency);
+    return {
+      operation: quote.operation,
+      method: quote.method,
+      currency: quote.currency,
+      amount: toMajor(quote.amountMinor),
+      fee: toMajor(quote.feeMinor),
+      total: toMajor(quote.totalMinor),
+      net: toMajor(quote.netMinor),
+      schedule: quote.scheduleName
+    };
+  }
+
+  /**
+   * Transaction record for a quoted fee, or null when there is no fee
+   * @param {Object} quote - Fee quote
+   * @param {Object} params - userId, description, relatedTransaction, cardId, status
+   * @returns {Object|null} Unsaved Transaction
+   */
+  buildFeeTransaction(quote, { userId, description, relatedTransaction = null, cardId, status = 'completed' }) {
+    if (!quote || quote.feeMinor <= 0) {
+      return null;
+    }
+
+    return new Transaction({
+      userId,
+      type: 'fee',
+      amountMinor: quote.feeMinor,
+      currency: quote.currency,
+      description,
+      status,
+      cardId,
+      relatedTransactionId: relatedTransaction?._id,
+      metadata: {
+        operation: quote.operation,
+        method: quote.method,
+        feeScheduleId: quote.scheduleId,
+        feeSchedule: quote.scheduleName
+      }
+    });
+  }
+
+  /**
+   * Charge a quoted fee to the wallet on its own, for operations that move
+   * no other money (card creation)
+   * @param {Object} quote - Fee quote
+   * @param {Object} params - userId, description, cardId
+   * @returns {Promise<Object|null>} transaction, entry; null when there is no fee
+   */
+  async chargeFee(quote, { userId, description, cardId }) {
+    if (quote.feeMinor <= 0) {
+      return null;
+    }
+
+    return withTransaction(async (session) => {
+      const transaction = this.buildFeeTransaction(quote, { userId, description, cardId });
+
+      // Debits the wallet only if it covers the fee
+      const entry = await ledgerService.recordFeeCharge({
+        userId,
+        cardId,
+        feeMinor: quote.feeMinor,
+        currency: quote.currency,
+        operation: quote.operation,
+        transaction
+      }, { session });
+
+      return { transaction, entry };
+    });
+  }
+
+  /**
+   * Return a fee charged by chargeFee when the operation did not go ahead
+   * @param {Object} charge - Result of chargeFee
+   * @param {string} reason - Reason recorded on the reversing entry
+   */
+  async refundFee(charge, reason) {
+    await withTransaction(async (session) => {
+      await ledgerService.reverseEntry(charge.entry._id, reason, { session });
+      await Transaction.updateOne(
+        { _id: charge.transaction._id },
+        { $set: { status: 'cancelled' } },
+        { session }
+      );
+    });
+
+    this.logger.info('Fee refunded', { transactionId: charge.transaction._id, reason });
+  }
+
+  // Schedules
+
+  async listSchedules({ operation, active } = {}) {
+    const filter = {};
+    if (operation) {
+      filter.operation = operation;
+    }
+    if (active !== undefined) {
+      filter.active = active;
+    }
+    return FeeSchedule.find(filter).sort({ operation: 1, updatedAt: -1 });
+  }
+
+  /**
+   * Create a fee schedule
+   * @param {Object} data - Schedule fields
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<Object>} Schedule
+   */
+  async createSchedule(data, adminId) {
+    const schedule = await FeeSchedule.create({ ...data, updatedBy: adminId });
+    this.logger.info('Fee schedule created', { scheduleId: schedule._id, operation: schedule.operation, adminId });
+    return schedule;
+  }
+
+  /**
+   * Update a fee schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} data - Fields to change
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<Object>} Schedule
+   */
+  async updateSchedule(scheduleId, data, adminId) {
+    const schedule = await FeeSchedule.findById(scheduleId);
+    if (!schedule) {
+      throw this.feeError('Fee schedule not found', 404, 'FEE_SCHEDULE_NOT_FOUND');
+    }
+
+    schedule.set({ ...data, updatedBy: adminId });
+    await schedule.save();
+
+    this.logger.info('Fee schedule updated', { scheduleId, fields: Object.keys(data), adminId });
+    return schedule;
+  }
+
+  /**
+   * Deactivate a fee schedule; it stays on record for past fee transactions
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<Object>} Schedule
+   */
+  async deactivateSchedule(scheduleId, adminId) {
+    return this.updateSchedule(scheduleId, { active: false }, adminId);
+  }
+}
+
+module.exports = new FeeService();
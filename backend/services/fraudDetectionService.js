@@ -1,6 +1,7 @@
 const VirtualCard = require('../models/VirtualCard');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
+const Money = require('../utils/money');
 
 /**
  * Fraud Detection Service
@@ -8,7 +9,7 @@ const User = require('../models/User');
  */
 class FraudDetectionService {
   constructor() {
-    this.logger = require('../utils/logger');
+    this.logger = require('../utils/logger').logger;
     
     // Fraud detection rules configuration
     this.rules = {
@@ -286,7 +287,7 @@ class FraudDetectionService {
       // Check for testing patterns (small amounts followed by large amounts)
       const recentSmallTransactions = await Transaction.find({
         cardId: card._id,
-        amount: { $lt: 10 },
+        amountMinor: { $lt: Money.toMinor(10) },
         createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) }, // Last hour
         status: 'completed'
       });
@@ -299,7 +300,7 @@ class FraudDetectionService {
       // Check for duplicate amounts in short time period
       const duplicateAmounts = await Transaction.find({
         cardId: card._id,
-        amount: transaction.amount,
+        amountMinor: Money.toMinor(transaction.amount),
         createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }, // Last 24 hours
         status: { $in: ['completed', 'pending'] }
       });
@@ -0,0 +1,369 @@
+const fs = require('fs');
+const path = require('path');
+const FxRate = require('../models/FxRate');
+const FxQuote = require('../models/FxQuote');
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledgerService');
+const feeService = require('./feeService');
+const Money = require('../utils/money');
+const { withTransaction } = require('../utils/mongoTransaction');
+
+/**
+ * FX Service
+ * Rate table, pricing and the quote -> lock -> execute flow for converting
+ * between wallet currencies. Customers get the mid rate less a spread; the
+ * spread is booked as fee revenue in the currency bought. A conversion fee
+ * from the fee schedules is charged on top, in the currency sold.
+ */
+class FxService {
+  constructor() {
+    this.logger = require('../utils/logger').logger;
+
+    this.defaultSpreadBps = parseInt(process.env.FX_SPREAD_BPS || '50', 10);
+    this.quoteTtlSeconds = parseInt(process.env.FX_QUOTE_TTL_SECONDS || '30', 10);
+    this.lockTtlSeconds = parseInt(process.env.FX_QUOTE_LOCK_SECONDS || '60', 10);
+    this.ratesFile = process.env.FX_RATES_FILE || path.join(__dirname, '../config/fxRates.json');
+
+    // Pairs without a direct or inverse rate are priced through this currency
+    this.crossCurrency = 'USD';
+  }
+
+  /**
+   * Build an FX error with an HTTP status and machine-readable code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  fxError(message, statusCode, code) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  assertCurrencyPair(from, to) {
+    for (const currency of [from, to]) {
+      if (!Money.isSupportedCurrency(currency)) {
+        throw this.fxError(`Unsupported currency: ${currency}`, 400, 'UNSUPPORTED_CURRENCY');
+      }
+    }
+    if (from.toUpperCase() === to.toUpperCase()) {
+      throw this.fxError('Source and target currency must differ', 400, 'SAME_CURRENCY');
+    }
+  }
+
+  // Rates
+
+  /**
+   * Look up the mid rate for a pair, using the inverse rate or a cross
+   * through USD when no direct rate is loaded
+   * @param {string} from - Currency sold
+   * @param {string} to - Currency bought
+   * @returns {Promise<Object>} rate (units of `to` per unit of `from`), spreadBps
+   */
+  async getRate(from, to) {
+    const base = from.toUpperCase();
+    const quote = to.toUpperCase();
+
+    if (base === quote) {
+      return { rate: 1, spreadBps: 0 };
+    }
+
+    const direct = await FxRate.findOne({ base, quote });
+    if (direct) {
+      return { rate: direct.rate, spreadBps: direct.spreadBps ?? this.defaultSpreadBps };
+    }
+
+    const inverse = await FxRate.findOne({ base: quote, quote: base });
+    if (inverse) {
+      return { rate: 1 / inverse.rate, spreadBps: inverse.spreadBps ?? this.defaultSpreadBps };
+    }
+
+    if (base !== this.crossCurrency && quote !== this.crossCurrency) {
+      const [first, second] = await Promise.all([
+        this.getRate(base, this.crossCurrency).catch(() => null),
+        this.getRate(this.crossCurrency, quote).catch(() => null)
+      ]);
+      if (first && second) {
+        return {
+          rate: first.rate * second.rate,
+          spreadBps: Math.max(first.spreadBps, second.spreadBps)
+        };
+      }
+    }
+
+    throw this.fxError(`No FX rate available for ${base}/${quote}`, 400, 'FX_RATE_UNAVAILABLE');
+  }
+
+  /**
+   * List loaded rates
+   * @returns {Promise<Array>} Rates
+   */
+  async listRates() {
+    return FxRate.find({}).sort({ base: 1, quote: 1 });
+  }
+
+  /**
+   * Insert or replace rates
+   * @param {Array} rates - [{ base, quote, rate, spreadBps }]
+   * @param {Object} options - source ('admin' | 'file'), loadedBy
+   * @returns {Promise<number>} Number of rates written
+   */
+  async upsertRates(rates, options = {}) {
+    const { source = 'admin', loadedBy } = options;
+
+    for (const entry of rates) {
+      const base = String(entry.base || '').toUpperCase();
+      const quote = String(entry.quote || '').toUpperCase();
+      this.assertCurrencyPair(base, quote);
+
+      const rate = Number(entry.rate);
+      if (!Number.isFinite(rate) || rate <= 0) {
+        throw this.fxError(`Invalid FX rate for ${base}/${quote}: ${entry.rate}`, 400, 'INVALID_FX_RATE');
+      }
+    }
+
+    for (const entry of rates) {
+      const update = {
+        base: entry.base.toUpperCase(),
+        quote: entry.quote.toUpperCase(),
+        rate: Number(entry.rate),
+        source,
+        loadedBy
+      };
+      if (entry.spreadBps !== undefined) {
+        update.spreadBps = Number(entry.spreadBps);
+      }
+
+      await FxRate.findOneAndUpdate(
+        { base: update.base, quote: update.quote },
+        { $set: update },
+        { upsert: true, runValidators: true }
+      );
+    }
+
+    this.logger.info('FX rates loaded', { count: rates.length, source });
+    return rates.length;
+  }
+
+  /**
+   * Load rates from the configured JSON file. The file holds either a list
+   * of { base, quote, rate, spreadBps } or { base, rates: { QUOTE: rate } }.
+   * @param {Object} options - loadedBy
+   * @returns {Promise<number>} Number of rates written
+   */
+  async loadRatesFromFile(options = {}) {
+    const contents = JSON.parse(await fs.promises.readFile(this.ratesFile, 'utf8'));
+
+    const rates = Array.isArray(contents)
+      ? contents
+      : Object.entries(contents.rates || {}).map(([quote, rate]) => ({ base: contents.base, quote, rate }));
+
+    return this.upsertRates(rates, { ...options, source: 'file' });
+  }
+
+  // Pricing
+
+  /**
+   * Price a conversion for either the amount sold or the amount bought
+   * @param {Object} params - from, to, sellAmountMinor or buyAmountMinor
+   * @returns {Promise<Object>} Pricing in minor units of each currency
+   */
+  async price({ from, to, sellAmountMinor, buyAmountMinor }) {
+    this.assertCurrencyPair(from, to);
+    const fromCurrency = from.toUpperCase();
+    const toCurrency = to.toUpperCase();
+
+    const { rate: midRate, spreadBps } = await this.getRate(fromCurrency, toCurrency);
+    const rate = midRate * (1 - spreadBps / 10000);
+
+    let sell = sellAmountMinor;
+    let buy = buyAmountMinor;
+    if (sell === undefined) {
+      // Round the amount sold up so the customer rate is never beaten
+      const shift = Money.getExponent(fromCurrency) - Money.getExponent(toCurrency);
+      sell = Math.ceil(Number(((buy / rate) * Math.pow(10, shift)).toPrecision(15)));
+    } else {
+      buy = Money.convert(sell, rate, fromCurrency, toCurrency);
+    }
+
+    if (!Money.isMinor(sell) || !Money.isMinor(buy) || sell <= 0 || buy <= 0) {
+      throw this.fxError('Amount is too small to convert', 400, 'AMOUNT_TOO_SMALL');
+    }
+
+    const spreadMinor = Math.max(0, Money.convert(sell, midRate, fromCurrency, toCurrency) - buy);
+
+    return {
+      fromCurrency,
+      toCurrency,
+      sellAmountMinor: sell,
+      buyAmountMinor: buy,
+      spreadMinor,
+      midRate,
+      rate,
+      spreadBps
+    };
+  }
+
+  // Quotes
+
+  /**
+   * Quote a wallet conversion
+   * @param {string} userId - User ID
+   * @param {Object} params - from, to, amountMinor (amount sold)
+   * @returns {Promise<Object>} FX quote
+   */
+  async createQuote(userId, { from, to, amountMinor }) {
+    const pricing = await this.price({ from, to, sellAmountMinor: amountMinor });
+    const fee = await feeService.quote({
+      userId,
+      operation: 'fx_conversion',
+      amountMinor: pricing.sellAmountMinor,
+      currency: pricing.fromCurrency
+    });
+
+    return FxQuote.create({
+      userId,
+      ...pricing,
+      feeMinor: fee.feeMinor,
+      feeScheduleId: fee.scheduleId,
+      expiresAt: new Date(Date.now() + this.quoteTtlSeconds * 1000)
+    });
+  }
+
+  /**
+   * Lock a quote so it can be executed after the normal quote lifetime
+   * @param {string} userId - User ID
+   * @param {string} quoteId - Quote ID
+   * @returns {Promise<Object>} Locked quote
+   */
+  async lockQuote(userId, quoteId) {
+    const now = new Date();
+    const quote = await FxQuote.findOneAndUpdate(
+      { _id: quoteId, userId, status: 'quoted', expiresAt: { $gt: now } },
+      {
+        $set: {
+          status: 'locked',
+          lockedAt: now,
+          expiresAt: new Date(now.getTime() + this.lockTtlSeconds * 1000)
+        }
+      },
+      { new: true }
+    );
+
+    if (quote) {
+      return quote;
+    }
+
+    const existing = await FxQuote.findOne({ _id: quoteId, userId });
+    if (existing && existing.status === 'locked' && !existing.isExpired(now)) {
+      return existing;
+    }
+    throw await this.unusableQuoteError(existing, now);
+  }
+
+  /**
+   * Execute a quote: debit the sold currency, credit the bought currency
+   * @param {string} userId - User ID
+   * @param {string} quoteId - Quote ID
+   * @returns {Promise<Object>} quote, transaction
+   */
+  async executeQuote(userId, quoteId) {
+    const now = new Date();
+
+    const result = await withTransaction(async (session) => {
+      // Claiming the quote and posting the conversion commit together, so a
+      // failed debit leaves the quote executable until it expires
+      const quote = await FxQuote.findOneAndUpdate(
+        { _id: quoteId, userId, status: { $in: ['quoted', 'locked'] }, expiresAt: { $gt: now } },
+        { $set: { status: 'executed', executedAt: now } },
+        { new: true, session }
+      );
+      if (!quote) {
+        const existing = await FxQuote.findOne({ _id: quoteId, userId }).session(session);
+        throw await this.unusableQuoteError(existing, now);
+      }
+
+      const transaction = new Transaction({
+        userId,
+        type: 'currency_conversion',
+        amountMinor: quote.sellAmountMinor,
+        currency: quote.fromCurrency,
+        description: `Converted ${Money.format(quote.sellAmountMinor, quote.fromCurrency)} to ${Money.format(quote.buyAmountMinor, quote.toCurrency)}`,
+        status: 'completed',
+        metadata: {
+          quoteId: quote._id,
+          toCurrency: quote.toCurrency,
+          buyAmount: Money.toMajor(quote.buyAmountMinor, quote.toCurrency),
+          rate: quote.rate
+        }
+      });
+
+      // The fee was fixed when the quote was priced
+      const feeTransaction = feeService.buildFeeTransaction({
+        operation: 'fx_conversion',
+        method: null,
+        currency: quote.fromCurrency,
+        feeMinor: quote.feeMinor || 0,
+        scheduleId: quote.feeScheduleId || null
+      }, {
+        userId,
+        description: `Conversion fee ${quote.fromCurrency} to ${quote.toCurrency}`,
+        relatedTransaction: transaction
+      });
+
+      await ledgerService.recordCurrencyConversion({
+        userId,
+        fromCurrency: quote.fromCurrency,
+        toCurrency: quote.toCurrency,
+        sellAmountMinor: quote.sellAmountMinor,
+        buyAmountMinor: quote.buyAmountMinor,
+        spreadMinor: quote.spreadMinor,
+        feeMinor: quote.feeMinor || 0,
+        rate: quote.rate,
+        quoteId: quote._id,
+        transaction,
+        feeTransaction
+      }, { session });
+
+      quote.transactionId = transaction._id;
+      await quote.save({ session });
+
+      return { quote, transaction };
+    });
+
+    this.logger.info('FX quote executed', {
+      quoteId,
+      userId,
+      from: result.quote.fromCurrency,
+      to: result.quote.toCurrency
+    });
+
+    return result;
+  }
+
+  /**
+   * Explain why a quote cannot be locked or executed
+   * @param {Object|null} quote - Quote, if it exists for the user
+   * @param {Date} now - Reference time
+   * @returns {Promise<Error>} Error with statusCode and code set
+   */
+  async unusableQuoteError(quote, now) {
+    if (!quote) {
+      return this.fxError('Quote not found', 404, 'QUOTE_NOT_FOUND');
+    }
+    if (quote.status === 'executed') {
+      return this.fxError('Quote has already been executed', 409, 'QUOTE_ALREADY_EXECUTED');
+    }
+    if (quote.status === 'expired' || quote.isExpired(now)) {
+      if (quote.status !== 'expired') {
+        await FxQuote.updateOne({ _id: quote._id, status: quote.status }, { $set: { status: 'expired' } });
+      }
+      return this.fxError('Quote has expired', 410, 'QUOTE_EXPIRED');
+    }
+    return this.fxError('Quote cannot be used', 409, 'QUOTE_UNAVAILABLE');
+  }
+}
+
+module.exports = new FxService();
@@ -0,0 +1,352 @@
+const VirtualCard = require('../models/VirtualCard');
+const PayoutDestination = require('../models/PayoutDestination');
+const DisputeDocument = require('../models/DisputeDocument');
+const KeyRotationRun = require('../models/KeyRotationRun');
+const DataKey = require('../models/DataKey');
+const VaultRecord = require('../vault/VaultRecord');
+const dataKeyService = require('./dataKeyService');
+const kmsConfig = require('../config/kms');
+const secureCardStorage = require('../utils/secureCardStorage');
+
+// Encrypted fields, walked in this order by every run. ownerField names the
+// user whose data key encrypts the document (userId unless given); batchSize
+// overrides the run's batch size for collections of large documents.
+const TARGETS = [
+  { name: 'virtualcards', model: VirtualCard, fields: ['encryptedCardNumber', 'encryptedCvv'] },
+  { name: 'payoutdestinations', model: PayoutDestination, fields: ['bankAccount.encryptedAccountNumber'] },
+  { name: 'disputedocuments', model: DisputeDocument, fields: ['encryptedContent'], batchSize: 10 },
+  { name: 'vaultrecords', model: VaultRecord, fields: ['encryptedPan', 'encryptedCvv'], ownerField: 'ownerId' }
+];
+
+// With envelope encryption, data keys are rewrapped under the current master key first
+const DATA_KEYS = 'datakeys';
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+/**
+ * Key Rotation Service
+ * Re-encrypts stored card numbers, CVVs, payout account numbers, dispute
+ * documents and vault records under the current encryption key
+ * (CARD_ENCRYPTION_KEY_ID) in batches, checkpointing after each batch.
+ * Once nothing is left under an old key, that key can be removed from
+ * CARD_ENCRYPTION_KEYS.
+ *
+ * With envelope encryption (KMS_PROVIDER), keyring data moves onto per-user
+ * data keys, and rotating the KMS master key only rewraps the data keys.
+ */
+class KeyRotationService {
+  constructor() {
+    this.logger = require('../utils/logger').logger;
+
+    this.batchSize = parseInt(process.env.KEY_ROTATION_BATCH_SIZE || '200', 10);
+
+    this.running = false;
+  }
+
+  /**
+   * Build a key rotation error with an HTTP status and machine-readable code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  keyRotationError(message, statusCode, code) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * What a run re-encrypts under: the keyring's current key, or with envelope
+   * encryption the KMS master key data keys are wrapped under
+   * @returns {Promise<string>} Key ID
+   */
+  async getTargetKeyId() {
+    if (!kmsConfig.isEnabled()) {
+      return secureCardStorage.currentKeyId;
+    }
+    const provider = kmsConfig.getProvider();
+    return `kms.${provider.name}.${await provider.getCurrentKeyId()}`;
+  }
+
+  /**
+   * Query for documents with any field not yet under the current key
+   * @param {Object} target - Entry of TARGETS
+   * @returns {Object} MongoDB filter
+   */
+  pendingFilter(target) {
+    const prefix = secureCardStorage.getCurrentPrefix().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const currentPrefix = new RegExp(`^${prefix}`);
+    return {
+      $or: target.fields.map(field => ({ [field]: { $type: 'string', $not: currentPrefix } }))
+    };
+  }
+
+  /**
+   * Count documents per collection that still hold data under another key
+   * @returns {Promise<Object>} Pending count per collection
+   */
+  async countPending() {
+    const pending = {};
+    if (kmsConfig.isEnabled()) {
+      pending[DATA_KEYS] = await dataKeyService.countStaleKeys();
+    }
+    for (const target of TARGETS) {
+      pending[target.name] = await target.model.countDocuments(this.pendingFilter(target));
+    }
+    return pending;
+  }
+
+  // Runs
+
+  /**
+   * Re-encrypt everything under the current key
+   * @param {Object} options - trigger, triggeredBy, restart, onProgress
+   * @returns {Promise<Object>} Finished run
+   */
+  async run(options = {}) {
+    return this.executeRun(await this.startRun(options), options);
+  }
+
+  /**
+   * Start a run, or resume the latest run for the current key if it did not
+   * complete. Only one run is in progress at a time.
+   * @param {Object} options - trigger ('cli' | 'manual'), triggeredBy, restart (start over instead of resuming)
+   * @returns {Promise<Object>} Running run
+   */
+  async startRun({ trigger = 'cli', triggeredBy, restart = false } = {}) {
+    if (this.running) {
+      throw this.keyRotationError('A key rotation run is already in progress', 409, 'KEY_ROTATION_RUNNING');
+    }
+    this.running = true;
+
+    try {
+      const keyId = await this.getTargetKeyId();
+
+      const latest = await KeyRotationRun.findOne({ keyId }).sort({ startedAt: -1 });
+      if (latest && latest.status !== 'completed' && !restart) {
+        latest.status = 'running';
+        latest.resumedAt = new Date();
+        latest.finishedAt = undefined;
+        latest.error = undefined;
+        await latest.save();
+
+        this.logger.info('Key rotation run resumed', { runId: latest._id, keyId, target: latest.target, processed: latest.processed });
+        return latest;
+      }
+
+      const pending = await this.countPending();
+      return await KeyRotationRun.create({
+        keyId,
+        trigger,
+        triggeredBy,
+        total: Object.values(pending).reduce((sum, count) => sum + count, 0)
+      });
+    } catch (error) {
+      this.running = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Re-encrypt the collections of a started run from its checkpoint
+   * @param {Object} run - Run from startRun
+   * @param {Object} options - onProgress (called with the run after each batch)
+   * @returns {Promise<Object>} Finished run
+   */
+  async executeRun(run, { onProgress } = {}) {
+    try {
+      const steps = kmsConfig.isEnabled() ? [{ name: DATA_KEYS }, ...TARGETS] : TARGETS;
+      const startIndex = Math.max(steps.findIndex(step => step.name === run.target), 0);
+      for (const step of steps.slice(startIndex)) {
+        if (run.target !== step.name) {
+          run.target = step.name;
+          run.lastId = undefined;
+        }
+        if (step.name === DATA_KEYS) {
+          await this.rewrapDataKeys(run, onProgress);
+        } else {
+          await this.reEncryptTarget(step, run, onProgress);
+        }
+      }
+      run.status = 'completed';
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      this.logger.error('Key rotation run failed', { runId: run._id, error: error.message });
+    } finally {
+      this.running = false;
+      run.finishedAt = new Date();
+      await run.save();
+    }
+
+    this.logger.info('Key rotation run finished', {
+      runId: run._id,
+      keyId: run.keyId,
+      status: run.status,
+      reEncrypted: run.reEncrypted,
+      rewrapped: run.rewrapped,
+      documentErrors: run.documentErrors
+    });
+
+    return run;
+  }
+
+  /**
+   * Walk a collection in _id order, saving the checkpoint after each batch
+   * @param {Object} target - Entry of TARGETS
+   * @param {Object} run - Key rotation run
+   * @param {Function} onProgress - Progress callback
+   */
+  async reEncryptTarget(target, run, onProgress) {
+    const batchSize = target.batchSize || this.batchSize;
+    for (;;) {
+      const query = this.pendingFilter(target);
+      if (run.lastId) {
+        query._id = { $gt: run.lastId };
+      }
+
+      const docs = await target.model.find(query)
+        .sort({ _id: 1 })
+        .limit(batchSize)
+        .select([target.ownerField || 'userId', ...target.fields].join(' '))
+        .lean();
+
+      for (const doc of docs) {
+        await this.reEncryptDocument(target, doc, run);
+      }
+
+      if (docs.length > 0) {
+        run.lastId = docs[docs.length - 1]._id;
+        await run.save();
+        if (onProgress) {
+          onProgress(run);
+        }
+      }
+
+      if (docs.length < batchSize) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Rewrap data keys still under an old KMS master key, in _id order with a
+   * checkpoint after each batch. The data they encrypt is untouched.
+   * @param {Object} run - Key rotation run
+   * @param {Function} onProgress - Progress callback
+   */
+  async rewrapDataKeys(run, onProgress) {
+    const staleFilter = await dataKeyService.staleKeyFilter();
+
+    for (;;) {
+      const query = { ...staleFilter };
+      if (run.lastId) {
+        query._id = { $gt: run.lastId };
+      }
+
+      const dataKeys = await DataKey.find(query).sort({ _id: 1 }).limit(this.batchSize);
+
+      for (const dataKey of dataKeys) {
+        run.processed++;
+        try {
+          if (await dataKeyService.rewrapKey(dataKey)) {
+            run.rewrapped++;
+          } else {
+            run.skipped++;
+          }
+        } catch (error) {
+          run.documentErrors++;
+          this.logger.warn('Key rotation could not rewrap data key', { runId: run._id, dataKeyId: dataKey._id, error: error.message });
+        }
+      }
+
+      if (dataKeys.length > 0) {
+        run.lastId = dataKeys[dataKeys.length - 1]._id;
+        await run.save();
+        if (onProgress) {
+          onProgress(run);
+        }
+      }
+
+      if (dataKeys.length < this.batchSize) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Re-encrypt one document's fields. The write only applies if the fields
+   * still hold what was read, so a concurrent update is never overwritten.
+   * @param {Object} target - Entry of TARGETS
+   * @param {Object} doc - Lean document
+   * @param {Object} run - Key rotation run
+   */
+  async reEncryptDocument(target, doc, run) {
+    run.processed++;
+
+    const filter = { _id: doc._id };
+    const update = {};
+    try {
+      for (const field of target.fields) {
+        const value = getPath(doc, field);
+        if (typeof value !== 'string' || !secureCardStorage.needsReEncryption(value)) {
+          continue;
+        }
+        filter[field] = value;
+        update[field] = await secureCardStorage.reEncryptCardData(value, doc[target.ownerField || 'userId'], doc._id);
+      }
+    } catch (error) {
+      // Left under its old key; a later run retries it
+      run.documentErrors++;
+      this.logger.warn('Key rotation could not re-encrypt document', {
+        runId: run._id,
+        collection: target.name,
+        documentId: doc._id,
+        error: error.message
+      });
+      return;
+    }
+
+    const result = await target.model.updateOne(filter, { $set: update });
+    if (result.modifiedCount > 0) {
+      run.reEncrypted++;
+    } else {
+      run.skipped++;
+    }
+  }
+
+  /**
+   * Keyring, pending counts and the latest run
+   * @returns {Promise<Object>} Key rotation status
+   */
+  async getStatus() {
+    const [pending, lastRun] = await Promise.all([
+      this.countPending(),
+      KeyRotationRun.findOne().sort({ startedAt: -1 })
+    ]);
+
+    return {
+      currentKeyId: secureCardStorage.currentKeyId,
+      keyIds: Array.from(secureCardStorage.keys.keys()),
+      kms: kmsConfig.isEnabled()
+        ? { provider: kmsConfig.defaultProvider, masterKeyId: await kmsConfig.getProvider().getCurrentKeyId() }
+        : null,
+      pending,
+      lastRun,
+      running: this.running
+    };
+  }
+
+  /**
+   * List recent runs
+   * @param {number} limit - Max runs
+   * @returns {Promise<Array>} Runs, newest first
+   */
+  async listRuns(limit = 20) {
+    return KeyRotationRun.find().sort({ startedAt: -1 }).limit(limit);
+  }
+}
+
+module.exports = new KeyRotationService();
@@ -7,7 +7,7 @@ const KYC = require('../models/KYC');
  */
 class KYCValidationService {
   constructor() {
-    this.logger = require('../utils/logger');
+    this.logger = require('../utils/logger').logger;
     
     // KYC requirements for different card operations
     this.requirements = {
@@ -179,8 +179,13 @@ class KYCValidationService {
           maxDailyFunding: this.getFundingLimit(kyc.level, 'daily'),
           maxMonthlyFunding: this.getFundingLimit(kyc.level, 'monthly')
         },
+        withdrawal: {
+          maxDailyWithdrawal: this.getWithdrawalLimit(kyc.level, 'daily'),
+          maxMonthlyWithdrawal: this.getWithdrawalLimit(kyc.level, 'monthly')
+        },
         features: {
           cryptoFunding: kyc.level !== 'basic',
+          cryptoWithdrawal: kyc.level !== 'basic',
           internationalTransactions: kyc.level === 'premium',
           businessFeatures: kyc.level === 'premium'
         }
@@ -219,13 +224,45 @@ class KYCValidationService {
           break;
 
         case 'fund_card':
+          // operationData: amount plus dailyTotal/monthlyTotal already funded
           const limits = await this.getComplianceLimits(userId);
           const requestedAmount = operationData.amount || 0;
           
-          if (requestedAmount > limits.funding.maxDailyFunding) {
+          if ((operationData.dailyTotal || 0) + requestedAmount > limits.funding.maxDailyFunding) {
             permission.reason = `Daily funding limit exceeded (${limits.funding.maxDailyFunding})`;
+          } else if ((operationData.monthlyTotal || 0) + requestedAmount > limits.funding.maxMonthlyFunding) {
+            permission.reason = `Monthly funding limit exceeded (${limits.funding.maxMonthlyFunding})`;
           } else {
             permission.allowed = validation.isValid;
+            if (!permission.allowed) {
+              permission.reason = validation.issues[0]?.message || 'KYC validation failed';
+            }
+          }
+          break;
+
+        case 'withdraw':
+          // operationData: amount plus dailyTotal/monthlyTotal already withdrawn
+          const withdrawalLimits = (await this.getComplianceLimits(userId)).withdrawal;
+          const amount = operationData.amount || 0;
+
+          if (!validation.isValid) {
+            permission.reason = validation.issues[0]?.message || 'KYC verification required for withdrawals';
+            permission.requirements = validation.issues;
+          } else if ((operationData.dailyTotal || 0) + amount > withdrawalLimits.maxDailyWithdrawal) {
+            permission.reason = `Daily withdrawal limit exceeded (${withdrawalLimits.maxDailyWithdrawal})`;
+          } else if ((operationData.monthlyTotal || 0) + amount > withdrawalLimits.maxMonthlyWithdrawal) {
+            permission.reason = `Monthly withdrawal limit exceeded (${withdrawalLimits.maxMonthlyWithdrawal})`;
+          } else {
+            permission.allowed = true;
+          }
+          permission.limits = withdrawalLimits;
+          break;
+
+        case 'crypto_withdrawal':
+          const withdrawalFeatures = (await this.getComplianceLimits(userId)).features;
+          permission.allowed = validation.isValid && withdrawalFeatures.cryptoWithdrawal;
+          if (!permission.allowed) {
+            permission.reason = 'Enhanced KYC required for crypto withdrawals';
           }
           break;
 
@@ -405,6 +442,22 @@ class KYCValidationService {
     return limits[kycLevel]?.[period] || limits.basic[period];
   }
 
+  /**
+   * Get withdrawal limits based on KYC level
+   * @param {string} kycLevel - KYC level
+   * @param {string} period - Time period (daily, monthly)
+   * @returns {number} Withdrawal limit
+   */
+  getWithdrawalLimit(kycLevel, period) {
+    const limits = {
+      basic: { daily: 500, monthly: 2500 },
+      enhanced: { daily: 2500, monthly: 15000 },
+      premium: { daily: 10000, monthly: 50000 }
+    };
+
+    return limits[kycLevel]?.[period] || limits.basic[period];
+  }
+
   /**
    * Get default compliance limits
    * @returns {Object} Default limits
@@ -420,8 +473,13 @@ class KYCValidationService {
         maxDailyFunding: 500,
         maxMonthlyFunding: 2000
       },
+      withdrawal: {
+        maxDailyWithdrawal: 0,
+        maxMonthlyWithdrawal: 0
+      },
       features: {
         cryptoFunding: false,
+        cryptoWithdrawal: false,
         internationalTransactions: false,
         businessFeatures: false
       }
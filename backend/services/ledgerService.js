@@ -0,0 +1,944 @@
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const User = require('../models/User');
+const VirtualCard = require('../models/VirtualCard');
+const Money = require('../utils/money');
+
+/**
+ * Ledger Service
+ * Double-entry bookkeeping for every movement of money on the platform.
+ *
+ * Wallet and card balances (User.walletBalance, VirtualCard.balance) are
+ * projections of the ledger: they only change as a side effect of posting
+ * a balanced journal entry through this service.
+ */
+class LedgerService {
+  constructor() {
+    this.logger = require('../utils/logger').logger;
+
+    // Side of an entry that increases each account type
+    this.normalBalances = {
+      wallet: 'credit',            // Customer funds held (liability)
+      card: 'credit',              // Funds loaded on a card (liability)
+      gift_card: 'credit',         // Outstanding gift card value (liability)
+      fee: 'credit',               // Fee revenue
+      issuer_settlement: 'credit', // Amount owed to the card issuer (liability)
+      funding_source: 'debit',     // Cash received from external rails (asset)
+      fx_position: 'credit',       // Net position per currency from conversions (trading account)
+      payout_hold: 'credit',       // Wallet funds held for pending withdrawals (liability)
+      dispute_receivable: 'debit', // Provisional dispute credits awaiting the issuer's decision (asset)
+      opening_balance: 'debit'     // Balances held before the ledger, carried into it (equity)
+    };
+  }
+
+  // Account descriptors
+
+  walletAccount(userId, currency = 'USD') {
+    return this.describeAccount('wallet', `wallet:${userId}:${currency}`, currency, userId);
+  }
+
+  cardAccount(cardId, currency = 'USD') {
+    return this.describeAccount('card', `card:${cardId}:${currency}`, currency, cardId);
+  }
+
+  giftCardAccount(currency = 'USD') {
+    return this.describeAccount('gift_card', `gift_cards:${currency}`, currency);
+  }
+
+  feeAccount(currency = 'USD') {
+    return this.describeAccount('fee', `fees:${currency}`, currency);
+  }
+
+  issuerSettlementAccount(provider = 'mock', currency = 'USD') {
+    return this.describeAccount('issuer_settlement', `issuer_settlement:${provider}:${currency}`, currency);
+  }
+
+  fundingSourceAccount(source, currency = 'USD') {
+    return this.describeAccount('funding_source', `funding_source:${source}:${currency}`, currency);
+  }
+
+  fxPositionAccount(currency = 'USD') {
+    return this.describeAccount('fx_position', `fx_position:${currency}`, currency);
+  }
+
+  payoutHoldAccount(currency = 'USD') {
+    return this.describeAccount('payout_hold', `payout_holds:${currency}`, currency);
+  }
+
+  disputeReceivableAccount(currency = 'USD') {
+    return this.describeAccount('dispute_receivable', `disputes:${currency}`, currency);
+  }
+
+  openingBalanceAccount(currency = 'USD') {
+    return this.describeAccount('opening_balance', `opening_balances:${currency}`, currency);
+  }
+
+  describeAccount(type, code, currency, ownerId = null) {
+    return { type, code, currency: currency.toUpperCase(), ownerId };
+  }
+
+  /**
+   * Post a balanced journal entry and update account balances
+   * With applyProjections false the owning wallet and card balances are
+   * left as they are, for postings that record money they already hold.
+   * @param {Object} entryData - Entry description and lines
+   * @param {Object} options - Posting options: session, applyProjections
+   * @returns {Promise<Object>} Posted journal entry
+   */
+  async postEntry(entryData, options = {}) {
+    const {
+      eventType,
+      description,
+      currency = 'USD',
+      lines,
+      userId,
+      cardId,
+      transactionIds = [],
+      reversalOf,
+      metadata = {}
+    } = entryData;
+    const { session = null, applyProjections = true } = options;
+
+    this.validateLines(lines, currency);
+
+    // Resolve (and lazily open) every account referenced by the entry
+    const accounts = [];
+    for (const line of lines) {
+      accounts.push(await this.ensureAccount(line.account, session));
+    }
+
+    const entry = new JournalEntry({
+      eventType,
+      description,
+      currency: currency.toUpperCase(),
+      lines: lines.map((line, index) => ({
+        account: accounts[index]._id,
+        accountCode: accounts[index].code,
+        direction: line.direction,
+        amount: line.amount,
+        // Only lines in a different currency from the entry carry their own
+        currency: accounts[index].currency !== currency.toUpperCase() ? accounts[index].currency : undefined
+      })),
+      userId,
+      cardId,
+      transactionIds,
+      reversalOf,
+      metadata
+    });
+
+    await entry.validate();
+
+    // Apply projections with balance-reducing lines first, so a failed
+    // conditional debit aborts the posting before anything is credited
+    const deltas = lines.map((line, index) => this.signedAmount(accounts[index], line));
+    const order = lines.map((line, index) => index).sort((a, b) => deltas[a] - deltas[b]);
+
+    for (const i of applyProjections ? order : []) {
+      // Wallets can never be overdrawn; other accounts opt in per line
+      const requireFunds = lines[i].requireFunds ?? accounts[i].type === 'wallet';
+      await this.applyProjection(accounts[i], deltas[i], { session, requireFunds });
+    }
+
+    await entry.save({ session });
+
+    for (let i = 0; i < lines.length; i++) {
+      await LedgerAccount.updateOne(
+        { _id: accounts[i]._id },
+        { $inc: { balance: deltas[i] }, $set: { lastEntryAt: entry.postedAt } },
+        { session }
+      );
+    }
+
+    this.logger.info('Journal entry posted', {
+      entryId: entry._id,
+      eventType,
+      currency: entry.currency,
+      lines: entry.lines.length
+    });
+
+    return entry;
+  }
+
+  /**
+   * Validate journal lines before posting
+   * Lines must balance within each currency; an entry that converts
+   * between currencies balances through the fx_position accounts.
+   * @param {Array} lines - Journal lines
+   * @param {string} currency - Entry currency, used for lines without one
+   */
+  validateLines(lines, currency = 'USD') {
+    if (!Array.isArray(lines) || lines.length < 2) {
+      throw new Error('Journal entry requires at least two lines');
+    }
+
+    const net = {};
+
+    for (const line of lines) {
+      if (!line.account || !line.account.code) {
+        throw new Error('Journal line is missing its account');
+      }
+      if (!Number.isInteger(line.amount) || line.amount <= 0) {
+        throw new Error(`Invalid journal line amount: ${line.amount}`);
+      }
+      if (line.direction !== 'debit' && line.direction !== 'credit') {
+        throw new Error(`Invalid journal line direction: ${line.direction}`);
+      }
+
+      const lineCurrency = (line.account.currency || currency).toUpperCase();
+      net[lineCurrency] = (net[lineCurrency] || 0) + (line.direction === 'debit' ? line.amount : -line.amount);
+    }
+
+    for (const [lineCurrency, difference] of Object.entries(net)) {
+      if (difference !== 0) {
+        throw new Error(`Journal entry is not balanced in ${lineCurrency} (debits minus credits ${difference})`);
+      }
+    }
+  }
+
+  /**
+   * Find or create the ledger account for a descriptor
+   * @param {Object} descriptor - Account descriptor
+   * @param {Object} session - Optional MongoDB session
+   * @returns {Promise<Object>} Ledger account
+   */
+  async ensureAccount(descriptor, session = null) {
+    try {
+      return await LedgerAccount.findOneAndUpdate(
+        { code: descriptor.code },
+        {
+          $setOnInsert: {
+            code: descriptor.code,
+            type: descriptor.type,
+            normalBalance: this.normalBalances[descriptor.type],
+            ownerId: descriptor.ownerId || undefined,
+            currency: descriptor.currency
+          }
+        },
+        { upsert: true, new: true, session }
+      );
+    } catch (error) {
+      // Two postings opened the same account concurrently
+      if (error.code === 11000) {
+        return LedgerAccount.findOne({ code: descriptor.code }).session(session);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change in account balance caused by a journal line
+   * @param {Object} account - Ledger account
+   * @param {Object} line - Journal line
+   * @returns {number} Signed amount in minor units
+   */
+  signedAmount(account, line) {
+    return line.direction === account.normalBalance ? line.amount : -line.amount;
+  }
+
+  /**
+   * Mirror an account balance change onto the owning document
+   * Debits flagged with requireFunds only apply while the owning balance
+   * covers them, which makes the check and the debit a single atomic write.
+   * @param {Object} account - Ledger account
+   * @param {number} delta - Signed change in minor units
+   * @param {Object} options - session, requireFunds
+   */
+  async applyProjection(account, delta, options = {}) {
+    const { session = null, requireFunds = false } = options;
+    const conditional = requireFunds && delta < 0;
+
+    let result;
+    if (account.type === 'wallet') {
+      // One sub-balance per currency, keyed by the account's currency
+      const path = `walletBalances.${account.currency}`;
+      const filter = { _id: account.ownerId };
+      if (conditional) {
+        filter[path] = { $gte: -delta };
+      }
+      result = await User.updateOne(
+        filter,
+        { $inc: { [path]: delta } },
+        { session }
+      );
+    } else if (account.type === 'card') {
+      const filter = { _id: account.ownerId };
+      if (conditional) {
+        // Funds held by open authorizations are not available to move
+        filter.$expr = { $gte: [{ $subtract: ['$balanceMinor', { $ifNull: ['$heldMinor', 0] }] }, -delta] };
+      }
+      result = await VirtualCard.updateOne(
+        filter,
+        { $inc: { balanceMinor: delta }, $set: { lastSyncedAt: new Date() } },
+        { session }
+      );
+    } else {
+      return;
+    }
+
+    if (conditional && result.matchedCount === 0) {
+      throw this.insufficientFundsError(account);
+    }
+  }
+
+  /**
+   * Build the error raised when a conditional debit cannot be applied
+   * @param {Object} account - Ledger account
+   * @returns {Error} Error with statusCode and code set
+   */
+  insufficientFundsError(account) {
+    const label = account.type === 'wallet' ? 'wallet' : 'card';
+    const error = new Error(`Insufficient ${label} balance`);
+    error.statusCode = 400;
+    error.code = 'INSUFFICIENT_FUNDS';
+    error.accountCode = account.code;
+    return error;
+  }
+
+  // Business events
+
+  /**
+   * Record funds arriving in a wallet from an external rail
+   * A funding fee is deducted from the amount credited to the wallet.
+   * @param {Object} params - userId, amountMinor, feeMinor, source, currency, transaction, feeTransaction
+   * @param {Object} options - Posting options
+   * @returns {Promise<Object>} Journal entry
+   */
+  async recordWalletDeposit({
+    userId,
+    amountMinor,
+    feeMinor = 0,
+    source,
+    currency = 'USD',
+    transaction = null,
+    feeTransaction = null
+  }, options = {}) {
+    const lines = [
+      { account: this.fundingSourceAccount(source, currency), direction: 'debit', amount: amountMinor },
+      { account: this.walletAccount(userId, currency), direction: 'credit', amount: amountMinor - feeMinor }
+    ];
+    if (feeMinor > 0) {
+      lines.push({ account: this.feeAccount(currency), direction: 'credit', amount: feeMinor });
+    }
+
+    return this.postWithTransaction({
+      eventType: 'wallet_deposit',
+      description: `Wallet deposit via ${source}`,
+      currency,
+      userId,
+      lines,
+      metadata: { source }
+    }, [transaction, feeTransaction], options);
+  }
+
+  /**
+   * Record a transfer from a wallet to a card
+   * @param {Object} params - userId, cardId, amountMinor, currency, transaction
+   * @param {Object} options - Posting options
+   * @returns {Promise<Object>} Journal entry
+   */
+  async recordCardFunding({ userId, cardId, amountMinor, currency = 'USD', transaction = null }, options = {}) {
+    return this.postWithTransaction({
+      eventType: 'card_funding',
+      description: 'Wallet to card transfer',
+      currency,
+      userId,
+      cardId,
+      lines: [
+        { account: this.walletAccount(userId, currency), direction: 'debit', amount: amountMinor },
+        { account: this.cardAccount(cardId, currency), direction: 'credit', amount: amountMinor }
+      ]
+    }, transaction, options);
+  }
+
+  /**
+   * Record a transfer from a card back to its owner's wallet
+   * The card debit only applies while the card's available balance (less
+   * funds held by open authorizations) covers it.
+   * @param {Object} params - userId, cardId, amountMinor, currency, transaction
+   * @param {Object} options - Posting options
+   * @returns {Promise<Object>} Journal entry
+   */
+  async recordCardDefund({ userId, cardId, amountMinor, currency = 'USD', transaction = null }, options = {}) {
+    return this.postWithTransaction({
+      eventType: 'card_defund',
+      description: 'Card to wallet transfer',
+      currency,
+      userId,
+      cardId,
+      lines: [
+        { account: this.cardAccount(cardId, currency), direction: 'debit', amount: amountMinor, requireFunds: true },
+        { account: this.walletAccount(userId, currency), direction: 'credit', amount: amountMinor }
+      ]
+    }, transaction, options);
+  }
+
+  /**
+   * Record a conversion out of one wallet currency into another wallet
+   * currency or a card. The two legs balance in their own currency through
+   * the fx_position accounts; the spread is booked as fee revenue in the
+   * currency bought and a conversion fee in the currency sold.
+   * @param {Object} params - userId, cardId (optional destination), fromCurrency,
+   *   toCurrency, sellAmountMinor, buyAmountMinor, spreadMinor, feeMinor, quoteId,
+   *   transaction, feeTransaction
+   * @param {Object} options - Posting options
+   * @returns {Promise<Object>} Journal entry
+   */
+  async recordCurrencyConversion({
+    userId,
+    cardId = null,
+    fromCurrency,
+    toCurrency,
+    sellAmountMinor,
+    buyAmountMinor,
+    spreadMinor = 0,
+    feeMinor = 0,
+    rate,
+    quoteId = null,
+    transaction = null,
+    feeTransaction = null
+  }, options = {}) {
+    if (fromCurrency.toUpperCase() === toCurrency.toUpperCase()) {
+      throw new Error('Currency conversion requires two different currencies');
+    }
+
+    const destination = cardId
+      ? this.cardAccount(cardId, toCurrency)
+      : this.walletAccount(userId, toCurrency);
+
+    const lines = [
+      { account: this.walletAccount(userId, fromCurrency), direction: 'debit', amount: sellAmountMinor + feeMinor },
+      { account: this.fxPositionAccount(fromCurrency), direction: 'credit', amount: sellAmountMinor },
+      { account: this.fxPositionAccount(toCurrency), direction: 'debit', amount: buyAmountMinor + spreadMinor },
+      { account: destination, direction: 'credit', amount: buyAmountMinor }
+    ];
+    if (spreadMinor > 0) {
+      lines.push({ account: this.feeAccount(toCurrency), direction: 'credit', amount: spreadMinor });
+    }
+    if (feeMinor > 0) {
+      lines.push({ account: this.feeAccount(fromCurrency), direction: 'credit', amount: feeMinor });
+    }
+
+    return this.postWithTransaction({
+      eventType: cardId ? 'card_funding' : 'fx_conversion',
+      description: cardId
+        ? `Wallet to card transfer (${fromCurrency} to ${toCurrency})`
+        : `Currency conversion ${fromCurrency} to ${toCurrency}`,
+      currency: fromCurrency,
+      userId,
+      cardId,
+      lines,
+      metadata: { quoteId, rate, fromCurrency, toCurrency }
+    }, [transaction, feeTransaction], options);
+  }
+
+  /**
+   * Record funds loaded onto a card directly from an external source
+   * @param {Object} params - card, amountMinor, source, currency, transaction
+   * @param {Object} options - Posting options
+   * @returns {Promise<Object>} Journal entry
+   */
+  async recordCardLoad({ card, amountMinor, source, currency = 'USD', transaction = null }, options = {}) {
+    return this.postWithTransaction({
+      eventType: 'card_funding',
+      description: `Card load via ${source}`,
+      currency,
+      userId: card.userId,
+      cardId: card._id,
+      lines: [
+        { account: this.fundingSourceAccount(source, currency), direction: 'debit', amount: amountMinor },
+        { account: this.cardAccount(card._id, currency), direction: 'credit', amount: amountMinor }
+      ],
+      metadata: { source }
+    }, transaction, options);
+  }
+
+  /**
+   * Record the balance a wallet or card held before its ledger account
+   * existed. The wallet or card already shows the balance, so only the
+   * ledger account moves.
+   * @param {Object} params - account (wallet or card descriptor), userId, amountMinor, migration
+   * @param {Object} options - Posting options
+   * @returns {Promise<Object>} Journal entry
+   */
+  async recordOpeningBalance({ account, userId, amountMinor, migration }, options = {}) {
+    return this.postEntry({
+      eventType: 'opening_balance',
+      description: 'Opening balance',
+      currency: account.currency,
+      userId,
+      cardId: account.type === 'card' ? account.ownerId : undefined,
+      lines: [
+        { account: this.openingBalanceAccount(account.currency), direction: 'debit', amount: amountMinor },
+        { account, direction: 'credit', amount: amountMinor }
+      ],
+      metadata: { migration }
+    }, { ...options, applyProjections: false });
+  }
+
+  /**
+   * Record a settled card purchase
+   * @param {Object} params - card, amountMinor, currency, transaction
+   * @param {Object} options - Posting options
+   * @returns {Promise<Object>} Journal entry
+   */
+  async recordCardSpend({ card, amountMinor, currency = 'USD', transaction = null }, options = {}) {
+    return this.postWithTransaction({
+      eventType: 'card_spend',
+      description: 'Card purchase settlement',
+      currency,
+      userId: card.userId,
+      cardId: card._id,
+      lines: [
+        { account: this.cardAccount(card._id, currency), direction: 'debit', amount: amountMinor },
+        { account: this.issuerSettlementAccount(card.issuerProvider, currency), direction: 'credit', amount: amountMinor }
+      ]
+    }, transaction, options);
+  }
+
+  /**
+   * Record a refund or reversal credited back to a card
+   * @param {Object} params - card, amountMinor, currency, transaction
+   * @param {Object} options - Posting options
+   * @returns {Promise<Object>} Journal entry
+   */
+  async recordCardRefund({ card, amountMinor, currency = 'USD', transaction = null }, options = {}) {
+    return this.postWithTransaction({
+      eventType: 'card_refund',
+      description: 'Card refund or reversal',
+      currency,
+      userId: card.userId,
+      cardId: card._id,
+      lines: [
+        { account: this.issuerSettlementAccount(card.issuerProvider, currency), direction: 'debit', amount: amountMinor },
+        { account: this.cardAccount(card._id, currency), direction: 'credit', amount: amountMinor }
+      ]
+    }, transaction, options);
+  }
+
+  /**
+   * Record a correction bringing a card balance in line with the issuer,
+   * booked against the provider's settlement account
+   * @param {Object} params - card, deltaMinor (positive credits the card), currency, reason, transaction
+   * @param {Object} options - Posting options
+   * @returns {Promise<Object>} Journal entry
+   */
+  async recordCardAdjustment({ card, deltaMinor, currency = 'USD', reason, transaction = null }, options = {}) {
+    const amount = Math.abs(deltaMinor);
+    const cardLine = deltaMinor > 0
+      ? { account: this.cardAccount(card._id, currency), direction: 'credit', amount }
+      : { account: this.cardAccount(card._id, currency), direction: 'debit', amount, requireFunds: true };
+    const settlementLine = {
+      account: this.issuerSettlementAccount(card.issuerProvider, currency),
+      direction: deltaMinor > 0 ? 'debit' : 'credit',
+      amount
+    };
+
+    return this.postWithTransaction({
+      eventType: 'adjustment',
+      description: reason || 'Card balance adjustment',
+      currency,
+      userId: card.userId,
+      cardId: card._id,
+      lines: deltaMinor > 0 ? [settlementLine, cardLine] : [cardLine, settlementLine]
+    }, transaction, options);
+  }
+
+  /**
+   * Record a gift card bought from wallet funds, including its fee
+   * @param {Object} params - userId, amountMinor, feeMinor, currency, transaction, feeTransaction
+   * @param {Object} options - Posting options
+   * @returns {Promise<Object>} Journal entry
+   */
+  async recordGiftCardPurchase({
+    userId,
+    amountMinor,
+    feeMinor = 0,
+    currency = 'USD',
+    transaction = null,
+    feeTransaction = null
+  }, options = {}) {
+    const lines = [
+      { account: this.walletAccount(userId, currency), direction: 'debit', amount: amountMinor + feeMinor },
+      { account: this.giftCardAccount(currency), direction: 'credit', amount: amountMinor }
+    ];
+    if (feeMinor > 0) {
+      lines.push({ account: this.feeAccount(currency), direction: 'credit', amount: feeMinor });
+    }
+
+    return this.postWithTransaction({
+      eventType: 'gift_card_purchase',
+      description: 'Gift card purchase',
+      currency,
+      userId,
+      lines
+    }, [transaction, feeTransaction], options);
+  }
+
+  /**
+   * Record a standalone fee charged to a wallet, e.g. for creating a card
+   * @param {Object} params - userId, cardId, feeMinor, currency, operation, transaction
+   * @param {Object} options - Posting options
+   * @returns {Promise<Object>} Journal entry
+   */
+  async recordFeeCharge({ userId, cardId, feeMinor, currency = 'USD', operation, transaction = null }, options = {}) {
+    return this.postWithTransaction({
+      eventType: 'fee',
+      description: `Fee for ${operation.replace(/_/g, ' ')}`,
+      currency,
+      userId,
+      cardId,
+      lines: [
+        { account: this.walletAccount(userId, currency), direction: 'debit', amount: feeMinor },
+        { account: this.feeAccount(currency), direction: 'credit', amount: feeMinor }
+      ],
+      metadata: { operation }
+    }, transaction, options);
+  }
+
+  /**
+   * Record value spent from an outstanding gift card
+   * @param {Object} params - amountMinor, currency, giftCardId
+   * @param {Object} options - Posting options
+   * @returns {Promise<Object>} Journal entry
+   */
+  async recordGiftCardRedemption({ amountMinor, currency = 'USD', giftCardId }, options = {}) {
+    return this.postEntry({
+      eventType: 'gift_card_redemption',
+      description: 'Gift card redemption',
+      currency,
+      lines: [
+        { account: this.giftCardAccount(currency), direction: 'debit', amount: amountMinor },
+        { account: this.issuerSettlementAccount('gift_cards', currency), direction: 'credit', amount: amountMinor }
+      ],
+      metadata: { giftCardId }
+    }, options);
+  }
+
+  /**
+   * Record a withdrawal request holding wallet funds until it is paid out
+   * @param {Object} params - userId, amountMinor, feeMinor, currency, withdrawalId,
+   *   transaction, feeTransaction
+   * @param {Object} options - Posting options
+   * @returns {Promise<Object>} Journal entry
+   */
+  async recordWithdrawalHold({
+    userId,
+    amountMinor,
+    feeMinor = 0,
+    currency = 'USD',
+    withdrawalId,
+    transaction = null,
+    feeTransaction = null
+  }, options = {}) {
+    const total = amountMinor + feeMinor;
+
+    return this.postWithTransaction({
+      eventType: 'withdrawal_hold',
+      description: 'Wallet withdrawal hold',
+      currency,
+      userId,
+      lines: [
+        { account: this.walletAccount(userId, currency), direction: 'debit', amount: total },
+        { account: this.payoutHoldAccount(currency), direction: 'credit', amount: total }
+      ],
+      metadata: { withdrawalId }
+    }, [transaction, feeTransaction], options);
+  }
+
+  /**
+   * Record a held withdrawal leaving the platform through a payout provider
+   * @param {Object} params - userId, amountMinor, feeMinor, currency, provider, withdrawalId
+   * @param {Object} options - Posting options
+   * @returns {Promise<Object>} Journal entry
+   */
+  async recordWithdrawalPayout({ userId, amountMinor, feeMinor = 0, currency = 'USD', provider, withdrawalId }, options = {}) {
+    const lines = [
+      { account: this.payoutHoldAccount(currency), direction: 'debit', amount: amountMinor + feeMinor },
+      { account: this.fundingSourceAccount(`payout_${provider}`, currency), direction: 'credit', amount: amountMinor }
+    ];
+    if (feeMinor > 0) {
+      lines.push({ account: this.feeAccount(currency), direction: 'credit', amount: feeMinor });
+    }
+
+    return this.postEntry({
+      eventType: 'withdrawal_payout',
+      description: `Withdrawal paid out via ${provider}`,
+      currency,
+      userId,
+      lines,
+      metadata: { withdrawalId, provider }
+    }, options);
+  }
+
+  /**
+   * Record a dispute credit to the card (or the wallet when the card is
+   * closed): provisional credits are advanced against the dispute
+   * receivable, final credits come from the issuer's settlement account
+   * @param {Object} params - userId, card, amountMinor, currency, provider,
+   *   provisional, disputeId, transaction
+   * @param {Object} options - Posting options
+   * @returns {Promise<Object>} Journal entry
+   */
+  async recordDisputeCredit({
+    userId,
+    card = null,
+    amountMinor,
+    currency = 'USD',
+    provider = 'mock',
+    provisional = false,
+    disputeId,
+    transaction = null
+  }, options = {}) {
+    const source = provisional
+      ? this.disputeReceivableAccount(currency)
+      : this.issuerSettlementAccount(provider, currency);
+    const destination = card
+      ? this.cardAccount(card._id, currency)
+      : this.walletAccount(userId, currency);
+
+    return this.postWithTransaction({
+      eventType: 'dispute_credit',
+      description: provisional ? 'Provisional dispute credit' : 'Dispute credit',
+      currency,
+      userId,
+      cardId: card ? card._id : undefined,
+      lines: [
+        { account: source, direction: 'debit', amount: amountMinor },
+        { account: destination, direction: 'credit', amount: amountMinor }
+      ],
+      metadata: { disputeId, provisional }
+    }, transaction, options);
+  }
+
+  /**
+   * Record the issuer returning the funds of a won dispute that was
+   * provisionally credited, clearing the receivable
+   * @param {Object} params - amountMinor, currency, provider, disputeId
+   * @param {Object} options - Posting options
+   * @returns {Promise<Object>} Journal entry
+   */
+  async recordDisputeRecovery({ amountMinor, currency = 'USD', provider = 'mock', disputeId }, options = {}) {
+    return this.postEntry({
+      eventType: 'dispute_recovery',
+      description: `Dispute funds recovered via ${provider}`,
+      currency,
+      lines: [
+        { account: this.issuerSettlementAccount(provider, currency), direction: 'debit', amount: amountMinor },
+        { account: this.disputeReceivableAccount(currency), direction: 'credit', amount: amountMinor }
+      ],
+      metadata: { disputeId, provider }
+    }, options);
+  }
+
+  /**
+   * Post a reversing entry for a previously posted entry
+   * With requireFunds, card debits in the reversal only apply while the card
+   * still holds the funds, as wallet debits always do; a credit that has
+   * been spent fails with INSUFFICIENT_FUNDS instead of overdrawing.
+   * @param {string} entryId - Journal entry ID
+   * @param {string} reason - Reason for the reversal
+   * @param {Object} options - Posting options, requireFunds
+   * @returns {Promise<Object>} Reversing journal entry
+   */
+  async reverseEntry(entryId, reason, options = {}) {
+    const { session = null, requireFunds = false } = options;
+
+    const original = await JournalEntry.findById(entryId).session(session);
+    if (!original) {
+      throw new Error('Journal entry not found');
+    }
+    if (original.reversedBy) {
+      throw new Error('Journal entry has already been reversed');
+    }
+
+    const accounts = await LedgerAccount.find({
+      _id: { $in: original.lines.map(line => line.account) }
+    }).session(session);
+    const accountsById = new Map(accounts.map(account => [account._id.toString(), account]));
+
+    const reversal = await this.postEntry({
+      eventType: 'reversal',
+      description: `Reversal: ${original.description}`,
+      currency: original.currency,
+      userId: original.userId,
+      cardId: original.cardId,
+      transactionIds: original.transactionIds,
+      reversalOf: original._id,
+      lines: original.lines.map(line => ({
+        account: accountsById.get(line.account.toString()),
+        direction: line.direction === 'debit' ? 'credit' : 'debit',
+        amount: line.amount,
+        ...(requireFunds ? { requireFunds: true } : {})
+      })),
+      metadata: { reason }
+    }, options);
+
+    await JournalEntry.updateOne(
+      { _id: original._id },
+      { $set: { reversedBy: reversal._id } },
+      { session }
+    );
+
+    return reversal;
+  }
+
+  /**
+   * Post an entry and link it to its Transaction records
+   * @param {Object} entryData - Journal entry data
+   * @param {Object|Array} transactions - Transaction document(s) (unsaved or
+   *   saved); empty slots are skipped, e.g. a fee transaction for no fee
+   * @param {Object} options - Posting options
+   * @returns {Promise<Object>} Journal entry
+   */
+  async postWithTransaction(entryData, transactions, options = {}) {
+    const linked = [].concat(transactions).filter(Boolean);
+    if (linked.length > 0) {
+      entryData.transactionIds = linked.map(transaction => transaction._id);
+    }
+
+    const entry = await this.postEntry(entryData, options);
+
+    for (const transaction of linked) {
+      transaction.ledgerEntryId = entry._id;
+      await transaction.save({ session: options.session || null });
+    }
+
+    return entry;
+  }
+
+  // Balances and reconciliation
+
+  /**
+   * Derive an account balance from its journal lines
+   * @param {string} accountCode - Ledger account code
+   * @param {Object} options - before (only count entries posted before this date)
+   * @returns {Promise<number>} Balance in minor units
+   */
+  async getDerivedBalance(accountCode, { before = null } = {}) {
+    const account = await LedgerAccount.findByCode(accountCode);
+    if (!account) {
+      return 0;
+    }
+
+    const match = { 'lines.account': account._id };
+    if (before) {
+      match.postedAt = { $lt: before };
+    }
+
+    const totals = await JournalEntry.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': account._id } },
+      { $group: { _id: '$lines.direction', total: { $sum: '$lines.amount' } } }
+    ]);
+
+    const debits = totals.find(t => t._id === 'debit')?.total || 0;
+    const credits = totals.find(t => t._id === 'credit')?.total || 0;
+
+    return account.normalBalance === 'debit' ? debits - credits : credits - debits;
+  }
+
+  /**
+   * Check a user's wallet balance against the ledger
+   * @param {string} userId - User ID
+   * @param {string} currency - Currency code, defaults to the user's wallet currency
+   * @returns {Promise<Object>} Check result
+   */
+  async verifyWalletBalance(userId, currency = null) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    currency = (currency || user.walletCurrency).toUpperCase();
+
+    return this.compareBalances(this.walletAccount(userId, currency).code, user.getWalletBalanceMinor(currency), currency);
+  }
+
+  /**
+   * Check a card balance against the ledger
+   * @param {string} cardId - Card ID
+   * @param {string} currency - Currency code, defaults to the card currency
+   * @returns {Promise<Object>} Check result
+   */
+  async verifyCardBalance(cardId, currency = null) {
+    const card = await VirtualCard.findById(cardId);
+    if (!card) {
+      throw new Error('Card not found');
+    }
+    currency = (currency || card.currency).toUpperCase();
+
+    return this.compareBalances(this.cardAccount(cardId, currency).code, card.balanceMinor, currency);
+  }
+
+  /**
+   * Compare a recorded balance with the ledger-derived balance
+   * @param {string} accountCode - Ledger account code
+   * @param {number} recordedMinor - Minor-unit balance stored on the owning document
+   * @param {string} currency - Currency code
+   * @returns {Promise<Object>} Comparison result
+   */
+  async compareBalances(accountCode, recordedMinor, currency = 'USD') {
+    const derived = await this.getDerivedBalance(accountCode);
+    const recorded = recordedMinor || 0;
+
+    return {
+      accountCode,
+      currency,
+      ledgerBalance: Money.toMajor(derived, currency),
+      recordedBalance: Money.toMajor(recorded, currency),
+      difference: Money.toMajor(recorded - derived, currency),
+      inSync: recorded === derived
+    };
+  }
+
+  /**
+   * Verify that the whole journal balances and that every account's
+   * running balance matches its journal lines
+   * @returns {Promise<Object>} Integrity report
+   */
+  async checkIntegrity() {
+    const totals = await JournalEntry.aggregate([
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: {
+            currency: { $ifNull: ['$lines.currency', '$currency'] },
+            direction: '$lines.direction'
+          },
+          total: { $sum: '$lines.amount' }
+        }
+      }
+    ]);
+
+    // Debits and credits only have to match within each currency
+    const currencies = {};
+    for (const { _id, total } of totals) {
+      const bucket = currencies[_id.currency] || (currencies[_id.currency] = { totalDebits: 0, totalCredits: 0 });
+      bucket[_id.direction === 'debit' ? 'totalDebits' : 'totalCredits'] += total;
+    }
+    const balanced = Object.values(currencies).every(bucket => bucket.totalDebits === bucket.totalCredits);
+
+    const mismatchedAccounts = [];
+    const accounts = await LedgerAccount.find({});
+    for (const account of accounts) {
+      const derived = await this.getDerivedBalance(account.code);
+      if (derived !== account.balance) {
+        mismatchedAccounts.push({
+          accountCode: account.code,
+          runningBalance: account.balance,
+          derivedBalance: derived
+        });
+      }
+    }
+
+    return {
+      balanced,
+      currencies,
+      accountsChecked: accounts.length,
+      mismatchedAccounts,
+      checkedAt: new Date()
+    };
+  }
+}
+
+module.exports = new LedgerService();
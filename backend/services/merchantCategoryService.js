@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Merchant Category Service
+ * Maps merchant category codes (MCCs) to the spending categories cards can
+ * be restricted to (`VirtualCard.merchantCategories`) and enforces those
+ * restrictions. The MCC reference data and the category ranges are bundled
+ * in config/merchantCategoryCodes.json.
+ *
+ * A card with no categories, or with `all`, accepts every merchant. A
+ * restricted card accepts a merchant when its MCC falls in one of the
+ * card's category ranges; merchants that report no MCC are matched on the
+ * category name the issuer sends, and are declined when that does not match.
+ */
+class MerchantCategoryService {
+  constructor() {
+    this.dataFile = process.env.MCC_DATA_FILE || path.join(__dirname, '../config/merchantCategoryCodes.json');
+    this.data = null;
+  }
+
+  /**
+   * Load the bundled dataset once
+   * @returns {Object} categories, ranges and codes
+   */
+  load() {
+    if (!this.data) {
+      const contents = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+      this.data = {
+        categories: contents.categories || {},
+        ranges: contents.ranges || [],
+        codes: contents.codes || {}
+      };
+    }
+    return this.data;
+  }
+
+  /**
+   * Normalize an MCC to its four-digit form
+   * @param {string|number} mcc - Merchant category code
+   * @returns {string|null} Four-digit MCC, or null when it is not one
+   */
+  normalize(mcc) {
+    if (mcc === undefined || mcc === null) {
+      return null;
+    }
+    const value = String(mcc).trim();
+    if (!/^\d{1,4}$/.test(value)) {
+      return null;
+    }
+    return value.padStart(4, '0');
+  }
+
+  /**
+   * Spending categories an MCC belongs to
+   * @param {string|number} mcc - Merchant category code
+   * @returns {string[]} Category names, empty when none apply
+   */
+  categoriesFor(mcc) {
+    const code = this.normalize(mcc);
+    if (!code) {
+      return [];
+    }
+    const value = parseInt(code, 10);
+    return Object.entries(this.load().categories)
+      .filter(([, category]) => category.ranges.some(([from, to]) => value >= from && value <= to))
+      .map(([name]) => name);
+  }
+
+  /**
+   * Describe an MCC from the reference data
+   * @param {string|number} mcc - Merchant category code
+   * @returns {Object|null} mcc, description (null when not listed) and
+   *   categories, or null when the value is not an MCC
+   */
+  lookup(mcc) {
+    const code = this.normalize(mcc);
+    if (!code) {
+      return null;
+    }
+    const { codes, ranges } = this.load();
+    const value = parseInt(code, 10);
+    const range = ranges.find(entry => value >= entry.from && value <= entry.to);
+
+    return {
+      mcc: code,
+      description: codes[code] || (range ? range.description : null),
+      categories: this.categoriesFor(code)
+    };
+  }
+
+  /**
+   * Find MCCs by code prefix or description
+   * @param {string} query - Code prefix or words from the description
+   * @param {number} limit - Maximum results
+   * @returns {Object[]} Matches as returned by lookup
+   */
+  search(query, limit = 20) {
+    const term = String(query || '').trim().toLowerCase();
+    if (!term) {
+      return [];
+    }
+    const byCode = /^\d+$/.test(term);
+
+    return Object.entries(this.load().codes)
+      .filter(([code, description]) => (byCode ? code.startsWith(term) : description.toLowerCase().includes(term)))
+      .slice(0, limit)
+      .map(([code]) => this.lookup(code));
+  }
+
+  /**
+   * The spending categories with their MCC ranges
+   * @returns {Object[]} name, description and ranges { from, to } as four-digit codes
+   */
+  listCategories() {
+    return Object.entries(this.load().categories).map(([name, category]) => ({
+      name,
+      description: category.description,
+      ranges: category.ranges.map(([from, to]) => ({
+        from: String(from).padStart(4, '0'),
+        to: String(to).padStart(4, '0')
+      }))
+    }));
+  }
+
+  /**
+   * Check a merchant against a card's category restrictions
+   * @param {Object} card - Virtual card
+   * @param {Object} merchant - name, category, mcc
+   * @returns {Object} allowed, mcc, categories, and code and reason when declined
+   */
+  checkMerchant(card, merchant = {}) {
+    const allowed = card.merchantCategories || [];
+    const mcc = this.normalize(merchant.mcc);
+    const categories = this.categoriesFor(mcc);
+
+    if (allowed.length === 0 || allowed.includes('all')) {
+      return { allowed: true, mcc, categories };
+    }
+
+    if (mcc) {
+      if (categories.some(category => allowed.includes(category))) {
+        return { allowed: true, mcc, categories };
+      }
+      const description = this.lookup(mcc).description;
+      return {
+        allowed: false,
+        code: 'merchant_category_blocked',
+        reason: `MCC ${mcc}${description ? ` (${description})` : ''} is not allowed on this card`,
+        mcc,
+        categories
+      };
+    }
+
+    // No MCC: fall back to the category name the issuer reported
+    const category = merchant.category ? String(merchant.category).toLowerCase() : null;
+    if (category && allowed.includes(category)) {
+      return { allowed: true, mcc, categories: [category] };
+    }
+    return {
+      allowed: false,
+      code: 'merchant_category_blocked',
+      reason: `Merchant category ${merchant.category || 'unknown'} is not allowed on this card`,
+      mcc,
+      categories
+    };
+  }
+}
+
+module.exports = new MerchantCategoryService();
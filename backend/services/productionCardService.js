@@ -2,7 +2,12 @@ const VirtualCard = require('../models/VirtualCard');
 const User = require('../models/User');
 const cardIssuerConfig = require('../config/cardIssuer');
 const secureCardStorage = require('../utils/secureCardStorage');
+const Transaction = require('../models/Transaction');
 const kycValidationService = require('./kycValidationService');
+const mockCardIssuer = require('./cardIssuer');
+const ledgerService = require('./ledgerService');
+const Money = require('../utils/money');
+const { withTransaction } = require('../utils/mongoTransaction');
 
 /**
  * Production Card Service
@@ -11,7 +16,30 @@ const kycValidationService = require('./kycValidationService');
 class ProductionCardService {
   constructor() {
     this.adapter = null;
-    this.logger = require('../utils/logger');
+    this.logger = require('../utils/logger').logger;
+  }
+
+  /**
+   * Build a card error with an HTTP status and machine-readable code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  cardError(message, statusCode, code) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Card identifier known to the issuer (mock cards only carry externalCardId)
+   * @param {Object} card - Card document
+   * @returns {string} Issuer card ID
+   */
+  getIssuerCardId(card) {
+    return card.issuerCardId || card.externalCardId;
   }
 
   /**
@@ -78,12 +106,13 @@ class ProductionCardService {
         spendingLimits: cardConfig.spendingLimits,
         status: issuerResponse.status,
         kycVerified: userProfile.kycVerified,
-        merchantCategories: cardData.merchantCategories || ['all']
+        merchantCategories: cardData.merchantCategories || ['all'],
+        usageType: cardData.usageType || 'standard',
+        autoRenew: Boolean(cardData.autoRenew)
       });
 
-      // Set encrypted card data
-      virtualCard.setCardNumber(issuerResponse.cardNumber);
-      virtualCard.setCvv(issuerResponse.cvv);
+      // Tokenize card data in the vault
+      await virtualCard.storeCardDetails(issuerResponse.cardNumber, issuerResponse.cvv);
 
       // Save to database
       await virtualCard.save();
@@ -105,6 +134,7 @@ class ProductionCardService {
         expiryYear: virtualCard.expiryYear,
         status: virtualCard.status,
         spendingLimits: virtualCard.spendingLimits,
+        usageType: virtualCard.usageType,
         balance: virtualCard.balance,
         maskedCardNumber: virtualCard.maskedCardNumber,
         createdAt: virtualCard.createdAt
@@ -272,6 +302,33 @@ class ProductionCardService {
     }
   }
 
+  /**
+   * Store a card's usage controls and push them to the issuer when its
+   * adapter can enforce them. They are enforced locally either way.
+   * @param {Object} card - Card document
+   * @param {Object} controls - Normalized controls (cardControlsService.normalizeControls)
+   * @returns {Promise<Object>} Updated card
+   */
+  async setUsageControls(card, controls) {
+    let issuerEnforced = [];
+    if (cardIssuerConfig.featureFlags.useRealCards && card.issuerProvider !== 'mock') {
+      try {
+        const adapter = this.getAdapter(card.issuerProvider);
+        const result = await adapter.setUsageControls(this.getIssuerCardId(card), controls);
+        issuerEnforced = result.enforced || [];
+      } catch (error) {
+        this.logger.error('Usage controls update failed', { cardId: card._id, error: error.message });
+        throw this.cardError('Card issuer could not update the usage controls', 502, 'ISSUER_CONTROLS_FAILED');
+      }
+    }
+
+    card.usageControls = { ...controls, issuerEnforced, updatedAt: new Date() };
+    await card.save();
+
+    this.logger.info('Usage controls updated', { cardId: card._id, issuerEnforced });
+    return card;
+  }
+
   /**
    * Fund a card with specified amount
    * @param {string} cardId - Card ID
@@ -298,9 +355,21 @@ class ProductionCardService {
       const adapter = this.getAdapter(card.issuerProvider);
       const result = await adapter.loadFunds(card.issuerCardId, amount, source);
 
-      // Update local card balance
-      card.balance += (amount / 100); // Convert cents to dollars
-      await card.save();
+      // Post the load to the ledger (amount is in cents); the local card
+      // balance is updated as part of the posting
+      if (source.type === 'wallet') {
+        await ledgerService.recordCardFunding({
+          userId: card.userId,
+          cardId: card._id,
+          amountMinor: amount
+        });
+      } else {
+        await ledgerService.recordCardLoad({
+          card,
+          amountMinor: amount,
+          source: source.type || 'external'
+        });
+      }
 
       this.logger.info('Card funded', { cardId, amount: amount / 100, source: source.type });
 
@@ -308,7 +377,7 @@ class ProductionCardService {
         success: true,
         cardId: card._id,
         amount: amount / 100,
-        newBalance: card.balance,
+        newBalance: card.balance + (amount / 100),
         fundedAt: new Date(),
         reference: result.orderToken || result.reference
       };
@@ -320,12 +389,294 @@ class ProductionCardService {
   }
 
   /**
-   * Get card details with real-time sync
+   * Move funds from a card back to the owner's wallet. The ledger posting
+   * commits first (it fails on an insufficient card balance without calling
+   * the issuer); the issuer unload follows, and a rejected unload reverses
+   * the posting. Closed cards can still be defunded so a failed sweep can
+   * be retried.
+   * @param {string} userId - Card owner
+   * @param {string} cardId - Card ID
+   * @param {number} amountMinor - Amount in minor units of the card currency
+   * @param {Object} options - description (replaces the default transaction
+   *   description, "Returned funds from <card name>")
+   * @returns {Promise<Object>} card, transaction
+   */
+  async defundCard(userId, cardId, amountMinor, options = {}) {
+    if (!Money.isMinor(amountMinor) || amountMinor <= 0) {
+      throw this.cardError('Invalid defund amount', 400, 'INVALID_AMOUNT');
+    }
+
+    const { card, transaction, entry } = await withTransaction(async (session) => {
+      const card = await VirtualCard.findOne({ _id: cardId, userId }).session(session);
+      if (!card) {
+        throw this.cardError('Card not found', 404, 'CARD_NOT_FOUND');
+      }
+
+      const transaction = new Transaction({
+        userId,
+        type: 'card_defund',
+        amountMinor,
+        currency: card.currency,
+        description: options.description || `Returned funds from ${card.cardName}`,
+        cardId: card._id,
+        status: 'completed',
+        balanceBeforeMinor: card.balanceMinor,
+        balanceAfterMinor: card.balanceMinor - amountMinor
+      });
+
+      // Debits the card only if its balance covers the amount
+      const entry = await ledgerService.recordCardDefund({
+        userId,
+        cardId: card._id,
+        amountMinor,
+        currency: card.currency,
+        transaction
+      }, { session });
+
+      return { card, transaction, entry };
+    });
+
+    try {
+      const adapter = this.getAdapter(card.issuerProvider);
+      await adapter.unloadFunds(this.getIssuerCardId(card), amountMinor, {
+        type: 'wallet',
+        currency: card.currency
+      });
+    } catch (error) {
+      this.logger.error('Issuer unload failed, reversing defund', { cardId, error: error.message });
+
+      await withTransaction(async (session) => {
+        await ledgerService.reverseEntry(entry._id, `Issuer unload failed: ${error.message}`, { session });
+        await Transaction.updateOne({ _id: transaction._id }, { $set: { status: 'failed' } }, { session });
+      });
+
+      throw this.cardError('Card issuer could not return the funds', 502, 'ISSUER_UNLOAD_FAILED');
+    }
+
+    this.logger.info('Card defunded', { cardId, userId, amountMinor, currency: card.currency });
+
+    return { card: await VirtualCard.findById(card._id), transaction };
+  }
+
+  /**
+   * Close a card: stop authorizations, terminate it with the issuer and
+   * sweep whatever balance is left back to the wallet
+   * @param {string} userId - Card owner
+   * @param {string} cardId - Card ID
+   * @param {string} reason - Closure reason
+   * @returns {Promise<Object>} card, sweptMinor, transaction (null when nothing was swept)
+   */
+  async closeCard(userId, cardId, reason = 'User request') {
+    // Claiming the status first means authorizations are declined while the
+    // issuer call is in flight
+    const previous = await VirtualCard.findOneAndUpdate(
+      { _id: cardId, userId, status: { $ne: 'closed' } },
+      { $set: { status: 'closed', statusReason: reason, closedAt: new Date() } }
+    );
+    if (!previous) {
+      const existing = await VirtualCard.findOne({ _id: cardId, userId });
+      if (!existing) {
+        throw this.cardError('Card not found', 404, 'CARD_NOT_FOUND');
+      }
+      throw this.cardError('Card is already closed', 409, 'CARD_ALREADY_CLOSED');
+    }
+
+    try {
+      const adapter = this.getAdapter(previous.issuerProvider);
+      await adapter.updateCardStatus(this.getIssuerCardId(previous), 'closed', reason);
+    } catch (error) {
+      this.logger.error('Issuer card closure failed', { cardId, error: error.message });
+
+      await VirtualCard.updateOne(
+        { _id: cardId, status: 'closed' },
+        { $set: { status: previous.status, statusReason: previous.statusReason }, $unset: { closedAt: 1 } }
+      );
+      throw this.cardError('Card issuer could not close the card', 502, 'ISSUER_CLOSE_FAILED');
+    }
+
+    let card = await VirtualCard.findById(cardId);
+    let transaction = null;
+    // Funds held by open authorizations stay on the card until they clear or expire
+    const sweptMinor = card.balanceMinor - (card.heldMinor || 0);
+
+    if (sweptMinor > 0) {
+      try {
+        ({ card, transaction } = await this.defundCard(userId, cardId, sweptMinor, {
+          description: `Closed ${card.cardName}: balance returned to wallet`
+        }));
+      } catch (error) {
+        this.logger.error('Balance sweep failed for closed card', { cardId, sweptMinor, error: error.message });
+        throw this.cardError(
+          'Card was closed but its balance could not be returned to the wallet; retry with a defund',
+          502,
+          'CARD_SWEEP_FAILED'
+        );
+      }
+    }
+
+    this.logger.info('Card closed', { cardId, userId, reason, sweptMinor });
+
+    return { card, sweptMinor, transaction };
+  }
+
+  /**
+   * Replace a card: close it, sweep its balance to the wallet and issue a
+   * new card with the same type, limits, merchant categories, usage type
+   * and auto-renew setting
+   * @param {string} userId - Card owner
+   * @param {string} cardId - Card to replace
+   * @param {string} reason - Replacement reason
+   * @param {Object} options - cardName (defaults to "<name> (Replacement)"),
+   *   moveBalance (fund the new card with the swept balance)
+   * @returns {Promise<Object>} oldCard, sweptMinor, newCard, movedMinor
+   */
+  async replaceCard(userId, cardId, reason, options = {}) {
+    const oldCard = await VirtualCard.findOne({ _id: cardId, userId });
+    if (!oldCard) {
+      throw this.cardError('Card not found', 404, 'CARD_NOT_FOUND');
+    }
+
+    // Close the old card; its balance moves to the wallet
+    const closure = await this.closeCard(userId, oldCard._id, `Replaced: ${reason}`);
+
+    // Create new card with same settings
+    const newCardData = {
+      cardName: options.cardName || `${oldCard.cardName} (Replacement)`,
+      cardType: oldCard.cardType,
+      spendingLimits: oldCard.spendingLimits,
+      merchantCategories: oldCard.merchantCategories,
+      usageType: oldCard.usageType,
+      autoRenew: oldCard.autoRenew
+    };
+
+    const newCard = cardIssuerConfig.featureFlags.useRealCards
+      ? await this.createVirtualCard(userId, newCardData)
+      : await this.createMockCard(userId, newCardData);
+
+    await VirtualCard.updateOne({ _id: oldCard._id }, { $set: { replacedByCardId: newCard.cardId } });
+
+    if (oldCard.usageControls?.updatedAt) {
+      try {
+        const { issuerEnforced, updatedAt, ...controls } = oldCard.toObject().usageControls;
+        await this.setUsageControls(await VirtualCard.findById(newCard.cardId), controls);
+      } catch (error) {
+        // The new card keeps the default controls
+        this.logger.error('Usage controls copy to replacement card failed', {
+          cardId: oldCard._id,
+          newCardId: newCard.cardId,
+          error: error.message
+        });
+      }
+    }
+
+    let movedMinor = 0;
+    if (options.moveBalance && closure.sweptMinor > 0) {
+      try {
+        await this.moveWalletFunds(userId, newCard.cardId, closure.sweptMinor, `Balance moved from ${oldCard.cardName}`);
+        movedMinor = closure.sweptMinor;
+      } catch (error) {
+        // The balance stays in the wallet
+        this.logger.error('Balance move to replacement card failed', {
+          cardId: oldCard._id,
+          newCardId: newCard.cardId,
+          sweptMinor: closure.sweptMinor,
+          error: error.message
+        });
+      }
+    }
+
+    this.logger.info('Card replaced', { userId, cardId: oldCard._id, newCardId: newCard.cardId, reason, movedMinor });
+
+    return { oldCard: closure.card, sweptMinor: closure.sweptMinor, newCard, movedMinor };
+  }
+
+  /**
+   * Issue a card through the legacy mock issuer (USE_REAL_CARDS off)
+   * @param {string} userId - Card owner
+   * @param {Object} cardData - cardName, cardType, spendingLimits, merchantCategories, usageType, autoRenew
+   * @returns {Promise<Object>} Created card summary
+   */
+  async createMockCard(userId, cardData) {
+    const cardDetails = await mockCardIssuer.createVirtualCard(userId, {
+      cardName: cardData.cardName,
+      cardType: cardData.cardType,
+      spendingLimit: cardData.spendingLimits.daily
+    });
+
+    const virtualCard = new VirtualCard({
+      userId,
+      expiryMonth: cardDetails.expiryMonth,
+      expiryYear: cardDetails.expiryYear,
+      cardType: cardData.cardType,
+      cardName: cardData.cardName,
+      spendingLimits: cardData.spendingLimits,
+      merchantCategories: cardData.merchantCategories,
+      usageType: cardData.usageType,
+      autoRenew: Boolean(cardData.autoRenew),
+      externalCardId: cardDetails.externalCardId,
+      issuerProvider: 'mock'
+    });
+
+    await virtualCard.storeCardDetails(cardDetails.cardNumber, cardDetails.cvv);
+    await virtualCard.save();
+
+    return {
+      cardId: virtualCard._id,
+      cardName: virtualCard.cardName,
+      cardType: virtualCard.cardType,
+      last4Digits: virtualCard.last4Digits,
+      status: virtualCard.status,
+      createdAt: virtualCard.createdAt
+    };
+  }
+
+  /**
+   * Fund a card from the wallet balance in its currency
+   * @param {string} userId - Card owner
+   * @param {string} cardId - Card ID
+   * @param {number} amountMinor - Amount in minor units of the card currency
+   * @param {string} description - Transaction description
+   * @returns {Promise<Object>} Funding transaction
+   */
+  async moveWalletFunds(userId, cardId, amountMinor, description) {
+    return withTransaction(async (session) => {
+      const card = await VirtualCard.findOne({ _id: cardId, userId }).session(session);
+      if (!card) {
+        throw this.cardError('Card not found', 404, 'CARD_NOT_FOUND');
+      }
+
+      const transaction = new Transaction({
+        userId,
+        type: 'card_funding',
+        amountMinor,
+        currency: card.currency,
+        description,
+        cardId: card._id,
+        status: 'completed',
+        balanceBeforeMinor: card.balanceMinor,
+        balanceAfterMinor: card.balanceMinor + amountMinor
+      });
+
+      // Debits the wallet only if it covers the amount
+      await ledgerService.recordCardFunding({
+        userId,
+        cardId: card._id,
+        amountMinor,
+        currency: card.currency,
+        transaction
+      }, { session });
+
+      return transaction;
+    });
+  }
+
+  /**
+   * Get card details with real-time sync. The full card number and CVV are
+   * only available through cardRevealService.
    * @param {string} cardId - Card ID
-   * @param {boolean} includeDecryptedData - Whether to include decrypted card data
    * @returns {Promise<Object>} Card details
    */
-  async getCardDetails(cardId, includeDecryptedData = false) {
+  async getCardDetails(cardId) {
     try {
       const card = await VirtualCard.findById(cardId);
       if (!card) {
@@ -337,15 +688,7 @@ class ProductionCardService {
         await this.syncCardWithIssuer(card);
       }
 
-      const cardDetails = card.toSafeObject();
-
-      // Include decrypted data if requested (for authorized operations)
-      if (includeDecryptedData) {
-        cardDetails.cardNumber = card.getDecryptedCardNumber();
-        cardDetails.cvv = card.getDecryptedCvv();
-      }
-
-      return cardDetails;
+      return card.toSafeObject();
 
     } catch (error) {
       this.logger.error('Get card details failed', { cardId, error: error.message });
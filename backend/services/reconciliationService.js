@@ -0,0 +1,526 @@
+const VirtualCard = require('../models/VirtualCard');
+const Transaction = require('../models/Transaction');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const ReconciliationDiscrepancy = require('../models/ReconciliationDiscrepancy');
+const cardIssuerConfig = require('../config/cardIssuer');
+const ledgerService = require('./ledgerService');
+const balanceUpdateService = require('./balanceUpdateService');
+const Money = require('../utils/money');
+const scheduler = require('../utils/scheduler');
+const { withTransaction } = require('../utils/mongoTransaction');
+
+// Discrepancy types that every run checks in full, so they can be cleared
+// when a later run no longer detects them
+const FULLY_CHECKED_TYPES = ['balance_mismatch', 'status_mismatch'];
+
+// Which resolution actions apply to which discrepancy types
+const ACTIONS_BY_TYPE = {
+  balance_mismatch: ['adjust_balance'],
+  status_mismatch: ['sync_status'],
+  missing_locally: ['import_transaction']
+};
+
+/**
+ * Reconciliation Service
+ * Compares our card balances, statuses and issuer transactions with what
+ * each card issuer reports, records the differences as discrepancies and
+ * lets admins resolve them. Runs on a schedule and on demand.
+ */
+class ReconciliationService {
+  constructor() {
+    this.logger = require('../utils/logger').logger;
+
+    this.intervalMs = parseInt(process.env.RECONCILIATION_INTERVAL_MS || '3600000', 10);
+    this.lookbackDays = parseInt(process.env.RECONCILIATION_LOOKBACK_DAYS || '7', 10);
+    this.batchSize = parseInt(process.env.RECONCILIATION_BATCH_SIZE || '100', 10);
+
+    // Each side's transactions are matched against a wider window of the
+    // other side, so records near the window start are not reported missing
+    this.matchMarginMs = 24 * 60 * 60 * 1000;
+
+    this.running = false;
+  }
+
+  /**
+   * Build a reconciliation error with an HTTP status and machine-readable code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  reconciliationError(message, statusCode, code) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Providers with a real issuer behind them; mock cards are not reconciled
+   * @returns {Array<string>} Provider names
+   */
+  getProviders() {
+    if (!cardIssuerConfig.featureFlags.useRealCards) {
+      return [];
+    }
+    return Object.keys(cardIssuerConfig.providers)
+      .filter(provider => provider !== 'mock' && cardIssuerConfig.isProviderAvailable(provider));
+  }
+
+  // Runs
+
+  /**
+   * Reconcile every active or frozen card of every provider
+   * @param {Object} options - trigger ('schedule' | 'manual'), triggeredBy
+   * @returns {Promise<Object>} Finished run
+   */
+  async run(options = {}) {
+    return this.executeRun(await this.startRun(options));
+  }
+
+  /**
+   * Record the start of a run; only one run is in progress at a time
+   * @param {Object} options - trigger ('schedule' | 'manual'), triggeredBy
+   * @returns {Promise<Object>} Running run
+   */
+  async startRun({ trigger = 'schedule', triggeredBy } = {}) {
+    if (this.running) {
+      throw this.reconciliationError('A reconciliation run is already in progress', 409, 'RECONCILIATION_RUNNING');
+    }
+    this.running = true;
+
+    try {
+      return await ReconciliationRun.create({
+        providers: this.getProviders(),
+        trigger,
+        triggeredBy,
+        windowStart: new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      this.running = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Reconcile the providers of a started run
+   * @param {Object} run - Run from startRun
+   * @returns {Promise<Object>} Finished run
+   */
+  async executeRun(run) {
+    try {
+      for (const provider of run.providers) {
+        await this.reconcileProvider(provider, run);
+      }
+      run.status = 'completed';
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      this.logger.error('Reconciliation run failed', { runId: run._id, error: error.message });
+    } finally {
+      this.running = false;
+      run.finishedAt = new Date();
+      await run.save();
+    }
+
+    this.logger.info('Reconciliation run finished', {
+      runId: run._id,
+      status: run.status,
+      cardsChecked: run.cardsChecked,
+      discrepanciesFound: run.discrepanciesFound
+    });
+
+    return run;
+  }
+
+  /**
+   * Walk a provider's cards in batches
+   * @param {string} provider - Provider name
+   * @param {Object} run - Reconciliation run
+   */
+  async reconcileProvider(provider, run) {
+    const adapter = cardIssuerConfig.getAdapter(provider);
+    let lastId = null;
+
+    for (;;) {
+      const filter = { issuerProvider: provider, status: { $in: ['active', 'frozen'] } };
+      if (lastId) {
+        filter._id = { $gt: lastId };
+      }
+      const cards = await VirtualCard.find(filter).sort({ _id: 1 }).limit(this.batchSize);
+      if (cards.length === 0) {
+        return;
+      }
+
+      for (const card of cards) {
+        try {
+          await this.reconcileCard(card, adapter, run);
+          run.cardsChecked += 1;
+        } catch (error) {
+          run.cardErrors += 1;
+          this.logger.error('Card reconciliation failed', { runId: run._id, cardId: card._id, error: error.message });
+        }
+      }
+      lastId = cards[cards.length - 1]._id;
+    }
+  }
+
+  /**
+   * Compare one card with the issuer and record what differs
+   * @param {Object} card - Card document
+   * @param {Object} adapter - Issuer adapter
+   * @param {Object} run - Reconciliation run
+   * @returns {Promise<Array>} Findings
+   */
+  async reconcileCard(card, adapter, run) {
+    const issuerCard = await adapter.getCardDetails(card.issuerCardId);
+    const findings = [];
+
+    if (issuerCard.status && issuerCard.status !== card.status) {
+      findings.push({
+        type: 'status_mismatch',
+        localValue: { status: card.status },
+        issuerValue: { status: issuerCard.status }
+      });
+    }
+
+    // Issuers that keep funds at the account level report no card balance
+    if (issuerCard.balance !== undefined && issuerCard.balance !== null) {
+      const issuerBalanceMinor = Money.toMinor(issuerCard.balance, card.currency);
+      if (issuerBalanceMinor !== card.balanceMinor) {
+        findings.push({
+          type: 'balance_mismatch',
+          localValue: { balanceMinor: card.balanceMinor },
+          issuerValue: { balanceMinor: issuerBalanceMinor },
+          differenceMinor: issuerBalanceMinor - card.balanceMinor
+        });
+      }
+    }
+
+    findings.push(...await this.compareTransactions(card, adapter, run.windowStart));
+
+    for (const finding of findings) {
+      await this.recordDiscrepancy(card, finding, run);
+    }
+    run.discrepanciesFound += findings.length;
+
+    const cleared = await ReconciliationDiscrepancy.updateMany(
+      { cardId: card._id, status: 'open', type: { $in: FULLY_CHECKED_TYPES }, lastRunId: { $ne: run._id } },
+      { $set: { status: 'resolved', resolution: { action: 'auto_cleared', resolvedAt: new Date() } } }
+    );
+    run.discrepanciesCleared += cleared.modifiedCount || 0;
+
+    return findings;
+  }
+
+  /**
+   * Match the card's issuer transactions against our records by issuer
+   * transaction ID
+   * @param {Object} card - Card document
+   * @param {Object} adapter - Issuer adapter
+   * @param {Date} windowStart - Compare transactions from this date
+   * @returns {Promise<Array>} Findings
+   */
+  async compareTransactions(card, adapter, windowStart) {
+    const matchFrom = new Date(windowStart.getTime() - this.matchMarginMs);
+
+    const [issuerTransactions, localTransactions] = await Promise.all([
+      adapter.getTransactionHistory(card.issuerCardId, { startDate: matchFrom.toISOString(), limit: 500 }),
+      Transaction.find({
+        cardId: card._id,
+        issuerTransactionId: { $exists: true, $ne: null },
+        createdAt: { $gte: matchFrom }
+      })
+    ]);
+
+    const issuerById = new Map(issuerTransactions.map(tx => [tx.transactionId, tx]));
+    const localById = new Map(localTransactions.map(tx => [tx.issuerTransactionId, tx]));
+    const findings = [];
+
+    for (const issuerTx of issuerTransactions) {
+      if (new Date(issuerTx.timestamp) < windowStart) {
+        continue;
+      }
+
+      const localTx = localById.get(issuerTx.transactionId);
+      if (!localTx) {
+        findings.push({
+          type: 'missing_locally',
+          issuerTransactionId: issuerTx.transactionId,
+          issuerValue: issuerTx
+        });
+        continue;
+      }
+
+      const issuerAmountMinor = Money.toMinor(Math.abs(issuerTx.amount), issuerTx.currency || card.currency);
+      if (issuerAmountMinor !== localTx.amountMinor) {
+        findings.push({
+          type: 'amount_mismatch',
+          issuerTransactionId: issuerTx.transactionId,
+          transactionId: localTx._id,
+          localValue: { amountMinor: localTx.amountMinor, status: localTx.status },
+          issuerValue: { amountMinor: issuerAmountMinor, status: issuerTx.status },
+          differenceMinor: issuerAmountMinor - localTx.amountMinor
+        });
+      }
+    }
+
+    for (const localTx of localTransactions) {
+      if (localTx.createdAt >= windowStart && !issuerById.has(localTx.issuerTransactionId)) {
+        findings.push({
+          type: 'missing_at_issuer',
+          issuerTransactionId: localTx.issuerTransactionId,
+          transactionId: localTx._id,
+          localValue: { amountMinor: localTx.amountMinor, status: localTx.status, createdAt: localTx.createdAt }
+        });
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Open a discrepancy, or refresh the open one for the same finding
+   * @param {Object} card - Card document
+   * @param {Object} finding - Finding from reconcileCard
+   * @param {Object} run - Reconciliation run
+   * @returns {Promise<Object>} Discrepancy
+   */
+  async recordDiscrepancy(card, finding, run) {
+    const fingerprint = [card._id, finding.type, finding.issuerTransactionId].filter(Boolean).join(':');
+    const now = new Date();
+
+    return ReconciliationDiscrepancy.findOneAndUpdate(
+      { fingerprint, status: 'open' },
+      {
+        $set: {
+          localValue: finding.localValue,
+          issuerValue: finding.issuerValue,
+          differenceMinor: finding.differenceMinor,
+          lastRunId: run._id,
+          lastDetectedAt: now
+        },
+        $setOnInsert: {
+          type: finding.type,
+          provider: card.issuerProvider,
+          cardId: card._id,
+          userId: card.userId,
+          issuerCardId: card.issuerCardId,
+          issuerTransactionId: finding.issuerTransactionId,
+          transactionId: finding.transactionId,
+          currency: card.currency,
+          firstRunId: run._id,
+          detectedAt: now
+        },
+        $inc: { occurrences: 1 }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  // Reporting
+
+  /**
+   * List discrepancies, newest first
+   * @param {Object} filters - status, type, provider, cardId, limit, offset
+   * @returns {Promise<Object>} discrepancies, total
+   */
+  async listDiscrepancies({ status = 'open', type, provider, cardId, limit = 50, offset = 0 } = {}) {
+    const filter = { status };
+    if (type) filter.type = type;
+    if (provider) filter.provider = provider;
+    if (cardId) filter.cardId = cardId;
+
+    const [discrepancies, total] = await Promise.all([
+      ReconciliationDiscrepancy.find(filter).sort({ detectedAt: -1 }).skip(offset).limit(limit),
+      ReconciliationDiscrepancy.countDocuments(filter)
+    ]);
+
+    return { discrepancies, total };
+  }
+
+  /**
+   * Open discrepancy counts by type and the latest runs
+   * @returns {Promise<Object>} openByType, lastRun
+   */
+  async getSummary() {
+    const [counts, lastRun] = await Promise.all([
+      ReconciliationDiscrepancy.aggregate([
+        { $match: { status: 'open' } },
+        { $group: { _id: '$type', count: { $sum: 1 } } }
+      ]),
+      ReconciliationRun.findOne({}).sort({ startedAt: -1 })
+    ]);
+
+    return {
+      openByType: Object.fromEntries(counts.map(({ _id, count }) => [_id, count])),
+      lastRun
+    };
+  }
+
+  /**
+   * List recent runs
+   * @param {number} limit - Maximum runs
+   * @returns {Promise<Array>} Runs
+   */
+  async listRuns(limit = 20) {
+    return ReconciliationRun.find({}).sort({ startedAt: -1 }).limit(limit);
+  }
+
+  // Resolution
+
+  /**
+   * Resolve an open discrepancy. The discrepancy is claimed first so two
+   * admins cannot apply the same correction; it is reopened if the action fails.
+   * @param {string} discrepancyId - Discrepancy ID
+   * @param {string} adminId - Admin user ID
+   * @param {Object} params - action, note
+   * @returns {Promise<Object>} Resolved discrepancy
+   */
+  async resolveDiscrepancy(discrepancyId, adminId, { action, note }) {
+    if (!ReconciliationDiscrepancy.RESOLUTION_ACTIONS.includes(action) || action === 'auto_cleared') {
+      throw this.reconciliationError(`Unknown resolution action: ${action}`, 400, 'INVALID_RESOLUTION_ACTION');
+    }
+
+    const existing = await ReconciliationDiscrepancy.findById(discrepancyId);
+    if (!existing) {
+      throw this.reconciliationError('Discrepancy not found', 404, 'DISCREPANCY_NOT_FOUND');
+    }
+    const allowed = ACTIONS_BY_TYPE[existing.type] || [];
+    if (!['mark_resolved', 'ignore'].includes(action) && !allowed.includes(action)) {
+      throw this.reconciliationError(`Action ${action} does not apply to ${existing.type}`, 400, 'INVALID_RESOLUTION_ACTION');
+    }
+    if (['mark_resolved', 'ignore'].includes(action) && !note) {
+      throw this.reconciliationError('A note is required', 400, 'RESOLUTION_NOTE_REQUIRED');
+    }
+
+    const resolution = { action, note, resolvedBy: adminId, resolvedAt: new Date() };
+    const discrepancy = await ReconciliationDiscrepancy.findOneAndUpdate(
+      { _id: discrepancyId, status: 'open' },
+      { $set: { status: action === 'ignore' ? 'ignored' : 'resolved', resolution } },
+      { new: true }
+    );
+    if (!discrepancy) {
+      throw this.reconciliationError('Discrepancy is already resolved', 409, 'DISCREPANCY_RESOLVED');
+    }
+
+    try {
+      const links = await this.applyResolution(discrepancy, action, adminId);
+      if (links) {
+        Object.assign(discrepancy.resolution, links);
+        await discrepancy.save();
+      }
+    } catch (error) {
+      await ReconciliationDiscrepancy.updateOne(
+        { _id: discrepancy._id },
+        { $set: { status: 'open' }, $unset: { resolution: 1 } }
+      );
+      throw error;
+    }
+
+    this.logger.info('Discrepancy resolved', { discrepancyId, action, adminId });
+    return discrepancy;
+  }
+
+  /**
+   * Apply a resolution action
+   * @param {Object} discrepancy - Claimed discrepancy
+   * @param {string} action - Resolution action
+   * @param {string} adminId - Admin user ID
+   * @returns {Promise<Object|null>} Ledger or transaction links for the resolution
+   */
+  async applyResolution(discrepancy, action, adminId) {
+    if (['mark_resolved', 'ignore'].includes(action)) {
+      return null;
+    }
+
+    const card = await VirtualCard.findById(discrepancy.cardId);
+    if (!card) {
+      throw this.reconciliationError('Card not found', 404, 'CARD_NOT_FOUND');
+    }
+    const adapter = cardIssuerConfig.getAdapter(card.issuerProvider);
+
+    if (action === 'sync_status') {
+      // Apply the status the issuer reports now, not when it was detected
+      const issuerCard = await adapter.getCardDetails(card.issuerCardId);
+      card.updateStatus(issuerCard.status, 'Reconciled with issuer');
+      if (issuerCard.status === 'closed' && !card.closedAt) {
+        card.closedAt = new Date();
+      }
+      await card.save();
+      return null;
+    }
+
+    if (action === 'adjust_balance') {
+      const issuerCard = await adapter.getCardDetails(card.issuerCardId);
+      if (issuerCard.balance === undefined || issuerCard.balance === null) {
+        throw this.reconciliationError('Issuer balance is unavailable', 502, 'ISSUER_BALANCE_UNAVAILABLE');
+      }
+
+      return withTransaction(async (session) => {
+        const current = await VirtualCard.findById(card._id).session(session);
+        const deltaMinor = Money.toMinor(issuerCard.balance, current.currency) - current.balanceMinor;
+        if (deltaMinor === 0) {
+          return null;
+        }
+
+        const transaction = new Transaction({
+          userId: current.userId,
+          cardId: current._id,
+          type: 'adjustment',
+          amountMinor: Math.abs(deltaMinor),
+          currency: current.currency,
+          description: 'Balance adjusted to match card issuer',
+          status: 'completed',
+          balanceBeforeMinor: current.balanceMinor,
+          balanceAfterMinor: current.balanceMinor + deltaMinor,
+          metadata: { discrepancyId: discrepancy._id, adjustedBy: adminId, deltaMinor }
+        });
+
+        const entry = await ledgerService.recordCardAdjustment({
+          card: current,
+          deltaMinor,
+          currency: current.currency,
+          reason: 'Reconciliation adjustment',
+          transaction
+        }, { session });
+
+        return { journalEntryId: entry._id, transactionId: transaction._id };
+      });
+    }
+
+    if (action === 'import_transaction') {
+      // Same path as an issuer transaction webhook
+      const issuerTx = discrepancy.issuerValue;
+      const result = await balanceUpdateService.processTransactionUpdate({
+        cardId: card.issuerCardId,
+        issuerTransactionId: issuerTx.transactionId,
+        amount: issuerTx.amount,
+        type: issuerTx.type,
+        status: issuerTx.status,
+        currency: issuerTx.currency || card.currency,
+        merchantInfo: {
+          name: issuerTx.merchantName || 'Unknown Merchant',
+          category: issuerTx.merchantCategory || 'Unknown',
+          mcc: issuerTx.merchantMcc || ''
+        },
+        authorizationCode: issuerTx.authorizationCode
+      });
+
+      return { transactionId: result.transaction._id };
+    }
+
+    return null;
+  }
+
+  // Scheduling
+
+  /**
+   * Start the scheduled run (RECONCILIATION_INTERVAL_MS, 0 disables it)
+   */
+  start() {
+    scheduler.schedule('issuer-reconciliation', this.intervalMs, () => this.run());
+  }
+}
+
+module.exports = new ReconciliationService();
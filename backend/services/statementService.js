@@ -0,0 +1,509 @@
+const Statement = require('../models/Statement');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const Transaction = require('../models/Transaction');
+const VirtualCard = require('../models/VirtualCard');
+const User = require('../models/User');
+const ledgerService = require('./ledgerService');
+const Money = require('../utils/money');
+const csv = require('../utils/csv');
+const scheduler = require('../utils/scheduler');
+const { PdfDocument, PAGE_HEIGHT } = require('../utils/pdf');
+
+/**
+ * Statement Service
+ * Monthly statements for every wallet currency and card, built from the
+ * ledger so opening balance plus the listed postings always equals the
+ * closing balance. The scheduled job generates last month's statements
+ * once the month has turned; users can also generate a missing statement
+ * for any closed month and download any statement as PDF or CSV.
+ */
+class StatementService {
+  constructor() {
+    this.logger = require('../utils/logger').logger;
+
+    // How often the job checks for a month to close
+    this.intervalMs = parseInt(process.env.STATEMENTS_INTERVAL_MS || '3600000', 10);
+    this.batchSize = parseInt(process.env.STATEMENTS_BATCH_SIZE || '100', 10);
+
+    // Last period the job finished without failures, so later checks are free
+    this.completedPeriod = null;
+  }
+
+  /**
+   * Build a statement error with an HTTP status and machine-readable code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  statementError(message, statusCode, code) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  // Periods
+
+  /**
+   * UTC bounds of a calendar month
+   * @param {string} period - "YYYY-MM"
+   * @returns {Object} period, start, end (exclusive)
+   */
+  periodBounds(period) {
+    const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(period || '');
+    if (!match) {
+      throw this.statementError('Period must be formatted YYYY-MM', 400, 'INVALID_PERIOD');
+    }
+    const year = Number(match[1]);
+    const month = Number(match[2]) - 1;
+    return {
+      period,
+      start: new Date(Date.UTC(year, month, 1)),
+      end: new Date(Date.UTC(year, month + 1, 1))
+    };
+  }
+
+  /**
+   * The last complete month before a date
+   * @param {Date} now - Reference date
+   * @returns {Object} period, start, end
+   */
+  previousPeriod(now = new Date()) {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+    const period = `${start.getUTCFullYear()}-${String(start.getUTCMonth() + 1).padStart(2, '0')}`;
+    return this.periodBounds(period);
+  }
+
+  // Generation
+
+  /**
+   * Compute a statement for a wallet or card ledger account
+   * @param {Object} account - Ledger account
+   * @param {Object} bounds - period, start, end
+   * @returns {Promise<Object>} Unsaved statement data
+   */
+  async buildStatement(account, { period, start, end }) {
+    const scope = account.type;
+    const currency = account.currency;
+    let userId = account.ownerId;
+    let cardLabel;
+    if (scope === 'card') {
+      const card = await VirtualCard.findById(account.ownerId);
+      if (!card) {
+        throw this.statementError('Card not found', 404, 'CARD_NOT_FOUND');
+      }
+      userId = card.userId;
+      cardLabel = card.last4Digits ? `${card.cardName} ****${card.last4Digits}` : card.cardName;
+    }
+
+    const openingBalanceMinor = await ledgerService.getDerivedBalance(account.code, { before: start });
+
+    const entries = await JournalEntry.find({
+      'lines.account': account._id,
+      postedAt: { $gte: start, $lt: end }
+    }).sort({ postedAt: 1, _id: 1 });
+
+    const transactionIds = entries.flatMap(entry => entry.transactionIds || []);
+    const transactions = transactionIds.length > 0
+      ? await Transaction.find({ _id: { $in: transactionIds } })
+      : [];
+    const transactionsById = new Map(transactions.map(transaction => [transaction._id.toString(), transaction]));
+
+    let balance = openingBalanceMinor;
+    const totals = { creditsMinor: 0, debitsMinor: 0, feesMinor: 0 };
+    const lines = entries.map((entry) => {
+      const amountMinor = entry.lines
+        .filter(line => String(line.account) === String(account._id))
+        .reduce((sum, line) => sum + ledgerService.signedAmount(account, line), 0);
+      balance += amountMinor;
+
+      const linked = (entry.transactionIds || [])
+        .map(id => transactionsById.get(id.toString()))
+        .filter(Boolean);
+      const primary = linked.find(transaction => transaction.type !== 'fee');
+      const isReversal = entry.eventType === 'reversal';
+
+      // Fees in this currency are part of the amount; reversals refund them
+      const feeMinor = linked
+        .filter(transaction => transaction.type === 'fee' && transaction.currency === currency)
+        .reduce((sum, transaction) => sum + transaction.amountMinor, 0) * (isReversal ? -1 : 1);
+
+      if (amountMinor >= 0) {
+        totals.creditsMinor += amountMinor;
+      } else {
+        totals.debitsMinor -= amountMinor;
+      }
+      totals.feesMinor += feeMinor;
+
+      return {
+        postedAt: entry.postedAt,
+        entryId: entry._id,
+        transactionId: primary?._id,
+        type: isReversal ? 'reversal' : (primary?.type || entry.eventType),
+        description: isReversal ? entry.description : (primary?.description || entry.description),
+        reference: primary?.transactionId || (primary?._id || entry._id).toString(),
+        amountMinor,
+        feeMinor,
+        balanceAfterMinor: balance
+      };
+    });
+
+    const pendingTransactions = await Transaction.find({
+      userId,
+      currency,
+      status: 'pending',
+      cardId: scope === 'card' ? account.ownerId : null,
+      createdAt: { $gte: start, $lt: end }
+    }).sort({ createdAt: 1 });
+    const pending = pendingTransactions.map(transaction => ({
+      transactionId: transaction._id,
+      createdAt: transaction.createdAt,
+      type: transaction.type,
+      description: transaction.description,
+      amountMinor: transaction.amountMinor
+    }));
+
+    return {
+      userId,
+      scope,
+      cardId: scope === 'card' ? account.ownerId : undefined,
+      cardLabel,
+      accountCode: account.code,
+      currency,
+      period,
+      periodStart: start,
+      periodEnd: end,
+      openingBalanceMinor,
+      closingBalanceMinor: balance,
+      ...totals,
+      pendingMinor: pending.reduce((sum, item) => sum + item.amountMinor, 0),
+      lines,
+      pending
+    };
+  }
+
+  /**
+   * Generate and store an account's statement for a period, unless it exists
+   * Accounts with no balance, postings or pending items get no scheduled
+   * statement.
+   * @param {Object} account - Ledger account
+   * @param {Object} bounds - period, start, end
+   * @param {Object} options - trigger ('schedule' | 'on_demand')
+   * @returns {Promise<Object|null>} Statement, or null when skipped
+   */
+  async generateForAccount(account, bounds, { trigger = 'schedule' } = {}) {
+    const existing = await Statement.findOne({ accountCode: account.code, period: bounds.period });
+    if (existing) {
+      return trigger === 'schedule' ? null : existing;
+    }
+
+    const data = await this.buildStatement(account, bounds);
+    const dormant = data.openingBalanceMinor === 0 && data.lines.length === 0 && data.pending.length === 0;
+    if (dormant && trigger === 'schedule') {
+      return null;
+    }
+
+    try {
+      return await Statement.create({ ...data, trigger });
+    } catch (error) {
+      // Generated concurrently by the job and an on-demand request
+      if (error.code === 11000) {
+        return trigger === 'schedule' ? null : Statement.findOne({ accountCode: account.code, period: bounds.period });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Generate (or fetch) a user's statement for a closed month
+   * @param {string} userId - User ID
+   * @param {Object} params - scope, cardId, currency (wallet), period
+   * @returns {Promise<Object>} Statement
+   */
+  async generateOnDemand(userId, { scope, cardId, currency, period }) {
+    const bounds = this.periodBounds(period);
+    if (bounds.end > new Date()) {
+      throw this.statementError('Statements are available once the month has ended', 400, 'PERIOD_NOT_CLOSED');
+    }
+
+    let accountCode;
+    if (scope === 'card') {
+      const card = await VirtualCard.findOne({ _id: cardId, userId });
+      if (!card) {
+        throw this.statementError('Card not found', 404, 'CARD_NOT_FOUND');
+      }
+      accountCode = ledgerService.cardAccount(card._id, card.currency).code;
+    } else {
+      accountCode = ledgerService.walletAccount(userId, (currency || Money.DEFAULT_CURRENCY).toUpperCase()).code;
+    }
+
+    const account = await LedgerAccount.findByCode(accountCode);
+    if (!account || account.createdAt >= bounds.end) {
+      throw this.statementError('No activity for this account in the period', 404, 'STATEMENT_NOT_AVAILABLE');
+    }
+
+    return this.generateForAccount(account, bounds, { trigger: 'on_demand' });
+  }
+
+  /**
+   * Generate last month's statements for every wallet and card account
+   * @param {Date} now - Reference date
+   * @returns {Promise<Object|null>} Counts, or null when already done
+   */
+  async runMonthly(now = new Date()) {
+    const bounds = this.previousPeriod(now);
+    if (this.completedPeriod === bounds.period) {
+      return null;
+    }
+
+    const summary = { period: bounds.period, generated: 0, skipped: 0, failed: 0 };
+    let lastId = null;
+    for (;;) {
+      const filter = { type: { $in: ['wallet', 'card'] }, createdAt: { $lt: bounds.end } };
+      if (lastId) {
+        filter._id = { $gt: lastId };
+      }
+      const accounts = await LedgerAccount.find(filter).sort({ _id: 1 }).limit(this.batchSize);
+      if (accounts.length === 0) {
+        break;
+      }
+
+      for (const account of accounts) {
+        try {
+          const statement = await this.generateForAccount(account, bounds);
+          summary[statement ? 'generated' : 'skipped'] += 1;
+        } catch (error) {
+          summary.failed += 1;
+          this.logger.error('Statement generation failed', { accountCode: account.code, error: error.message });
+        }
+      }
+      lastId = accounts[accounts.length - 1]._id;
+    }
+
+    if (summary.failed === 0) {
+      this.completedPeriod = bounds.period;
+    }
+    this.logger.info('Monthly statements generated', summary);
+    return summary;
+  }
+
+  /**
+   * Start the scheduled run (STATEMENTS_INTERVAL_MS, 0 disables it)
+   */
+  start() {
+    scheduler.schedule('statements', this.intervalMs, () => this.runMonthly());
+  }
+
+  // Queries
+
+  async listStatements(userId, { scope, cardId, currency, limit = 24, offset = 0 } = {}) {
+    const filter = { userId };
+    if (scope) {
+      filter.scope = scope;
+    }
+    if (cardId) {
+      filter.cardId = cardId;
+    }
+    if (currency) {
+      filter.currency = currency.toUpperCase();
+    }
+
+    return Statement.find(filter)
+      .select('-lines -pending')
+      .sort({ periodStart: -1, scope: 1 })
+      .limit(limit)
+      .skip(offset);
+  }
+
+  async getStatement(userId, statementId) {
+    const statement = await Statement.findOne({ _id: statementId, userId });
+    if (!statement) {
+      throw this.statementError('Statement not found', 404, 'STATEMENT_NOT_FOUND');
+    }
+    return statement;
+  }
+
+  // Rendering
+
+  formatAmount(minor, currency, { grouping = true } = {}) {
+    const exponent = Money.getExponent(currency);
+    return Money.toMajor(minor, currency).toLocaleString('en-US', {
+      minimumFractionDigits: exponent,
+      maximumFractionDigits: exponent,
+      useGrouping: grouping
+    });
+  }
+
+  formatDate(date) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  title(statement) {
+    return statement.scope === 'card'
+      ? `Card statement - ${statement.cardLabel || statement.cardId}`
+      : `Wallet statement - ${statement.currency}`;
+  }
+
+  /**
+   * Render a statement as CSV: opening balance, postings, closing balance,
+   * then pending items
+   * @param {Object} statement - Statement
+   * @returns {string} CSV
+   */
+  toCsv(statement) {
+    const { currency } = statement;
+    const amount = (minor) => this.formatAmount(minor, currency, { grouping: false });
+
+    let output = csv.toRow(['date', 'reference', 'type', 'description', 'amount', 'fee', 'balance', 'currency', 'status']);
+    output += csv.toRow([
+      this.formatDate(statement.periodStart), '', 'opening_balance', 'Opening balance',
+      '', '', amount(statement.openingBalanceMinor), currency, ''
+    ]);
+    for (const line of statement.lines) {
+      output += csv.toRow([
+        line.postedAt.toISOString(), line.reference, line.type, line.description,
+        amount(line.amountMinor), amount(line.feeMinor), amount(line.balanceAfterMinor), currency, 'posted'
+      ]);
+    }
+    const lastDay = new Date(statement.periodEnd.getTime() - 1);
+    output += csv.toRow([
+      this.formatDate(lastDay), '', 'closing_balance', 'Closing balance',
+      '', '', amount(statement.closingBalanceMinor), currency, ''
+    ]);
+    for (const item of statement.pending) {
+      output += csv.toRow([
+        item.createdAt.toISOString(), item.transactionId?.toString(), item.type, item.description,
+        amount(item.amountMinor), '', '', currency, 'pending'
+      ]);
+    }
+    return output;
+  }
+
+  /**
+   * Render a statement as PDF
+   * @param {Object} statement - Statement
+   * @param {Object} options - holderName
+   * @returns {Buffer} PDF
+   */
+  toPdf(statement, { holderName } = {}) {
+    const { currency } = statement;
+    const amount = (minor) => this.formatAmount(minor, currency);
+    const clip = (text, length) => {
+      const value = String(text || '');
+      return value.length > length ? `${value.slice(0, length - 3)}...` : value;
+    };
+
+    const doc = new PdfDocument();
+    const left = 50;
+    const right = 562;
+    const top = PAGE_HEIGHT - 50;
+    let page = 1;
+    let y = top;
+
+    const footer = () => doc.text(left, 30, `${this.title(statement)} - ${statement.period} - page ${page}`, { size: 7 });
+    const tableHeader = () => {
+      doc.text(left, y, 'Date', { font: 'bold', size: 8 });
+      doc.text(105, y, 'Description', { font: 'bold', size: 8 });
+      doc.text(300, y, 'Type', { font: 'bold', size: 8 });
+      doc.text(392, y, 'Fee', { font: 'bold', size: 8 });
+      doc.text(458, y, 'Amount', { font: 'bold', size: 8 });
+      doc.text(528, y, 'Balance', { font: 'bold', size: 8 });
+      doc.rule(left, right, y - 4);
+      y -= 16;
+    };
+    const ensureSpace = (withHeader) => {
+      if (y < 60) {
+        footer();
+        doc.addPage();
+        page += 1;
+        y = top;
+        if (withHeader) {
+          tableHeader();
+        }
+      }
+    };
+
+    doc.text(left, y, 'Freeway Cards', { font: 'bold', size: 16 });
+    y -= 22;
+    doc.text(left, y, this.title(statement), { font: 'bold', size: 12 });
+    y -= 16;
+    doc.text(left, y, `Period: ${this.formatDate(statement.periodStart)} to ${this.formatDate(new Date(statement.periodEnd.getTime() - 1))}`, { size: 9 });
+    y -= 12;
+    if (holderName) {
+      doc.text(left, y, `Account holder: ${holderName}`, { size: 9 });
+      y -= 12;
+    }
+    doc.text(left, y, `Generated: ${this.formatDate(statement.generatedAt || new Date())}`, { size: 9 });
+    y -= 24;
+
+    const summary = [
+      ['Opening balance', statement.openingBalanceMinor],
+      ['Money in', statement.creditsMinor],
+      ['Money out', -statement.debitsMinor],
+      ['Fees (included above)', statement.feesMinor],
+      ['Closing balance', statement.closingBalanceMinor],
+      ['Pending', statement.pendingMinor]
+    ];
+    for (const [label, minor] of summary) {
+      doc.text(left, y, label, { size: 9 });
+      doc.textRight(300, y, `${amount(minor)} ${currency}`, { size: 9 });
+      y -= 13;
+    }
+    y -= 14;
+
+    tableHeader();
+    if (statement.lines.length === 0) {
+      doc.text(left, y, 'No transactions in this period', { size: 8 });
+      y -= 12;
+    }
+    for (const line of statement.lines) {
+      ensureSpace(true);
+      doc.text(left, y, this.formatDate(line.postedAt), { size: 8 });
+      doc.text(105, y, clip(line.description, 42), { size: 8 });
+      doc.text(300, y, clip(String(line.type).replace(/_/g, ' '), 16), { size: 8 });
+      doc.textRight(410, y, line.feeMinor ? amount(line.feeMinor) : '', { size: 8 });
+      doc.textRight(486, y, amount(line.amountMinor), { size: 8 });
+      doc.textRight(right, y, amount(line.balanceAfterMinor), { size: 8 });
+      y -= 12;
+    }
+
+    if (statement.pending.length > 0) {
+      y -= 14;
+      ensureSpace(false);
+      doc.text(left, y, 'Pending items (not included in the closing balance unless posted)', { font: 'bold', size: 9 });
+      y -= 14;
+      for (const item of statement.pending) {
+        ensureSpace(false);
+        doc.text(left, y, this.formatDate(item.createdAt), { size: 8 });
+        doc.text(105, y, clip(item.description, 42), { size: 8 });
+        doc.text(300, y, clip(String(item.type).replace(/_/g, ' '), 16), { size: 8 });
+        doc.textRight(486, y, amount(item.amountMinor), { size: 8 });
+        y -= 12;
+      }
+    }
+
+    footer();
+    return doc.toBuffer();
+  }
+
+  /**
+   * Render a stored statement for download
+   * @param {Object} statement - Statement
+   * @param {string} format - 'pdf' | 'csv'
+   * @returns {Promise<Object>} contentType, filename, body
+   */
+  async render(statement, format) {
+    const name = statement.scope === 'card' ? `card-${statement.cardId}` : `wallet-${statement.currency}`;
+    const filename = `statement-${name}-${statement.period}.${format}`;
+
+    if (format === 'csv') {
+      return { contentType: 'text/csv; charset=utf-8', filename, body: this.toCsv(statement) };
+    }
+    const user = await User.findById(statement.userId).select('name');
+    return { contentType: 'application/pdf', filename, body: this.toPdf(statement, { holderName: user?.name }) };
+  }
+}
+
+module.exports = new StatementService();
@@ -0,0 +1,373 @@
+const Transaction = require('../models/Transaction');
+const VirtualCard = require('../models/VirtualCard');
+const LedgerAccount = require('../models/LedgerAccount');
+const ledgerService = require('./ledgerService');
+const Money = require('../utils/money');
+const csv = require('../utils/csv');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ofx: { contentType: 'application/x-ofx', extension: 'ofx' },
+  qif: { contentType: 'application/qif', extension: 'qif' }
+};
+
+// Card transactions that move wallet money: transfers between the wallet
+// and a card, and fees, which are always charged to the wallet
+const WALLET_CARD_TYPES = ['card_funding', 'card_defund', 'fee'];
+
+// Types that add money to the account being exported
+const CREDIT_TYPES = ['add_funds', 'bank_transfer', 'crypto_deposit', 'refund', 'reversal', 'chargeback'];
+
+const OFX_TRANSACTION_TYPES = {
+  add_funds: 'DEP',
+  bank_transfer: 'DEP',
+  crypto_deposit: 'DEP',
+  card_funding: 'XFER',
+  card_defund: 'XFER',
+  currency_conversion: 'XFER',
+  card_purchase: 'POS',
+  purchase: 'POS',
+  authorization: 'POS',
+  fee: 'FEE'
+};
+
+/**
+ * Transaction Export Service
+ * Streams a user's transactions as CSV, OFX 2.2 or QIF with the filters of
+ * Transaction.findByUserId. Rows are read through a cursor and written as
+ * the destination drains, so exports of any size use constant memory.
+ *
+ * OFX and QIF hold a single account in one currency, so those exports are
+ * limited to one currency (default USD) and, unless a status is requested,
+ * to completed transactions; CSV includes every currency and status.
+ */
+class TransactionExportService {
+  constructor() {
+    this.formats = FORMATS;
+    this.batchSize = 500;
+  }
+
+  /**
+   * Build a transaction export error with an HTTP status and machine-readable code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  exportError(message, statusCode, code) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Validate an export request and resolve what the output needs
+   * Everything that can fail with a client error happens here, before any
+   * output is written.
+   * @param {string} userId - User ID
+   * @param {Object} params - format, cardId, type, status, currency, startDate, endDate
+   * @returns {Promise<Object>} Export job for writeExport
+   */
+  async prepareExport(userId, { format = 'csv', cardId, type, status, currency, startDate, endDate } = {}) {
+    if (!FORMATS[format]) {
+      throw this.exportError(`Unsupported export format: ${format}`, 400, 'UNSUPPORTED_FORMAT');
+    }
+    if (startDate && endDate && new Date(startDate) > new Date(endDate)) {
+      throw this.exportError('startDate must be before endDate', 400, 'INVALID_DATE_RANGE');
+    }
+
+    let card = null;
+    if (cardId) {
+      card = await VirtualCard.findOne({ _id: cardId, userId });
+      if (!card) {
+        throw this.exportError('Card not found', 404, 'CARD_NOT_FOUND');
+      }
+    }
+
+    const singleAccount = format !== 'csv';
+    if (singleAccount && !currency) {
+      currency = card?.currency || Money.DEFAULT_CURRENCY;
+    }
+
+    const query = Transaction.buildUserQuery(userId, {
+      cardId,
+      type,
+      status,
+      currency,
+      dateRange: { start: startDate, end: endDate }
+    });
+    if (singleAccount && !status) {
+      query.status = 'completed';
+    }
+    if (!card) {
+      // Like wallet statements: card spend is left out, so the rows add up
+      // to the wallet balance
+      query.$or = [{ cardId: null }, { type: { $in: WALLET_CARD_TYPES } }];
+    }
+
+    const scope = card ? `card-${card.last4Digits || card._id}` : 'wallet';
+    const stamp = new Date().toISOString().slice(0, 10);
+    return {
+      userId,
+      format,
+      card,
+      currency: currency || null,
+      query,
+      startDate: startDate ? new Date(startDate) : null,
+      endDate: endDate ? new Date(endDate) : null,
+      contentType: FORMATS[format].contentType,
+      filename: `transactions-${scope}-${stamp}.${FORMATS[format].extension}`
+    };
+  }
+
+  /**
+   * Stream an export to a writable stream (an HTTP response)
+   * Stops early if the destination is closed. The caller ends the stream.
+   * @param {Object} job - From prepareExport
+   * @param {Object} stream - Writable stream
+   * @returns {Promise<number>} Transactions written
+   */
+  async writeExport(job, stream) {
+    const write = (chunk) => (stream.write(chunk)
+      ? Promise.resolve()
+      : new Promise(resolve => {
+        stream.once('drain', resolve);
+        stream.once('close', resolve);
+      }));
+
+    await write(await this.header(job));
+
+    let count = 0;
+    const cursor = Transaction.find(job.query)
+      .sort({ createdAt: -1 })
+      .lean()
+      .batchSize(this.batchSize)
+      .cursor();
+    try {
+      for await (const transaction of cursor) {
+        if (stream.destroyed) {
+          return count;
+        }
+        await write(this.row(job, transaction));
+        count += 1;
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    await write(await this.footer(job));
+    return count;
+  }
+
+  // Amounts
+
+  /**
+   * Signed amount from the point of view of the exported account
+   * Card funding adds to a card but leaves the wallet, and defunds the
+   * reverse; adjustments carry their direction in the recorded balances.
+   * @param {Object} job - Export job
+   * @param {Object} transaction - Transaction
+   * @returns {number} Signed amount in minor units
+   */
+  signedAmount(job, transaction) {
+    const amount = transaction.amountMinor;
+    switch (transaction.type) {
+      case 'card_funding':
+        return job.card ? amount : -amount;
+      case 'card_defund':
+        return job.card ? -amount : amount;
+      case 'adjustment':
+        return transaction.balanceAfterMinor < transaction.balanceBeforeMinor ? -amount : amount;
+      default:
+        return CREDIT_TYPES.includes(transaction.type) ? amount : -amount;
+    }
+  }
+
+  formatAmount(minor, currency) {
+    return Money.toMajor(minor, currency).toFixed(Money.getExponent(currency));
+  }
+
+  reference(transaction) {
+    return transaction.transactionId || transaction._id.toString();
+  }
+
+  // Format sections
+
+  async header(job) {
+    if (job.format === 'csv') {
+      return csv.toRow([
+        'date', 'reference', 'type', 'status', 'description', 'merchant', 'category',
+        'card_id', 'amount', 'currency'
+      ]);
+    }
+    if (job.format === 'qif') {
+      return `!Type:${job.card ? 'CCard' : 'Bank'}\n`;
+    }
+    return this.ofxHeader(job);
+  }
+
+  row(job, transaction) {
+    if (job.format === 'csv') {
+      return csv.toRow([
+        transaction.createdAt,
+        this.reference(transaction),
+        transaction.type,
+        transaction.status,
+        transaction.description,
+        transaction.merchantInfo?.name,
+        transaction.merchantInfo?.category,
+        transaction.cardId?.toString(),
+        this.formatAmount(this.signedAmount(job, transaction), transaction.currency),
+        transaction.currency
+      ]);
+    }
+    if (job.format === 'qif') {
+      return this.qifRow(job, transaction);
+    }
+    return this.ofxRow(job, transaction);
+  }
+
+  async footer(job) {
+    if (job.format === 'ofx') {
+      return this.ofxFooter(job);
+    }
+    return '';
+  }
+
+  // QIF
+
+  qifDate(date) {
+    const value = new Date(date);
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${pad(value.getUTCMonth() + 1)}/${pad(value.getUTCDate())}/${value.getUTCFullYear()}`;
+  }
+
+  qifText(value) {
+    return String(value || '').replace(/[\r\n]+/g, ' ').trim();
+  }
+
+  qifRow(job, transaction) {
+    const lines = [
+      `D${this.qifDate(transaction.createdAt)}`,
+      `T${this.formatAmount(this.signedAmount(job, transaction), transaction.currency)}`,
+      `P${this.qifText(transaction.merchantInfo?.name || transaction.description)}`,
+      `M${this.qifText(transaction.description)}`,
+      `N${this.qifText(this.reference(transaction))}`
+    ];
+    if (transaction.status === 'completed') {
+      lines.push('Cc');
+    }
+    if (transaction.type === 'fee') {
+      lines.push('LFees');
+    }
+    lines.push('^');
+    return `${lines.join('\n')}\n`;
+  }
+
+  // OFX
+
+  ofxDate(date) {
+    const value = new Date(date).toISOString();
+    return `${value.slice(0, 19).replace(/[-T:]/g, '')}.${value.slice(20, 23)}[0:UTC]`;
+  }
+
+  ofxText(value, length) {
+    return String(value || '')
+      .replace(/[\r\n]+/g, ' ')
+      .slice(0, length)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  // Card exports are credit card statements, wallet exports bank statements
+  ofxAggregates(job) {
+    return job.card
+      ? ['CREDITCARDMSGSRSV1', 'CCSTMTTRNRS', 'CCSTMTRS']
+      : ['BANKMSGSRSV1', 'STMTTRNRS', 'STMTRS'];
+  }
+
+  /**
+   * Start of the statement period: the requested start date, or the oldest
+   * matching transaction
+   * @param {Object} job - Export job
+   * @returns {Promise<Date>} Start date
+   */
+  async ofxStartDate(job) {
+    if (job.startDate) {
+      return job.startDate;
+    }
+    const oldest = await Transaction.findOne(job.query).sort({ createdAt: 1 }).select('createdAt').lean();
+    return oldest ? oldest.createdAt : new Date();
+  }
+
+  async ofxHeader(job) {
+    const now = new Date();
+    const start = await this.ofxStartDate(job);
+    const end = job.endDate || now;
+    const account = job.card
+      ? `<CCACCTFROM><ACCTID>${job.card._id}</ACCTID></CCACCTFROM>`
+      : `<BANKACCTFROM><BANKID>FREEWAY</BANKID><ACCTID>${job.userId}-${job.currency}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>`;
+    const [messageSet, response, statement] = this.ofxAggregates(job);
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+      '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+      '<OFX>',
+      '<SIGNONMSGSRSV1><SONRS>',
+      '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+      `<DTSERVER>${this.ofxDate(now)}</DTSERVER>`,
+      '<LANGUAGE>ENG</LANGUAGE>',
+      '</SONRS></SIGNONMSGSRSV1>',
+      `<${messageSet}><${response}>`,
+      `<TRNUID>${now.getTime()}</TRNUID>`,
+      '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+      `<${statement}>`,
+      `<CURDEF>${job.currency}</CURDEF>`,
+      account,
+      '<BANKTRANLIST>',
+      `<DTSTART>${this.ofxDate(start)}</DTSTART>`,
+      `<DTEND>${this.ofxDate(end)}</DTEND>`,
+      ''
+    ].join('\n');
+  }
+
+  ofxRow(job, transaction) {
+    const amount = this.signedAmount(job, transaction);
+    const type = OFX_TRANSACTION_TYPES[transaction.type] || (amount >= 0 ? 'CREDIT' : 'DEBIT');
+    return [
+      '<STMTTRN>',
+      `<TRNTYPE>${type}</TRNTYPE>`,
+      `<DTPOSTED>${this.ofxDate(transaction.createdAt)}</DTPOSTED>`,
+      `<TRNAMT>${this.formatAmount(amount, transaction.currency)}</TRNAMT>`,
+      `<FITID>${transaction._id}</FITID>`,
+      `<NAME>${this.ofxText(transaction.merchantInfo?.name || transaction.description, 32)}</NAME>`,
+      `<MEMO>${this.ofxText(transaction.description, 255)}</MEMO>`,
+      '</STMTTRN>',
+      ''
+    ].join('\n');
+  }
+
+  async ofxFooter(job) {
+    const code = job.card
+      ? ledgerService.cardAccount(job.card._id, job.currency).code
+      : ledgerService.walletAccount(job.userId, job.currency).code;
+    const account = await LedgerAccount.findByCode(code);
+    const [messageSet, response, statement] = this.ofxAggregates(job);
+
+    return [
+      '</BANKTRANLIST>',
+      '<LEDGERBAL>',
+      `<BALAMT>${this.formatAmount(account ? account.balance : 0, job.currency)}</BALAMT>`,
+      `<DTASOF>${this.ofxDate(new Date())}</DTASOF>`,
+      '</LEDGERBAL>',
+      `</${statement}>`,
+      `</${response}></${messageSet}>`,
+      '</OFX>',
+      ''
+    ].join('\n');
+  }
+}
+
+module.exports = new TransactionExportService();
@@ -3,6 +3,11 @@ const Transaction = require('../models/Transaction');
 const User = require('../models/User');
 const cardIssuerConfig = require('../config/cardIssuer');
 const balanceUpdateService = require('./balanceUpdateService');
+const authorizationHoldService = require('./authorizationHoldService');
+const ledgerService = require('./ledgerService');
+const disputeService = require('./disputeService');
+const cardUsageService = require('./cardUsageService');
+const cardControlsService = require('./cardControlsService');
 
 /**
  * Webhook Processor Service
@@ -10,7 +15,7 @@ const balanceUpdateService = require('./balanceUpdateService');
  */
 class WebhookProcessor {
   constructor() {
-    this.logger = require('../utils/logger');
+    this.logger = require('../utils/logger').logger;
     this.processedEvents = new Set(); // Simple in-memory deduplication
     
     // Event processing statistics
@@ -24,12 +29,13 @@ class WebhookProcessor {
 
   /**
    * Process incoming webhook event
-   * @param {string} provider - Card issuer provider (marqeta, stripe)
+   * @param {string} provider - Card issuer provider (marqeta, stripe, bitnob)
    * @param {Object} event - Webhook event data
    * @param {string} signature - Webhook signature for validation
+   * @param {Buffer|string} rawBody - Body as received, which the signature covers
    * @returns {Promise<Object>} Processing result
    */
-  async processWebhookEvent(provider, event, signature) {
+  async processWebhookEvent(provider, event, signature, rawBody = null) {
     const startTime = Date.now();
     
     try {
@@ -41,7 +47,7 @@ class WebhookProcessor {
       });
 
       // Validate webhook signature
-      if (!this.validateWebhookSignature(provider, event, signature)) {
+      if (!this.validateWebhookSignature(provider, event, signature, rawBody)) {
         throw new Error('Invalid webhook signature');
       }
 
@@ -115,8 +121,11 @@ class WebhookProcessor {
   async handleEventByType(provider, event, result) {
     switch (result.type) {
       case 'transaction.authorization':
+      case 'transaction.authorization.incremental':
       case 'transaction.clearing':
+      case 'transaction.refund':
       case 'issuing_authorization.created':
+      case 'issuing_authorization.updated':
       case 'issuing_transaction.created':
         return await this.handleTransactionEvent(result.transaction || result.authorization);
 
@@ -128,6 +137,11 @@ class WebhookProcessor {
       case 'transaction.chargeback':
         return await this.handleTransactionReversal(result.transaction);
 
+      case 'chargeback.transition':
+      case 'issuing_dispute.updated':
+      case 'issuing_dispute.closed':
+        return await this.handleDisputeEvent(provider, result.dispute);
+
       default:
         this.logger.warn('Unknown webhook event type', { 
           provider, 
@@ -167,9 +181,17 @@ class WebhookProcessor {
           name: transaction.merchantName || 'Unknown Merchant',
           category: transaction.merchantCategory || 'Unknown',
           location: transaction.merchantLocation || '',
-          mcc: transaction.merchantMcc || ''
+          mcc: transaction.merchantMcc || '',
+          networkId: transaction.merchantNetworkId,
+          country: cardControlsService.normalizeCountry(transaction.merchantCountry) || undefined,
+          cardPresent: transaction.cardPresent
         },
-        authorizationCode: transaction.authorizationCode
+        authorizationCode: transaction.authorizationCode,
+        // Authorization a clearing settles or an incremental authorization extends
+        relatedIssuerTransactionId: transaction.relatedTransactionId,
+        requestedAmount: transaction.requestedAmount,
+        partialApprovalAllowed: transaction.partialApprovalAllowed,
+        finalClearing: transaction.finalClearing !== false
       });
 
       // Check for potential fraud or unusual activity if transaction was processed
@@ -177,6 +199,11 @@ class WebhookProcessor {
         const card = await VirtualCard.findById(result.transaction.cardId);
         if (card) {
           await this.checkForFraudIndicators(card, transaction);
+
+          // Single-use cards close themselves once their first transaction settles
+          if (result.balanceUpdated && result.balanceChange < 0) {
+            await cardUsageService.closeIfUsed(card);
+          }
         }
       }
 
@@ -268,6 +295,27 @@ class WebhookProcessor {
     }
   }
 
+  /**
+   * Handle dispute status updates from the issuer
+   * @param {string} provider - Card issuer provider
+   * @param {Object} dispute - Dispute data (disputeId, status)
+   * @returns {Promise<Object>} Handling result
+   */
+  async handleDisputeEvent(provider, dispute) {
+    const updated = await disputeService.handleIssuerUpdate({
+      provider,
+      disputeId: dispute.disputeId,
+      status: dispute.status
+    });
+
+    return {
+      type: 'dispute',
+      processed: Boolean(updated),
+      disputeId: updated ? updated._id : null,
+      status: dispute.status
+    };
+  }
+
   /**
    * Handle transaction reversal/chargeback events
    * @param {Object} transaction - Transaction reversal data
@@ -298,8 +346,8 @@ class WebhookProcessor {
         issuerTransactionId: transaction.transactionId,
         issuerEventType: 'reversal',
         type: 'reversal',
-        amount: transaction.amount,
         currency: transaction.currency || 'USD',
+        amount: Math.abs(transaction.amount),
         description: `Reversal: ${originalTransaction.description}`,
         status: 'completed',
         processingStatus: 'settled',
@@ -310,20 +358,34 @@ class WebhookProcessor {
         }
       });
 
-      await reversalTransaction.save();
-
-      // Update card balance (credit back the amount)
+      // Credit the amount back to the card through the ledger
       const card = await VirtualCard.findById(originalTransaction.cardId);
-      if (card) {
-        card.balance += Math.abs(transaction.amount);
-        await card.save();
+      if (originalTransaction.type === 'authorization' && !originalTransaction.ledgerEntryId) {
+        // An authorization that never cleared moved no money: release (part of) its hold instead
+        await reversalTransaction.save();
+        const hold = await authorizationHoldService.findActiveHold(originalTransaction._id);
+        if (hold) {
+          await authorizationHoldService.releaseHold(hold, {
+            amountMinor: reversalTransaction.amountMinor,
+            reason: 'reversal'
+          });
+        }
+      } else if (card) {
+        await ledgerService.recordCardRefund({
+          card,
+          amountMinor: reversalTransaction.amountMinor,
+          currency: reversalTransaction.currency,
+          transaction: reversalTransaction
+        });
 
         this.logger.info('Transaction reversed, balance credited', {
           cardId: card._id,
           amount: transaction.amount,
-          newBalance: card.balance,
+          newBalance: card.balance + Math.abs(transaction.amount),
           originalTransactionId: originalTransaction.issuerTransactionId
         });
+      } else {
+        await reversalTransaction.save();
       }
 
       return {
@@ -343,14 +405,47 @@ class WebhookProcessor {
     }
   }
 
+  /**
+   * Verify the signature of a request that moves funds on its own say-so:
+   * real-time authorizations, which place holds, and events from issuers
+   * that report card activity only through webhooks. Unlike
+   * validateWebhookSignature this never skips verification: without a
+   * configured secret nothing is accepted.
+   * @param {string} provider - Card issuer provider
+   * @param {Buffer|string} payload - Raw request body
+   * @param {string} signature - Request signature
+   * @returns {Object} configured, verified
+   */
+  verifyRequestSignature(provider, payload, signature) {
+    const providerConfig = cardIssuerConfig.providers[provider];
+    const secret = providerConfig?.config.webhookSecret;
+    if (!secret || !providerConfig.adapter) {
+      return { configured: false, verified: false };
+    }
+    if (!signature) {
+      return { configured: true, verified: false };
+    }
+
+    try {
+      // The provider's own adapter, even while mock cards are in use
+      const adapter = new providerConfig.adapter(providerConfig.config);
+      return { configured: true, verified: adapter.validateWebhookSignature(payload, signature, secret) };
+    } catch (error) {
+      this.logger.error('Authorization signature verification failed', { provider, error: error.message });
+      return { configured: true, verified: false };
+    }
+  }
+
   /**
    * Validate webhook signature
    * @param {string} provider - Card issuer provider
    * @param {Object} event - Webhook event
    * @param {string} signature - Webhook signature
+   * @param {Buffer|string} rawBody - Body as received; re-serialising the
+   *   event only matches providers that sign compact JSON
    * @returns {boolean} Validation result
    */
-  validateWebhookSignature(provider, event, signature) {
+  validateWebhookSignature(provider, event, signature, rawBody = null) {
     try {
       if (!cardIssuerConfig.featureFlags.enableWebhooks) {
         // Skip validation if webhooks are disabled
@@ -364,8 +459,8 @@ class WebhookProcessor {
       }
 
       const adapter = cardIssuerConfig.getAdapter(provider);
-      const payload = JSON.stringify(event);
-      
+      const payload = rawBody ? rawBody.toString() : JSON.stringify(event);
+
       return adapter.validateWebhookSignature(payload, signature, webhookConfig.secret);
 
     } catch (error) {
@@ -384,9 +479,9 @@ class WebhookProcessor {
    * @returns {string} Unique event key
    */
   generateEventKey(provider, event) {
-    const eventId = event.id || event.token || event.transaction_id;
-    const eventType = event.type;
-    const timestamp = event.created_time || event.created || Date.now();
+    const eventId = event.id || event.token || event.transaction_id || event.data?.reference;
+    const eventType = event.type || event.event; // Bitnob names its events `event`
+    const timestamp = event.created_time || event.created || event.data?.createdAt || Date.now();
     
     return `${provider}:${eventType}:${eventId}:${timestamp}`;
   }
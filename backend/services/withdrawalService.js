@@ -0,0 +1,528 @@
+const Withdrawal = require('../models/Withdrawal');
+const PayoutDestination = require('../models/PayoutDestination');
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledgerService');
+const kycValidationService = require('./kycValidationService');
+const feeService = require('./feeService');
+const payoutProviderConfig = require('../config/payoutProvider');
+const Money = require('../utils/money');
+const { withTransaction } = require('../utils/mongoTransaction');
+
+/**
+ * Withdrawal Service
+ * Payout destinations, withdrawal requests with ledger holds, admin review
+ * and payout dispatch. Every status change that moves money claims the
+ * withdrawal with a conditional update inside the same MongoDB transaction
+ * as the ledger posting, so each hold is paid out or released exactly once.
+ */
+class WithdrawalService {
+  constructor() {
+    this.logger = require('../utils/logger').logger;
+
+    this.minimumAmount = 10;
+
+    this.provider = null;
+  }
+
+  /**
+   * Build a withdrawal error with an HTTP status and machine-readable code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  withdrawalError(message, statusCode, code) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Payout provider, registered for asynchronous payout updates on first use
+   * @returns {PayoutProvider} Provider
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = payoutProviderConfig.getProvider();
+      this.provider.onPayoutUpdate(update => this.handlePayoutUpdate(update));
+    }
+    return this.provider;
+  }
+
+  // Payout destinations
+
+  /**
+   * Save a bank account or crypto address for withdrawals
+   * @param {string} userId - User ID
+   * @param {Object} data - type, label, currency, bankAccount | cryptoAddress
+   * @returns {Promise<Object>} Payout destination
+   */
+  async addDestination(userId, data) {
+    const destination = new PayoutDestination({
+      userId,
+      type: data.type,
+      label: data.label,
+      currency: data.currency || Money.DEFAULT_CURRENCY
+    });
+
+    if (data.type === 'bank_account') {
+      const { accountNumber, accountHolderName, bankName, routingNumber, country } = data.bankAccount || {};
+      destination.bankAccount = { accountHolderName, bankName, routingNumber, country };
+      if (accountNumber) {
+        await destination.setAccountNumber(accountNumber);
+      }
+    } else if (data.type === 'crypto_address') {
+      const { network, asset, address } = data.cryptoAddress || {};
+      destination.cryptoAddress = { network, asset, address };
+    }
+
+    await destination.save();
+    this.logger.info('Payout destination added', { userId, destinationId: destination._id, type: destination.type });
+    return destination;
+  }
+
+  async listDestinations(userId) {
+    return PayoutDestination.find({ userId, status: 'active' }).sort({ createdAt: -1 });
+  }
+
+  async removeDestination(userId, destinationId) {
+    const destination = await PayoutDestination.findOneAndUpdate(
+      { _id: destinationId, userId, status: 'active' },
+      { $set: { status: 'removed', removedAt: new Date() } },
+      { new: true }
+    );
+    if (!destination) {
+      throw this.withdrawalError('Payout destination not found', 404, 'DESTINATION_NOT_FOUND');
+    }
+    return destination;
+  }
+
+  // Withdrawals
+
+  /**
+   * Total already withdrawn since a date, for KYC limits
+   * @param {string} userId - User ID
+   * @param {string} currency - Currency code
+   * @param {Date} since - Start of the period
+   * @returns {Promise<number>} Total in major units
+   */
+  async getWithdrawnTotal(userId, currency, since) {
+    const withdrawals = await Withdrawal.find({
+      userId,
+      currency,
+      status: { $in: Withdrawal.ACTIVE_STATUSES },
+      createdAt: { $gte: since }
+    }).select('amountMinor');
+
+    const total = withdrawals.reduce((sum, withdrawal) => sum + withdrawal.amountMinor, 0);
+    return Money.toMajor(total, currency);
+  }
+
+  /**
+   * Check a withdrawal against the user's KYC tier limits
+   * @param {string} userId - User ID
+   * @param {Object} destination - Payout destination
+   * @param {number} amountMinor - Amount in minor units
+   */
+  async assertPermitted(userId, destination, amountMinor) {
+    const { currency } = destination;
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+    const startOfMonth = new Date(startOfDay);
+    startOfMonth.setDate(1);
+
+    const permission = await kycValidationService.checkOperationPermission(userId, 'withdraw', {
+      amount: Money.toMajor(amountMinor, currency),
+      currency,
+      dailyTotal: await this.getWithdrawnTotal(userId, currency, startOfDay),
+      monthlyTotal: await this.getWithdrawnTotal(userId, currency, startOfMonth)
+    });
+    if (!permission.allowed) {
+      const error = this.withdrawalError(permission.reason || 'Withdrawal not permitted', 403, 'WITHDRAWAL_NOT_PERMITTED');
+      error.requirements = permission.requirements;
+      throw error;
+    }
+
+    if (destination.type === 'crypto_address') {
+      const cryptoPermission = await kycValidationService.checkOperationPermission(userId, 'crypto_withdrawal');
+      if (!cryptoPermission.allowed) {
+        throw this.withdrawalError(cryptoPermission.reason, 403, 'WITHDRAWAL_NOT_PERMITTED');
+      }
+    }
+  }
+
+  /**
+   * Request a withdrawal, holding amount plus fee in the wallet
+   * @param {string} userId - User ID
+   * @param {Object} params - destinationId, amount (major units, destination currency)
+   * @returns {Promise<Object>} Withdrawal
+   */
+  async requestWithdrawal(userId, { destinationId, amount }) {
+    const destination = await PayoutDestination.findOne({ _id: destinationId, userId, status: 'active' });
+    if (!destination) {
+      throw this.withdrawalError('Payout destination not found', 404, 'DESTINATION_NOT_FOUND');
+    }
+
+    const { currency } = destination;
+    const amountMinor = Money.toMinor(amount, currency);
+    if (amountMinor < Money.toMinor(this.minimumAmount, currency)) {
+      throw this.withdrawalError(`Minimum withdrawal is ${this.minimumAmount}`, 400, 'AMOUNT_TOO_SMALL');
+    }
+    // Fee charged on top of the amount withdrawn, priced per destination type
+    const feeQuote = await feeService.quote({
+      userId,
+      operation: 'withdrawal',
+      method: destination.type,
+      amountMinor,
+      currency
+    });
+    const { feeMinor } = feeQuote;
+
+    await this.assertPermitted(userId, destination, amountMinor);
+
+    const withdrawal = await withTransaction(async (session) => {
+      const withdrawal = new Withdrawal({
+        userId,
+        destinationId: destination._id,
+        amountMinor,
+        feeMinor,
+        currency
+      });
+
+      const transaction = new Transaction({
+        userId,
+        type: 'withdrawal',
+        amountMinor,
+        currency,
+        description: `Withdrawal to ${destination.getDisplayName()}`,
+        status: 'pending',
+        metadata: { withdrawalId: withdrawal._id, fee: Money.toMajor(feeMinor, currency) }
+      });
+      const feeTransaction = feeService.buildFeeTransaction(feeQuote, {
+        userId,
+        description: `Withdrawal fee (${destination.getDisplayName()})`,
+        relatedTransaction: transaction,
+        status: 'pending'
+      });
+
+      // Debits the wallet only if it covers amount + fee
+      const hold = await ledgerService.recordWithdrawalHold({
+        userId,
+        amountMinor,
+        feeMinor,
+        currency,
+        withdrawalId: withdrawal._id,
+        transaction,
+        feeTransaction
+      }, { session });
+
+      withdrawal.transactionId = transaction._id;
+      withdrawal.feeTransactionId = feeTransaction?._id;
+      withdrawal.holdEntryId = hold._id;
+      await withdrawal.save({ session });
+
+      return withdrawal;
+    });
+
+    this.logger.info('Withdrawal requested', {
+      userId,
+      withdrawalId: withdrawal._id,
+      amount: Money.format(amountMinor, currency)
+    });
+
+    return withdrawal;
+  }
+
+  async listWithdrawals(userId, options = {}) {
+    return Withdrawal.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(options.limit || 50)
+      .skip(options.offset || 0);
+  }
+
+  async getWithdrawal(userId, withdrawalId) {
+    const withdrawal = await Withdrawal.findOne({ _id: withdrawalId, userId });
+    if (!withdrawal) {
+      throw this.withdrawalError('Withdrawal not found', 404, 'WITHDRAWAL_NOT_FOUND');
+    }
+    return withdrawal;
+  }
+
+  /**
+   * List withdrawals for admin review
+   * @param {Object} filters - status, limit, offset
+   * @returns {Promise<Array>} Withdrawals
+   */
+  async listForReview({ status = 'pending_review', limit = 50, offset = 0 } = {}) {
+    return Withdrawal.find({ status })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .skip(offset)
+      .populate('userId', 'name email kycStatus');
+  }
+
+  /**
+   * Cancel a withdrawal that has not been reviewed yet
+   * @param {string} userId - User ID
+   * @param {string} withdrawalId - Withdrawal ID
+   * @returns {Promise<Object>} Withdrawal
+   */
+  async cancelWithdrawal(userId, withdrawalId) {
+    return this.releaseHold(
+      { _id: withdrawalId, userId, status: 'pending_review' },
+      { status: 'cancelled' },
+      'Withdrawal cancelled by user'
+    );
+  }
+
+  /**
+   * Reject a withdrawal awaiting review and release its hold
+   * @param {string} withdrawalId - Withdrawal ID
+   * @param {string} adminId - Reviewing admin
+   * @param {string} reason - Rejection reason
+   * @returns {Promise<Object>} Withdrawal
+   */
+  async rejectWithdrawal(withdrawalId, adminId, reason) {
+    return this.releaseHold(
+      { _id: withdrawalId, status: 'pending_review' },
+      { status: 'rejected', reviewedBy: adminId, reviewedAt: new Date(), rejectionReason: reason },
+      `Withdrawal rejected: ${reason}`
+    );
+  }
+
+  /**
+   * Approve a withdrawal and submit it to the payout provider
+   * @param {string} withdrawalId - Withdrawal ID
+   * @param {string} adminId - Reviewing admin
+   * @returns {Promise<Object>} Withdrawal
+   */
+  async approveWithdrawal(withdrawalId, adminId) {
+    const provider = this.getProvider();
+
+    const withdrawal = await Withdrawal.findOneAndUpdate(
+      { _id: withdrawalId, status: 'pending_review' },
+      { $set: { status: 'processing', reviewedBy: adminId, reviewedAt: new Date(), provider: provider.name } },
+      { new: true }
+    );
+    if (!withdrawal) {
+      throw await this.unavailableError(withdrawalId);
+    }
+
+    let result;
+    try {
+      const destination = await PayoutDestination.findById(withdrawal.destinationId);
+      result = await provider.createPayout({
+        withdrawalId: withdrawal._id.toString(),
+        amountMinor: withdrawal.amountMinor,
+        currency: withdrawal.currency,
+        destination: await this.describeDestination(destination)
+      });
+    } catch (error) {
+      this.logger.error('Payout submission failed', { withdrawalId, error: error.message });
+      return this.releaseHold(
+        { _id: withdrawal._id, status: 'processing' },
+        { status: 'failed', failureReason: `Payout submission failed: ${error.message}` },
+        'Payout submission failed'
+      );
+    }
+
+    // Conditional, so a reference stored by an update that arrived first is kept
+    await Withdrawal.updateOne(
+      { _id: withdrawal._id, providerReference: { $exists: false } },
+      { $set: { providerReference: result.reference } }
+    );
+    withdrawal.providerReference = result.reference;
+
+    this.logger.info('Withdrawal approved', { withdrawalId, adminId, reference: result.reference });
+    return withdrawal;
+  }
+
+  /**
+   * Destination details handed to the payout provider
+   * @param {Object} destination - Payout destination
+   * @returns {Promise<Object>} Provider payload
+   */
+  async describeDestination(destination) {
+    if (destination.type === 'bank_account') {
+      return {
+        type: 'bank_account',
+        bankAccount: {
+          accountHolderName: destination.bankAccount.accountHolderName,
+          bankName: destination.bankAccount.bankName,
+          routingNumber: destination.bankAccount.routingNumber,
+          country: destination.bankAccount.country,
+          accountNumber: await destination.getAccountNumber()
+        }
+      };
+    }
+    return {
+      type: 'crypto_address',
+      cryptoAddress: destination.cryptoAddress.toObject ? destination.cryptoAddress.toObject() : destination.cryptoAddress
+    };
+  }
+
+  /**
+   * Apply a payout outcome reported by the provider
+   * @param {Object} update - provider, reference, withdrawalId, status, failureReason
+   * @returns {Promise<Object|null>} Updated withdrawal, or null if already settled
+   */
+  async handlePayoutUpdate({ provider, reference, withdrawalId, status, failureReason }) {
+    try {
+      if (status === 'failed') {
+        return await this.releaseHold(
+          this.payoutFilter(provider, reference, withdrawalId),
+          {
+            status: 'failed',
+            failureReason: failureReason || 'Payout failed',
+            ...(withdrawalId ? { providerReference: reference } : {})
+          },
+          'Payout failed'
+        );
+      }
+      if (status === 'completed') {
+        return await this.completePayout(provider, reference, withdrawalId);
+      }
+      return null;
+    } catch (error) {
+      if (error.code === 'WITHDRAWAL_UNAVAILABLE' || error.code === 'WITHDRAWAL_NOT_FOUND') {
+        // Duplicate or late update for a payout that was already settled
+        this.logger.warn('Ignoring payout update', { provider, reference, status });
+        return null;
+      }
+      this.logger.error('Payout update failed', { provider, reference, status, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Filter claiming the processing withdrawal a payout update is for
+   * Matched by withdrawal ID when the provider reports it, so an update that
+   * arrives before approveWithdrawal has stored the reference is not lost.
+   * @param {string} provider - Provider name
+   * @param {string} reference - Provider payout reference
+   * @param {string} withdrawalId - Withdrawal ID, if reported
+   * @returns {Object} Withdrawal filter
+   */
+  payoutFilter(provider, reference, withdrawalId) {
+    return withdrawalId
+      ? { _id: withdrawalId, provider, status: 'processing' }
+      : { provider, providerReference: reference, status: 'processing' };
+  }
+
+  /**
+   * Pay out the held funds for a completed payout
+   * @param {string} provider - Provider name
+   * @param {string} reference - Provider payout reference
+   * @param {string} withdrawalId - Withdrawal ID, if reported
+   * @returns {Promise<Object>} Withdrawal
+   */
+  async completePayout(provider, reference, withdrawalId = null) {
+    const filter = this.payoutFilter(provider, reference, withdrawalId);
+
+    const withdrawal = await withTransaction(async (session) => {
+      const withdrawal = await Withdrawal.findOneAndUpdate(
+        filter,
+        { $set: { status: 'completed', completedAt: new Date(), ...(withdrawalId ? { providerReference: reference } : {}) } },
+        { new: true, session }
+      );
+      if (!withdrawal) {
+        return null;
+      }
+
+      const entry = await ledgerService.recordWithdrawalPayout({
+        userId: withdrawal.userId,
+        amountMinor: withdrawal.amountMinor,
+        feeMinor: withdrawal.feeMinor,
+        currency: withdrawal.currency,
+        provider,
+        withdrawalId: withdrawal._id
+      }, { session });
+
+      withdrawal.payoutEntryId = entry._id;
+      await withdrawal.save({ session });
+      await Transaction.updateMany(
+        this.transactionFilter(withdrawal),
+        { $set: { status: 'completed' } },
+        { session }
+      );
+
+      return withdrawal;
+    });
+
+    if (!withdrawal) {
+      throw await this.unavailableError(filter._id, filter);
+    }
+
+    this.logger.info('Withdrawal paid out', { withdrawalId: withdrawal._id, reference });
+    return withdrawal;
+  }
+
+  /**
+   * Move a withdrawal to a final status and return its hold to the wallet
+   * @param {Object} filter - Conditional filter claiming the withdrawal
+   * @param {Object} update - Fields to set
+   * @param {string} reason - Reason recorded on the reversing entry
+   * @returns {Promise<Object>} Withdrawal
+   */
+  async releaseHold(filter, update, reason) {
+    const withdrawal = await withTransaction(async (session) => {
+      const withdrawal = await Withdrawal.findOneAndUpdate(
+        filter,
+        { $set: update },
+        { new: true, session }
+      );
+      if (!withdrawal) {
+        return null;
+      }
+
+      const release = await ledgerService.reverseEntry(withdrawal.holdEntryId, reason, { session });
+
+      withdrawal.releaseEntryId = release._id;
+      await withdrawal.save({ session });
+      await Transaction.updateMany(
+        this.transactionFilter(withdrawal),
+        { $set: { status: update.status === 'failed' ? 'failed' : 'cancelled' } },
+        { session }
+      );
+
+      return withdrawal;
+    });
+
+    if (!withdrawal) {
+      throw await this.unavailableError(filter._id, filter);
+    }
+
+    this.logger.info('Withdrawal hold released', { withdrawalId: withdrawal._id, status: withdrawal.status });
+    return withdrawal;
+  }
+
+  /**
+   * Filter matching a withdrawal's transaction and its fee transaction
+   * @param {Object} withdrawal - Withdrawal
+   * @returns {Object} Transaction filter
+   */
+  transactionFilter(withdrawal) {
+    return { _id: { $in: [withdrawal.transactionId, withdrawal.feeTransactionId].filter(Boolean) } };
+  }
+
+  /**
+   * Explain why a withdrawal could not be claimed
+   * @param {string} withdrawalId - Withdrawal ID
+   * @param {Object} filter - Filter that failed to match
+   * @returns {Promise<Error>} Error with statusCode and code set
+   */
+  async unavailableError(withdrawalId, filter = {}) {
+    const query = withdrawalId
+      ? { _id: withdrawalId, ...(filter.userId ? { userId: filter.userId } : {}) }
+      : { provider: filter.provider, providerReference: filter.providerReference };
+    const existing = await Withdrawal.findOne(query);
+
+    if (!existing) {
+      return this.withdrawalError('Withdrawal not found', 404, 'WITHDRAWAL_NOT_FOUND');
+    }
+    return this.withdrawalError(`Withdrawal is already ${existing.status.replace('_', ' ')}`, 409, 'WITHDRAWAL_UNAVAILABLE');
+  }
+}
+
+module.exports = new WithdrawalService();
@@ -0,0 +1,157 @@
+jest.mock('axios', () => ({ create: jest.fn() }));
+
+const crypto = require('crypto');
+const axios = require('axios');
+const BitnobAdapter = require('../../adapters/BitnobAdapter');
+
+const httpError = (status, message) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data: { message } }
+});
+
+describe('BitnobAdapter', () => {
+  let adapter, client;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    client = {
+      get: jest.fn(),
+      post: jest.fn(),
+      patch: jest.fn(),
+      interceptors: { request: { use: jest.fn() }, response: { use: jest.fn() } }
+    };
+    axios.create.mockReturnValue(client);
+    adapter = new BitnobAdapter({ apiKey: 'sk_test', baseUrl: 'https://bitnob.test/api/v1', environment: 'sandbox' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('authenticates with the secret key', () => {
+    expect(axios.create).toHaveBeenCalledWith(expect.objectContaining({
+      baseURL: 'https://bitnob.test/api/v1',
+      headers: expect.objectContaining({ Authorization: 'Bearer sk_test' })
+    }));
+  });
+
+  it('registers the card user, creates the card and reads back its details', async () => {
+    client.post
+      .mockRejectedValueOnce(httpError(400, 'Customer already registered'))
+      .mockResolvedValueOnce({ data: { data: { id: 'bn_card_1', reference: 'ref_1' } } });
+    client.get.mockResolvedValueOnce({
+      data: { data: { id: 'bn_card_1', cardNumber: '4111111111111111', cvv2: '123', expiry: '09/2029', status: 'active' } }
+    });
+
+    const card = await adapter.createCard(
+      { userId: 'user1', firstName: 'Ada', lastName: 'Obi', email: 'ada@example.com', address: { city: 'Lagos' } },
+      { cardType: 'visa', cardName: 'Shopping' }
+    );
+
+    expect(client.post).toHaveBeenCalledWith('/virtualcards/create', expect.objectContaining({
+      customerEmail: 'ada@example.com', cardBrand: 'visa', cardType: 'virtual', amount: 0
+    }));
+    expect(card).toMatchObject({
+      externalCardId: 'bn_card_1',
+      cardNumber: '4111111111111111',
+      cvv: '123',
+      expiryMonth: '09',
+      expiryYear: '29',
+      status: 'active'
+    });
+  });
+
+  it('maps statuses onto freeze, unfreeze and terminate', async () => {
+    client.patch.mockResolvedValue({ data: { data: {} } });
+
+    await adapter.updateCardStatus('bn_card_1', 'frozen');
+    await adapter.updateCardStatus('bn_card_1', 'active');
+    const result = await adapter.updateCardStatus('bn_card_1', 'closed');
+
+    expect(client.patch.mock.calls.map(call => call[0])).toEqual([
+      '/virtualcards/freeze', '/virtualcards/unfreeze', '/virtualcards/terminate'
+    ]);
+    expect(result.status).toBe('closed');
+  });
+
+  it('reports spending limits as not enforced by the issuer', async () => {
+    const result = await adapter.setSpendingLimits('bn_card_1', { daily: 500 });
+
+    expect(result).toEqual({ success: true, enforcedByIssuer: false, limits: { daily: 500 } });
+    expect(client.post).not.toHaveBeenCalled();
+  });
+
+  it('reports balances in major units, or null when Bitnob does not return one', async () => {
+    client.get
+      .mockResolvedValueOnce({ data: { data: { id: 'bn_card_1', balance: 1250, status: 'frozen', expiry: '9/29' } } })
+      .mockResolvedValueOnce({ data: { data: { id: 'bn_card_1', status: 'active' } } });
+
+    await expect(adapter.getCardDetails('bn_card_1')).resolves.toMatchObject({ balance: 12.5, status: 'frozen', expiryMonth: '09' });
+    await expect(adapter.getCardDetails('bn_card_1')).resolves.toMatchObject({ balance: null });
+  });
+
+  it('tops up and withdraws in cents', async () => {
+    client.post.mockResolvedValue({ data: { data: { reference: 'bn_ref' } } });
+
+    const loaded = await adapter.loadFunds('bn_card_1', 5000, { type: 'wallet' });
+    const unloaded = await adapter.unloadFunds('bn_card_1', 2000, { type: 'wallet', currency: 'USD' });
+
+    expect(client.post).toHaveBeenCalledWith('/virtualcards/topup', expect.objectContaining({ cardId: 'bn_card_1', amount: 5000 }));
+    expect(client.post).toHaveBeenCalledWith('/virtualcards/withdraw', expect.objectContaining({ cardId: 'bn_card_1', amount: 2000 }));
+    expect(loaded).toMatchObject({ success: true, amount: 50, reference: 'bn_ref' });
+    expect(unloaded).toMatchObject({ success: true, amount: 20 });
+  });
+
+  it('rejects disputes and real-time authorization', async () => {
+    await expect(adapter.createDispute('tx1', { amount: 100 })).rejects.toThrow('not supported by Bitnob');
+    expect(() => adapter.parseAuthorizationRequest({})).toThrow('not supported by Bitnob');
+  });
+
+  it('validates HMAC-SHA512 webhook signatures', () => {
+    const payload = JSON.stringify({ event: 'virtualcard.transaction.debit' });
+    const signature = crypto.createHmac('sha512', 'whsec').update(payload).digest('hex');
+
+    expect(adapter.validateWebhookSignature(payload, signature, 'whsec')).toBe(true);
+    expect(adapter.validateWebhookSignature(payload, signature, 'other')).toBe(false);
+    expect(adapter.validateWebhookSignature(payload, undefined, 'whsec')).toBe(false);
+  });
+
+  it('maps webhook events onto the event types the webhook processor handles', async () => {
+    const debit = await adapter.processWebhookEvent({
+      event: 'virtualcard.transaction.debit',
+      data: { reference: 'tx_1', cardId: 'bn_card_1', amount: 1999, currency: 'usd', merchant: { name: 'Shop', mcc: '5411' } }
+    });
+    const reversal = await adapter.processWebhookEvent({
+      event: 'virtualcard.transaction.reversed',
+      data: { reference: 'tx_2', originalReference: 'tx_1', cardId: 'bn_card_1', amount: 1999 }
+    });
+    const creditBack = await adapter.processWebhookEvent({
+      event: 'virtualcard.transaction.credit',
+      data: { reference: 'tx_3', originalReference: 'tx_1', cardId: 'bn_card_1', amount: 500 }
+    });
+    const credit = await adapter.processWebhookEvent({
+      event: 'virtualcard.transaction.credit',
+      data: { reference: 'tx_4', cardId: 'bn_card_1', amount: 500, description: 'Merchant refund' }
+    });
+    const terminated = await adapter.processWebhookEvent({
+      event: 'virtualcard.transaction.declined.terminated',
+      data: { cardId: 'bn_card_1' }
+    });
+    const unknown = await adapter.processWebhookEvent({ event: 'virtualcard.user.kyc.success', data: {} });
+
+    expect(debit).toMatchObject({
+      type: 'transaction.clearing',
+      transaction: { transactionId: 'tx_1', cardId: 'bn_card_1', type: 'clearing', amount: 19.99, currency: 'USD', status: 'settled', merchantMcc: '5411' }
+    });
+    expect(reversal).toMatchObject({ type: 'transaction.reversal', transaction: { transactionId: 'tx_2', originalTransactionId: 'tx_1' } });
+    expect(creditBack).toMatchObject({ type: 'transaction.reversal', transaction: { transactionId: 'tx_3', originalTransactionId: 'tx_1' } });
+    expect(credit).toMatchObject({
+      type: 'transaction.refund',
+      transaction: { transactionId: 'tx_4', cardId: 'bn_card_1', type: 'refund', amount: 5, status: 'settled' }
+    });
+    expect(credit.transaction).not.toHaveProperty('originalTransactionId');
+    expect(terminated).toMatchObject({ type: 'card.transition', cardStatus: { cardId: 'bn_card_1', newStatus: 'closed' } });
+    expect(unknown.processed).toBe(false);
+  });
+});
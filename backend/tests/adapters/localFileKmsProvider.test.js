@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalFileKmsProvider = require('../../adapters/LocalFileKmsProvider');
+
+const readAudit = (file) => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+describe('LocalFileKmsProvider', () => {
+  let dir, keyFile, auditFile;
+
+  const writeKeyFile = (contents, mode = 0o600) => {
+    fs.writeFileSync(keyFile, JSON.stringify(contents), { mode });
+    fs.chmodSync(keyFile, mode);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kms-'));
+    keyFile = path.join(dir, 'master-keys.json');
+    auditFile = path.join(dir, 'audit.log');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('wraps and unwraps data keys bound to their context, auditing each operation', async () => {
+    writeKeyFile({ currentKeyId: 'mk1', keys: { mk1: 'a'.repeat(64) } });
+    const kms = new LocalFileKmsProvider({ keyFile, auditFile });
+    const dataKey = crypto.randomBytes(32);
+
+    const wrapped = await kms.wrapKey(dataKey, { dataKeyOwner: 'user123' });
+
+    expect(wrapped.masterKeyId).toBe('mk1');
+    expect(Buffer.from(wrapped.wrappedKey, 'base64').includes(dataKey)).toBe(false);
+    expect((await kms.unwrapKey(wrapped, { dataKeyOwner: 'user123' })).equals(dataKey)).toBe(true);
+    await expect(kms.unwrapKey(wrapped, { dataKeyOwner: 'user456' })).rejects.toThrow('Unwrap failed');
+
+    expect(readAudit(auditFile)).toEqual([
+      expect.objectContaining({ operation: 'wrap', masterKeyId: 'mk1', context: { dataKeyOwner: 'user123' }, status: 'success' }),
+      expect.objectContaining({ operation: 'unwrap', masterKeyId: 'mk1', context: { dataKeyOwner: 'user123' }, status: 'success' }),
+      expect.objectContaining({ operation: 'unwrap', context: { dataKeyOwner: 'user456' }, status: 'error' })
+    ]);
+  });
+
+  it('wraps under the current master key and still unwraps under older ones', async () => {
+    writeKeyFile({ currentKeyId: 'mk1', keys: { mk1: 'a'.repeat(64) } });
+    const wrapped = await new LocalFileKmsProvider({ keyFile, auditFile }).wrapKey(crypto.randomBytes(32));
+
+    writeKeyFile({ currentKeyId: 'mk2', keys: { mk1: 'a'.repeat(64), mk2: 'b'.repeat(64) } });
+    const kms = new LocalFileKmsProvider({ keyFile, auditFile });
+
+    expect(await kms.getCurrentKeyId()).toBe('mk2');
+    expect((await kms.wrapKey(crypto.randomBytes(32))).masterKeyId).toBe('mk2');
+    expect(await kms.unwrapKey(wrapped)).toHaveLength(32);
+  });
+
+  it('creates a missing key file readable only by its owner when allowed', async () => {
+    const kms = new LocalFileKmsProvider({ keyFile, auditFile, createIfMissing: true });
+
+    expect(await kms.getCurrentKeyId()).toBe('mk1');
+    if (process.platform !== 'win32') {
+      expect(fs.statSync(keyFile).mode & 0o777).toBe(0o600);
+    }
+
+    await expect(new LocalFileKmsProvider({ keyFile: path.join(dir, 'missing.json'), auditFile }).getCurrentKeyId())
+      .rejects.toThrow('not found');
+  });
+
+  it('refuses key files other users can read and bad key files', async () => {
+    if (process.platform !== 'win32') {
+      writeKeyFile({ currentKeyId: 'mk1', keys: { mk1: 'a'.repeat(64) } }, 0o644);
+      await expect(new LocalFileKmsProvider({ keyFile, auditFile }).getCurrentKeyId()).rejects.toThrow('chmod 600');
+    }
+
+    writeKeyFile({ currentKeyId: 'mk2', keys: { mk1: 'a'.repeat(64) } });
+    await expect(new LocalFileKmsProvider({ keyFile, auditFile }).getCurrentKeyId()).rejects.toThrow('mk2 is not in the key file');
+  });
+
+  it('fails operations it cannot audit', async () => {
+    writeKeyFile({ currentKeyId: 'mk1', keys: { mk1: 'a'.repeat(64) } });
+    fs.mkdirSync(auditFile);
+    const kms = new LocalFileKmsProvider({ keyFile, auditFile });
+
+    await expect(kms.wrapKey(crypto.randomBytes(32))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,50 @@
+const SimulatedPayoutProvider = require('../../adapters/SimulatedPayoutProvider');
+
+const bankPayout = (accountNumber) => ({
+  withdrawalId: 'wd123',
+  amountMinor: 5000,
+  currency: 'USD',
+  destination: { type: 'bank_account', bankAccount: { accountNumber } }
+});
+
+describe('SimulatedPayoutProvider', () => {
+  let provider, updates;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    provider = new SimulatedPayoutProvider({ settlementDelayMs: 1000 });
+    updates = [];
+    provider.onPayoutUpdate(async update => { updates.push(update); });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('accepts payouts and completes them after the settlement delay', async () => {
+    const { reference, status } = await provider.createPayout(bankPayout('123456789'));
+
+    expect(status).toBe('processing');
+    expect(updates).toEqual([]);
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(updates).toEqual([{ provider: 'simulator', reference, withdrawalId: 'wd123', status: 'completed' }]);
+    await expect(provider.getPayoutStatus(reference)).resolves.toMatchObject({ status: 'completed' });
+  });
+
+  it('fails payouts to bank accounts ending in 0000', async () => {
+    const { reference } = await provider.createPayout(bankPayout('1234560000'));
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(updates).toEqual([{ provider: 'simulator', reference, withdrawalId: 'wd123', status: 'failed', failureReason: 'Account closed' }]);
+  });
+
+  it('cannot be used through the abstract base class', () => {
+    const PayoutProvider = require('../../adapters/PayoutProvider');
+    expect(() => new PayoutProvider()).toThrow('abstract');
+  });
+});
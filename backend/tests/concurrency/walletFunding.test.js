@@ -0,0 +1,158 @@
+/**
+ * Concurrent wallet debits against a real replica set, so that the
+ * multi-document transactions and conditional debits are exercised.
+ */
+jest.mock('../../utils/logger', () => {
+  const stub = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  return { logger: stub, securityLogger: stub, logAudit: jest.fn() };
+});
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+const User = require('../../models/User');
+const VirtualCard = require('../../models/VirtualCard');
+const GiftCard = require('../../models/GiftCard');
+const Transaction = require('../../models/Transaction');
+const ledgerService = require('../../services/ledgerService');
+const Money = require('../../utils/money');
+const cardRoutes = require('../../routes/cards');
+const giftCardRoutes = require('../../routes/giftcards');
+
+jest.setTimeout(60000);
+
+describe('Concurrent wallet debits', () => {
+  let replSet;
+  let app;
+
+  const createUser = async (email) => {
+    return User.create({ name: 'Test User', email, password: 'Password123!' });
+  };
+
+  const createCard = (userId) => {
+    return VirtualCard.create({
+      userId,
+      issuerProvider: 'mock',
+      issuerCardId: `mock_${new mongoose.Types.ObjectId()}`,
+      encryptedCardNumber: 'encrypted',
+      encryptedCvv: 'encrypted',
+      last4Digits: '4242',
+      expiryMonth: 12,
+      expiryYear: new Date().getFullYear() + 3,
+      cardBrand: 'visa',
+      cardType: 'visa',
+      cardName: 'Test Card',
+      status: 'active',
+      kycVerified: true
+    });
+  };
+
+  // Wallet balances only ever move through the ledger
+  const depositToWallet = (userId, amount) => {
+    return ledgerService.recordWalletDeposit({ userId, amountMinor: Money.toMinor(amount), source: 'test' });
+  };
+
+  const tokenFor = (user) => jwt.sign({ userId: user._id }, process.env.JWT_SECRET);
+
+  beforeAll(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/cards', cardRoutes);
+    app.use('/api/giftcards', giftCardRoutes);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (replSet) {
+      await replSet.stop();
+    }
+  });
+
+  // Clear through the driver, journal entries reject deletes at the model level
+  afterEach(async () => {
+    await Promise.all(Object.values(mongoose.connection.collections)
+      .map(collection => collection.deleteMany({})));
+  });
+
+  describe('POST /api/cards/:cardId/fund', () => {
+    it('never overdraws the wallet under concurrent requests', async () => {
+      const user = await createUser('funding@example.com');
+      const card = await createCard(user._id);
+      await depositToWallet(user._id, 100);
+
+      const responses = await Promise.all(Array.from({ length: 10 }, () =>
+        request(app)
+          .post(`/api/cards/${card._id}/fund`)
+          .set('Authorization', `Bearer ${tokenFor(user)}`)
+          .send({ amount: 20 })
+      ));
+
+      const succeeded = responses.filter(res => res.status === 200);
+      const rejected = responses.filter(res => res.status === 400);
+      expect(succeeded).toHaveLength(5);
+      expect(rejected).toHaveLength(5);
+      rejected.forEach(res => expect(res.body.message).toBe('Insufficient wallet balance'));
+
+      const [updatedUser, updatedCard] = await Promise.all([
+        User.findById(user._id),
+        VirtualCard.findById(card._id)
+      ]);
+      expect(updatedUser.walletBalance).toBe(0);
+      expect(updatedCard.balance).toBe(100);
+      expect(await Transaction.countDocuments({ cardId: card._id, type: 'card_funding' })).toBe(5);
+
+      const integrity = await ledgerService.checkIntegrity();
+      expect(integrity.balanced).toBe(true);
+      expect(integrity.mismatchedAccounts).toEqual([]);
+      expect((await ledgerService.verifyWalletBalance(user._id)).inSync).toBe(true);
+      expect((await ledgerService.verifyCardBalance(card._id)).inSync).toBe(true);
+    });
+
+    it('does not debit the wallet when funding a card the user does not own', async () => {
+      const owner = await createUser('owner@example.com');
+      const other = await createUser('other@example.com');
+      const card = await createCard(owner._id);
+      await depositToWallet(other._id, 50);
+
+      const res = await request(app)
+        .post(`/api/cards/${card._id}/fund`)
+        .set('Authorization', `Bearer ${tokenFor(other)}`)
+        .send({ amount: 20 });
+
+      expect(res.status).toBe(404);
+      expect((await User.findById(other._id)).walletBalance).toBe(50);
+      expect((await VirtualCard.findById(card._id)).balance).toBe(0);
+      expect(await Transaction.countDocuments({ type: 'card_funding' })).toBe(0);
+    });
+  });
+
+  describe('POST /api/giftcards/purchase', () => {
+    it('only issues gift cards the wallet can pay for', async () => {
+      const user = await createUser('giftcards@example.com');
+      await depositToWallet(user._id, 60);
+
+      // $25 plus a 2% fee is $25.50, so only two purchases fit
+      const responses = await Promise.all(Array.from({ length: 4 }, () =>
+        request(app)
+          .post('/api/giftcards/purchase')
+          .set('Authorization', `Bearer ${tokenFor(user)}`)
+          .send({ amount: 25, recipientName: 'Friend', design: 'general' })
+      ));
+
+      expect(responses.filter(res => res.status === 201)).toHaveLength(2);
+      expect(responses.filter(res => res.status === 400)).toHaveLength(2);
+      expect(await GiftCard.countDocuments({ purchasedBy: user._id })).toBe(2);
+      expect((await User.findById(user._id)).getWalletBalanceMinor('USD')).toBe(900);
+
+      const integrity = await ledgerService.checkIntegrity();
+      expect(integrity.balanced).toBe(true);
+      expect(integrity.mismatchedAccounts).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const idempotency = require('../../middleware/idempotency');
+const IdempotencyKey = require('../../models/IdempotencyKey');
+
+jest.mock('../../models/IdempotencyKey', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock('../../utils/logger', () => ({ logger: { error: jest.fn() } }));
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Idempotency Middleware', () => {
+  let req, res, next, headers, listeners;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    headers = { 'Idempotency-Key': 'key-123' };
+    listeners = {};
+    req = {
+      method: 'POST',
+      baseUrl: '/api/cards',
+      path: '/card123/fund',
+      body: { amount: 20 },
+      user: { id: 'user123' },
+      get: jest.fn(name => headers[name])
+    };
+    res = {
+      statusCode: 200,
+      status: jest.fn(function(code) { this.statusCode = code; return this; }),
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn(),
+      on: jest.fn((event, listener) => { listeners[event] = listener; })
+    };
+    next = jest.fn();
+  });
+
+  it('passes requests without a key straight through', async () => {
+    delete headers['Idempotency-Key'];
+
+    await idempotency(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it('stores the response of the first request', async () => {
+    IdempotencyKey.create.mockResolvedValue({ _id: 'record123' });
+    IdempotencyKey.updateOne.mockResolvedValue({});
+    const originalJson = res.json;
+
+    await idempotency(req, res, next);
+    expect(next).toHaveBeenCalled();
+
+    res.json({ success: true, newCardBalance: 20 });
+    await flushPromises();
+
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+      { _id: 'record123' },
+      { $set: expect.objectContaining({
+        status: 'completed',
+        responseStatus: 200,
+        responseBody: { success: true, newCardBalance: 20 }
+      }) }
+    );
+    expect(originalJson).toHaveBeenCalledWith({ success: true, newCardBalance: 20 });
+  });
+
+  it('does not store server errors so the key can be retried', async () => {
+    IdempotencyKey.create.mockResolvedValue({ _id: 'record123' });
+    IdempotencyKey.deleteOne.mockResolvedValue({});
+
+    await idempotency(req, res, next);
+    res.status(500).json({ message: 'Card funding failed' });
+    await flushPromises();
+
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: 'record123' });
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('releases the key when the response is sent without being stored', async () => {
+    IdempotencyKey.create.mockResolvedValue({ _id: 'record123' });
+    IdempotencyKey.deleteOne.mockResolvedValue({});
+
+    await idempotency(req, res, next);
+    listeners.finish();
+
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: 'record123', status: 'processing' });
+  });
+
+  it('keeps a stored response when the request finishes', async () => {
+    IdempotencyKey.create.mockResolvedValue({ _id: 'record123' });
+    IdempotencyKey.updateOne.mockResolvedValue({});
+
+    await idempotency(req, res, next);
+    res.json({ success: true });
+    await flushPromises();
+    listeners.finish();
+
+    expect(IdempotencyKey.deleteOne).not.toHaveBeenCalled();
+  });
+
+  describe('when the key has been used before', () => {
+    const storedFor = (body, overrides = {}) => {
+      const first = { ...req, body, get: req.get };
+      IdempotencyKey.create.mockResolvedValueOnce({ _id: 'record123' });
+      return idempotency(first, { ...res, json: jest.fn() }, jest.fn()).then(() => {
+        const requestHash = IdempotencyKey.create.mock.calls[0][0].requestHash;
+        IdempotencyKey.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+        IdempotencyKey.findOne.mockResolvedValue({
+          requestHash,
+          status: 'completed',
+          responseStatus: 200,
+          responseBody: { success: true, newCardBalance: 20 },
+          ...overrides
+        });
+      });
+    };
+
+    it('replays the stored response for the same request', async () => {
+      await storedFor({ amount: 20 });
+
+      await idempotency(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, newCardBalance: 20 });
+    });
+
+    it('rejects reuse of the key with a different body', async () => {
+      await storedFor({ amount: 20 });
+      req.body = { amount: 500 };
+
+      await idempotency(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'IDEMPOTENCY_KEY_REUSED' }));
+    });
+
+    it('rejects a retry while the first request is still running', async () => {
+      await storedFor({ amount: 20 }, { status: 'processing' });
+
+      await idempotency(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'IDEMPOTENCY_KEY_IN_PROGRESS' }));
+    });
+
+    it('takes over a key left processing past its lease', async () => {
+      await storedFor({ amount: 20 }, { _id: 'record123', status: 'processing', createdAt: new Date(Date.now() - 3 * 60 * 1000) });
+      IdempotencyKey.create
+        .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }))
+        .mockResolvedValueOnce({ _id: 'record456' });
+      IdempotencyKey.deleteOne.mockResolvedValue({});
+
+      await idempotency(req, res, next);
+
+      expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: 'record123', status: 'processing' });
+      expect(next).toHaveBeenCalledWith();
+      expect(res.status).not.toHaveBeenCalledWith(409);
+    });
+
+    it('passes a failed lookup of the stored key on to the error handler', async () => {
+      const lookupError = new Error('connection reset');
+      IdempotencyKey.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+      IdempotencyKey.findOne.mockRejectedValue(lookupError);
+
+      await idempotency(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(lookupError);
+      expect(res.json).not.toHaveBeenCalled();
+    });
+  });
+});
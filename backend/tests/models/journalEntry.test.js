@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const JournalEntry = require('../../models/JournalEntry');
+
+describe('JournalEntry Model', () => {
+  const line = (direction, amount) => ({
+    account: new mongoose.Types.ObjectId(),
+    accountCode: `test:${direction}`,
+    direction,
+    amount
+  });
+
+  it('accepts a balanced entry', async () => {
+    const entry = new JournalEntry({
+      description: 'Wallet to card transfer',
+      eventType: 'card_funding',
+      lines: [line('debit', 1000), line('credit', 1000)]
+    });
+
+    await expect(entry.validate()).resolves.toBeUndefined();
+    expect(entry.isBalanced).toBe(true);
+  });
+
+  it('rejects an unbalanced entry', async () => {
+    const entry = new JournalEntry({
+      description: 'Wallet to card transfer',
+      eventType: 'card_funding',
+      lines: [line('debit', 1000), line('credit', 900)]
+    });
+
+    await expect(entry.validate()).rejects.toThrow('not balanced');
+  });
+
+  it('rejects non-integer minor-unit amounts', async () => {
+    const entry = new JournalEntry({
+      description: 'Wallet to card transfer',
+      eventType: 'card_funding',
+      lines: [line('debit', 10.5), line('credit', 10.5)]
+    });
+
+    await expect(entry.validate()).rejects.toThrow('integer number of minor units');
+  });
+});
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const Transaction = require('../../models/Transaction');
+const GiftCard = require('../../models/GiftCard');
+const User = require('../../models/User');
+
+describe('Money fields', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  it('stores major-unit amounts as integer minor units', () => {
+    const transaction = new Transaction({
+      userId,
+      type: 'card_funding',
+      amount: 25.1,
+      description: 'Funded card',
+      balanceBefore: 10,
+      balanceAfter: 35.1
+    });
+
+    expect(transaction.amountMinor).toBe(2510);
+    expect(transaction.balanceAfterMinor).toBe(3510);
+    expect(transaction.amount).toBe(25.1);
+  });
+
+  it('keeps the legacy API shape when serialized', () => {
+    const transaction = new Transaction({
+      userId,
+      type: 'card_funding',
+      amount: 25.1,
+      description: 'Funded card'
+    });
+
+    const json = transaction.toJSON();
+    expect(json.amount).toBe(25.1);
+    expect(json).not.toHaveProperty('amountMinor');
+    expect(transaction.toSafeObject().displayAmount).toBe('-USD 25.10');
+  });
+
+  it('supports arithmetic through the major-unit virtual', () => {
+    const user = new User({ name: 'Test User', email: 'test@example.com', password: 'password' });
+
+    user.walletBalance += 0.1;
+    user.walletBalance += 0.2;
+
+    expect(user.getWalletBalanceMinor('USD')).toBe(30);
+    expect(user.walletBalance).toBe(0.3);
+  });
+
+  it('serializes every wallet currency in major units', () => {
+    const user = new User({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'password',
+      walletBalances: { USD: 1250, JPY: 300, KWD: 1500 }
+    });
+
+    const json = user.toJSON();
+    expect(json.walletBalance).toBe(12.5);
+    expect(json.walletBalances).toEqual({ USD: 12.5, JPY: 300, KWD: 1.5 });
+  });
+
+  it('rejects fractional minor units', () => {
+    const giftCard = new GiftCard({
+      code: 'ABCD-EFGH-IJKL-MNOP',
+      amountMinor: 1000.5,
+      balanceMinor: 1000,
+      recipientName: 'Friend',
+      purchasedBy: userId
+    });
+
+    expect(giftCard.validateSync().errors.amountMinor.message)
+      .toBe('amountMinor must be an integer number of minor units');
+  });
+});
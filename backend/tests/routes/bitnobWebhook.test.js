@@ -0,0 +1,78 @@
+jest.mock('../../utils/logger', () => {
+  const stub = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  return { logger: stub, securityLogger: stub, logAudit: jest.fn() };
+});
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const cardIssuerConfig = require('../../config/cardIssuer');
+const webhookProcessor = require('../../services/webhookProcessor');
+const webhookRoutes = require('../../routes/webhooks');
+
+describe('POST /api/webhooks/bitnob', () => {
+  const bitnobConfig = cardIssuerConfig.providers.bitnob.config;
+  const original = { webhookSecret: bitnobConfig.webhookSecret, enableWebhooks: cardIssuerConfig.featureFlags.enableWebhooks };
+  // Signed exactly as sent, so not the same bytes as JSON.stringify(event)
+  const payload = JSON.stringify({
+    event: 'virtualcard.topup.success',
+    data: { reference: 'ref_1', cardId: 'bn_card_1', amount: 1000 }
+  }, null, 2);
+  const sign = (body, secret) => crypto.createHmac('sha512', secret).update(body).digest('hex');
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use('/api/webhooks', webhookRoutes);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(webhookProcessor, 'processWebhookEvent').mockResolvedValue({ success: true, processingTime: 1 });
+    bitnobConfig.webhookSecret = 'bn_secret';
+    cardIssuerConfig.featureFlags.enableWebhooks = true;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    bitnobConfig.webhookSecret = original.webhookSecret;
+    cardIssuerConfig.featureFlags.enableWebhooks = original.enableWebhooks;
+  });
+
+  const post = (signature) => request(app)
+    .post('/api/webhooks/bitnob')
+    .set('Content-Type', 'application/json')
+    .set('x-bitnob-signature', signature)
+    .send(payload);
+
+  it('processes events signed over the raw body', async () => {
+    const res = await post(sign(payload, 'bn_secret'));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ received: true, processed: true, eventType: 'virtualcard.topup.success' });
+    expect(webhookProcessor.processWebhookEvent).toHaveBeenCalledWith(
+      'bitnob',
+      expect.objectContaining({ event: 'virtualcard.topup.success' }),
+      sign(payload, 'bn_secret'),
+      Buffer.from(payload)
+    );
+  });
+
+  it('refuses forged events', async () => {
+    const res = await post(sign(payload, 'guessed'));
+
+    expect(res.status).toBe(401);
+    expect(webhookProcessor.processWebhookEvent).not.toHaveBeenCalled();
+  });
+
+  it('refuses every event when no webhook secret is configured', async () => {
+    bitnobConfig.webhookSecret = undefined;
+
+    const res = await post(sign(payload, 'bn_secret'));
+
+    expect(res.status).toBe(503);
+    expect(webhookProcessor.processWebhookEvent).not.toHaveBeenCalled();
+  });
+});
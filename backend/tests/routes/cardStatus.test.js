@@ -0,0 +1,69 @@
+jest.mock('../../utils/logger', () => {
+  const stub = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  return { logger: stub, securityLogger: stub, logAudit: jest.fn() };
+});
+jest.mock('../../middleware/auth', () => (req, res, next) => {
+  req.user = { id: 'user123' };
+  next();
+});
+jest.mock('../../models/VirtualCard', () => ({ findOne: jest.fn(), USAGE_TYPES: ['multi_use', 'single_use'] }));
+jest.mock('../../services/productionCardService', () => ({ freezeCard: jest.fn(), unfreezeCard: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const VirtualCard = require('../../models/VirtualCard');
+const productionCardService = require('../../services/productionCardService');
+const cardIssuerConfig = require('../../config/cardIssuer');
+const cardRoutes = require('../../routes/cards');
+
+describe('PATCH /api/cards/:cardId/status', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/cards', cardRoutes);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cardIssuerConfig.featureFlags.useRealCards = false;
+  });
+
+  const mockCard = (fields) => {
+    const card = { _id: 'card123', userId: 'user123', issuerProvider: 'mock', ...fields, save: jest.fn() };
+    VirtualCard.findOne.mockResolvedValue(card);
+    return card;
+  };
+
+  it('freezes mock cards', async () => {
+    const card = mockCard({ status: 'active' });
+
+    const res = await request(app).patch('/api/cards/card123/status').send({ status: 'frozen' });
+
+    expect(res.status).toBe(200);
+    expect(card.status).toBe('frozen');
+    expect(card.save).toHaveBeenCalled();
+  });
+
+  it('does not reactivate a closed card', async () => {
+    const card = mockCard({ status: 'closed' });
+
+    const res = await request(app).patch('/api/cards/card123/status').send({ status: 'active' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('CARD_CLOSED');
+    expect(card.status).toBe('closed');
+    expect(card.save).not.toHaveBeenCalled();
+  });
+
+  it('does not pass closed issuer cards to the issuer', async () => {
+    cardIssuerConfig.featureFlags.useRealCards = true;
+    mockCard({ status: 'closed', issuerProvider: 'marqeta' });
+
+    const res = await request(app).patch('/api/cards/card123/status').send({ status: 'frozen' });
+
+    expect(res.status).toBe(400);
+    expect(productionCardService.freezeCard).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,75 @@
+jest.mock('../../utils/logger', () => {
+  const stub = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  return { logger: stub, securityLogger: stub, logAudit: jest.fn() };
+});
+jest.mock('../../middleware/auth', () => (req, res, next) => {
+  req.user = { id: 'user123' };
+  next();
+});
+jest.mock('../../models/DisputeDocument', () => {
+  const DisputeDocument = jest.fn(function(data) {
+    Object.assign(this, { _id: 'doc123', ...data });
+    this.setContent = jest.fn(async (content) => {
+      this.size = content.length;
+    });
+    this.save = jest.fn().mockResolvedValue(this);
+    this.toSafeObject = () => ({ id: this._id, filename: this.filename, contentType: this.contentType, size: this.size });
+  });
+  DisputeDocument.CONTENT_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+  DisputeDocument.MAX_SIZE = 1024;
+  return DisputeDocument;
+});
+
+const express = require('express');
+const request = require('supertest');
+const DisputeDocument = require('../../models/DisputeDocument');
+const transactionRoutes = require('../../routes/transactions');
+
+describe('POST /api/transactions/disputes/documents', () => {
+  const pdf = Buffer.from('%PDF-1.7 receipt');
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/transactions', transactionRoutes);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('stores the uploaded file as the request body', async () => {
+    const res = await request(app)
+      .post('/api/transactions/disputes/documents?filename=receipt.pdf')
+      .set('Content-Type', 'application/pdf')
+      .send(pdf);
+
+    expect(res.status).toBe(201);
+    expect(res.body.document).toEqual({ id: 'doc123', filename: 'receipt.pdf', contentType: 'application/pdf', size: pdf.length });
+    const document = DisputeDocument.mock.instances[0];
+    expect(document.setContent).toHaveBeenCalledWith(pdf);
+    expect(document.save).toHaveBeenCalled();
+  });
+
+  it('refuses links and other content types', async () => {
+    const res = await request(app)
+      .post('/api/transactions/disputes/documents')
+      .send({ url: 'https://example.com/receipt.pdf' });
+
+    expect(res.status).toBe(415);
+    expect(res.body.code).toBe('UNSUPPORTED_DOCUMENT');
+    expect(DisputeDocument).not.toHaveBeenCalled();
+  });
+
+  it('refuses files over the size limit before storing anything', async () => {
+    const res = await request(app)
+      .post('/api/transactions/disputes/documents')
+      .set('Content-Type', 'application/pdf')
+      .send(Buffer.concat([pdf, Buffer.alloc(1024)]));
+
+    expect(res.status).toBe(413);
+    expect(res.body.code).toBe('DOCUMENT_TOO_LARGE');
+    expect(DisputeDocument).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,66 @@
+jest.mock('../../utils/logger', () => {
+  const stub = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  return { logger: stub, securityLogger: stub, logAudit: jest.fn() };
+});
+jest.mock('../../services/authorizationDecisionService', () => ({ decide: jest.fn(), getStats: jest.fn() }));
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const authorizationDecisionService = require('../../services/authorizationDecisionService');
+const cardIssuerConfig = require('../../config/cardIssuer');
+const webhookRoutes = require('../../routes/webhooks');
+
+describe('POST /api/webhooks/marqeta/jit', () => {
+  const marqetaConfig = cardIssuerConfig.providers.marqeta.config;
+  const payload = JSON.stringify({ issuerCardId: 'mq_card_1', amount: 25, currency: 'USD' });
+  const sign = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use('/api/webhooks', webhookRoutes);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    marqetaConfig.webhookSecret = 'whsec';
+    cardIssuerConfig.featureFlags.enableWebhooks = false;
+    authorizationDecisionService.decide.mockResolvedValue({ approved: true, amount: 25 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const post = (signature) => request(app)
+    .post('/api/webhooks/marqeta/jit')
+    .set('Content-Type', 'application/json')
+    .set('x-marqeta-signature', signature)
+    .send(payload);
+
+  it('decides requests signed with the webhook secret', async () => {
+    const res = await post(sign(payload, 'whsec'));
+
+    expect(res.status).toBe(200);
+    expect(authorizationDecisionService.decide).toHaveBeenCalledWith(expect.objectContaining({ issuerCardId: 'mq_card_1', provider: 'marqeta' }));
+  });
+
+  it('refuses forged requests even with event webhooks disabled', async () => {
+    const res = await post(sign(payload, 'guessed'));
+
+    expect(res.status).toBe(401);
+    expect(authorizationDecisionService.decide).not.toHaveBeenCalled();
+  });
+
+  it('refuses every request when no webhook secret is configured', async () => {
+    marqetaConfig.webhookSecret = undefined;
+
+    const res = await post(sign(payload, 'whsec'));
+
+    expect(res.status).toBe(503);
+    expect(authorizationDecisionService.decide).not.toHaveBeenCalled();
+  });
+});
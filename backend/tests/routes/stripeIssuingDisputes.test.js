@@ -0,0 +1,102 @@
+jest.mock('../../utils/logger', () => {
+  const stub = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  return { logger: stub, securityLogger: stub, logAudit: jest.fn() };
+});
+jest.mock('../../models/Dispute', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  canTransition: jest.fn((from, to) => ({
+    opened: ['submitted', 'withdrawn'],
+    submitted: ['won', 'lost', 'withdrawn']
+  }[from] || []).includes(to))
+}));
+jest.mock('../../models/Transaction', () => ({ updateOne: jest.fn() }));
+jest.mock('../../services/ledgerService', () => ({ reverseEntry: jest.fn(), recordDisputeRecovery: jest.fn() }));
+jest.mock('../../utils/mongoTransaction', () => ({
+  withTransaction: jest.fn(work => work('session123'))
+}));
+
+const express = require('express');
+const request = require('supertest');
+const stripe = require('stripe')('sk_test_123');
+const Dispute = require('../../models/Dispute');
+const ledgerService = require('../../services/ledgerService');
+const cardIssuerConfig = require('../../config/cardIssuer');
+const webhookRoutes = require('../../routes/webhooks');
+
+describe('POST /api/webhooks/stripe-issuing dispute events', () => {
+  const { featureFlags } = cardIssuerConfig;
+  const stripeConfig = cardIssuerConfig.providers.stripe.config;
+  const original = { ...featureFlags, ...stripeConfig };
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use('/api/webhooks', webhookRoutes);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+    Object.assign(featureFlags, { enableWebhooks: true, useRealCards: true });
+    Object.assign(stripeConfig, { apiKey: 'sk_test_123', webhookSecret: 'whsec_test' });
+    ledgerService.reverseEntry.mockResolvedValue({ _id: 'reversal123' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+    featureFlags.enableWebhooks = original.enableWebhooks;
+    featureFlags.useRealCards = original.useRealCards;
+    stripeConfig.apiKey = original.apiKey;
+    stripeConfig.webhookSecret = original.webhookSecret;
+  });
+
+  it('closes the dispute and takes back its provisional credit when Stripe reports it lost', async () => {
+    const filed = {
+      _id: 'dispute123',
+      transactionId: 'txn123',
+      status: 'submitted',
+      provider: 'stripe',
+      providerDisputeId: 'idp_1',
+      provisionalCredit: { status: 'granted', entryId: 'entry123', transactionId: 'credit123' }
+    };
+    Dispute.findOne.mockResolvedValue(filed);
+    Dispute.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({
+      ...filed,
+      ...update.$set,
+      provisionalCredit: { ...filed.provisionalCredit },
+      save: jest.fn().mockResolvedValue()
+    }));
+
+    // Stripe signs the body exactly as sent, pretty-printed
+    const payload = JSON.stringify({
+      id: 'evt_1',
+      object: 'event',
+      type: 'issuing_dispute.closed',
+      created: 1767225600,
+      data: { object: { id: 'idp_1', object: 'issuing.dispute', status: 'lost', created: 1767139200 } }
+    }, null, 2);
+    const signature = stripe.webhooks.generateTestHeaderString({ payload, secret: 'whsec_test' });
+
+    const res = await request(app)
+      .post('/api/webhooks/stripe-issuing')
+      .set('Content-Type', 'application/json')
+      .set('stripe-signature', signature)
+      .send(payload);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ received: true, processed: true });
+    expect(Dispute.findOne).toHaveBeenCalledWith({ provider: 'stripe', providerDisputeId: 'idp_1' });
+    expect(Dispute.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'dispute123', status: 'submitted' },
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'lost', providerStatus: 'lost' }) }),
+      { new: true, session: 'session123' }
+    );
+    expect(ledgerService.reverseEntry).toHaveBeenCalledWith('entry123', 'Dispute lost', { session: 'session123', requireFunds: true });
+  });
+});
@@ -0,0 +1,97 @@
+jest.mock('../../utils/logger', () => {
+  const stub = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  return { logger: stub, securityLogger: stub, logAudit: jest.fn() };
+});
+jest.mock('../../middleware/auth', () => (req, res, next) => {
+  req.user = { id: 'user123' };
+  next();
+});
+jest.mock('../../middleware/idempotency', () => (req, res, next) => next());
+jest.mock('stripe', () => {
+  const paymentIntents = { retrieve: jest.fn() };
+  const stripe = () => ({ paymentIntents });
+  stripe.paymentIntents = paymentIntents;
+  return stripe;
+});
+jest.mock('../../models/Transaction', () => {
+  const Transaction = jest.fn(function(data) {
+    Object.assign(this, { _id: 'tx123', ...data });
+  });
+  Transaction.findOne = jest.fn();
+  return Transaction;
+});
+jest.mock('../../models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../services/ledgerService', () => ({ recordWalletDeposit: jest.fn() }));
+jest.mock('../../services/feeService', () => ({
+  quote: jest.fn(),
+  buildFeeTransaction: jest.fn(() => null)
+}));
+jest.mock('../../utils/mongoTransaction', () => ({
+  withTransaction: jest.fn(work => work('session123'))
+}));
+
+const express = require('express');
+const request = require('supertest');
+const stripe = require('stripe');
+const Transaction = require('../../models/Transaction');
+const User = require('../../models/User');
+const ledgerService = require('../../services/ledgerService');
+const feeService = require('../../services/feeService');
+const paymentRoutes = require('../../routes/payments');
+
+describe('POST /api/payments/confirm-wallet-funding', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/payments', paymentRoutes);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_1', status: 'succeeded', amount: 5000, currency: 'usd' });
+    feeService.quote.mockResolvedValue({ feeMinor: 0 });
+    Transaction.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+    User.findById.mockResolvedValue({ getWalletBalanceMinor: () => 5000 });
+  });
+
+  const confirm = () => request(app)
+    .post('/api/payments/confirm-wallet-funding')
+    .send({ paymentIntentId: 'pi_1' });
+
+  it('credits the wallet once for a succeeded payment', async () => {
+    const res = await confirm();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, currency: 'USD', newBalance: 50 });
+    expect(Transaction.findOne).toHaveBeenCalledWith({ type: 'add_funds', status: 'completed', transactionId: 'pi_1' });
+    expect(ledgerService.recordWalletDeposit).toHaveBeenCalledWith(
+      expect.objectContaining({
+        amountMinor: 5000,
+        source: 'stripe',
+        transaction: expect.objectContaining({ transactionId: 'pi_1', type: 'add_funds' })
+      }),
+      { session: 'session123' }
+    );
+  });
+
+  it('refuses a payment that has already been credited', async () => {
+    Transaction.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue({ _id: 'tx_earlier' }) });
+
+    const res = await confirm();
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('PAYMENT_ALREADY_CONFIRMED');
+    expect(ledgerService.recordWalletDeposit).not.toHaveBeenCalled();
+  });
+
+  it('refuses a confirmation that lost the race to a concurrent one', async () => {
+    ledgerService.recordWalletDeposit.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const res = await confirm();
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('PAYMENT_ALREADY_CONFIRMED');
+  });
+});
@@ -0,0 +1,234 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/VirtualCard', () => {
+  const MockVirtualCard = jest.fn(function(fields) {
+    Object.assign(this, fields);
+    this.storeCardDetails = jest.fn(async (pan) => {
+      this.vaultToken = 'tok_new';
+      this.last4Digits = pan.slice(-4);
+      this.cardBrand = 'visa';
+    });
+    this.save = jest.fn().mockResolvedValue(this);
+    this.validate = jest.fn().mockResolvedValue();
+  });
+  MockVirtualCard.findOne = jest.fn();
+  MockVirtualCard.deleteOne = jest.fn();
+  return MockVirtualCard;
+});
+jest.mock('../../models/JournalEntry', () => ({ find: jest.fn() }));
+jest.mock('../../services/ledgerService', () => ({ recordCardLoad: jest.fn(), reverseEntry: jest.fn() }));
+jest.mock('../../vault/cardVault', () => ({ tokenize: jest.fn(), deleteToken: jest.fn() }));
+jest.mock('../../utils/secureCardStorage', () => ({
+  decryptCardData: jest.fn(async value => value.replace(/^k2026:/, ''))
+}));
+
+const legacyCardData = require('../../scripts/migrations/003-legacy-card-data');
+const legacyBitnobCards = require('../../scripts/migrations/004-legacy-bitnob-cards');
+const wipeBitnobPlaintext = require('../../scripts/migrations/005-wipe-bitnob-card-plaintext');
+const VirtualCard = require('../../models/VirtualCard');
+const JournalEntry = require('../../models/JournalEntry');
+const ledgerService = require('../../services/ledgerService');
+const cardVault = require('../../vault/cardVault');
+
+const cursor = docs => (async function* () {
+  yield* docs;
+})();
+
+// Minimal stand-in for the native driver collections used by the migrations
+const createDb = () => {
+  const collections = {};
+  return {
+    collections,
+    collection: (name) => {
+      if (!collections[name]) {
+        collections[name] = {
+          find: jest.fn(() => cursor([])),
+          findOne: jest.fn().mockResolvedValue(null),
+          updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }),
+          bulkWrite: jest.fn()
+        };
+      }
+      return collections[name];
+    }
+  };
+};
+
+describe('Legacy card migrations', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('003-legacy-card-data', () => {
+    it('moves plaintext and encrypted card data into the vault and removes it from the card', async () => {
+      const db = createDb();
+      const virtualCards = db.collection('virtualcards');
+      virtualCards.find.mockReturnValueOnce(cursor([
+        { _id: 'card1', userId: 'user1', cardNumber: '4111111111111111', cvv: '123' },
+        { _id: 'card2', userId: 'user2', encryptedCardNumber: 'k2026:5555555555554444', encryptedCvv: 'k2026:321' }
+      ]));
+      cardVault.tokenize.mockResolvedValueOnce({ token: 'tok_1', last4: '1111', brand: 'visa' })
+        .mockResolvedValueOnce({ token: 'tok_2', last4: '4444', brand: 'mastercard' });
+
+      const results = await legacyCardData.up(db);
+
+      expect(cardVault.tokenize).toHaveBeenCalledWith(
+        { ownerId: 'user2', cardId: 'card2', pan: '5555555555554444', cvv: '321' },
+        { actor: '003-legacy-card-data' }
+      );
+      expect(virtualCards.updateOne).toHaveBeenCalledWith(
+        {
+          _id: 'card1',
+          cardNumber: '4111111111111111',
+          cvv: '123',
+          encryptedCardNumber: { $exists: false },
+          encryptedCvv: { $exists: false },
+          vaultToken: { $exists: false }
+        },
+        {
+          $set: { vaultToken: 'tok_1', last4Digits: '1111', cardBrand: 'visa' },
+          $unset: { cardNumber: '', cvv: '', encryptedCardNumber: '', encryptedCvv: '' }
+        }
+      );
+      expect(results).toMatchObject({ tokenized: 2, skipped: 0, failed: 0, backfilled: 0 });
+    });
+
+    it('deletes the new token when the card changed concurrently, and reports unreadable cards', async () => {
+      const db = createDb();
+      const virtualCards = db.collection('virtualcards');
+      virtualCards.find.mockReturnValueOnce(cursor([
+        { _id: 'card1', userId: 'user1', cardNumber: '4111111111111111' },
+        { _id: 'card2', userId: 'user2', cvv: '123' }
+      ]));
+      virtualCards.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+      cardVault.tokenize.mockResolvedValue({ token: 'tok_1', last4: '1111', brand: 'visa' });
+
+      const results = await legacyCardData.up(db);
+
+      expect(cardVault.deleteToken).toHaveBeenCalledWith('tok_1', { actor: '003-legacy-card-data', reason: 'Card changed during migration' });
+      expect(results).toMatchObject({ tokenized: 0, skipped: 1, failed: 1, failedIds: ['card2'] });
+    });
+
+    it('backfills spending limits and issuer card IDs from legacy fields', async () => {
+      const db = createDb();
+      const virtualCards = db.collection('virtualcards');
+      virtualCards.find.mockReturnValueOnce(cursor([])).mockReturnValueOnce(cursor([
+        { _id: 'card1', spendingLimit: 250, externalCardId: 'ext_1' },
+        { _id: 'card2', spendingLimits: { daily: 500 }, spendingLimit: 500, externalCardId: 'ext_2' }
+      ]));
+
+      const results = await legacyCardData.up(db);
+
+      expect(results.backfilled).toBe(2);
+      expect(virtualCards.bulkWrite.mock.calls[0][0].map(write => write.updateOne.update)).toEqual([
+        { $set: { 'spendingLimits.daily': 250, issuerCardId: 'ext_1' } },
+        { $set: { issuerCardId: 'ext_2' } }
+      ]);
+    });
+
+    it('does not tokenize or write anything on a dry run', async () => {
+      const db = createDb();
+      const virtualCards = db.collection('virtualcards');
+      virtualCards.find.mockReturnValueOnce(cursor([{ _id: 'card1', userId: 'user1', cardNumber: '4111111111111111' }]));
+
+      const results = await legacyCardData.up(db, { dryRun: true });
+
+      expect(results.tokenized).toBe(1);
+      expect(cardVault.tokenize).not.toHaveBeenCalled();
+      expect(virtualCards.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('004-legacy-bitnob-cards', () => {
+    const legacyCard = (fields = {}) => ({
+      _id: 'card1',
+      userId: 'user1',
+      bitnobCardId: 'bn_1',
+      cardType: 'visa',
+      cardNumber: '4111111111111111',
+      cvv: '123',
+      expiryDate: '09/2027',
+      balance: 12.5,
+      status: 'active',
+      spendingLimit: 300,
+      ...fields
+    });
+
+    it('copies legacy cards into vaulted virtual cards with the same ID and books their balance', async () => {
+      const db = createDb();
+      db.collection('cards').find.mockReturnValueOnce(cursor([legacyCard()]));
+
+      const results = await legacyBitnobCards.up(db);
+
+      const card = VirtualCard.mock.instances[0];
+      expect(VirtualCard).toHaveBeenCalledWith(expect.objectContaining({
+        _id: 'card1',
+        issuerProvider: 'bitnob',
+        issuerCardId: 'bn_1',
+        expiryMonth: '09',
+        expiryYear: '27',
+        spendingLimits: { daily: 300 },
+        status: 'active'
+      }));
+      expect(card.storeCardDetails).toHaveBeenCalledWith('4111111111111111', '123');
+      expect(card.save).toHaveBeenCalled();
+      expect(ledgerService.recordCardLoad).toHaveBeenCalledWith({ card, amountMinor: 1250, source: 'bitnob', currency: 'USD' });
+      expect(db.collection('cards').updateOne).toHaveBeenCalledWith({ _id: 'card1' }, { $set: { migratedAt: expect.any(Date) } });
+      expect(results).toEqual({ migrated: 1, skipped: 0, skippedIds: [] });
+    });
+
+    it('closes expired cards and skips cards without a usable expiry', async () => {
+      const db = createDb();
+      db.collection('cards').find.mockReturnValueOnce(cursor([
+        legacyCard({ status: 'expired', balance: 0, expiresAt: new Date('2024-03-31') }),
+        legacyCard({ _id: 'card2', expiryDate: '13/27' })
+      ]));
+
+      const results = await legacyBitnobCards.up(db);
+
+      expect(VirtualCard).toHaveBeenCalledWith(expect.objectContaining({ status: 'closed', closedAt: new Date('2024-03-31') }));
+      expect(ledgerService.recordCardLoad).not.toHaveBeenCalled();
+      expect(results).toEqual({ migrated: 1, skipped: 1, skippedIds: ['card2'] });
+    });
+
+    it('parses expiry dates in the legacy formats', () => {
+      expect(legacyBitnobCards.parseExpiry({ expiryDate: '3/27' })).toEqual({ expiryMonth: '03', expiryYear: '27' });
+      expect(legacyBitnobCards.parseExpiry({ expiryDate: 'soon', expiresAt: new Date(Date.UTC(2028, 10, 30)) }))
+        .toEqual({ expiryMonth: '11', expiryYear: '28' });
+      expect(legacyBitnobCards.parseExpiry({ expiryDate: '' })).toBeNull();
+    });
+
+    it('rolls back unused copies and keeps cards used since', async () => {
+      const db = createDb();
+      db.collection('cards').find.mockReturnValueOnce(cursor([legacyCard({ migratedAt: new Date() }), legacyCard({ _id: 'card2', migratedAt: new Date() })]));
+      VirtualCard.findOne
+        .mockReturnValueOnce({ select: jest.fn().mockResolvedValue({ _id: 'card1', vaultToken: 'tok_1' }) })
+        .mockReturnValueOnce({ select: jest.fn().mockResolvedValue({ _id: 'card2', vaultToken: 'tok_2' }) });
+      const opening = { _id: 'entry1', eventType: 'card_funding', metadata: { source: 'bitnob' } };
+      JournalEntry.find.mockResolvedValueOnce([opening]).mockResolvedValueOnce([opening, { _id: 'entry2', eventType: 'card_spend' }]);
+
+      const results = await legacyBitnobCards.down(db);
+
+      expect(ledgerService.reverseEntry).toHaveBeenCalledWith('entry1', 'Rollback of migration 004-legacy-bitnob-cards');
+      expect(cardVault.deleteToken).toHaveBeenCalledWith('tok_1', expect.objectContaining({ actor: '004-legacy-bitnob-cards' }));
+      expect(VirtualCard.deleteOne).toHaveBeenCalledWith({ _id: 'card1' });
+      expect(VirtualCard.deleteOne).toHaveBeenCalledTimes(1);
+      expect(db.collection('cards').updateOne).toHaveBeenCalledWith({ _id: 'card1' }, { $unset: { migratedAt: '' } });
+      expect(results).toEqual({ reverted: 1, skipped: 1, skippedIds: ['card2'] });
+    });
+  });
+
+  describe('005-wipe-bitnob-card-plaintext', () => {
+    it('wipes plaintext only from cards whose copy is in the vault', async () => {
+      const db = createDb();
+      db.collection('cards').find.mockReturnValueOnce(cursor([{ _id: 'card1' }, { _id: 'card2' }]));
+      db.collection('virtualcards').findOne.mockResolvedValueOnce({ _id: 'card1' }).mockResolvedValueOnce(null);
+
+      const results = await wipeBitnobPlaintext.up(db);
+
+      expect(db.collection('cards').updateOne).toHaveBeenCalledTimes(1);
+      expect(db.collection('cards').updateOne).toHaveBeenCalledWith({ _id: 'card1' }, { $unset: { cardNumber: '', cvv: '' } });
+      expect(results).toEqual({ cards: 1, skipped: 1, skippedIds: ['card2'] });
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const path = require('path');
+const migrate = require('../../scripts/migrate');
+
+// Minimal stand-in for the `migrations` records collection
+const createDb = (records = []) => {
+  const collection = {
+    find: () => ({
+      sort: () => ({ toArray: async () => [...records].sort((a, b) => a.version - b.version) })
+    }),
+    insertOne: jest.fn(async (record) => { records.push(record); }),
+    deleteOne: jest.fn(async ({ _id }) => { records.splice(records.findIndex(record => record._id === _id), 1); })
+  };
+  return { records, collection: () => collection };
+};
+
+const migration = (version, name, { reversible = true } = {}) => ({
+  id: `${String(version).padStart(3, '0')}-${name}`,
+  version,
+  up: jest.fn().mockResolvedValue({ [name]: 'up' }),
+  down: reversible ? jest.fn().mockResolvedValue({ [name]: 'down' }) : undefined
+});
+
+describe('Migration runner', () => {
+  it('loads the migrations in version order', () => {
+    const migrations = migrate.loadMigrations(path.join(__dirname, '../../scripts/migrations'));
+
+    expect(migrations.map(m => m.version)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(migrations[0].id).toBe('001-money-minor-units');
+    expect(migrations.filter(m => typeof m.down !== 'function').map(m => m.id))
+      .toEqual(['003-legacy-card-data', '005-wipe-bitnob-card-plaintext']);
+  });
+
+  it('applies pending migrations in order and records them', async () => {
+    const migrations = [migration(1, 'first'), migration(2, 'second'), migration(3, 'third')];
+    const db = createDb([{ _id: '001-first', version: 1, appliedAt: new Date() }]);
+
+    const ran = await migrate.up(db, { migrations, to: 2 });
+
+    expect(migrations[0].up).not.toHaveBeenCalled();
+    expect(migrations[1].up).toHaveBeenCalledWith(db, { dryRun: false });
+    expect(migrations[2].up).not.toHaveBeenCalled();
+    expect(ran).toEqual([{ id: '002-second', results: { second: 'up' } }]);
+    expect(db.records[1]).toEqual({
+      _id: '002-second', version: 2, appliedAt: expect.any(Date), durationMs: expect.any(Number), results: { second: 'up' }
+    });
+
+    const status = await migrate.getStatus(db, { migrations });
+    expect(status.map(m => Boolean(m.appliedAt))).toEqual([true, true, false]);
+  });
+
+  it('records nothing on a dry run', async () => {
+    const migrations = [migration(1, 'first')];
+    const db = createDb();
+
+    await migrate.up(db, { migrations, dryRun: true });
+
+    expect(migrations[0].up).toHaveBeenCalledWith(db, { dryRun: true });
+    expect(db.records).toEqual([]);
+  });
+
+  it('stops at the first failing migration, leaving it pending', async () => {
+    const migrations = [migration(1, 'first'), migration(2, 'second'), migration(3, 'third')];
+    migrations[1].up.mockRejectedValue(new Error('duplicate key'));
+    const db = createDb();
+
+    await expect(migrate.up(db, { migrations })).rejects.toThrow('Migration 002-second (up) failed: duplicate key');
+
+    expect(db.records.map(record => record._id)).toEqual(['001-first']);
+    expect(migrations[2].up).not.toHaveBeenCalled();
+  });
+
+  it('rolls back the last migration, or down to a version', async () => {
+    const migrations = [migration(1, 'first'), migration(2, 'second'), migration(3, 'third')];
+    const db = createDb(migrations.map(m => ({ _id: m.id, version: m.version })));
+
+    await migrate.down(db, { migrations });
+    expect(migrations[2].down).toHaveBeenCalledWith(db, { dryRun: false });
+    expect(migrations[1].down).not.toHaveBeenCalled();
+
+    await migrate.down(db, { migrations, to: 0 });
+    expect(migrations[1].down.mock.invocationCallOrder[0]).toBeLessThan(migrations[0].down.mock.invocationCallOrder[0]);
+    expect(db.records).toEqual([]);
+  });
+
+  it('refuses to roll back past an irreversible migration without running anything', async () => {
+    const migrations = [migration(1, 'first'), migration(2, 'wipe', { reversible: false }), migration(3, 'third')];
+    const db = createDb(migrations.map(m => ({ _id: m.id, version: m.version })));
+
+    await expect(migrate.down(db, { migrations, to: 1 })).rejects.toThrow('Migration 002-wipe cannot be rolled back');
+
+    expect(migrations[2].down).not.toHaveBeenCalled();
+    expect(db.records).toHaveLength(3);
+  });
+});
@@ -0,0 +1,58 @@
+const migration = require('../../scripts/migrations/001-money-minor-units');
+
+// Minimal stand-in for the native driver collection API used by the migration
+const createDb = (data) => {
+  const writes = {};
+  return {
+    writes,
+    collection: (name) => ({
+      find: () => (async function* () {
+        yield* (data[name] || []);
+      })(),
+      bulkWrite: jest.fn(async (operations) => {
+        writes[name] = (writes[name] || []).concat(operations);
+      })
+    })
+  };
+};
+
+describe('Money minor units migration', () => {
+  it('moves float amounts to integer minor-unit fields', async () => {
+    const db = createDb({
+      transactions: [{ _id: 't1', amount: 19.99, balanceAfter: 0.3, currency: 'USD' }],
+      users: [{ _id: 'u1', walletBalance: 100.1 }]
+    });
+
+    const results = await migration.up(db);
+
+    expect(results).toEqual({ transactions: 1, virtualcards: 0, users: 1, giftcards: 0 });
+    expect(db.writes.transactions[0].updateOne.update).toEqual({
+      $set: { amountMinor: 1999, balanceAfterMinor: 30 },
+      $unset: { amount: '', balanceAfter: '' }
+    });
+    expect(db.writes.users[0].updateOne.update).toEqual({
+      $set: { walletBalanceMinor: 10010, walletCurrency: 'USD' },
+      $unset: { walletBalance: '' }
+    });
+  });
+
+  it('restores major-unit fields on down', async () => {
+    const db = createDb({ giftcards: [{ _id: 'g1', amountMinor: 2500, balanceMinor: 1250, currency: 'USD' }] });
+
+    await migration.down(db);
+
+    expect(db.writes.giftcards[0].updateOne.update).toEqual({
+      $set: { amount: 25, balance: 12.5 },
+      $unset: { amountMinor: '', balanceMinor: '' }
+    });
+  });
+
+  it('does not write anything on a dry run', async () => {
+    const db = createDb({ users: [{ _id: 'u1', walletBalance: 5 }] });
+
+    const results = await migration.up(db, { dryRun: true });
+
+    expect(results.users).toBe(1);
+    expect(db.writes.users).toBeUndefined();
+  });
+});
@@ -0,0 +1,107 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/JournalEntry', () => ({ find: jest.fn() }));
+jest.mock('../../services/ledgerService', () => {
+  const account = (type, code, currency, ownerId) => ({ type, code, currency, ownerId });
+  return {
+    walletAccount: jest.fn((userId, currency) => account('wallet', `wallet:${userId}:${currency}`, currency, userId)),
+    cardAccount: jest.fn((cardId, currency) => account('card', `card:${cardId}:${currency}`, currency, cardId)),
+    recordOpeningBalance: jest.fn(),
+    reverseEntry: jest.fn()
+  };
+});
+
+const openingBalances = require('../../scripts/migrations/006-ledger-opening-balances');
+const JournalEntry = require('../../models/JournalEntry');
+const ledgerService = require('../../services/ledgerService');
+
+const cursor = docs => (async function* () {
+  yield* docs;
+})();
+
+// Native driver collections, with ledger account balances keyed by code
+const createDb = ({ users = [], cards = [], ledgerBalances = {} } = {}) => {
+  const collections = {
+    users: { find: jest.fn(() => cursor(users)) },
+    virtualcards: { find: jest.fn(() => cursor(cards)) },
+    ledgeraccounts: {
+      findOne: jest.fn(async ({ code }) => (code in ledgerBalances ? { balance: ledgerBalances[code] } : null))
+    }
+  };
+  return { collections, collection: name => collections[name] };
+};
+
+describe('006-ledger-opening-balances', () => {
+  const migration = '006-ledger-opening-balances';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('opens every wallet currency and card balance missing from the ledger', async () => {
+    const db = createDb({
+      users: [
+        { _id: 'user1', walletBalances: { USD: 10000, EUR: 2500 } },
+        { _id: 'user2', walletBalances: { USD: 0 } }
+      ],
+      cards: [
+        { _id: 'card1', userId: 'user1', currency: 'USD', balanceMinor: 4000 },
+        { _id: 'card2', userId: 'user2', balanceMinor: 1250 }
+      ],
+      // Part of user1's USD balance arrived after the ledger went live
+      ledgerBalances: { 'wallet:user1:USD': 3000 }
+    });
+
+    const results = await openingBalances.up(db);
+
+    expect(ledgerService.recordOpeningBalance.mock.calls.map(([params]) => [params.account.code, params.userId, params.amountMinor]))
+      .toEqual([
+        ['wallet:user1:USD', 'user1', 7000],
+        ['wallet:user1:EUR', 'user1', 2500],
+        ['card:card1:USD', 'user1', 4000],
+        ['card:card2:USD', 'user2', 1250]
+      ]);
+    expect(ledgerService.recordOpeningBalance).toHaveBeenCalledWith(expect.objectContaining({ migration }));
+    expect(results).toEqual({ wallets: 2, cards: 2, skipped: 0, skippedAccounts: [] });
+  });
+
+  it('leaves balances already on the ledger alone and reports ledgers above the recorded balance', async () => {
+    const db = createDb({
+      cards: [
+        { _id: 'card1', userId: 'user1', currency: 'USD', balanceMinor: 1250 },
+        { _id: 'card2', userId: 'user1', currency: 'USD', balanceMinor: 500 }
+      ],
+      ledgerBalances: { 'card:card1:USD': 1250, 'card:card2:USD': 800 }
+    });
+
+    const results = await openingBalances.up(db);
+
+    expect(ledgerService.recordOpeningBalance).not.toHaveBeenCalled();
+    expect(results).toEqual({ wallets: 0, cards: 0, skipped: 1, skippedAccounts: ['card:card2:USD'] });
+  });
+
+  it('posts nothing on a dry run', async () => {
+    const db = createDb({ users: [{ _id: 'user1', walletBalances: { USD: 10000 } }] });
+
+    const results = await openingBalances.up(db, { dryRun: true });
+
+    expect(ledgerService.recordOpeningBalance).not.toHaveBeenCalled();
+    expect(results.wallets).toBe(1);
+  });
+
+  it('reverses its opening entries without moving balances', async () => {
+    JournalEntry.find.mockResolvedValue([{ _id: 'entry1' }, { _id: 'entry2' }]);
+
+    const results = await openingBalances.down(createDb());
+
+    expect(JournalEntry.find).toHaveBeenCalledWith({
+      eventType: 'opening_balance',
+      'metadata.migration': migration,
+      reversedBy: { $exists: false }
+    });
+    expect(ledgerService.reverseEntry).toHaveBeenCalledWith('entry1', `Rollback of migration ${migration}`, { applyProjections: false });
+    expect(ledgerService.reverseEntry).toHaveBeenCalledTimes(2);
+    expect(results).toEqual({ reverted: 2 });
+  });
+});
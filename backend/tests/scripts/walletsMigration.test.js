@@ -0,0 +1,57 @@
+const migration = require('../../scripts/migrations/002-multi-currency-wallets');
+
+// Minimal stand-in for the native driver collection API used by the migration
+const createDb = (users) => {
+  const writes = [];
+  return {
+    writes,
+    collection: () => ({
+      find: () => (async function* () {
+        yield* users;
+      })(),
+      bulkWrite: jest.fn(async (operations) => {
+        writes.push(...operations);
+      })
+    })
+  };
+};
+
+describe('Multi-currency wallets migration', () => {
+  it('moves the wallet balance under the wallet currency', async () => {
+    const db = createDb([
+      { _id: 'u1', walletBalanceMinor: 10010, walletCurrency: 'EUR' },
+      { _id: 'u2', walletBalanceMinor: 500 }
+    ]);
+
+    const results = await migration.up(db);
+
+    expect(results.users).toBe(2);
+    expect(db.writes.map(write => write.updateOne.update)).toEqual([
+      { $set: { 'walletBalances.EUR': 10010, walletCurrency: 'EUR' }, $unset: { walletBalanceMinor: '' } },
+      { $set: { 'walletBalances.USD': 500, walletCurrency: 'USD' }, $unset: { walletBalanceMinor: '' } }
+    ]);
+  });
+
+  it('skips users holding other currencies on down', async () => {
+    const db = createDb([
+      { _id: 'u1', walletCurrency: 'USD', walletBalances: { USD: 700, EUR: 0 } },
+      { _id: 'u2', walletCurrency: 'USD', walletBalances: { USD: 100, GBP: 250 } }
+    ]);
+
+    const results = await migration.down(db);
+
+    expect(results).toMatchObject({ users: 1, skipped: 1, skippedIds: ['u2'] });
+    expect(db.writes[0].updateOne.update).toEqual({
+      $set: { walletBalanceMinor: 700 },
+      $unset: { walletBalances: '' }
+    });
+  });
+
+  it('does not write anything on a dry run', async () => {
+    const db = createDb([{ _id: 'u1', walletBalanceMinor: 500 }]);
+
+    await migration.up(db, { dryRun: true });
+
+    expect(db.writes).toEqual([]);
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/VirtualCard', () => ({ findOne: jest.fn() }));
+jest.mock('../../services/balanceUpdateService', () => ({ checkSpendingLimits: jest.fn() }));
+jest.mock('../../services/fraudDetectionService', () => ({ analyzeTransaction: jest.fn() }));
+jest.mock('../../services/cardUsageService', () => ({ checkAuthorization: jest.fn() }));
+
+const authorizationDecisionService = require('../../services/authorizationDecisionService');
+const VirtualCard = require('../../models/VirtualCard');
+const balanceUpdateService = require('../../services/balanceUpdateService');
+const fraudDetectionService = require('../../services/fraudDetectionService');
+const cardUsageService = require('../../services/cardUsageService');
+const { logger } = require('../../utils/logger');
+
+const card = (fields = {}) => ({
+  _id: 'card123',
+  status: 'active',
+  currency: 'USD',
+  merchantCategories: [],
+  availableBalance: 30,
+  availableBalanceMinor: 3000,
+  ...fields
+});
+
+const request = (fields = {}) => ({
+  provider: 'stripe',
+  issuerAuthorizationId: 'iauth_1',
+  issuerCardId: 'ic_1',
+  amount: 25,
+  currency: 'USD',
+  merchant: { name: 'Coffee Shop', category: 'retail' },
+  ...fields
+});
+
+describe('AuthorizationDecisionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authorizationDecisionService.budgetMs = 1500;
+    VirtualCard.findOne.mockResolvedValue(card());
+    balanceUpdateService.checkSpendingLimits.mockResolvedValue({ allowed: true });
+    fraudDetectionService.analyzeTransaction.mockResolvedValue({ fraudScore: 10, indicators: [], shouldBlock: false });
+    cardUsageService.checkAuthorization.mockReturnValue({ allowed: true });
+  });
+
+  it('approves when every check passes and logs the decision', async () => {
+    const decision = await authorizationDecisionService.decide(request());
+
+    expect(decision).toMatchObject({ approved: true, code: 'approved', amount: 25, cardId: 'card123', fraudScore: 10 });
+    expect(decision.checks.map(check => check.name)).toEqual(['currency', 'merchant_category', 'usage_type', 'usage_controls', 'spending_limits', 'fraud']);
+    expect(balanceUpdateService.checkSpendingLimits).toHaveBeenCalledWith(expect.objectContaining({ _id: 'card123' }), 25, 'authorization');
+    expect(logger.info).toHaveBeenCalledWith('Authorization decision', expect.objectContaining({
+      issuerAuthorizationId: 'iauth_1',
+      approved: true,
+      reason: 'All checks passed'
+    }));
+  });
+
+  it('declines unknown cards', async () => {
+    VirtualCard.findOne.mockResolvedValue(null);
+
+    const decision = await authorizationDecisionService.decide(request());
+
+    expect(decision).toMatchObject({ approved: false, code: 'card_not_found', amount: 0 });
+  });
+
+  it('declines merchants outside the card categories', async () => {
+    VirtualCard.findOne.mockResolvedValue(card({ merchantCategories: ['travel', 'gas'] }));
+
+    const decision = await authorizationDecisionService.decide(request());
+
+    expect(decision).toMatchObject({ approved: false, code: 'merchant_category_blocked' });
+    expect(balanceUpdateService.checkSpendingLimits).not.toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith('Authorization decision', expect.objectContaining({
+      code: 'merchant_category_blocked',
+      reason: 'Merchant category retail is not allowed on this card'
+    }));
+  });
+
+  it('declines merchants whose MCC is outside the card categories', async () => {
+    VirtualCard.findOne.mockResolvedValue(card({ merchantCategories: ['grocery'] }));
+
+    const decision = await authorizationDecisionService.decide(request({ merchant: { name: 'Fuel Stop', category: 'grocery', mcc: '5541' } }));
+
+    expect(decision).toMatchObject({ approved: false, code: 'merchant_category_blocked', reason: 'MCC 5541 (Service Stations) is not allowed on this card' });
+  });
+
+  it('declines merchant-locked cards at another merchant', async () => {
+    cardUsageService.checkAuthorization.mockReturnValue({ allowed: false, code: 'merchant_locked', reason: 'Card is locked to Streaming Co' });
+
+    const decision = await authorizationDecisionService.decide(request());
+
+    expect(decision).toMatchObject({ approved: false, code: 'merchant_locked', reason: 'Card is locked to Streaming Co' });
+    expect(balanceUpdateService.checkSpendingLimits).not.toHaveBeenCalled();
+  });
+
+  it('declines merchants abroad when international use is off', async () => {
+    VirtualCard.findOne.mockResolvedValue(card({ usageControls: { allowInternational: false, homeCountry: 'US' } }));
+
+    const decision = await authorizationDecisionService.decide(request({ merchant: { name: 'Cafe', country: 'GBR' } }));
+
+    expect(decision).toMatchObject({ approved: false, code: 'international_blocked' });
+    expect(balanceUpdateService.checkSpendingLimits).not.toHaveBeenCalled();
+  });
+
+  it('maps spending limit failures to decline codes', async () => {
+    balanceUpdateService.checkSpendingLimits.mockResolvedValue({ allowed: false, limitType: 'card_status', reason: 'Card is frozen' });
+
+    const decision = await authorizationDecisionService.decide(request());
+
+    expect(decision).toMatchObject({ approved: false, code: 'card_inactive', reason: 'Card is frozen' });
+    expect(fraudDetectionService.analyzeTransaction).not.toHaveBeenCalled();
+  });
+
+  it('approves the available balance when the merchant accepts partial approval', async () => {
+    balanceUpdateService.checkSpendingLimits.mockResolvedValue({ allowed: false, limitType: 'balance', reason: 'Insufficient balance' });
+
+    const decision = await authorizationDecisionService.decide(request({ amount: 40, partialApprovalAllowed: true }));
+
+    expect(decision).toMatchObject({ approved: true, code: 'partial_approval', amount: 30, requestedAmount: 40 });
+  });
+
+  it('declines insufficient funds without partial approval', async () => {
+    balanceUpdateService.checkSpendingLimits.mockResolvedValue({ allowed: false, limitType: 'balance', reason: 'Insufficient balance' });
+
+    const decision = await authorizationDecisionService.decide(request({ amount: 40 }));
+
+    expect(decision).toMatchObject({ approved: false, code: 'insufficient_funds' });
+  });
+
+  it('declines when fraud analysis blocks the transaction', async () => {
+    fraudDetectionService.analyzeTransaction.mockResolvedValue({ fraudScore: 85, indicators: ['velocity_exceeded'], shouldBlock: true });
+
+    const decision = await authorizationDecisionService.decide(request());
+
+    expect(decision).toMatchObject({ approved: false, code: 'suspected_fraud', reason: 'Fraud score 85 (velocity_exceeded)' });
+  });
+
+  it('declines when the checks do not finish within the time budget', async () => {
+    authorizationDecisionService.budgetMs = 20;
+    fraudDetectionService.analyzeTransaction.mockImplementation(() => new Promise(resolve => {
+      setTimeout(() => resolve({ fraudScore: 0, indicators: [], shouldBlock: false }), 200);
+    }));
+
+    const decision = await authorizationDecisionService.decide(request());
+
+    expect(decision).toMatchObject({ approved: false, code: 'timeout' });
+    expect(decision.checks.map(check => check.name)).toEqual(['currency', 'merchant_category', 'usage_type', 'usage_controls', 'spending_limits']);
+    expect(authorizationDecisionService.getStats().timedOut).toBeGreaterThan(0);
+  });
+
+  it('declines when a check fails', async () => {
+    VirtualCard.findOne.mockRejectedValue(new Error('connection lost'));
+
+    const decision = await authorizationDecisionService.decide(request());
+
+    expect(decision).toMatchObject({ approved: false, code: 'system_error', reason: 'Decision failed: connection lost' });
+  });
+});
@@ -0,0 +1,242 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/AuthorizationHold', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../models/Transaction', () => ({ updateOne: jest.fn() }));
+jest.mock('../../models/VirtualCard', () => ({ updateOne: jest.fn(), findById: jest.fn() }));
+jest.mock('../../services/productionCardService', () => ({ defundCard: jest.fn() }));
+jest.mock('../../utils/scheduler', () => ({ schedule: jest.fn() }));
+jest.mock('../../utils/mongoTransaction', () => ({
+  withTransaction: jest.fn(work => work('session123'))
+}));
+
+const authorizationHoldService = require('../../services/authorizationHoldService');
+const AuthorizationHold = require('../../models/AuthorizationHold');
+const Transaction = require('../../models/Transaction');
+const VirtualCard = require('../../models/VirtualCard');
+const productionCardService = require('../../services/productionCardService');
+
+const hold = (fields = {}) => ({
+  _id: 'hold123',
+  cardId: 'card123',
+  transactionId: 'auth123',
+  currency: 'USD',
+  authorizedMinor: 5000,
+  amountMinor: 5000,
+  clearedMinor: 0,
+  increments: [],
+  status: 'active',
+  ...fields
+});
+
+// findOneAndUpdate result: the hold with the update applied
+const applied = (current, update) => {
+  const result = { ...current, ...update.$set };
+  for (const [path, value] of Object.entries(update.$inc || {})) {
+    result[path] = (result[path] || 0) + value;
+  }
+  return Promise.resolve(result);
+};
+
+describe('AuthorizationHoldService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('placeHold', () => {
+    it('saves the authorization and holds the approved amount on the card', async () => {
+      const transaction = { _id: 'auth123', currency: 'USD', save: jest.fn() };
+      AuthorizationHold.create.mockImplementation(([data]) => Promise.resolve([{ ...data, isPartial: true }]));
+
+      const result = await authorizationHoldService.placeHold({
+        card: { _id: 'card123', userId: 'user123' },
+        transaction,
+        amountMinor: 4000,
+        requestedMinor: 6000,
+        issuerAuthorizationId: 'iauth_1'
+      });
+
+      expect(transaction.save).toHaveBeenCalledWith({ session: 'session123' });
+      expect(AuthorizationHold.create).toHaveBeenCalledWith([expect.objectContaining({
+        cardId: 'card123',
+        transactionId: 'auth123',
+        requestedMinor: 6000,
+        authorizedMinor: 4000,
+        amountMinor: 4000
+      })], { session: 'session123' });
+      expect(result.expiresAt.getTime()).toBeGreaterThan(Date.now() + 6 * 24 * 60 * 60 * 1000);
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith(
+        { _id: 'card123' },
+        { $inc: { heldMinor: 4000 } },
+        { session: 'session123' }
+      );
+    });
+  });
+
+  describe('incrementHold', () => {
+    it('grows the hold, the authorization and the held balance', async () => {
+      AuthorizationHold.findOneAndUpdate.mockImplementation((filter, update) => applied(hold(), update));
+
+      const result = await authorizationHoldService.incrementHold(hold(), 1500, 'iauth_2');
+
+      expect(AuthorizationHold.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'hold123', status: 'active', amountMinor: 5000 },
+        expect.objectContaining({
+          $inc: { amountMinor: 1500, authorizedMinor: 1500 },
+          $push: { increments: { issuerTransactionId: 'iauth_2', amountMinor: 1500 } }
+        }),
+        { new: true, session: 'session123' }
+      );
+      expect(result.amountMinor).toBe(6500);
+      expect(Transaction.updateOne).toHaveBeenCalledWith({ _id: 'auth123' }, { $inc: { amountMinor: 1500 } }, { session: 'session123' });
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith({ _id: 'card123' }, { $inc: { heldMinor: 1500 } }, { session: 'session123' });
+    });
+
+    it('ignores an increment it has already applied', async () => {
+      const result = await authorizationHoldService.incrementHold(
+        hold({ increments: [{ issuerTransactionId: 'iauth_2', amountMinor: 1500 }] }),
+        1500,
+        'iauth_2'
+      );
+
+      expect(result).toBeNull();
+      expect(AuthorizationHold.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseHold', () => {
+    it('releases part of a hold and keeps it active', async () => {
+      AuthorizationHold.findOneAndUpdate.mockImplementation((filter, update) => applied(hold(), update));
+
+      const result = await authorizationHoldService.releaseHold(hold(), { amountMinor: 2000, reason: 'reversal' });
+
+      expect(result).toMatchObject({ amountMinor: 3000, status: 'active' });
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith({ _id: 'card123' }, { $inc: { heldMinor: -2000 } }, { session: 'session123' });
+      expect(Transaction.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('cancels the authorization when the whole hold is released', async () => {
+      AuthorizationHold.findOneAndUpdate.mockImplementation((filter, update) => applied(hold(), update));
+
+      const result = await authorizationHoldService.releaseHold(hold(), { reason: 'expired', status: 'expired' });
+
+      expect(result).toMatchObject({ amountMinor: 0, status: 'expired', releaseReason: 'expired' });
+      expect(Transaction.updateOne).toHaveBeenCalledWith(
+        { _id: 'auth123', status: { $in: ['pending', 'completed'] } },
+        { $set: { status: 'cancelled', processingStatus: 'reversed', 'metadata.holdReleaseReason': 'expired' } },
+        { session: 'session123' }
+      );
+    });
+
+    it('returns funds released on a closed card to the wallet', async () => {
+      AuthorizationHold.findOneAndUpdate.mockImplementation((filter, update) => applied(hold(), update));
+      VirtualCard.findById.mockResolvedValue({
+        _id: 'card123', userId: 'user123', cardName: 'Travel', status: 'closed', balanceMinor: 5000, heldMinor: 3000
+      });
+
+      await authorizationHoldService.releaseHold(hold(), { amountMinor: 2000, reason: 'reversal' });
+
+      expect(productionCardService.defundCard).toHaveBeenCalledWith('user123', 'card123', 2000, {
+        description: 'Closed Travel: released hold returned to wallet'
+      });
+    });
+
+    it('keeps the release when the closed card cannot be swept', async () => {
+      AuthorizationHold.findOneAndUpdate.mockImplementation((filter, update) => applied(hold(), update));
+      VirtualCard.findById.mockResolvedValue({ _id: 'card123', userId: 'user123', status: 'closed', balanceMinor: 5000 });
+      productionCardService.defundCard.mockRejectedValue(new Error('Issuer unavailable'));
+
+      const result = await authorizationHoldService.releaseHold(hold(), { reason: 'expired', status: 'expired' });
+
+      expect(result).toMatchObject({ amountMinor: 0, status: 'expired' });
+    });
+
+    it('leaves funds released on open cards where they are', async () => {
+      AuthorizationHold.findOneAndUpdate.mockImplementation((filter, update) => applied(hold(), update));
+      VirtualCard.findById.mockResolvedValue({ _id: 'card123', status: 'active', balanceMinor: 5000 });
+
+      await authorizationHoldService.releaseHold(hold(), { reason: 'reversal' });
+
+      expect(productionCardService.defundCard).not.toHaveBeenCalled();
+    });
+
+    it('refuses to release a hold that changed since it was read', async () => {
+      AuthorizationHold.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(authorizationHoldService.releaseHold(hold(), { reason: 'reversal' }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'HOLD_CHANGED' });
+      expect(VirtualCard.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('settleAuthorization', () => {
+    beforeEach(() => {
+      AuthorizationHold.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue(hold()) });
+      AuthorizationHold.findOneAndUpdate.mockImplementation((filter, update) => applied(hold(), update));
+    });
+
+    it('consumes the whole hold on a final clearing for a different amount', async () => {
+      const result = await authorizationHoldService.settleAuthorization(
+        { _id: 'auth123' },
+        { transaction: { _id: 'clearing123' }, amountMinor: 5600 },
+        'session123'
+      );
+
+      expect(Transaction.updateOne).toHaveBeenCalledWith(
+        { _id: 'auth123' },
+        { $set: { processingStatus: 'settled', 'metadata.clearingTransactionId': 'clearing123' } },
+        { session: 'session123' }
+      );
+      expect(result).toMatchObject({ amountMinor: 0, status: 'cleared', clearedMinor: 5600 });
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith({ _id: 'card123' }, { $inc: { heldMinor: -5000 } }, { session: 'session123' });
+    });
+
+    it('keeps the rest held when more clearings will follow', async () => {
+      const result = await authorizationHoldService.settleAuthorization(
+        { _id: 'auth123' },
+        { transaction: { _id: 'clearing123' }, amountMinor: 2000, final: false },
+        'session123'
+      );
+
+      expect(result).toMatchObject({ amountMinor: 3000, status: 'active', clearedMinor: 2000 });
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith({ _id: 'card123' }, { $inc: { heldMinor: -2000 } }, { session: 'session123' });
+    });
+
+    it('only marks the authorization when its hold already expired', async () => {
+      AuthorizationHold.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+
+      const result = await authorizationHoldService.settleAuthorization(
+        { _id: 'auth123' },
+        { transaction: { _id: 'clearing123' }, amountMinor: 5000 },
+        'session123'
+      );
+
+      expect(result).toBeNull();
+      expect(Transaction.updateOne).toHaveBeenCalled();
+      expect(VirtualCard.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expireHolds', () => {
+    it('releases expired holds and counts failures', async () => {
+      AuthorizationHold.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          limit: jest.fn().mockResolvedValue([hold(), hold({ _id: 'hold456', transactionId: 'auth456' })])
+        })
+      });
+      AuthorizationHold.findOneAndUpdate
+        .mockImplementationOnce((filter, update) => applied(hold(), update))
+        .mockResolvedValueOnce(null);
+
+      const summary = await authorizationHoldService.expireHolds();
+
+      expect(AuthorizationHold.find).toHaveBeenCalledWith({ status: 'active', expiresAt: { $lte: expect.any(Date) } });
+      expect(summary).toEqual({ expired: 1, failed: 1 });
+    });
+  });
+});
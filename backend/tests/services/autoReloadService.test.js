@@ -0,0 +1,192 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/VirtualCard', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../models/Transaction', () => {
+  const Transaction = jest.fn(function(data) {
+    Object.assign(this, data, { _id: 'tx123' });
+  });
+  Transaction.countDocuments = jest.fn();
+  Transaction.find = jest.fn();
+  return Transaction;
+});
+jest.mock('../../services/ledgerService', () => ({ recordCardFunding: jest.fn() }));
+jest.mock('../../services/kycValidationService', () => ({ checkOperationPermission: jest.fn() }));
+jest.mock('../../services/emailService', () => ({ sendAutoReloadFailedEmail: jest.fn() }));
+jest.mock('../../utils/mongoTransaction', () => ({
+  withTransaction: jest.fn(work => work('session123'))
+}));
+
+const autoReloadService = require('../../services/autoReloadService');
+const VirtualCard = require('../../models/VirtualCard');
+const User = require('../../models/User');
+const Transaction = require('../../models/Transaction');
+const ledgerService = require('../../services/ledgerService');
+const kycValidationService = require('../../services/kycValidationService');
+const emailService = require('../../services/emailService');
+
+// Resolve like a Mongoose query, with or without .session()
+const query = (value) => Object.assign(Promise.resolve(value), {
+  session: jest.fn().mockResolvedValue(value)
+});
+
+const cardWithRule = (overrides = {}) => ({
+  _id: 'card123',
+  userId: 'user123',
+  cardName: 'Ads',
+  currency: 'USD',
+  status: 'active',
+  balanceMinor: 3000,
+  autoReload: { enabled: true, thresholdMinor: 5000, amountMinor: 20000, maxPerDay: 3 },
+  ...overrides
+});
+
+describe('AutoReloadService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    VirtualCard.findById.mockReturnValue(query(cardWithRule()));
+    Transaction.countDocuments.mockReturnValue(query(0));
+    Transaction.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+    kycValidationService.checkOperationPermission.mockResolvedValue({ allowed: true });
+    ledgerService.recordCardFunding.mockResolvedValue({ _id: 'entry123' });
+    User.findById.mockResolvedValue({ _id: 'user123', email: 'user@example.com' });
+  });
+
+  describe('evaluateCard', () => {
+    it('reloads a card below its threshold from the wallet', async () => {
+      const result = await autoReloadService.evaluateCard('card123', { trigger: 'balance_change' });
+
+      expect(result.status).toBe('reloaded');
+      expect(ledgerService.recordCardFunding).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user123',
+        cardId: 'card123',
+        amountMinor: 20000,
+        currency: 'USD',
+        transaction: expect.objectContaining({
+          type: 'card_funding',
+          balanceAfterMinor: 23000,
+          metadata: { autoReload: true, trigger: 'balance_change' }
+        })
+      }), { session: 'session123' });
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith(
+        { _id: 'card123' },
+        { $set: { 'autoReload.lastReloadAt': expect.any(Date) } },
+        { session: 'session123' }
+      );
+    });
+
+    it('leaves cards at or above the threshold alone', async () => {
+      VirtualCard.findById.mockReturnValue(query(cardWithRule({ balanceMinor: 5000 })));
+
+      await expect(autoReloadService.evaluateCard('card123'))
+        .resolves.toEqual({ status: 'skipped', reason: 'above_threshold' });
+      expect(ledgerService.recordCardFunding).not.toHaveBeenCalled();
+    });
+
+    it('stops after the daily number of reloads', async () => {
+      Transaction.countDocuments.mockReturnValue(query(3));
+
+      await expect(autoReloadService.evaluateCard('card123'))
+        .resolves.toEqual({ status: 'skipped', reason: 'daily_cap_reached' });
+      expect(ledgerService.recordCardFunding).not.toHaveBeenCalled();
+    });
+
+    it('checks the reload against KYC funding limits', async () => {
+      Transaction.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([{ amountMinor: 40000 }, { amountMinor: 10000 }])
+      });
+      kycValidationService.checkOperationPermission.mockResolvedValue({
+        allowed: false,
+        reason: 'Daily funding limit exceeded (1000)'
+      });
+
+      const result = await autoReloadService.evaluateCard('card123');
+
+      expect(kycValidationService.checkOperationPermission).toHaveBeenCalledWith('user123', 'fund_card', {
+        amount: 200,
+        currency: 'USD',
+        dailyTotal: 500,
+        monthlyTotal: 500
+      });
+      expect(result).toMatchObject({ status: 'failed', reason: 'Daily funding limit exceeded (1000)', notified: false });
+      expect(ledgerService.recordCardFunding).not.toHaveBeenCalled();
+      expect(emailService.sendAutoReloadFailedEmail).not.toHaveBeenCalled();
+    });
+
+    it('notifies the user when the wallet cannot cover the reload', async () => {
+      ledgerService.recordCardFunding.mockRejectedValue(
+        Object.assign(new Error('Insufficient funds'), { code: 'INSUFFICIENT_FUNDS' })
+      );
+
+      const result = await autoReloadService.evaluateCard('card123');
+
+      expect(result).toMatchObject({ status: 'failed', reason: 'Insufficient wallet balance', notified: true });
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith(
+        { _id: 'card123' },
+        {
+          $set: {
+            'autoReload.lastFailureAt': expect.any(Date),
+            'autoReload.lastFailureReason': 'Insufficient wallet balance',
+            'autoReload.lastNotifiedAt': expect.any(Date)
+          }
+        }
+      );
+      expect(emailService.sendAutoReloadFailedEmail).toHaveBeenCalledWith(
+        expect.objectContaining({ email: 'user@example.com' }),
+        expect.objectContaining({ _id: 'card123' }),
+        { reason: 'Insufficient wallet balance', amount: expect.any(String), cardBalance: expect.any(String) }
+      );
+    });
+
+    it('notifies at most once a day', async () => {
+      VirtualCard.findById.mockReturnValue(query(cardWithRule({
+        autoReload: { enabled: true, thresholdMinor: 5000, amountMinor: 20000, maxPerDay: 3, lastNotifiedAt: new Date() }
+      })));
+      ledgerService.recordCardFunding.mockRejectedValue(
+        Object.assign(new Error('Insufficient funds'), { code: 'INSUFFICIENT_FUNDS' })
+      );
+
+      const result = await autoReloadService.evaluateCard('card123');
+
+      expect(result.notified).toBe(false);
+      expect(emailService.sendAutoReloadFailedEmail).not.toHaveBeenCalled();
+    });
+
+    it('skips frozen and closed cards', async () => {
+      VirtualCard.findById.mockReturnValue(query(cardWithRule({ status: 'frozen' })));
+
+      await expect(autoReloadService.evaluateCard('card123'))
+        .resolves.toEqual({ status: 'skipped', reason: 'card_not_active' });
+    });
+  });
+
+  describe('runScheduled', () => {
+    it('evaluates cards below their threshold and reports the outcomes', async () => {
+      VirtualCard.find.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          limit: jest.fn().mockResolvedValue([{ _id: 'card123' }, { _id: 'card456' }])
+        })
+      });
+      VirtualCard.findById
+        .mockReturnValueOnce(query(cardWithRule()))
+        .mockReturnValueOnce(query(cardWithRule()))
+        .mockReturnValueOnce(query(cardWithRule({ _id: 'card456', balanceMinor: 9000 })));
+
+      const summary = await autoReloadService.runScheduled();
+
+      expect(VirtualCard.find).toHaveBeenCalledWith({
+        'autoReload.enabled': true,
+        status: 'active',
+        $expr: { $lt: ['$balanceMinor', '$autoReload.thresholdMinor'] }
+      });
+      expect(summary).toEqual({ evaluated: 2, reloaded: 1, failed: 0, skipped: 1 });
+    });
+  });
+});
@@ -0,0 +1,269 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/VirtualCard', () => ({ findOne: jest.fn(), findById: jest.fn() }));
+jest.mock('../../models/Transaction', () => {
+  const Transaction = jest.fn(function(data) {
+    const { amount, ...rest } = data;
+    Object.assign(this, { _id: 'txn123', amountMinor: Math.round(amount * 100), amount, ...rest });
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  Transaction.findOne = jest.fn();
+  Transaction.updateOne = jest.fn();
+  Transaction.aggregate = jest.fn().mockResolvedValue([]);
+  Transaction.getDailySpending = jest.fn().mockResolvedValue([]);
+  Transaction.spendMatch = jest.fn(() => ({}));
+  return Transaction;
+});
+jest.mock('../../services/ledgerService', () => ({
+  recordCardSpend: jest.fn(),
+  recordCardRefund: jest.fn()
+}));
+jest.mock('../../services/autoReloadService', () => ({ evaluateCard: jest.fn() }));
+jest.mock('../../services/authorizationHoldService', () => ({
+  placeHold: jest.fn(),
+  findActiveHold: jest.fn(),
+  incrementHold: jest.fn(),
+  releaseHold: jest.fn(),
+  settleAuthorization: jest.fn()
+}));
+jest.mock('../../services/cardUsageService', () => ({
+  checkAuthorization: jest.fn(() => ({ allowed: true })),
+  claimAuthorization: jest.fn(),
+  releaseClaim: jest.fn()
+}));
+jest.mock('../../utils/mongoTransaction', () => ({
+  withTransaction: jest.fn(work => work('session123'))
+}));
+
+const balanceUpdateService = require('../../services/balanceUpdateService');
+const VirtualCard = require('../../models/VirtualCard');
+const Transaction = require('../../models/Transaction');
+const ledgerService = require('../../services/ledgerService');
+const authorizationHoldService = require('../../services/authorizationHoldService');
+const cardUsageService = require('../../services/cardUsageService');
+
+const card = (fields = {}) => ({
+  _id: 'card123',
+  userId: 'user123',
+  issuerProvider: 'marqeta',
+  status: 'active',
+  currency: 'USD',
+  balance: 100,
+  balanceMinor: 10000,
+  heldMinor: 7000,
+  availableBalance: 30,
+  availableBalanceMinor: 3000,
+  spendingLimits: { perTransaction: 500, daily: 1000, monthly: 5000 },
+  ...fields
+});
+
+describe('BalanceUpdateService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    VirtualCard.findOne.mockResolvedValue(card());
+    cardUsageService.claimAuthorization.mockResolvedValue({ allowed: true });
+  });
+
+  it('holds an approved authorization instead of moving the ledger balance', async () => {
+    Transaction.findOne.mockResolvedValue(null);
+
+    const result = await balanceUpdateService.processTransactionUpdate({
+      cardId: 'issuer_card_1',
+      issuerTransactionId: 'iauth_1',
+      amount: 25,
+      type: 'authorization',
+      status: 'approved'
+    });
+
+    expect(ledgerService.recordCardSpend).not.toHaveBeenCalled();
+    expect(authorizationHoldService.placeHold).toHaveBeenCalledWith(expect.objectContaining({
+      amountMinor: 2500,
+      requestedMinor: 2500,
+      issuerAuthorizationId: 'iauth_1'
+    }));
+    expect(result).toMatchObject({ holdChanged: true, balanceUpdated: false });
+  });
+
+  it('declines authorizations above the available balance', async () => {
+    Transaction.findOne.mockResolvedValue(null);
+
+    const result = await balanceUpdateService.processTransactionUpdate({
+      cardId: 'issuer_card_1',
+      issuerTransactionId: 'iauth_1',
+      amount: 40,
+      type: 'authorization',
+      status: 'approved'
+    });
+
+    expect(result).toMatchObject({ declined: true });
+    expect(result.reason).toContain('Available: 30');
+    expect(authorizationHoldService.placeHold).not.toHaveBeenCalled();
+  });
+
+  it('declines authorizations at merchants outside the card categories', async () => {
+    VirtualCard.findOne.mockResolvedValue(card({ merchantCategories: ['travel'] }));
+    Transaction.findOne.mockResolvedValue(null);
+
+    const result = await balanceUpdateService.processTransactionUpdate({
+      cardId: 'issuer_card_1',
+      issuerTransactionId: 'iauth_1',
+      amount: 25,
+      type: 'authorization',
+      status: 'approved',
+      merchantInfo: { name: 'Corner Store', category: 'Unknown', mcc: '5411' }
+    });
+
+    expect(result).toMatchObject({ declined: true });
+    expect(result.transaction.metadata).toMatchObject({
+      declineCode: 'merchant_category_blocked',
+      limitType: 'merchant_category',
+      declineReason: 'MCC 5411 (Grocery Stores and Supermarkets) is not allowed on this card'
+    });
+    expect(authorizationHoldService.placeHold).not.toHaveBeenCalled();
+  });
+
+  it('declines a second authorization on a single-use card', async () => {
+    Transaction.findOne.mockResolvedValue(null);
+    cardUsageService.claimAuthorization.mockResolvedValue({
+      allowed: false,
+      code: 'single_use_consumed',
+      reason: 'Single-use card has already been used'
+    });
+
+    const result = await balanceUpdateService.processTransactionUpdate({
+      cardId: 'issuer_card_1',
+      issuerTransactionId: 'iauth_2',
+      amount: 10,
+      type: 'authorization',
+      status: 'approved',
+      merchantInfo: { name: 'Vendor' }
+    });
+
+    expect(result).toMatchObject({ declined: true, reason: 'Single-use card has already been used' });
+    expect(result.transaction.metadata).toMatchObject({ declineCode: 'single_use_consumed', limitType: 'usage_type' });
+    expect(authorizationHoldService.placeHold).not.toHaveBeenCalled();
+  });
+
+  it('releases the card claim when the hold cannot be placed', async () => {
+    Transaction.findOne.mockResolvedValue(null);
+    const claim = { allowed: true, claimedAt: new Date() };
+    cardUsageService.claimAuthorization.mockResolvedValue(claim);
+    authorizationHoldService.placeHold.mockRejectedValueOnce(new Error('write conflict'));
+
+    await expect(balanceUpdateService.processTransactionUpdate({
+      cardId: 'issuer_card_1',
+      issuerTransactionId: 'iauth_1',
+      amount: 10,
+      type: 'authorization',
+      status: 'approved'
+    })).rejects.toThrow('write conflict');
+
+    expect(cardUsageService.releaseClaim).toHaveBeenCalledWith(expect.objectContaining({ _id: 'card123' }), claim);
+  });
+
+  it('approves the available balance when the merchant accepts partial approval', async () => {
+    Transaction.findOne.mockResolvedValue(null);
+
+    const result = await balanceUpdateService.processTransactionUpdate({
+      cardId: 'issuer_card_1',
+      issuerTransactionId: 'iauth_1',
+      amount: 40,
+      type: 'authorization',
+      status: 'approved',
+      partialApprovalAllowed: true
+    });
+
+    expect(result.partial).toBe(true);
+    expect(result.transaction.metadata.requestedAmount).toBe(40);
+    expect(authorizationHoldService.placeHold).toHaveBeenCalledWith(expect.objectContaining({
+      amountMinor: 3000,
+      requestedMinor: 4000
+    }));
+  });
+
+  it('matches a clearing to its authorization and settles the hold with the spend', async () => {
+    const authorization = { _id: 'auth123', amount: 50, type: 'authorization' };
+    Transaction.findOne
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(authorization);
+    authorizationHoldService.settleAuthorization.mockResolvedValue({ status: 'cleared' });
+
+    const result = await balanceUpdateService.processTransactionUpdate({
+      cardId: 'issuer_card_1',
+      issuerTransactionId: 'iclear_1',
+      amount: 56,
+      type: 'clearing',
+      status: 'settled',
+      relatedIssuerTransactionId: 'iauth_1'
+    });
+
+    expect(Transaction.findOne).toHaveBeenLastCalledWith({ issuerTransactionId: 'iauth_1', cardId: 'card123', type: 'authorization' });
+    expect(result.transaction).toMatchObject({ relatedTransactionId: 'auth123', metadata: expect.objectContaining({ authorizedAmount: 50 }) });
+    expect(ledgerService.recordCardSpend).toHaveBeenCalledWith(
+      expect.objectContaining({ amountMinor: 5600 }),
+      { session: 'session123' }
+    );
+    expect(authorizationHoldService.settleAuthorization).toHaveBeenCalledWith(
+      authorization,
+      { transaction: result.transaction, amountMinor: 5600, final: true },
+      'session123'
+    );
+  });
+
+  it('adds incremental authorizations to the hold they extend', async () => {
+    const authorization = { _id: 'auth123', currency: 'USD', type: 'authorization' };
+    const hold = { _id: 'hold123', amountMinor: 2500 };
+    Transaction.findOne
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(authorization);
+    authorizationHoldService.findActiveHold.mockResolvedValue(hold);
+    authorizationHoldService.incrementHold.mockResolvedValue({ ...hold, amountMinor: 3500 });
+
+    const result = await balanceUpdateService.processTransactionUpdate({
+      cardId: 'issuer_card_1',
+      issuerTransactionId: 'iauth_2',
+      amount: 10,
+      type: 'authorization',
+      status: 'approved',
+      relatedIssuerTransactionId: 'iauth_1'
+    });
+
+    expect(authorizationHoldService.incrementHold).toHaveBeenCalledWith(hold, 1000, 'iauth_2');
+    expect(authorizationHoldService.placeHold).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ incremental: true, holdChanged: true });
+  });
+
+  it('releases the hold when the issuer reverses an authorization', async () => {
+    const authorization = { _id: 'auth123', currency: 'USD', type: 'authorization' };
+    const hold = { _id: 'hold123', amountMinor: 2500, authorizedMinor: 2500 };
+    Transaction.findOne.mockResolvedValue(authorization);
+    authorizationHoldService.findActiveHold.mockResolvedValue(hold);
+
+    await balanceUpdateService.processTransactionUpdate({
+      cardId: 'issuer_card_1',
+      issuerTransactionId: 'iauth_1',
+      amount: 25,
+      type: 'authorization',
+      status: 'reversed'
+    });
+
+    expect(authorizationHoldService.releaseHold).toHaveBeenCalledWith(hold, { reason: 'reversed' });
+  });
+
+  it('credits the card for a refund not tied to an earlier transaction', async () => {
+    Transaction.findOne.mockResolvedValue(null);
+
+    const result = await balanceUpdateService.processTransactionUpdate({
+      cardId: 'issuer_card_1',
+      issuerTransactionId: 'bn_credit_1',
+      amount: 5,
+      type: 'refund',
+      status: 'settled'
+    });
+
+    expect(ledgerService.recordCardRefund).toHaveBeenCalledWith(expect.objectContaining({ amountMinor: 500, currency: 'USD' }));
+    expect(result.transaction).toMatchObject({ type: 'refund', status: 'completed' });
+    expect(result).toMatchObject({ balanceUpdated: true, balanceChange: 5 });
+  });
+});
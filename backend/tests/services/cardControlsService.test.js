@@ -0,0 +1,125 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/VirtualCard', () => ({ findOne: jest.fn() }));
+jest.mock('../../services/productionCardService', () => ({ setUsageControls: jest.fn() }));
+
+const cardControlsService = require('../../services/cardControlsService');
+const VirtualCard = require('../../models/VirtualCard');
+const productionCardService = require('../../services/productionCardService');
+
+const card = (usageControls) => ({ _id: 'card123', userId: 'user123', status: 'active', usageControls });
+
+// Wednesday 2026-03-04, 14:30 UTC (09:30 in New York)
+const wednesdayAfternoon = new Date('2026-03-04T14:30:00Z');
+
+describe('CardControlsService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('checkAuthorization', () => {
+    it('allows everything with the default controls', () => {
+      expect(cardControlsService.checkAuthorization(card(undefined), { country: 'FR' })).toEqual({ allowed: true });
+      expect(cardControlsService.checkAuthorization(card({ allowedDays: [], allowedCountries: [] }), { country: 'FR', cardPresent: true })).toEqual({ allowed: true });
+    });
+
+    it('checks allowed days and hours in the card time zone', () => {
+      const weekdays = card({ allowedDays: [1, 2, 3, 4, 5], allowedHours: { start: '09:00', end: '17:00' }, timeZone: 'America/New_York' });
+
+      expect(cardControlsService.checkAuthorization(weekdays, {}, wednesdayAfternoon).allowed).toBe(true);
+      expect(cardControlsService.checkAuthorization(weekdays, {}, new Date('2026-03-04T13:30:00Z'))).toEqual({
+        allowed: false,
+        code: 'outside_allowed_time',
+        reason: 'Card can only be used between 09:00 and 17:00 (America/New_York)'
+      });
+      expect(cardControlsService.checkAuthorization(weekdays, {}, new Date('2026-03-07T15:00:00Z'))).toMatchObject({
+        allowed: false,
+        reason: 'Card cannot be used on Saturday'
+      });
+    });
+
+    it('runs windows that end before they start past midnight', () => {
+      const nights = card({ allowedHours: { start: '22:00', end: '06:00' }, timeZone: 'UTC' });
+
+      expect(cardControlsService.checkAuthorization(nights, {}, new Date('2026-03-04T23:15:00Z')).allowed).toBe(true);
+      expect(cardControlsService.checkAuthorization(nights, {}, new Date('2026-03-04T05:59:00Z')).allowed).toBe(true);
+      expect(cardControlsService.checkAuthorization(nights, {}, wednesdayAfternoon).allowed).toBe(false);
+    });
+
+    it('checks allowed countries and international use, reading alpha-3 codes', () => {
+      const europe = card({ allowedCountries: ['FR', 'DE'] });
+      const domestic = card({ allowInternational: false, homeCountry: 'US' });
+
+      expect(cardControlsService.checkAuthorization(europe, { country: 'FRA' }).allowed).toBe(true);
+      expect(cardControlsService.checkAuthorization(europe, { country: 'US' })).toMatchObject({ allowed: false, code: 'country_blocked' });
+      expect(cardControlsService.checkAuthorization(domestic, { country: 'USA' }).allowed).toBe(true);
+      expect(cardControlsService.checkAuthorization(domestic, { country: 'MX' })).toMatchObject({ allowed: false, code: 'international_blocked' });
+    });
+
+    it('checks the channel when the network reports it', () => {
+      const onlineOnly = card({ allowCardPresent: false });
+      const inStoreOnly = card({ allowOnline: false });
+
+      expect(cardControlsService.checkAuthorization(onlineOnly, { cardPresent: true })).toMatchObject({ allowed: false, code: 'card_present_blocked' });
+      expect(cardControlsService.checkAuthorization(onlineOnly, { cardPresent: false }).allowed).toBe(true);
+      expect(cardControlsService.checkAuthorization(inStoreOnly, { cardPresent: false })).toMatchObject({ allowed: false, code: 'online_blocked' });
+      expect(cardControlsService.checkAuthorization(onlineOnly, {}).allowed).toBe(true);
+    });
+  });
+
+  describe('normalizeControls', () => {
+    it('fills in defaults', () => {
+      expect(cardControlsService.normalizeControls({ allowedDays: [5, 1, 5], allowedCountries: ['fr'] })).toEqual({
+        allowedDays: [1, 5],
+        allowedHours: undefined,
+        timeZone: 'UTC',
+        allowedCountries: ['FR'],
+        homeCountry: undefined,
+        allowInternational: true,
+        allowOnline: true,
+        allowCardPresent: true
+      });
+    });
+
+    it('rejects controls that cannot work', () => {
+      const invalid = [
+        { timeZone: 'Mars/Olympus_Mons' },
+        { allowedHours: { start: '09:00', end: '09:00' } },
+        { allowOnline: false, allowCardPresent: false },
+        { allowInternational: false },
+        { allowInternational: false, homeCountry: 'US', allowedCountries: ['FR'] }
+      ];
+      for (const controls of invalid) {
+        expect(() => cardControlsService.normalizeControls(controls)).toThrow(expect.objectContaining({ code: 'INVALID_USAGE_CONTROLS' }));
+      }
+    });
+  });
+
+  describe('setControls', () => {
+    it('stores the normalized controls', async () => {
+      const stored = card();
+      VirtualCard.findOne.mockResolvedValue(stored);
+      productionCardService.setUsageControls.mockResolvedValue(stored);
+
+      await cardControlsService.setControls('user123', 'card123', { allowCardPresent: false, timeZone: 'Europe/Paris' });
+
+      expect(VirtualCard.findOne).toHaveBeenCalledWith({ _id: 'card123', userId: 'user123' });
+      expect(productionCardService.setUsageControls).toHaveBeenCalledWith(stored, expect.objectContaining({
+        timeZone: 'Europe/Paris',
+        allowCardPresent: false,
+        allowOnline: true
+      }));
+    });
+
+    it('refuses unknown and closed cards', async () => {
+      VirtualCard.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce({ ...card(), status: 'closed' });
+
+      await expect(cardControlsService.setControls('user123', 'card999', {}))
+        .rejects.toMatchObject({ statusCode: 404, code: 'CARD_NOT_FOUND' });
+      await expect(cardControlsService.setControls('user123', 'card123', {}))
+        .rejects.toMatchObject({ statusCode: 400, code: 'CARD_CLOSED' });
+      expect(productionCardService.setUsageControls).not.toHaveBeenCalled();
+    });
+  });
+});
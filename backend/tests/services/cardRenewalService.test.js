@@ -0,0 +1,194 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/VirtualCard', () => ({
+  findOne: jest.fn(),
+  findExpiringSoon: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../services/productionCardService', () => ({
+  replaceCard: jest.fn(),
+  closeCard: jest.fn()
+}));
+jest.mock('../../services/emailService', () => ({
+  sendCardExpiryEmail: jest.fn(),
+  sendCardRenewedEmail: jest.fn(),
+  sendCardExpiredEmail: jest.fn()
+}));
+jest.mock('../../utils/scheduler', () => ({ schedule: jest.fn() }));
+
+const cardRenewalService = require('../../services/cardRenewalService');
+const VirtualCard = require('../../models/VirtualCard');
+const User = require('../../models/User');
+const productionCardService = require('../../services/productionCardService');
+const emailService = require('../../services/emailService');
+const { logger } = require('../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const expiresAt = new Date('2026-11-01T00:00:00Z');
+
+const card = (fields = {}) => ({
+  _id: 'card123',
+  userId: 'user123',
+  cardName: 'Travel',
+  currency: 'USD',
+  status: 'active',
+  autoRenew: false,
+  expiryMonth: '10',
+  expiryYear: '26',
+  expiresAt,
+  expiryNoticesSent: [],
+  daysUntilExpiry: 20,
+  isExpired: false,
+  ...fields
+});
+
+describe('CardRenewalService', () => {
+  const user = { _id: 'user123', email: 'owner@example.com' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findById.mockResolvedValue(user);
+    VirtualCard.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('processCard', () => {
+    it('sends the most urgent due notice and records the ones it covers', async () => {
+      const result = await cardRenewalService.processCard(card({ daysUntilExpiry: 10 }));
+
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith(
+        { _id: 'card123', expiryNoticesSent: { $ne: 14 } },
+        { $addToSet: { expiryNoticesSent: { $each: [30, 14] } } }
+      );
+      expect(emailService.sendCardExpiryEmail).toHaveBeenCalledWith(user, expect.objectContaining({ _id: 'card123' }), {
+        daysLeft: 10,
+        expiry: '10/26',
+        autoRenew: false
+      });
+      expect(result).toEqual({ status: 'notified', notice: 14 });
+    });
+
+    it('skips notices that were already sent', async () => {
+      const result = await cardRenewalService.processCard(card({ daysUntilExpiry: 10, expiryNoticesSent: [30, 14] }));
+
+      expect(result).toEqual({ status: 'skipped' });
+      expect(VirtualCard.updateOne).not.toHaveBeenCalled();
+      expect(emailService.sendCardExpiryEmail).not.toHaveBeenCalled();
+    });
+
+    it('does not email twice when another run claimed the notice', async () => {
+      VirtualCard.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      const result = await cardRenewalService.processCard(card({ daysUntilExpiry: 25 }));
+
+      expect(result).toEqual({ status: 'skipped' });
+      expect(emailService.sendCardExpiryEmail).not.toHaveBeenCalled();
+    });
+
+    it('reissues active auto-renew cards and moves the balance across', async () => {
+      productionCardService.replaceCard.mockResolvedValue({
+        newCard: { cardId: 'card456', last4Digits: '4242' },
+        sweptMinor: 4000,
+        movedMinor: 4000
+      });
+
+      const result = await cardRenewalService.processCard(card({ autoRenew: true, daysUntilExpiry: 3 }));
+
+      expect(productionCardService.replaceCard).toHaveBeenCalledWith('user123', 'card123', 'Card expiring', {
+        cardName: 'Travel',
+        moveBalance: true
+      });
+      expect(emailService.sendCardRenewedEmail).toHaveBeenCalledWith(user, expect.anything(), expect.objectContaining({
+        newCard: { cardId: 'card456', last4Digits: '4242' }
+      }));
+      expect(result).toEqual({ status: 'renewed', newCardId: 'card456', movedMinor: 4000 });
+    });
+
+    it('does not reissue frozen cards', async () => {
+      await cardRenewalService.processCard(card({ autoRenew: true, status: 'frozen', daysUntilExpiry: 2 }));
+
+      expect(productionCardService.replaceCard).not.toHaveBeenCalled();
+      expect(emailService.sendCardExpiryEmail).toHaveBeenCalledWith(user, expect.anything(), expect.objectContaining({ autoRenew: false }));
+    });
+
+    it('closes expired cards', async () => {
+      productionCardService.closeCard.mockResolvedValue({ sweptMinor: 1500 });
+
+      const result = await cardRenewalService.processCard(card({ daysUntilExpiry: 0, isExpired: true }));
+
+      expect(productionCardService.closeCard).toHaveBeenCalledWith('user123', 'card123', 'Card expired');
+      expect(emailService.sendCardExpiredEmail).toHaveBeenCalled();
+      expect(result).toEqual({ status: 'expired', sweptMinor: 1500 });
+    });
+
+    it('logs email failures without failing the card', async () => {
+      emailService.sendCardExpiryEmail.mockRejectedValue(new Error('SMTP down'));
+
+      const result = await cardRenewalService.processCard(card({ daysUntilExpiry: 28 }));
+
+      expect(result.status).toBe('notified');
+      expect(logger.error).toHaveBeenCalledWith('Card expiry notification failed', expect.objectContaining({ kind: 'notice' }));
+    });
+  });
+
+  describe('nextCheckAt', () => {
+    it('schedules the next notice', () => {
+      expect(cardRenewalService.nextCheckAt(card({ daysUntilExpiry: 20 }))).toEqual(new Date(expiresAt.getTime() - 14 * DAY_MS));
+      expect(cardRenewalService.nextCheckAt(card({ daysUntilExpiry: 2 }))).toEqual(expiresAt);
+    });
+
+    it('schedules the renewal for auto-renew cards', () => {
+      expect(cardRenewalService.nextCheckAt(card({ autoRenew: true, daysUntilExpiry: 10 }))).toEqual(new Date(expiresAt.getTime() - 3 * DAY_MS));
+    });
+  });
+
+  describe('setAutoRenew', () => {
+    it('updates the card and clears its next check', async () => {
+      const stored = card({ nextExpiryCheckAt: new Date(), save: jest.fn() });
+      VirtualCard.findOne.mockResolvedValue(stored);
+
+      const result = await cardRenewalService.setAutoRenew('user123', 'card123', true);
+
+      expect(VirtualCard.findOne).toHaveBeenCalledWith({ _id: 'card123', userId: 'user123' });
+      expect(result.autoRenew).toBe(true);
+      expect(result.nextExpiryCheckAt).toBeUndefined();
+      expect(stored.save).toHaveBeenCalled();
+    });
+
+    it('refuses unknown and closed cards', async () => {
+      VirtualCard.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(card({ status: 'closed' }));
+
+      await expect(cardRenewalService.setAutoRenew('user123', 'card999', true))
+        .rejects.toMatchObject({ statusCode: 404, code: 'CARD_NOT_FOUND' });
+      await expect(cardRenewalService.setAutoRenew('user123', 'card123', true))
+        .rejects.toMatchObject({ statusCode: 400, code: 'CARD_CLOSED' });
+    });
+  });
+
+  describe('runScheduled', () => {
+    it('processes due cards, schedules open ones and counts the outcomes', async () => {
+      const cards = [
+        card({ _id: 'card1', daysUntilExpiry: 25 }),
+        card({ _id: 'card2', daysUntilExpiry: 0, isExpired: true }),
+        card({ _id: 'card3', daysUntilExpiry: 0, isExpired: true })
+      ];
+      const query = { where: jest.fn().mockReturnThis(), limit: jest.fn().mockResolvedValue(cards) };
+      VirtualCard.findExpiringSoon.mockReturnValue(query);
+      productionCardService.closeCard
+        .mockResolvedValueOnce({ sweptMinor: 0 })
+        .mockRejectedValueOnce(new Error('Issuer unavailable'));
+
+      const summary = await cardRenewalService.runScheduled();
+
+      expect(VirtualCard.findExpiringSoon).toHaveBeenCalledWith(30);
+      expect(query.limit).toHaveBeenCalledWith(100);
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith(
+        { _id: 'card1' },
+        { $set: { nextExpiryCheckAt: new Date(expiresAt.getTime() - 14 * DAY_MS) } }
+      );
+      expect(summary).toEqual({ evaluated: 3, renewed: 0, expired: 1, notified: 1, skipped: 0, failed: 1 });
+      expect(logger.error).toHaveBeenCalledWith('Card renewal processing failed', expect.objectContaining({ cardId: 'card3' }));
+    });
+  });
+});
@@ -0,0 +1,139 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/VirtualCard', () => ({ findOne: jest.fn() }));
+jest.mock('../../models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../models/CardRevealToken', () => ({
+  create: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../utils/secureCardStorage', () => ({ logCardAccess: jest.fn() }));
+jest.mock('../../vault/cardVault', () => ({ detokenize: jest.fn() }));
+
+const crypto = require('crypto');
+const cardRevealService = require('../../services/cardRevealService');
+const VirtualCard = require('../../models/VirtualCard');
+const User = require('../../models/User');
+const CardRevealToken = require('../../models/CardRevealToken');
+const secureCardStorage = require('../../utils/secureCardStorage');
+const cardVault = require('../../vault/cardVault');
+
+const card = (fields = {}) => ({
+  _id: 'card123',
+  userId: 'user123',
+  status: 'active',
+  expiryMonth: '08',
+  expiryYear: '28',
+  getDecryptedCardNumber: jest.fn().mockReturnValue('4111111111111111'),
+  getDecryptedCvv: jest.fn().mockReturnValue('123'),
+  ...fields
+});
+
+// findOne resolving to the card, with or without .select(...)
+const mockFindCard = (doc) => Object.assign(Promise.resolve(doc), { select: jest.fn().mockResolvedValue(doc) });
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('CardRevealService', () => {
+  const user = { _id: 'user123', comparePassword: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    VirtualCard.findOne.mockImplementation(() => mockFindCard(card()));
+    User.findById.mockResolvedValue(user);
+  });
+
+  describe('issueToken', () => {
+    it('issues a short-lived token after the password is confirmed and stores only its hash', async () => {
+      user.comparePassword.mockResolvedValue(true);
+
+      const result = await cardRevealService.issueToken('user123', 'card123', { password: 'secret' }, { ip: '10.0.0.1' });
+
+      expect(result.token).toMatch(/^[0-9a-f]{64}$/);
+      expect(result.expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(60 * 1000);
+      expect(CardRevealToken.create).toHaveBeenCalledWith({
+        tokenHash: sha256(result.token),
+        userId: 'user123',
+        cardId: 'card123',
+        method: 'password',
+        expiresAt: result.expiresAt,
+        ip: '10.0.0.1'
+      });
+      expect(secureCardStorage.logCardAccess).toHaveBeenCalledWith('user123', 'card123', 'reveal_reauth', 'success');
+    });
+
+    it('refuses a wrong password and logs the attempt', async () => {
+      user.comparePassword.mockResolvedValue(false);
+
+      await expect(cardRevealService.issueToken('user123', 'card123', { password: 'wrong' }))
+        .rejects.toMatchObject({ statusCode: 401, code: 'REAUTH_FAILED' });
+      expect(CardRevealToken.create).not.toHaveBeenCalled();
+      expect(secureCardStorage.logCardAccess).toHaveBeenCalledWith('user123', 'card123', 'reveal_reauth', 'error', 'Re-authentication failed');
+    });
+
+    it('refuses unknown and closed cards', async () => {
+      VirtualCard.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(card({ status: 'closed' }));
+
+      await expect(cardRevealService.issueToken('user123', 'card999', { password: 'secret' }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'CARD_NOT_FOUND' });
+      await expect(cardRevealService.issueToken('user123', 'card123', { password: 'secret' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'CARD_CLOSED' });
+    });
+  });
+
+  describe('reveal', () => {
+    it('claims the token once and decrypts the card details', async () => {
+      CardRevealToken.findOneAndUpdate.mockResolvedValue({ _id: 'token1' });
+
+      const details = await cardRevealService.reveal('user123', 'card123', 'a'.repeat(64));
+
+      expect(CardRevealToken.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          tokenHash: sha256('a'.repeat(64)),
+          userId: 'user123',
+          cardId: 'card123',
+          usedAt: null,
+          expiresAt: { $gt: expect.any(Date) }
+        },
+        { $set: { usedAt: expect.any(Date) } }
+      );
+      expect(details).toEqual({ cardNumber: '4111111111111111', cvv: '123', expiryMonth: '08', expiryYear: '28' });
+      expect(secureCardStorage.logCardAccess).toHaveBeenCalledWith('user123', 'card123', 'reveal', 'success');
+    });
+
+    it('detokenizes vaulted cards for the reveal purpose', async () => {
+      const stored = card({ vaultToken: 'tok_abc' });
+      VirtualCard.findOne.mockReturnValue(mockFindCard(stored));
+      CardRevealToken.findOneAndUpdate.mockResolvedValue({ _id: 'token1' });
+      cardVault.detokenize.mockResolvedValue({ pan: '5555555555554444', cvv: '321' });
+
+      const details = await cardRevealService.reveal('user123', 'card123', 'a'.repeat(64));
+
+      expect(cardVault.detokenize).toHaveBeenCalledWith('tok_abc', { purpose: 'reveal', actor: 'user123', ownerId: 'user123' });
+      expect(stored.getDecryptedCardNumber).not.toHaveBeenCalled();
+      expect(details).toEqual({ cardNumber: '5555555555554444', cvv: '321', expiryMonth: '08', expiryYear: '28' });
+    });
+
+    it('refuses used, expired or foreign tokens without decrypting', async () => {
+      const stored = card();
+      VirtualCard.findOne.mockReturnValue(mockFindCard(stored));
+      CardRevealToken.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(cardRevealService.reveal('user123', 'card123', 'b'.repeat(64)))
+        .rejects.toMatchObject({ statusCode: 401, code: 'INVALID_REVEAL_TOKEN' });
+      expect(stored.getDecryptedCardNumber).not.toHaveBeenCalled();
+      expect(secureCardStorage.logCardAccess).toHaveBeenCalledWith('user123', 'card123', 'reveal', 'error', 'Invalid or expired reveal token');
+    });
+
+    it('logs decryption failures', async () => {
+      CardRevealToken.findOneAndUpdate.mockResolvedValue({ _id: 'token1' });
+      VirtualCard.findOne.mockReturnValue(mockFindCard(card({
+        getDecryptedCardNumber: jest.fn(() => { throw new Error('Decryption failed: bad tag'); })
+      })));
+
+      await expect(cardRevealService.reveal('user123', 'card123', 'a'.repeat(64)))
+        .rejects.toMatchObject({ statusCode: 500, code: 'REVEAL_FAILED' });
+      expect(secureCardStorage.logCardAccess).toHaveBeenCalledWith('user123', 'card123', 'reveal', 'error', 'Decryption failed: bad tag');
+    });
+  });
+});
@@ -0,0 +1,149 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/VirtualCard', () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../services/productionCardService', () => ({ closeCard: jest.fn() }));
+
+const cardUsageService = require('../../services/cardUsageService');
+const VirtualCard = require('../../models/VirtualCard');
+const productionCardService = require('../../services/productionCardService');
+const { logger } = require('../../utils/logger');
+
+const card = (fields = {}) => ({
+  _id: 'card123',
+  userId: 'user123',
+  status: 'active',
+  usageType: 'standard',
+  ...fields
+});
+
+const lockedTo = { name: 'Streaming Co', networkId: '0001', mcc: '4899', lockedAt: new Date('2026-03-01') };
+
+describe('CardUsageService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('checkAuthorization', () => {
+    it('allows standard cards and unused burner cards', () => {
+      expect(cardUsageService.checkAuthorization(card(), { name: 'Anywhere' })).toEqual({ allowed: true });
+      expect(cardUsageService.checkAuthorization(card({ usageType: 'single_use' }), { name: 'Anywhere' })).toEqual({ allowed: true });
+      expect(cardUsageService.checkAuthorization(card({ usageType: 'merchant_locked' }), { name: 'Anywhere' })).toEqual({ allowed: true });
+    });
+
+    it('declines a single-use card that was already used', () => {
+      const result = cardUsageService.checkAuthorization(card({ usageType: 'single_use', usedAt: new Date() }), { name: 'Vendor' });
+
+      expect(result).toMatchObject({ allowed: false, code: 'single_use_consumed' });
+    });
+
+    it('matches the locked merchant on network ID, then on name', () => {
+      const locked = card({ usageType: 'merchant_locked', lockedMerchant: lockedTo });
+
+      expect(cardUsageService.checkAuthorization(locked, { name: 'STREAMING CO*RENEWAL', networkId: '0001' }).allowed).toBe(true);
+      expect(cardUsageService.checkAuthorization(locked, { name: 'Streaming Co', networkId: '0002' })).toMatchObject({
+        allowed: false,
+        code: 'merchant_locked',
+        reason: 'Card is locked to Streaming Co'
+      });
+      expect(cardUsageService.checkAuthorization(locked, { name: '  streaming   co ' }).allowed).toBe(true);
+      expect(cardUsageService.checkAuthorization(locked, { name: 'Other Shop' }).allowed).toBe(false);
+    });
+  });
+
+  describe('claimAuthorization', () => {
+    it('marks a single-use card used', async () => {
+      VirtualCard.findOneAndUpdate.mockResolvedValue(card({ usageType: 'single_use', usedAt: new Date() }));
+
+      const result = await cardUsageService.claimAuthorization(card({ usageType: 'single_use' }), { name: 'Vendor' });
+
+      expect(VirtualCard.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'card123', usedAt: null },
+        { $set: { usedAt: expect.any(Date) } },
+        { new: true }
+      );
+      expect(result).toEqual({ allowed: true, claimedAt: expect.any(Date) });
+    });
+
+    it('declines when another authorization used the card first', async () => {
+      VirtualCard.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await cardUsageService.claimAuthorization(card({ usageType: 'single_use' }), { name: 'Vendor' });
+
+      expect(result).toMatchObject({ allowed: false, code: 'single_use_consumed' });
+    });
+
+    it('locks a merchant-locked card to its first merchant', async () => {
+      VirtualCard.findOneAndUpdate.mockResolvedValue(card({ usageType: 'merchant_locked', lockedMerchant: lockedTo }));
+
+      const result = await cardUsageService.claimAuthorization(
+        card({ usageType: 'merchant_locked' }),
+        { name: 'Streaming Co', networkId: 1, mcc: '4899' }
+      );
+
+      expect(VirtualCard.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'card123', 'lockedMerchant.lockedAt': null },
+        { $set: { lockedMerchant: { name: 'Streaming Co', networkId: '1', mcc: '4899', lockedAt: expect.any(Date) } } },
+        { new: true }
+      );
+      expect(result.allowed).toBe(true);
+      expect(logger.info).toHaveBeenCalledWith('Card locked to merchant', expect.objectContaining({ merchant: 'Streaming Co' }));
+    });
+
+    it('checks against the winner when another merchant locked the card first', async () => {
+      VirtualCard.findOneAndUpdate.mockResolvedValue(null);
+      VirtualCard.findById.mockResolvedValue(card({ usageType: 'merchant_locked', lockedMerchant: lockedTo }));
+
+      const result = await cardUsageService.claimAuthorization(card({ usageType: 'merchant_locked' }), { name: 'Other Shop' });
+
+      expect(result).toMatchObject({ allowed: false, code: 'merchant_locked' });
+    });
+
+    it('does not touch standard cards', async () => {
+      const result = await cardUsageService.claimAuthorization(card(), { name: 'Vendor' });
+
+      expect(result).toEqual({ allowed: true });
+      expect(VirtualCard.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseClaim', () => {
+    it('undoes the claim it made', async () => {
+      const claimedAt = new Date();
+
+      await cardUsageService.releaseClaim(card({ usageType: 'single_use' }), { allowed: true, claimedAt });
+
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith({ _id: 'card123', usedAt: claimedAt }, { $unset: { usedAt: 1 } });
+    });
+  });
+
+  describe('closeIfUsed', () => {
+    it('closes a single-use card and sweeps its balance', async () => {
+      productionCardService.closeCard.mockResolvedValue({ sweptMinor: 1250 });
+
+      const result = await cardUsageService.closeIfUsed(card({ usageType: 'single_use' }));
+
+      expect(productionCardService.closeCard).toHaveBeenCalledWith('user123', 'card123', 'Single-use card settled');
+      expect(result).toEqual({ sweptMinor: 1250 });
+    });
+
+    it('leaves other cards open', async () => {
+      expect(await cardUsageService.closeIfUsed(card({ usageType: 'merchant_locked' }))).toBeNull();
+      expect(await cardUsageService.closeIfUsed(card({ usageType: 'single_use', status: 'closed' }))).toBeNull();
+      expect(productionCardService.closeCard).not.toHaveBeenCalled();
+    });
+
+    it('logs closure failures without throwing', async () => {
+      productionCardService.closeCard.mockRejectedValue(Object.assign(new Error('Card issuer could not close the card'), { code: 'ISSUER_CLOSE_FAILED' }));
+
+      const result = await cardUsageService.closeIfUsed(card({ usageType: 'single_use' }));
+
+      expect(result).toBeNull();
+      expect(logger.error).toHaveBeenCalledWith('Single-use card closure failed', expect.objectContaining({ cardId: 'card123' }));
+    });
+  });
+});
@@ -0,0 +1,105 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/DataKey', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  create: jest.fn(),
+  updateOne: jest.fn(),
+  countDocuments: jest.fn()
+}));
+jest.mock('../../config/kms', () => {
+  const mockProvider = {
+    name: 'local',
+    getCurrentKeyId: jest.fn(),
+    wrapKey: jest.fn(),
+    unwrapKey: jest.fn()
+  };
+  return { getProvider: jest.fn(() => mockProvider), isEnabled: () => true };
+});
+
+const dataKeyService = require('../../services/dataKeyService');
+const DataKey = require('../../models/DataKey');
+const kmsConfig = require('../../config/kms');
+
+const kms = kmsConfig.getProvider();
+const storedKey = (fields = {}) => ({
+  _id: 'dk1',
+  ownerId: 'user123',
+  provider: 'local',
+  masterKeyId: 'mk1',
+  wrappedKey: 'wrapped-mk1',
+  ...fields
+});
+
+describe('DataKeyService', () => {
+  const plainKey = Buffer.alloc(32, 7);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dataKeyService.clearCache();
+    kms.getCurrentKeyId.mockResolvedValue('mk2');
+    kms.wrapKey.mockResolvedValue({ masterKeyId: 'mk2', wrappedKey: 'wrapped-mk2' });
+    kms.unwrapKey.mockResolvedValue(plainKey);
+  });
+
+  describe('getActiveKey', () => {
+    it('unwraps the owner\'s key once and serves it from the cache after', async () => {
+      DataKey.findOne.mockResolvedValue(storedKey());
+
+      expect(await dataKeyService.getActiveKey('user123')).toEqual({ id: 'dk1', key: plainKey });
+      expect(await dataKeyService.getActiveKey('user123')).toEqual({ id: 'dk1', key: plainKey });
+
+      expect(DataKey.findOne).toHaveBeenCalledTimes(1);
+      expect(DataKey.findOne).toHaveBeenCalledWith({ ownerId: 'user123', status: 'active' });
+      expect(kms.unwrapKey).toHaveBeenCalledTimes(1);
+      expect(kms.unwrapKey).toHaveBeenCalledWith({ masterKeyId: 'mk1', wrappedKey: 'wrapped-mk1' }, { dataKeyOwner: 'user123' });
+    });
+
+    it('creates a wrapped key for an owner on first use and stores no plaintext', async () => {
+      DataKey.findOne.mockResolvedValue(null);
+      DataKey.create.mockImplementation(async fields => ({ _id: 'dk2', ...fields }));
+
+      const { id, key } = await dataKeyService.getActiveKey(null);
+
+      expect(id).toBe('dk2');
+      expect(key).toHaveLength(32);
+      expect(kms.wrapKey).toHaveBeenCalledWith(key, { dataKeyOwner: 'platform' });
+      expect(DataKey.create).toHaveBeenCalledWith({ ownerId: null, provider: 'local', masterKeyId: 'mk2', wrappedKey: 'wrapped-mk2' });
+      expect(kms.unwrapKey).not.toHaveBeenCalled();
+    });
+
+    it('uses the key another request created first', async () => {
+      DataKey.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(storedKey());
+      DataKey.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+      expect((await dataKeyService.getActiveKey('user123')).id).toBe('dk1');
+    });
+  });
+
+  describe('getKey', () => {
+    it('refuses unknown data keys', async () => {
+      DataKey.findById.mockResolvedValue(null);
+
+      await expect(dataKeyService.getKey('dk404')).rejects.toThrow('Data key dk404 not found');
+    });
+  });
+
+  describe('rewrapKey', () => {
+    it('rewraps under the current master key unless rewrapped concurrently', async () => {
+      DataKey.updateOne.mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValueOnce({ modifiedCount: 0 });
+
+      expect(await dataKeyService.rewrapKey(storedKey())).toBe(true);
+      expect(kms.wrapKey).toHaveBeenCalledWith(plainKey, { dataKeyOwner: 'user123' });
+      expect(DataKey.updateOne).toHaveBeenCalledWith(
+        { _id: 'dk1', wrappedKey: 'wrapped-mk1' },
+        { $set: { masterKeyId: 'mk2', wrappedKey: 'wrapped-mk2', rewrappedAt: expect.any(Date) } }
+      );
+      expect(await dataKeyService.rewrapKey(storedKey())).toBe(false);
+    });
+
+    it('finds keys not under the current master key', async () => {
+      expect(await dataKeyService.staleKeyFilter()).toEqual({ provider: 'local', masterKeyId: { $ne: 'mk2' } });
+    });
+  });
+});
@@ -0,0 +1,421 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/Dispute', () => {
+  const Dispute = jest.fn(function(data) {
+    Object.assign(this, { _id: 'dispute123', ...data });
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  Dispute.findOne = jest.fn();
+  Dispute.findById = jest.fn();
+  Dispute.findOneAndUpdate = jest.fn();
+  Dispute.updateOne = jest.fn();
+  Dispute.OPEN_STATUSES = ['opened', 'submitted'];
+  Dispute.canTransition = jest.fn((from, to) => ({
+    opened: ['submitted', 'withdrawn'],
+    submitted: ['won', 'lost', 'withdrawn']
+  }[from] || []).includes(to));
+  return Dispute;
+});
+jest.mock('../../models/DisputeDocument', () => {
+  const DisputeDocument = jest.fn(function(data) {
+    Object.assign(this, { _id: 'doc123', ...data });
+    this.setContent = jest.fn().mockResolvedValue();
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  DisputeDocument.find = jest.fn();
+  DisputeDocument.countDocuments = jest.fn();
+  DisputeDocument.CONTENT_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+  DisputeDocument.MAX_SIZE = 1024;
+  return DisputeDocument;
+});
+jest.mock('../../models/Transaction', () => {
+  const Transaction = jest.fn(function(data) {
+    Object.assign(this, { _id: 'credit123', ...data });
+  });
+  Transaction.findOne = jest.fn();
+  Transaction.findById = jest.fn();
+  Transaction.findOneAndUpdate = jest.fn();
+  Transaction.updateOne = jest.fn();
+  return Transaction;
+});
+jest.mock('../../models/VirtualCard', () => ({ findById: jest.fn() }));
+jest.mock('../../services/ledgerService', () => ({
+  recordDisputeCredit: jest.fn(),
+  recordDisputeRecovery: jest.fn(),
+  reverseEntry: jest.fn()
+}));
+jest.mock('../../config/cardIssuer', () => ({ getAdapter: jest.fn() }));
+jest.mock('../../utils/mongoTransaction', () => ({
+  withTransaction: jest.fn(work => work('session123'))
+}));
+
+const disputeService = require('../../services/disputeService');
+const Dispute = require('../../models/Dispute');
+const DisputeDocument = require('../../models/DisputeDocument');
+const Transaction = require('../../models/Transaction');
+const VirtualCard = require('../../models/VirtualCard');
+const ledgerService = require('../../services/ledgerService');
+const cardIssuerConfig = require('../../config/cardIssuer');
+
+// Resolve like a Mongoose query with .session()
+const withSession = (value) => ({ session: jest.fn().mockResolvedValue(value) });
+
+const charge = (fields = {}) => ({
+  _id: 'txn123',
+  userId: 'user123',
+  cardId: 'card123',
+  type: 'card_purchase',
+  status: 'completed',
+  amountMinor: 5000,
+  currency: 'USD',
+  description: 'Coffee Shop',
+  issuerTransactionId: 'issuer_txn_1',
+  createdAt: new Date(),
+  ...fields
+});
+
+const dispute = (fields = {}) => ({
+  _id: 'dispute123',
+  userId: 'user123',
+  transactionId: 'txn123',
+  cardId: 'card123',
+  amountMinor: 5000,
+  currency: 'USD',
+  reasonCode: 'not_received',
+  description: 'Never arrived',
+  evidence: [],
+  provider: 'marqeta',
+  status: 'opened',
+  provisionalCredit: { status: 'none' },
+  ...fields
+});
+
+// findOneAndUpdate result for a transition: the dispute with the new status
+const transitioned = (current, update) => ({
+  ...current,
+  ...update.$set,
+  provisionalCredit: { ...current.provisionalCredit },
+  save: jest.fn().mockResolvedValue()
+});
+
+describe('DisputeService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    VirtualCard.findById.mockImplementation(() => {
+      const card = { _id: 'card123', status: 'active', currency: 'USD', issuerProvider: 'marqeta' };
+      const query = Promise.resolve(card);
+      query.session = jest.fn().mockResolvedValue(card);
+      return query;
+    });
+    Transaction.findById.mockImplementation(() => {
+      const query = Promise.resolve(charge());
+      query.session = jest.fn().mockResolvedValue(charge());
+      return query;
+    });
+    ledgerService.recordDisputeCredit.mockResolvedValue({ _id: 'entry123' });
+    ledgerService.recordDisputeRecovery.mockResolvedValue({ _id: 'entry456' });
+    ledgerService.reverseEntry.mockResolvedValue({ _id: 'reversal123' });
+  });
+
+  describe('openDispute', () => {
+    it('claims the charge and opens the dispute with the card issuer as provider', async () => {
+      Transaction.findOne.mockResolvedValue(charge());
+      Dispute.findOne.mockResolvedValue(null);
+      Transaction.findOneAndUpdate.mockResolvedValue(charge({ status: 'disputed' }));
+
+      const result = await disputeService.openDispute('user123', 'txn123', {
+        reasonCode: 'not_received',
+        description: 'Never arrived',
+        amount: 20,
+        provisionalCredit: true
+      });
+
+      expect(Transaction.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'txn123', status: 'completed' },
+        { $set: { status: 'disputed' } },
+        { new: true, session: 'session123' }
+      );
+      expect(result).toMatchObject({
+        amountMinor: 2000,
+        provider: 'marqeta',
+        provisionalCreditRequested: true
+      });
+      expect(result.save).toHaveBeenCalledWith({ session: 'session123' });
+      expect(Transaction.updateOne).toHaveBeenCalledWith(
+        { _id: 'txn123' },
+        { $set: { 'metadata.disputeId': 'dispute123' } },
+        { session: 'session123' }
+      );
+    });
+
+    it('rejects a charge that already has an open dispute', async () => {
+      Transaction.findOne.mockResolvedValue(charge());
+      Dispute.findOne.mockResolvedValue(dispute());
+
+      await expect(disputeService.openDispute('user123', 'txn123', { reasonCode: 'fraud', description: 'x' }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'DISPUTE_EXISTS' });
+      expect(Transaction.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('rejects charges outside the dispute window', async () => {
+      Transaction.findOne.mockResolvedValue(charge({ createdAt: new Date(Date.now() - 200 * 24 * 60 * 60 * 1000) }));
+      Dispute.findOne.mockResolvedValue(null);
+
+      await expect(disputeService.openDispute('user123', 'txn123', { reasonCode: 'fraud', description: 'x' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'DISPUTE_WINDOW_CLOSED' });
+    });
+
+    it('rejects amounts above the charge', async () => {
+      Transaction.findOne.mockResolvedValue(charge());
+      Dispute.findOne.mockResolvedValue(null);
+
+      await expect(disputeService.openDispute('user123', 'txn123', { reasonCode: 'fraud', description: 'x', amount: 60 }))
+        .rejects.toMatchObject({ code: 'INVALID_AMOUNT' });
+    });
+
+    it('rejects evidence documents uploaded by someone else', async () => {
+      Transaction.findOne.mockResolvedValue(charge());
+      Dispute.findOne.mockResolvedValue(null);
+      DisputeDocument.countDocuments.mockResolvedValue(1);
+
+      await expect(disputeService.openDispute('user123', 'txn123', {
+        reasonCode: 'not_received',
+        description: 'Never arrived',
+        evidence: [{ type: 'receipt', documentId: 'doc1' }, { type: 'correspondence', documentId: 'doc2' }]
+      })).rejects.toMatchObject({ statusCode: 404, code: 'DOCUMENT_NOT_FOUND' });
+      expect(DisputeDocument.countDocuments).toHaveBeenCalledWith({ _id: { $in: ['doc1', 'doc2'] }, userId: 'user123' });
+      expect(Transaction.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('uploadDocument', () => {
+    const pdf = Buffer.from('%PDF-1.7 receipt');
+
+    it('stores the file encrypted for the cardholder', async () => {
+      const document = await disputeService.uploadDocument('user123', {
+        filename: 'receipt.pdf',
+        contentType: 'application/pdf; charset=binary',
+        data: pdf
+      });
+
+      expect(DisputeDocument).toHaveBeenCalledWith({ userId: 'user123', filename: 'receipt.pdf', contentType: 'application/pdf' });
+      expect(document.setContent).toHaveBeenCalledWith(pdf);
+      expect(document.save).toHaveBeenCalled();
+    });
+
+    it('rejects files whose contents do not match their type', async () => {
+      await expect(disputeService.uploadDocument('user123', { contentType: 'image/png', data: pdf }))
+        .rejects.toMatchObject({ statusCode: 415, code: 'UNSUPPORTED_DOCUMENT' });
+      await expect(disputeService.uploadDocument('user123', { contentType: 'text/html', data: pdf }))
+        .rejects.toMatchObject({ statusCode: 415, code: 'UNSUPPORTED_DOCUMENT' });
+      expect(DisputeDocument).not.toHaveBeenCalled();
+    });
+
+    it('rejects empty and oversized files', async () => {
+      await expect(disputeService.uploadDocument('user123', { contentType: 'application/pdf', data: Buffer.alloc(0) }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'EMPTY_DOCUMENT' });
+      await expect(disputeService.uploadDocument('user123', { contentType: 'application/pdf', data: Buffer.concat([pdf, Buffer.alloc(1024)]) }))
+        .rejects.toMatchObject({ statusCode: 413, code: 'DOCUMENT_TOO_LARGE' });
+    });
+  });
+
+  describe('submitDispute', () => {
+    it('files the dispute with the issuer adapter', async () => {
+      const adapter = { createDispute: jest.fn().mockResolvedValue({ disputeId: 'cb_1', status: 'submitted' }) };
+      cardIssuerConfig.getAdapter.mockReturnValue(adapter);
+      Dispute.findById.mockResolvedValue(dispute());
+      Dispute.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(transitioned(dispute(), update)));
+
+      const result = await disputeService.submitDispute('dispute123', 'admin1');
+
+      expect(cardIssuerConfig.getAdapter).toHaveBeenCalledWith('marqeta');
+      expect(adapter.createDispute).toHaveBeenCalledWith('issuer_txn_1', expect.objectContaining({
+        amount: 5000,
+        currency: 'USD',
+        reasonCode: 'not_received',
+        metadata: { disputeId: 'dispute123' }
+      }));
+      expect(result).toMatchObject({ status: 'submitted', providerDisputeId: 'cb_1', providerStatus: 'submitted' });
+      expect(result.save).toHaveBeenCalled();
+    });
+
+    it('files uploaded documents with their contents', async () => {
+      const adapter = { createDispute: jest.fn().mockResolvedValue({ disputeId: 'cb_1', status: 'submitted' }) };
+      cardIssuerConfig.getAdapter.mockReturnValue(adapter);
+      const withEvidence = dispute({
+        evidence: [
+          { type: 'receipt', documentId: 'doc1', description: 'Order receipt' },
+          { type: 'correspondence', url: 'https://example.com/thread' }
+        ]
+      });
+      Dispute.findById.mockResolvedValue(withEvidence);
+      Dispute.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(transitioned(withEvidence, update)));
+      DisputeDocument.find.mockResolvedValue([{
+        _id: 'doc1',
+        filename: 'receipt.pdf',
+        contentType: 'application/pdf',
+        getContent: jest.fn().mockResolvedValue(Buffer.from('%PDF-1.7 receipt'))
+      }]);
+
+      await disputeService.submitDispute('dispute123', 'admin1');
+
+      expect(DisputeDocument.find).toHaveBeenCalledWith({ _id: { $in: ['doc1'] }, userId: 'user123' });
+      expect(adapter.createDispute.mock.calls[0][1].evidence).toEqual([
+        {
+          type: 'receipt',
+          url: undefined,
+          description: 'Order receipt',
+          document: { filename: 'receipt.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF-1.7 receipt') }
+        },
+        { type: 'correspondence', url: 'https://example.com/thread', description: undefined }
+      ]);
+    });
+
+    it('returns the dispute to opened when the issuer refuses it', async () => {
+      cardIssuerConfig.getAdapter.mockReturnValue({
+        createDispute: jest.fn().mockRejectedValue(new Error('Transaction too old'))
+      });
+      Dispute.findById.mockResolvedValue(dispute());
+      Dispute.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(transitioned(dispute(), update)));
+
+      await expect(disputeService.submitDispute('dispute123', 'admin1'))
+        .rejects.toMatchObject({ statusCode: 502, code: 'ISSUER_ERROR' });
+      expect(Dispute.updateOne).toHaveBeenCalledWith(
+        { _id: 'dispute123', status: 'submitted' },
+        expect.objectContaining({
+          $set: { status: 'opened', submissionError: 'Transaction too old' }
+        })
+      );
+    });
+
+    it('refuses a dispute that another admin moved first', async () => {
+      Dispute.findById.mockResolvedValue(dispute());
+      Dispute.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(disputeService.submitDispute('dispute123', 'admin1'))
+        .rejects.toMatchObject({ statusCode: 409, code: 'DISPUTE_CHANGED' });
+      expect(cardIssuerConfig.getAdapter).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('grantProvisionalCredit', () => {
+    it('credits the card and records the entry on the dispute', async () => {
+      const granted = { ...dispute({ status: 'submitted' }), provisionalCredit: { status: 'granted' }, history: [], save: jest.fn() };
+      Dispute.findOneAndUpdate.mockResolvedValue(granted);
+
+      const result = await disputeService.grantProvisionalCredit('dispute123', 'admin1');
+
+      expect(ledgerService.recordDisputeCredit).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user123',
+        card: expect.objectContaining({ _id: 'card123' }),
+        amountMinor: 5000,
+        provider: 'marqeta',
+        provisional: true
+      }), { session: 'session123' });
+      expect(result.provisionalCredit).toMatchObject({ status: 'granted', entryId: 'entry123', transactionId: 'credit123' });
+      expect(granted.save).toHaveBeenCalledWith({ session: 'session123' });
+    });
+
+    it('refuses a second provisional credit', async () => {
+      Dispute.findOneAndUpdate.mockResolvedValue(null);
+      Dispute.findById.mockReturnValue(withSession(dispute({ provisionalCredit: { status: 'granted' } })));
+
+      await expect(disputeService.grantProvisionalCredit('dispute123', 'admin1'))
+        .rejects.toMatchObject({ statusCode: 409, code: 'PROVISIONAL_CREDIT_UNAVAILABLE' });
+      expect(ledgerService.recordDisputeCredit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveDispute', () => {
+    const provisional = () => dispute({
+      status: 'submitted',
+      provisionalCredit: { status: 'granted', entryId: 'entry123', transactionId: 'credit123' }
+    });
+
+    it('keeps a provisional credit when the dispute is won', async () => {
+      Dispute.findById.mockResolvedValue(provisional());
+      Dispute.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(transitioned(provisional(), update)));
+
+      const result = await disputeService.resolveDispute('dispute123', 'won', 'admin1', 'Merchant refunded');
+
+      expect(ledgerService.recordDisputeRecovery).toHaveBeenCalledWith(
+        expect.objectContaining({ amountMinor: 5000, provider: 'marqeta', disputeId: 'dispute123' }),
+        { session: 'session123' }
+      );
+      expect(ledgerService.reverseEntry).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ status: 'won', resolvedBy: 'admin1', provisionalCredit: { status: 'kept' } });
+      expect(Transaction.updateOne).toHaveBeenCalledWith(
+        { _id: 'txn123', status: 'disputed' },
+        { $set: { status: 'completed' } },
+        { session: 'session123' }
+      );
+    });
+
+    it('credits a won dispute that had no provisional credit', async () => {
+      Dispute.findById.mockResolvedValue(dispute({ status: 'submitted' }));
+      Dispute.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(transitioned(dispute(), update)));
+
+      const result = await disputeService.resolveDispute('dispute123', 'won', 'admin1');
+
+      expect(ledgerService.recordDisputeCredit).toHaveBeenCalledWith(
+        expect.objectContaining({ provisional: false }),
+        { session: 'session123' }
+      );
+      expect(result).toMatchObject({ creditEntryId: 'entry123', creditTransactionId: 'credit123' });
+    });
+
+    it('reverses a provisional credit when the dispute is lost', async () => {
+      Dispute.findById.mockResolvedValue(provisional());
+      Dispute.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(transitioned(provisional(), update)));
+
+      const result = await disputeService.resolveDispute('dispute123', 'lost', 'admin1');
+
+      expect(ledgerService.reverseEntry).toHaveBeenCalledWith('entry123', 'Dispute lost', { session: 'session123', requireFunds: true });
+      expect(Transaction.updateOne).toHaveBeenCalledWith(
+        { _id: 'credit123' },
+        { $set: { status: 'cancelled' } },
+        { session: 'session123' }
+      );
+      expect(result.provisionalCredit).toMatchObject({ status: 'reversed', reversalEntryId: 'reversal123' });
+    });
+
+    it('still closes the dispute when the credit can no longer be reversed', async () => {
+      Dispute.findById.mockResolvedValue(provisional());
+      Dispute.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(transitioned(provisional(), update)));
+      ledgerService.reverseEntry.mockRejectedValue(Object.assign(new Error('Insufficient funds'), { code: 'INSUFFICIENT_FUNDS' }));
+
+      const result = await disputeService.resolveDispute('dispute123', 'lost', 'admin1');
+
+      expect(result).toMatchObject({ status: 'lost', provisionalCredit: { status: 'reversal_failed' } });
+    });
+
+    it('rejects outcomes other than won or lost', async () => {
+      await expect(disputeService.resolveDispute('dispute123', 'withdrawn', 'admin1'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_OUTCOME' });
+    });
+  });
+
+  describe('handleIssuerUpdate', () => {
+    it('closes a submitted dispute the issuer decided', async () => {
+      Dispute.findOne.mockResolvedValue(dispute({ status: 'submitted', providerDisputeId: 'cb_1' }));
+      Dispute.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(transitioned(dispute(), update)));
+
+      const result = await disputeService.handleIssuerUpdate({ provider: 'marqeta', disputeId: 'cb_1', status: 'won' });
+
+      expect(Dispute.findOne).toHaveBeenCalledWith({ provider: 'marqeta', providerDisputeId: 'cb_1' });
+      expect(result).toMatchObject({ status: 'won', providerStatus: 'won' });
+      expect(ledgerService.recordDisputeCredit).toHaveBeenCalled();
+    });
+
+    it('records intermediate issuer statuses without closing', async () => {
+      Dispute.findOne.mockResolvedValue(dispute({ status: 'submitted', providerDisputeId: 'cb_1', providerStatus: 'submitted' }));
+
+      const result = await disputeService.handleIssuerUpdate({ provider: 'marqeta', disputeId: 'cb_1', status: 'arbitration' });
+
+      expect(result).toBeNull();
+      expect(Dispute.updateOne).toHaveBeenCalledWith({ _id: 'dispute123' }, { $set: { providerStatus: 'arbitration' } });
+      expect(Dispute.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
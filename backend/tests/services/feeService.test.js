@@ -0,0 +1,188 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/FeeSchedule', () => ({
+  OPERATIONS: ['card_creation', 'wallet_funding', 'gift_card_purchase', 'fx_conversion', 'withdrawal'],
+  find: jest.fn()
+}));
+jest.mock('../../models/KYC', () => ({ findOne: jest.fn() }));
+jest.mock('../../models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../models/Transaction', () => {
+  const Transaction = jest.fn(function(data) {
+    Object.assign(this, data, { _id: 'feetx123' });
+  });
+  Transaction.updateOne = jest.fn();
+  return Transaction;
+});
+jest.mock('../../services/ledgerService', () => ({ recordFeeCharge: jest.fn(), reverseEntry: jest.fn() }));
+jest.mock('../../utils/mongoTransaction', () => ({
+  withTransaction: jest.fn(work => work('session123'))
+}));
+
+const feeService = require('../../services/feeService');
+const FeeSchedule = require('../../models/FeeSchedule');
+const KYC = require('../../models/KYC');
+const User = require('../../models/User');
+const Transaction = require('../../models/Transaction');
+const ledgerService = require('../../services/ledgerService');
+
+// Resolve like a Mongoose query with .select()
+const selectable = (value) => ({ select: jest.fn().mockResolvedValue(value) });
+
+const schedule = (fields) => ({
+  _id: `fee_${fields.name}`,
+  updatedAt: new Date('2026-01-01'),
+  specificity() {
+    return ['method', 'kycLevel', 'plan', 'currency'].filter(field => Boolean(this[field])).length;
+  },
+  ...fields
+});
+
+describe('FeeService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    FeeSchedule.find.mockResolvedValue([]);
+    KYC.findOne.mockReturnValue(selectable({ status: 'approved', level: 'enhanced' }));
+    User.findById.mockReturnValue(selectable({ plan: 'standard' }));
+  });
+
+  describe('calculate', () => {
+    it('adds a flat amount to a percentage and applies min and max', () => {
+      const card = { type: 'percentage', percent: 2.9, flatAmount: 0.3, minFee: 1, maxFee: 20 };
+
+      expect(feeService.calculate(card, 1000, 'USD')).toBe(100);
+      expect(feeService.calculate(card, 10000, 'USD')).toBe(320);
+      expect(feeService.calculate(card, 1000000, 'USD')).toBe(2000);
+    });
+
+    it('prices the whole amount at the rate of the tier it falls in', () => {
+      const tiered = {
+        type: 'tiered',
+        tiers: [
+          { upTo: 1000, flatAmount: 0, percent: 1 },
+          { flatAmount: 5, percent: 0.5 },
+          { upTo: 100, flatAmount: 1, percent: 0 }
+        ]
+      };
+
+      expect(feeService.calculate(tiered, 5000, 'USD')).toBe(100);
+      expect(feeService.calculate(tiered, 50000, 'USD')).toBe(500);
+      expect(feeService.calculate(tiered, 500000, 'USD')).toBe(3000);
+    });
+
+    it('uses the minor units of the currency', () => {
+      expect(feeService.calculate({ type: 'flat', flatAmount: 100 }, 0, 'JPY')).toBe(100);
+    });
+  });
+
+  describe('quote', () => {
+    it('falls back to the built-in defaults', async () => {
+      await expect(feeService.quote({ userId: 'user123', operation: 'gift_card_purchase', amountMinor: 5000 }))
+        .resolves.toMatchObject({ feeMinor: 100, totalMinor: 5100, netMinor: 5000, scheduleId: null });
+      await expect(feeService.quote({ userId: 'user123', operation: 'withdrawal', amountMinor: 10000 }))
+        .resolves.toMatchObject({ feeMinor: 250 });
+      await expect(feeService.quote({ userId: 'user123', operation: 'withdrawal', amountMinor: 100000 }))
+        .resolves.toMatchObject({ feeMinor: 1000 });
+    });
+
+    it('picks the most specific schedule matching the method, KYC level and plan', async () => {
+      FeeSchedule.find.mockResolvedValue([
+        schedule({ name: 'all', type: 'flat', flatAmount: 1 }),
+        schedule({ name: 'bank', method: 'bank_transfer', type: 'flat', flatAmount: 2 }),
+        schedule({ name: 'bank_enhanced', method: 'bank_transfer', kycLevel: 'enhanced', type: 'flat', flatAmount: 0.5 }),
+        schedule({ name: 'bank_premium', method: 'bank_transfer', kycLevel: 'premium', type: 'flat', flatAmount: 0 }),
+        schedule({ name: 'crypto_pro', method: 'crypto', plan: 'pro', kycLevel: 'enhanced', type: 'flat', flatAmount: 0 })
+      ]);
+
+      const quote = await feeService.quote({
+        userId: 'user123',
+        operation: 'wallet_funding',
+        method: 'bank_transfer',
+        amountMinor: 10000
+      });
+
+      expect(FeeSchedule.find).toHaveBeenCalledWith({ operation: 'wallet_funding', active: true });
+      expect(quote).toMatchObject({
+        feeMinor: 50,
+        totalMinor: 10000,
+        netMinor: 9950,
+        scheduleId: 'fee_bank_enhanced'
+      });
+    });
+
+    it('ignores the KYC level until KYC is approved', async () => {
+      KYC.findOne.mockReturnValue(selectable({ status: 'pending', level: 'enhanced' }));
+      FeeSchedule.find.mockResolvedValue([
+        schedule({ name: 'all', type: 'flat', flatAmount: 1 }),
+        schedule({ name: 'enhanced', kycLevel: 'enhanced', type: 'flat', flatAmount: 0 })
+      ]);
+
+      await expect(feeService.quote({ userId: 'user123', operation: 'card_creation' }))
+        .resolves.toMatchObject({ feeMinor: 100, scheduleName: 'all' });
+    });
+
+    it('refuses funding fees that would swallow the deposit', async () => {
+      FeeSchedule.find.mockResolvedValue([schedule({ name: 'all', type: 'flat', flatAmount: 15 })]);
+
+      await expect(feeService.quote({ userId: 'user123', operation: 'wallet_funding', amountMinor: 1000 }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'FEE_EXCEEDS_AMOUNT' });
+    });
+
+    it('rejects unknown operations', async () => {
+      await expect(feeService.quote({ userId: 'user123', operation: 'card_spend', amountMinor: 1000 }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'UNKNOWN_OPERATION' });
+    });
+  });
+
+  describe('buildFeeTransaction', () => {
+    it('records the fee as its own transaction linked to the operation', () => {
+      const transaction = feeService.buildFeeTransaction(
+        { operation: 'gift_card_purchase', method: null, currency: 'USD', feeMinor: 100, scheduleId: null, scheduleName: 'Default gift card fee' },
+        { userId: 'user123', description: 'Gift card purchase fee', relatedTransaction: { _id: 'tx123' } }
+      );
+
+      expect(transaction).toMatchObject({
+        type: 'fee',
+        amountMinor: 100,
+        currency: 'USD',
+        status: 'completed',
+        relatedTransactionId: 'tx123',
+        metadata: expect.objectContaining({ operation: 'gift_card_purchase', feeSchedule: 'Default gift card fee' })
+      });
+    });
+
+    it('skips operations without a fee', () => {
+      expect(feeService.buildFeeTransaction({ feeMinor: 0 }, { userId: 'user123' })).toBeNull();
+    });
+  });
+
+  describe('chargeFee', () => {
+    it('debits a standalone fee from the wallet and refunds it on request', async () => {
+      ledgerService.recordFeeCharge.mockResolvedValue({ _id: 'entry123' });
+      const quote = { operation: 'card_creation', currency: 'USD', feeMinor: 500, scheduleId: 'fee123' };
+
+      const charge = await feeService.chargeFee(quote, { userId: 'user123', description: 'Card creation fee' });
+
+      expect(ledgerService.recordFeeCharge).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user123',
+        feeMinor: 500,
+        operation: 'card_creation',
+        transaction: expect.objectContaining({ type: 'fee', amountMinor: 500 })
+      }), { session: 'session123' });
+
+      await feeService.refundFee(charge, 'Card creation failed');
+
+      expect(ledgerService.reverseEntry).toHaveBeenCalledWith('entry123', 'Card creation failed', { session: 'session123' });
+      expect(Transaction.updateOne).toHaveBeenCalledWith(
+        { _id: 'feetx123' },
+        { $set: { status: 'cancelled' } },
+        { session: 'session123' }
+      );
+    });
+
+    it('charges nothing when the fee is zero', async () => {
+      await expect(feeService.chargeFee({ feeMinor: 0 }, { userId: 'user123' })).resolves.toBeNull();
+      expect(ledgerService.recordFeeCharge).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,191 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/FxRate', () => ({
+  findOne: jest.fn(),
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../models/FxQuote', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../models/Transaction', () => jest.fn(function(data) {
+  Object.assign(this, data, { _id: 'tx123' });
+}));
+jest.mock('../../services/ledgerService', () => ({ recordCurrencyConversion: jest.fn() }));
+jest.mock('../../services/feeService', () => ({ quote: jest.fn(), buildFeeTransaction: jest.fn() }));
+jest.mock('../../utils/mongoTransaction', () => ({
+  withTransaction: jest.fn(work => work('session123'))
+}));
+
+const fxService = require('../../services/fxService');
+const FxRate = require('../../models/FxRate');
+const FxQuote = require('../../models/FxQuote');
+const ledgerService = require('../../services/ledgerService');
+const feeService = require('../../services/feeService');
+
+// Serve rates from an in-memory table keyed by "BASE/QUOTE"
+const useRates = (table) => {
+  FxRate.findOne.mockImplementation(({ base, quote }) => Promise.resolve(table[`${base}/${quote}`] || null));
+};
+
+describe('FxService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useRates({
+      'USD/EUR': { rate: 0.92 },
+      'USD/JPY': { rate: 150, spreadBps: 100 }
+    });
+  });
+
+  describe('getRate', () => {
+    it('uses the direct rate with the default spread', async () => {
+      await expect(fxService.getRate('usd', 'eur')).resolves.toEqual({ rate: 0.92, spreadBps: 50 });
+    });
+
+    it('inverts a rate loaded for the opposite pair', async () => {
+      const { rate } = await fxService.getRate('EUR', 'USD');
+      expect(rate).toBeCloseTo(1 / 0.92, 10);
+    });
+
+    it('crosses through USD when neither side is USD', async () => {
+      const { rate, spreadBps } = await fxService.getRate('EUR', 'JPY');
+      expect(rate).toBeCloseTo(150 / 0.92, 8);
+      expect(spreadBps).toBe(100);
+    });
+
+    it('fails for pairs without a rate', async () => {
+      await expect(fxService.getRate('USD', 'GBP')).rejects.toMatchObject({ code: 'FX_RATE_UNAVAILABLE' });
+    });
+  });
+
+  describe('price', () => {
+    it('applies the spread to the amount sold', async () => {
+      const pricing = await fxService.price({ from: 'USD', to: 'EUR', sellAmountMinor: 10000 });
+
+      // 100.00 USD at 0.92 less 50 bps = 91.54 EUR, 0.46 EUR kept as spread
+      expect(pricing).toMatchObject({
+        fromCurrency: 'USD',
+        toCurrency: 'EUR',
+        sellAmountMinor: 10000,
+        buyAmountMinor: 9154,
+        spreadMinor: 46,
+        midRate: 0.92,
+        spreadBps: 50
+      });
+    });
+
+    it('converts between currencies with different exponents', async () => {
+      const pricing = await fxService.price({ from: 'USD', to: 'JPY', sellAmountMinor: 1000 });
+
+      // 10.00 USD at 150 less 100 bps = 1485 JPY
+      expect(pricing.buyAmountMinor).toBe(1485);
+      expect(pricing.spreadMinor).toBe(15);
+    });
+
+    it('rounds the amount sold up when pricing a target amount', async () => {
+      const pricing = await fxService.price({ from: 'EUR', to: 'USD', buyAmountMinor: 1000 });
+
+      expect(pricing.buyAmountMinor).toBe(1000);
+      expect(pricing.sellAmountMinor).toBe(925);
+    });
+
+    it('rejects converting a currency into itself', async () => {
+      await expect(fxService.price({ from: 'USD', to: 'usd', sellAmountMinor: 100 }))
+        .rejects.toMatchObject({ code: 'SAME_CURRENCY', statusCode: 400 });
+    });
+  });
+
+  describe('upsertRates', () => {
+    it('validates every rate before writing any', async () => {
+      await expect(fxService.upsertRates([
+        { base: 'USD', quote: 'EUR', rate: 0.92 },
+        { base: 'USD', quote: 'GBP', rate: 0 }
+      ])).rejects.toMatchObject({ code: 'INVALID_FX_RATE' });
+
+      expect(FxRate.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createQuote', () => {
+    it('prices the conversion fee in the currency sold', async () => {
+      feeService.quote.mockResolvedValue({ feeMinor: 150, scheduleId: 'fee123' });
+      FxQuote.create.mockImplementation(async data => data);
+
+      const quote = await fxService.createQuote('user123', { from: 'USD', to: 'EUR', amountMinor: 10000 });
+
+      expect(feeService.quote).toHaveBeenCalledWith({
+        userId: 'user123',
+        operation: 'fx_conversion',
+        amountMinor: 10000,
+        currency: 'USD'
+      });
+      expect(quote).toMatchObject({ sellAmountMinor: 10000, buyAmountMinor: 9154, feeMinor: 150, feeScheduleId: 'fee123' });
+    });
+  });
+
+  describe('executeQuote', () => {
+    it('posts the quoted conversion and its fee to the ledger', async () => {
+      feeService.buildFeeTransaction.mockReturnValue({ _id: 'feetx123', type: 'fee' });
+      const quote = {
+        _id: 'quote123',
+        fromCurrency: 'USD',
+        toCurrency: 'EUR',
+        sellAmountMinor: 10000,
+        buyAmountMinor: 9154,
+        spreadMinor: 46,
+        feeMinor: 150,
+        rate: 0.9154,
+        save: jest.fn().mockResolvedValue()
+      };
+      FxQuote.findOneAndUpdate.mockResolvedValue(quote);
+
+      const result = await fxService.executeQuote('user123', 'quote123');
+
+      expect(ledgerService.recordCurrencyConversion).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user123',
+        fromCurrency: 'USD',
+        toCurrency: 'EUR',
+        sellAmountMinor: 10000,
+        buyAmountMinor: 9154,
+        spreadMinor: 46,
+        feeMinor: 150,
+        feeTransaction: { _id: 'feetx123', type: 'fee' }
+      }), { session: 'session123' });
+      expect(feeService.buildFeeTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({ operation: 'fx_conversion', currency: 'USD', feeMinor: 150 }),
+        expect.objectContaining({ userId: 'user123', relatedTransaction: result.transaction })
+      );
+      expect(result.transaction).toMatchObject({ type: 'currency_conversion', amountMinor: 10000, currency: 'USD' });
+      expect(quote.transactionId).toBe('tx123');
+    });
+
+    it('refuses expired quotes', async () => {
+      FxQuote.findOneAndUpdate.mockResolvedValue(null);
+      FxQuote.findOne.mockReturnValue({
+        session: jest.fn().mockResolvedValue({
+          _id: 'quote123',
+          status: 'quoted',
+          isExpired: () => true
+        })
+      });
+
+      await expect(fxService.executeQuote('user123', 'quote123'))
+        .rejects.toMatchObject({ code: 'QUOTE_EXPIRED', statusCode: 410 });
+      expect(ledgerService.recordCurrencyConversion).not.toHaveBeenCalled();
+    });
+
+    it('refuses quotes that were already executed', async () => {
+      FxQuote.findOneAndUpdate.mockResolvedValue(null);
+      FxQuote.findOne.mockReturnValue({
+        session: jest.fn().mockResolvedValue({ _id: 'quote123', status: 'executed', isExpired: () => false })
+      });
+
+      await expect(fxService.executeQuote('user123', 'quote123'))
+        .rejects.toMatchObject({ code: 'QUOTE_ALREADY_EXECUTED', statusCode: 409 });
+    });
+  });
+});
@@ -0,0 +1,260 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/VirtualCard', () => ({ find: jest.fn(), updateOne: jest.fn(), countDocuments: jest.fn() }));
+jest.mock('../../models/PayoutDestination', () => ({ find: jest.fn(), updateOne: jest.fn(), countDocuments: jest.fn() }));
+jest.mock('../../models/DisputeDocument', () => ({ find: jest.fn(), updateOne: jest.fn(), countDocuments: jest.fn() }));
+jest.mock('../../models/KeyRotationRun', () => ({ findOne: jest.fn(), create: jest.fn(), find: jest.fn() }));
+jest.mock('../../models/DataKey', () => ({ find: jest.fn() }));
+jest.mock('../../vault/VaultRecord', () => ({ find: jest.fn(), updateOne: jest.fn(), countDocuments: jest.fn() }));
+jest.mock('../../services/dataKeyService', () => ({
+  staleKeyFilter: jest.fn().mockResolvedValue({ provider: 'local', masterKeyId: { $ne: 'mk2' } }),
+  countStaleKeys: jest.fn(),
+  rewrapKey: jest.fn()
+}));
+jest.mock('../../config/kms', () => {
+  const mockProvider = { name: 'local', getCurrentKeyId: jest.fn().mockResolvedValue('mk2') };
+  return { isEnabled: jest.fn(() => false), getProvider: () => mockProvider, defaultProvider: 'local' };
+});
+jest.mock('../../utils/secureCardStorage', () => ({
+  currentKeyId: 'k2026',
+  keys: new Map([['k2025', null], ['k2026', null]]),
+  getCurrentPrefix: () => 'k2026:',
+  needsReEncryption: jest.fn(value => !value.startsWith('k2026:')),
+  reEncryptCardData: jest.fn(value => `k2026:${value.split(':')[1]}`)
+}));
+
+const keyRotationService = require('../../services/keyRotationService');
+const VirtualCard = require('../../models/VirtualCard');
+const PayoutDestination = require('../../models/PayoutDestination');
+const DisputeDocument = require('../../models/DisputeDocument');
+const KeyRotationRun = require('../../models/KeyRotationRun');
+const DataKey = require('../../models/DataKey');
+const VaultRecord = require('../../vault/VaultRecord');
+const dataKeyService = require('../../services/dataKeyService');
+const kmsConfig = require('../../config/kms');
+const secureCardStorage = require('../../utils/secureCardStorage');
+
+// find(...).sort(...).limit(...).select(...).lean() resolving to each batch in turn
+const mockBatches = (model, batches) => {
+  batches.forEach(batch => {
+    const chain = {
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(batch)
+    };
+    model.find.mockReturnValueOnce(chain);
+  });
+};
+
+const newRun = (fields = {}) => ({
+  _id: 'run1',
+  keyId: 'k2026',
+  status: 'running',
+  total: 3,
+  processed: 0,
+  reEncrypted: 0,
+  rewrapped: 0,
+  skipped: 0,
+  documentErrors: 0,
+  save: jest.fn().mockResolvedValue(),
+  ...fields
+});
+
+const cardDoc = (id, fields = {}) => ({
+  _id: id,
+  userId: 'user123',
+  encryptedCardNumber: 'k2025:number',
+  encryptedCvv: 'k2025:cvv',
+  ...fields
+});
+
+describe('KeyRotationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    kmsConfig.isEnabled.mockReturnValue(false);
+    keyRotationService.running = false;
+    keyRotationService.batchSize = 2;
+    VirtualCard.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    PayoutDestination.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    DisputeDocument.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    VaultRecord.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('pendingFilter', () => {
+    it('matches documents with any field not under the key', () => {
+      const filter = keyRotationService.pendingFilter({ fields: ['encryptedCardNumber', 'encryptedCvv'] });
+
+      expect(filter.$or).toHaveLength(2);
+      expect(filter.$or[0].encryptedCardNumber.$type).toBe('string');
+      expect(filter.$or[0].encryptedCardNumber.$not.test('k2026:abc')).toBe(true);
+      expect(filter.$or[0].encryptedCardNumber.$not.test('k2025:abc')).toBe(false);
+      expect(filter.$or[0].encryptedCardNumber.$not.test('unversioned')).toBe(false);
+    });
+  });
+
+  describe('startRun', () => {
+    it('starts a new run counting the documents still under other keys', async () => {
+      KeyRotationRun.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue({ status: 'completed' }) });
+      VirtualCard.countDocuments.mockResolvedValue(5);
+      PayoutDestination.countDocuments.mockResolvedValue(2);
+      DisputeDocument.countDocuments.mockResolvedValue(3);
+      VaultRecord.countDocuments.mockResolvedValue(4);
+      KeyRotationRun.create.mockImplementation(async fields => fields);
+
+      const run = await keyRotationService.startRun({ trigger: 'manual', triggeredBy: 'admin1' });
+
+      expect(KeyRotationRun.findOne).toHaveBeenCalledWith({ keyId: 'k2026' });
+      expect(run).toEqual({ keyId: 'k2026', trigger: 'manual', triggeredBy: 'admin1', total: 14 });
+    });
+
+    it('resumes the latest unfinished run for the key unless told to restart', async () => {
+      const failed = newRun({ status: 'failed', error: 'connection lost', target: 'virtualcards', lastId: 'card2' });
+      KeyRotationRun.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(failed) });
+
+      const run = await keyRotationService.startRun();
+
+      expect(run).toBe(failed);
+      expect(run).toMatchObject({ status: 'running', error: undefined, lastId: 'card2', resumedAt: expect.any(Date) });
+      expect(KeyRotationRun.create).not.toHaveBeenCalled();
+
+      keyRotationService.running = false;
+      VirtualCard.countDocuments.mockResolvedValue(1);
+      PayoutDestination.countDocuments.mockResolvedValue(0);
+      DisputeDocument.countDocuments.mockResolvedValue(0);
+      VaultRecord.countDocuments.mockResolvedValue(0);
+      KeyRotationRun.create.mockImplementation(async fields => fields);
+      await keyRotationService.startRun({ restart: true });
+      expect(KeyRotationRun.create).toHaveBeenCalledWith(expect.objectContaining({ total: 1 }));
+    });
+
+    it('allows one run at a time', async () => {
+      keyRotationService.running = true;
+
+      await expect(keyRotationService.startRun()).rejects.toMatchObject({ statusCode: 409, code: 'KEY_ROTATION_RUNNING' });
+    });
+  });
+
+  describe('executeRun', () => {
+    it('re-encrypts in batches, checkpointing and reporting progress after each', async () => {
+      mockBatches(VirtualCard, [
+        [cardDoc('card1'), cardDoc('card2', { encryptedCvv: 'k2026:cvv' })],
+        [cardDoc('card3')]
+      ]);
+      mockBatches(PayoutDestination, [[]]);
+      mockBatches(DisputeDocument, [[]]);
+      mockBatches(VaultRecord, [[]]);
+      const run = newRun();
+      const checkpoints = [];
+      const onProgress = jest.fn(progress => checkpoints.push({ lastId: progress.lastId, processed: progress.processed }));
+
+      await keyRotationService.executeRun(run, { onProgress });
+
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith(
+        { _id: 'card1', encryptedCardNumber: 'k2025:number', encryptedCvv: 'k2025:cvv' },
+        { $set: { encryptedCardNumber: 'k2026:number', encryptedCvv: 'k2026:cvv' } }
+      );
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith(
+        { _id: 'card2', encryptedCardNumber: 'k2025:number' },
+        { $set: { encryptedCardNumber: 'k2026:number' } }
+      );
+      expect(VirtualCard.find.mock.calls[1][0]._id).toEqual({ $gt: 'card2' });
+      expect(checkpoints).toEqual([{ lastId: 'card2', processed: 2 }, { lastId: 'card3', processed: 3 }]);
+      expect(run).toMatchObject({ status: 'completed', target: 'vaultrecords', processed: 3, reEncrypted: 3 });
+      expect(keyRotationService.running).toBe(false);
+    });
+
+    it('resumes from the checkpoint of the collection it stopped in', async () => {
+      mockBatches(PayoutDestination, [[{ _id: 'dest2', userId: 'user123', bankAccount: { encryptedAccountNumber: 'k2025:account' } }]]);
+      mockBatches(DisputeDocument, [[]]);
+      mockBatches(VaultRecord, [[]]);
+      const run = newRun({ target: 'payoutdestinations', lastId: 'dest1' });
+
+      await keyRotationService.executeRun(run);
+
+      expect(VirtualCard.find).not.toHaveBeenCalled();
+      expect(PayoutDestination.find.mock.calls[0][0]._id).toEqual({ $gt: 'dest1' });
+      expect(PayoutDestination.updateOne).toHaveBeenCalledWith(
+        { _id: 'dest2', 'bankAccount.encryptedAccountNumber': 'k2025:account' },
+        { $set: { 'bankAccount.encryptedAccountNumber': 'k2026:account' } }
+      );
+    });
+
+    it('walks dispute documents in smaller batches', async () => {
+      mockBatches(DisputeDocument, [[{ _id: 'doc1', userId: 'user123', encryptedContent: 'k2025:content' }]]);
+      mockBatches(VaultRecord, [[]]);
+      const run = newRun({ target: 'disputedocuments' });
+
+      await keyRotationService.executeRun(run);
+
+      expect(DisputeDocument.find.mock.results[0].value.limit).toHaveBeenCalledWith(10);
+      expect(DisputeDocument.updateOne).toHaveBeenCalledWith(
+        { _id: 'doc1', encryptedContent: 'k2025:content' },
+        { $set: { encryptedContent: 'k2026:content' } }
+      );
+      expect(run).toMatchObject({ status: 'completed', reEncrypted: 1 });
+    });
+
+    it('re-encrypts vault records under their owner\'s key', async () => {
+      mockBatches(VaultRecord, [[{ _id: 'rec1', ownerId: 'user456', encryptedPan: 'k2025:pan', encryptedCvv: 'k2026:cvv' }]]);
+      const run = newRun({ target: 'vaultrecords' });
+
+      await keyRotationService.executeRun(run);
+
+      expect(VaultRecord.find.mock.results[0].value.select).toHaveBeenCalledWith('ownerId encryptedPan encryptedCvv');
+      expect(secureCardStorage.reEncryptCardData).toHaveBeenCalledWith('k2025:pan', 'user456', 'rec1');
+      expect(VaultRecord.updateOne).toHaveBeenCalledWith(
+        { _id: 'rec1', encryptedPan: 'k2025:pan' },
+        { $set: { encryptedPan: 'k2026:pan' } }
+      );
+      expect(run).toMatchObject({ status: 'completed', reEncrypted: 1 });
+    });
+
+    it('skips documents changed concurrently and counts documents it cannot decrypt', async () => {
+      mockBatches(VirtualCard, [[cardDoc('card1'), cardDoc('card2')]]);
+      mockBatches(VirtualCard, [[]]);
+      mockBatches(PayoutDestination, [[]]);
+      mockBatches(DisputeDocument, [[]]);
+      mockBatches(VaultRecord, [[]]);
+      secureCardStorage.reEncryptCardData.mockImplementationOnce(() => { throw new Error('Re-encryption failed: bad tag'); });
+      VirtualCard.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+      const run = await keyRotationService.executeRun(newRun());
+
+      expect(VirtualCard.updateOne).toHaveBeenCalledTimes(1);
+      expect(run).toMatchObject({ status: 'completed', processed: 2, reEncrypted: 0, skipped: 1, documentErrors: 1 });
+    });
+
+    it('rewraps data keys under the current master key first with envelope encryption', async () => {
+      kmsConfig.isEnabled.mockReturnValue(true);
+      DataKey.find.mockReturnValueOnce({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([{ _id: 'dk1' }])
+      });
+      dataKeyService.rewrapKey.mockResolvedValue(true);
+      mockBatches(VirtualCard, [[]]);
+      mockBatches(PayoutDestination, [[]]);
+      mockBatches(DisputeDocument, [[]]);
+      mockBatches(VaultRecord, [[]]);
+
+      const run = await keyRotationService.executeRun(newRun({ keyId: 'kms.local.mk2' }));
+
+      expect(DataKey.find).toHaveBeenCalledWith({ provider: 'local', masterKeyId: { $ne: 'mk2' } });
+      expect(dataKeyService.rewrapKey).toHaveBeenCalledWith({ _id: 'dk1' });
+      expect(run).toMatchObject({ status: 'completed', processed: 1, rewrapped: 1, reEncrypted: 0 });
+    });
+
+    it('marks the run failed, keeping its checkpoint, when the database fails', async () => {
+      mockBatches(VirtualCard, [[cardDoc('card1'), cardDoc('card2')]]);
+      VirtualCard.find.mockImplementationOnce(() => { throw new Error('connection lost'); });
+      const run = newRun();
+
+      await keyRotationService.executeRun(run);
+
+      expect(run).toMatchObject({ status: 'failed', error: 'connection lost', target: 'virtualcards', lastId: 'card2' });
+      expect(run.save).toHaveBeenCalled();
+      expect(keyRotationService.running).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,433 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/LedgerAccount', () => ({
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  findByCode: jest.fn(),
+  find: jest.fn()
+}));
+jest.mock('../../models/JournalEntry', () => {
+  const JournalEntry = jest.fn(function(data) {
+    Object.assign(this, data, { _id: 'entry123', postedAt: new Date() });
+    this.validate = jest.fn().mockResolvedValue();
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  JournalEntry.aggregate = jest.fn();
+  JournalEntry.findById = jest.fn();
+  JournalEntry.updateOne = jest.fn();
+  return JournalEntry;
+});
+jest.mock('../../models/User', () => ({ updateOne: jest.fn(), findById: jest.fn() }));
+jest.mock('../../models/VirtualCard', () => ({ updateOne: jest.fn(), findById: jest.fn() }));
+
+const ledgerService = require('../../services/ledgerService');
+const LedgerAccount = require('../../models/LedgerAccount');
+const JournalEntry = require('../../models/JournalEntry');
+const User = require('../../models/User');
+const VirtualCard = require('../../models/VirtualCard');
+
+describe('LedgerService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.updateOne.mockResolvedValue({ matchedCount: 1 });
+    VirtualCard.updateOne.mockResolvedValue({ matchedCount: 1 });
+    LedgerAccount.findOneAndUpdate.mockImplementation((filter, update) => {
+      const type = filter.code.split(':')[0];
+      const ownerId = ['wallet', 'card'].includes(type) ? filter.code.split(':')[1] : undefined;
+      return Promise.resolve({
+        _id: `acct_${filter.code}`,
+        code: filter.code,
+        type,
+        ownerId,
+        currency: update.$setOnInsert.currency,
+        normalBalance: type === 'funding_source' ? 'debit' : 'credit'
+      });
+    });
+  });
+
+  describe('validateLines', () => {
+    it('rejects unbalanced entries', () => {
+      expect(() => ledgerService.validateLines([
+        { account: ledgerService.walletAccount('user123'), direction: 'debit', amount: 500 },
+        { account: ledgerService.cardAccount('card123'), direction: 'credit', amount: 400 }
+      ])).toThrow('not balanced');
+    });
+
+    it('rejects fractional minor-unit amounts', () => {
+      expect(() => ledgerService.validateLines([
+        { account: ledgerService.walletAccount('user123'), direction: 'debit', amount: 10.5 },
+        { account: ledgerService.cardAccount('card123'), direction: 'credit', amount: 10.5 }
+      ])).toThrow('Invalid journal line amount');
+    });
+
+    it('balances each currency separately', () => {
+      expect(() => ledgerService.validateLines([
+        { account: ledgerService.walletAccount('user123', 'EUR'), direction: 'debit', amount: 1000 },
+        { account: ledgerService.walletAccount('user123', 'USD'), direction: 'credit', amount: 1000 }
+      ])).toThrow('not balanced in EUR');
+    });
+
+    it('requires at least two lines', () => {
+      expect(() => ledgerService.validateLines([
+        { account: ledgerService.walletAccount('user123'), direction: 'debit', amount: 100 }
+      ])).toThrow('at least two lines');
+    });
+  });
+
+  describe('recordWalletDeposit', () => {
+    it('deducts the funding fee from the wallet credit and links both transactions', async () => {
+      const transaction = { _id: 'tx123', save: jest.fn().mockResolvedValue() };
+      const feeTransaction = { _id: 'feetx123', save: jest.fn().mockResolvedValue() };
+
+      const entry = await ledgerService.recordWalletDeposit({
+        userId: 'user123',
+        amountMinor: 10000,
+        feeMinor: 150,
+        source: 'bank_transfer',
+        transaction,
+        feeTransaction
+      });
+
+      expect(entry.lines).toEqual([
+        expect.objectContaining({ accountCode: 'funding_source:bank_transfer:USD', direction: 'debit', amount: 10000 }),
+        expect.objectContaining({ accountCode: 'wallet:user123:USD', direction: 'credit', amount: 9850 }),
+        expect.objectContaining({ accountCode: 'fees:USD', direction: 'credit', amount: 150 })
+      ]);
+      expect(entry.transactionIds).toEqual(['tx123', 'feetx123']);
+      expect(feeTransaction.ledgerEntryId).toBe('entry123');
+      expect(feeTransaction.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('recordCardFunding', () => {
+    it('moves funds from the wallet to the card and updates both projections', async () => {
+      const entry = await ledgerService.recordCardFunding({
+        userId: 'user123',
+        cardId: 'card123',
+        amountMinor: 2510
+      });
+
+      expect(entry.lines).toEqual([
+        expect.objectContaining({ accountCode: 'wallet:user123:USD', direction: 'debit', amount: 2510 }),
+        expect.objectContaining({ accountCode: 'card:card123:USD', direction: 'credit', amount: 2510 })
+      ]);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: 'user123', 'walletBalances.USD': { $gte: 2510 } },
+        { $inc: { 'walletBalances.USD': -2510 } },
+        { session: null }
+      );
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith(
+        { _id: 'card123' },
+        expect.objectContaining({ $inc: { balanceMinor: 2510 } }),
+        { session: null }
+      );
+    });
+
+    it('fails without crediting the card when the wallet cannot cover the debit', async () => {
+      User.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+      await expect(ledgerService.recordCardFunding({
+        userId: 'user123',
+        cardId: 'card123',
+        amountMinor: 10000
+      })).rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS', statusCode: 400 });
+
+      expect(VirtualCard.updateOne).not.toHaveBeenCalled();
+      expect(LedgerAccount.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('passes the session to every write', async () => {
+      const session = { id: 'session123' };
+
+      await ledgerService.recordCardFunding({
+        userId: 'user123',
+        cardId: 'card123',
+        amountMinor: 1000
+      }, { session });
+
+      expect(User.updateOne).toHaveBeenCalledWith(expect.anything(), expect.anything(), { session });
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith(expect.anything(), expect.anything(), { session });
+      expect(LedgerAccount.updateOne).toHaveBeenCalledWith(expect.anything(), expect.anything(), { session });
+    });
+
+    it('links the entry to its transaction record', async () => {
+      const transaction = { _id: 'tx123', save: jest.fn().mockResolvedValue() };
+
+      await ledgerService.recordCardFunding({
+        userId: 'user123',
+        cardId: 'card123',
+        amountMinor: 1000,
+        transaction
+      });
+
+      expect(transaction.ledgerEntryId).toBe('entry123');
+      expect(transaction.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('recordCardDefund', () => {
+    it('moves available funds from the card back to the wallet', async () => {
+      const entry = await ledgerService.recordCardDefund({
+        userId: 'user123',
+        cardId: 'card123',
+        amountMinor: 1500
+      });
+
+      expect(entry.eventType).toBe('card_defund');
+      expect(entry.lines).toEqual([
+        expect.objectContaining({ accountCode: 'card:card123:USD', direction: 'debit', amount: 1500 }),
+        expect.objectContaining({ accountCode: 'wallet:user123:USD', direction: 'credit', amount: 1500 })
+      ]);
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith(
+        {
+          _id: 'card123',
+          $expr: { $gte: [{ $subtract: ['$balanceMinor', { $ifNull: ['$heldMinor', 0] }] }, 1500] }
+        },
+        expect.objectContaining({ $inc: { balanceMinor: -1500 } }),
+        { session: null }
+      );
+    });
+
+    it('fails without crediting the wallet when the card balance is short', async () => {
+      VirtualCard.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+      await expect(ledgerService.recordCardDefund({
+        userId: 'user123',
+        cardId: 'card123',
+        amountMinor: 1500
+      })).rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordCardAdjustment', () => {
+    it('books a correction against the issuer settlement account', async () => {
+      const entry = await ledgerService.recordCardAdjustment({
+        card: { _id: 'card123', userId: 'user123', issuerProvider: 'marqeta' },
+        deltaMinor: -2000
+      });
+
+      expect(entry.eventType).toBe('adjustment');
+      expect(entry.lines).toEqual([
+        expect.objectContaining({ accountCode: 'card:card123:USD', direction: 'debit', amount: 2000 }),
+        expect.objectContaining({ accountCode: 'issuer_settlement:marqeta:USD', direction: 'credit', amount: 2000 })
+      ]);
+    });
+  });
+
+  describe('recordDisputeCredit', () => {
+    it('advances provisional credits against the dispute receivable', async () => {
+      const entry = await ledgerService.recordDisputeCredit({
+        userId: 'user123',
+        card: { _id: 'card123' },
+        amountMinor: 2500,
+        provider: 'marqeta',
+        provisional: true,
+        disputeId: 'dispute123'
+      });
+
+      expect(entry.eventType).toBe('dispute_credit');
+      expect(entry.lines).toEqual([
+        expect.objectContaining({ accountCode: 'disputes:USD', direction: 'debit', amount: 2500 }),
+        expect.objectContaining({ accountCode: 'card:card123:USD', direction: 'credit', amount: 2500 })
+      ]);
+    });
+
+    it('credits the wallet from the issuer settlement account for won disputes', async () => {
+      const entry = await ledgerService.recordDisputeCredit({
+        userId: 'user123',
+        amountMinor: 2500,
+        provider: 'marqeta',
+        disputeId: 'dispute123'
+      });
+
+      expect(entry.lines).toEqual([
+        expect.objectContaining({ accountCode: 'issuer_settlement:marqeta:USD', direction: 'debit', amount: 2500 }),
+        expect.objectContaining({ accountCode: 'wallet:user123:USD', direction: 'credit', amount: 2500 })
+      ]);
+    });
+  });
+
+  describe('reverseEntry', () => {
+    const disputeCredit = {
+      _id: 'entry1',
+      description: 'Provisional dispute credit',
+      currency: 'USD',
+      userId: 'user123',
+      cardId: 'card123',
+      transactionIds: ['tx1'],
+      lines: [
+        { account: 'acct_disputes', direction: 'debit', amount: 2500 },
+        { account: 'acct_card', direction: 'credit', amount: 2500 }
+      ]
+    };
+
+    beforeEach(() => {
+      JournalEntry.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(disputeCredit) });
+      LedgerAccount.find.mockReturnValue({
+        session: jest.fn().mockResolvedValue([
+          { _id: 'acct_disputes', code: 'disputes:USD', type: 'disputes', currency: 'USD', normalBalance: 'debit' },
+          { _id: 'acct_card', code: 'card:card123:USD', type: 'card', ownerId: 'card123', currency: 'USD', normalBalance: 'credit' }
+        ])
+      });
+    });
+
+    it('refuses to overdraw a card that has spent the credit when funds are required', async () => {
+      VirtualCard.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+      await expect(ledgerService.reverseEntry('entry1', 'Dispute lost', { requireFunds: true }))
+        .rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith(
+        {
+          _id: 'card123',
+          $expr: { $gte: [{ $subtract: ['$balanceMinor', { $ifNull: ['$heldMinor', 0] }] }, 2500] }
+        },
+        expect.objectContaining({ $inc: { balanceMinor: -2500 } }),
+        { session: null }
+      );
+      expect(JournalEntry.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('debits the card unconditionally otherwise', async () => {
+      const reversal = await ledgerService.reverseEntry('entry1', 'Correction');
+
+      expect(reversal.reversalOf).toBe('entry1');
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith(
+        { _id: 'card123' },
+        expect.objectContaining({ $inc: { balanceMinor: -2500 } }),
+        { session: null }
+      );
+    });
+  });
+
+  describe('recordOpeningBalance', () => {
+    it('books a balance already on the wallet without crediting it again', async () => {
+      const entry = await ledgerService.recordOpeningBalance({
+        account: ledgerService.walletAccount('user123', 'EUR'),
+        userId: 'user123',
+        amountMinor: 2500,
+        migration: '006-ledger-opening-balances'
+      });
+
+      expect(entry).toMatchObject({ eventType: 'opening_balance', currency: 'EUR', userId: 'user123', cardId: undefined });
+      expect(entry.lines).toEqual([
+        expect.objectContaining({ accountCode: 'opening_balances:EUR', direction: 'debit', amount: 2500 }),
+        expect.objectContaining({ accountCode: 'wallet:user123:EUR', direction: 'credit', amount: 2500 })
+      ]);
+      expect(User.updateOne).not.toHaveBeenCalled();
+      expect(LedgerAccount.updateOne).toHaveBeenCalledWith(
+        { _id: 'acct_wallet:user123:EUR' },
+        expect.objectContaining({ $inc: { balance: 2500 } }),
+        { session: null }
+      );
+    });
+  });
+
+  describe('recordGiftCardPurchase', () => {
+    it('splits the wallet debit between gift card value and fee revenue', async () => {
+      const entry = await ledgerService.recordGiftCardPurchase({
+        userId: 'user123',
+        amountMinor: 5000,
+        feeMinor: 100
+      });
+
+      expect(entry.lines).toEqual([
+        expect.objectContaining({ accountCode: 'wallet:user123:USD', direction: 'debit', amount: 5100 }),
+        expect.objectContaining({ accountCode: 'gift_cards:USD', direction: 'credit', amount: 5000 }),
+        expect.objectContaining({ accountCode: 'fees:USD', direction: 'credit', amount: 100 })
+      ]);
+    });
+  });
+
+  describe('recordCurrencyConversion', () => {
+    it('balances each leg through the FX position accounts and books the spread', async () => {
+      const entry = await ledgerService.recordCurrencyConversion({
+        userId: 'user123',
+        fromCurrency: 'USD',
+        toCurrency: 'EUR',
+        sellAmountMinor: 10000,
+        buyAmountMinor: 9154,
+        spreadMinor: 46
+      });
+
+      expect(entry.eventType).toBe('fx_conversion');
+      expect(entry.lines).toEqual([
+        expect.objectContaining({ accountCode: 'wallet:user123:USD', direction: 'debit', amount: 10000 }),
+        expect.objectContaining({ accountCode: 'fx_position:USD', direction: 'credit', amount: 10000 }),
+        expect.objectContaining({ accountCode: 'fx_position:EUR', direction: 'debit', amount: 9200, currency: 'EUR' }),
+        expect.objectContaining({ accountCode: 'wallet:user123:EUR', direction: 'credit', amount: 9154, currency: 'EUR' }),
+        expect.objectContaining({ accountCode: 'fees:EUR', direction: 'credit', amount: 46, currency: 'EUR' })
+      ]);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: 'user123', 'walletBalances.USD': { $gte: 10000 } },
+        { $inc: { 'walletBalances.USD': -10000 } },
+        { session: null }
+      );
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: 'user123' },
+        { $inc: { 'walletBalances.EUR': 9154 } },
+        { session: null }
+      );
+    });
+
+    it('charges the conversion fee in the currency sold', async () => {
+      const entry = await ledgerService.recordCurrencyConversion({
+        userId: 'user123',
+        fromCurrency: 'USD',
+        toCurrency: 'EUR',
+        sellAmountMinor: 10000,
+        buyAmountMinor: 9200,
+        feeMinor: 150
+      });
+
+      expect(entry.lines).toEqual(expect.arrayContaining([
+        expect.objectContaining({ accountCode: 'wallet:user123:USD', direction: 'debit', amount: 10150 }),
+        expect.objectContaining({ accountCode: 'fx_position:USD', direction: 'credit', amount: 10000 }),
+        expect.objectContaining({ accountCode: 'fees:USD', direction: 'credit', amount: 150 })
+      ]));
+    });
+
+    it('credits a card instead of the wallet when funding a card', async () => {
+      const entry = await ledgerService.recordCurrencyConversion({
+        userId: 'user123',
+        cardId: 'card123',
+        fromCurrency: 'EUR',
+        toCurrency: 'USD',
+        sellAmountMinor: 920,
+        buyAmountMinor: 1000
+      });
+
+      expect(entry.eventType).toBe('card_funding');
+      expect(entry.lines).toHaveLength(4);
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith(
+        { _id: 'card123' },
+        expect.objectContaining({ $inc: { balanceMinor: 1000 } }),
+        { session: null }
+      );
+    });
+  });
+
+  describe('compareBalances', () => {
+    it('reports drift between the recorded and ledger balances', async () => {
+      LedgerAccount.findByCode.mockResolvedValue({ _id: 'acct1', normalBalance: 'credit' });
+      JournalEntry.aggregate.mockResolvedValue([
+        { _id: 'credit', total: 10000 },
+        { _id: 'debit', total: 2500 }
+      ]);
+
+      const result = await ledgerService.compareBalances('wallet:user123:USD', 8000);
+
+      expect(result).toEqual({
+        accountCode: 'wallet:user123:USD',
+        currency: 'USD',
+        ledgerBalance: 75,
+        recordedBalance: 80,
+        difference: 5,
+        inSync: false
+      });
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const merchantCategoryService = require('../../services/merchantCategoryService');
+
+const card = (merchantCategories) => ({ _id: 'card123', merchantCategories });
+
+describe('MerchantCategoryService', () => {
+  describe('lookup', () => {
+    it('describes listed codes with their categories', () => {
+      expect(merchantCategoryService.lookup('5411')).toEqual({
+        mcc: '5411',
+        description: 'Grocery Stores and Supermarkets',
+        categories: ['grocery']
+      });
+    });
+
+    it('describes airline, car rental and hotel codes from their ranges', () => {
+      expect(merchantCategoryService.lookup(3058)).toEqual({ mcc: '3058', description: 'Airlines', categories: ['travel'] });
+      expect(merchantCategoryService.lookup('3640').description).toBe('Hotels, Motels, Resorts');
+    });
+
+    it('pads short codes and rejects values that are not MCCs', () => {
+      expect(merchantCategoryService.lookup('742').mcc).toBe('0742');
+      expect(merchantCategoryService.lookup('54111')).toBeNull();
+      expect(merchantCategoryService.lookup('')).toBeNull();
+      expect(merchantCategoryService.lookup(undefined)).toBeNull();
+    });
+  });
+
+  describe('search', () => {
+    it('finds codes by prefix or description', () => {
+      expect(merchantCategoryService.search('554').map(result => result.mcc)).toEqual(['5541', '5542']);
+      expect(merchantCategoryService.search('bakeries')).toEqual([
+        { mcc: '5462', description: 'Bakeries', categories: ['grocery'] }
+      ]);
+    });
+  });
+
+  describe('listCategories', () => {
+    it('lists every card category with four-digit ranges', () => {
+      const categories = merchantCategoryService.listCategories();
+
+      expect(categories.map(category => category.name)).toEqual(['online', 'retail', 'gas', 'grocery', 'entertainment', 'travel']);
+      expect(categories.find(category => category.name === 'gas').ranges).toContainEqual({ from: '5541', to: '5542' });
+    });
+  });
+
+  describe('checkMerchant', () => {
+    it('allows every merchant on unrestricted cards', () => {
+      expect(merchantCategoryService.checkMerchant(card(['all']), { mcc: '7995' }).allowed).toBe(true);
+      expect(merchantCategoryService.checkMerchant(card([]), { mcc: '7995' }).allowed).toBe(true);
+    });
+
+    it('allows merchants whose MCC is in one of the card categories', () => {
+      const result = merchantCategoryService.checkMerchant(card(['gas', 'grocery']), { mcc: '5542', category: 'Unknown' });
+
+      expect(result).toEqual({ allowed: true, mcc: '5542', categories: ['gas'] });
+    });
+
+    it('declines merchants whose MCC is outside the card categories', () => {
+      const result = merchantCategoryService.checkMerchant(card(['gas']), { mcc: '5812', category: 'gas' });
+
+      expect(result).toMatchObject({
+        allowed: false,
+        code: 'merchant_category_blocked',
+        reason: 'MCC 5812 (Eating Places and Restaurants) is not allowed on this card',
+        mcc: '5812'
+      });
+    });
+
+    it('matches the category name when the merchant reports no MCC', () => {
+      expect(merchantCategoryService.checkMerchant(card(['travel']), { category: 'Travel' }).allowed).toBe(true);
+      expect(merchantCategoryService.checkMerchant(card(['travel']), { category: 'Unknown', mcc: '' })).toMatchObject({
+        allowed: false,
+        code: 'merchant_category_blocked'
+      });
+    });
+  });
+});
@@ -0,0 +1,309 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/VirtualCard', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../models/AuthorizationHold', () => ({ find: jest.fn(), findOneAndUpdate: jest.fn() }));
+jest.mock('../../models/Transaction', () => {
+  const Transaction = jest.fn(function(data) {
+    Object.assign(this, data, { _id: 'tx123' });
+  });
+  Transaction.updateOne = jest.fn();
+  return Transaction;
+});
+jest.mock('../../services/ledgerService', () => ({
+  recordCardDefund: jest.fn(),
+  reverseEntry: jest.fn()
+}));
+jest.mock('../../services/kycValidationService', () => ({ checkOperationPermission: jest.fn() }));
+jest.mock('../../config/cardIssuer', () => ({
+  getAdapter: jest.fn(),
+  defaultProvider: 'mock',
+  featureFlags: { useRealCards: false }
+}));
+jest.mock('../../utils/mongoTransaction', () => ({
+  withTransaction: jest.fn(work => work('session123'))
+}));
+
+const productionCardService = require('../../services/productionCardService');
+const VirtualCard = require('../../models/VirtualCard');
+const Transaction = require('../../models/Transaction');
+const ledgerService = require('../../services/ledgerService');
+const cardIssuerConfig = require('../../config/cardIssuer');
+const AuthorizationHold = require('../../models/AuthorizationHold');
+const authorizationHoldService = require('../../services/authorizationHoldService');
+
+const activeCard = {
+  _id: 'card123',
+  userId: 'user123',
+  cardName: 'Travel',
+  currency: 'USD',
+  issuerProvider: 'marqeta',
+  issuerCardId: 'mq_card_1',
+  status: 'active',
+  statusReason: '',
+  balanceMinor: 4000
+};
+
+describe('ProductionCardService', () => {
+  let adapter;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    adapter = {
+      unloadFunds: jest.fn().mockResolvedValue({ reference: 'unload_1' }),
+      updateCardStatus: jest.fn().mockResolvedValue({ success: true })
+    };
+    cardIssuerConfig.getAdapter.mockReturnValue(adapter);
+    VirtualCard.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue(activeCard) });
+    ledgerService.recordCardDefund.mockResolvedValue({ _id: 'entry123' });
+  });
+
+  describe('defundCard', () => {
+    it('posts the defund before unloading the card at the issuer', async () => {
+      VirtualCard.findById.mockResolvedValue({ ...activeCard, balanceMinor: 2500 });
+
+      const { card, transaction } = await productionCardService.defundCard('user123', 'card123', 1500);
+
+      expect(ledgerService.recordCardDefund).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user123',
+        cardId: 'card123',
+        amountMinor: 1500,
+        currency: 'USD',
+        transaction: expect.objectContaining({
+          type: 'card_defund',
+          balanceBeforeMinor: 4000,
+          balanceAfterMinor: 2500
+        })
+      }), { session: 'session123' });
+      expect(adapter.unloadFunds).toHaveBeenCalledWith('mq_card_1', 1500, { type: 'wallet', currency: 'USD' });
+      expect(card.balanceMinor).toBe(2500);
+      expect(transaction._id).toBe('tx123');
+    });
+
+    it('reverses the posting when the issuer rejects the unload', async () => {
+      adapter.unloadFunds.mockRejectedValue(new Error('Issuer timeout'));
+
+      await expect(productionCardService.defundCard('user123', 'card123', 1500))
+        .rejects.toMatchObject({ statusCode: 502, code: 'ISSUER_UNLOAD_FAILED' });
+
+      expect(ledgerService.reverseEntry).toHaveBeenCalledWith(
+        'entry123',
+        'Issuer unload failed: Issuer timeout',
+        { session: 'session123' }
+      );
+      expect(Transaction.updateOne).toHaveBeenCalledWith(
+        { _id: 'tx123' },
+        { $set: { status: 'failed' } },
+        { session: 'session123' }
+      );
+    });
+
+    it('rejects cards the user does not own', async () => {
+      VirtualCard.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+
+      await expect(productionCardService.defundCard('user999', 'card123', 1500))
+        .rejects.toMatchObject({ statusCode: 404, code: 'CARD_NOT_FOUND' });
+      expect(adapter.unloadFunds).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('closeCard', () => {
+    it('closes the card with the issuer and sweeps the balance to the wallet', async () => {
+      VirtualCard.findOneAndUpdate.mockResolvedValue(activeCard);
+      VirtualCard.findById
+        .mockResolvedValueOnce({ ...activeCard, status: 'closed' })
+        .mockResolvedValueOnce({ ...activeCard, status: 'closed', balanceMinor: 0 });
+
+      const result = await productionCardService.closeCard('user123', 'card123', 'Lost');
+
+      expect(VirtualCard.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'card123', userId: 'user123', status: { $ne: 'closed' } },
+        { $set: expect.objectContaining({ status: 'closed', statusReason: 'Lost' }) }
+      );
+      expect(adapter.updateCardStatus).toHaveBeenCalledWith('mq_card_1', 'closed', 'Lost');
+      expect(ledgerService.recordCardDefund).toHaveBeenCalledWith(
+        expect.objectContaining({ amountMinor: 4000 }),
+        { session: 'session123' }
+      );
+      expect(result.sweptMinor).toBe(4000);
+      expect(result.card.balanceMinor).toBe(0);
+    });
+
+    it('returns held funds to the wallet once their hold expires', async () => {
+      const closed = { ...activeCard, status: 'closed' };
+      VirtualCard.findOneAndUpdate.mockResolvedValue({ ...activeCard, heldMinor: 1500 });
+      VirtualCard.findById
+        .mockResolvedValueOnce({ ...closed, heldMinor: 1500 })
+        .mockResolvedValueOnce({ ...closed, balanceMinor: 1500, heldMinor: 1500 })
+        // Hold expired: the 1500 is no longer held
+        .mockResolvedValueOnce({ ...closed, balanceMinor: 1500, heldMinor: 0 })
+        .mockResolvedValueOnce({ ...closed, balanceMinor: 0, heldMinor: 0 });
+
+      const closure = await productionCardService.closeCard('user123', 'card123', 'Lost');
+      expect(closure.sweptMinor).toBe(2500);
+
+      const hold = { _id: 'hold123', cardId: 'card123', transactionId: 'auth123', currency: 'USD', amountMinor: 1500, clearedMinor: 0 };
+      AuthorizationHold.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({ limit: jest.fn().mockResolvedValue([hold]) })
+      });
+      AuthorizationHold.findOneAndUpdate.mockResolvedValue({ ...hold, amountMinor: 0, status: 'expired' });
+
+      const summary = await authorizationHoldService.expireHolds();
+
+      expect(summary).toEqual({ expired: 1, failed: 0 });
+      expect(ledgerService.recordCardDefund).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          userId: 'user123',
+          cardId: 'card123',
+          amountMinor: 1500,
+          transaction: expect.objectContaining({ description: 'Closed Travel: released hold returned to wallet' })
+        }),
+        { session: 'session123' }
+      );
+      expect(adapter.unloadFunds).toHaveBeenLastCalledWith('mq_card_1', 1500, { type: 'wallet', currency: 'USD' });
+    });
+
+    it('skips the sweep for empty cards', async () => {
+      VirtualCard.findOneAndUpdate.mockResolvedValue({ ...activeCard, balanceMinor: 0 });
+      VirtualCard.findById.mockResolvedValue({ ...activeCard, status: 'closed', balanceMinor: 0 });
+
+      const result = await productionCardService.closeCard('user123', 'card123');
+
+      expect(result).toMatchObject({ sweptMinor: 0, transaction: null });
+      expect(ledgerService.recordCardDefund).not.toHaveBeenCalled();
+    });
+
+    it('restores the previous status when the issuer refuses to close the card', async () => {
+      VirtualCard.findOneAndUpdate.mockResolvedValue({ ...activeCard, status: 'frozen', statusReason: 'Fraud check' });
+      adapter.updateCardStatus.mockRejectedValue(new Error('Issuer unavailable'));
+
+      await expect(productionCardService.closeCard('user123', 'card123'))
+        .rejects.toMatchObject({ statusCode: 502, code: 'ISSUER_CLOSE_FAILED' });
+
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith(
+        { _id: 'card123', status: 'closed' },
+        { $set: { status: 'frozen', statusReason: 'Fraud check' }, $unset: { closedAt: 1 } }
+      );
+      expect(ledgerService.recordCardDefund).not.toHaveBeenCalled();
+    });
+
+    it('refuses cards that are already closed', async () => {
+      VirtualCard.findOneAndUpdate.mockResolvedValue(null);
+      VirtualCard.findOne.mockResolvedValue({ ...activeCard, status: 'closed' });
+
+      await expect(productionCardService.closeCard('user123', 'card123'))
+        .rejects.toMatchObject({ statusCode: 409, code: 'CARD_ALREADY_CLOSED' });
+    });
+  });
+
+  describe('setUsageControls', () => {
+    const controls = { allowedCountries: ['US'], allowInternational: true, allowOnline: true, allowCardPresent: false };
+
+    afterEach(() => {
+      cardIssuerConfig.featureFlags.useRealCards = false;
+    });
+
+    it('stores the controls locally for mock cards', async () => {
+      const card = { ...activeCard, issuerProvider: 'mock', save: jest.fn() };
+
+      const result = await productionCardService.setUsageControls(card, controls);
+
+      expect(result.usageControls).toEqual({ ...controls, issuerEnforced: [], updatedAt: expect.any(Date) });
+      expect(card.save).toHaveBeenCalled();
+      expect(cardIssuerConfig.getAdapter).not.toHaveBeenCalled();
+    });
+
+    it('records the controls the issuer enforces', async () => {
+      cardIssuerConfig.featureFlags.useRealCards = true;
+      adapter.setUsageControls = jest.fn().mockResolvedValue({ success: true, enforced: ['countries'] });
+      const card = { ...activeCard, save: jest.fn() };
+
+      const result = await productionCardService.setUsageControls(card, controls);
+
+      expect(adapter.setUsageControls).toHaveBeenCalledWith('mq_card_1', controls);
+      expect(result.usageControls.issuerEnforced).toEqual(['countries']);
+    });
+
+    it('keeps the old controls when the issuer refuses the update', async () => {
+      cardIssuerConfig.featureFlags.useRealCards = true;
+      adapter.setUsageControls = jest.fn().mockRejectedValue(new Error('Issuer unavailable'));
+      const card = { ...activeCard, save: jest.fn() };
+
+      await expect(productionCardService.setUsageControls(card, controls))
+        .rejects.toMatchObject({ statusCode: 502, code: 'ISSUER_CONTROLS_FAILED' });
+      expect(card.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('replaceCard', () => {
+    const oldCard = {
+      ...activeCard,
+      cardType: 'single-use',
+      spendingLimits: { daily: 500, monthly: 2000 },
+      merchantCategories: ['travel'],
+      usageType: 'standard',
+      autoRenew: true
+    };
+
+    beforeEach(() => {
+      VirtualCard.findOne.mockResolvedValue(oldCard);
+      jest.spyOn(productionCardService, 'closeCard').mockResolvedValue({ card: { ...oldCard, status: 'closed' }, sweptMinor: 4000 });
+      jest.spyOn(productionCardService, 'createMockCard').mockResolvedValue({ cardId: 'card456', last4Digits: '4242' });
+      jest.spyOn(productionCardService, 'moveWalletFunds').mockResolvedValue({ _id: 'tx456' });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('closes the old card and issues a new one with the same settings', async () => {
+      const result = await productionCardService.replaceCard('user123', 'card123', 'Lost');
+
+      expect(productionCardService.closeCard).toHaveBeenCalledWith('user123', 'card123', 'Replaced: Lost');
+      expect(productionCardService.createMockCard).toHaveBeenCalledWith('user123', {
+        cardName: 'Travel (Replacement)',
+        cardType: 'single-use',
+        spendingLimits: { daily: 500, monthly: 2000 },
+        merchantCategories: ['travel'],
+        usageType: 'standard',
+        autoRenew: true
+      });
+      expect(VirtualCard.updateOne).toHaveBeenCalledWith({ _id: 'card123' }, { $set: { replacedByCardId: 'card456' } });
+      expect(productionCardService.moveWalletFunds).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ sweptMinor: 4000, movedMinor: 0, newCard: { cardId: 'card456' } });
+    });
+
+    it('moves the swept balance to the new card when asked', async () => {
+      const result = await productionCardService.replaceCard('user123', 'card123', 'Card expiring', {
+        cardName: 'Travel',
+        moveBalance: true
+      });
+
+      expect(productionCardService.createMockCard).toHaveBeenCalledWith('user123', expect.objectContaining({ cardName: 'Travel' }));
+      expect(productionCardService.moveWalletFunds).toHaveBeenCalledWith('user123', 'card456', 4000, 'Balance moved from Travel');
+      expect(result.movedMinor).toBe(4000);
+    });
+
+    it('leaves the balance in the wallet when the move fails', async () => {
+      productionCardService.moveWalletFunds.mockRejectedValue(new Error('Insufficient wallet balance'));
+
+      const result = await productionCardService.replaceCard('user123', 'card123', 'Card expiring', { moveBalance: true });
+
+      expect(result).toMatchObject({ sweptMinor: 4000, movedMinor: 0 });
+    });
+
+    it('refuses unknown cards', async () => {
+      VirtualCard.findOne.mockResolvedValue(null);
+
+      await expect(productionCardService.replaceCard('user123', 'card999', 'Lost'))
+        .rejects.toMatchObject({ statusCode: 404, code: 'CARD_NOT_FOUND' });
+      expect(productionCardService.closeCard).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,270 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/VirtualCard', () => ({ find: jest.fn(), findById: jest.fn() }));
+jest.mock('../../models/Transaction', () => {
+  const Transaction = jest.fn(function(data) {
+    Object.assign(this, data, { _id: 'tx123' });
+  });
+  Transaction.find = jest.fn();
+  return Transaction;
+});
+jest.mock('../../models/ReconciliationRun', () => ({ create: jest.fn(), findOne: jest.fn(), find: jest.fn() }));
+jest.mock('../../models/ReconciliationDiscrepancy', () => ({
+  RESOLUTION_ACTIONS: ['adjust_balance', 'sync_status', 'import_transaction', 'mark_resolved', 'ignore', 'auto_cleared'],
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../../config/cardIssuer', () => ({
+  featureFlags: { useRealCards: true },
+  providers: { marqeta: {}, stripe: {}, mock: {} },
+  isProviderAvailable: jest.fn(provider => provider === 'marqeta'),
+  getAdapter: jest.fn()
+}));
+jest.mock('../../services/ledgerService', () => ({ recordCardAdjustment: jest.fn() }));
+jest.mock('../../services/balanceUpdateService', () => ({ processTransactionUpdate: jest.fn() }));
+jest.mock('../../utils/mongoTransaction', () => ({
+  withTransaction: jest.fn(work => work('session123'))
+}));
+
+const reconciliationService = require('../../services/reconciliationService');
+const VirtualCard = require('../../models/VirtualCard');
+const Transaction = require('../../models/Transaction');
+const ReconciliationRun = require('../../models/ReconciliationRun');
+const ReconciliationDiscrepancy = require('../../models/ReconciliationDiscrepancy');
+const cardIssuerConfig = require('../../config/cardIssuer');
+const ledgerService = require('../../services/ledgerService');
+
+const card = {
+  _id: 'card123',
+  userId: 'user123',
+  issuerProvider: 'marqeta',
+  issuerCardId: 'mq_card_1',
+  currency: 'USD',
+  status: 'active',
+  balanceMinor: 10000
+};
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+describe('ReconciliationService', () => {
+  let adapter;
+  let run;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    reconciliationService.running = false;
+    adapter = {
+      getCardDetails: jest.fn().mockResolvedValue({ status: 'active', balance: 100 }),
+      getTransactionHistory: jest.fn().mockResolvedValue([])
+    };
+    cardIssuerConfig.getAdapter.mockReturnValue(adapter);
+    run = {
+      _id: 'run123',
+      providers: ['marqeta'],
+      windowStart: daysAgo(7),
+      cardsChecked: 0,
+      cardErrors: 0,
+      discrepanciesFound: 0,
+      discrepanciesCleared: 0,
+      save: jest.fn().mockResolvedValue()
+    };
+    ReconciliationRun.create.mockResolvedValue(run);
+    Transaction.find.mockResolvedValue([]);
+    ReconciliationDiscrepancy.updateMany.mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  describe('run', () => {
+    it('walks the cards of each real provider in batches', async () => {
+      const second = { ...card, _id: 'card456', issuerCardId: 'mq_card_2' };
+      VirtualCard.find
+        .mockReturnValueOnce({ sort: () => ({ limit: jest.fn().mockResolvedValue([card, second]) }) })
+        .mockReturnValueOnce({ sort: () => ({ limit: jest.fn().mockResolvedValue([]) }) });
+
+      const finished = await reconciliationService.run();
+
+      expect(ReconciliationRun.create).toHaveBeenCalledWith(expect.objectContaining({ providers: ['marqeta'] }));
+      expect(VirtualCard.find).toHaveBeenLastCalledWith({
+        issuerProvider: 'marqeta',
+        status: { $in: ['active', 'frozen'] },
+        _id: { $gt: 'card456' }
+      });
+      expect(finished).toMatchObject({ status: 'completed', cardsChecked: 2, discrepanciesFound: 0 });
+      expect(run.save).toHaveBeenCalled();
+    });
+
+    it('counts cards the issuer could not be asked about', async () => {
+      VirtualCard.find
+        .mockReturnValueOnce({ sort: () => ({ limit: jest.fn().mockResolvedValue([card]) }) })
+        .mockReturnValueOnce({ sort: () => ({ limit: jest.fn().mockResolvedValue([]) }) });
+      adapter.getCardDetails.mockRejectedValue(new Error('Issuer timeout'));
+
+      const finished = await reconciliationService.run();
+
+      expect(finished).toMatchObject({ status: 'completed', cardsChecked: 0, cardErrors: 1 });
+    });
+
+    it('refuses to start while another run is in progress', async () => {
+      reconciliationService.running = true;
+
+      await expect(reconciliationService.run())
+        .rejects.toMatchObject({ statusCode: 409, code: 'RECONCILIATION_RUNNING' });
+    });
+  });
+
+  describe('reconcileCard', () => {
+    it('records balance and status mismatches', async () => {
+      adapter.getCardDetails.mockResolvedValue({ status: 'frozen', balance: 75.5 });
+
+      const findings = await reconciliationService.reconcileCard(card, adapter, run);
+
+      expect(findings.map(finding => finding.type)).toEqual(['status_mismatch', 'balance_mismatch']);
+      expect(ReconciliationDiscrepancy.findOneAndUpdate).toHaveBeenCalledWith(
+        { fingerprint: 'card123:balance_mismatch', status: 'open' },
+        expect.objectContaining({
+          $set: expect.objectContaining({
+            localValue: { balanceMinor: 10000 },
+            issuerValue: { balanceMinor: 7550 },
+            differenceMinor: -2450,
+            lastRunId: 'run123'
+          }),
+          $inc: { occurrences: 1 }
+        }),
+        { upsert: true, new: true }
+      );
+      expect(run.discrepanciesFound).toBe(2);
+    });
+
+    it('skips the balance check when the issuer reports no card balance', async () => {
+      adapter.getCardDetails.mockResolvedValue({ status: 'active' });
+
+      await expect(reconciliationService.reconcileCard(card, adapter, run)).resolves.toEqual([]);
+    });
+
+    it('clears balance and status discrepancies that are no longer detected', async () => {
+      ReconciliationDiscrepancy.updateMany.mockResolvedValue({ modifiedCount: 1 });
+
+      await reconciliationService.reconcileCard(card, adapter, run);
+
+      expect(ReconciliationDiscrepancy.updateMany).toHaveBeenCalledWith(
+        {
+          cardId: 'card123',
+          status: 'open',
+          type: { $in: ['balance_mismatch', 'status_mismatch'] },
+          lastRunId: { $ne: 'run123' }
+        },
+        { $set: { status: 'resolved', resolution: { action: 'auto_cleared', resolvedAt: expect.any(Date) } } }
+      );
+      expect(run.discrepanciesCleared).toBe(1);
+    });
+  });
+
+  describe('compareTransactions', () => {
+    it('matches transactions by issuer ID and reports what differs', async () => {
+      adapter.getTransactionHistory.mockResolvedValue([
+        { transactionId: 'iss_1', amount: 20, currency: 'USD', status: 'COMPLETION', timestamp: daysAgo(1).toISOString() },
+        { transactionId: 'iss_2', amount: 12.5, currency: 'USD', status: 'COMPLETION', timestamp: daysAgo(2).toISOString() },
+        { transactionId: 'iss_3', amount: 5, currency: 'USD', status: 'PENDING', timestamp: daysAgo(3).toISOString() }
+      ]);
+      Transaction.find.mockResolvedValue([
+        { _id: 'tx1', issuerTransactionId: 'iss_1', amountMinor: 2000, status: 'completed', createdAt: daysAgo(1) },
+        { _id: 'tx2', issuerTransactionId: 'iss_2', amountMinor: 1200, status: 'completed', createdAt: daysAgo(2) },
+        { _id: 'tx4', issuerTransactionId: 'iss_4', amountMinor: 900, status: 'completed', createdAt: daysAgo(4) }
+      ]);
+
+      const findings = await reconciliationService.compareTransactions(card, adapter, daysAgo(7));
+
+      expect(findings).toEqual([
+        expect.objectContaining({ type: 'amount_mismatch', issuerTransactionId: 'iss_2', differenceMinor: 50 }),
+        expect.objectContaining({ type: 'missing_locally', issuerTransactionId: 'iss_3' }),
+        expect.objectContaining({ type: 'missing_at_issuer', issuerTransactionId: 'iss_4', transactionId: 'tx4' })
+      ]);
+    });
+
+    it('does not report local transactions from before the window as missing', async () => {
+      Transaction.find.mockResolvedValue([
+        { _id: 'tx9', issuerTransactionId: 'iss_9', amountMinor: 900, status: 'completed', createdAt: daysAgo(7.5) }
+      ]);
+
+      await expect(reconciliationService.compareTransactions(card, adapter, daysAgo(7))).resolves.toEqual([]);
+    });
+  });
+
+  describe('resolveDiscrepancy', () => {
+    const balanceDiscrepancy = () => ({
+      _id: 'disc123',
+      type: 'balance_mismatch',
+      cardId: 'card123',
+      resolution: {},
+      save: jest.fn().mockResolvedValue()
+    });
+
+    it('adjusts the card balance to the current issuer balance', async () => {
+      const discrepancy = balanceDiscrepancy();
+      ReconciliationDiscrepancy.findById.mockResolvedValue(discrepancy);
+      ReconciliationDiscrepancy.findOneAndUpdate.mockResolvedValue(discrepancy);
+      VirtualCard.findById
+        .mockResolvedValueOnce(card)
+        .mockReturnValueOnce({ session: jest.fn().mockResolvedValue(card) });
+      adapter.getCardDetails.mockResolvedValue({ status: 'active', balance: 80 });
+      ledgerService.recordCardAdjustment.mockResolvedValue({ _id: 'entry123' });
+
+      await reconciliationService.resolveDiscrepancy('disc123', 'admin123', { action: 'adjust_balance' });
+
+      expect(ReconciliationDiscrepancy.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'disc123', status: 'open' },
+        { $set: { status: 'resolved', resolution: expect.objectContaining({ action: 'adjust_balance', resolvedBy: 'admin123' }) } },
+        { new: true }
+      );
+      expect(ledgerService.recordCardAdjustment).toHaveBeenCalledWith(expect.objectContaining({
+        card,
+        deltaMinor: -2000,
+        currency: 'USD',
+        transaction: expect.objectContaining({ type: 'adjustment', amountMinor: 2000, balanceAfterMinor: 8000 })
+      }), { session: 'session123' });
+      expect(discrepancy.resolution).toMatchObject({ journalEntryId: 'entry123', transactionId: 'tx123' });
+    });
+
+    it('rejects actions that do not fit the discrepancy', async () => {
+      ReconciliationDiscrepancy.findById.mockResolvedValue(balanceDiscrepancy());
+
+      await expect(reconciliationService.resolveDiscrepancy('disc123', 'admin123', { action: 'sync_status' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_RESOLUTION_ACTION' });
+      expect(ReconciliationDiscrepancy.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('requires a note to mark a discrepancy resolved without a correction', async () => {
+      ReconciliationDiscrepancy.findById.mockResolvedValue(balanceDiscrepancy());
+
+      await expect(reconciliationService.resolveDiscrepancy('disc123', 'admin123', { action: 'mark_resolved' }))
+        .rejects.toMatchObject({ code: 'RESOLUTION_NOTE_REQUIRED' });
+    });
+
+    it('reopens the discrepancy when the correction fails', async () => {
+      const discrepancy = balanceDiscrepancy();
+      ReconciliationDiscrepancy.findById.mockResolvedValue(discrepancy);
+      ReconciliationDiscrepancy.findOneAndUpdate.mockResolvedValue(discrepancy);
+      VirtualCard.findById.mockResolvedValue(card);
+      adapter.getCardDetails.mockResolvedValue({ status: 'active', balance: null });
+
+      await expect(reconciliationService.resolveDiscrepancy('disc123', 'admin123', { action: 'adjust_balance' }))
+        .rejects.toMatchObject({ code: 'ISSUER_BALANCE_UNAVAILABLE' });
+      expect(ReconciliationDiscrepancy.updateOne).toHaveBeenCalledWith(
+        { _id: 'disc123' },
+        { $set: { status: 'open' }, $unset: { resolution: 1 } }
+      );
+    });
+
+    it('refuses discrepancies that were already resolved', async () => {
+      ReconciliationDiscrepancy.findById.mockResolvedValue(balanceDiscrepancy());
+      ReconciliationDiscrepancy.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(reconciliationService.resolveDiscrepancy('disc123', 'admin123', {
+        action: 'ignore',
+        note: 'Known issuer delay'
+      })).rejects.toMatchObject({ statusCode: 409, code: 'DISCREPANCY_RESOLVED' });
+    });
+  });
+});
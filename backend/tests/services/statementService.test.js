@@ -0,0 +1,200 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/Statement', () => ({ findOne: jest.fn(), create: jest.fn(), find: jest.fn() }));
+jest.mock('../../models/LedgerAccount', () => ({ find: jest.fn(), findByCode: jest.fn() }));
+jest.mock('../../models/JournalEntry', () => ({ find: jest.fn() }));
+jest.mock('../../models/Transaction', () => ({ find: jest.fn() }));
+jest.mock('../../models/VirtualCard', () => ({ findById: jest.fn(), findOne: jest.fn() }));
+jest.mock('../../models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../services/ledgerService', () => ({
+  getDerivedBalance: jest.fn(),
+  signedAmount: jest.fn((account, line) => (line.direction === 'credit' ? line.amount : -line.amount)),
+  walletAccount: jest.fn((userId, currency) => ({ code: `wallet:${userId}:${currency}` })),
+  cardAccount: jest.fn((cardId, currency) => ({ code: `card:${cardId}:${currency}` }))
+}));
+
+const statementService = require('../../services/statementService');
+const Statement = require('../../models/Statement');
+const LedgerAccount = require('../../models/LedgerAccount');
+const JournalEntry = require('../../models/JournalEntry');
+const Transaction = require('../../models/Transaction');
+const ledgerService = require('../../services/ledgerService');
+
+// Resolve like a Mongoose query with .sort()
+const sortable = (value) => ({ sort: jest.fn().mockResolvedValue(value) });
+
+const wallet = { _id: 'acct1', code: 'wallet:user123:USD', type: 'wallet', ownerId: 'user123', currency: 'USD' };
+
+const entry = (id, postedAt, amount, direction, transactionIds, fields = {}) => ({
+  _id: id,
+  postedAt: new Date(postedAt),
+  description: `Entry ${id}`,
+  eventType: 'wallet_deposit',
+  transactionIds,
+  lines: [
+    { account: 'acct1', direction, amount },
+    { account: 'other', direction: direction === 'credit' ? 'debit' : 'credit', amount }
+  ],
+  ...fields
+});
+
+describe('StatementService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ledgerService.getDerivedBalance.mockResolvedValue(10000);
+    JournalEntry.find.mockReturnValue(sortable([
+      entry('e1', '2026-03-02T10:00:00Z', 4900, 'credit', ['t1', 'f1']),
+      entry('e2', '2026-03-10T10:00:00Z', 2000, 'debit', ['t2']),
+      entry('e3', '2026-03-11T10:00:00Z', 500, 'credit', ['t3'], { eventType: 'reversal', description: 'Reversal: card creation failed' })
+    ]));
+    Transaction.find.mockImplementation((filter) => {
+      if (filter._id) {
+        return Promise.resolve([
+          { _id: 't1', type: 'deposit', description: 'Bank transfer', transactionId: 'TXN-1', currency: 'USD', amountMinor: 5000 },
+          { _id: 'f1', type: 'fee', description: 'Funding fee', currency: 'USD', amountMinor: 100 },
+          { _id: 't2', type: 'card_funding', description: 'Fund card', transactionId: 'TXN-2', currency: 'USD', amountMinor: 2000 },
+          { _id: 't3', type: 'fee', description: 'Card creation fee', currency: 'USD', amountMinor: 500 }
+        ]);
+      }
+      return sortable([
+        { _id: 'p1', createdAt: new Date('2026-03-30T10:00:00Z'), type: 'withdrawal', description: 'Payout', amountMinor: 3000 }
+      ]);
+    });
+  });
+
+  describe('periodBounds', () => {
+    it('covers the calendar month in UTC', () => {
+      expect(statementService.periodBounds('2026-12')).toEqual({
+        period: '2026-12',
+        start: new Date('2026-12-01T00:00:00Z'),
+        end: new Date('2027-01-01T00:00:00Z')
+      });
+      expect(statementService.previousPeriod(new Date('2026-01-01T00:30:00Z')).period).toBe('2025-12');
+    });
+
+    it('rejects malformed periods', () => {
+      expect(() => statementService.periodBounds('2026-13')).toThrow(expect.objectContaining({ code: 'INVALID_PERIOD' }));
+    });
+  });
+
+  describe('buildStatement', () => {
+    it('reconciles the opening balance and postings to the closing balance', async () => {
+      const statement = await statementService.buildStatement(wallet, statementService.periodBounds('2026-03'));
+
+      expect(ledgerService.getDerivedBalance).toHaveBeenCalledWith('wallet:user123:USD', {
+        before: new Date('2026-03-01T00:00:00Z')
+      });
+      expect(statement).toMatchObject({
+        userId: 'user123',
+        scope: 'wallet',
+        openingBalanceMinor: 10000,
+        closingBalanceMinor: 13400,
+        creditsMinor: 5400,
+        debitsMinor: 2000,
+        feesMinor: -400,
+        pendingMinor: 3000
+      });
+      expect(statement.lines).toEqual([
+        expect.objectContaining({ type: 'deposit', description: 'Bank transfer', reference: 'TXN-1', amountMinor: 4900, feeMinor: 100, balanceAfterMinor: 14900 }),
+        expect.objectContaining({ type: 'card_funding', amountMinor: -2000, feeMinor: 0, balanceAfterMinor: 12900 }),
+        expect.objectContaining({ type: 'reversal', description: 'Reversal: card creation failed', amountMinor: 500, feeMinor: -500, balanceAfterMinor: 13400 })
+      ]);
+      expect(Transaction.find).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user123', status: 'pending', cardId: null }));
+    });
+  });
+
+  describe('generateForAccount', () => {
+    const bounds = statementService.periodBounds('2026-03');
+
+    it('does not regenerate an existing statement', async () => {
+      Statement.findOne.mockResolvedValue({ _id: 'st1' });
+
+      await expect(statementService.generateForAccount(wallet, bounds)).resolves.toBeNull();
+      await expect(statementService.generateForAccount(wallet, bounds, { trigger: 'on_demand' })).resolves.toEqual({ _id: 'st1' });
+      expect(Statement.create).not.toHaveBeenCalled();
+    });
+
+    it('skips dormant accounts on the schedule', async () => {
+      Statement.findOne.mockResolvedValue(null);
+      ledgerService.getDerivedBalance.mockResolvedValue(0);
+      JournalEntry.find.mockReturnValue(sortable([]));
+      Transaction.find.mockReturnValue(sortable([]));
+
+      await expect(statementService.generateForAccount(wallet, bounds)).resolves.toBeNull();
+      expect(Statement.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('generateOnDemand', () => {
+    it('refuses months that have not ended', async () => {
+      const now = new Date();
+      const period = `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+
+      await expect(statementService.generateOnDemand('user123', { scope: 'wallet', currency: 'USD', period }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'PERIOD_NOT_CLOSED' });
+    });
+
+    it('returns 404 for accounts opened after the period', async () => {
+      LedgerAccount.findByCode.mockResolvedValue({ ...wallet, createdAt: new Date('2026-04-02') });
+
+      await expect(statementService.generateOnDemand('user123', { scope: 'wallet', currency: 'USD', period: '2026-03' }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'STATEMENT_NOT_AVAILABLE' });
+    });
+  });
+
+  describe('runMonthly', () => {
+    it('generates last month once and counts failures without stopping', async () => {
+      const accounts = [
+        { ...wallet, _id: 'a1' },
+        { ...wallet, _id: 'a2', code: 'wallet:user456:USD' }
+      ];
+      LedgerAccount.find
+        .mockReturnValueOnce({ sort: () => ({ limit: jest.fn().mockResolvedValue(accounts) }) })
+        .mockReturnValueOnce({ sort: () => ({ limit: jest.fn().mockResolvedValue([]) }) });
+      Statement.findOne.mockResolvedValue(null);
+      Statement.create
+        .mockResolvedValueOnce({ _id: 'st1' })
+        .mockRejectedValueOnce(new Error('write failed'));
+
+      statementService.completedPeriod = null;
+      const summary = await statementService.runMonthly(new Date('2026-04-01T02:00:00Z'));
+
+      expect(summary).toEqual({ period: '2026-03', generated: 1, skipped: 0, failed: 1 });
+      expect(Statement.create).toHaveBeenCalledWith(expect.objectContaining({ period: '2026-03', trigger: 'schedule' }));
+      expect(statementService.completedPeriod).toBeNull();
+    });
+  });
+
+  describe('rendering', () => {
+    let statement;
+
+    beforeEach(async () => {
+      const bounds = statementService.periodBounds('2026-03');
+      statement = {
+        ...(await statementService.buildStatement(wallet, bounds)),
+        generatedAt: new Date('2026-04-01T00:00:00Z')
+      };
+    });
+
+    it('writes opening, postings, closing and pending rows to CSV', () => {
+      const rows = statementService.toCsv(statement).trim().split('\r\n');
+
+      expect(rows[0]).toBe('date,reference,type,description,amount,fee,balance,currency,status');
+      expect(rows[1]).toBe('2026-03-01,,opening_balance,Opening balance,,,100.00,USD,');
+      expect(rows[2]).toBe('2026-03-02T10:00:00.000Z,TXN-1,deposit,Bank transfer,49.00,1.00,149.00,USD,posted');
+      expect(rows[3]).toContain(',-20.00,0.00,129.00,USD,posted');
+      expect(rows[5]).toBe('2026-03-31,,closing_balance,Closing balance,,,134.00,USD,');
+      expect(rows[6]).toContain('Payout,30.00,,,USD,pending');
+    });
+
+    it('renders a PDF', () => {
+      const pdf = statementService.toPdf(statement, { holderName: 'Jane Doe' }).toString('latin1');
+
+      expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+      expect(pdf).toContain('(Wallet statement - USD) Tj');
+      expect(pdf).toContain('(Account holder: Jane Doe) Tj');
+      expect(pdf).toContain('(Bank transfer) Tj');
+    });
+  });
+});
@@ -0,0 +1,249 @@
+const { Writable } = require('stream');
+
+jest.mock('../../models/Transaction', () => {
+  const actual = jest.requireActual('../../models/Transaction');
+  return {
+    buildUserQuery: actual.buildUserQuery.bind(actual),
+    find: jest.fn(),
+    findOne: jest.fn()
+  };
+});
+jest.mock('../../models/VirtualCard', () => ({ findOne: jest.fn() }));
+jest.mock('../../models/LedgerAccount', () => ({ findByCode: jest.fn() }));
+jest.mock('../../services/ledgerService', () => ({
+  walletAccount: jest.fn((userId, currency) => ({ code: `wallet:${userId}:${currency}` })),
+  cardAccount: jest.fn((cardId, currency) => ({ code: `card:${cardId}:${currency}` }))
+}));
+
+const transactionExportService = require('../../services/transactionExportService');
+const Transaction = require('../../models/Transaction');
+const VirtualCard = require('../../models/VirtualCard');
+const LedgerAccount = require('../../models/LedgerAccount');
+
+const userId = '64b7f0000000000000000001';
+
+const transactions = [
+  {
+    _id: 'tx3',
+    type: 'card_purchase',
+    status: 'completed',
+    description: 'Coffee & cake <large>',
+    merchantInfo: { name: 'Corner Cafe', category: 'restaurants' },
+    cardId: 'card123',
+    amountMinor: 1250,
+    currency: 'USD',
+    createdAt: new Date('2026-03-12T09:30:00.000Z')
+  },
+  {
+    _id: 'tx2',
+    transactionId: 'TXN-2',
+    type: 'card_funding',
+    status: 'completed',
+    description: 'Fund card',
+    cardId: 'card123',
+    amountMinor: 5000,
+    currency: 'USD',
+    createdAt: new Date('2026-03-10T12:00:00.000Z')
+  },
+  {
+    _id: 'tx1',
+    type: 'bank_transfer',
+    status: 'completed',
+    description: '=cmd|calc',
+    amountMinor: 10000,
+    currency: 'USD',
+    createdAt: new Date('2026-03-01T08:00:00.000Z')
+  }
+];
+
+// A Mongoose query whose cursor yields the given documents
+const cursorQuery = (docs) => {
+  const cursor = {
+    close: jest.fn().mockResolvedValue(),
+    async *[Symbol.asyncIterator]() {
+      yield* docs;
+    }
+  };
+  const chain = {
+    sort: jest.fn(() => chain),
+    lean: jest.fn(() => chain),
+    batchSize: jest.fn(() => chain),
+    cursor: jest.fn(() => cursor)
+  };
+  return { chain, cursor };
+};
+
+// Collect everything written to a stream
+const sink = ({ highWaterMark = 16384, slow = false } = {}) => {
+  const chunks = [];
+  const stream = new Writable({
+    highWaterMark,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      if (slow) {
+        setImmediate(callback);
+      } else {
+        callback();
+      }
+    }
+  });
+  stream.output = () => chunks.join('');
+  return stream;
+};
+
+// The wallet scope of a query, applied the way MongoDB would
+const inScope = (query) => (doc) => !query.$or || query.$or.some(clause => ('cardId' in clause
+  ? doc.cardId == null
+  : clause.type.$in.includes(doc.type)));
+
+const runExport = async (params, docs = transactions) => {
+  let cursor;
+  Transaction.find.mockImplementation((query) => {
+    const built = cursorQuery(docs.filter(inScope(query)));
+    cursor = built.cursor;
+    return built.chain;
+  });
+  const job = await transactionExportService.prepareExport(userId, params);
+  const stream = sink();
+  const count = await transactionExportService.writeExport(job, stream);
+  return { job, count, output: stream.output(), cursor };
+};
+
+describe('TransactionExportService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    VirtualCard.findOne.mockResolvedValue({ _id: 'card123', last4Digits: '4242', currency: 'USD' });
+    LedgerAccount.findByCode.mockResolvedValue({ balance: 5000 });
+    Transaction.findOne.mockReturnValue({
+      sort: () => ({ select: () => ({ lean: jest.fn().mockResolvedValue({ createdAt: new Date('2026-03-01T08:00:00.000Z') }) }) })
+    });
+  });
+
+  describe('prepareExport', () => {
+    it('applies the findByUserId filters', async () => {
+      const job = await transactionExportService.prepareExport(userId, {
+        format: 'csv',
+        type: 'card_purchase',
+        status: 'pending',
+        startDate: '2026-03-01',
+        endDate: '2026-03-31'
+      });
+
+      expect(job.query).toEqual({
+        userId,
+        type: 'card_purchase',
+        status: 'pending',
+        createdAt: { $gte: new Date('2026-03-01'), $lte: new Date('2026-03-31') },
+        $or: [
+          { cardId: null },
+          { type: { $in: ['card_funding', 'card_defund', 'fee'] } }
+        ]
+      });
+    });
+
+    it('limits OFX and QIF to completed transactions in one currency', async () => {
+      const job = await transactionExportService.prepareExport(userId, { format: 'qif' });
+
+      expect(job.query).toMatchObject({ userId, currency: 'USD', status: 'completed' });
+    });
+
+    it('limits card exports to the card', async () => {
+      const job = await transactionExportService.prepareExport(userId, { format: 'csv', cardId: 'card123' });
+
+      expect(job.query).toEqual({ userId, cardId: 'card123' });
+    });
+
+    it('rejects cards the user does not own', async () => {
+      VirtualCard.findOne.mockResolvedValue(null);
+
+      await expect(transactionExportService.prepareExport(userId, { cardId: 'card999' }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'CARD_NOT_FOUND' });
+    });
+  });
+
+  describe('writeExport', () => {
+    it('streams CSV rows with signed amounts and neutralized formulas', async () => {
+      const { count, output, cursor } = await runExport({ format: 'csv' });
+      const rows = output.trim().split('\r\n');
+
+      expect(count).toBe(2);
+      expect(rows[0]).toBe('date,reference,type,status,description,merchant,category,card_id,amount,currency');
+      expect(rows[1]).toContain('TXN-2,card_funding,completed,Fund card,,,card123,-50.00,USD');
+      expect(rows[2]).toContain(",'=cmd|calc,,,,100.00,USD");
+      expect(cursor.close).toHaveBeenCalled();
+
+      const card = await runExport({ format: 'csv', cardId: 'card123' }, transactions.slice(0, 2));
+      expect(card.output.trim().split('\r\n')[1]).toBe('2026-03-12T09:30:00.000Z,tx3,card_purchase,completed,Coffee & cake <large>,Corner Cafe,restaurants,card123,-12.50,USD');
+    });
+
+    it('writes QIF records from the card point of view', async () => {
+      const { output } = await runExport({ format: 'qif', cardId: 'card123' }, transactions.slice(0, 2));
+
+      expect(output).toBe([
+        '!Type:CCard',
+        'D03/12/2026', 'T-12.50', 'PCorner Cafe', 'MCoffee & cake <large>', 'Ntx3', 'Cc', '^',
+        'D03/10/2026', 'T50.00', 'PFund card', 'MFund card', 'NTXN-2', 'Cc', '^',
+        ''
+      ].join('\n'));
+    });
+
+    it('writes an OFX 2.2 bank statement with the ledger balance', async () => {
+      const { output } = await runExport({ format: 'ofx' });
+
+      expect(output.startsWith('<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n<?OFX OFXHEADER="200" VERSION="220"')).toBe(true);
+      expect(output).toContain('<BANKACCTFROM><BANKID>FREEWAY</BANKID>');
+      expect(output).toContain('<DTSTART>20260301080000.000[0:UTC]</DTSTART>');
+      expect(output).toContain([
+        '<STMTTRN>',
+        '<TRNTYPE>XFER</TRNTYPE>',
+        '<DTPOSTED>20260310120000.000[0:UTC]</DTPOSTED>',
+        '<TRNAMT>-50.00</TRNAMT>',
+        '<FITID>tx2</FITID>',
+        '<NAME>Fund card</NAME>',
+        '<MEMO>Fund card</MEMO>',
+        '</STMTTRN>'
+      ].join('\n'));
+      expect(LedgerAccount.findByCode).toHaveBeenCalledWith(`wallet:${userId}:USD`);
+      expect(output).toContain('<BALAMT>50.00</BALAMT>');
+      expect(output.trim().endsWith('</STMTRS>\n</STMTTRNRS></BANKMSGSRSV1>\n</OFX>')).toBe(true);
+    });
+
+    it('leaves card spend out of wallet exports, so the rows add up to the ledger balance', async () => {
+      const { output } = await runExport({ format: 'ofx' });
+
+      const amounts = [...output.matchAll(/<TRNAMT>(-?[\d.]+)<\/TRNAMT>/g)].map(match => Number(match[1]));
+      const balance = Number(/<BALAMT>(-?[\d.]+)<\/BALAMT>/.exec(output)[1]);
+      expect(output).not.toContain('<FITID>tx3</FITID>');
+      expect(amounts.reduce((sum, amount) => sum + amount, 0)).toBe(balance);
+    });
+
+    it('keeps completed wallet transactions from before the ledger', async () => {
+      const legacy = {
+        _id: 'tx0',
+        type: 'add_funds',
+        status: 'completed',
+        description: 'Deposit before the ledger',
+        amountMinor: 2000,
+        currency: 'USD',
+        createdAt: new Date('2025-12-01T08:00:00.000Z')
+      };
+
+      const { output } = await runExport({ format: 'csv' }, [...transactions, legacy]);
+
+      expect(output).toContain('tx0,add_funds,completed,Deposit before the ledger,,,,20.00,USD');
+    });
+
+    it('waits for the destination to drain', async () => {
+      const { chain } = cursorQuery(transactions);
+      Transaction.find.mockReturnValue(chain);
+      const job = await transactionExportService.prepareExport(userId, { format: 'csv', cardId: 'card123' });
+      const stream = sink({ highWaterMark: 1, slow: true });
+      const once = jest.spyOn(stream, 'once');
+
+      await transactionExportService.writeExport(job, stream);
+
+      expect(once).toHaveBeenCalledWith('drain', expect.any(Function));
+      expect(stream.output().trim().split('\r\n')).toHaveLength(4);
+    });
+  });
+});
@@ -0,0 +1,295 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../models/Withdrawal', () => {
+  const Withdrawal = jest.fn(function(data) {
+    Object.assign(this, data, { _id: 'wd123' });
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  Withdrawal.ACTIVE_STATUSES = ['pending_review', 'processing', 'completed'];
+  Withdrawal.find = jest.fn();
+  Withdrawal.findOne = jest.fn();
+  Withdrawal.findOneAndUpdate = jest.fn();
+  Withdrawal.updateOne = jest.fn();
+  return Withdrawal;
+});
+jest.mock('../../models/PayoutDestination', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../models/Transaction', () => {
+  const Transaction = jest.fn(function(data) {
+    Object.assign(this, data, { _id: 'tx123' });
+  });
+  Transaction.updateMany = jest.fn();
+  return Transaction;
+});
+jest.mock('../../services/ledgerService', () => ({
+  recordWithdrawalHold: jest.fn(),
+  recordWithdrawalPayout: jest.fn(),
+  reverseEntry: jest.fn()
+}));
+jest.mock('../../services/kycValidationService', () => ({ checkOperationPermission: jest.fn() }));
+jest.mock('../../services/feeService', () => ({ quote: jest.fn(), buildFeeTransaction: jest.fn() }));
+jest.mock('../../config/payoutProvider', () => ({ getProvider: jest.fn() }));
+jest.mock('../../utils/mongoTransaction', () => ({
+  withTransaction: jest.fn(work => work('session123'))
+}));
+
+const withdrawalService = require('../../services/withdrawalService');
+const Withdrawal = require('../../models/Withdrawal');
+const PayoutDestination = require('../../models/PayoutDestination');
+const Transaction = require('../../models/Transaction');
+const ledgerService = require('../../services/ledgerService');
+const kycValidationService = require('../../services/kycValidationService');
+const feeService = require('../../services/feeService');
+const payoutProviderConfig = require('../../config/payoutProvider');
+
+const bankDestination = {
+  _id: 'dest123',
+  type: 'bank_account',
+  currency: 'USD',
+  bankAccount: { accountHolderName: 'Test User', bankName: 'Test Bank', last4: '6789' },
+  getDisplayName: () => 'Test Bank ****6789',
+  getAccountNumber: () => '123456789'
+};
+
+describe('WithdrawalService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    withdrawalService.provider = null;
+    Withdrawal.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+    PayoutDestination.findOne.mockResolvedValue(bankDestination);
+    kycValidationService.checkOperationPermission.mockResolvedValue({ allowed: true });
+    ledgerService.recordWithdrawalHold.mockResolvedValue({ _id: 'hold123' });
+    ledgerService.reverseEntry.mockResolvedValue({ _id: 'release123' });
+    ledgerService.recordWithdrawalPayout.mockResolvedValue({ _id: 'payout123' });
+    feeService.quote.mockImplementation(async ({ amountMinor }) => ({ feeMinor: amountMinor / 100 }));
+    feeService.buildFeeTransaction.mockReturnValue({ _id: 'feetx123', type: 'fee' });
+  });
+
+  describe('requestWithdrawal', () => {
+    it('holds the amount plus fee on the ledger', async () => {
+      const withdrawal = await withdrawalService.requestWithdrawal('user123', {
+        destinationId: 'dest123',
+        amount: 500
+      });
+
+      expect(feeService.quote).toHaveBeenCalledWith({
+        userId: 'user123',
+        operation: 'withdrawal',
+        method: 'bank_account',
+        amountMinor: 50000,
+        currency: 'USD'
+      });
+      expect(ledgerService.recordWithdrawalHold).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user123',
+        amountMinor: 50000,
+        feeMinor: 500,
+        currency: 'USD',
+        withdrawalId: 'wd123',
+        transaction: expect.objectContaining({ type: 'withdrawal', status: 'pending', amountMinor: 50000 }),
+        feeTransaction: { _id: 'feetx123', type: 'fee' }
+      }), { session: 'session123' });
+      expect(withdrawal).toMatchObject({ holdEntryId: 'hold123', transactionId: 'tx123', feeTransactionId: 'feetx123' });
+      expect(withdrawal.save).toHaveBeenCalledWith({ session: 'session123' });
+    });
+
+    it('checks KYC limits against what was already withdrawn', async () => {
+      Withdrawal.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([{ amountMinor: 20000 }, { amountMinor: 5000 }])
+      });
+
+      await withdrawalService.requestWithdrawal('user123', { destinationId: 'dest123', amount: 100 });
+
+      expect(kycValidationService.checkOperationPermission).toHaveBeenCalledWith('user123', 'withdraw', {
+        amount: 100,
+        currency: 'USD',
+        dailyTotal: 250,
+        monthlyTotal: 250
+      });
+    });
+
+    it('refuses withdrawals over the KYC limit without holding funds', async () => {
+      kycValidationService.checkOperationPermission.mockResolvedValue({
+        allowed: false,
+        reason: 'Daily withdrawal limit exceeded (500)'
+      });
+
+      await expect(withdrawalService.requestWithdrawal('user123', { destinationId: 'dest123', amount: 600 }))
+        .rejects.toMatchObject({ statusCode: 403, code: 'WITHDRAWAL_NOT_PERMITTED' });
+      expect(ledgerService.recordWithdrawalHold).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown destinations', async () => {
+      PayoutDestination.findOne.mockResolvedValue(null);
+
+      await expect(withdrawalService.requestWithdrawal('user123', { destinationId: 'dest999', amount: 50 }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'DESTINATION_NOT_FOUND' });
+    });
+  });
+
+  describe('rejectWithdrawal', () => {
+    it('releases the hold by reversing it', async () => {
+      const withdrawal = {
+        _id: 'wd123',
+        holdEntryId: 'hold123',
+        transactionId: 'tx123',
+        feeTransactionId: 'feetx123',
+        status: 'rejected',
+        save: jest.fn().mockResolvedValue()
+      };
+      Withdrawal.findOneAndUpdate.mockResolvedValue(withdrawal);
+
+      await withdrawalService.rejectWithdrawal('wd123', 'admin123', 'Suspicious destination');
+
+      expect(Withdrawal.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'wd123', status: 'pending_review' },
+        { $set: expect.objectContaining({ status: 'rejected', reviewedBy: 'admin123', rejectionReason: 'Suspicious destination' }) },
+        { new: true, session: 'session123' }
+      );
+      expect(ledgerService.reverseEntry).toHaveBeenCalledWith('hold123', 'Withdrawal rejected: Suspicious destination', { session: 'session123' });
+      expect(withdrawal.releaseEntryId).toBe('release123');
+      expect(Transaction.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['tx123', 'feetx123'] } },
+        { $set: { status: 'cancelled' } },
+        { session: 'session123' }
+      );
+    });
+
+    it('refuses withdrawals that were already reviewed', async () => {
+      Withdrawal.findOneAndUpdate.mockResolvedValue(null);
+      Withdrawal.findOne.mockResolvedValue({ _id: 'wd123', status: 'processing' });
+
+      await expect(withdrawalService.rejectWithdrawal('wd123', 'admin123', 'Too late'))
+        .rejects.toMatchObject({ statusCode: 409, code: 'WITHDRAWAL_UNAVAILABLE' });
+      expect(ledgerService.reverseEntry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('approveWithdrawal', () => {
+    it('submits the payout with the decrypted account number', async () => {
+      const provider = {
+        name: 'simulator',
+        onPayoutUpdate: jest.fn(),
+        createPayout: jest.fn().mockResolvedValue({ reference: 'sim_po_1', status: 'processing' })
+      };
+      payoutProviderConfig.getProvider.mockReturnValue(provider);
+      const withdrawal = {
+        _id: 'wd123',
+        destinationId: 'dest123',
+        amountMinor: 50000,
+        currency: 'USD',
+        save: jest.fn().mockResolvedValue()
+      };
+      Withdrawal.findOneAndUpdate.mockResolvedValue(withdrawal);
+      PayoutDestination.findById.mockResolvedValue(bankDestination);
+
+      await withdrawalService.approveWithdrawal('wd123', 'admin123');
+
+      expect(provider.onPayoutUpdate).toHaveBeenCalled();
+      expect(provider.createPayout).toHaveBeenCalledWith({
+        withdrawalId: 'wd123',
+        amountMinor: 50000,
+        currency: 'USD',
+        destination: {
+          type: 'bank_account',
+          bankAccount: expect.objectContaining({ accountNumber: '123456789' })
+        }
+      });
+      expect(Withdrawal.updateOne).toHaveBeenCalledWith(
+        { _id: 'wd123', providerReference: { $exists: false } },
+        { $set: { providerReference: 'sim_po_1' } }
+      );
+      expect(withdrawal.providerReference).toBe('sim_po_1');
+    });
+  });
+
+  describe('handlePayoutUpdate', () => {
+    it('pays out the hold when the provider completes the payout', async () => {
+      const withdrawal = {
+        _id: 'wd123',
+        userId: 'user123',
+        amountMinor: 50000,
+        feeMinor: 500,
+        currency: 'USD',
+        transactionId: 'tx123',
+        save: jest.fn().mockResolvedValue()
+      };
+      Withdrawal.findOneAndUpdate.mockResolvedValue(withdrawal);
+
+      await withdrawalService.handlePayoutUpdate({ provider: 'simulator', reference: 'sim_po_1', status: 'completed' });
+
+      expect(ledgerService.recordWithdrawalPayout).toHaveBeenCalledWith(expect.objectContaining({
+        amountMinor: 50000,
+        feeMinor: 500,
+        provider: 'simulator'
+      }), { session: 'session123' });
+      expect(withdrawal.payoutEntryId).toBe('payout123');
+    });
+
+    it('releases the hold when the payout fails', async () => {
+      Withdrawal.findOneAndUpdate.mockResolvedValue({
+        _id: 'wd123',
+        holdEntryId: 'hold123',
+        transactionId: 'tx123',
+        status: 'failed',
+        save: jest.fn().mockResolvedValue()
+      });
+
+      await withdrawalService.handlePayoutUpdate({
+        provider: 'simulator',
+        reference: 'sim_po_1',
+        status: 'failed',
+        failureReason: 'Account closed'
+      });
+
+      expect(Withdrawal.findOneAndUpdate).toHaveBeenCalledWith(
+        { provider: 'simulator', providerReference: 'sim_po_1', status: 'processing' },
+        { $set: { status: 'failed', failureReason: 'Account closed' } },
+        { new: true, session: 'session123' }
+      );
+      expect(ledgerService.reverseEntry).toHaveBeenCalledWith('hold123', 'Payout failed', { session: 'session123' });
+    });
+
+    it('matches updates by withdrawal ID when they arrive before the reference is stored', async () => {
+      const withdrawal = {
+        _id: 'wd123',
+        userId: 'user123',
+        amountMinor: 50000,
+        feeMinor: 500,
+        currency: 'USD',
+        transactionId: 'tx123',
+        save: jest.fn().mockResolvedValue()
+      };
+      Withdrawal.findOneAndUpdate.mockResolvedValue(withdrawal);
+
+      await withdrawalService.handlePayoutUpdate({
+        provider: 'simulator',
+        reference: 'sim_po_1',
+        withdrawalId: 'wd123',
+        status: 'completed'
+      });
+
+      expect(Withdrawal.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'wd123', provider: 'simulator', status: 'processing' },
+        { $set: expect.objectContaining({ status: 'completed', providerReference: 'sim_po_1' }) },
+        { new: true, session: 'session123' }
+      );
+      expect(ledgerService.recordWithdrawalPayout).toHaveBeenCalled();
+    });
+
+    it('ignores duplicate updates for settled payouts', async () => {
+      Withdrawal.findOneAndUpdate.mockResolvedValue(null);
+      Withdrawal.findOne.mockResolvedValue({ _id: 'wd123', status: 'completed' });
+
+      await expect(withdrawalService.handlePayoutUpdate({
+        provider: 'simulator',
+        reference: 'sim_po_1',
+        status: 'completed'
+      })).resolves.toBeNull();
+      expect(ledgerService.recordWithdrawalPayout).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,13 @@
+const csv = require('../../utils/csv');
+
+describe('csv', () => {
+  it('quotes cells per RFC 4180', () => {
+    expect(csv.toRow(['a,b', 'say "hi"', null, 12.5])).toBe('"a,b","say ""hi""",,12.5\r\n');
+  });
+
+  it('neutralizes spreadsheet formulas but keeps negative amounts', () => {
+    expect(csv.escapeCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(csv.escapeCell('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(csv.escapeCell('-20.00')).toBe('-20.00');
+  });
+});
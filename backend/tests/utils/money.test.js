@@ -0,0 +1,60 @@
+const Money = require('../../utils/money');
+
+describe('Money', () => {
+  describe('toMinor', () => {
+    it('converts major units without floating point drift', () => {
+      expect(Money.toMinor(25.1)).toBe(2510);
+      expect(Money.toMinor('19.99')).toBe(1999);
+      expect(Money.toMinor(0.1 + 0.2)).toBe(30);
+    });
+
+    it('rounds half away from zero', () => {
+      expect(Money.toMinor(1.005)).toBe(101);
+      expect(Money.toMinor(-1.005)).toBe(-101);
+    });
+
+    it('uses the exponent of the currency', () => {
+      expect(Money.toMinor(1500, 'JPY')).toBe(1500);
+      expect(Money.toMinor(1.2345, 'KWD')).toBe(1235);
+    });
+
+    it('rejects invalid amounts and unknown currencies', () => {
+      expect(() => Money.toMinor('abc')).toThrow('Invalid amount');
+      expect(() => Money.toMinor(10, 'XYZ')).toThrow('Unsupported currency');
+    });
+  });
+
+  describe('toMajor', () => {
+    it('converts minor units back to major units', () => {
+      expect(Money.toMajor(2510)).toBe(25.1);
+      expect(Money.toMajor(1500, 'JPY')).toBe(1500);
+    });
+
+    it('rejects non-integer minor units', () => {
+      expect(() => Money.toMajor(10.5)).toThrow('integer amount of minor units');
+    });
+  });
+
+  describe('arithmetic', () => {
+    it('adds and subtracts integer minor units', () => {
+      expect(Money.add(10, 20, 30)).toBe(60);
+      expect(Money.subtract(100, 30, 20)).toBe(50);
+    });
+
+    it('rounds percentages to whole minor units', () => {
+      expect(Money.percentage(2500, 2)).toBe(50);
+      expect(Money.percentage(1234, 2)).toBe(25);
+    });
+
+    it('converts between currencies with different exponents', () => {
+      expect(Money.convert(10000, 150.123, 'USD', 'JPY')).toBe(15012);
+      expect(Money.convert(15012, 0.00666, 'JPY', 'USD')).toBe(9998);
+    });
+  });
+
+  it('formats amounts for display', () => {
+    expect(Money.format(1234)).toBe('USD 12.34');
+    expect(Money.format(500, 'jpy')).toBe('JPY 500');
+    expect(Money.format(1, 'KWD')).toBe('KWD 0.001');
+  });
+});
@@ -0,0 +1,26 @@
+const { PdfDocument, escapeText } = require('../../utils/pdf');
+
+describe('PdfDocument', () => {
+  it('writes a cross-reference table that points at every object', () => {
+    const doc = new PdfDocument();
+    doc.text(50, 700, 'First page');
+    doc.addPage().text(50, 700, 'Second page', { font: 'bold' });
+    const pdf = doc.toBuffer().toString('latin1');
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('/Count 2');
+
+    const xrefAt = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+    expect(pdf.slice(xrefAt, xrefAt + 4)).toBe('xref');
+
+    const offsets = pdf.slice(xrefAt).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+    offsets.forEach((offset, index) => {
+      expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+    });
+  });
+
+  it('escapes text operators and replaces characters outside Latin-1', () => {
+    expect(escapeText('Refund (partial) \\ 5€')).toBe('Refund \\(partial\\) \\\\ 5?');
+    expect(escapeText('Café')).toBe('Café');
+  });
+});
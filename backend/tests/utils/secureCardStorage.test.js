@@ -0,0 +1,134 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const crypto = require('crypto');
+
+const KEY_2025 = 'a'.repeat(64);
+const KEY_2026 = 'b'.repeat(64);
+const LEGACY_KEY = 'c'.repeat(64);
+const ENV_VARS = ['CARD_ENCRYPTION_KEYS', 'CARD_ENCRYPTION_KEY_ID', 'CARD_ENCRYPTION_KEY', 'KMS_PROVIDER', 'NODE_ENV'];
+
+// Load a fresh SecureCardStorage with the given key configuration
+const load = (env) => {
+  let storage;
+  ENV_VARS.forEach(name => delete process.env[name]);
+  Object.assign(process.env, { NODE_ENV: 'test', ...env });
+  jest.isolateModules(() => {
+    storage = require('../../utils/secureCardStorage');
+  });
+  return storage;
+};
+
+// How values were encrypted before keys were versioned
+const legacyEncrypt = (plaintext, keyHex) => {
+  const cipher = crypto.createCipher('aes-256-gcm', Buffer.from(keyHex, 'hex'));
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return Buffer.concat([crypto.randomBytes(16), cipher.getAuthTag(), encrypted]).toString('base64');
+};
+const legacyIt = typeof crypto.createCipher === 'function' ? it : it.skip;
+
+describe('SecureCardStorage keyring', () => {
+  const savedEnv = {};
+
+  beforeAll(() => {
+    ENV_VARS.forEach(name => { savedEnv[name] = process.env[name]; });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    ENV_VARS.forEach(name => {
+      if (savedEnv[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = savedEnv[name];
+      }
+    });
+    console.log.mockRestore();
+  });
+
+  it('encrypts under the current key and names it in the envelope', async () => {
+    const storage = load({ CARD_ENCRYPTION_KEYS: `k2025:${KEY_2025},k2026:${KEY_2026}` });
+
+    const encrypted = await storage.encryptCardData('4111111111111111');
+
+    expect(storage.currentKeyId).toBe('k2026');
+    expect(encrypted).toMatch(/^k2026:[A-Za-z0-9+/=]+$/);
+    expect(await storage.decryptCardData(encrypted)).toBe('4111111111111111');
+    expect(await storage.encryptCardData('4111111111111111')).not.toBe(encrypted);
+  });
+
+  it('decrypts with any key in the keyring', async () => {
+    const before = load({ CARD_ENCRYPTION_KEYS: `k2025:${KEY_2025}` });
+    const encrypted = await before.encryptCardData('123');
+
+    const after = load({ CARD_ENCRYPTION_KEYS: `k2025:${KEY_2025},k2026:${KEY_2026}` });
+    expect(await after.decryptCardData(encrypted)).toBe('123');
+    expect(after.needsReEncryption(encrypted)).toBe(true);
+
+    const reEncrypted = await after.reEncryptCardData(encrypted);
+    expect(after.getKeyId(reEncrypted)).toBe('k2026');
+    expect(after.needsReEncryption(reEncrypted)).toBe(false);
+    expect(await after.decryptCardData(reEncrypted)).toBe('123');
+  });
+
+  it('refuses data under a key that left the keyring or whose key ID was changed', async () => {
+    const before = load({ CARD_ENCRYPTION_KEYS: `k2025:${KEY_2025},k2026:${KEY_2026}`, CARD_ENCRYPTION_KEY_ID: 'k2025' });
+    const encrypted = await before.encryptCardData('123');
+
+    await expect(before.decryptCardData(encrypted.replace(/^k2025:/, 'k2026:'))).rejects.toThrow('Decryption failed');
+
+    const after = load({ CARD_ENCRYPTION_KEYS: `k2026:${KEY_2026}` });
+    await expect(after.decryptCardData(encrypted)).rejects.toThrow('Encryption key k2025 is not in the keyring');
+  });
+
+  legacyIt('reads unversioned data with the legacy key and always re-encrypts it', async () => {
+    const legacy = legacyEncrypt('5555555555554444', LEGACY_KEY);
+
+    const storage = load({ CARD_ENCRYPTION_KEY: LEGACY_KEY });
+    expect(storage.currentKeyId).toBe('legacy');
+    expect(await storage.decryptCardData(legacy)).toBe('5555555555554444');
+    expect(storage.needsReEncryption(legacy)).toBe(true);
+    expect(await storage.reEncryptCardData(legacy)).toMatch(/^legacy:/);
+
+    const rotated = load({ CARD_ENCRYPTION_KEY: LEGACY_KEY, CARD_ENCRYPTION_KEYS: `k2026:${KEY_2026}` });
+    expect(rotated.currentKeyId).toBe('k2026');
+    expect(await rotated.decryptCardData(legacy)).toBe('5555555555554444');
+  });
+
+  it('envelope encrypts under the owner\'s data key when a KMS is configured', async () => {
+    const storage = load({ KMS_PROVIDER: 'local', CARD_ENCRYPTION_KEYS: `k2026:${KEY_2026}` });
+    const dataKey = crypto.randomBytes(32);
+    const dataKeyService = {
+      getActiveKey: jest.fn().mockResolvedValue({ id: 'dk123', key: dataKey }),
+      getKey: jest.fn().mockResolvedValue(dataKey)
+    };
+    storage.getDataKeyService = () => dataKeyService;
+
+    const keyringValue = storage.sealWithKey('4111111111111111', 'k2026', storage.keys.get('k2026'));
+    const encrypted = await storage.encryptCardData('4111111111111111', 'user123', 'card123');
+
+    expect(dataKeyService.getActiveKey).toHaveBeenCalledWith('user123');
+    expect(encrypted).toMatch(/^dk\.dk123:/);
+    expect(await storage.decryptCardData(encrypted)).toBe('4111111111111111');
+    expect(dataKeyService.getKey).toHaveBeenCalledWith('dk123');
+
+    expect(storage.needsReEncryption(encrypted)).toBe(false);
+    expect(storage.needsReEncryption(keyringValue)).toBe(true);
+    expect(await storage.reEncryptCardData(keyringValue, 'user123')).toMatch(/^dk\.dk123:/);
+  });
+
+  it('rejects bad key configuration', () => {
+    expect(() => load({ CARD_ENCRYPTION_KEYS: `k2025:${KEY_2025.slice(2)}` })).toThrow('must be 64 hex characters');
+    expect(() => load({ CARD_ENCRYPTION_KEYS: KEY_2025 })).toThrow('id:key pairs');
+    expect(() => load({ CARD_ENCRYPTION_KEYS: `k1:${KEY_2025},k1:${KEY_2026}` })).toThrow('lists key k1 twice');
+    expect(() => load({ CARD_ENCRYPTION_KEYS: `k1:${KEY_2025}`, CARD_ENCRYPTION_KEY_ID: 'k2' })).toThrow('is not in the keyring');
+  });
+
+  it('only generates a key for tests, and needs none with a KMS', () => {
+    expect(load({}).currentKeyId).toBe('test');
+    expect(() => load({ NODE_ENV: 'development' })).toThrow('KMS_PROVIDER or CARD_ENCRYPTION_KEYS (or CARD_ENCRYPTION_KEY) must be set');
+    expect(() => load({ NODE_ENV: 'production' })).toThrow('must be set');
+    expect(load({ NODE_ENV: 'production', KMS_PROVIDER: 'local' }).currentKeyId).toBeNull();
+  });
+});
@@ -0,0 +1,140 @@
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.mock('../../vault/VaultRecord', () => ({ create: jest.fn(), findOne: jest.fn(), findOneAndUpdate: jest.fn() }));
+jest.mock('../../vault/VaultAccessLog', () => ({ create: jest.fn() }));
+jest.mock('../../utils/secureCardStorage', () => ({
+  getLast4Digits: jest.fn(pan => pan.slice(-4)),
+  detectCardBrand: jest.fn(() => 'visa'),
+  encryptCardData: jest.fn(async value => `enc:${value}`),
+  decryptCardData: jest.fn(async value => value.replace(/^enc:/, ''))
+}));
+
+const cardVault = require('../../vault/cardVault');
+const VaultRecord = require('../../vault/VaultRecord');
+const VaultAccessLog = require('../../vault/VaultAccessLog');
+const secureCardStorage = require('../../utils/secureCardStorage');
+
+const record = (fields = {}) => ({
+  token: 'tok_abc',
+  ownerId: 'user123',
+  cardId: 'card123',
+  encryptedPan: 'enc:4111111111111111',
+  encryptedCvv: 'enc:123',
+  ...fields
+});
+
+describe('CardVault', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    VaultAccessLog.create.mockResolvedValue({});
+  });
+
+  describe('tokenize', () => {
+    it('stores the encrypted PAN and CVV behind an opaque token', async () => {
+      const result = await cardVault.tokenize({ ownerId: 'user123', cardId: 'card123', pan: '4111111111111111', cvv: '123' });
+
+      expect(result).toEqual({ token: expect.stringMatching(/^tok_[A-Za-z0-9_-]{32}$/), last4: '1111', brand: 'visa' });
+      expect(result.token).not.toContain('1111');
+      expect(secureCardStorage.encryptCardData).toHaveBeenCalledWith('4111111111111111', 'user123', 'card123');
+      expect(VaultRecord.create).toHaveBeenCalledWith({
+        token: result.token,
+        ownerId: 'user123',
+        cardId: 'card123',
+        encryptedPan: 'enc:4111111111111111',
+        encryptedCvv: 'enc:123',
+        last4: '1111',
+        brand: 'visa'
+      });
+      expect(VaultAccessLog.create).toHaveBeenCalledWith({
+        token: result.token, operation: 'tokenize', actor: 'user123', ownerId: 'user123', cardId: 'card123', status: 'success'
+      });
+    });
+
+    it('rejects values that are not card numbers', async () => {
+      await expect(cardVault.tokenize({ ownerId: 'user123', pan: '1234' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_CARD_DATA' });
+      await expect(cardVault.tokenize({ ownerId: 'user123', pan: '4111 1111 1111 1111' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_CARD_DATA' });
+      expect(VaultRecord.create).not.toHaveBeenCalled();
+
+      // Issuer numbers are stored as given, Luhn-valid or not
+      await cardVault.tokenize({ ownerId: 'user123', pan: '4123456789012345' });
+      expect(VaultRecord.create).toHaveBeenCalled();
+    });
+  });
+
+  describe('detokenize', () => {
+    it('returns card data for an allowed purpose and audits the read', async () => {
+      VaultRecord.findOne.mockResolvedValue(record());
+
+      const data = await cardVault.detokenize('tok_abc', { purpose: 'reveal', actor: 'user123', ownerId: 'user123' });
+
+      expect(data).toEqual({ pan: '4111111111111111', cvv: '123' });
+      expect(VaultRecord.findOne).toHaveBeenCalledWith({ token: 'tok_abc', status: 'active' });
+      expect(VaultAccessLog.create).toHaveBeenCalledWith({
+        token: 'tok_abc',
+        operation: 'detokenize',
+        purpose: 'reveal',
+        actor: 'user123',
+        ownerId: 'user123',
+        cardId: 'card123',
+        status: 'success'
+      });
+    });
+
+    it('denies purposes outside the policy without reading the record', async () => {
+      await expect(cardVault.detokenize('tok_abc', { purpose: 'analytics', actor: 'admin1' }))
+        .rejects.toMatchObject({ statusCode: 403, code: 'VAULT_ACCESS_DENIED' });
+      await expect(cardVault.detokenize('tok_abc', { purpose: 'toString', actor: 'admin1' }))
+        .rejects.toMatchObject({ statusCode: 403 });
+
+      expect(VaultRecord.findOne).not.toHaveBeenCalled();
+      expect(VaultAccessLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        operation: 'detokenize', purpose: 'analytics', actor: 'admin1', status: 'denied', reason: 'Purpose not allowed'
+      }));
+    });
+
+    it('denies unknown, deleted and foreign tokens', async () => {
+      VaultRecord.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(record({ ownerId: 'user999' }));
+
+      await expect(cardVault.detokenize('tok_gone', { purpose: 'reveal', actor: 'user123', ownerId: 'user123' }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'TOKEN_NOT_FOUND' });
+      await expect(cardVault.detokenize('tok_abc', { purpose: 'reveal', actor: 'user123', ownerId: 'user123' }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'TOKEN_NOT_FOUND' });
+
+      expect(secureCardStorage.decryptCardData).not.toHaveBeenCalled();
+      expect(VaultAccessLog.create).toHaveBeenCalledWith(expect.objectContaining({ token: 'tok_abc', status: 'denied', reason: 'Token belongs to another owner' }));
+    });
+
+    it('audits decryption failures', async () => {
+      VaultRecord.findOne.mockResolvedValue(record());
+      secureCardStorage.decryptCardData.mockRejectedValueOnce(new Error('Decryption failed: bad tag'));
+
+      await expect(cardVault.detokenize('tok_abc', { purpose: 'issuer_push', actor: 'system' }))
+        .rejects.toMatchObject({ statusCode: 500, code: 'VAULT_READ_FAILED' });
+      expect(VaultAccessLog.create).toHaveBeenCalledWith(expect.objectContaining({ status: 'error', reason: 'Decryption failed: bad tag' }));
+    });
+
+    it('does not hand out card data it could not audit', async () => {
+      VaultRecord.findOne.mockResolvedValue(record());
+      VaultAccessLog.create.mockRejectedValue(new Error('write concern error'));
+
+      await expect(cardVault.detokenize('tok_abc', { purpose: 'reveal', actor: 'user123' })).rejects.toThrow('write concern error');
+    });
+  });
+
+  describe('deleteToken', () => {
+    it('destroys the card data and audits the deletion', async () => {
+      VaultRecord.findOneAndUpdate.mockResolvedValue(record({ status: 'deleted' }));
+
+      expect(await cardVault.deleteToken('tok_abc', { actor: 'admin1', reason: 'Card closed' })).toBe(true);
+      expect(VaultRecord.findOneAndUpdate).toHaveBeenCalledWith(
+        { token: 'tok_abc', status: 'active' },
+        { $set: { status: 'deleted', deletedAt: expect.any(Date) }, $unset: { encryptedPan: 1, encryptedCvv: 1 } },
+        { new: true }
+      );
+      expect(VaultAccessLog.create).toHaveBeenCalledWith(expect.objectContaining({ operation: 'delete', actor: 'admin1', status: 'success', reason: 'Card closed' }));
+    });
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * CSV helpers (RFC 4180)
+ * Text cells that a spreadsheet would evaluate as a formula are prefixed
+ * with a quote so exported descriptions cannot run in the reader's
+ * spreadsheet; numbers, including formatted negative amounts, are written
+ * as they are.
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMERIC = /^-?\d[\d,]*(\.\d+)?$/;
+
+/**
+ * Format one cell
+ * @param {*} value - Cell value; null and undefined become empty cells
+ * @returns {string} Cell
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text) && !NUMERIC.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one row, including the line ending
+ * @param {Array} values - Cell values
+ * @returns {string} Row
+ */
+const toRow = (values) => `${values.map(escapeCell).join(',')}\r\n`;
+
+module.exports = { escapeCell, toRow };
@@ -0,0 +1,158 @@
+/**
+ * Money helper
+ * Amounts are stored and added up as integer minor units (cents for USD).
+ * Conversion to and from major units only happens at the API boundary.
+ */
+
+// Number of minor-unit digits per ISO 4217 currency
+const CURRENCY_EXPONENTS = {
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  CAD: 2,
+  AUD: 2,
+  CHF: 2,
+  NGN: 2,
+  GHS: 2,
+  KES: 2,
+  ZAR: 2,
+  JPY: 0,
+  KRW: 0,
+  BHD: 3,
+  KWD: 3
+};
+
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Number of minor-unit digits for a currency
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Exponent
+ */
+const getExponent = (currency = DEFAULT_CURRENCY) => {
+  const exponent = CURRENCY_EXPONENTS[String(currency).toUpperCase()];
+  if (exponent === undefined) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+  return exponent;
+};
+
+const isSupportedCurrency = (currency) => {
+  return CURRENCY_EXPONENTS[String(currency).toUpperCase()] !== undefined;
+};
+
+/**
+ * Round half away from zero, ignoring binary floating point noise
+ * (e.g. 1.005 * 100 = 100.49999999999999 rounds to 101)
+ * @param {number} value - Value to round
+ * @returns {number} Integer
+ */
+const roundHalfAwayFromZero = (value) => {
+  const cleaned = Number(value.toPrecision(15));
+  const rounded = Math.round(Math.abs(cleaned));
+  return cleaned < 0 && rounded !== 0 ? -rounded : rounded;
+};
+
+const assertMinor = (value) => {
+  if (!Number.isSafeInteger(value)) {
+    throw new Error(`Expected an integer amount of minor units, got ${value}`);
+  }
+  return value;
+};
+
+/**
+ * Convert a major-unit amount to integer minor units
+ * @param {number|string} amount - Amount in major units (e.g. 12.34)
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Amount in minor units (e.g. 1234)
+ */
+const toMinor = (amount, currency = DEFAULT_CURRENCY) => {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) {
+    throw new Error(`Invalid amount: ${amount}`);
+  }
+  return roundHalfAwayFromZero(value * Math.pow(10, getExponent(currency)));
+};
+
+/**
+ * Convert integer minor units to a major-unit amount
+ * @param {number} minor - Amount in minor units
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Amount in major units
+ */
+const toMajor = (minor, currency = DEFAULT_CURRENCY) => {
+  assertMinor(minor);
+  return minor / Math.pow(10, getExponent(currency));
+};
+
+const add = (...amounts) => {
+  return amounts.reduce((sum, amount) => sum + assertMinor(amount), 0);
+};
+
+const subtract = (amount, ...amounts) => {
+  return amounts.reduce((result, value) => result - assertMinor(value), assertMinor(amount));
+};
+
+/**
+ * Multiply a minor-unit amount, rounding the result to whole minor units
+ * @param {number} minor - Amount in minor units
+ * @param {number} factor - Multiplier (e.g. an FX rate)
+ * @returns {number} Amount in minor units
+ */
+const multiply = (minor, factor) => {
+  assertMinor(minor);
+  return roundHalfAwayFromZero(minor * Number(factor));
+};
+
+/**
+ * Percentage of a minor-unit amount, rounded to whole minor units
+ * @param {number} minor - Amount in minor units
+ * @param {number} percent - Percentage (2 for 2%)
+ * @returns {number} Amount in minor units
+ */
+const percentage = (minor, percent) => {
+  assertMinor(minor);
+  return roundHalfAwayFromZero((minor * Number(percent)) / 100);
+};
+
+/**
+ * Convert a minor-unit amount between currencies with different exponents
+ * at the given rate (units of target currency per unit of source currency)
+ * @param {number} minor - Amount in source minor units
+ * @param {number} rate - Exchange rate
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @returns {number} Amount in target minor units
+ */
+const convert = (minor, rate, from, to) => {
+  assertMinor(minor);
+  const shift = getExponent(to) - getExponent(from);
+  return roundHalfAwayFromZero(minor * Number(rate) * Math.pow(10, shift));
+};
+
+/**
+ * Format a minor-unit amount for display, e.g. "USD 12.34"
+ * @param {number} minor - Amount in minor units
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} Formatted amount
+ */
+const format = (minor, currency = DEFAULT_CURRENCY) => {
+  const code = String(currency).toUpperCase();
+  return `${code} ${toMajor(minor, code).toFixed(getExponent(code))}`;
+};
+
+module.exports = {
+  CURRENCY_EXPONENTS,
+  DEFAULT_CURRENCY,
+  getExponent,
+  isSupportedCurrency,
+  isMinor: Number.isSafeInteger,
+  toMinor,
+  toMajor,
+  add,
+  subtract,
+  multiply,
+  percentage,
+  convert,
+  format
+};
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * Run work inside a MongoDB multi-document transaction
+ * The callback receives the session and must pass it to every read and
+ * write that belongs to the transaction. Transient errors (write conflicts
+ * between concurrent requests) are retried by the driver; any other error
+ * aborts the transaction and is rethrown.
+ * Requires a replica set or sharded cluster.
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} Result of the callback
+ */
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    }, {
+      readConcern: { level: 'snapshot' },
+      writeConcern: { w: 'majority' }
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { withTransaction };
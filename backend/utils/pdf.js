@@ -0,0 +1,136 @@
+/**
+ * Minimal PDF writer
+ * Just enough of PDF 1.4 to render text documents such as statements
+ * in-process, without a rendering service or native dependency: the
+ * standard fonts (not embedded), text and horizontal rules on US Letter
+ * pages. Coordinates are in points from the bottom-left corner. Text is
+ * limited to Latin-1; other characters are printed as '?'.
+ */
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+const FONTS = {
+  regular: { key: 'F1', name: 'Helvetica' },
+  bold: { key: 'F2', name: 'Helvetica-Bold' },
+  mono: { key: 'F3', name: 'Courier' }
+};
+
+// Courier glyphs are 600/1000 em wide, so monospaced text can be right aligned exactly
+const MONO_GLYPH_WIDTH = 0.6;
+
+const escapeText = (value) => String(value)
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/([\\()])/g, '\\$1');
+
+const num = (value) => Number(value.toFixed(2)).toString();
+
+class PdfDocument {
+  constructor() {
+    this.pages = [];
+    this.addPage();
+  }
+
+  /**
+   * Start a new page; later drawing goes to it
+   * @returns {PdfDocument} this
+   */
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this;
+  }
+
+  /**
+   * Draw text with its baseline starting at (x, y)
+   * @param {number} x - Left edge
+   * @param {number} y - Baseline
+   * @param {string} value - Text
+   * @param {Object} options - font ('regular' | 'bold' | 'mono'), size
+   * @returns {PdfDocument} this
+   */
+  text(x, y, value, { font = 'regular', size = 10 } = {}) {
+    const { key } = FONTS[font];
+    this.current.push(`BT /${key} ${num(size)} Tf ${num(x)} ${num(y)} Td (${escapeText(value)}) Tj ET`);
+    return this;
+  }
+
+  /**
+   * Draw monospaced text ending at x, for columns of amounts
+   * @param {number} x - Right edge
+   * @param {number} y - Baseline
+   * @param {string} value - Text
+   * @param {Object} options - size
+   * @returns {PdfDocument} this
+   */
+  textRight(x, y, value, { size = 10 } = {}) {
+    const width = String(value).length * MONO_GLYPH_WIDTH * size;
+    return this.text(x - width, y, value, { font: 'mono', size });
+  }
+
+  /**
+   * Draw a horizontal rule
+   * @param {number} x1 - Start
+   * @param {number} x2 - End
+   * @param {number} y - Height
+   * @param {number} width - Line width
+   * @returns {PdfDocument} this
+   */
+  rule(x1, x2, y, width = 0.5) {
+    this.current.push(`${num(width)} w ${num(x1)} ${num(y)} m ${num(x2)} ${num(y)} l S`);
+    return this;
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer} PDF file
+   */
+  toBuffer() {
+    const fonts = Object.values(FONTS);
+    const firstPageObject = 3 + fonts.length;
+    const pageRefs = this.pages.map((page, index) => `${firstPageObject + index * 2} 0 R`);
+
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${this.pages.length} >>`,
+      ...fonts.map(font => `<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`)
+    ];
+
+    const fontResources = fonts.map((font, index) => `/${font.key} ${3 + index} 0 R`).join(' ');
+    this.pages.forEach((page, index) => {
+      const contentObject = firstPageObject + index * 2 + 1;
+      const content = page.join('\n');
+      objects.push(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << ${fontResources} >> >> /Contents ${contentObject} 0 R >>`
+      );
+      objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    });
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = [];
+    objects.forEach((body, index) => {
+      offsets.push(length);
+      const chunk = Buffer.from(`${index + 1} 0 obj\n${body}\nendobj\n`, 'latin1');
+      chunks.push(chunk);
+      length += chunk.length;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF'
+    ].join('\n');
+    chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = { PdfDocument, PAGE_WIDTH, PAGE_HEIGHT, escapeText };
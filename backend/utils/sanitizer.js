@@ -20,7 +20,7 @@ const sanitizeInput = (input) => {
 const sanitizeCardData = (card) => ({
   id: sanitizeInput(card._id?.toString() || ''),
   type: sanitizeInput(card.cardType || ''),
-  lastFour: card.cardNumber ? card.cardNumber.slice(-4) : '****',
+  lastFour: card.last4Digits || '****',
   expiryDate: sanitizeInput(card.expiryDate || ''),
   balance: parseFloat(card.balance || 0),
   status: sanitizeInput(card.status || ''),
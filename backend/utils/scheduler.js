@@ -0,0 +1,66 @@
+const { logger } = require('./logger');
+
+const jobs = new Map();
+
+/**
+ * Run a background job on a fixed interval inside the API process
+ * A run is skipped while the previous one is still in progress, and errors
+ * are logged rather than thrown. Timers are unref'd so they never keep the
+ * process alive. Scheduling a name that is already scheduled replaces it.
+ * @param {string} name - Job name, used in logs
+ * @param {number} intervalMs - Interval between runs; 0 or less disables the job
+ * @param {Function} task - async () => result
+ * @returns {boolean} Whether the job was scheduled
+ */
+const schedule = (name, intervalMs, task) => {
+  cancel(name);
+  if (!(intervalMs > 0)) {
+    logger.info('Scheduled job disabled', { job: name });
+    return false;
+  }
+
+  const job = { running: false, timer: null };
+  job.timer = setInterval(async () => {
+    if (job.running) {
+      logger.warn('Scheduled job still running, skipping run', { job: name });
+      return;
+    }
+
+    job.running = true;
+    try {
+      await task();
+    } catch (error) {
+      logger.error('Scheduled job failed', { job: name, error: error.message });
+    } finally {
+      job.running = false;
+    }
+  }, intervalMs);
+  job.timer.unref();
+
+  jobs.set(name, job);
+  logger.info('Scheduled job started', { job: name, intervalMs });
+  return true;
+};
+
+/**
+ * Stop a scheduled job
+ * @param {string} name - Job name
+ */
+const cancel = (name) => {
+  const job = jobs.get(name);
+  if (job) {
+    clearInterval(job.timer);
+    jobs.delete(name);
+  }
+};
+
+/**
+ * Stop every scheduled job
+ */
+const cancelAll = () => {
+  for (const name of [...jobs.keys()]) {
+    cancel(name);
+  }
+};
+
+module.exports = { schedule, cancel, cancelAll };
@@ -9,77 +9,261 @@ class SecureCardStorage {
     // Encryption configuration
     this.algorithm = 'aes-256-gcm';
     this.keyLength = 32; // 256 bits
-    this.ivLength = 16;  // 128 bits
+    this.ivLength = 12;  // 96 bits, the GCM standard nonce
     this.tagLength = 16; // 128 bits
-    
-    // Get encryption key from environment (should be 64 hex characters)
-    this.encryptionKey = this.getEncryptionKey();
-    
+    this.legacyIvLength = 16;
+
+    // With a KMS provider configured, data is envelope encrypted under
+    // per-user data keys; otherwise under the keyring's current key
+    this.kms = require('../config/kms');
+
+    // Keyring: every key that can decrypt, and the one new data is encrypted under
+    const { keys, currentKeyId } = this.loadKeyring();
+    this.keys = keys;
+    this.currentKeyId = currentKeyId;
+
     // Audit logger
     this.auditLog = require('./logger');
   }
 
   /**
-   * Get or generate encryption key
-   * @returns {Buffer} Encryption key
+   * Load the encryption keyring from the environment.
+   *
+   * CARD_ENCRYPTION_KEYS lists every active key as `id:hex` pairs separated by
+   * commas; CARD_ENCRYPTION_KEY_ID names the key new data is encrypted under
+   * (defaults to the last one listed). The single CARD_ENCRYPTION_KEY of older
+   * deployments joins the keyring as `legacy`, which also decrypts ciphertexts
+   * written before keys were versioned. With envelope encryption the keyring
+   * is only needed to read data written before it, and may be empty.
+   * @returns {Object} keys (Map of key ID to Buffer), currentKeyId
    */
-  getEncryptionKey() {
-    const keyHex = process.env.CARD_ENCRYPTION_KEY;
-    
-    if (!keyHex) {
-      if (process.env.NODE_ENV === 'production') {
-        throw new Error('CARD_ENCRYPTION_KEY must be set in production');
+  loadKeyring() {
+    const keys = new Map();
+
+    const entries = (process.env.CARD_ENCRYPTION_KEYS || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean);
+    for (const entry of entries) {
+      const separator = entry.indexOf(':');
+      const keyId = separator === -1 ? '' : entry.slice(0, separator);
+      if (!/^[A-Za-z0-9_-]{1,32}$/.test(keyId)) {
+        throw new Error('CARD_ENCRYPTION_KEYS entries must be id:key pairs with an alphanumeric id');
       }
-      
-      // Generate a key for development (NOT for production use)
-      console.warn('WARNING: Using generated encryption key for development only');
-      return crypto.randomBytes(this.keyLength);
+      if (keys.has(keyId)) {
+        throw new Error(`CARD_ENCRYPTION_KEYS lists key ${keyId} twice`);
+      }
+      keys.set(keyId, this.parseKey(entry.slice(separator + 1), `CARD_ENCRYPTION_KEYS key ${keyId}`));
     }
-    
-    if (keyHex.length !== 64) {
-      throw new Error('CARD_ENCRYPTION_KEY must be 64 hex characters (256 bits)');
+
+    if (process.env.CARD_ENCRYPTION_KEY && !keys.has('legacy')) {
+      keys.set('legacy', this.parseKey(process.env.CARD_ENCRYPTION_KEY, 'CARD_ENCRYPTION_KEY'));
+    }
+
+    if (keys.size === 0) {
+      if (this.kms.isEnabled()) {
+        return { keys, currentKeyId: null };
+      }
+      // A generated key makes stored cards unreadable after a restart, so only tests get one
+      if (process.env.NODE_ENV !== 'test') {
+        throw new Error('KMS_PROVIDER or CARD_ENCRYPTION_KEYS (or CARD_ENCRYPTION_KEY) must be set');
+      }
+      keys.set('test', crypto.randomBytes(this.keyLength));
+    }
+
+    const currentKeyId = process.env.CARD_ENCRYPTION_KEY_ID
+      || (entries.length > 0 ? Array.from(keys.keys())[entries.length - 1] : Array.from(keys.keys())[0]);
+    if (!keys.has(currentKeyId)) {
+      throw new Error(`CARD_ENCRYPTION_KEY_ID ${currentKeyId} is not in the keyring`);
+    }
+
+    return { keys, currentKeyId };
+  }
+
+  /**
+   * Parse a hex-encoded 256-bit key
+   * @param {string} keyHex - 64 hex characters
+   * @param {string} name - Where the key came from, for the error message
+   * @returns {Buffer} Encryption key
+   */
+  parseKey(keyHex, name) {
+    if (!/^[0-9a-fA-F]{64}$/.test(keyHex)) {
+      throw new Error(`${name} must be 64 hex characters (256 bits)`);
     }
-    
     return Buffer.from(keyHex, 'hex');
   }
 
   /**
-   * Encrypt sensitive card data
+   * ID of the key an encrypted value was written under: a keyring key ID, or
+   * `dk.<dataKeyId>` for envelope encrypted values. Null for values written
+   * before keys were versioned, which belong to the `legacy` key.
+   * @param {string} encryptedData - Encrypted value
+   * @returns {string|null} Key ID
+   */
+  getKeyId(encryptedData) {
+    const separator = encryptedData.indexOf(':');
+    return separator === -1 ? null : encryptedData.slice(0, separator);
+  }
+
+  /**
+   * Prefix of values already under the key new data is written with
+   * @returns {string} `dk.` with envelope encryption, else `<currentKeyId>:`
+   */
+  getCurrentPrefix() {
+    return this.kms.isEnabled() ? 'dk.' : `${this.currentKeyId}:`;
+  }
+
+  /**
+   * Whether an encrypted value is under a key other than the current one
+   * (with envelope encryption: not under a data key). Unversioned values
+   * always are: they were written with a fixed IV.
+   * @param {string} encryptedData - Encrypted value
+   * @returns {boolean} Whether it should be re-encrypted
+   */
+  needsReEncryption(encryptedData) {
+    return Boolean(encryptedData) && !encryptedData.startsWith(this.getCurrentPrefix());
+  }
+
+  /**
+   * Encrypt under a key. The key ID prefixes the envelope and is bound to
+   * the ciphertext as additional authenticated data.
    * @param {string} plaintext - Data to encrypt
-   * @param {string} userId - User ID for audit logging
+   * @param {string} keyId - Key ID
+   * @param {Buffer} key - Key
+   * @returns {string} `keyId:base64(iv + tag + ciphertext)`
+   */
+  sealWithKey(plaintext, keyId, key) {
+    const iv = crypto.randomBytes(this.ivLength);
+    const cipher = crypto.createCipheriv(this.algorithm, key, iv, { authTagLength: this.tagLength });
+    cipher.setAAD(Buffer.from(keyId, 'utf8'));
+
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return `${keyId}:${Buffer.concat([iv, tag, encrypted]).toString('base64')}`;
+  }
+
+  /**
+   * Decrypt a value sealed by sealWithKey
+   * @param {string} encryptedData - Encrypted value
+   * @param {string} keyId - Key ID it was written under
+   * @param {Buffer} key - Key
+   * @returns {string} Decrypted plaintext
+   */
+  openWithKey(encryptedData, keyId, key) {
+    const combined = Buffer.from(encryptedData.slice(keyId.length + 1), 'base64');
+    if (combined.length < this.ivLength + this.tagLength + 1) {
+      throw new Error('Invalid encrypted data format');
+    }
+
+    const iv = combined.subarray(0, this.ivLength);
+    const tag = combined.subarray(this.ivLength, this.ivLength + this.tagLength);
+    const encrypted = combined.subarray(this.ivLength + this.tagLength);
+
+    const decipher = crypto.createDecipheriv(this.algorithm, key, iv, { authTagLength: this.tagLength });
+    decipher.setAAD(Buffer.from(keyId, 'utf8'));
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Encrypt under the owner's data key, or the keyring's current key when
+   * envelope encryption is off
+   * @param {string} plaintext - Data to encrypt
+   * @param {string} userId - Data owner
+   * @returns {Promise<string>} Encrypted value
+   */
+  async seal(plaintext, userId) {
+    if (!this.kms.isEnabled()) {
+      return this.sealWithKey(plaintext, this.currentKeyId, this.keys.get(this.currentKeyId));
+    }
+
+    const { id, key } = await this.getDataKeyService().getActiveKey(userId);
+    return this.sealWithKey(plaintext, `dk.${id}`, key);
+  }
+
+  /**
+   * Decrypt a value with whichever key it was written under
+   * @param {string} encryptedData - Encrypted value
+   * @returns {Promise<string>} Decrypted plaintext
+   */
+  async open(encryptedData) {
+    const keyId = this.getKeyId(encryptedData);
+    if (keyId === null) {
+      if (!this.keys.has('legacy')) {
+        throw new Error('Unversioned ciphertext needs the legacy CARD_ENCRYPTION_KEY');
+      }
+      return this.decryptLegacy(encryptedData, this.keys.get('legacy'));
+    }
+
+    if (keyId.startsWith('dk.')) {
+      if (!this.kms.isEnabled()) {
+        throw new Error('Envelope encrypted data needs KMS_PROVIDER');
+      }
+      const key = await this.getDataKeyService().getKey(keyId.slice(3));
+      return this.openWithKey(encryptedData, keyId, key);
+    }
+
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(`Encryption key ${keyId} is not in the keyring`);
+    }
+    return this.openWithKey(encryptedData, keyId, key);
+  }
+
+  // Loaded on first use so the keyring works without the database models
+  getDataKeyService() {
+    return require('../services/dataKeyService');
+  }
+
+  /**
+   * Decrypt a value written before keys were versioned. Those were encrypted
+   * with `crypto.createCipher`, which derives the key and IV from the
+   * configured key and ignores the stored IV.
+   * @param {string} encryptedData - Base64 encoded encrypted data
+   * @param {Buffer} key - Legacy key
+   * @returns {string} Decrypted plaintext
+   */
+  decryptLegacy(encryptedData, key) {
+    if (typeof crypto.createDecipher !== 'function') {
+      throw new Error('Unversioned ciphertext needs crypto.createDecipher, which this Node.js version removed');
+    }
+
+    const combined = Buffer.from(encryptedData, 'base64');
+    if (combined.length < this.legacyIvLength + this.tagLength + 1) {
+      throw new Error('Invalid encrypted data format');
+    }
+
+    const tag = combined.subarray(this.legacyIvLength, this.legacyIvLength + this.tagLength);
+    const encrypted = combined.subarray(this.legacyIvLength + this.tagLength);
+
+    const decipher = crypto.createDecipher(this.algorithm, key);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Encrypt sensitive card data under the current key
+   * @param {string} plaintext - Data to encrypt
+   * @param {string} userId - Data owner, whose data key is used; also for audit logging
    * @param {string} cardId - Card ID for audit logging
-   * @returns {string} Encrypted data (base64 encoded)
+   * @returns {Promise<string>} Encrypted data (key ID followed by `:` and base64)
    */
-  encryptCardData(plaintext, userId = null, cardId = null) {
+  async encryptCardData(plaintext, userId = null, cardId = null) {
     try {
       if (!plaintext || typeof plaintext !== 'string') {
         throw new Error('Invalid plaintext data');
       }
 
-      // Generate random IV for each encryption
-      const iv = crypto.randomBytes(this.ivLength);
-      
-      // Create cipher
-      const cipher = crypto.createCipher(this.algorithm, this.encryptionKey, iv);
-      
-      // Encrypt the data
-      let encrypted = cipher.update(plaintext, 'utf8');
-      encrypted = Buffer.concat([encrypted, cipher.final()]);
-      
-      // Get authentication tag
-      const tag = cipher.getAuthTag();
-      
-      // Combine IV + tag + encrypted data
-      const combined = Buffer.concat([iv, tag, encrypted]);
-      
-      // Encode as base64
-      const result = combined.toString('base64');
-      
+      const result = await this.seal(plaintext, userId);
+
       // Audit log (without sensitive data)
       this.logCardAccess(userId, cardId, 'encrypt', 'success');
-      
+
       return result;
-      
+
     } catch (error) {
       this.logCardAccess(userId, cardId, 'encrypt', 'error', error.message);
       throw new Error('Encryption failed: ' + error.message);
@@ -88,50 +272,55 @@ class SecureCardStorage {
 
   /**
    * Decrypt sensitive card data
-   * @param {string} encryptedData - Base64 encoded encrypted data
+   * @param {string} encryptedData - Encrypted data, versioned or legacy
    * @param {string} userId - User ID for audit logging
    * @param {string} cardId - Card ID for audit logging
-   * @returns {string} Decrypted plaintext
+   * @returns {Promise<string>} Decrypted plaintext
    */
-  decryptCardData(encryptedData, userId = null, cardId = null) {
+  async decryptCardData(encryptedData, userId = null, cardId = null) {
     try {
       if (!encryptedData || typeof encryptedData !== 'string') {
         throw new Error('Invalid encrypted data');
       }
 
-      // Decode from base64
-      const combined = Buffer.from(encryptedData, 'base64');
-      
-      if (combined.length < this.ivLength + this.tagLength + 1) {
-        throw new Error('Invalid encrypted data format');
-      }
-      
-      // Extract components
-      const iv = combined.slice(0, this.ivLength);
-      const tag = combined.slice(this.ivLength, this.ivLength + this.tagLength);
-      const encrypted = combined.slice(this.ivLength + this.tagLength);
-      
-      // Create decipher
-      const decipher = crypto.createDecipher(this.algorithm, this.encryptionKey, iv);
-      decipher.setAuthTag(tag);
-      
-      // Decrypt the data
-      let decrypted = decipher.update(encrypted);
-      decrypted = Buffer.concat([decrypted, decipher.final()]);
-      
-      const result = decrypted.toString('utf8');
-      
+      const result = await this.open(encryptedData);
+
       // Audit log (without sensitive data)
       this.logCardAccess(userId, cardId, 'decrypt', 'success');
-      
+
       return result;
-      
+
     } catch (error) {
       this.logCardAccess(userId, cardId, 'decrypt', 'error', error.message);
       throw new Error('Decryption failed: ' + error.message);
     }
   }
 
+  /**
+   * Re-encrypt a value under the current key, for key rotation
+   * @param {string} encryptedData - Encrypted value under any known key
+   * @param {string} userId - Data owner; also for audit logging
+   * @param {string} cardId - Card ID for audit logging
+   * @returns {Promise<string>} Encrypted data under the current key
+   */
+  async reEncryptCardData(encryptedData, userId = null, cardId = null) {
+    try {
+      if (!encryptedData || typeof encryptedData !== 'string') {
+        throw new Error('Invalid encrypted data');
+      }
+
+      const result = await this.seal(await this.open(encryptedData), userId);
+
+      this.logCardAccess(userId, cardId, 're-encrypt', 'success');
+
+      return result;
+
+    } catch (error) {
+      this.logCardAccess(userId, cardId, 're-encrypt', 'error', error.message);
+      throw new Error('Re-encryption failed: ' + error.message);
+    }
+  }
+
   /**
    * Mask card number for display purposes
    * @param {string} cardNumber - Full card number
@@ -359,13 +548,13 @@ class SecureCardStorage {
 
   /**
    * Test encryption/decryption functionality
-   * @returns {boolean} Whether encryption is working correctly
+   * @returns {Promise<boolean>} Whether encryption is working correctly
    */
-  testEncryption() {
+  async testEncryption() {
     try {
       const testData = 'test-card-data-' + Date.now();
-      const encrypted = this.encryptCardData(testData);
-      const decrypted = this.decryptCardData(encrypted);
+      const encrypted = await this.encryptCardData(testData);
+      const decrypted = await this.decryptCardData(encrypted);
       
       return testData === decrypted;
     } catch (error) {
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { getVaultConnection } = require('./connection');
+
+/**
+ * Vault Access Log
+ * Every vault call, allowed or not: who asked, for which token, for what
+ * purpose, and the outcome. Never holds card data.
+ */
+const vaultAccessLogSchema = new mongoose.Schema({
+  token: String,
+  operation: {
+    type: String,
+    enum: ['tokenize', 'detokenize', 'delete'],
+    required: true
+  },
+  purpose: String,
+  // User or service that made the call
+  actor: {
+    type: String,
+    required: true
+  },
+  ownerId: mongoose.Schema.Types.ObjectId,
+  cardId: mongoose.Schema.Types.ObjectId,
+  status: {
+    type: String,
+    enum: ['success', 'denied', 'error'],
+    required: true
+  },
+  reason: String
+}, {
+  timestamps: true,
+  collection: 'vault_access_log'
+});
+
+vaultAccessLogSchema.index({ token: 1, createdAt: -1 });
+vaultAccessLogSchema.index({ createdAt: -1 });
+
+module.exports = getVaultConnection().model('VaultAccessLog', vaultAccessLogSchema);
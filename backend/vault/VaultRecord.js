@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { getVaultConnection } = require('./connection');
+
+/**
+ * Vault Record
+ * A card's PAN and CVV, encrypted under the owner's key, behind an opaque
+ * token. Cards and every other collection only ever hold the token.
+ */
+const vaultRecordSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  cardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+
+  encryptedPan: String,
+  encryptedCvv: String,
+  last4: String,
+  brand: String,
+
+  status: {
+    type: String,
+    enum: ['active', 'deleted'],
+    default: 'active'
+  },
+  deletedAt: Date
+}, {
+  timestamps: true,
+  collection: 'vault_records'
+});
+
+module.exports = getVaultConnection().model('VaultRecord', vaultRecordSchema);
@@ -0,0 +1,21 @@
+/**
+ * Vault access policy
+ * Card data is only detokenized for a named purpose, and each purpose reads
+ * only the fields it needs. Add a purpose here before any new code path may
+ * read card data.
+ */
+const PURPOSES = {
+  // The card owner viewing their card details after re-authenticating
+  reveal: ['pan', 'cvv'],
+  // Sending card details to an issuer or card network (e.g. push provisioning)
+  issuer_push: ['pan', 'cvv']
+};
+
+/**
+ * Fields a purpose may read
+ * @param {string} purpose - Detokenization purpose
+ * @returns {Array<string>|null} Fields, or null for purposes not in the policy
+ */
+const allowedFields = (purpose) => (Object.prototype.hasOwnProperty.call(PURPOSES, purpose) ? PURPOSES[purpose] : null);
+
+module.exports = { PURPOSES, allowedFields };
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const VaultRecord = require('./VaultRecord');
+const VaultAccessLog = require('./VaultAccessLog');
+const { allowedFields } = require('./accessPolicy');
+const secureCardStorage = require('../utils/secureCardStorage');
+
+/**
+ * Card Vault
+ * Stores card PANs and CVVs and hands out opaque tokens in their place.
+ * Card data only leaves the vault through detokenize, for a purpose named
+ * in the access policy, and every call is written to the vault access log.
+ */
+class CardVault {
+  constructor() {
+    this.logger = require('../utils/logger').logger;
+  }
+
+  /**
+   * Build a vault error with an HTTP status and machine-readable code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @param {string} code - Error code
+   * @returns {Error} Error
+   */
+  vaultError(message, statusCode, code) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+
+  generateToken() {
+    return `tok_${crypto.randomBytes(24).toString('base64url')}`;
+  }
+
+  /**
+   * Record a vault call. A call that cannot be audited does not go ahead.
+   * @param {Object} entry - token, operation, purpose, actor, ownerId, cardId, status, reason
+   */
+  async audit(entry) {
+    await VaultAccessLog.create(entry);
+    if (entry.status !== 'success') {
+      this.logger.warn('Vault access refused', {
+        token: entry.token,
+        operation: entry.operation,
+        purpose: entry.purpose,
+        actor: entry.actor,
+        status: entry.status,
+        reason: entry.reason
+      });
+    }
+  }
+
+  /**
+   * Store a card's PAN and CVV and return the token that stands for them
+   * @param {Object} cardData - ownerId, cardId, pan, cvv
+   * @param {Object} context - actor (defaults to the owner)
+   * @returns {Promise<Object>} token, last4, brand
+   */
+  async tokenize({ ownerId, cardId, pan, cvv }, context = {}) {
+    const actor = String(context.actor || ownerId);
+    // Numbers come from the issuer, so only the shape is checked (mock
+    // issuer numbers do not pass a Luhn check)
+    if (typeof pan !== 'string' || !/^\d{12,19}$/.test(pan)) {
+      throw this.vaultError('Invalid card number', 400, 'INVALID_CARD_DATA');
+    }
+
+    const token = this.generateToken();
+    const last4 = secureCardStorage.getLast4Digits(pan);
+    const brand = secureCardStorage.detectCardBrand(pan);
+
+    await VaultRecord.create({
+      token,
+      ownerId,
+      cardId,
+      encryptedPan: await secureCardStorage.encryptCardData(pan, ownerId, cardId),
+      encryptedCvv: cvv ? await secureCardStorage.encryptCardData(String(cvv), ownerId, cardId) : undefined,
+      last4,
+      brand
+    });
+    await this.audit({ token, operation: 'tokenize', actor, ownerId, cardId, status: 'success' });
+
+    return { token, last4, brand };
+  }
+
+  /**
+   * Read card data back for a named purpose
+   * @param {string} token - Vault token
+   * @param {Object} request - purpose, actor, ownerId (the token must belong to this owner)
+   * @returns {Promise<Object>} The fields the purpose allows (pan, cvv)
+   */
+  async detokenize(token, { purpose, actor, ownerId } = {}) {
+    const entry = { token, operation: 'detokenize', purpose, actor: String(actor || 'unknown'), ownerId };
+
+    const fields = allowedFields(purpose);
+    if (!fields || !actor) {
+      await this.audit({ ...entry, status: 'denied', reason: fields ? 'No actor given' : 'Purpose not allowed' });
+      throw this.vaultError('Detokenization is not allowed for this purpose', 403, 'VAULT_ACCESS_DENIED');
+    }
+
+    const record = await VaultRecord.findOne({ token, status: 'active' });
+    if (!record) {
+      await this.audit({ ...entry, status: 'denied', reason: 'Unknown token' });
+      throw this.vaultError('Vault token not found', 404, 'TOKEN_NOT_FOUND');
+    }
+    if (ownerId && String(record.ownerId) !== String(ownerId)) {
+      await this.audit({ ...entry, cardId: record.cardId, status: 'denied', reason: 'Token belongs to another owner' });
+      throw this.vaultError('Vault token not found', 404, 'TOKEN_NOT_FOUND');
+    }
+
+    let data;
+    try {
+      data = {};
+      if (fields.includes('pan')) {
+        data.pan = await secureCardStorage.decryptCardData(record.encryptedPan, record.ownerId, record.cardId);
+      }
+      if (fields.includes('cvv') && record.encryptedCvv) {
+        data.cvv = await secureCardStorage.decryptCardData(record.encryptedCvv, record.ownerId, record.cardId);
+      }
+    } catch (error) {
+      await this.audit({ ...entry, ownerId: record.ownerId, cardId: record.cardId, status: 'error', reason: error.message });
+      throw this.vaultError('Card data could not be read', 500, 'VAULT_READ_FAILED');
+    }
+
+    await this.audit({ ...entry, ownerId: record.ownerId, cardId: record.cardId, status: 'success' });
+    return data;
+  }
+
+  /**
+   * Destroy the card data behind a token; the token stops resolving
+   * @param {string} token - Vault token
+   * @param {Object} context - actor, reason
+   * @returns {Promise<boolean>} Whether an active record was deleted
+   */
+  async deleteToken(token, { actor, reason } = {}) {
+    const record = await VaultRecord.findOneAndUpdate(
+      { token, status: 'active' },
+      { $set: { status: 'deleted', deletedAt: new Date() }, $unset: { encryptedPan: 1, encryptedCvv: 1 } },
+      { new: true }
+    );
+
+    await this.audit({
+      token,
+      operation: 'delete',
+      actor: String(actor || 'system'),
+      ownerId: record?.ownerId,
+      cardId: record?.cardId,
+      status: record ? 'success' : 'denied',
+      reason: record ? reason : 'Unknown token'
+    });
+
+    return Boolean(record);
+  }
+}
+
+module.exports = new CardVault();
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+/**
+ * Vault database connection
+ * With VAULT_MONGODB_URI set the vault lives in its own database, reached
+ * with its own credentials, so the application database never holds card
+ * data. Without it the vault collections share the application connection.
+ */
+let connection = null;
+
+const getVaultConnection = () => {
+  if (!connection) {
+    connection = process.env.VAULT_MONGODB_URI
+      ? mongoose.createConnection(process.env.VAULT_MONGODB_URI)
+      : mongoose.connection;
+  }
+  return connection;
+};
+
+module.exports = { getVaultConnection };